@@ -100,7 +100,11 @@ let resultTerser = await terser.minify(resultEsbuildJS.text, {
         'getCanvas', 'getCenter', 'getZoom', 'getBounds',
         'setCenter', 'setZoom',
         'queryRenderedFeatures',
-        'transform'
+        'transform',
+        // Fields of template files written by other tools (see the importers in templateManager.js)
+        'overlays', 'pixelUrl', 'imageUrl', 'imageBase64', 'isLocal', 'offsetX', 'offsetY', 'opacity',
+        'faction', 'contact', 'sources', 'frameWidth', 'frameHeight', 'frameCount', 'frameRate', 'frameSpeed',
+        'startTime', 'looping', 'whitelist', 'blacklist'
       ] // What properties should be preserved?
     },
   },
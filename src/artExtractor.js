@@ -1,4 +1,7 @@
-import { debugLog } from './utils.js';
+import { debugLog, colorpalette, colorpaletteForBlueMarble } from './utils.js';
+import { composeBoardArea } from './tileCompositor.js';
+import { blobToImageData, pixelToColorId, imageDataToPaletteIndices, encodeIndexedPNG } from './imageCodec.js';
+import { isTemplateStoreSupported, loadExtractorSnapshot, saveExtractorSnapshot, deleteExtractorSnapshot } from './templateStorage.js';
 
 /** Art Extractor - Extracts pixel art from canvas areas */
 
@@ -9,6 +12,11 @@ let extractorCoordinates = {
 
 let previewTemplate = null; // Stores the temporary preview template
 
+// Tiles fetched by the last unfinished extraction, so running it again resumes instead of refetching
+let resumeState = { key: null, tiles: new Map() };
+
+const MAX_STORED_SNAPSHOTS = 20; // Oldest regions are dropped past this to keep storage in check
+
 export function getExtractorCoordinates() {
   return { ...extractorCoordinates };
 }
@@ -89,24 +97,187 @@ export function calculateDimensions(from, to) {
   };
 }
 
-export async function extractArt(from, to, templateManager, apiManager, progressCallback = null) {
+// Enabled templates to draw over an extraction, without the extractor's own preview rectangle
+function getOverlayTemplates(templateManager) {
+  return (templateManager?.templatesArray || [])
+    .filter(template => {
+      const key = `${template.sortID} ${template.authorID}`;
+      return key !== previewTemplate && key !== '10000 extractor-preview' && templateManager.isTemplateEnabled(key);
+    })
+    .sort((a, b) => a.sortID - b.sortID);
+}
+
+// Options:
+//   crop: 'none' | 'opaque' (trim to non-transparent pixels) | 'colors' (trim to cropColorIds)
+//   cropColorIds: palette IDs that count as artwork when crop is 'colors'
+//   keyOutColorId: palette ID turned transparent before cropping (null = keep background)
+//   includeTemplates: composite the enabled templates on top of the board
+//   overlayOpacity: opacity of that template overlay (0-1)
+//   concurrency / maxRetries: tile-fetch queue limits
+//   signal: AbortSignal that cancels the extraction
+//   keepBoardImage: also resolve boardBlob, the untrimmed region without the template overlay (used for snapshot diffs)
+// Resolves to { blob, from, to, width, height, trimmed, boardBlob? } where from/to are the adjusted corners
+export async function extractArt(from, to, templateManager, apiManager, progressCallback = null, options = {}) {
   const dims = calculateDimensions(from, to);
   const tileServerBase = apiManager?.tileServerBase || 'https://backend.wplace.live/files/s0/tiles';
+
+  const resumeKey = `${tileServerBase}|${getRegionKey(from, to)}`;
+  if (resumeState.key !== resumeKey) {
+    resumeState = { key: resumeKey, tiles: new Map() };
+  } else if (resumeState.tiles.size > 0) {
+    debugLog(`[Art Extractor] Resuming extraction with ${resumeState.tiles.size} tile(s) already fetched`);
+  }
   
   try {
-    const blob = await templateManager.buildTemplateAreaScreenshot(
-      tileServerBase,
-      from,
-      [dims.width, dims.height]
-    );
-    
-    return blob;
+    // Tiles are composed directly, so no template has to be loaded
+    const composeOptions = {
+      overlayTemplates: options.includeTemplates ? getOverlayTemplates(templateManager) : [],
+      overlayOpacity: options.overlayOpacity ?? 1,
+      drawMult: templateManager?.drawMult || 3,
+      progressCallback,
+      concurrency: options.concurrency ?? 4,
+      maxRetries: options.maxRetries ?? 3,
+      signal: options.signal ?? null,
+      tileCache: resumeState.tiles
+    };
+    const blob = await composeBoardArea(tileServerBase, from, [dims.width, dims.height], composeOptions);
+
+    // The tiles are cached by now, so the bare board costs no extra requests
+    let boardBlob;
+    if (options.keepBoardImage) {
+      boardBlob = composeOptions.overlayTemplates.length === 0
+        ? blob
+        : await composeBoardArea(tileServerBase, from, [dims.width, dims.height], {
+          ...composeOptions,
+          overlayTemplates: [],
+          progressCallback: null
+        });
+    }
+
+    // Finished, nothing left to resume
+    resumeState = { key: null, tiles: new Map() };
+
+    const { crop = 'none', keyOutColorId = null } = options;
+    if (crop === 'none' && keyOutColorId === null) {
+      return { blob, from: [...from], to: [...to], width: dims.width, height: dims.height, trimmed: false, boardBlob };
+    }
+
+    return { ...await trimExtraction(blob, from, options), boardBlob };
   } catch (error) {
-    console.error('[Art Extractor] Extraction failed:', error);
+    if (error?.name === 'AbortError') {
+      debugLog(`[Art Extractor] Extraction cancelled, keeping ${resumeState.tiles.size} fetched tile(s) for resume`);
+    } else {
+      console.error('[Art Extractor] Extraction failed:', error);
+    }
     throw error;
   }
 }
 
+export function getResumableTileCount(from, to, apiManager) {
+  const tileServerBase = apiManager?.tileServerBase || 'https://backend.wplace.live/files/s0/tiles';
+  return resumeState.key === `${tileServerBase}|${getRegionKey(from, to)}` ? resumeState.tiles.size : 0;
+}
+
+// Rough peak memory: the RGBA canvas plus one ImageData copy during encoding/trimming
+export function checkPixelBudget(from, to, pixelBudget) {
+  const { pixels } = calculateDimensions(from, to);
+  return {
+    withinBudget: pixels <= pixelBudget,
+    pixels,
+    estimatedMB: Math.ceil((pixels * 4 * 2) / (1024 * 1024))
+  };
+}
+
+function absoluteToCoords(absX, absY) {
+  return [Math.floor(absX / 1000), Math.floor(absY / 1000), absX % 1000, absY % 1000];
+}
+
+async function trimExtraction(blob, from, { crop = 'none', cropColorIds = [], keyOutColorId = null } = {}) {
+  const imageData = await blobToImageData(blob);
+  const { width, height } = imageData;
+  const pixels32 = new Uint32Array(imageData.data.buffer);
+  const { LUT } = colorpaletteForBlueMarble(0);
+  const cropColors = new Set(cropColorIds.map(Number));
+
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let colorId = pixelToColorId(pixels32[i], LUT);
+
+      if (keyOutColorId !== null && colorId === keyOutColorId) {
+        pixels32[i] = 0;
+        colorId = 0;
+      }
+
+      const isArtwork = crop === 'colors' ? cropColors.has(colorId) : colorId !== 0;
+      if (isArtwork) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (crop === 'none') {
+    minX = 0;
+    minY = 0;
+    maxX = width - 1;
+    maxY = height - 1;
+  } else if (maxX < 0) {
+    throw new Error(crop === 'colors' ? 'None of the selected colors were found in the area' : 'The area contains no non-transparent pixels');
+  }
+
+  const croppedWidth = maxX - minX + 1;
+  const croppedHeight = maxY - minY + 1;
+
+  const canvas = new OffscreenCanvas(croppedWidth, croppedHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(imageData, -minX, -minY, minX, minY, croppedWidth, croppedHeight);
+
+  // Shift the reported corners so the result still lines up with the board
+  const startX = from[0] * 1000 + from[2] + minX;
+  const startY = from[1] * 1000 + from[3] + minY;
+
+  debugLog(`[Art Extractor] Trimmed ${width}x${height} to ${croppedWidth}x${croppedHeight} at offset ${minX},${minY}`);
+
+  return {
+    blob: await canvas.convertToBlob({ type: 'image/png' }),
+    from: absoluteToCoords(startX, startY),
+    to: absoluteToCoords(startX + croppedWidth - 1, startY + croppedHeight - 1),
+    width: croppedWidth,
+    height: croppedHeight,
+    trimmed: croppedWidth !== width || croppedHeight !== height
+  };
+}
+
+export async function extractArtAsTemplate(from, to, templateManager, apiManager, name = '', progressCallback = null, options = {}) {
+  const result = await extractArt(from, to, templateManager, apiManager, progressCallback, options);
+  if (!result?.blob) {
+    throw new Error('Extraction failed to produce a result');
+  }
+
+  const templateName = name || `Extracted ${result.width}x${result.height}`;
+  const file = new File([result.blob], `${templateName}.png`, { type: 'image/png' });
+
+  // Drop the preview rectangle first, otherwise the new template would be
+  // given a sortID after the preview's reserved one
+  if (previewTemplate) {
+    await templateManager.deleteTemplate(previewTemplate);
+    previewTemplate = null;
+  }
+
+  const templateKey = await templateManager.createTemplate(file, templateName, [...result.from]);
+  if (!templateKey) {
+    return null; // Cancelled at the duplicate template prompt
+  }
+  debugLog(`[Art Extractor] Created template "${templateName}" at ${result.from.join(', ')}`);
+
+  return { name: templateName, from: result.from, width: result.width, height: result.height };
+}
+
 export function startCoordinateDetection(type, callback, apiManager) {
   const initialCoords = apiManager?.coordsTilePixel ? [...apiManager.coordsTilePixel] : null;
   const initialCoordsString = initialCoords ? initialCoords.join(',') : '';
@@ -315,3 +486,190 @@ export async function updatePreviewRectangle(templateManager, tileManager) {
   await new Promise(resolve => setTimeout(resolve, 50));
   templateManager.setTemplatesShouldBeDrawn(true);
 }
+
+export function getRegionKey(from, to) {
+  return `${from.join(',')}|${to.join(',')}`;
+}
+
+// Snapshots live in IndexedDB next to the templates; a full-region PNG per region is too large for userscript storage
+export async function getSnapshotInfo(from, to) {
+  if (!isTemplateStoreSupported()) return null;
+  const snapshot = await loadExtractorSnapshot(getRegionKey(from, to));
+  return snapshot ? { createdAt: snapshot.createdAt, width: snapshot.width, height: snapshot.height } : null;
+}
+
+export async function deleteSnapshot(from, to) {
+  if (!isTemplateStoreSupported()) return;
+  await deleteExtractorSnapshot(getRegionKey(from, to));
+}
+
+// Compare the board image of the region (untrimmed, without the template overlay, see extractArt's keepBoardImage)
+// so crop and overlay settings do not change what is compared. Resolves to the diff; saveError is set when the
+// extraction could not be kept as the next snapshot.
+export async function diffWithSnapshot(from, to, blob) {
+  const regionKey = getRegionKey(from, to);
+  const previous = isTemplateStoreSupported()
+    ? await loadExtractorSnapshot(regionKey).catch(error => {
+      console.warn('[Art Extractor] Failed to load snapshot:', error);
+      return null;
+    })
+    : null;
+  const current = await blobToImageData(blob);
+
+  const result = {
+    regionKey,
+    hasPrevious: false,
+    previousCreatedAt: previous?.createdAt || null,
+    width: current.width,
+    height: current.height,
+    changedPixels: 0,
+    colorChanges: [],
+    diffBlob: null,
+    saveError: null
+  };
+
+  if (previous) {
+    const previousData = await blobToImageData(previous.image);
+
+    if (previousData.width !== current.width || previousData.height !== current.height) {
+      console.warn('[Art Extractor] Stored snapshot size does not match, replacing it:', regionKey);
+    } else {
+      result.hasPrevious = true;
+
+      const { palette, LUT } = colorpaletteForBlueMarble(0);
+      const paletteById = new Map(palette.map(color => [color.id, color]));
+      const previous32 = new Uint32Array(previousData.data.buffer);
+      const current32 = new Uint32Array(current.data.buffer);
+      const gained = new Map();
+      const lost = new Map();
+
+      const diffCanvas = new OffscreenCanvas(current.width, current.height);
+      const diffCtx = diffCanvas.getContext('2d');
+      const diffImage = diffCtx.createImageData(current.width, current.height);
+      const diff = diffImage.data;
+
+      for (let i = 0; i < current32.length; i++) {
+        const oldId = pixelToColorId(previous32[i], LUT);
+        const newId = pixelToColorId(current32[i], LUT);
+        const o = i * 4;
+
+        if (oldId !== newId || (newId === -2 && previous32[i] !== current32[i])) {
+          result.changedPixels++;
+          gained.set(newId, (gained.get(newId) || 0) + 1);
+          lost.set(oldId, (lost.get(oldId) || 0) + 1);
+
+          // Changed pixels are solid red
+          diff[o] = 255;
+          diff[o + 1] = 0;
+          diff[o + 2] = 0;
+          diff[o + 3] = 255;
+        } else if (newId !== 0) {
+          // Unchanged pixels are a faded greyscale of the current art
+          const grey = Math.round(current.data[o] * 0.299 + current.data[o + 1] * 0.587 + current.data[o + 2] * 0.114);
+          diff[o] = grey;
+          diff[o + 1] = grey;
+          diff[o + 2] = grey;
+          diff[o + 3] = 70;
+        }
+      }
+
+      diffCtx.putImageData(diffImage, 0, 0);
+      result.diffBlob = await diffCanvas.convertToBlob({ type: 'image/png' });
+
+      for (const id of new Set([...gained.keys(), ...lost.keys()])) {
+        const color = paletteById.get(id);
+        result.colorChanges.push({
+          id,
+          name: color?.name || `Color ${id}`,
+          rgb: color?.rgb || [0, 0, 0],
+          gained: gained.get(id) || 0,
+          lost: lost.get(id) || 0
+        });
+      }
+      result.colorChanges.sort((a, b) => (b.gained + b.lost) - (a.gained + a.lost));
+    }
+  }
+
+  // The current extraction becomes the snapshot for the next comparison
+  try {
+    if (!isTemplateStoreSupported()) throw new Error('IndexedDB is not available');
+    await saveExtractorSnapshot(regionKey, {
+      createdAt: new Date().toISOString(),
+      width: current.width,
+      height: current.height,
+      image: blob
+    }, MAX_STORED_SNAPSHOTS);
+  } catch (error) {
+    console.error('[Art Extractor] Failed to save snapshot:', error);
+    result.saveError = error?.message || String(error);
+  }
+  debugLog(`[Art Extractor] Snapshot diff for ${regionKey}: ${result.changedPixels} changed pixels`);
+
+  return result;
+}
+
+export const EXPORT_FORMATS = {
+  'png': { label: 'PNG (RGBA)', extension: 'png' },
+  'indexed': { label: 'Indexed PNG (Wplace palette)', extension: 'png' },
+  'upscaled': { label: 'Upscaled PNG', extension: 'png' },
+  'csv': { label: 'CSV pixel dump', extension: 'csv' },
+  'json': { label: 'JSON pixel dump', extension: 'json' }
+};
+
+async function upscalePNG(blob, factor) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width * factor, bitmap.height * factor);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+function buildPixelDump(indices, width, height, from, format) {
+  const pixels = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const colorId = indices[y * width + x];
+      if (colorId === 0) continue; // Transparent pixels are left out
+      pixels.push({ x, y, colorId, name: colorpalette[colorId]?.name || `Color ${colorId}` });
+    }
+  }
+
+  if (format === 'csv') {
+    const lines = ['x,y,paletteId,name'];
+    for (const pixel of pixels) {
+      lines.push(`${pixel.x},${pixel.y},${pixel.colorId},"${pixel.name}"`);
+    }
+    return new Blob([lines.join('\n')], { type: 'text/csv' });
+  }
+
+  const dump = {
+    "origin": { "tileX": from[0], "tileY": from[1], "pixelX": from[2], "pixelY": from[3] },
+    "width": width,
+    "height": height,
+    "pixels": pixels.map(pixel => ({ "x": pixel.x, "y": pixel.y, "paletteId": pixel.colorId, "name": pixel.name }))
+  };
+  return new Blob([JSON.stringify(dump)], { type: 'application/json' });
+}
+
+// Converts an extracted RGBA PNG into one of EXPORT_FORMATS. `from` is the top-left of the blob
+export async function exportExtraction(blob, format = 'png', { from = [0, 0, 0, 0], scale = 4 } = {}) {
+  const extension = EXPORT_FORMATS[format]?.extension || 'png';
+
+  if (format === 'upscaled') {
+    const factor = Math.max(2, Math.min(20, Math.round(Number(scale)) || 2));
+    return { blob: await upscalePNG(blob, factor), extension, suffix: `-${factor}x` };
+  }
+
+  if (format === 'indexed' || format === 'csv' || format === 'json') {
+    const imageData = await blobToImageData(blob);
+    const indices = imageDataToPaletteIndices(imageData);
+    const output = format === 'indexed'
+      ? await encodeIndexedPNG(indices, imageData.width, imageData.height)
+      : buildPixelDump(indices, imageData.width, imageData.height, from, format);
+    return { blob: output, extension, suffix: format === 'indexed' ? '-indexed' : '' };
+  }
+
+  return { blob, extension, suffix: '' };
+}
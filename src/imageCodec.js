@@ -0,0 +1,138 @@
+/** @file Image Codec - Pixel and PNG helpers shared by the Art Extractor, template storage, sharing and timelapse.
+ * Decodes images into ImageData, maps pixels onto the Wplace palette, and writes indexed PNGs by hand
+ * (CRC-32, chunks, deflate) so exports keep exact palette indices.
+ * @since 0.91.22
+ */
+
+import { colorpalette, colorpaletteForBlueMarble } from './utils.js';
+
+// Decodes an image Blob into RGBA pixels
+export async function blobToImageData(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Resolves a packed 0xAABBGGRR pixel to a palette ID (0 = Transparent, -2 = Other)
+export function pixelToColorId(pixel, LUT) {
+  if ((pixel >>> 24) === 0) return 0;
+  return LUT.get((pixel | 0xFF000000) >>> 0) ?? -2;
+}
+
+// Nearest palette color for pixels the exact LUT does not know (never Transparent)
+function nearestPaletteId(r, g, b) {
+  let bestId = 1;
+  let bestDistance = Infinity;
+  for (const color of colorpalette) {
+    if (color.id === 0) continue;
+    const dr = r - color.rgb[0];
+    const dg = g - color.rgb[1];
+    const db = b - color.rgb[2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestId = color.id;
+    }
+  }
+  return bestId;
+}
+
+// Palette index for every pixel; 0 is Transparent
+export function imageDataToPaletteIndices(imageData) {
+  const { LUT } = colorpaletteForBlueMarble(0);
+  const pixels32 = new Uint32Array(imageData.data.buffer);
+  const indices = new Uint8Array(pixels32.length);
+
+  for (let i = 0; i < pixels32.length; i++) {
+    let colorId = pixelToColorId(pixels32[i], LUT);
+    if (colorId < 0) {
+      // "Erased" and "Other" are not part of the Wplace palette
+      const o = i * 4;
+      colorId = nearestPaletteId(imageData.data[o], imageData.data[o + 1], imageData.data[o + 2]);
+    }
+    indices[i] = colorId;
+  }
+  return indices;
+}
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+export async function zlibDeflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Reverses zlibDeflate()
+export async function zlibInflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// IHDR, PLTE and tRNS chunks of an 8-bit PNG indexed with the full Wplace palette
+export function indexedPNGHeaderChunks(width, height) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // Bit depth
+  header[9] = 3; // Colour type: indexed
+
+  const plte = new Uint8Array(colorpalette.length * 3);
+  const trns = new Uint8Array([0]); // Only index 0 (Transparent) is see-through
+  colorpalette.forEach((color, i) => plte.set(color.rgb, i * 3));
+
+  return [pngChunk('IHDR', header), pngChunk('PLTE', plte), pngChunk('tRNS', trns)];
+}
+
+// Deflated image data for palette indices; each scanline starts with filter type 0 (None)
+export async function deflateIndexedScanlines(indices, width, height) {
+  const raw = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+  return zlibDeflate(raw);
+}
+
+// Writes an 8-bit palette PNG (colour type 3) using the full Wplace palette
+export async function encodeIndexedPNG(indices, width, height) {
+  return new Blob([
+    PNG_SIGNATURE,
+    ...indexedPNGHeaderChunks(width, height),
+    pngChunk('IDAT', await deflateIndexedScanlines(indices, width, height)),
+    pngChunk('IEND', new Uint8Array(0))
+  ], { type: 'image/png' });
+}
@@ -0,0 +1,115 @@
+/** @file Image Resize - Scales images to a target template size before they are placed.
+ * Resampling is done on premultiplied alpha so transparent edges do not darken the result.
+ * @since 0.91.22
+ */
+
+/** Resampling modes.
+ * @since 0.91.22
+ */
+export const RESAMPLE_MODES = {
+  'nearest': 'Nearest neighbour',
+  'box': 'Box',
+  'area': 'Area average'
+};
+
+/** Source contributions for every destination index along one axis.
+ * - nearest: the source pixel under the destination pixel's center
+ * - box: every whole source pixel starting inside the destination pixel, equally weighted
+ * - area: every source pixel the destination pixel overlaps, weighted by coverage
+ * @param {number} sourceSize - Source length in pixels
+ * @param {number} targetSize - Destination length in pixels
+ * @param {string} mode - A key of {@link RESAMPLE_MODES}
+ * @returns {Array<Array<[number, number]>>} Per destination index, a list of [source index, weight]
+ * @since 0.91.22
+ */
+function buildAxisWeights(sourceSize, targetSize, mode) {
+  const scale = sourceSize / targetSize;
+  const weights = [];
+
+  for (let d = 0; d < targetSize; d++) {
+    const start = d * scale;
+    const end = start + scale;
+
+    if (mode === 'nearest' || scale <= 1) {
+      // Upscaling has nothing to average, every mode picks the covering pixel
+      weights.push([[Math.min(sourceSize - 1, Math.floor(start + scale / 2)), 1]]);
+      continue;
+    }
+
+    const taps = [];
+    if (mode === 'box') {
+      // The epsilon keeps float error in `d * scale` from skipping a pixel that starts exactly on the edge
+      const first = Math.min(sourceSize - 1, Math.ceil(start - 1e-9));
+      const last = Math.max(first + 1, Math.min(sourceSize, Math.ceil(end - 1e-9)));
+      for (let s = first; s < last; s++) taps.push([s, 1 / (last - first)]);
+    } else {
+      for (let s = Math.floor(start); s < Math.min(sourceSize, Math.ceil(end)); s++) {
+        const coverage = Math.min(end, s + 1) - Math.max(start, s);
+        if (coverage > 0) taps.push([s, coverage / scale]);
+      }
+    }
+    weights.push(taps);
+  }
+
+  return weights;
+}
+
+/** Resizes an image.
+ * @param {ImageData} imageData - The source image (not modified)
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} [mode='nearest'] - A key of {@link RESAMPLE_MODES}
+ * @returns {ImageData} The resized image
+ * @since 0.91.22
+ */
+export function resizeImageData(imageData, width, height, mode = 'nearest') {
+  const { width: sourceWidth, height: sourceHeight, data } = imageData;
+  const xWeights = buildAxisWeights(sourceWidth, width, mode);
+  const yWeights = buildAxisWeights(sourceHeight, height, mode);
+
+  // Horizontal pass into a premultiplied float buffer (target width × source height)
+  const horizontal = new Float32Array(width * sourceHeight * 4);
+  for (let y = 0; y < sourceHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (const [sx, weight] of xWeights[x]) {
+        const i = (y * sourceWidth + sx) * 4;
+        const alpha = data[i + 3] * weight;
+        r += data[i] * alpha;
+        g += data[i + 1] * alpha;
+        b += data[i + 2] * alpha;
+        a += alpha;
+      }
+      const o = (y * width + x) * 4;
+      horizontal[o] = r;
+      horizontal[o + 1] = g;
+      horizontal[o + 2] = b;
+      horizontal[o + 3] = a;
+    }
+  }
+
+  // Vertical pass, then undo the premultiplication
+  const output = new ImageData(width, height);
+  const out = output.data;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (const [sy, weight] of yWeights[y]) {
+        const i = (sy * width + x) * 4;
+        r += horizontal[i] * weight;
+        g += horizontal[i + 1] * weight;
+        b += horizontal[i + 2] * weight;
+        a += horizontal[i + 3] * weight;
+      }
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+        out[o + 3] = Math.round(a);
+      }
+    }
+  }
+
+  return output;
+}
@@ -6,10 +6,19 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import {canvasPosToLatLng, debugLog, getDebugLoggingEnabled, saveDebugLoggingEnabled, updateColorAvailability, loadColorAvailability} from './utils.js';
+import {canvasPosToLatLng, parseCoordinates, colorpalette, debugLog, escapeHTML, getDebugLoggingEnabled, saveDebugLoggingEnabled, updateColorAvailability, loadColorAvailability} from './utils.js';
 import * as icons from './icons.js';
 import * as ArtExtractor from './artExtractor.js';
 import * as TemplatePlacer from './templatePlacer.js';
+import * as PixelEditor from './pixelEditor.js';
+import * as TemplateTransforms from './templateTransforms.js';
+import * as RegionSelector from './regionSelector.js';
+import * as Timelapse from './timelapse.js';
+import * as PaletteQuantizer from './paletteQuantizer.js';
+import * as ImageResize from './imageResize.js';
+import * as TemplateStorage from './templateStorage.js';
+import * as TemplateShare from './templateShare.js';
+import * as TemplateSubscriptions from './templateSubscriptions.js';
 import {
     getCachedTileCount,
     getSmartCacheStats,
@@ -70,7 +79,8 @@ const TEMPLATE_SORTING_OPTIONS = [
   { value: 'status-enabled', text: 'Enabled First' },
   { value: 'status-disabled', text: 'Disabled First' },
   { value: 'id-asc', text: 'Oldest First' },
-  { value: 'id-desc', text: 'Newest First' }
+  { value: 'id-desc', text: 'Newest First' },
+  { value: 'draw-order', text: 'Draw Order (drag to reorder)' }
 ];
 
 /** Injects code into the client
@@ -936,6 +946,7 @@ const observers = new Observers(); // Constructs a new Observers object
 const overlayMain = new Overlay(name, version); // Constructs a new Overlay object for the main overlay
 const overlayTabTemplate = new Overlay(name, version); // Constructs a Overlay object for the template tab
 const templateManager = new TemplateManager(name, version, overlayMain); // Constructs a new TemplateManager object
+templateManager.setDuplicateTemplateHandler(showDuplicateTemplateDialog); // Ask before replacing identical templates
 
 // Initialize error map mode from storage
 templateManager.setErrorMapMode(getErrorMapEnabled());
@@ -1190,16 +1201,7 @@ async function loadTemplates() {
       debugLog(`Loaded ${templateCount} templates from ${storageSource}`);
     }
     
-    // Update Color Menu after templates are loaded
-    setTimeout(() => {
-      if (typeof clearColorMenuCache === 'function') {
-        clearColorMenuCache();
-      }
-      if (typeof updateColorMenuDisplay === 'function') {
-        updateColorMenuDisplay(true, true);
-        debugLog('Color Menu initialized after template load');
-      }
-    }, 500);
+    refreshColorMenuAfterLoad();
     
   } catch (importError) {
     console.error('Template import failed:', importError);
@@ -1226,6 +1228,107 @@ async function loadTemplates() {
   }
 }
 
+/** Updates the Color Menu once loaded templates had time to finish parsing.
+ * @since 0.91.22
+ */
+function refreshColorMenuAfterLoad() {
+  setTimeout(() => {
+    if (typeof clearColorMenuCache === 'function') {
+      clearColorMenuCache();
+    }
+    if (typeof updateColorMenuDisplay === 'function') {
+      updateColorMenuDisplay(true, true);
+      debugLog('Color Menu initialized after template load');
+    }
+  }, 500);
+}
+
+/** Refreshes the template overlay, tracker and color menu after a subscription changed templates.
+ * @since 0.91.22
+ */
+function refreshAfterSubscriptionUpdate() {
+  invalidateTemplateCache();
+  updateMiniTracker();
+  refreshColorMenuAfterLoad();
+  refreshTemplateDisplay().catch(error => console.warn('Warning: Failed to refresh template display:', error));
+}
+
+/** Describes the state of a template subscription, e.g. "updated 5 minutes ago".
+ * @param {Object} subscription - An entry of {@link TemplateSubscriptions.getSubscriptions}
+ * @returns {string}
+ * @since 0.91.22
+ */
+function describeSubscriptionStatus(subscription) {
+  const ago = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.floor(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  };
+
+  if (subscription.checking) return 'checking…';
+  if (subscription.lastError) return `failed ${ago(subscription.lastCheckedAt)}: ${subscription.lastError}`;
+  if (!subscription.lastCheckedAt) return 'not checked yet';
+  const updated = subscription.lastUpdatedAt ? `updated ${ago(subscription.lastUpdatedAt)}` : 'never updated';
+  return `${updated}, checked ${ago(subscription.lastCheckedAt)}`;
+}
+
+/** Reads when templates were last written to the legacy (chunked userscript) storage.
+ * Saves fall back to it if IndexedDB fails, so a newer timestamp means IndexedDB is out of date.
+ * @returns {Promise<number>} The newest timestamp of TamperMonkey and localStorage, 0 if there is none
+ * @since 0.91.22
+ */
+async function getLegacyTemplatesTimestamp() {
+  let timestamp = 0;
+  try {
+    if (typeof GM !== 'undefined' && GM.getValue) {
+      timestamp = Number(await GM.getValue('bmTemplates_timestamp', 0)) || 0;
+    } else if (typeof GM_getValue !== 'undefined') {
+      timestamp = Number(GM_getValue('bmTemplates_timestamp', 0)) || 0;
+    }
+  } catch (_) {}
+  try {
+    timestamp = Math.max(timestamp, parseInt(localStorage.getItem('bmTemplates_timestamp') || '0') || 0);
+  } catch (_) {}
+  return timestamp;
+}
+
+/** Loads templates from IndexedDB, or from the legacy storage which is then moved into IndexedDB.
+ * The legacy keys are only removed after the IndexedDB copy was verified. The template revision history is read first,
+ * after moving any of it that was saved to userscript storage (while IndexedDB was unavailable) into IndexedDB.
+ * @since 0.91.22
+ */
+async function loadTemplateLibrary() {
+  if (TemplateStorage.isTemplateStoreSupported()) {
+    await TemplateStorage.migrateLegacyRevisions();
+  }
+  await templateManager.loadRevisionHistory();
+
+  if (await templateManager.loadFromTemplateStore(await getLegacyTemplatesTimestamp())) {
+    refreshColorMenuAfterLoad();
+    return;
+  }
+
+  // Saves that fell back to userscript storage are checksummed generations; older saves use the unversioned keys
+  const generation = await TemplateStorage.loadTemplateGeneration();
+  if (generation) {
+    templateManager.importJSON(generation.json);
+    debugLog(`Loaded ${Object.keys(generation.json?.templates || {}).length} templates from ${generation.source}`);
+    refreshColorMenuAfterLoad();
+  } else {
+    await migrateAndValidateStorage();
+    await loadTemplates();
+  }
+
+  if (await templateManager.migrateToTemplateStore()) {
+    await cleanupCorruptedStorage('tm');
+    await cleanupCorruptedStorage('ls');
+    await TemplateStorage.clearTemplateGenerations();
+    debugLog('Legacy template storage replaced by IndexedDB');
+  }
+}
+
 // Emergency data recovery function
 async function attemptEmergencyRecovery() {
   debugLog('Starting emergency data recovery...');
@@ -1554,10 +1657,26 @@ async function storeDataChunked(storageType, data, timestamp) {
 
 
 
-// Load templates on startup - run migration first to ensure data consistency, then load
-migrateAndValidateStorage()
-  .then(() => loadTemplates())
-  .catch(error => console.error('Template loading failed:', error));
+// Load templates on startup - IndexedDB first, otherwise validate, load and migrate the legacy storage
+loadTemplateLibrary()
+  .catch(error => console.error('Template loading failed:', error))
+  .finally(() => {
+    checkSharedTemplateFragment();
+    TemplateSubscriptions.startSubscriptionUpdates(templateManager, refreshAfterSubscriptionUpdate);
+  });
+window.addEventListener('hashchange', checkSharedTemplateFragment); // Share links opened while Wplace is already loaded
+
+// Pasting a share code or link anywhere outside a text field offers to import it
+document.addEventListener('paste', (event) => {
+  const target = event.target;
+  if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+  const code = TemplateShare.findShareCode(event.clipboardData?.getData('text') || '', templateManager.encodingBase);
+  if (!code) return;
+
+  event.preventDefault();
+  showShareImportDialog(overlayMain, code, false);
+});
 
 buildOverlayMain(); // Builds the main overlay
 
@@ -1813,6 +1932,9 @@ function deleteAllTemplates(instance) {
  */
 function performDeleteAllTemplates(instance, templateCount, templateText) {
   try {
+    // Keep a backup so the deletion can be undone from Settings. The library is serialized before the await
+    templateManager.backupTemplatesNow().catch(error => console.warn('⚠️ Backup before deleting all templates failed:', error));
+
     // Clear templates from memory
     if (templateManager) {
       templateManager.templatesArray = [];
@@ -1842,6 +1964,10 @@ function performDeleteAllTemplates(instance, templateCount, templateText) {
     } catch (error) {
       console.warn('⚠️ Failed to clear localStorage:', error);
     }
+
+    // Clear from IndexedDB and the userscript storage generations
+    templateManager.clearStoredTemplates();
+    TemplateStorage.clearTemplateGenerations();
     
     // Force refresh template display to clear any visual templates
     if (typeof refreshTemplateDisplay === 'function') {
@@ -1944,6 +2070,10 @@ function clearAllStorage(instance) {
           });
         }
         
+        // Clear templates saved in IndexedDB (with their backups and revisions) and the userscript storage generations
+        templateManager.clearStoredTemplates(true);
+        TemplateStorage.clearTemplateGenerations();
+        
         // Clear template manager data
         if (templateManager) {
           templateManager.templatesJSON = null;
@@ -2804,6 +2934,8 @@ function showImportDialog(instance) {
     backdrop-filter: blur(16px);
     max-width: 500px;
     width: 90%;
+    max-height: 90vh;
+    overflow-y: auto;
     padding: 40px;
     text-align: center;
     position: relative;
@@ -2856,7 +2988,7 @@ function showImportDialog(instance) {
   }
 
   const dropText = document.createElement('p');
-  dropText.innerHTML = 'Drag & drop your JSON file here<br>or <strong>click to browse</strong>';
+  dropText.innerHTML = 'Drag & drop your template file here<br>or <strong>click to browse</strong>';
   dropText.style.cssText = `
     margin: 0;
     color: #94a3b8;
@@ -2870,9 +3002,218 @@ function showImportDialog(instance) {
   // Hidden file input
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.json,application/json';
+  fileInput.accept = '.json,.txt,application/json,text/plain';
   fileInput.style.display = 'none';
 
+  const formatsHint = document.createElement('p');
+  formatsHint.textContent = 'Blue Marble, Overlay Pro / Goatlas and osu!place JSON, or one "image URL tileX tileY pixelX pixelY" per line';
+  formatsHint.style.cssText = `
+    margin: 0 0 12px 0;
+    color: #64748b;
+    font-size: 0.85em;
+  `;
+
+  // Pasting covers image URLs and JSON copied from other tools
+  const pasteInput = document.createElement('textarea');
+  pasteInput.placeholder = 'Or paste template JSON / image URL + coordinates here';
+  pasteInput.rows = 3;
+  pasteInput.style.cssText = `
+    width: 100%;
+    box-sizing: border-box;
+    padding: 10px;
+    background: #0f172a;
+    color: #f1f5f9;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+    font-size: 12px;
+    resize: vertical;
+  `;
+
+  const pasteButton = document.createElement('button');
+  pasteButton.textContent = 'Import pasted text';
+  pasteButton.style.cssText = `
+    margin-top: 8px;
+    width: 100%;
+    padding: 10px;
+    background: #3b82f6;
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-weight: 600;
+    cursor: pointer;
+  `;
+
+  // Lists what the importer could not carry over
+  const importReport = document.createElement('div');
+  importReport.style.cssText = `
+    display: none;
+    margin-top: 16px;
+    padding: 12px;
+    max-height: 180px;
+    overflow-y: auto;
+    text-align: left;
+    background: rgba(245, 158, 11, 0.1);
+    border: 1px solid rgba(245, 158, 11, 0.4);
+    border-radius: 8px;
+    color: #fcd34d;
+    font-size: 0.85em;
+  `;
+
+  // Subscriptions keep templates in sync with a file an alliance publishes at a URL
+  const subscribeSection = document.createElement('div');
+  subscribeSection.style.cssText = `
+    margin-top: 20px;
+    padding-top: 16px;
+    border-top: 1px solid #334155;
+    text-align: left;
+  `;
+
+  const subscribeTitle = document.createElement('div');
+  subscribeTitle.textContent = 'Subscribe to URL';
+  subscribeTitle.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+
+  const subscribeHint = document.createElement('div');
+  subscribeHint.textContent = 'Checked regularly; changed templates are updated in place and keep your color settings';
+  subscribeHint.style.cssText = 'color: #64748b; font-size: 0.85em; margin-bottom: 8px;';
+
+  const subscribeRow = document.createElement('div');
+  subscribeRow.style.cssText = 'display: flex; gap: 8px;';
+
+  const subscribeInput = document.createElement('input');
+  subscribeInput.type = 'url';
+  subscribeInput.placeholder = 'https://example.com/templates.json';
+  subscribeInput.style.cssText = `
+    flex: 1;
+    min-width: 0;
+    padding: 8px 10px;
+    background: #0f172a;
+    color: #f1f5f9;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    font-size: 0.9em;
+  `;
+
+  const intervalSelect = document.createElement('select');
+  intervalSelect.title = 'How often the URL is checked';
+  intervalSelect.style.cssText = `
+    padding: 8px;
+    background: #0f172a;
+    color: #f1f5f9;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    font-size: 0.9em;
+  `;
+  [[5, '5 min'], [15, '15 min'], [30, '30 min'], [60, '1 hour'], [360, '6 hours']].forEach(([minutes, label]) => {
+    const option = document.createElement('option');
+    option.value = String(minutes);
+    option.textContent = label;
+    option.selected = minutes === 30;
+    intervalSelect.appendChild(option);
+  });
+
+  const subscribeButton = document.createElement('button');
+  subscribeButton.textContent = 'Subscribe';
+  subscribeButton.style.cssText = `
+    padding: 8px 14px;
+    background: #3b82f6;
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-weight: 600;
+    cursor: pointer;
+  `;
+
+  const subscriptionList = document.createElement('div');
+  subscriptionList.style.cssText = 'margin-top: 10px; max-height: 160px; overflow-y: auto;';
+
+  const smallButtonStyle = `
+    padding: 4px 8px;
+    background: #334155;
+    color: #f1f5f9;
+    border: 1px solid #475569;
+    border-radius: 6px;
+    font-size: 0.8em;
+    cursor: pointer;
+  `;
+
+  const renderSubscriptions = (subscriptions) => {
+    subscriptionList.innerHTML = '';
+
+    for (const subscription of subscriptions) {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px;
+        margin-bottom: 6px;
+        background: #0f172a;
+        border: 1px solid #334155;
+        border-radius: 8px;
+        font-size: 0.85em;
+      `;
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0;';
+      const failed = Boolean(subscription.lastError) && !subscription.checking;
+      info.innerHTML = `<div style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${escapeHTML(subscription.url)}">${escapeHTML(subscription.url)}</div>`
+        + `<div style="color: ${failed ? '#f87171' : '#94a3b8'};">${subscription.templateCount} template${subscription.templateCount === 1 ? '' : 's'} • every ${subscription.intervalMinutes} min • ${escapeHTML(describeSubscriptionStatus(subscription))}</div>`;
+
+      const checkButton = document.createElement('button');
+      checkButton.textContent = 'Check now';
+      checkButton.disabled = subscription.checking;
+      checkButton.style.cssText = smallButtonStyle;
+      checkButton.onclick = async () => {
+        const result = await TemplateSubscriptions.checkSubscription(subscription.id, templateManager);
+        if (result.error) {
+          instance.handleDisplayError(`Subscription check failed: ${result.error}`);
+        } else {
+          instance.handleDisplayStatus(result.changed ? `Subscription updated: ${result.added} added, ${result.updated} updated` : 'Subscription is up to date');
+        }
+      };
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.title = 'Stop following this URL. Its templates are kept.';
+      removeButton.style.cssText = smallButtonStyle + 'color: #fca5a5;';
+      removeButton.onclick = () => TemplateSubscriptions.removeSubscription(subscription.id);
+
+      row.appendChild(info);
+      row.appendChild(checkButton);
+      row.appendChild(removeButton);
+      subscriptionList.appendChild(row);
+    }
+  };
+
+  subscribeButton.onclick = async () => {
+    subscribeButton.disabled = true;
+    try {
+      const result = await TemplateSubscriptions.addSubscription(subscribeInput.value, templateManager, Number(intervalSelect.value));
+      if (result.error) {
+        instance.handleDisplayError(`Subscribed, but the first download failed: ${result.error}`);
+      } else {
+        instance.handleDisplayStatus(`Subscribed - ${result.added || 0} template${result.added === 1 ? '' : 's'} imported`);
+      }
+      subscribeInput.value = '';
+    } catch (error) {
+      instance.handleDisplayError(error.message);
+    } finally {
+      subscribeButton.disabled = false;
+    }
+  };
+
+  TemplateSubscriptions.onSubscriptionsUpdate(renderSubscriptions);
+  renderSubscriptions(TemplateSubscriptions.getSubscriptions());
+
+  subscribeRow.appendChild(subscribeInput);
+  subscribeRow.appendChild(intervalSelect);
+  subscribeRow.appendChild(subscribeButton);
+  subscribeSection.appendChild(subscribeTitle);
+  subscribeSection.appendChild(subscribeHint);
+  subscribeSection.appendChild(subscribeRow);
+  subscribeSection.appendChild(subscriptionList);
+
   // Close button
   const closeBtn = document.createElement('button');
   closeBtn.innerHTML = '×';
@@ -2903,24 +3244,44 @@ function showImportDialog(instance) {
     closeBtn.style.color = '#94a3b8';
   };
 
-  closeBtn.onclick = () => document.body.removeChild(overlay);
+  const closeDialog = () => {
+    TemplateSubscriptions.onSubscriptionsUpdate(null);
+    document.body.removeChild(overlay);
+  };
 
-  // File processing function
-  const processFile = async (file) => {
-    if (!file) return;
-    
+  closeBtn.onclick = closeDialog;
+
+  // Runs the matching importer; the dialog stays open when something could not be mapped
+  const processText = async (text, sourceName) => {
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      await templateManager.importFromObject(data, { merge: true });
-      document.body.removeChild(overlay);
-      instance.handleDisplayStatus(`Imported templates from ${file.name}!`);
+      const result = await templateManager.importTemplates(text);
+
+      if (result.unmapped.length === 0) {
+        closeDialog();
+        instance.handleDisplayStatus(`Imported ${result.imported} template${result.imported === 1 ? '' : 's'} from ${sourceName} (${result.format})!`);
+        return;
+      }
+
+      importReport.innerHTML = `<strong>Imported ${result.imported} template${result.imported === 1 ? '' : 's'} from ${escapeHTML(sourceName)} (${escapeHTML(result.format)}). Not imported:</strong>`
+        + `<ul style="margin: 8px 0 0 0; padding-left: 18px;">${result.unmapped.map(message => `<li>${escapeHTML(message)}</li>`).join('')}</ul>`;
+      importReport.style.display = 'block';
+      instance.handleDisplayStatus(`Imported ${result.imported} template${result.imported === 1 ? '' : 's'} with ${result.unmapped.length} warning${result.unmapped.length === 1 ? '' : 's'}`);
     } catch (e) {
       console.error(e);
-      instance.handleDisplayStatus('Failed to import JSON - please check the file format');
+      instance.handleDisplayStatus(`Failed to import ${sourceName} - ${e.message}`);
     }
   };
 
+  // File processing function
+  const processFile = async (file) => {
+    if (!file) return;
+    await processText(await file.text(), file.name);
+  };
+
+  pasteButton.onclick = () => {
+    if (pasteInput.value.trim()) processText(pasteInput.value, 'pasted text');
+  };
+
   // Event handlers
   fileInput.onchange = () => processFile(fileInput.files?.[0]);
   
@@ -2944,10 +3305,10 @@ function showImportDialog(instance) {
     dropZone.style.background = 'rgba(71, 85, 105, 0.1)';
     
     const file = e.dataTransfer.files?.[0];
-    if (file && file.type === 'application/json') {
+    if (file && (file.type === 'application/json' || file.type === 'text/plain' || /\.(json|txt)$/i.test(file.name))) {
       processFile(file);
     } else {
-      instance.handleDisplayStatus('Please drop a valid JSON file');
+      instance.handleDisplayStatus('Please drop a JSON or text template file');
     }
   };
 
@@ -2955,13 +3316,18 @@ function showImportDialog(instance) {
   container.appendChild(closeBtn);
   container.appendChild(title);
   container.appendChild(dropZone);
+  container.appendChild(formatsHint);
+  container.appendChild(pasteInput);
+  container.appendChild(pasteButton);
+  container.appendChild(importReport);
+  container.appendChild(subscribeSection);
   container.appendChild(fileInput);
   overlay.appendChild(container);
 
   // Close overlay when clicking outside
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) {
-      document.body.removeChild(overlay);
+      closeDialog();
     }
   });
 
@@ -3011,6 +3377,7 @@ function sortTemplateKeys(templateKeys, templates, templateManager, sortMethod)
       templateData.sort((a, b) => b.sortId - a.sortId);
       break;
     case 'id-asc':
+    case 'draw-order':
     default:
       templateData.sort((a, b) => a.sortId - b.sortId);
       break;
@@ -3272,7 +3639,7 @@ function showWrongPixelsDialog(instance) {
  * @since 1.0.0
  */
 function showTemplateManageDialog(instance) {
-  const templates = templateManager?.templatesJSON?.templates || {};
+  let templates = templateManager?.templatesJSON?.templates || {}; // Re-read on render, reordering replaces the object
   const templateKeys = Object.keys(templates);
   
   // Create management dialog
@@ -3355,11 +3722,11 @@ function showTemplateManageDialog(instance) {
           width: 100% !important;
         }
         
-        /* Button container - 5x1 grid layout (linha horizontal) */
+        /* Button container - 4-column grid layout */
         #bm-template-manage-overlay .templateInfoControls {
           max-width: 100% !important;
           display: grid !important;
-          grid-template-columns: repeat(5, 1fr) !important;
+          grid-template-columns: repeat(4, 1fr) !important;
           gap: 6px !important;
           justify-items: stretch !important;
           margin-top: 8px !important;
@@ -3616,6 +3983,105 @@ function showTemplateManageDialog(instance) {
   const currentSort = getTemplateSortMethod();
   sortSelect.value = currentSort;
 
+  // New group button, swaps itself for a name input
+  const newGroupBtn = document.createElement('button');
+  newGroupBtn.textContent = '+ Group';
+  newGroupBtn.title = 'Create a template group';
+  newGroupBtn.style.cssText = `
+    padding: 8px 12px;
+    background: #334155;
+    border: 1px solid #475569;
+    border-radius: 8px;
+    color: #f1f5f9;
+    font-size: 0.9em;
+    font-weight: 600;
+    cursor: pointer;
+  `;
+  newGroupBtn.onclick = () => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Group name';
+    input.style.cssText = `
+      padding: 8px 12px; width: 140px; background: #1f2937; border: 1px solid #60a5fa;
+      border-radius: 8px; color: #f1f5f9; font-size: 0.9em; outline: none;`;
+    const finish = async (commit) => {
+      if (!input.isConnected) return;
+      controlsBar.replaceChild(newGroupBtn, input);
+      const groupName = input.value.trim();
+      if (!commit || !groupName) return;
+      if (await templateManager.createTemplateGroup(groupName)) {
+        instance.handleDisplayStatus(`Created group "${groupName}"`);
+        renderTemplateList();
+      } else {
+        instance.handleDisplayError(`A group named "${groupName}" already exists`);
+      }
+    };
+    input.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Enter') finish(true);
+      else if (ev.key === 'Escape') finish(false);
+      ev.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+    controlsBar.replaceChild(input, newGroupBtn);
+    input.focus();
+  };
+
+  // Search over names and metadata, plus a deadline/owner/tag filter
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search name, notes, owner, #tag...';
+  searchInput.style.cssText = `
+    flex: 1 1 100%;
+    padding: 8px 12px;
+    background: #0f172a;
+    border: 1px solid #475569;
+    border-radius: 8px;
+    color: #f1f5f9;
+    font-size: 0.9em;
+    outline: none;
+    box-sizing: border-box;
+  `;
+  searchInput.addEventListener('keydown', (e) => e.stopPropagation());
+  searchInput.addEventListener('input', () => renderTemplateList());
+
+  const metadataFilterSelect = document.createElement('select');
+  metadataFilterSelect.title = 'Filter templates';
+  metadataFilterSelect.style.cssText = sortSelect.style.cssText;
+  metadataFilterSelect.addEventListener('change', () => renderTemplateList());
+
+  /** Rebuilds the filter options, since tags come and go as metadata is edited */
+  const refreshMetadataFilterOptions = () => {
+    const selected = metadataFilterSelect.value;
+    const options = [
+      ['', 'All templates'],
+      ['overdue', 'Overdue'],
+      ['soon', 'Due within 7 days'],
+      ['deadline', 'Has a deadline'],
+      ['no-owner', 'No owner'],
+      ...templateManager.getTemplateTags().map(tag => [`tag:${tag}`, `#${tag}`])
+    ];
+    metadataFilterSelect.innerHTML = options.map(([value, text]) => `<option value="${escapeHTML(value)}">${escapeHTML(text)}</option>`).join('');
+    metadataFilterSelect.value = options.some(([value]) => value === selected) ? selected : '';
+  };
+
+  const matchesMetadataFilter = (templateKey) => {
+    const filter = metadataFilterSelect.value;
+    if (!filter) return true;
+    if (filter.startsWith('tag:')) return templateManager.getTemplateMetadata(templateKey).tags.includes(filter.slice(4));
+
+    const deadlineStatus = templateManager.getTemplateDeadlineStatus(templateKey);
+    switch (filter) {
+      case 'overdue': return deadlineStatus === 'overdue';
+      case 'soon': return deadlineStatus === 'soon';
+      case 'deadline': return deadlineStatus !== null;
+      case 'no-owner': return !templateManager.getTemplateMetadata(templateKey).owner;
+      default: return true;
+    }
+  };
+
+  controlsBar.appendChild(searchInput);
+  controlsBar.appendChild(metadataFilterSelect);
+  controlsBar.appendChild(newGroupBtn);
   controlsBar.appendChild(sortLabel);
   controlsBar.appendChild(sortSelect);
   
@@ -3635,20 +4101,175 @@ function showTemplateManageDialog(instance) {
     gap: 12px;
   `;
   
+  // Drag-to-reorder state (draw order sorting only)
+  let draggedKey = null;
+  let ungroupedCollapsed = false; // The ungrouped section is not a stored group, its state lasts for this dialog
+
+  /** Moves the dragged template next to another template (or to the end of a group) and rewrites sort IDs */
+  const moveDraggedTemplate = async (groupName, targetKey = null, after = false) => {
+    const movedKey = draggedKey;
+    draggedKey = null;
+    if (!movedKey || movedKey === targetKey) return;
+
+    if ((templates[movedKey].group || '') !== groupName) {
+      await templateManager.setTemplateGroup(movedKey, groupName);
+    }
+
+    // Visual order of every section, with the dragged template in its new place
+    const order = [];
+    for (const group of templateManager.getTemplateGroups()) {
+      const keys = group.keys.filter(key => key !== movedKey);
+      if (group.name === groupName) {
+        const targetIndex = targetKey ? keys.indexOf(targetKey) : -1;
+        keys.splice(targetIndex === -1 ? keys.length : targetIndex + (after ? 1 : 0), 0, movedKey);
+      }
+      order.push(...keys);
+    }
+
+    await templateManager.reorderTemplates(order);
+    invalidateTemplateCache();
+    renderTemplateList();
+    instance.handleDisplayStatus('Template draw order updated');
+  };
+
+  /** Section header for a group: collapse toggle, name, group enable toggle, rename and delete */
+  const buildGroupHeader = (group, keys) => {
+    const isCollapsed = group.name ? group.collapsed : ungroupedCollapsed;
+    const enabledCount = keys.filter(key => templateManager.isTemplateEnabled(key)).length;
+
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      background: #0f172a;
+      border: 1px solid #334155;
+      border-radius: 10px;
+      cursor: pointer;
+      user-select: none;
+    `;
+
+    const caret = document.createElement('span');
+    caret.textContent = isCollapsed ? '▸' : '▾';
+    caret.style.cssText = 'color: #94a3b8; width: 12px;';
+
+    const groupLabel = document.createElement('span');
+    groupLabel.textContent = group.name || 'Ungrouped';
+    groupLabel.style.cssText = `flex: 1; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; ${group.name ? '' : 'color: #94a3b8;'}`;
+
+    const countLabel = document.createElement('span');
+    countLabel.textContent = `${enabledCount}/${keys.length}`;
+    countLabel.title = 'Enabled templates in this group';
+    countLabel.style.cssText = 'color: #94a3b8; font-size: 0.85em;';
+
+    header.append(caret, groupLabel, countLabel);
+
+    if (keys.length > 0) {
+      const allEnabled = enabledCount === keys.length;
+      const groupToggle = document.createElement('button');
+      groupToggle.textContent = allEnabled ? 'Disable all' : 'Enable all';
+      groupToggle.style.cssText = `padding: 4px 10px; border: none; border-radius: 6px; cursor: pointer; font-size: 0.8em; font-weight: 600; ${allEnabled ? 'background: #475569; color: #e2e8f0;' : 'background: linear-gradient(135deg, #10b981, #059669); color: white;'}`;
+      groupToggle.onclick = async (e) => {
+        e.stopPropagation();
+        await templateManager.setTemplateGroupEnabled(group.name, !allEnabled);
+        invalidateTemplateCache();
+        renderTemplateList();
+        instance.handleDisplayStatus(`${allEnabled ? 'Disabled' : 'Enabled'} ${keys.length} template${keys.length === 1 ? '' : 's'} in "${group.name || 'Ungrouped'}"`);
+        setTimeout(() => updateColorMenuDisplay(false, true), 200);
+      };
+      header.appendChild(groupToggle);
+    }
+
+    if (group.name) {
+      const renameGroupBtn = document.createElement('button');
+      renameGroupBtn.innerHTML = icons.pencilIcon;
+      renameGroupBtn.title = 'Rename group';
+      renameGroupBtn.style.cssText = 'padding: 4px 6px; border: 1px solid #475569; border-radius: 6px; cursor: pointer; background: #1f2937; color: #e2e8f0; display: flex;';
+      renameGroupBtn.onclick = (e) => {
+        e.stopPropagation();
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = group.name;
+        input.style.cssText = 'flex: 1; min-width: 0; font-weight: 700; color: #f1f5f9; border: 1px solid #475569; background: #1f2937; border-radius: 6px; padding: 4px 8px; outline: none;';
+        const finish = async (commit) => {
+          if (!input.isConnected) return;
+          header.replaceChild(groupLabel, input);
+          const newName = input.value.trim();
+          if (!commit || !newName || newName === group.name) return;
+          if (await templateManager.renameTemplateGroup(group.name, newName)) {
+            renderTemplateList();
+          } else {
+            instance.handleDisplayError(`A group named "${newName}" already exists`);
+          }
+        };
+        input.addEventListener('click', (ev) => ev.stopPropagation());
+        input.addEventListener('keydown', (ev) => {
+          if (ev.key === 'Enter') finish(true);
+          else if (ev.key === 'Escape') finish(false);
+          ev.stopPropagation();
+        });
+        input.addEventListener('blur', () => finish(true));
+        header.replaceChild(input, groupLabel);
+        input.focus();
+        input.select();
+      };
+
+      const deleteGroupBtn = document.createElement('button');
+      deleteGroupBtn.textContent = '×';
+      deleteGroupBtn.title = 'Delete group (its templates are kept, ungrouped)';
+      deleteGroupBtn.style.cssText = 'padding: 2px 8px; border: 1px solid #475569; border-radius: 6px; cursor: pointer; background: #1f2937; color: #ef4444; font-weight: 700;';
+      deleteGroupBtn.onclick = async (e) => {
+        e.stopPropagation();
+        await templateManager.deleteTemplateGroup(group.name);
+        renderTemplateList();
+        instance.handleDisplayStatus(`Deleted group "${group.name}"`);
+      };
+
+      header.append(renameGroupBtn, deleteGroupBtn);
+    }
+
+    header.onclick = () => {
+      if (group.name) {
+        templateManager.setTemplateGroupCollapsed(group.name, !isCollapsed);
+      } else {
+        ungroupedCollapsed = !isCollapsed;
+      }
+      renderTemplateList();
+    };
+
+    // Dropping on a header moves the template to the end of that group
+    if (sortSelect.value === 'draw-order') {
+      header.addEventListener('dragover', (e) => {
+        if (!draggedKey) return;
+        e.preventDefault();
+        header.style.borderColor = '#60a5fa';
+      });
+      header.addEventListener('dragleave', () => { header.style.borderColor = '#334155'; });
+      header.addEventListener('drop', (e) => {
+        e.preventDefault();
+        header.style.borderColor = '#334155';
+        moveDraggedTemplate(group.name);
+      });
+    }
+
+    return header;
+  };
+
   // Render template list function
   const renderTemplateList = () => {
     // Clear existing list
     templateList.innerHTML = '';
+    templates = templateManager?.templatesJSON?.templates || {};
+    refreshMetadataFilterOptions();
     
     // Get current sort setting
     const sortMethod = sortSelect.value;
-    
-    // Get and process template keys
-    let processedKeys = Object.keys(templates);
-    processedKeys = sortTemplateKeys(processedKeys, templates, templateManager, sortMethod);
+    const groups = templateManager.getTemplateGroups();
+    const showGroups = groups.length > 1; // Without named groups, keep the flat list
     
     // Show empty state if no templates
-    if (processedKeys.length === 0) {
+    if (Object.keys(templates).length === 0 && !showGroups) {
       const emptyState = document.createElement('div');
       emptyState.style.cssText = `
         text-align: center;
@@ -3664,7 +4285,7 @@ function showTemplateManageDialog(instance) {
       return;
     }
   
-  processedKeys.forEach(templateKey => {
+  const buildTemplateItem = (templateKey) => {
     const template = templates[templateKey];
     const templateName = template.name || `Template ${templateKey}`;
     const templateCoords = template.coords || 'Unknown location';
@@ -3783,15 +4404,100 @@ function showTemplateManageDialog(instance) {
     templateInfo.appendChild(nameRow);
     templateInfo.appendChild(infoSpan);
     templateInfo.appendChild(coordsSpan);
-    
-    // Button container
-    const buttonContainer = document.createElement('div');
-    buttonContainer.classList.add('templateInfoControls');
-    buttonContainer.style.cssText = `
-      display: flex;
-      gap: 8px;
-      align-items: center;
-    `;
+
+    // Metadata summary: tags, owner, deadline, source link and a notes hint
+    const metadata = templateManager.getTemplateMetadata(templateKey);
+    const deadlineStatus = templateManager.getTemplateDeadlineStatus(templateKey);
+    if (metadata.tags.length || metadata.owner || metadata.deadline || metadata.sourceUrl || metadata.notes) {
+      const metadataRow = document.createElement('div');
+      metadataRow.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 4px 6px; margin-top: 6px; font-size: 0.75em; color: #cbd5e1;';
+
+      metadata.tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.textContent = `#${tag}`;
+        chip.title = 'Show templates with this tag';
+        chip.style.cssText = 'padding: 1px 6px; background: #1e3a5f; color: #93c5fd; border-radius: 999px; cursor: pointer;';
+        chip.onclick = (e) => {
+          e.stopPropagation();
+          metadataFilterSelect.value = `tag:${tag}`;
+          renderTemplateList();
+        };
+        metadataRow.appendChild(chip);
+      });
+
+      if (metadata.owner) {
+        const owner = document.createElement('span');
+        owner.textContent = `👤 ${metadata.owner}`;
+        metadataRow.appendChild(owner);
+      }
+
+      if (metadata.deadline) {
+        const deadline = document.createElement('span');
+        deadline.textContent = `⏰ ${deadlineStatus === 'overdue' ? 'Overdue' : 'Due'} ${metadata.deadline}`;
+        deadline.style.color = deadlineStatus === 'overdue' ? '#f87171' : deadlineStatus === 'soon' ? '#fbbf24' : '#cbd5e1';
+        metadataRow.appendChild(deadline);
+      }
+
+      if (metadata.sourceUrl) {
+        const source = document.createElement('a');
+        source.href = metadata.sourceUrl;
+        source.target = '_blank';
+        source.rel = 'noopener noreferrer';
+        source.textContent = '🔗 Source';
+        source.title = metadata.sourceUrl;
+        source.style.cssText = 'color: #60a5fa; text-decoration: none;';
+        source.onclick = (e) => e.stopPropagation();
+        metadataRow.appendChild(source);
+      }
+
+      if (metadata.notes) {
+        const notes = document.createElement('span');
+        notes.textContent = '📝 Notes';
+        notes.title = metadata.notes;
+        notes.style.cursor = 'help';
+        metadataRow.appendChild(notes);
+      }
+
+      templateInfo.appendChild(metadataRow);
+    }
+
+    // Group picker
+    if (showGroups) {
+      const groupSelect = document.createElement('select');
+      groupSelect.title = 'Move to group';
+      groupSelect.style.cssText = `
+        margin-top: 6px;
+        padding: 3px 6px;
+        max-width: 100%;
+        background: #1f2937;
+        border: 1px solid #475569;
+        border-radius: 6px;
+        color: #cbd5e1;
+        font-size: 0.75em;
+        cursor: pointer;
+      `;
+      for (const group of groups) {
+        const option = document.createElement('option');
+        option.value = group.name;
+        option.textContent = group.name || 'No group';
+        groupSelect.appendChild(option);
+      }
+      groupSelect.value = template.group || '';
+      groupSelect.onchange = async () => {
+        await templateManager.setTemplateGroup(templateKey, groupSelect.value);
+        renderTemplateList();
+      };
+      templateInfo.appendChild(groupSelect);
+    }
+    
+    // Button container
+    const buttonContainer = document.createElement('div');
+    buttonContainer.classList.add('templateInfoControls');
+    buttonContainer.style.cssText = `
+      display: flex;
+      gap: 8px;
+      align-items: center;
+    `;
     
     // Export button
     const exportBtn = document.createElement('button');
@@ -3816,6 +4522,29 @@ function showTemplateManageDialog(instance) {
       instance.handleDisplayStatus(`Exported "${templateName}"`);
     };
 
+    // Share button
+    const shareBtn = document.createElement('button');
+    shareBtn.innerHTML = icons.shareIcon;
+    shareBtn.title = 'Share this template as a code or link';
+    shareBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #14b8a6, #0d9488);
+      color: white;
+    `;
+
+    shareBtn.onclick = (e) => {
+      e.stopPropagation();
+      showTemplateShareDialog(instance, templateKey, templateName);
+    };
+
     // Move button
     const moveBtn = document.createElement('button');
     moveBtn.innerHTML = icons.templatePlacerIcon;
@@ -3839,6 +4568,103 @@ function showTemplateManageDialog(instance) {
       document.body.removeChild(overlay);
       await moveTemplateFlow(instance, templateManager, templateKey, templateName);
     };
+
+    // Edit button
+    const editBtn = document.createElement('button');
+    editBtn.innerHTML = icons.pixelEditIcon;
+    editBtn.title = 'Edit pixels of this template';
+    editBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #06b6d4, #0891b2);
+      color: white;
+    `;
+
+    editBtn.onclick = async () => {
+      instance.handleDisplayStatus(`Reconstructing "${templateName}" image...`);
+      document.body.removeChild(overlay);
+      await editTemplateFlow(instance, templateManager, templateKey, templateName);
+    };
+
+    // Crop / split button
+    const transformBtn = document.createElement('button');
+    transformBtn.innerHTML = icons.scissorsIcon;
+    transformBtn.title = 'Crop or split this template';
+    transformBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #ec4899, #db2777);
+      color: white;
+    `;
+
+    transformBtn.onclick = (e) => {
+      e.stopPropagation();
+      showTemplateTransformDialog(instance, templateKey, templateName, () => document.body.removeChild(overlay));
+    };
+
+    // Details (metadata) button
+    const detailsBtn = document.createElement('button');
+    detailsBtn.innerHTML = icons.tagIcon;
+    detailsBtn.title = 'Notes, tags, owner, deadline and source link';
+    detailsBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #0ea5e9, #0284c7);
+      color: white;
+    `;
+
+    detailsBtn.onclick = (e) => {
+      e.stopPropagation();
+      showTemplateMetadataDialog(instance, templateKey, templateName, renderTemplateList);
+    };
+
+    // Revision history button
+    const revisionCount = templateManager.getTemplateRevisions(templateKey).length;
+    const historyBtn = document.createElement('button');
+    historyBtn.innerHTML = icons.historyIcon;
+    historyBtn.title = revisionCount > 0
+      ? `Revision history (${revisionCount} earlier version${revisionCount === 1 ? '' : 's'})`
+      : 'Revision history (no earlier versions yet)';
+    historyBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #8b5cf6, #7c3aed);
+      color: white;
+      ${revisionCount === 0 ? 'opacity: 0.5;' : ''}
+    `;
+
+    historyBtn.onclick = (e) => {
+      e.stopPropagation();
+      showTemplateRevisionsDialog(instance, templateKey, templateName, () => document.body.removeChild(overlay));
+    };
     
     // Toggle button
     const toggleBtn = document.createElement('button');
@@ -3977,7 +4803,7 @@ function showTemplateManageDialog(instance) {
               debugLog(`🗑️ Deleted template: ${templateName} (${templateKey})`);
               
               // Check if there are no more templates left
-              const remainingTemplates = templateList.children.length;
+              const remainingTemplates = Object.keys(templateManager.templatesJSON?.templates || {}).length;
               if (remainingTemplates === 0) {
                 // Close the dialog if no templates remain
                 document.body.removeChild(overlay);
@@ -3996,15 +4822,79 @@ function showTemplateManageDialog(instance) {
     };
 
     buttonContainer.appendChild(exportBtn);
+    buttonContainer.appendChild(shareBtn);
     buttonContainer.appendChild(moveBtn);
+    buttonContainer.appendChild(editBtn);
+    buttonContainer.appendChild(transformBtn);
+    buttonContainer.appendChild(historyBtn);
+    buttonContainer.appendChild(detailsBtn);
     buttonContainer.appendChild(flyBtn);
     buttonContainer.appendChild(deleteBtn);
     buttonContainer.appendChild(toggleBtn);
     
     templateItem.appendChild(templateInfo);
     templateItem.appendChild(buttonContainer);
-    templateList.appendChild(templateItem);
-  });
+
+    // Drag to reorder, the drop position is shown as a line above or below the target
+    if (sortMethod === 'draw-order') {
+      templateItem.draggable = true;
+      templateItem.style.cursor = 'grab';
+      templateItem.addEventListener('dragstart', (e) => {
+        draggedKey = templateKey;
+        e.dataTransfer.effectAllowed = 'move';
+        templateItem.style.opacity = '0.5';
+      });
+      templateItem.addEventListener('dragend', () => {
+        templateItem.style.opacity = '';
+      });
+      const dropAfter = (e) => e.clientY > templateItem.getBoundingClientRect().top + templateItem.offsetHeight / 2;
+      templateItem.addEventListener('dragover', (e) => {
+        if (!draggedKey || draggedKey === templateKey) return;
+        e.preventDefault();
+        templateItem.style.boxShadow = dropAfter(e) ? '0 3px 0 #60a5fa' : '0 -3px 0 #60a5fa';
+      });
+      templateItem.addEventListener('dragleave', () => { templateItem.style.boxShadow = ''; });
+      templateItem.addEventListener('drop', (e) => {
+        e.preventDefault();
+        templateItem.style.boxShadow = '';
+        moveDraggedTemplate(template.group || '', templateKey, dropAfter(e));
+      });
+    }
+
+    return templateItem;
+  };
+
+    if (sortMethod === 'draw-order') {
+      const orderHint = document.createElement('div');
+      orderHint.textContent = 'Drag templates to reorder. Templates further down are drawn on top.';
+      orderHint.style.cssText = 'font-size: 0.8em; color: #94a3b8;';
+      templateList.appendChild(orderHint);
+    }
+
+    const isFiltering = !!(searchInput.value.trim() || metadataFilterSelect.value);
+    let matchCount = 0;
+
+    for (const group of groups) {
+      if (showGroups && !group.name && group.keys.length === 0) continue; // No ungrouped templates left
+
+      const matchingKeys = group.keys.filter(templateKey => templateManager.templateMatchesQuery(templateKey, searchInput.value) && matchesMetadataFilter(templateKey));
+      if (isFiltering && matchingKeys.length === 0) continue; // Hide groups without matches while searching
+      matchCount += matchingKeys.length;
+
+      const keys = sortTemplateKeys(matchingKeys, templates, templateManager, sortMethod);
+      if (showGroups) {
+        templateList.appendChild(buildGroupHeader(group, keys));
+        if (group.name ? group.collapsed : ungroupedCollapsed) continue;
+      }
+      keys.forEach(templateKey => templateList.appendChild(buildTemplateItem(templateKey)));
+    }
+
+    if (isFiltering && matchCount === 0) {
+      const noMatches = document.createElement('div');
+      noMatches.textContent = 'No templates match the search or filter.';
+      noMatches.style.cssText = 'text-align: center; padding: 24px; color: #64748b;';
+      templateList.appendChild(noMatches);
+    }
   }; // End of renderTemplateList function
   
   // Sort change handler
@@ -4061,8 +4951,20 @@ function showTemplateManageDialog(instance) {
       }
     });
   };
+  const mergeBtn = document.createElement('button');
+  mergeBtn.textContent = 'Merge...';
+  mergeBtn.title = 'Merge several templates into one';
+  mergeBtn.style.cssText = `padding: 10px 16px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: linear-gradient(135deg,#ec4899,#db2777); color: white;`;
+  mergeBtn.onclick = () => showMergeTemplatesDialog(instance, () => document.body.removeChild(overlay));
+  const overlapsBtn = document.createElement('button');
+  overlapsBtn.textContent = 'Overlaps...';
+  overlapsBtn.title = 'Find enabled templates that share pixels and pick which one wins';
+  overlapsBtn.style.cssText = `padding: 10px 16px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: linear-gradient(135deg,#f59e0b,#d97706); color: white;`;
+  overlapsBtn.onclick = () => showTemplateOverlapsDialog(instance, renderTemplateList);
   footer.appendChild(enableAllBtn);
   footer.appendChild(disableAllBtn);
+  footer.appendChild(mergeBtn);
+  footer.appendChild(overlapsBtn);
   
   // Assemble the interface
   container.appendChild(header);
@@ -4082,1888 +4984,3567 @@ function showTemplateManageDialog(instance) {
   document.body.appendChild(overlay);
 }
 
-/** Deploys the overlay to the page with minimize/maximize functionality.
- * Creates a responsive overlay UI that can toggle between full-featured and minimized states.
- * 
- * Parent/child relationships in the DOM structure below are indicated by indentation.
- * @since 0.58.3
+/** Lists the earlier versions of a template, with preview and restore.
+ * Opened on top of the Manage Templates dialog.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} templateKey - The template key (e.g., "0 $Z")
+ * @param {string} templateName - Display name
+ * @param {Function} closeManageDialog - Closes the Manage Templates dialog (so the map is visible while previewing)
+ * @since 0.91.22
  */
-function buildOverlayMain() {
-  let isMinimized = false; // Overlay state tracker (false = maximized, true = minimized)
-  
-  overlayMain.addDiv({'id': 'bm-overlay', 'style': 'top: 10px; right: 75px;'})
-    .addDiv({'id': 'bm-contain-header'})
-      .addDiv({'id': 'bm-bar-drag'}).buildElement()
-      .addDiv({'id': 'bm-title-container'})
-        .addImg({'alt': 'Blue Marble Icon - Click to minimize/maximize', 'src': 'https://raw.githubusercontent.com/Seris0/Wplace-SkirkMarble/main/dist/assets/Favicon.png', 'style': 'cursor: pointer; width: 42px; height: 42px;'}, 
-          (instance, img) => {
-          /** Click event handler for overlay minimize/maximize functionality.
-           * 
-           * Toggles between two distinct UI states:
-           * 1. MINIMIZED STATE (60×76px):
-           *    - Shows only the Blue Marble icon and drag bar
-           *    - Hides all input fields, buttons, and status information
-           *    - Applies fixed dimensions for consistent appearance
-           *    - Repositions icon with 3px right offset for visual centering
-           * 
-           * 2. MAXIMIZED STATE (responsive):
-           *    - Restores full functionality with all UI elements
-           *    - Removes fixed dimensions to allow responsive behavior
-           *    - Resets icon positioning to default alignment
-           *    - Shows success message when returning to maximized state
-           * 
-           * @param {Event} event - The click event object (implicit)
-           */
-          img.addEventListener('click', () => {
-            isMinimized = !isMinimized; // Toggle the current state
+function showTemplateRevisionsDialog(instance, templateKey, templateName, closeManageDialog) {
+  const reasonLabels = {
+    'replace': 'Before replace',
+    'merge': 'Before re-upload',
+    'move': 'Before move',
+    'restore': 'Before restore',
+    'edit': 'Before edit',
+    'crop': 'Before crop',
+    'subscription': 'Before subscription update'
+  };
 
-            const overlay = document.querySelector('#bm-overlay');
-            const header = document.querySelector('#bm-contain-header');
-            const dragBar = document.querySelector('#bm-bar-drag');
-            const uploadButton = document.querySelector('#bm-button-upload-template');
-            const manageButton = document.querySelector('#bm-button-manage');
-            const pauseButton = document.querySelector('#bm-button-pause-tiles');
-            const colorFilterButton = document.getElementById('bm-button-color-filter');
-            
-            // Pre-restore original dimensions when switching to maximized state
-            // This ensures smooth transition and prevents layout issues
-            if (!isMinimized) {
-              overlay.style.width = "";
-              overlay.style.height = "";
-              overlay.style.maxWidth = "";
-              overlay.style.minWidth = "";
-              overlay.style.padding = "10px";
-            }
-            
-            // Define elements that should be hidden/shown during state transitions
-            // Each element is documented with its purpose for maintainability
-                          const elementsToToggle = [
-                '#bm-overlay h1',                    // Main title "Blue Marble"
-                '#bm-contain-userinfo',              // User information section (username, droplets, level)
-                '#bm-overlay #bm-separator',         // Visual separator lines
-                '#bm-contain-automation', // Automation section
-                '#bm-contain-buttons-action',        // Action buttons container
-                `#${instance.outputStatusId}`        // Status log textarea for user feedback
-              ];
-            
-            // Apply visibility changes to all toggleable elements
-            elementsToToggle.forEach(selector => {
-              const elements = document.querySelectorAll(selector);
-              elements.forEach(element => {
-                element.style.display = isMinimized ? 'none' : '';
-              });
-            });
-            // Handle coordinate container and button visibility based on state
-            if (isMinimized) {
-              // ==================== MINIMIZED STATE CONFIGURATION ====================
-              // In minimized state, we hide ALL interactive elements except the icon and drag bar
-              // This creates a clean, unobtrusive interface that maintains only essential functionality
-              
-              // Hide create template button
-              if (uploadButton) {
-                uploadButton.style.display = 'none';
-              }
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-template-revisions-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.6);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
 
-              // Hide manage templates button
-              if (manageButton) {
-                manageButton.style.display = 'none';
-              }
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 460px;
+    width: 90%;
+    max-height: 80vh;
+    overflow-y: auto;
+    padding: 24px;
+    box-sizing: border-box;
+  `;
 
-              // Hide pause tiles button
-              if (pauseButton) {
-                pauseButton.style.display = 'none';
-              }
+  const title = document.createElement('h3');
+  title.textContent = `History of "${templateName}"`;
+  title.style.cssText = 'margin: 0 0 6px 0; font-size: 1.2em; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
 
+  const hint = document.createElement('p');
+  hint.textContent = `Earlier versions are saved when the template is replaced, re-uploaded, moved, edited or cropped (last ${templateManager.maxTemplateRevisions} kept).`;
+  hint.style.cssText = 'margin: 0 0 16px 0; color: #94a3b8; font-size: 0.85em;';
 
-              // Keep Color Filter button visible but compact in minimized state
-              if (colorFilterButton) {
-                // Ensure the container chain is visible
-                let parent = colorFilterButton.parentElement;
-                for (let i = 0; i < 3 && parent; i++) {
-                  parent.style.display = '';
-                  parent = parent.parentElement;
-                }
+  const list = document.createElement('div');
+  list.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
 
-                // Normalize the immediate container to center the compact button
-                const btnContainer = colorFilterButton.parentElement;
-                if (btnContainer) {
-                  btnContainer.style.display = 'flex';
-                  btnContainer.style.justifyContent = 'center';
-                  btnContainer.style.alignItems = 'center';
-                  btnContainer.style.gap = '0';
-                  btnContainer.style.position = 'relative';
-                  btnContainer.style.height = '44px'; // Fixed height to contain the absolute positioned button
-                  // clear grid constraints if any
-                  btnContainer.style.gridTemplateColumns = 'unset';
-                }
+  const close = () => overlay.remove();
 
-                // Save original innerHTML once
-                if (!colorFilterButton.dataset.originalHtml) {
-                  colorFilterButton.dataset.originalHtml = colorFilterButton.innerHTML;
-                }
-                // Reduce to icon-only
-                const svg = colorFilterButton.querySelector('svg');
-                if (svg) {
-                  colorFilterButton.innerHTML = svg.outerHTML;
-                }
+  const refreshMap = () => {
+    invalidateTemplateCache();
+    setTimeout(() => {
+      updateMiniTracker();
+      updateColorMenuDisplay(false, true);
+    }, 500);
+  };
 
-                // Compact styling to fit the 60px overlay (inner content width = 60 - 2*8 padding = 44px)
-                colorFilterButton.style.width = '56px';
-                colorFilterButton.style.height = '38px';
-                colorFilterButton.style.padding = '0';
-                colorFilterButton.style.gap = '0';
-                colorFilterButton.style.fontSize = '0';
-                colorFilterButton.style.overflow = 'hidden';
-                colorFilterButton.style.borderRadius = '8px';
-                colorFilterButton.style.animation = 'none';
-                colorFilterButton.style.gridColumn = 'auto';
-                colorFilterButton.style.margin = '2px auto 0';
-                colorFilterButton.style.display = 'flex';
-                colorFilterButton.style.alignItems = 'center';
-                colorFilterButton.style.justifyContent = 'center';
-                colorFilterButton.style.alignSelf = 'center';
-                colorFilterButton.style.position = 'absolute';
-                colorFilterButton.style.left = '50%';
-                colorFilterButton.style.transform = 'translateX(-50%)';
-                colorFilterButton.style.zIndex = '1000';
-                // Tweak SVG size
-                const icon = colorFilterButton.querySelector('svg');
-                if (icon) {
-                  icon.style.width = '18px';
-                  icon.style.height = '18px';
-                  icon.style.display = 'block';
-                  icon.style.margin = '0 auto';
-                }
-              }
-              
-              // Apply fixed dimensions for consistent minimized appearance
-              // These dimensions were chosen to accommodate the icon while remaining compact
-              // Increase width to accommodate compact Color Filter button (56px) + padding
-              overlay.style.width = '72px';    // 56px button + 6px*2 padding
-              overlay.style.height = '76px';   // Keep height consistent
-              overlay.style.maxWidth = '72px';  // Prevent expansion
-              overlay.style.minWidth = '72px';  // Prevent shrinking
-              overlay.style.padding = '6px';    // Reduced padding for tighter layout
-              
-                             // Apply icon positioning for better visual centering in minimized state
-               img.style.margin = '0.3rem 0 0 0';
-              
-              // Configure header layout for minimized state
-              header.style.textAlign = 'center';
-              header.style.margin = '0';
-              header.style.marginBottom = '0';
-              
-              // Ensure drag bar remains visible and properly spaced
-              if (dragBar) {
-                dragBar.style.display = '';
-                dragBar.style.marginBottom = '0.1em';
-              }
-            } else {
-              // ==================== MAXIMIZED STATE RESTORATION ====================
-              // In maximized state, we restore all elements to their default functionality
-              // This involves clearing all style overrides applied during minimization
-              
-              // Restore upload button visibility and reset positioning
-              if (uploadButton) {
-                uploadButton.style.display = '';
-                uploadButton.style.marginTop = '';
-              }
+  const restore = async (revision) => {
+    const ok = await templateManager.restoreTemplateRevision(templateKey, revision.index);
+    if (ok) {
+      refreshMap();
+      instance.handleDisplayStatus(`Restored "${templateName}" to the version from ${new Date(revision.savedAt).toLocaleString()}`);
+    } else {
+      instance.handleDisplayError('Failed to restore revision. Check console for details.');
+    }
+    return ok;
+  };
 
-              // Restore manage button visibility and reset positioning
-              if (manageButton) {
-                manageButton.style.display = '';
-                manageButton.style.marginTop = '';
-              }
+  const revisions = templateManager.getTemplateRevisions(templateKey);
+  if (revisions.length === 0) {
+    const empty = document.createElement('div');
+    empty.textContent = 'No earlier versions yet.';
+    empty.style.cssText = 'text-align: center; padding: 24px; color: #64748b;';
+    list.appendChild(empty);
+  }
 
-              // Restore pause tiles button visibility and reset positioning
-              if (pauseButton) {
-                pauseButton.style.display = '';
-                pauseButton.style.marginTop = '';
-              }
+  for (const revision of revisions) {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 12px;
+      background: #334155;
+      border: 1px solid #475569;
+      border-radius: 10px;
+    `;
 
+    const info = document.createElement('div');
+    info.style.cssText = 'flex: 1; min-width: 0; font-size: 0.85em; line-height: 1.4;';
+    const colorNotes = [
+      revision.disabledColors ? `${revision.disabledColors} disabled` : '',
+      revision.enhancedColors ? `${revision.enhancedColors} enhanced` : ''
+    ].filter(Boolean).join(', ');
+    info.innerHTML = `<div style="font-weight: 600;">${escapeHTML(new Date(revision.savedAt).toLocaleString())}</div>`
+      + `<div style="color: #94a3b8;">${escapeHTML(reasonLabels[revision.reason] || revision.reason)} • ${new Intl.NumberFormat().format(revision.pixelCount)} pixels${colorNotes ? ` • ${escapeHTML(colorNotes)}` : ''}</div>`
+      + `<div style="color: #60a5fa; font-size: 0.9em;">📍 ${escapeHTML(revision.coords || 'Unknown location')}</div>`;
+
+    const previewBtn = document.createElement('button');
+    previewBtn.textContent = 'Preview';
+    previewBtn.title = 'Show this version on the map';
+    previewBtn.style.cssText = 'padding: 8px 10px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: #475569; color: #f1f5f9;';
+    previewBtn.onclick = async () => {
+      const ok = await templateManager.previewTemplateRevision(templateKey, revision.index);
+      if (!ok) {
+        instance.handleDisplayError('Could not preview this revision.');
+        return;
+      }
+      close();
+      closeManageDialog();
+      refreshMap();
+      showRevisionPreviewBar(instance, templateName, revision, restore, refreshMap);
+    };
 
-              // Restore Color Filter button to normal size/state
-              if (colorFilterButton) {
-                // Restore content
-                if (colorFilterButton.dataset.originalHtml) {
-                  colorFilterButton.innerHTML = colorFilterButton.dataset.originalHtml;
-                }
-                // Clear compact styles
-                colorFilterButton.style.width = '';
-                colorFilterButton.style.height = '';
-                colorFilterButton.style.padding = '';
-                colorFilterButton.style.gap = '';
-                colorFilterButton.style.fontSize = '';
-                colorFilterButton.style.overflow = '';
-                colorFilterButton.style.borderRadius = '';
-                colorFilterButton.style.animation = '';
-                colorFilterButton.style.transform = '';
-                colorFilterButton.style.gridColumn = '';
-                colorFilterButton.style.margin = '';
-                colorFilterButton.style.display = '';
-                colorFilterButton.style.alignItems = '';
-                colorFilterButton.style.justifyContent = '';
-                colorFilterButton.style.position = '';
-                colorFilterButton.style.left = '';
-                colorFilterButton.style.zIndex = '';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.title = 'Make this version the current one (the current version is kept in history)';
+    restoreBtn.style.cssText = 'padding: 8px 10px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: linear-gradient(135deg, #8b5cf6, #7c3aed); color: white;';
+    restoreBtn.onclick = async () => {
+      if (await restore(revision)) {
+        close();
+        closeManageDialog();
+      }
+    };
 
-                // Reset parent container layout
-                const btnContainer = colorFilterButton.parentElement;
-                if (btnContainer) {
-                  btnContainer.style.display = '';
-                  btnContainer.style.justifyContent = '';
-                  btnContainer.style.alignItems = '';
-                  btnContainer.style.gap = '';
-                  btnContainer.style.position = '';
-                  btnContainer.style.height = '';
-                  btnContainer.style.gridTemplateColumns = '';
-                }
-              }
-              
-              // Reset icon positioning to default (remove minimized state offset)
-              img.style.margin = '';
-              
-              // Restore overlay to responsive dimensions
-              overlay.style.padding = '10px';
-              
-              // Reset header styling to defaults
-              header.style.textAlign = '';
-              header.style.margin = '';
-              header.style.marginBottom = '';
-              
-              // Reset drag bar spacing
-              if (dragBar) {
-                dragBar.style.marginBottom = '';
-              }
-              
-              // Remove all dimension constraints to allow natural responsive behavior
-              overlay.style.maxWidth = "";
-              overlay.style.minWidth = "";
-            }
-            
-            // Update mini tracker visibility based on collapse setting
-            updateMiniTracker();
-            
-            // ==================== ACCESSIBILITY AND USER FEEDBACK ====================
-            // Update accessibility information for screen readers and tooltips
-            
-            // Update alt text to reflect current state for screen readers and tooltips
-            img.alt = isMinimized ? 
-              'Blue Marble Icon - Minimized (Click to maximize)' : 
-              'Blue Marble Icon - Maximized (Click to minimize)';
-            
-            // No status message needed - state change is visually obvious to users
-          });
-        }
-      ).buildElement()
-      .addHeader(1, {'textContent': 'Skirk Marble'}).buildElement()
-    .buildElement()
+    row.append(info, previewBtn, restoreBtn);
+    list.appendChild(row);
+  }
 
-    .addDiv({ 
-      id: 'bm-separator', 
-      style: (() => {
-        try {
-          const show = JSON.parse(localStorage.getItem('bmShowInformationHeader') ?? 'true');
-          return show ? '' : 'display: none;';
-        } catch (e) {
-          return '';
-        }
-      })()
-    })
-      .addHr().buildElement()
-      .addDiv({ id: 'bm-separator-text'})
-        .addDiv({ innerHTML: icons.informationIcon }).buildElement()
-        .addP({ textContent: 'Information' }).buildElement()
-        .buildElement()
-      .addHr().buildElement()
-    .buildElement()
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = 'Close';
+  closeBtn.style.cssText = 'margin-top: 16px; width: 100%; padding: 10px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: #475569; color: white;';
+  closeBtn.onclick = close;
 
-    .addDiv({'id': 'bm-contain-userinfo'})
-      .addDiv({'id': 'bm-user-name'})
-        .addDiv({'id': 'bm-user-icon', innerHTML: icons.userIcon}).buildElement()
-        .addP({'id': 'bm-user-name-content', innerHTML: '<b>Username:</b> loading...'}).buildElement()
-      .buildElement()
-      .addDiv({'id': 'bm-user-droplets'})
-        .addDiv({'id': 'bm-user-droplets-icon', innerHTML: icons.dropletIcon}).buildElement()
-        .addP({'id': 'bm-user-droplets-content', innerHTML: '<b>Droplets:</b> loading...'}).buildElement()
-      .buildElement()
-      .addDiv({'id': 'bm-user-nextlevel'})
-        .addDiv({'id': 'bm-user-nextlevel-icon', innerHTML: icons.nextLevelIcon}).buildElement()
-        .addP({'id': 'bm-user-nextlevel-content', 'textContent': 'Next level in...'}).buildElement()
-      .buildElement()
-      .addDiv({'id': 'bm-user-fullcharge'})
-        .addDiv({'id': 'bm-user-fullcharge-icon', innerHTML: icons.chargeIcon}).buildElement()
-        .addP({'id': 'bm-user-fullcharge-content', 'textContent': 'Full Charge in...'}).buildElement()
-      .buildElement()
-      .addDiv({'id': 'bm-user-mapready'})
-        .addDiv({'id': 'bm-user-mapready-icon', innerHTML: icons.mapReadyIcon}).buildElement()
-        .addP({'id': 'bm-user-mapready-content', 'textContent': 'Map: Waiting...'}).buildElement()
-      .buildElement()
-    .buildElement()
-    
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
 
-    .addDiv({ 
-      id: 'bm-separator', 
-      style: (() => {
-        try {
-          const show = JSON.parse(localStorage.getItem('bmShowTemplateHeader') ?? 'true');
-          return show ? '' : 'display: none;';
-        } catch (e) {
-          return '';
-        }
-      })()
-    })
-      .addHr().buildElement()
-      .addDiv({ id: 'bm-separator-text'})
-        .addDiv({ innerHTML: icons.templateIcon }).buildElement()
-        .addP({ textContent: 'Template' }).buildElement()
-        .buildElement()
-      .addHr().buildElement()
-    .buildElement()
+  container.append(title, hint, list, closeBtn);
+  overlay.appendChild(container);
+  document.body.appendChild(overlay);
+}
 
-    .addDiv({'id': 'bm-contain-automation'})
-      // .addCheckbox({'id': 'bm-input-stealth', 'textContent': 'Stealth', 'checked': true}).buildElement()
-      // .addButtonHelp({'title': 'Waits for the website to make requests, instead of sending requests.'}).buildElement()
-      // .addBr().buildElement()
-      // .addCheckbox({'id': 'bm-input-possessed', 'textContent': 'Possessed', 'checked': true}).buildElement()
-      // .addButtonHelp({'title': 'Controls the website as if it were possessed.'}).buildElement()
-      // .addBr().buildElement()
-      // Color Menu
-      .addDiv({ 
-        id: 'bm-color-menu',
-        style: `
-          background: rgba(255, 255, 255, 0.05);
-          border-radius: 8px;
-          padding: 12px;
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          margin-top: 8px;
-          display: ${JSON.parse(localStorage.getItem('bmShowColorMenu') ?? 'false') ? 'block' : 'none'};
-        `
-      })
-        .addDiv({
-          style: 'display: flex; gap: 6px; align-items: center; margin-bottom: 6px;'
-        })
-          .addDiv({
-            innerHTML: '<input type="text" id="bm-color-search" placeholder="🔍 Search colors..." style="flex: 1; padding: 4px 8px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; min-width: 0; max-width: 120px;" autocomplete="off">',
-          }).buildElement()
-          .addDiv({
-            innerHTML: '<select id="bm-color-sort" style="padding: 4px 6px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; flex: 1; min-width: 80px;"><option value="default" style="background: #2a2a2a; color: white;">Default</option><option value="premium" style="background: #2a2a2a; color: white;">Premium 💧</option><option value="most-wrong" style="background: #2a2a2a; color: white;">Most Wrong</option><option value="most-missing" style="background: #2a2a2a; color: white;">Most Missing</option><option value="less-missing" style="background: #2a2a2a; color: white;">Less Missing</option><option value="most-painted" style="background: #2a2a2a; color: white;">Most Painted</option><option value="less-painted" style="background: #2a2a2a; color: white;">Less Painted</option><option value="enhanced" style="background: #2a2a2a; color: white;">Enhanced Only</option><option value="name-asc" style="background: #2a2a2a; color: white;">Name A-Z</option><option value="name-desc" style="background: #2a2a2a; color: white;">Name Z-A</option></select>',
-          }).buildElement()
-          .addDiv({
-            innerHTML: '<button id="bm-color-toggle-all" title="Enable/Disable All Colors" style="padding: 4px 8px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; cursor: pointer; white-space: nowrap;">⚡</button>',
-          }).buildElement()
-        .buildElement()
-        .addDiv({ 
-          id: 'bm-color-list',
-          style: `
-            display: flex;
-            flex-direction: column;
-            gap: 3px;
-            max-height: 140px;
-            overflow-y: auto;
-            scrollbar-width: thin;
-            scrollbar-color: rgba(255,255,255,0.3) transparent;
-          `
-        }, (instance) => {
-          // Initialize color menu after DOM is created and templates are loaded
-          setTimeout(() => {
-            updateColorMenuDisplay(true, true);
-          }, 2000);
-        }).buildElement()
-        .addDiv({
-          id: 'bm-color-menu-resize-handle',
-          style: `
-            height: 8px;
-            background: rgba(255, 255, 255, 0.05);
-            cursor: ns-resize;
-            border-radius: 0 0 6px 6px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            transition: background 0.2s;
-          `,
-          innerHTML: '<div style="width: 30px; height: 3px; background: rgba(255,255,255,0.3); border-radius: 2px;"></div>'
-        }, (instance) => {
-          // Setup resize functionality
-          setTimeout(() => initColorMenuResize(), 100);
-        }).buildElement()
-      .buildElement()
-      .addDiv({'id': 'bm-contain-buttons-template'})
-        .addButton({'id': 'bm-button-upload-template', innerHTML: icons.uploadIcon + 'Upload Template'}, (instance, button) => {
-          button.onclick = () => {
-            startTemplatePlacerFlow(instance, templateManager);
-          };
-        }).buildElement()
-      .addButton({'id': 'bm-button-manage', innerHTML: icons.manageIcon + 'Manage'}, (instance, button) => {
-        button.onclick = () => {
-          showTemplateManageDialog(instance);
-        }
-      }).buildElement()
-      .addButton({'id': 'bm-button-pause-tiles', innerHTML: (isTileRefreshPaused() ? icons.playIcon : icons.pauseIcon) + (isTileRefreshPaused() ? 'Resume' : 'Pause')}, (instance, button) => {
-        // Set initial CSS class based on current pause state
-        if (isTileRefreshPaused()) {
-          button.classList.add('paused');
+/** Floating bar shown while a template revision is previewed on the map.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} templateName - Display name
+ * @param {Object} revision - The previewed revision (from {@link TemplateManager#getTemplateRevisions})
+ * @param {Function} restore - Restores the revision, resolves to whether it worked
+ * @param {Function} refreshMap - Redraws the templates
+ * @since 0.91.22
+ */
+function showRevisionPreviewBar(instance, templateName, revision, restore, refreshMap) {
+  document.getElementById('bm-revision-preview-bar')?.remove();
+
+  const bar = document.createElement('div');
+  bar.id = 'bm-revision-preview-bar';
+  bar.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 10px 14px;
+    background: #1e293b;
+    color: #f1f5f9;
+    border: 1px solid #8b5cf6;
+    border-radius: 12px;
+    box-shadow: 0 10px 25px rgba(0, 0, 0, 0.5);
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+  `;
+
+  const label = document.createElement('span');
+  label.textContent = `Previewing "${templateName}" from ${new Date(revision.savedAt).toLocaleString()}`;
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.textContent = 'Restore';
+  restoreBtn.style.cssText = 'padding: 6px 10px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; background: #8b5cf6; color: white;';
+  restoreBtn.onclick = async () => {
+    if (await restore(revision)) bar.remove();
+  };
+
+  const endBtn = document.createElement('button');
+  endBtn.textContent = 'End preview';
+  endBtn.style.cssText = 'padding: 6px 10px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; background: #475569; color: white;';
+  endBtn.onclick = () => {
+    templateManager.stopTemplateRevisionPreview();
+    refreshMap();
+    bar.remove();
+    instance.handleDisplayStatus(`Preview ended, showing the current "${templateName}"`);
+  };
+
+  bar.append(label, restoreBtn, endBtn);
+  document.body.appendChild(bar);
+}
+
+/** Decodes a stored template back into pixels, with its absolute board position.
+ * @param {string} templateKey - The template key (e.g., "0 $Z")
+ * @returns {Promise<{imageData: ImageData, x: number, y: number, name: string}|null>}
+ * @since 0.91.22
+ */
+async function loadTemplateImage(templateKey) {
+  const coords = templateManager.templatesJSON?.templates?.[templateKey]?.coords?.split(', ').map(Number);
+  const result = await templateManager.reconstructImageBlob(templateKey);
+  if (!result || coords?.length !== 4) return null;
+
+  const [x, y] = TemplateTransforms.templateCoordsToAbsolute(coords);
+  return { imageData: await imageFileToImageData(result.blob), x, y, name: result.name };
+}
+
+/** Shared slate dialog shell for the crop/split, merge, template details and share dialogs.
+ * @param {string} id - Overlay element ID
+ * @param {string} titleText - Dialog title
+ * @returns {{overlay: HTMLElement, container: HTMLElement, close: Function}}
+ * @since 0.91.22
+ */
+function createTransformDialogShell(id, titleText) {
+  const overlay = document.createElement('div');
+  overlay.id = id;
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.6);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 480px;
+    width: 92%;
+    max-height: 90vh;
+    overflow-y: auto;
+    padding: 24px;
+    box-sizing: border-box;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    font-size: 13px;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = titleText;
+  title.style.cssText = 'margin: 0; font-size: 1.2em; font-weight: 700; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+  container.appendChild(title);
+
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  overlay.appendChild(container);
+  document.body.appendChild(overlay);
+  return { overlay, container, close };
+}
+
+const transformInputStyle = 'padding: 6px 8px; background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 6px; font-size: 13px; box-sizing: border-box;';
+
+/** Crops a template to a rectangle, or splits it into several templates.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} templateKey - The template key (e.g., "0 $Z")
+ * @param {string} templateName - Display name
+ * @param {Function} closeManageDialog - Closes the Manage Templates dialog
+ * @since 0.91.22
+ */
+async function showTemplateTransformDialog(instance, templateKey, templateName, closeManageDialog) {
+  const source = await loadTemplateImage(templateKey).catch(error => {
+    console.error('[Transform] Failed to load template image:', error);
+    return null;
+  });
+  if (!source) {
+    instance.handleDisplayError('Failed to reconstruct template image.');
+    return;
+  }
+
+  const { imageData, x: originX, y: originY } = source;
+  const templateData = templateManager.templatesJSON.templates[templateKey];
+  const { container, close } = createTransformDialogShell('bm-template-transform-overlay', `Crop or split "${templateName}"`);
+
+  const row = (...children) => {
+    const div = document.createElement('div');
+    div.style.cssText = 'display: flex; align-items: center; gap: 8px; flex-wrap: wrap;';
+    div.append(...children);
+    return div;
+  };
+  const label = (text) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    span.style.cssText = 'color: #94a3b8;';
+    return span;
+  };
+  const numberInput = (value, min, max) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.max = String(max);
+    input.value = String(value);
+    input.style.cssText = transformInputStyle + 'width: 72px;';
+    input.addEventListener('keydown', (e) => e.stopPropagation());
+    return input;
+  };
+
+  // Operation
+  const operationSelect = document.createElement('select');
+  operationSelect.style.cssText = transformInputStyle;
+  operationSelect.innerHTML = '<option value="crop">Crop to rectangle</option>'
+    + Object.entries(TemplateTransforms.SPLIT_MODES).map(([value, text]) => `<option value="split-${value}">Split: ${escapeHTML(text)}</option>`).join('');
+
+  // Preview: the template with the crop rectangle or split parts outlined
+  const previewScale = Math.max(1, Math.min(8, Math.floor(Math.min(420 / imageData.width, 220 / imageData.height))));
+  const preview = document.createElement('canvas');
+  preview.width = imageData.width * previewScale;
+  preview.height = imageData.height * previewScale;
+  preview.style.cssText = 'max-width: 100%; max-height: 240px; align-self: center; image-rendering: pixelated; background: #0f172a; border: 1px solid #334155; border-radius: 8px;';
+  const previewSource = new OffscreenCanvas(imageData.width, imageData.height);
+  previewSource.getContext('2d').putImageData(imageData, 0, 0);
+
+  // Crop controls
+  const bounds = TemplateTransforms.getOpaqueBounds(imageData) || { x: 0, y: 0, width: imageData.width, height: imageData.height };
+  const cropX = numberInput(bounds.x, 0, imageData.width - 1);
+  const cropY = numberInput(bounds.y, 0, imageData.height - 1);
+  const cropWidth = numberInput(bounds.width, 1, imageData.width);
+  const cropHeight = numberInput(bounds.height, 1, imageData.height);
+  const keepOriginal = document.createElement('input');
+  keepOriginal.type = 'checkbox';
+  const cropControls = document.createElement('div');
+  cropControls.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+  cropControls.append(
+    row(label('X'), cropX, label('Y'), cropY),
+    row(label('Width'), cropWidth, label('Height'), cropHeight),
+    row(keepOriginal, label('Create a new template instead of replacing this one'))
+  );
+
+  // Split controls
+  const columnsInput = numberInput(2, 1, imageData.width);
+  const rowsInput = numberInput(2, 1, imageData.height);
+  const gridRow = row(label('Columns'), columnsInput, label('Rows'), rowsInput);
+  const disableOriginal = document.createElement('input');
+  disableOriginal.type = 'checkbox';
+  disableOriginal.checked = true;
+  const splitControls = document.createElement('div');
+  splitControls.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+  splitControls.append(gridRow, row(disableOriginal, label('Disable the original template afterwards')));
+
+  const summary = document.createElement('div');
+  summary.style.cssText = 'color: #cbd5e1;';
+
+  const getCropRect = () => ({
+    x: Number(cropX.value) || 0,
+    y: Number(cropY.value) || 0,
+    width: Number(cropWidth.value) || 0,
+    height: Number(cropHeight.value) || 0
+  });
+
+  const getParts = () => TemplateTransforms.splitImageData(imageData, operationSelect.value.slice('split-'.length), {
+    columns: Number(columnsInput.value) || 1,
+    rows: Number(rowsInput.value) || 1,
+    originX,
+    originY
+  });
+
+  const render = () => {
+    const isCrop = operationSelect.value === 'crop';
+    cropControls.style.display = isCrop ? 'flex' : 'none';
+    splitControls.style.display = isCrop ? 'none' : 'flex';
+    gridRow.style.display = operationSelect.value === 'split-grid' ? 'flex' : 'none';
+
+    const ctx = preview.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    ctx.drawImage(previewSource, 0, 0, preview.width, preview.height);
+    ctx.lineWidth = 2;
+
+    if (isCrop) {
+      const rect = getCropRect();
+      ctx.strokeStyle = '#ec4899';
+      ctx.strokeRect(rect.x * previewScale, rect.y * previewScale, rect.width * previewScale, rect.height * previewScale);
+      const crop = TemplateTransforms.cropImageData(imageData, rect.x, rect.y, rect.width, rect.height);
+      summary.textContent = crop
+        ? `Result: ${crop.imageData.width}×${crop.imageData.height} at ${TemplateTransforms.absoluteToTemplateCoords(originX + crop.x, originY + crop.y).join(', ')}`
+        : 'The rectangle is outside the template.';
+    } else {
+      const parts = getParts();
+      ctx.strokeStyle = '#ec4899';
+      for (const part of parts) {
+        ctx.strokeRect(part.x * previewScale, part.y * previewScale, part.imageData.width * previewScale, part.imageData.height * previewScale);
+      }
+      summary.textContent = `${parts.length} template${parts.length === 1 ? '' : 's'} will be created (empty parts are skipped).`;
+    }
+  };
+
+  [operationSelect, cropX, cropY, cropWidth, cropHeight, columnsInput, rowsInput].forEach(input => input.addEventListener('input', render));
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px;';
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+  cancelButton.onclick = close;
+  const applyButton = document.createElement('button');
+  applyButton.textContent = 'Apply';
+  applyButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #ec4899, #db2777); color: white;';
+  buttons.append(cancelButton, applyButton);
+
+  const refreshAfterChange = () => {
+    invalidateTemplateCache();
+    setTimeout(() => {
+      updateMiniTracker();
+      updateColorMenuDisplay(false, true);
+    }, 500);
+  };
+
+  applyButton.onclick = async () => {
+    applyButton.disabled = true;
+    applyButton.textContent = 'Working...';
+    try {
+      const disabledColors = templateData?.disabledColors || [];
+
+      if (operationSelect.value === 'crop') {
+        const rect = getCropRect();
+        const crop = TemplateTransforms.cropImageData(imageData, rect.x, rect.y, rect.width, rect.height);
+        if (!crop) throw new Error('The rectangle is outside the template');
+
+        const coords = TemplateTransforms.absoluteToTemplateCoords(originX + crop.x, originY + crop.y);
+        const file = await imageDataToPNGFile(crop.imageData, `${templateName}.png`);
+        if (keepOriginal.checked) {
+          await templateManager.createTemplate(file, `${templateName} (cropped)`, coords, { disabledColors, metadata: templateData?.metadata });
+        } else {
+          await templateManager.createTemplate(file, templateName, coords, { replaceTemplateKey: templateKey, revisionReason: 'crop' });
         }
-        button.onclick = () => {
-          const isPaused = toggleTileRefreshPause(templateManager);
-          const cachedCount = getCachedTileCount();
-          
-          button.innerHTML = `${isPaused ? icons.playIcon : icons.pauseIcon} ${isPaused ? 'Resume' : 'Pause'}${isPaused && cachedCount > 0 ? ` (${cachedCount})` : ''}`;
-          
-          // Toggle CSS class based on pause state
-          if (isPaused) {
-            button.classList.add('paused');
-          } else {
-            button.classList.remove('paused');
-          }
-          
-          instance.handleDisplayStatus(isPaused ? 
-            `🧊 Tile refresh paused! Showing frozen template view with ${cachedCount} cached tiles for better performance.` : 
-            '▶️ Tile refresh resumed - templates now update in real-time'
-          );
+        instance.handleDisplayStatus(`Cropped "${templateName}" to ${crop.imageData.width}×${crop.imageData.height}`);
+      } else {
+        const parts = getParts();
+        if (parts.length === 0) throw new Error('Nothing to split, the template is empty');
+
+        let created = 0;
+        for (const part of parts) {
+          const paletteColor = part.colorKey && colorpalette.find(color => color.rgb.join(',') === part.colorKey);
+          const partName = `${templateName} (${paletteColor ? paletteColor.name : part.label})`;
+          const coords = TemplateTransforms.absoluteToTemplateCoords(originX + part.x, originY + part.y);
+          const file = await imageDataToPNGFile(part.imageData, `${partName}.png`);
+          if (await templateManager.createTemplate(file, partName, coords, { disabledColors, group: templateData?.group || '', metadata: templateData?.metadata })) created++;
         }
-      }).buildElement()
-      .addButton({'id': 'bm-button-color-filter', innerHTML: icons.colorFilterIcon + 'Color Filter'}, (instance, button) => {
-        button.onclick = () => {
-          buildColorFilterOverlay();
+        if (disableOriginal.checked) {
+          templateManager.setTemplateEnabled(templateKey, false);
         }
-      }).buildElement()
-      .buildElement() // Close bm-contain-buttons-template
-      .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
-      .addDiv({'id': 'bm-contain-buttons-action', 'style': 'position: relative; padding-bottom: 22px;'})
-        .addDiv({'style': 'display: flex; gap: 6px; align-items: center;'})
-          .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
-            (instance, button) => {
-            button.addEventListener('click', () => {
-              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
-            });
-          }).buildElement()
-          .addButton({'id': 'bm-search', 'className': 'bm-help', 'innerHTML': '🔍', 'title': 'Location Search'}, 
-            (instance, button) => {
-            button.addEventListener('click', () => {
-              const searchPanel = document.getElementById('skirk-search-draggable');
-              if (searchPanel) {
-                searchPanel.style.display = searchPanel.style.display === 'none' || !searchPanel.style.display ? 'flex' : 'none';
-              }
-            });
-          }).buildElement()
-          .addButton({'id': 'bm-button-screenshot', 'className': 'bm-help', 'innerHTML': '📸', 'title': 'Screenshot current template area (auto-detects coordinates)'},
-            (instance, button) => {
-              button.addEventListener('click', async () => {
-                try {
-                  // SMART DETECTION: Get currently displayed template or first enabled template
-                  let t = null;
-                  
-                  if (templateManager.smartDetectionEnabled && templateManager.currentlyDisplayedTemplates.size === 1) {
-                    // Use the currently displayed template for screenshot
-                    const displayedTemplateKey = Array.from(templateManager.currentlyDisplayedTemplates)[0];
-                    t = templateManager.templatesArray.find(template => `${template.sortID} ${template.authorID}` === displayedTemplateKey);
-                  }
-                  
-                  // Fallback: Use first enabled template
-                  if (!t && templateManager.templatesArray) {
-                    for (const template of templateManager.templatesArray) {
-                      const templateKey = `${template.sortID} ${template.authorID}`;
-                      if (templateManager.isTemplateEnabled(templateKey)) {
-                        t = template;
-                        break;
-                      }
-                    }
-                  }
-                  
-                  // Final fallback: Use first template (backward compatibility)
-                  if (!t) {
-                    t = templateManager.templatesArray?.[0];
-                  }
-                  
-                  if (!t) {
-                    instance.handleDisplayError('No template loaded.');
-                    return;
-                  }
-                  
-                  // Auto-detect coordinates from active template
-                  if (!t.coords || t.coords.length !== 4) {
-                    instance.handleDisplayError('Template coordinates not available. Create a template first.');
-                    return;
-                  }
-                  
-                  const [tx, ty, px, py] = t.coords;
-                  if (!Number.isFinite(tx) || !Number.isFinite(ty) || !Number.isFinite(px) || !Number.isFinite(py)) {
-                    instance.handleDisplayError('Invalid template coordinates detected.');
-                    return;
-                  }
-                  
-                  if (!t.imageWidth || !t.imageHeight) {
-                    // Attempt to infer from chunked tiles if missing
-                    try {
-                      const tiles = Object.keys(t.chunked || {});
-                      if (tiles.length > 0) {
-                        let minScaledX = Infinity, minScaledY = Infinity, maxScaledX = 0, maxScaledY = 0;
-                        const scale = templateManager.drawMult || 3;
-                        const tileSizeScaled = (templateManager.tileSize || 1000) * scale;
-                        for (const key of tiles) {
-                          const bmp = t.chunked[key];
-                          const [tX, tY, pX, pY] = key.split(',').map(Number);
-                          const startX = tX * tileSizeScaled + pX * scale;
-                          const startY = tY * tileSizeScaled + pY * scale;
-                          const endX = startX + bmp.width;
-                          const endY = startY + bmp.height;
-                          if (startX < minScaledX) minScaledX = startX;
-                          if (startY < minScaledY) minScaledY = startY;
-                          if (endX > maxScaledX) maxScaledX = endX;
-                          if (endY > maxScaledY) maxScaledY = endY;
-                        }
-                        t.imageWidth = Math.round((maxScaledX - minScaledX) / scale);
-                        t.imageHeight = Math.round((maxScaledY - minScaledY) / scale);
-                      }
-                    } catch (_) {}
-                  }
-                  if (!t.imageWidth || !t.imageHeight) {
-                    instance.handleDisplayError('Template size unavailable; create or reload the template first.');
-                    return;
-                  }
-                  const base = apiManager?.tileServerBase;
-                  if (!base) {
-                    instance.handleDisplayError('Tile server not detected yet; open the board to load tiles.');
-                    return;
-                  }
-                  const blob = await templateManager.buildTemplateAreaScreenshot(base, [tx, ty, px, py], [t.imageWidth, t.imageHeight]);
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement('a');
-                  a.href = url;
-                  const ts = new Date().toISOString().replace(/[:.]/g,'-');
-                  a.download = `wplace_template_area_${String(tx).padStart(4,'0')},${String(ty).padStart(4,'0')}_${ts}.png`;
-                  document.body.appendChild(a);
-                  a.click();
-                  a.remove();
-                  setTimeout(() => URL.revokeObjectURL(url), 1000);
-                  instance.handleDisplayStatus(`📸 Saved template area screenshot!\nLocation: Tile ${tx},${ty} • Pixel ${px},${py}\nSize: ${t.imageWidth}×${t.imageHeight}px`);
-                } catch (e) {
-                  console.error(e);
-                  instance.handleDisplayError('Failed to create screenshot');
-                }
-              });
-            }
-          ).buildElement()
-          // Clear All Storage button
-          .addButton({'id': 'bm-button-clear-storage', 'className': 'bm-help', innerHTML: icons.clearStorageIcon, 'title': 'Clear All Storage'}, (instance, button) => {
-            button.addEventListener('click', () => {
-              clearAllStorage(instance);
-            });
-          }).buildElement()
-          // Import Templates button
-          .addButton({'id': 'bm-button-import', 'className': 'bm-help', innerHTML: icons.uploadIcon, 'title': 'Import Templates'}, (instance, button) => {
-            button.addEventListener('click', () => {
-              showImportDialog(instance);
-            });
-          }).buildElement()
-          // Settings button (direct access)
-          .addButton({'id': 'bm-button-settings-direct', 'className': 'bm-help', innerHTML: icons.settingsIcon, 'title': 'Settings (Quick Access)'}, (instance, button) => {
-            button.addEventListener('click', () => {
-              buildCrosshairSettingsOverlay();
-            });
-          }).buildElement()
-          // Art Extractor button
-          .addButton({'id': 'bm-button-art-extractor', 'className': 'bm-help', innerHTML: icons.artExtractorIcon, 'title': 'Art Extractor'}, (instance, button) => {
-            button.addEventListener('click', () => {
-              buildArtExtractorOverlay(apiManager, templateManager);
-            });
-          }).buildElement()
-        .buildElement()
-        .addDiv({'style': 'position: absolute; left: 0; bottom: 2px; text-align: left; padding: 0; pointer-events: auto; user-select: text; line-height: 12px;'}).
-        addSmall({'textContent': `Made by SwingTheVine | Fork Seris0 | v${version}`, 'style': 'color: #94a3b8; font-size: 0.74em; opacity: 0.85;'}).buildElement()        .buildElement()
-      .buildElement()
-    .buildElement()
-  .buildOverlay(document.body);
-}
-
-function buildOverlayTabTemplate() {
-  overlayTabTemplate.addDiv({'id': 'bm-tab-template', 'style': 'top: 20%; left: 10%;'})
-      .addDiv()
-        .addDiv({'className': 'bm-dragbar'}).buildElement()
-        .addButton({'className': 'bm-button-minimize', 'textContent': '↑'},
-          (instance, button) => {
-            button.onclick = () => {
-              let isMinimized = false;
-              if (button.textContent == '↑') {
-                button.textContent = '↓';
-              } else {
-                button.textContent = '↑';
-                isMinimized = true;
-              }
+        instance.handleDisplayStatus(`Split "${templateName}" into ${created} template${created === 1 ? '' : 's'}`);
+      }
 
-              
-            }
-          }
-        ).buildElement()
-      .buildElement()
-    .buildElement()
-  .buildOverlay();
+      refreshAfterChange();
+      close();
+      closeManageDialog();
+    } catch (error) {
+      console.error('[Transform] Failed:', error);
+      instance.handleDisplayError(`Transform failed: ${error.message}`);
+      applyButton.disabled = false;
+      applyButton.textContent = 'Apply';
+    }
+  };
 
+  container.append(row(label('Operation'), operationSelect), preview, cropControls, splitControls, summary, buttons);
+  render();
 }
 
-
-
-/** Builds and displays the color filter overlay
- * @since 1.0.0
+/** Merges several templates into one new template.
+ * Templates are combined in draw order (lowest sort ID first); where they disagree on a pixel's color,
+ * the chosen {@link TemplateTransforms.MERGE_RULES} rule decides.
+ * @param {Object} instance - The main Overlay instance
+ * @param {Function} closeManageDialog - Closes the Manage Templates dialog
+ * @since 0.91.22
  */
-function buildColorFilterOverlay() {
-  // Check if templates are available
-  if (!templateManager.templatesArray || templateManager.templatesArray.length === 0) {
-    overlayMain.handleDisplayError('No templates available for color filtering!');
+function showMergeTemplatesDialog(instance, closeManageDialog) {
+  const templates = templateManager?.templatesJSON?.templates || {};
+  const keys = Object.keys(templates).sort((a, b) => parseInt(a.split(' ')[0], 10) - parseInt(b.split(' ')[0], 10));
+  if (keys.length < 2) {
+    instance.handleDisplayError('At least two templates are needed to merge.');
     return;
   }
 
-  // Remove existing color filter overlay if it exists
-  const existingOverlay = document.getElementById('bm-color-filter-overlay');
-  if (existingOverlay) {
-    existingOverlay.remove();
+  const { container, close } = createTransformDialogShell('bm-template-merge-overlay', 'Merge templates');
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Pick the templates to combine. They are listed in draw order, the last one is drawn on top.';
+  hint.style.cssText = 'color: #94a3b8;';
+
+  const list = document.createElement('div');
+  list.style.cssText = 'display: flex; flex-direction: column; gap: 4px; max-height: 240px; overflow-y: auto;';
+  const checkboxes = new Map();
+  for (const key of keys) {
+    const item = document.createElement('label');
+    item.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 10px; background: #334155; border-radius: 8px; cursor: pointer;';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    const name = document.createElement('span');
+    name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    name.textContent = `#${key.split(' ')[0]} ${templates[key].name || 'Unnamed'}`;
+    const coords = document.createElement('span');
+    coords.style.cssText = 'color: #60a5fa; font-size: 0.9em;';
+    coords.textContent = templates[key].coords || '';
+    item.append(checkbox, name, coords);
+    checkboxes.set(key, checkbox);
+    list.appendChild(item);
   }
 
-  debugLog('[Color Filter] Starting color filter overlay build...');
+  const ruleSelect = document.createElement('select');
+  ruleSelect.style.cssText = transformInputStyle + 'flex: 1;';
+  ruleSelect.innerHTML = Object.entries(TemplateTransforms.MERGE_RULES).map(([value, text]) => `<option value="${value}">${escapeHTML(text)}</option>`).join('');
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = 'Merged template';
+  nameInput.style.cssText = transformInputStyle + 'flex: 1;';
+  nameInput.addEventListener('keydown', (e) => e.stopPropagation());
+
+  const disableMerged = document.createElement('input');
+  disableMerged.type = 'checkbox';
+  disableMerged.checked = true;
+
+  const field = (text, input) => {
+    const div = document.createElement('div');
+    div.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+    const span = document.createElement('span');
+    span.textContent = text;
+    span.style.cssText = 'color: #94a3b8;';
+    div.append(span, input);
+    return div;
+  };
 
-  // Check if mobile mode is enabled
-  const isMobileMode = getMobileMode();
-  debugLog(`[Color Filter] Mobile mode: ${isMobileMode ? 'enabled' : 'disabled'}`);
+  const disableRow = document.createElement('label');
+  disableRow.style.cssText = 'display: flex; align-items: center; gap: 8px; color: #94a3b8;';
+  disableRow.append(disableMerged, 'Disable the merged templates afterwards');
 
-  // Import the color palette from utils
-  import('./utils.js').then(utils => {
-    const colorPalette = utils.colorpalette;
-    
-    // Get enhanced pixel analysis data
-    debugLog('[Color Filter] Calculating pixel statistics...');
-    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-    debugLog('[Color Filter] Pixel statistics received:', pixelStats);
-    // Update native palette badges as well (if settings enabled)
-    try {
-      updatePaletteLeftBadges(pixelStats);
-    } catch (e) {
-      console.warn('Failed to update palette left badges:', e);
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px;';
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+  cancelButton.onclick = close;
+  const mergeButton = document.createElement('button');
+  mergeButton.textContent = 'Merge';
+  mergeButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #ec4899, #db2777); color: white;';
+  buttons.append(cancelButton, mergeButton);
+
+  mergeButton.onclick = async () => {
+    const selected = keys.filter(key => checkboxes.get(key).checked);
+    if (selected.length < 2) {
+      instance.handleDisplayError('Select at least two templates to merge.');
+      return;
     }
-    
-    // Calculate overall progress
-    let totalRequired = 0;
-    let totalPainted = 0;
-    let totalNeedCrosshair = 0;
-    let totalWrong = 0;
-    
-    // Get excluded colors from localStorage (used for both wrong pixels and main calculation)
-    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-    
-    // Get wrong pixels from tile progress data (only once) - FILTERED BY ENABLED TEMPLATES
-    if (templateManager.tileProgress && templateManager.tileProgress.size > 0) {
-      // Get list of enabled templates for filtering (same logic as calculateRemainingPixelsByColor)
-      const enabledTemplateKeys = new Set();
-      if (templateManager.templatesArray) {
-        for (const template of templateManager.templatesArray) {
-          const templateKey = `${template.sortID} ${template.authorID}`;
-          if (templateManager.isTemplateEnabled(templateKey)) {
-            enabledTemplateKeys.add(templateKey);
-          }
-        }
+
+    mergeButton.disabled = true;
+    mergeButton.textContent = 'Merging...';
+    try {
+      const parts = [];
+      for (const key of selected) {
+        const part = await loadTemplateImage(key);
+        if (!part) throw new Error(`Could not reconstruct "${templates[key].name}"`);
+        parts.push(part);
       }
-      
-      for (const [tileKey, tileStats] of templateManager.tileProgress.entries()) {
-        // Filter tiles by enabled templates only (same logic as calculateRemainingPixelsByColor)
-        let shouldIncludeTile = true;
-        
-        if (enabledTemplateKeys.size > 0) {
-          shouldIncludeTile = false;
-          const [tileX, tileY] = tileKey.split(',').map(coord => parseInt(coord));
-          
-          for (const template of templateManager.templatesArray) {
-            const templateKey = `${template.sortID} ${template.authorID}`;
-            if (!enabledTemplateKeys.has(templateKey)) continue;
-            
-            if (template.chunked) {
-              for (const chunkKey of Object.keys(template.chunked)) {
-                const [chunkTileX, chunkTileY] = chunkKey.split(',').map(coord => parseInt(coord));
-                if (chunkTileX === tileX && chunkTileY === tileY) {
-                  shouldIncludeTile = true;
-                  break;
-                }
-              }
-            }
-            if (shouldIncludeTile) break;
-          }
-        }
-        
-        if (!shouldIncludeTile) continue;
-        
-        if (tileStats.colorBreakdown) {
-          for (const [colorKey, colorStats] of Object.entries(tileStats.colorBreakdown)) {
-            // Skip excluded colors from wrong pixels calculation too
-            if (excludedColors.includes(colorKey)) {
-              continue;
-            }
-            totalWrong += colorStats.wrong || 0;
-          }
-        }
+
+      const merged = TemplateTransforms.mergeImageData(parts, ruleSelect.value);
+      const name = nameInput.value.trim() || 'Merged template';
+      const file = await imageDataToPNGFile(merged.imageData, `${name}.png`);
+      const mergedKey = await templateManager.createTemplate(file, name, TemplateTransforms.absoluteToTemplateCoords(merged.x, merged.y));
+
+      if (mergedKey && disableMerged.checked) {
+        selected.forEach(key => templateManager.setTemplateEnabled(key, false));
       }
-    }
-    
-    for (const [colorKey, stats] of Object.entries(pixelStats)) {
-      // Skip excluded colors from progress calculation
-      if (excludedColors.includes(colorKey)) {
-        continue;
+
+      invalidateTemplateCache();
+      setTimeout(() => {
+        updateMiniTracker();
+        updateColorMenuDisplay(false, true);
+      }, 500);
+
+      if (mergedKey) {
+        instance.handleDisplayStatus(`Merged ${selected.length} templates into "${name}" (${merged.imageData.width}×${merged.imageData.height}, ${merged.conflicts.toLocaleString()} conflicting pixel${merged.conflicts === 1 ? '' : 's'})`);
       }
-      
-      totalRequired += stats.totalRequired || 0;
-      totalPainted += stats.painted || 0;
-      totalNeedCrosshair += stats.needsCrosshair || 0;
-    }
-    
-    // Apply wrong color logic based on settings
-    let overallProgress, displayPainted, displayRequired;
-    
-    if (templateManager.getIncludeWrongColorsInProgress()) {
-      // Wrong colors are ALREADY included in totalPainted from calculateRemainingPixelsByColor()
-      // Do NOT add totalWrong again to avoid double counting
-      displayPainted = totalPainted;
-      displayRequired = totalRequired;
-      overallProgress = displayRequired > 0 ? Math.round((displayPainted / displayRequired) * 100) : 0;
-    } else {
-      // Standard calculation (exclude wrong colors)
-      displayPainted = totalPainted;
-      displayRequired = totalRequired;
-      overallProgress = displayRequired > 0 ? Math.round((displayPainted / displayRequired) * 100) : 0;
+      close();
+      closeManageDialog();
+    } catch (error) {
+      console.error('[Merge] Failed:', error);
+      instance.handleDisplayError(`Merge failed: ${error.message}`);
+      mergeButton.disabled = false;
+      mergeButton.textContent = 'Merge';
     }
-    
-    // Inject compact modern styles for Color Filter UI (once)
-    if (!document.getElementById('bmcf-styles')) {
-      const s = document.createElement('style');
-      s.id = 'bmcf-styles';
-      s.textContent = `
-        :root { 
-          --slate-50: #f8fafc; --slate-100: #f1f5f9; --slate-200: #e2e8f0; --slate-300: #cbd5e1; 
-          --slate-400: #94a3b8; --slate-500: #64748b; --slate-600: #475569; --slate-700: #334155; 
-          --slate-750: #293548; --slate-800: #1e293b; --slate-900: #0f172a; --slate-950: #020617;
-          --blue-400: #60a5fa; --blue-500: #3b82f6; --blue-600: #2563eb; --blue-700: #1d4ed8;
-          --emerald-400: #34d399; --emerald-500: #10b981; --emerald-600: #059669; --emerald-700: #047857;
-          --bmcf-bg: var(--slate-900); --bmcf-card: var(--slate-800); --bmcf-border: var(--slate-700); 
-          --bmcf-muted: var(--slate-400); --bmcf-text: var(--slate-100); --bmcf-text-muted: var(--slate-300);
-        }
-        .bmcf-overlay { 
-          width: min(94vw, 670px); max-height: 88vh; background: var(--bmcf-bg); color: var(--bmcf-text); 
-          border-radius: 20px; border: 1px solid var(--bmcf-border); 
-          box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7), 0 0 0 1px rgba(255, 255, 255, 0.05); 
-          display: flex; flex-direction: column; overflow: hidden; 
-          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-          backdrop-filter: blur(16px); position: relative;
-        }
-        .bmcf-overlay::before {
-          content: ''; position: absolute; inset: 0; border-radius: 20px; 
-          background: linear-gradient(135deg, rgba(59, 130, 246, 0.1), rgba(16, 185, 129, 0.05)); 
-          pointer-events: none;
-        }
-        .bmcf-header { 
-          display: flex; flex-direction: column; padding: 16px 20px 12px 20px; 
-          border-bottom: 1px solid var(--bmcf-border); 
-          background: linear-gradient(135deg, var(--slate-800), var(--slate-750)); 
-          position: relative; z-index: 1;
-        }
-        .bmcf-content { padding: 20px; overflow: auto; position: relative; z-index: 1; }
-        .bmcf-footer { 
-          display: flex; gap: 12px; justify-content: center; align-items: center; padding: 16px 20px; 
-          border-top: 1px solid var(--bmcf-border); 
-          background: linear-gradient(135deg, var(--slate-800), var(--slate-750)); 
-          position: relative; z-index: 1;
-        }
-        .bmcf-btn { 
-          display: inline-flex; align-items: center; justify-content: center; height: 40px; 
-          padding: 0 18px; min-width: 120px; border-radius: 12px; border: 1px solid var(--bmcf-border); 
-          font-size: 0.9em; font-weight: 600; white-space: nowrap; cursor: pointer; 
-          transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); position: relative; overflow: hidden;
-          background: var(--slate-700); color: var(--bmcf-text);
-        }
-        .bmcf-btn::before {
-          content: ''; position: absolute; inset: 0; border-radius: 12px; 
-          background: linear-gradient(135deg, rgba(255,255,255,0.1), rgba(255,255,255,0.05)); 
-          opacity: 0; transition: opacity 0.2s ease;
-        }
-        .bmcf-btn:hover::before { opacity: 1; }
-        .bmcf-btn:hover { transform: translateY(-2px); box-shadow: 0 8px 25px rgba(0,0,0,0.3); }
-        .bmcf-btn.success { 
-          background: linear-gradient(135deg, var(--emerald-500), var(--emerald-600)); 
-          color: white; border-color: var(--emerald-600);
-        }
-        .bmcf-btn.success:hover { 
-          background: linear-gradient(135deg, var(--emerald-600), var(--emerald-700)); 
-          box-shadow: 0 8px 25px rgba(16, 185, 129, 0.4);
-        }
-        .bmcf-btn.primary { 
-          background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); 
-          color: white; border-color: var(--blue-600);
-        }
-        .bmcf-btn.primary:hover { 
-          background: linear-gradient(135deg, var(--blue-600), var(--blue-700)); 
-          box-shadow: 0 8px 25px rgba(59, 130, 246, 0.4);
-        }
-        .bmcf-input { 
-          width: 100%; height: 44px; padding: 12px 16px; border-radius: 12px; 
-          border: 1px solid var(--bmcf-border); background: var(--slate-800); color: var(--bmcf-text); 
-          outline: none; font-size: 0.95em; transition: all 0.2s ease;
-        }
-        .bmcf-input:focus { 
-          border-color: var(--blue-500); 
-          box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.2), 0 4px 12px rgba(59, 130, 246, 0.15); 
-        }
-        @media (max-width: 520px) { .bmcf-btn { min-width: 100px; height: 36px; font-size: 0.85em; } }
-        
-        /* View toggle guards - prevent grid/list overlap */
-        .bmcf-view-container .bmcf-grid { display: grid; }
-        .bmcf-view-container .bmcf-list { display: none; }
-        .bmcf-view-container.list-mode .bmcf-grid { display: none !important; }
-        .bmcf-view-container.list-mode .bmcf-list { display: flex !important; }
-        
-        /* Mobile Mode will be applied dynamically via applyMobileModeToColorFilter() */
-      `;
-      document.head.appendChild(s);
+  };
+
+  container.append(hint, list, field('Conflicts', ruleSelect), field('Name', nameInput), disableRow, buttons);
+}
+
+/** Lists enabled templates that share board pixels and lets the user pick which one wins.
+ * The winner is moved right above the other template in the draw order, so it is drawn on top
+ * and its pixels are the ones counted in progress.
+ * @param {Object} instance - The main Overlay instance
+ * @param {Function} onReordered - Called after the draw order changed (e.g. to re-render the template list)
+ * @since 0.91.22
+ */
+function showTemplateOverlapsDialog(instance, onReordered) {
+  const { container, close } = createTransformDialogShell('bm-template-overlaps-overlay', 'Overlapping templates');
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Where enabled templates overlap, the one drawn on top owns the pixel: only its color is shown and counted. Red marks shared pixels with different colors, gray marks shared pixels that agree.';
+  hint.style.cssText = 'color: #94a3b8; line-height: 1.4;';
+
+  const list = document.createElement('div');
+  list.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = 'Close';
+  closeButton.style.cssText = 'padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+  closeButton.onclick = close;
+
+  const flyToOverlap = (overlap) => {
+    const centerX = overlap.x + Math.floor(overlap.imageData.width / 2);
+    const centerY = overlap.y + Math.floor(overlap.imageData.height / 2);
+    const latLng = canvasPosToLatLng(TemplateTransforms.absoluteToTemplateCoords(centerX, centerY));
+    if (!latLng) {
+      instance.handleDisplayError('❌ Unable to convert coordinates!');
+      return;
     }
 
-    // Initialize pending excluded colors (copy from applied if not exists)
-    if (!localStorage.getItem('bmcf-excluded-colors-pending')) {
-      const appliedExcluded = localStorage.getItem('bmcf-excluded-colors') || '[]';
-      localStorage.setItem('bmcf-excluded-colors-pending', appliedExcluded);
+    if (Settings.getNavigationMethod() === 'openurl') {
+      window.location.href = `https://wplace.live/?lat=${latLng.lat}&lng=${latLng.lng}&zoom=19.5`;
+    } else {
+      flyToLatLng(latLng.lat, latLng.lng, 19.5);
     }
-    
-    // Create the color filter overlay
-    const colorFilterOverlay = document.createElement('div');
-    colorFilterOverlay.id = 'bm-color-filter-overlay';
-    colorFilterOverlay.style.cssText = `
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      z-index: 9001;
-      ${isMobileMode ? 'max-width: 95vw; max-height: 90vh;' : ''}
-    `;
-    colorFilterOverlay.className = 'bmcf-overlay';
+    instance.handleDisplayStatus('🧭 Flying to the overlap');
+  };
 
-    // Header
-    const header = document.createElement('div');
-    header.className = 'bmcf-header';
-    header.style.cssText = `cursor: move; user-select:none; flex-shrink:0; flex-direction: column;`;
+  const render = () => {
+    list.innerHTML = '';
+    let overlaps;
+    try {
+      overlaps = templateManager.findTemplateOverlaps();
+    } catch (error) {
+      console.error('[Overlaps] Detection failed:', error);
+      list.textContent = `Could not check for overlaps: ${error.message}`;
+      return;
+    }
 
-    // Drag bar (similar to main overlay)
-    const dragBar = document.createElement('div');
-    dragBar.className = 'bmcf-drag-bar';
-    dragBar.style.cssText = `
-      background: linear-gradient(90deg, #475569 0%, #64748b 50%, #475569 100%);
-      border-radius: 4px;
-      cursor: grab;
-      width: 100%;
-      height: 6px;
-      margin-bottom: 8px;
-      opacity: 0.8;
-      transition: opacity 0.2s ease;
-    `;
+    if (overlaps.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No enabled templates overlap.';
+      empty.style.cssText = 'text-align: center; padding: 24px; color: #64748b;';
+      list.appendChild(empty);
+      return;
+    }
 
-    // Drag bar hover effect
-    dragBar.addEventListener('mouseenter', () => {
-      dragBar.style.opacity = '1';
-    });
-    dragBar.addEventListener('mouseleave', () => {
-      dragBar.style.opacity = '0.8';
+    const templates = templateManager.templatesJSON?.templates || {};
+    for (const overlap of overlaps) {
+      const item = document.createElement('div');
+      item.style.cssText = 'display: flex; gap: 10px; padding: 10px; background: #334155; border-radius: 10px; align-items: flex-start;';
+
+      // Overlap region, scaled up to a readable size
+      const scale = Math.max(1, Math.floor(96 / Math.max(overlap.imageData.width, overlap.imageData.height)));
+      const preview = document.createElement('canvas');
+      preview.width = overlap.imageData.width;
+      preview.height = overlap.imageData.height;
+      preview.getContext('2d').putImageData(overlap.imageData, 0, 0);
+      preview.style.cssText = `width: ${overlap.imageData.width * scale}px; height: ${overlap.imageData.height * scale}px; max-width: 96px; max-height: 96px; object-fit: contain; image-rendering: pixelated; background: #0f172a; border: 1px solid #475569; border-radius: 4px; flex-shrink: 0;`;
+
+      const details = document.createElement('div');
+      details.style.cssText = 'flex: 1; min-width: 0; display: flex; flex-direction: column; gap: 6px;';
+
+      const nameOf = (templateKey) => templates[templateKey]?.name || `Template ${templateKey}`;
+      const stats = document.createElement('div');
+      const [tileX, tileY, pixelX, pixelY] = TemplateTransforms.absoluteToTemplateCoords(overlap.x, overlap.y);
+      stats.textContent = `${overlap.pixels.toLocaleString()} shared pixel${overlap.pixels === 1 ? '' : 's'}, ${overlap.conflicts.toLocaleString()} with different colors • Tile ${tileX},${tileY} • Pixel ${pixelX},${pixelY}`;
+      stats.style.cssText = 'color: #94a3b8; font-size: 0.9em;';
+
+      const winnerRow = document.createElement('div');
+      winnerRow.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap;';
+      for (const [winnerKey, loserKey] of [[overlap.upperKey, overlap.lowerKey], [overlap.lowerKey, overlap.upperKey]]) {
+        const isWinner = winnerKey === overlap.upperKey;
+        const winnerButton = document.createElement('button');
+        winnerButton.textContent = `${isWinner ? '✓ ' : ''}${nameOf(winnerKey)} wins`;
+        winnerButton.title = isWinner ? 'Drawn on top, owns the shared pixels' : 'Draw this template on top instead';
+        winnerButton.disabled = isWinner;
+        winnerButton.style.cssText = `flex: 1; min-width: 0; padding: 6px 10px; border: none; border-radius: 6px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; ${isWinner ? 'background: linear-gradient(135deg, #10b981, #059669); color: white; cursor: default;' : 'background: #1f2937; color: #e2e8f0; cursor: pointer;'}`;
+        winnerButton.onclick = async () => {
+          await templateManager.setOverlapWinner(winnerKey, loserKey);
+          invalidateTemplateCache();
+          setTimeout(() => {
+            updateMiniTracker();
+            updateColorMenuDisplay(false, true);
+          }, 500);
+          instance.handleDisplayStatus(`"${nameOf(winnerKey)}" is now drawn above "${nameOf(loserKey)}"`);
+          onReordered?.();
+          render();
+        };
+        winnerRow.appendChild(winnerButton);
+      }
+
+      const flyButton = document.createElement('button');
+      flyButton.textContent = '🧭 Fly to';
+      flyButton.style.cssText = 'align-self: flex-start; padding: 4px 10px; border: 1px solid #475569; border-radius: 6px; cursor: pointer; background: #1f2937; color: #e2e8f0; font-size: 0.85em;';
+      flyButton.onclick = () => flyToOverlap(overlap);
+
+      details.append(stats, winnerRow, flyButton);
+      item.append(preview, details);
+      list.appendChild(item);
+    }
+  };
+
+  list.textContent = 'Checking templates...';
+  container.append(hint, list, closeButton);
+  setTimeout(render, 0); // Let the dialog paint before the pixel comparison runs
+}
+
+/** Edits a template's notes, tags, owner, source link and deadline.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} templateKey - The template key (e.g., "0 $Z")
+ * @param {string} templateName - Display name
+ * @param {Function} onSaved - Called after the metadata was saved (e.g. to re-render the template list)
+ * @since 0.91.22
+ */
+function showTemplateMetadataDialog(instance, templateKey, templateName, onSaved) {
+  const metadata = templateManager.getTemplateMetadata(templateKey);
+  if (!metadata) {
+    instance.handleDisplayError('Template not found.');
+    return;
+  }
+
+  const { container, close } = createTransformDialogShell('bm-template-metadata-overlay', `Details of "${templateName}"`);
+
+  const field = (text, input) => {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; flex-direction: column; gap: 4px; color: #94a3b8;';
+    label.append(text, input);
+    input.style.cssText = transformInputStyle + 'width: 100%;';
+    input.addEventListener('keydown', (e) => e.stopPropagation());
+    return label;
+  };
+  const textInput = (value, placeholder, type = 'text') => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.placeholder = placeholder;
+    return input;
+  };
+
+  const notesInput = document.createElement('textarea');
+  notesInput.value = metadata.notes;
+  notesInput.rows = 4;
+  notesInput.placeholder = 'Anything the team should know';
+  const tagsInput = textInput(metadata.tags.join(', '), 'e.g. flag, priority');
+  const ownerInput = textInput(metadata.owner, 'Name or contact');
+  const sourceInput = textInput(metadata.sourceUrl, 'https://...', 'url');
+  const deadlineInput = textInput(metadata.deadline, '', 'date');
+
+  const notesField = field('Notes', notesInput);
+  notesInput.style.resize = 'vertical';
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px;';
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+  cancelButton.onclick = close;
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save';
+  saveButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #0ea5e9, #0284c7); color: white;';
+  buttons.append(cancelButton, saveButton);
+
+  saveButton.onclick = async () => {
+    const sourceUrl = sourceInput.value.trim();
+    if (sourceUrl && !/^https?:\/\//i.test(sourceUrl)) {
+      instance.handleDisplayError('The source link has to start with http:// or https://');
+      return;
+    }
+
+    saveButton.disabled = true;
+    const saved = await templateManager.setTemplateMetadata(templateKey, {
+      notes: notesInput.value,
+      tags: tagsInput.value,
+      owner: ownerInput.value,
+      sourceUrl,
+      deadline: deadlineInput.value
     });
+    if (!saved) {
+      instance.handleDisplayError('Failed to save template details');
+      saveButton.disabled = false;
+      return;
+    }
 
-    // Container for title and close button
-    const titleContainer = document.createElement('div');
-    titleContainer.style.cssText = `
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      width: 100%;
-    `;
+    instance.handleDisplayStatus(`Saved details of "${templateName}"`);
+    close();
+    onSaved?.();
+  };
 
-    const title = document.createElement('h2');
-    title.textContent = 'Template Color Filter';
-    const titleFontSize = isMobileMode ? '1.2em' : '1.5em';
-    title.style.cssText = `
-      margin: 0; 
-      font-size: ${titleFontSize}; 
-      font-weight: 700;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      text-align: center;
-      flex: 1;
-      pointer-events: none;
-      letter-spacing: -0.025em;
-      background: linear-gradient(135deg, var(--slate-100), var(--slate-300));
-      -webkit-background-clip: text;
-      -webkit-text-fill-color: transparent;
-      background-clip: text;
-    `;
+  container.append(
+    notesField,
+    field('Tags (comma separated)', tagsInput),
+    field('Owner / contact', ownerInput),
+    field('Source link', sourceInput),
+    field('Deadline', deadlineInput),
+    buttons
+  );
+}
 
-    const closeButton = document.createElement('button');
-    closeButton.textContent = '✕';
-    const buttonSize = isMobileMode ? '32px' : '36px';
-    const buttonFontSize = isMobileMode ? '14px' : '16px';
-    closeButton.style.cssText = `
-      background: linear-gradient(135deg, #ef4444, #dc2626);
-      border: 1px solid rgba(239, 68, 68, 0.3);
-      color: white;
-      width: ${buttonSize};
-      height: ${buttonSize};
-      border-radius: 12px;
-      cursor: pointer;
-      font-size: ${buttonFontSize};
-      font-weight: 600;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      overflow: hidden;
-    `;
-    // Add hover effects but prevent them on touch devices
-    closeButton.onmouseover = () => {
-      closeButton.style.transform = 'translateY(-1px) scale(1.05)';
-      closeButton.style.boxShadow = '0 6px 20px rgba(239, 68, 68, 0.4)';
-    };
-    closeButton.onmouseout = () => {
-      closeButton.style.transform = '';
-      closeButton.style.boxShadow = '';
-    };
-    
-    // Prevent hover effects on touch by immediately resetting styles on touchstart
-    closeButton.addEventListener('touchstart', () => {
-      closeButton.style.transform = '';
-      closeButton.style.boxShadow = '';
-    }, { passive: true });
-    
-    closeButton.onclick = () => {
-      // Discard pending changes when closing without applying
-      localStorage.removeItem('bmcf-excluded-colors-pending');
-      colorFilterOverlay.remove();
-    };
+/** Copies text to the clipboard, falling back to a selected text field where the Clipboard API is blocked.
+ * @param {string} text - The text to copy
+ * @param {HTMLTextAreaElement} [field] - Field to select for the fallback
+ * @returns {Promise<boolean>} Whether the text was copied
+ * @since 0.91.22
+ */
+async function copyTextToClipboard(text, field) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (_) {
+    if (!field) return false;
+    const previous = field.value;
+    field.value = text;
+    field.select();
+    const copied = document.execCommand('copy');
+    field.value = previous;
+    return copied;
+  }
+}
 
-    // Settings button 
-    const settingsButton = document.createElement('button');
-    settingsButton.innerHTML = icons.settingsIcon;
-    settingsButton.style.cssText = `
-      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
-      border: 1px solid var(--slate-500);
-      color: var(--slate-200);
-      width: ${buttonSize};
-      height: ${buttonSize};
-      border-radius: 12px;
-      cursor: pointer;
-      font-size: ${buttonFontSize};
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      margin-right: 12px;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      overflow: hidden;
-    `;
-    // Add hover effects but prevent them on touch devices
-    settingsButton.onmouseover = () => {
-      settingsButton.style.transform = 'translateY(-1px) scale(1.05)';
-      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
-      settingsButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
-    };
-    settingsButton.onmouseout = () => {
-      settingsButton.style.transform = '';
-      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      settingsButton.style.boxShadow = '';
-    };
-    
-    // Prevent hover effects on touch by immediately resetting styles on touchstart
-    settingsButton.addEventListener('touchstart', () => {
-      settingsButton.style.transform = '';
-      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      settingsButton.style.boxShadow = '';
-    }, { passive: true });
-    settingsButton.onclick = () => buildCrosshairSettingsOverlay();
+/** Shows a template as a share code and a `#bm=` link, ready to copy.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} templateKey - The template key (e.g., "0 $Z")
+ * @param {string} templateName - Display name
+ * @since 0.91.22
+ */
+async function showTemplateShareDialog(instance, templateKey, templateName) {
+  const { container, close } = createTransformDialogShell('bm-template-share-overlay', `Share "${templateName}"`);
 
-    // View toggle button (Grid/List)
-    const viewToggleButton = document.createElement('button');
-    viewToggleButton.innerHTML = '📋'; // List icon
-    viewToggleButton.title = 'Toggle between Grid and List view';
-    viewToggleButton.style.cssText = `
-      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
-      border: 1px solid var(--slate-500);
-      color: var(--slate-200);
-      width: ${buttonSize};
-      height: ${buttonSize};
-      border-radius: 12px;
-      cursor: pointer;
-      font-size: ${buttonFontSize};
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      margin-right: 12px;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      overflow: hidden;
-    `;
-    
-    // State variable for current view mode - restore from localStorage
-    const savedPreference = localStorage.getItem('bmcf-view-preference');
-    let isListView = savedPreference === 'list';
-    
-    // Add hover effects but prevent them on touch devices
-    viewToggleButton.onmouseover = () => {
-      viewToggleButton.style.transform = 'translateY(-1px) scale(1.05)';
-      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
-      viewToggleButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
-    };
-    viewToggleButton.onmouseout = () => {
-      viewToggleButton.style.transform = '';
-      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      viewToggleButton.style.boxShadow = '';
-    };
-    
-    // Prevent hover effects on touch by immediately resetting styles on touchstart
-    viewToggleButton.addEventListener('touchstart', () => {
-      viewToggleButton.style.transform = '';
-      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      viewToggleButton.style.boxShadow = '';
-    }, { passive: true });
+  const info = document.createElement('div');
+  info.textContent = 'Encoding template...';
+  info.style.cssText = 'color: #94a3b8; line-height: 1.4;';
+  container.appendChild(info);
 
-    // Toggle view functionality
-    const toggleView = () => {
-      isListView = !isListView;
-      
-      // Save preference to localStorage
-      localStorage.setItem('bmcf-view-preference', isListView ? 'list' : 'grid');
-      
-      // Use CSS classes to control visibility - this prevents DOM manipulation conflicts
-      if (isListView) {
-        colorViewContainer.classList.add('list-mode');
-        viewToggleButton.innerHTML = '⊞'; // Grid icon
-        viewToggleButton.title = 'Switch to Grid view';
-      } else {
-        colorViewContainer.classList.remove('list-mode');
-        viewToggleButton.innerHTML = '📋'; // List icon
-        viewToggleButton.title = 'Switch to List view';
-      }
-      
-      // Force layout recalculation
-      colorViewContainer.offsetHeight;
-      
-      // Re-apply current filter to the new view
-      if (typeof filterSelect !== 'undefined' && filterSelect.value) {
-        applyFilter(filterSelect.value);
-      }
-      
-      // Re-apply current search to the new view
-      if (typeof searchInput !== 'undefined' && searchInput.value.trim()) {
-        const searchTerm = searchInput.value.toLowerCase().trim();
-        const currentViewItems = isListView ? 
-          Array.from(colorList.querySelectorAll('[data-color-item]')) : 
-          Array.from(colorGrid.querySelectorAll('[data-color-item]'));
-        
-        currentViewItems.forEach(item => {
-          const colorName = item.getAttribute('data-color-name').toLowerCase();
-          if (colorName.includes(searchTerm)) {
-            item.style.display = 'flex';
-          } else {
-            item.style.display = 'none';
-          }
-        });
-      }
-    };
+  let code;
+  let coords;
+  try {
+    const source = await loadTemplateImage(templateKey);
+    if (!source) throw new Error('Template not found or empty');
+    coords = TemplateTransforms.absoluteToTemplateCoords(source.x, source.y);
+    code = await TemplateShare.encodeShareCode({ imageData: source.imageData, coords, name: templateName }, templateManager.encodingBase);
+  } catch (error) {
+    console.error('[Share] Failed to encode template:', error);
+    info.textContent = `Could not create a share code: ${error.message}`;
+    info.style.color = '#f87171';
+    return;
+  }
 
-    viewToggleButton.onclick = toggleView;
+  const url = TemplateShare.buildShareURL(code, coords);
+  info.textContent = `${code.length.toLocaleString()} characters. Anyone with Blue Marble can paste the code on Wplace, or open the link, to import this template.`;
+
+  const codeField = document.createElement('textarea');
+  codeField.readOnly = true;
+  codeField.value = code;
+  codeField.rows = 5;
+  codeField.style.cssText = transformInputStyle + 'width: 100%; resize: vertical; font-family: monospace; font-size: 11px; word-break: break-all;';
+  codeField.addEventListener('focus', () => codeField.select());
+  container.appendChild(codeField);
+
+  if (url.length > 8000) {
+    const warning = document.createElement('div');
+    warning.textContent = 'This link is long; some chat apps cut long links. Sharing the code is safer.';
+    warning.style.cssText = 'color: #fbbf24; font-size: 12px;';
+    container.appendChild(warning);
+  }
 
-    // Initialize view state based on saved preference
-    const initializeViewState = () => {
-      // Use CSS classes for clean view switching
-      if (isListView) {
-        colorViewContainer.classList.add('list-mode');
-        viewToggleButton.innerHTML = '⊞'; // Grid icon
-        viewToggleButton.title = 'Switch to Grid view';
-      } else {
-        colorViewContainer.classList.remove('list-mode');
-        viewToggleButton.innerHTML = '📋'; // List icon
-        viewToggleButton.title = 'Switch to List view';
-      }
-      
-      // Force layout recalculation
-      colorViewContainer.offsetHeight;
-    };
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px;';
+  const buttonStyle = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; color: white;';
 
-    // Compact List button
-    const compactListButton = document.createElement('button');
-    compactListButton.innerHTML = '📌';
-    compactListButton.title = 'Toggle Compact Color List';
-    compactListButton.style.cssText = `
-      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
-      border: 1px solid var(--slate-500);
-      color: var(--slate-200);
-      width: ${buttonSize};
-      height: ${buttonSize};
-      border-radius: 12px;
-      cursor: pointer;
-      font-size: ${buttonFontSize};
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      margin-right: 12px;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      position: relative;
-      overflow: hidden;
-    `;
-    compactListButton.onmouseover = () => {
-      compactListButton.style.transform = 'translateY(-1px) scale(1.05)';
-      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
-      compactListButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
-    };
-    compactListButton.onmouseout = () => {
-      compactListButton.style.transform = '';
-      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      compactListButton.style.boxShadow = '';
-    };
-    compactListButton.addEventListener('touchstart', () => {
-      compactListButton.style.transform = '';
-      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-      compactListButton.style.boxShadow = '';
-    }, { passive: true });
+  const closeButton = document.createElement('button');
+  closeButton.textContent = 'Close';
+  closeButton.style.cssText = buttonStyle + 'background: #475569;';
+  closeButton.onclick = close;
+
+  const copyCodeButton = document.createElement('button');
+  copyCodeButton.textContent = 'Copy code';
+  copyCodeButton.style.cssText = buttonStyle + 'background: linear-gradient(135deg, #14b8a6, #0d9488);';
+  copyCodeButton.onclick = async () => {
+    if (await copyTextToClipboard(code, codeField)) {
+      instance.handleDisplayStatus(`Copied the share code of "${templateName}"`);
+    } else {
+      instance.handleDisplayError('Could not copy, select the code and copy it manually');
+    }
+  };
 
-    // Add elements to titleContainer
-    titleContainer.appendChild(title);
-    titleContainer.appendChild(viewToggleButton);
-    titleContainer.appendChild(compactListButton);
-    titleContainer.appendChild(settingsButton);
-    titleContainer.appendChild(closeButton);
+  const copyLinkButton = document.createElement('button');
+  copyLinkButton.textContent = 'Copy link';
+  copyLinkButton.style.cssText = buttonStyle + 'background: linear-gradient(135deg, #3b82f6, #2563eb);';
+  copyLinkButton.onclick = async () => {
+    if (await copyTextToClipboard(url, codeField)) {
+      instance.handleDisplayStatus(`Copied the share link of "${templateName}"`);
+    } else {
+      instance.handleDisplayError('Could not copy the link');
+    }
+  };
 
-    // Add drag bar and titleContainer to header
-    header.appendChild(dragBar);
-    header.appendChild(titleContainer);
+  buttons.append(closeButton, copyCodeButton, copyLinkButton);
+  container.appendChild(buttons);
+}
 
-    // Progress Summary
-    const progressSummary = document.createElement('div');
-    progressSummary.style.cssText = `
-      background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
-      border: 1px solid var(--bmcf-border);
-      border-radius: 16px;
-      padding: 20px;
-      margin-bottom: 24px;
-      color: var(--bmcf-text);
-      text-align: center;
-      position: relative;
-      overflow: hidden;
-    `;
-    
-    // Add subtle background pattern
-    progressSummary.innerHTML = `
-      <div style="
-        position: absolute; inset: 0; 
-        background: radial-gradient(circle at 20% 20%, rgba(59, 130, 246, 0.1), transparent 50%),
-                    radial-gradient(circle at 80% 80%, rgba(16, 185, 129, 0.08), transparent 50%);
-        pointer-events: none;
-      "></div>
-      <div style="position: relative; z-index: 1;">
-        <div style="
-          font-size: 1.2em; font-weight: 700; margin-bottom: 12px; 
-          color: var(--bmcf-text);
-        ">
-          <span style="margin-right: 8px;">📊</span>
-          <span style="
-            background: linear-gradient(135deg, var(--blue-400), var(--emerald-400));
-            -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text;
-          ">Template Progress: ${overallProgress}%</span>
-        </div>
-        <div style="font-size: 0.95em; color: var(--bmcf-text-muted); margin-bottom: 16px; line-height: 1.5;">
-          ${displayPainted.toLocaleString()} / ${displayRequired.toLocaleString()} pixels painted
-          ${templateManager.getIncludeWrongColorsInProgress() && totalWrong > 0 ? ` (includes ${totalWrong.toLocaleString()} wrong)` : ''}
-        </div>
-        <div style="
-          width: 100%; height: 12px; background: var(--slate-700); 
-          border-radius: 8px; overflow: hidden; position: relative;
-          box-shadow: inset 0 2px 4px rgba(0,0,0,0.3);
-        ">
-          <div style="
-            width: ${overallProgress}%; height: 100%; 
-            background: linear-gradient(90deg, var(--blue-500), var(--emerald-500)); 
-            transition: width 0.4s cubic-bezier(0.4, 0, 0.2, 1);
-            position: relative;
-          ">
-            <div style="
-              position: absolute; inset: 0; 
-              background: linear-gradient(90deg, transparent, rgba(255,255,255,0.2), transparent);
-              animation: shimmer 2s infinite;
-            "></div>
-          </div>
-        </div>
-        <div style="
-          font-size: 0.85em; color: #fbbf24; margin-top: 12px; font-weight: 600;
-          text-shadow: 0 1px 2px rgba(0,0,0,0.5);
-        ">
-          ${totalNeedCrosshair.toLocaleString()} Pixels Remaining
-        </div>
-      </div>
-      <style>
-        @keyframes shimmer {
-          0% { transform: translateX(-100%); }
-          100% { transform: translateX(100%); }
-        }
-      </style>
-    `;
+/** Shows what a share code holds and imports it as a new template if confirmed.
+ * @param {Object} instance - The main Overlay instance
+ * @param {string} code - A share code from {@link TemplateShare.findShareCode}
+ * @param {boolean} [reportErrors=true] - Show an error for damaged codes. Off for pasted text that only looks like a code
+ * @since 0.91.22
+ */
+async function showShareImportDialog(instance, code, reportErrors = true) {
+  if (document.getElementById('bm-template-share-import-overlay')) return;
 
-    // Include Wrong Color Pixels in Progress - moved below progress bar
-    const includeWrongProgressContainer = document.createElement('div');
-    includeWrongProgressContainer.style.cssText = `
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 12px 16px;
-      background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
-      border-radius: 12px;
-      border: 1px solid var(--bmcf-border);
-      margin-bottom: 24px;
-      transition: all 0.2s ease;
-      cursor: pointer;
-    `;
-    includeWrongProgressContainer.onmouseover = () => {
-      includeWrongProgressContainer.style.background = 'linear-gradient(135deg, var(--slate-750), var(--slate-700))';
-      includeWrongProgressContainer.style.transform = 'translateY(-1px)';
-    };
-    includeWrongProgressContainer.onmouseout = () => {
-      includeWrongProgressContainer.style.background = 'linear-gradient(135deg, var(--slate-800), var(--slate-750))';
-      includeWrongProgressContainer.style.transform = '';
-    };
+  let shared;
+  try {
+    shared = await TemplateShare.decodeShareCode(code, templateManager.encodingBase);
+  } catch (error) {
+    console.warn('[Share] Could not read share code:', error);
+    if (reportErrors) instance.handleDisplayError(error.message);
+    return;
+  }
 
-    const includeWrongProgressCheckbox = document.createElement('input');
-    includeWrongProgressCheckbox.type = 'checkbox';
-    includeWrongProgressCheckbox.id = 'bm-include-wrong-progress';
-    includeWrongProgressCheckbox.checked = templateManager.getIncludeWrongColorsInProgress();
-    includeWrongProgressCheckbox.style.cssText = `
-      width: 18px;
-      height: 18px;
-      cursor: pointer;
-      accent-color: var(--blue-500);
-      border-radius: 4px;
-    `;
+  const name = shared.name || 'Shared template';
+  const { container, close } = createTransformDialogShell('bm-template-share-import-overlay', `Import "${name}"?`);
 
-    const includeWrongProgressLabel = document.createElement('label');
-    includeWrongProgressLabel.htmlFor = 'bm-include-wrong-progress';
-    includeWrongProgressLabel.textContent = 'Include Wrong Color Pixels in Progress';
-    includeWrongProgressLabel.style.cssText = `
-      color: var(--bmcf-text);
-      font-size: 0.95em;
-      font-weight: 500;
-      cursor: pointer;
-      user-select: none;
-      flex: 1;
-      letter-spacing: -0.01em;
-    `;
+  const preview = document.createElement('canvas');
+  preview.width = shared.imageData.width;
+  preview.height = shared.imageData.height;
+  preview.getContext('2d').putImageData(shared.imageData, 0, 0);
+  preview.style.cssText = 'max-width: 100%; max-height: 280px; align-self: center; image-rendering: pixelated; background: #0f172a; border: 1px solid #334155; border-radius: 8px;';
 
-    // Event listener for include wrong colors in progress
-    includeWrongProgressCheckbox.addEventListener('change', async () => {
-      const enabled = includeWrongProgressCheckbox.checked;
-      await templateManager.setIncludeWrongColorsInProgress(enabled);
-      overlayMain.handleDisplayStatus(`Include wrong colors in progress ${enabled ? 'enabled' : 'disabled'}!`);
-      
-      // Force refresh color filter overlay to update progress calculations immediately
-      buildColorFilterOverlay();
-    });
+  const [tileX, tileY, pixelX, pixelY] = shared.coords;
+  const info = document.createElement('div');
+  info.style.cssText = 'color: #94a3b8; line-height: 1.5;';
+  info.innerHTML = `<div>Size: <span style="color: #f1f5f9;">${shared.imageData.width}×${shared.imageData.height}</span> • `
+    + `<span style="color: #f1f5f9;">${shared.pixelCount.toLocaleString()}</span> pixels</div>`
+    + `<div>Position: <span style="color: #f1f5f9;">Tl ${tileX}, ${tileY} • Px ${pixelX}, ${pixelY}</span></div>`;
 
-    includeWrongProgressContainer.appendChild(includeWrongProgressCheckbox);
-    includeWrongProgressContainer.appendChild(includeWrongProgressLabel);
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px;';
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+  cancelButton.onclick = close;
+  const importButton = document.createElement('button');
+  importButton.textContent = 'Import';
+  importButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #14b8a6, #0d9488); color: white;';
+  buttons.append(cancelButton, importButton);
+
+  importButton.onclick = async () => {
+    importButton.disabled = true;
+    try {
+      const file = await imageDataToPNGFile(shared.imageData, `${name}.png`);
+      const templateKey = await templateManager.createTemplate(file, name, shared.coords);
+      close();
+      if (!templateKey) return; // Cancelled at the duplicate template prompt
 
-    // Instructions
-    const instructions = document.createElement('p');
-    instructions.textContent = 'Click on colors to toggle their visibility in the template.';
-    instructions.style.cssText = `
-      margin: 0 0 24px 0; 
-      font-size: 0.95em; 
-      color: var(--bmcf-text-muted); 
-      text-align: center; 
-      font-weight: 500;
-      letter-spacing: -0.01em;
-      line-height: 1.4;
-    `;
+      invalidateTemplateCache();
+      setTimeout(() => {
+        updateMiniTracker();
+        updateColorMenuDisplay(false, true);
+      }, 500);
+      instance.handleDisplayStatus(`Imported shared template "${name}"`);
+    } catch (error) {
+      console.error('[Share] Import failed:', error);
+      instance.handleDisplayError('Failed to import the shared template. Check console for details.');
+      importButton.disabled = false;
+    }
+  };
 
-    // Search box
-    const searchContainer = document.createElement('div');
-    searchContainer.style.cssText = `
-      margin: 0 0 24px 0;
-      position: relative;
-    `;
+  container.append(preview, info, buttons);
+}
 
-    const searchInput = document.createElement('input');
-    searchInput.className = 'bmcf-input';
-    searchInput.type = 'text';
-    searchInput.id = 'bm-color-search';
-    searchInput.placeholder = 'Search colors by name or RGB (e.g., "red", "255,0,0")...';
-    searchInput.autocomplete = 'off';
-    searchInput.spellcheck = false;
-    searchInput.style.cssText = `
-      width: 100%;
-      padding: 14px 50px 14px 48px;
-      border: 1px solid var(--bmcf-border);
-      border-radius: 12px;
-      background: var(--slate-800);
-      color: var(--bmcf-text);
-      font-size: 0.95em;
-      font-weight: 400;
-      outline: none;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      box-sizing: border-box;
-      font-family: inherit;
-      -webkit-user-select: text;
-      -moz-user-select: text;
-      -ms-user-select: text;
-      user-select: text;
-      pointer-events: auto;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    `;
+/** Offers to import a template shared through a `#bm=` link, then removes the code from the address bar.
+ * @since 0.91.22
+ */
+function checkSharedTemplateFragment() {
+  const code = TemplateShare.findShareCode(window.location.hash, templateManager.encodingBase);
+  if (!code) return;
 
-    const searchIcon = document.createElement('div');
-    searchIcon.innerHTML = '🔍';
-    searchIcon.style.cssText = `
-      position: absolute;
-      left: 16px;
-      top: 50%;
-      transform: translateY(-50%);
-      font-size: 1.2em;
-      pointer-events: none;
-      opacity: 0.6;
-    `;
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  showShareImportDialog(overlayMain, code);
+}
 
-    const searchClearButton = document.createElement('button');
-    searchClearButton.innerHTML = '✕';
-    searchClearButton.style.cssText = `
-      position: absolute;
-      right: 16px;
-      top: 50%;
-      transform: translateY(-50%);
-      background: var(--slate-600);
-      border: 1px solid var(--slate-500);
-      border-radius: 8px;
-      color: var(--slate-300);
-      font-size: 12px;
-      font-weight: 600;
-      cursor: pointer;
-      padding: 0;
-      width: 24px;
-      height: 24px;
-      display: none;
-      align-items: center;
-      justify-content: center;
-      transition: all 0.2s ease;
-    `;
-    searchClearButton.onmouseover = () => {
-      searchClearButton.style.background = 'var(--slate-500)';
-      searchClearButton.style.color = 'var(--slate-100)';
-    };
-    searchClearButton.onmouseout = () => {
-      searchClearButton.style.background = 'var(--slate-600)';
-      searchClearButton.style.color = 'var(--slate-300)';
-    };
+/** Deploys the overlay to the page with minimize/maximize functionality.
+ * Creates a responsive overlay UI that can toggle between full-featured and minimized states.
+ * 
+ * Parent/child relationships in the DOM structure below are indicated by indentation.
+ * @since 0.58.3
+ */
+function buildOverlayMain() {
+  let isMinimized = false; // Overlay state tracker (false = maximized, true = minimized)
+  
+  overlayMain.addDiv({'id': 'bm-overlay', 'style': 'top: 10px; right: 75px;'})
+    .addDiv({'id': 'bm-contain-header'})
+      .addDiv({'id': 'bm-bar-drag'}).buildElement()
+      .addDiv({'id': 'bm-title-container'})
+        .addImg({'alt': 'Blue Marble Icon - Click to minimize/maximize', 'src': 'https://raw.githubusercontent.com/Seris0/Wplace-SkirkMarble/main/dist/assets/Favicon.png', 'style': 'cursor: pointer; width: 42px; height: 42px;'}, 
+          (instance, img) => {
+          /** Click event handler for overlay minimize/maximize functionality.
+           * 
+           * Toggles between two distinct UI states:
+           * 1. MINIMIZED STATE (60×76px):
+           *    - Shows only the Blue Marble icon and drag bar
+           *    - Hides all input fields, buttons, and status information
+           *    - Applies fixed dimensions for consistent appearance
+           *    - Repositions icon with 3px right offset for visual centering
+           * 
+           * 2. MAXIMIZED STATE (responsive):
+           *    - Restores full functionality with all UI elements
+           *    - Removes fixed dimensions to allow responsive behavior
+           *    - Resets icon positioning to default alignment
+           *    - Shows success message when returning to maximized state
+           * 
+           * @param {Event} event - The click event object (implicit)
+           */
+          img.addEventListener('click', () => {
+            isMinimized = !isMinimized; // Toggle the current state
 
-    searchContainer.appendChild(searchInput);
-    searchContainer.appendChild(searchIcon);
-    searchContainer.appendChild(searchClearButton);
+            const overlay = document.querySelector('#bm-overlay');
+            const header = document.querySelector('#bm-contain-header');
+            const dragBar = document.querySelector('#bm-bar-drag');
+            const uploadButton = document.querySelector('#bm-button-upload-template');
+            const manageButton = document.querySelector('#bm-button-manage');
+            const pauseButton = document.querySelector('#bm-button-pause-tiles');
+            const colorFilterButton = document.getElementById('bm-button-color-filter');
+            
+            // Pre-restore original dimensions when switching to maximized state
+            // This ensures smooth transition and prevents layout issues
+            if (!isMinimized) {
+              overlay.style.width = "";
+              overlay.style.height = "";
+              overlay.style.maxWidth = "";
+              overlay.style.minWidth = "";
+              overlay.style.padding = "10px";
+            }
+            
+            // Define elements that should be hidden/shown during state transitions
+            // Each element is documented with its purpose for maintainability
+                          const elementsToToggle = [
+                '#bm-overlay h1',                    // Main title "Blue Marble"
+                '#bm-contain-userinfo',              // User information section (username, droplets, level)
+                '#bm-overlay #bm-separator',         // Visual separator lines
+                '#bm-contain-automation', // Automation section
+                '#bm-contain-buttons-action',        // Action buttons container
+                `#${instance.outputStatusId}`        // Status log textarea for user feedback
+              ];
+            
+            // Apply visibility changes to all toggleable elements
+            elementsToToggle.forEach(selector => {
+              const elements = document.querySelectorAll(selector);
+              elements.forEach(element => {
+                element.style.display = isMinimized ? 'none' : '';
+              });
+            });
+            // Handle coordinate container and button visibility based on state
+            if (isMinimized) {
+              // ==================== MINIMIZED STATE CONFIGURATION ====================
+              // In minimized state, we hide ALL interactive elements except the icon and drag bar
+              // This creates a clean, unobtrusive interface that maintains only essential functionality
+              
+              // Hide create template button
+              if (uploadButton) {
+                uploadButton.style.display = 'none';
+              }
 
-    // Search functionality
-    const performSearch = (searchTerm) => {
-      const term = searchTerm.toLowerCase().trim();
-      // Get items from both views but only apply to the currently visible view
-      const gridItems = colorGrid.querySelectorAll('[data-color-item]');
-      const listItems = colorList.querySelectorAll('[data-color-item]');
-      const colorItems = isListView ? listItems : gridItems;
-      let visibleCount = 0;
-
-      colorItems.forEach(item => {
-        const colorName = item.getAttribute('data-color-name').toLowerCase();
-        const colorRgb = item.getAttribute('data-color-rgb');
-        
-        // Search by name or RGB values
-        const matchesName = colorName.includes(term);
-        const matchesRgb = colorRgb.includes(term);
-        const matchesRgbFormatted = colorRgb.replace(/,/g, ' ').includes(term);
-        
-        if (term === '' || matchesName || matchesRgb || matchesRgbFormatted) {
-          item.style.display = 'flex';
-          visibleCount++;
-        } else {
-          item.style.display = 'none';
-        }
-      });
-
-      // Show/hide clear button
-      if (term) {
-        searchClearButton.style.display = 'flex';
-      } else {
-        searchClearButton.style.display = 'none';
-      }
-
-      // Update search input border color based on results
-      if (term && visibleCount === 0) {
-        searchInput.style.borderColor = '#ef4444'; // Red if no results
-        searchInput.style.boxShadow = '0 0 0 3px rgba(239, 68, 68, 0.2)';
-      } else {
-        searchInput.style.borderColor = 'var(--bmcf-border)'; // Default
-        searchInput.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-      }
-    };
-
-    // Search input event listeners
-    searchInput.addEventListener('input', (e) => {
-      performSearch(e.target.value);
-    });
-
-    searchInput.addEventListener('focus', () => {
-      searchInput.style.borderColor = 'var(--blue-500)';
-      searchInput.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.2), 0 4px 12px rgba(59, 130, 246, 0.15)';
-    });
-
-    searchInput.addEventListener('blur', () => {
-      if (!searchInput.value) {
-        searchInput.style.borderColor = 'var(--bmcf-border)';
-        searchInput.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-      }
-    });
+              // Hide manage templates button
+              if (manageButton) {
+                manageButton.style.display = 'none';
+              }
 
-    // Prevent any interference with spacebar and other keys
-    searchInput.addEventListener('keydown', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
+              // Hide pause tiles button
+              if (pauseButton) {
+                pauseButton.style.display = 'none';
+              }
 
-    searchInput.addEventListener('keyup', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
 
-    searchInput.addEventListener('keypress', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
+              // Keep Color Filter button visible but compact in minimized state
+              if (colorFilterButton) {
+                // Ensure the container chain is visible
+                let parent = colorFilterButton.parentElement;
+                for (let i = 0; i < 3 && parent; i++) {
+                  parent.style.display = '';
+                  parent = parent.parentElement;
+                }
 
-    // Clear button functionality
-    searchClearButton.addEventListener('click', () => {
-      searchInput.value = '';
-      performSearch('');
-      searchInput.focus();
-    });
+                // Normalize the immediate container to center the compact button
+                const btnContainer = colorFilterButton.parentElement;
+                if (btnContainer) {
+                  btnContainer.style.display = 'flex';
+                  btnContainer.style.justifyContent = 'center';
+                  btnContainer.style.alignItems = 'center';
+                  btnContainer.style.gap = '0';
+                  btnContainer.style.position = 'relative';
+                  btnContainer.style.height = '44px'; // Fixed height to contain the absolute positioned button
+                  // clear grid constraints if any
+                  btnContainer.style.gridTemplateColumns = 'unset';
+                }
 
-    // Color Filter/Sort Section
-    const filterContainer = document.createElement('div');
-    filterContainer.style.cssText = `
-      margin-bottom: 20px;
-      display: flex;
-      align-items: center;
-      gap: 10px;
-    `;
+                // Save original innerHTML once
+                if (!colorFilterButton.dataset.originalHtml) {
+                  colorFilterButton.dataset.originalHtml = colorFilterButton.innerHTML;
+                }
+                // Reduce to icon-only
+                const svg = colorFilterButton.querySelector('svg');
+                if (svg) {
+                  colorFilterButton.innerHTML = svg.outerHTML;
+                }
 
-    const filterLabel = document.createElement('label');
-    filterLabel.textContent = 'Sort by:';
-    filterLabel.style.cssText = `
-      color: white;
-      font-size: 0.9em;
-      font-weight: bold;
-      min-width: 60px;
-    `;
+                // Compact styling to fit the 60px overlay (inner content width = 60 - 2*8 padding = 44px)
+                colorFilterButton.style.width = '56px';
+                colorFilterButton.style.height = '38px';
+                colorFilterButton.style.padding = '0';
+                colorFilterButton.style.gap = '0';
+                colorFilterButton.style.fontSize = '0';
+                colorFilterButton.style.overflow = 'hidden';
+                colorFilterButton.style.borderRadius = '8px';
+                colorFilterButton.style.animation = 'none';
+                colorFilterButton.style.gridColumn = 'auto';
+                colorFilterButton.style.margin = '2px auto 0';
+                colorFilterButton.style.display = 'flex';
+                colorFilterButton.style.alignItems = 'center';
+                colorFilterButton.style.justifyContent = 'center';
+                colorFilterButton.style.alignSelf = 'center';
+                colorFilterButton.style.position = 'absolute';
+                colorFilterButton.style.left = '50%';
+                colorFilterButton.style.transform = 'translateX(-50%)';
+                colorFilterButton.style.zIndex = '1000';
+                // Tweak SVG size
+                const icon = colorFilterButton.querySelector('svg');
+                if (icon) {
+                  icon.style.width = '18px';
+                  icon.style.height = '18px';
+                  icon.style.display = 'block';
+                  icon.style.margin = '0 auto';
+                }
+              }
+              
+              // Apply fixed dimensions for consistent minimized appearance
+              // These dimensions were chosen to accommodate the icon while remaining compact
+              // Increase width to accommodate compact Color Filter button (56px) + padding
+              overlay.style.width = '72px';    // 56px button + 6px*2 padding
+              overlay.style.height = '76px';   // Keep height consistent
+              overlay.style.maxWidth = '72px';  // Prevent expansion
+              overlay.style.minWidth = '72px';  // Prevent shrinking
+              overlay.style.padding = '6px';    // Reduced padding for tighter layout
+              
+                             // Apply icon positioning for better visual centering in minimized state
+               img.style.margin = '0.3rem 0 0 0';
+              
+              // Configure header layout for minimized state
+              header.style.textAlign = 'center';
+              header.style.margin = '0';
+              header.style.marginBottom = '0';
+              
+              // Ensure drag bar remains visible and properly spaced
+              if (dragBar) {
+                dragBar.style.display = '';
+                dragBar.style.marginBottom = '0.1em';
+              }
+            } else {
+              // ==================== MAXIMIZED STATE RESTORATION ====================
+              // In maximized state, we restore all elements to their default functionality
+              // This involves clearing all style overrides applied during minimization
+              
+              // Restore upload button visibility and reset positioning
+              if (uploadButton) {
+                uploadButton.style.display = '';
+                uploadButton.style.marginTop = '';
+              }
 
-    const filterSelect = document.createElement('select');
-    filterSelect.style.cssText = `
-      flex: 1;
-      padding: 6px 14px;
-      border: 2px solid rgba(255, 255, 255, 0.2);
-      border-radius: 6px;
-      background: rgba(0, 0, 0, 0.3);
-      color: white;
-      font-size: 0.9em;
-      outline: none;
-      cursor: pointer;
-    `;
+              // Restore manage button visibility and reset positioning
+              if (manageButton) {
+                manageButton.style.display = '';
+                manageButton.style.marginTop = '';
+              }
 
-    // Filter options
-    const filterOptions = COLOR_SORTING_OPTIONS;
+              // Restore pause tiles button visibility and reset positioning
+              if (pauseButton) {
+                pauseButton.style.display = '';
+                pauseButton.style.marginTop = '';
+              }
 
-    filterOptions.forEach(option => {
-      const optionElement = document.createElement('option');
-      optionElement.value = option.value;
-      optionElement.textContent = option.text;
-      optionElement.style.cssText = `
-        background: #2a2a2a;
-        color: white;
-      `;
-      filterSelect.appendChild(optionElement);
-    });
 
-    // Set default sorting method from settings
-    const defaultSorting = getDefaultColorSorting();
-    filterSelect.value = defaultSorting;
-    debugLog('Color filter initialized with default sorting:', defaultSorting);
+              // Restore Color Filter button to normal size/state
+              if (colorFilterButton) {
+                // Restore content
+                if (colorFilterButton.dataset.originalHtml) {
+                  colorFilterButton.innerHTML = colorFilterButton.dataset.originalHtml;
+                }
+                // Clear compact styles
+                colorFilterButton.style.width = '';
+                colorFilterButton.style.height = '';
+                colorFilterButton.style.padding = '';
+                colorFilterButton.style.gap = '';
+                colorFilterButton.style.fontSize = '';
+                colorFilterButton.style.overflow = '';
+                colorFilterButton.style.borderRadius = '';
+                colorFilterButton.style.animation = '';
+                colorFilterButton.style.transform = '';
+                colorFilterButton.style.gridColumn = '';
+                colorFilterButton.style.margin = '';
+                colorFilterButton.style.display = '';
+                colorFilterButton.style.alignItems = '';
+                colorFilterButton.style.justifyContent = '';
+                colorFilterButton.style.position = '';
+                colorFilterButton.style.left = '';
+                colorFilterButton.style.zIndex = '';
 
-    // Store original order when color items are created
-    let originalGridOrder = [];
-    let originalListOrder = [];
-
-    filterContainer.appendChild(filterLabel);
-    filterContainer.appendChild(filterSelect);
-
-    // Enhanced mode info section
-    const enhancedSection = document.createElement('div');
-    enhancedSection.style.cssText = `
-      margin-bottom: 20px;
-    `;
-
-    const enhancedInfo = document.createElement('div');
-    enhancedInfo.textContent = 'Enhanced: Highlight the Pixels.';
-    enhancedInfo.style.cssText = `
-      background: #333;
-      color: white;
-      padding: 6px 14px;
-      border-radius: 6px;
-      font-size: 0.9em;
-      font-weight: bold;
-      text-align: center;
-      margin-bottom: 10px;
-    `;
-
-    // Main buttons container (Enable All / Disable All)
-    const mainButtonsContainer = document.createElement('div');
-    mainButtonsContainer.style.cssText = `
-      display: flex;
-      gap: 10px;
-      margin-bottom: 10px;
-    `;
-
-    const enableAllButton = document.createElement('button');
-    enableAllButton.textContent = 'Enable All';
-    enableAllButton.style.cssText = `
-      background: #4caf50;
-      border: none;
-      color: white;
-      padding: 8px 16px;
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 0.9em;
-      white-space: nowrap;
-      flex: 1;
-    `;
-
-    const disableAllButton = document.createElement('button');
-    disableAllButton.textContent = 'Disable All';
-    disableAllButton.style.cssText = `
-      background: #f44336;
-      border: none;
-      color: white;
-      padding: 8px 16px;
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 0.9em;
-      white-space: nowrap;
-      flex: 1;
-    `;
+                // Reset parent container layout
+                const btnContainer = colorFilterButton.parentElement;
+                if (btnContainer) {
+                  btnContainer.style.display = '';
+                  btnContainer.style.justifyContent = '';
+                  btnContainer.style.alignItems = '';
+                  btnContainer.style.gap = '';
+                  btnContainer.style.position = '';
+                  btnContainer.style.height = '';
+                  btnContainer.style.gridTemplateColumns = '';
+                }
+              }
+              
+              // Reset icon positioning to default (remove minimized state offset)
+              img.style.margin = '';
+              
+              // Restore overlay to responsive dimensions
+              overlay.style.padding = '10px';
+              
+              // Reset header styling to defaults
+              header.style.textAlign = '';
+              header.style.margin = '';
+              header.style.marginBottom = '';
+              
+              // Reset drag bar spacing
+              if (dragBar) {
+                dragBar.style.marginBottom = '';
+              }
+              
+              // Remove all dimension constraints to allow natural responsive behavior
+              overlay.style.maxWidth = "";
+              overlay.style.minWidth = "";
+            }
+            
+            // Update mini tracker visibility based on collapse setting
+            updateMiniTracker();
+            
+            // ==================== ACCESSIBILITY AND USER FEEDBACK ====================
+            // Update accessibility information for screen readers and tooltips
+            
+            // Update alt text to reflect current state for screen readers and tooltips
+            img.alt = isMinimized ? 
+              'Blue Marble Icon - Minimized (Click to maximize)' : 
+              'Blue Marble Icon - Maximized (Click to minimize)';
+            
+            // No status message needed - state change is visually obvious to users
+          });
+        }
+      ).buildElement()
+      .addHeader(1, {'textContent': 'Skirk Marble'}).buildElement()
+    .buildElement()
 
-    // Disable Enhanced button (full width below)
-    const disableAllEnhancedButton = document.createElement('button');
-    disableAllEnhancedButton.textContent = 'Disable all Enhanced';
-    disableAllEnhancedButton.style.cssText = `
-      background: #6c757d;
-      color: white;
-      border: none;
-      padding: 6px 14px;
-      border-radius: 6px;
-      cursor: pointer;
-      width: 100%;
-      font-size: 0.9em;
-    `;
+    .addDiv({ 
+      id: 'bm-separator', 
+      style: (() => {
+        try {
+          const show = JSON.parse(localStorage.getItem('bmShowInformationHeader') ?? 'true');
+          return show ? '' : 'display: none;';
+        } catch (e) {
+          return '';
+        }
+      })()
+    })
+      .addHr().buildElement()
+      .addDiv({ id: 'bm-separator-text'})
+        .addDiv({ innerHTML: icons.informationIcon }).buildElement()
+        .addP({ textContent: 'Information' }).buildElement()
+        .buildElement()
+      .addHr().buildElement()
+    .buildElement()
 
-    mainButtonsContainer.appendChild(enableAllButton);
-    mainButtonsContainer.appendChild(disableAllButton);
+    .addDiv({'id': 'bm-contain-userinfo'})
+      .addDiv({'id': 'bm-user-name'})
+        .addDiv({'id': 'bm-user-icon', innerHTML: icons.userIcon}).buildElement()
+        .addP({'id': 'bm-user-name-content', innerHTML: '<b>Username:</b> loading...'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-user-droplets'})
+        .addDiv({'id': 'bm-user-droplets-icon', innerHTML: icons.dropletIcon}).buildElement()
+        .addP({'id': 'bm-user-droplets-content', innerHTML: '<b>Droplets:</b> loading...'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-user-nextlevel'})
+        .addDiv({'id': 'bm-user-nextlevel-icon', innerHTML: icons.nextLevelIcon}).buildElement()
+        .addP({'id': 'bm-user-nextlevel-content', 'textContent': 'Next level in...'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-user-fullcharge'})
+        .addDiv({'id': 'bm-user-fullcharge-icon', innerHTML: icons.chargeIcon}).buildElement()
+        .addP({'id': 'bm-user-fullcharge-content', 'textContent': 'Full Charge in...'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-user-mapready'})
+        .addDiv({'id': 'bm-user-mapready-icon', innerHTML: icons.mapReadyIcon}).buildElement()
+        .addP({'id': 'bm-user-mapready-content', 'textContent': 'Map: Waiting...'}).buildElement()
+      .buildElement()
+    .buildElement()
     
-    enhancedSection.appendChild(enhancedInfo);
-    enhancedSection.appendChild(mainButtonsContainer);
-    enhancedSection.appendChild(disableAllEnhancedButton);
-
-    // Enhance Wrong Colors - moved below Disable All Enhanced
-    const enhanceWrongContainer = document.createElement('div');
-    enhanceWrongContainer.style.cssText = `
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      padding: 6px 14px;
-      background: rgba(255, 255, 255, 0.1);
-      border-radius: 6px;
-      border: 1px solid rgba(255, 255, 255, 0.2);
-      margin-top: 10px;
-    `;
-
-    const enhanceWrongCheckbox = document.createElement('input');
-    enhanceWrongCheckbox.type = 'checkbox';
-    enhanceWrongCheckbox.id = 'bm-enhance-wrong-enhanced';
-    enhanceWrongCheckbox.checked = templateManager.getEnhanceWrongColors();
-    enhanceWrongCheckbox.style.cssText = `
-      width: 16px;
-      height: 16px;
-      cursor: pointer;
-    `;
-
-    const enhanceWrongLabel = document.createElement('label');
-    enhanceWrongLabel.htmlFor = 'bm-enhance-wrong-enhanced';
-    enhanceWrongLabel.textContent = 'Enhance Wrong Colors (Crosshair)';
-    enhanceWrongLabel.style.cssText = `
-      color: white;
-      font-size: 0.9em;
-      cursor: pointer;
-      user-select: none;
-      flex: 1;
-    `;
-
-    // Event listener for enhance wrong colors
-    enhanceWrongCheckbox.addEventListener('change', async () => {
-      const enabled = enhanceWrongCheckbox.checked;
-      await templateManager.setEnhanceWrongColors(enabled);
-      overlayMain.handleDisplayStatus(`Wrong colors crosshair ${enabled ? 'enabled' : 'disabled'}!`);
-      
-      invalidateTemplateCache();
-    });
-
-    enhanceWrongContainer.appendChild(enhanceWrongCheckbox);
-    enhanceWrongContainer.appendChild(enhanceWrongLabel);
-    enhancedSection.appendChild(enhanceWrongContainer);
-
-
 
+    .addDiv({ 
+      id: 'bm-separator', 
+      style: (() => {
+        try {
+          const show = JSON.parse(localStorage.getItem('bmShowTemplateHeader') ?? 'true');
+          return show ? '' : 'display: none;';
+        } catch (e) {
+          return '';
+        }
+      })()
+    })
+      .addHr().buildElement()
+      .addDiv({ id: 'bm-separator-text'})
+        .addDiv({ innerHTML: icons.templateIcon }).buildElement()
+        .addP({ textContent: 'Template' }).buildElement()
+        .buildElement()
+      .addHr().buildElement()
+    .buildElement()
 
-
-
-
-    // Color grid
-    const colorGrid = document.createElement('div');
-    colorGrid.className = 'bmcf-grid';
-    colorGrid.style.cssText = `
-      display: grid;
-      grid-template-columns: repeat(4, 1fr);
-      gap: 8px;
-      margin-bottom: 20px;
-      justify-content: center;
-    `;
-
-    // Color list (alternative view)
-    const colorList = document.createElement('div');
-    colorList.className = 'bmcf-list';
-    colorList.style.cssText = `
-      display: none;
-      flex-direction: column;
-      gap: 8px;
-      margin-bottom: 20px;
+    .addDiv({'id': 'bm-contain-automation'})
+      // .addCheckbox({'id': 'bm-input-stealth', 'textContent': 'Stealth', 'checked': true}).buildElement()
+      // .addButtonHelp({'title': 'Waits for the website to make requests, instead of sending requests.'}).buildElement()
+      // .addBr().buildElement()
+      // .addCheckbox({'id': 'bm-input-possessed', 'textContent': 'Possessed', 'checked': true}).buildElement()
+      // .addButtonHelp({'title': 'Controls the website as if it were possessed.'}).buildElement()
+      // .addBr().buildElement()
+      // Color Menu
+      .addDiv({ 
+        id: 'bm-color-menu',
+        style: `
+          background: rgba(255, 255, 255, 0.05);
+          border-radius: 8px;
+          padding: 12px;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          margin-top: 8px;
+          display: ${JSON.parse(localStorage.getItem('bmShowColorMenu') ?? 'false') ? 'block' : 'none'};
+        `
+      })
+        .addDiv({
+          style: 'display: flex; gap: 6px; align-items: center; margin-bottom: 6px;'
+        })
+          .addDiv({
+            innerHTML: '<input type="text" id="bm-color-search" placeholder="🔍 Search colors..." style="flex: 1; padding: 4px 8px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; min-width: 0; max-width: 120px;" autocomplete="off">',
+          }).buildElement()
+          .addDiv({
+            innerHTML: '<select id="bm-color-sort" style="padding: 4px 6px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; flex: 1; min-width: 80px;"><option value="default" style="background: #2a2a2a; color: white;">Default</option><option value="premium" style="background: #2a2a2a; color: white;">Premium 💧</option><option value="most-wrong" style="background: #2a2a2a; color: white;">Most Wrong</option><option value="most-missing" style="background: #2a2a2a; color: white;">Most Missing</option><option value="less-missing" style="background: #2a2a2a; color: white;">Less Missing</option><option value="most-painted" style="background: #2a2a2a; color: white;">Most Painted</option><option value="less-painted" style="background: #2a2a2a; color: white;">Less Painted</option><option value="enhanced" style="background: #2a2a2a; color: white;">Enhanced Only</option><option value="name-asc" style="background: #2a2a2a; color: white;">Name A-Z</option><option value="name-desc" style="background: #2a2a2a; color: white;">Name Z-A</option></select>',
+          }).buildElement()
+          .addDiv({
+            innerHTML: '<button id="bm-color-toggle-all" title="Enable/Disable All Colors" style="padding: 4px 8px; font-size: 11px; border: 1px solid rgba(255,255,255,0.2); border-radius: 4px; background: rgba(255,255,255,0.1); color: white; cursor: pointer; white-space: nowrap;">⚡</button>',
+          }).buildElement()
+        .buildElement()
+        .addDiv({ 
+          id: 'bm-color-list',
+          style: `
+            display: flex;
+            flex-direction: column;
+            gap: 3px;
+            max-height: 140px;
+            overflow-y: auto;
+            scrollbar-width: thin;
+            scrollbar-color: rgba(255,255,255,0.3) transparent;
+          `
+        }, (instance) => {
+          // Initialize color menu after DOM is created and templates are loaded
+          setTimeout(() => {
+            updateColorMenuDisplay(true, true);
+          }, 2000);
+        }).buildElement()
+        .addDiv({
+          id: 'bm-color-menu-resize-handle',
+          style: `
+            height: 8px;
+            background: rgba(255, 255, 255, 0.05);
+            cursor: ns-resize;
+            border-radius: 0 0 6px 6px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: background 0.2s;
+          `,
+          innerHTML: '<div style="width: 30px; height: 3px; background: rgba(255,255,255,0.3); border-radius: 2px;"></div>'
+        }, (instance) => {
+          // Setup resize functionality
+          setTimeout(() => initColorMenuResize(), 100);
+        }).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-buttons-template'})
+        .addButton({'id': 'bm-button-upload-template', innerHTML: icons.uploadIcon + 'Upload Template'}, (instance, button) => {
+          button.onclick = () => {
+            startTemplatePlacerFlow(instance, templateManager);
+          };
+        }).buildElement()
+      .addButton({'id': 'bm-button-manage', innerHTML: icons.manageIcon + 'Manage'}, (instance, button) => {
+        button.onclick = () => {
+          showTemplateManageDialog(instance);
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-button-pause-tiles', innerHTML: (isTileRefreshPaused() ? icons.playIcon : icons.pauseIcon) + (isTileRefreshPaused() ? 'Resume' : 'Pause')}, (instance, button) => {
+        // Set initial CSS class based on current pause state
+        if (isTileRefreshPaused()) {
+          button.classList.add('paused');
+        }
+        button.onclick = () => {
+          const isPaused = toggleTileRefreshPause(templateManager);
+          const cachedCount = getCachedTileCount();
+          
+          button.innerHTML = `${isPaused ? icons.playIcon : icons.pauseIcon} ${isPaused ? 'Resume' : 'Pause'}${isPaused && cachedCount > 0 ? ` (${cachedCount})` : ''}`;
+          
+          // Toggle CSS class based on pause state
+          if (isPaused) {
+            button.classList.add('paused');
+          } else {
+            button.classList.remove('paused');
+          }
+          
+          instance.handleDisplayStatus(isPaused ? 
+            `🧊 Tile refresh paused! Showing frozen template view with ${cachedCount} cached tiles for better performance.` : 
+            '▶️ Tile refresh resumed - templates now update in real-time'
+          );
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-button-color-filter', innerHTML: icons.colorFilterIcon + 'Color Filter'}, (instance, button) => {
+        button.onclick = () => {
+          buildColorFilterOverlay();
+        }
+      }).buildElement()
+      .buildElement() // Close bm-contain-buttons-template
+      .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
+      .addDiv({'id': 'bm-contain-buttons-action', 'style': 'position: relative; padding-bottom: 22px;'})
+        .addDiv({'style': 'display: flex; gap: 6px; align-items: center;'})
+          .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-search', 'className': 'bm-help', 'innerHTML': '🔍', 'title': 'Location Search'}, 
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              const searchPanel = document.getElementById('skirk-search-draggable');
+              if (searchPanel) {
+                searchPanel.style.display = searchPanel.style.display === 'none' || !searchPanel.style.display ? 'flex' : 'none';
+              }
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-button-screenshot', 'className': 'bm-help', 'innerHTML': '📸', 'title': 'Screenshot current template area (auto-detects coordinates)'},
+            (instance, button) => {
+              button.addEventListener('click', async () => {
+                try {
+                  // SMART DETECTION: Get currently displayed template or first enabled template
+                  let t = null;
+                  
+                  if (templateManager.smartDetectionEnabled && templateManager.currentlyDisplayedTemplates.size === 1) {
+                    // Use the currently displayed template for screenshot
+                    const displayedTemplateKey = Array.from(templateManager.currentlyDisplayedTemplates)[0];
+                    t = templateManager.templatesArray.find(template => `${template.sortID} ${template.authorID}` === displayedTemplateKey);
+                  }
+                  
+                  // Fallback: Use first enabled template
+                  if (!t && templateManager.templatesArray) {
+                    for (const template of templateManager.templatesArray) {
+                      const templateKey = `${template.sortID} ${template.authorID}`;
+                      if (templateManager.isTemplateEnabled(templateKey)) {
+                        t = template;
+                        break;
+                      }
+                    }
+                  }
+                  
+                  // Final fallback: Use first template (backward compatibility)
+                  if (!t) {
+                    t = templateManager.templatesArray?.[0];
+                  }
+                  
+                  if (!t) {
+                    instance.handleDisplayError('No template loaded.');
+                    return;
+                  }
+                  
+                  // Auto-detect coordinates from active template
+                  if (!t.coords || t.coords.length !== 4) {
+                    instance.handleDisplayError('Template coordinates not available. Create a template first.');
+                    return;
+                  }
+                  
+                  const [tx, ty, px, py] = t.coords;
+                  if (!Number.isFinite(tx) || !Number.isFinite(ty) || !Number.isFinite(px) || !Number.isFinite(py)) {
+                    instance.handleDisplayError('Invalid template coordinates detected.');
+                    return;
+                  }
+                  
+                  if (!t.imageWidth || !t.imageHeight) {
+                    // Attempt to infer from chunked tiles if missing
+                    try {
+                      const tiles = Object.keys(t.chunked || {});
+                      if (tiles.length > 0) {
+                        let minScaledX = Infinity, minScaledY = Infinity, maxScaledX = 0, maxScaledY = 0;
+                        const scale = templateManager.drawMult || 3;
+                        const tileSizeScaled = (templateManager.tileSize || 1000) * scale;
+                        for (const key of tiles) {
+                          const bmp = t.chunked[key];
+                          const [tX, tY, pX, pY] = key.split(',').map(Number);
+                          const startX = tX * tileSizeScaled + pX * scale;
+                          const startY = tY * tileSizeScaled + pY * scale;
+                          const endX = startX + bmp.width;
+                          const endY = startY + bmp.height;
+                          if (startX < minScaledX) minScaledX = startX;
+                          if (startY < minScaledY) minScaledY = startY;
+                          if (endX > maxScaledX) maxScaledX = endX;
+                          if (endY > maxScaledY) maxScaledY = endY;
+                        }
+                        t.imageWidth = Math.round((maxScaledX - minScaledX) / scale);
+                        t.imageHeight = Math.round((maxScaledY - minScaledY) / scale);
+                      }
+                    } catch (_) {}
+                  }
+                  if (!t.imageWidth || !t.imageHeight) {
+                    instance.handleDisplayError('Template size unavailable; create or reload the template first.');
+                    return;
+                  }
+                  const base = apiManager?.tileServerBase;
+                  if (!base) {
+                    instance.handleDisplayError('Tile server not detected yet; open the board to load tiles.');
+                    return;
+                  }
+                  const blob = await templateManager.buildTemplateAreaScreenshot(base, [tx, ty, px, py], [t.imageWidth, t.imageHeight]);
+                  const url = URL.createObjectURL(blob);
+                  const a = document.createElement('a');
+                  a.href = url;
+                  const ts = new Date().toISOString().replace(/[:.]/g,'-');
+                  a.download = `wplace_template_area_${String(tx).padStart(4,'0')},${String(ty).padStart(4,'0')}_${ts}.png`;
+                  document.body.appendChild(a);
+                  a.click();
+                  a.remove();
+                  setTimeout(() => URL.revokeObjectURL(url), 1000);
+                  instance.handleDisplayStatus(`📸 Saved template area screenshot!\nLocation: Tile ${tx},${ty} • Pixel ${px},${py}\nSize: ${t.imageWidth}×${t.imageHeight}px`);
+                } catch (e) {
+                  console.error(e);
+                  instance.handleDisplayError('Failed to create screenshot');
+                }
+              });
+            }
+          ).buildElement()
+          // Clear All Storage button
+          .addButton({'id': 'bm-button-clear-storage', 'className': 'bm-help', innerHTML: icons.clearStorageIcon, 'title': 'Clear All Storage'}, (instance, button) => {
+            button.addEventListener('click', () => {
+              clearAllStorage(instance);
+            });
+          }).buildElement()
+          // Import Templates button
+          .addButton({'id': 'bm-button-import', 'className': 'bm-help', innerHTML: icons.uploadIcon, 'title': 'Import Templates'}, (instance, button) => {
+            button.addEventListener('click', () => {
+              showImportDialog(instance);
+            });
+          }).buildElement()
+          // Settings button (direct access)
+          .addButton({'id': 'bm-button-settings-direct', 'className': 'bm-help', innerHTML: icons.settingsIcon, 'title': 'Settings (Quick Access)'}, (instance, button) => {
+            button.addEventListener('click', () => {
+              buildCrosshairSettingsOverlay();
+            });
+          }).buildElement()
+          // Art Extractor button
+          .addButton({'id': 'bm-button-art-extractor', 'className': 'bm-help', innerHTML: icons.artExtractorIcon, 'title': 'Art Extractor'}, (instance, button) => {
+            button.addEventListener('click', () => {
+              buildArtExtractorOverlay(apiManager, templateManager);
+            });
+          }).buildElement()
+        .buildElement()
+        .addDiv({'style': 'position: absolute; left: 0; bottom: 2px; text-align: left; padding: 0; pointer-events: auto; user-select: text; line-height: 12px;'}).
+        addSmall({'textContent': `Made by SwingTheVine | Fork Seris0 | v${version}`, 'style': 'color: #94a3b8; font-size: 0.74em; opacity: 0.85;'}).buildElement()        .buildElement()
+      .buildElement()
+    .buildElement()
+  .buildOverlay(document.body);
+}
+
+function buildOverlayTabTemplate() {
+  overlayTabTemplate.addDiv({'id': 'bm-tab-template', 'style': 'top: 20%; left: 10%;'})
+      .addDiv()
+        .addDiv({'className': 'bm-dragbar'}).buildElement()
+        .addButton({'className': 'bm-button-minimize', 'textContent': '↑'},
+          (instance, button) => {
+            button.onclick = () => {
+              let isMinimized = false;
+              if (button.textContent == '↑') {
+                button.textContent = '↓';
+              } else {
+                button.textContent = '↑';
+                isMinimized = true;
+              }
+
+              
+            }
+          }
+        ).buildElement()
+      .buildElement()
+    .buildElement()
+  .buildOverlay();
+
+}
+
+
+
+// The ungrouped section has no stored group entry, so its collapsed state only lasts for the session
+let colorFilterUngroupedCollapsed = false;
+
+/** Builds and displays the color filter overlay
+ * @since 1.0.0
+ */
+function buildColorFilterOverlay() {
+  // Check if templates are available
+  if (!templateManager.templatesArray || templateManager.templatesArray.length === 0) {
+    overlayMain.handleDisplayError('No templates available for color filtering!');
+    return;
+  }
+
+  // Remove existing color filter overlay if it exists
+  const existingOverlay = document.getElementById('bm-color-filter-overlay');
+  if (existingOverlay) {
+    existingOverlay.remove();
+  }
+
+  debugLog('[Color Filter] Starting color filter overlay build...');
+
+  // Check if mobile mode is enabled
+  const isMobileMode = getMobileMode();
+  debugLog(`[Color Filter] Mobile mode: ${isMobileMode ? 'enabled' : 'disabled'}`);
+
+  // Import the color palette from utils
+  import('./utils.js').then(utils => {
+    const colorPalette = utils.colorpalette;
+    
+    // Get enhanced pixel analysis data
+    debugLog('[Color Filter] Calculating pixel statistics...');
+    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
+    debugLog('[Color Filter] Pixel statistics received:', pixelStats);
+    // Update native palette badges as well (if settings enabled)
+    try {
+      updatePaletteLeftBadges(pixelStats);
+    } catch (e) {
+      console.warn('Failed to update palette left badges:', e);
+    }
+    
+    // Calculate overall progress
+    let totalRequired = 0;
+    let totalPainted = 0;
+    let totalNeedCrosshair = 0;
+    let totalWrong = 0;
+    
+    // Get excluded colors from localStorage (used for both wrong pixels and main calculation)
+    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+    
+    // Get wrong pixels from tile progress data (only once) - FILTERED BY ENABLED TEMPLATES
+    if (templateManager.tileProgress && templateManager.tileProgress.size > 0) {
+      // Get list of enabled templates for filtering (same logic as calculateRemainingPixelsByColor)
+      const enabledTemplateKeys = new Set();
+      if (templateManager.templatesArray) {
+        for (const template of templateManager.templatesArray) {
+          const templateKey = `${template.sortID} ${template.authorID}`;
+          if (templateManager.isTemplateEnabled(templateKey)) {
+            enabledTemplateKeys.add(templateKey);
+          }
+        }
+      }
+      
+      for (const [tileKey, tileStats] of templateManager.tileProgress.entries()) {
+        // Filter tiles by enabled templates only (same logic as calculateRemainingPixelsByColor)
+        let shouldIncludeTile = true;
+        
+        if (enabledTemplateKeys.size > 0) {
+          shouldIncludeTile = false;
+          const [tileX, tileY] = tileKey.split(',').map(coord => parseInt(coord));
+          
+          for (const template of templateManager.templatesArray) {
+            const templateKey = `${template.sortID} ${template.authorID}`;
+            if (!enabledTemplateKeys.has(templateKey)) continue;
+            
+            if (template.chunked) {
+              for (const chunkKey of Object.keys(template.chunked)) {
+                const [chunkTileX, chunkTileY] = chunkKey.split(',').map(coord => parseInt(coord));
+                if (chunkTileX === tileX && chunkTileY === tileY) {
+                  shouldIncludeTile = true;
+                  break;
+                }
+              }
+            }
+            if (shouldIncludeTile) break;
+          }
+        }
+        
+        if (!shouldIncludeTile) continue;
+        
+        if (tileStats.colorBreakdown) {
+          for (const [colorKey, colorStats] of Object.entries(tileStats.colorBreakdown)) {
+            // Skip excluded colors from wrong pixels calculation too
+            if (excludedColors.includes(colorKey)) {
+              continue;
+            }
+            totalWrong += colorStats.wrong || 0;
+          }
+        }
+      }
+    }
+    
+    for (const [colorKey, stats] of Object.entries(pixelStats)) {
+      // Skip excluded colors from progress calculation
+      if (excludedColors.includes(colorKey)) {
+        continue;
+      }
+      
+      totalRequired += stats.totalRequired || 0;
+      totalPainted += stats.painted || 0;
+      totalNeedCrosshair += stats.needsCrosshair || 0;
+    }
+    
+    // Apply wrong color logic based on settings
+    let overallProgress, displayPainted, displayRequired;
+    
+    if (templateManager.getIncludeWrongColorsInProgress()) {
+      // Wrong colors are ALREADY included in totalPainted from calculateRemainingPixelsByColor()
+      // Do NOT add totalWrong again to avoid double counting
+      displayPainted = totalPainted;
+      displayRequired = totalRequired;
+      overallProgress = displayRequired > 0 ? Math.round((displayPainted / displayRequired) * 100) : 0;
+    } else {
+      // Standard calculation (exclude wrong colors)
+      displayPainted = totalPainted;
+      displayRequired = totalRequired;
+      overallProgress = displayRequired > 0 ? Math.round((displayPainted / displayRequired) * 100) : 0;
+    }
+    
+    // Inject compact modern styles for Color Filter UI (once)
+    if (!document.getElementById('bmcf-styles')) {
+      const s = document.createElement('style');
+      s.id = 'bmcf-styles';
+      s.textContent = `
+        :root { 
+          --slate-50: #f8fafc; --slate-100: #f1f5f9; --slate-200: #e2e8f0; --slate-300: #cbd5e1; 
+          --slate-400: #94a3b8; --slate-500: #64748b; --slate-600: #475569; --slate-700: #334155; 
+          --slate-750: #293548; --slate-800: #1e293b; --slate-900: #0f172a; --slate-950: #020617;
+          --blue-400: #60a5fa; --blue-500: #3b82f6; --blue-600: #2563eb; --blue-700: #1d4ed8;
+          --emerald-400: #34d399; --emerald-500: #10b981; --emerald-600: #059669; --emerald-700: #047857;
+          --bmcf-bg: var(--slate-900); --bmcf-card: var(--slate-800); --bmcf-border: var(--slate-700); 
+          --bmcf-muted: var(--slate-400); --bmcf-text: var(--slate-100); --bmcf-text-muted: var(--slate-300);
+        }
+        .bmcf-overlay { 
+          width: min(94vw, 670px); max-height: 88vh; background: var(--bmcf-bg); color: var(--bmcf-text); 
+          border-radius: 20px; border: 1px solid var(--bmcf-border); 
+          box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7), 0 0 0 1px rgba(255, 255, 255, 0.05); 
+          display: flex; flex-direction: column; overflow: hidden; 
+          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+          backdrop-filter: blur(16px); position: relative;
+        }
+        .bmcf-overlay::before {
+          content: ''; position: absolute; inset: 0; border-radius: 20px; 
+          background: linear-gradient(135deg, rgba(59, 130, 246, 0.1), rgba(16, 185, 129, 0.05)); 
+          pointer-events: none;
+        }
+        .bmcf-header { 
+          display: flex; flex-direction: column; padding: 16px 20px 12px 20px; 
+          border-bottom: 1px solid var(--bmcf-border); 
+          background: linear-gradient(135deg, var(--slate-800), var(--slate-750)); 
+          position: relative; z-index: 1;
+        }
+        .bmcf-content { padding: 20px; overflow: auto; position: relative; z-index: 1; }
+        .bmcf-footer { 
+          display: flex; gap: 12px; justify-content: center; align-items: center; padding: 16px 20px; 
+          border-top: 1px solid var(--bmcf-border); 
+          background: linear-gradient(135deg, var(--slate-800), var(--slate-750)); 
+          position: relative; z-index: 1;
+        }
+        .bmcf-btn { 
+          display: inline-flex; align-items: center; justify-content: center; height: 40px; 
+          padding: 0 18px; min-width: 120px; border-radius: 12px; border: 1px solid var(--bmcf-border); 
+          font-size: 0.9em; font-weight: 600; white-space: nowrap; cursor: pointer; 
+          transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); position: relative; overflow: hidden;
+          background: var(--slate-700); color: var(--bmcf-text);
+        }
+        .bmcf-btn::before {
+          content: ''; position: absolute; inset: 0; border-radius: 12px; 
+          background: linear-gradient(135deg, rgba(255,255,255,0.1), rgba(255,255,255,0.05)); 
+          opacity: 0; transition: opacity 0.2s ease;
+        }
+        .bmcf-btn:hover::before { opacity: 1; }
+        .bmcf-btn:hover { transform: translateY(-2px); box-shadow: 0 8px 25px rgba(0,0,0,0.3); }
+        .bmcf-btn.success { 
+          background: linear-gradient(135deg, var(--emerald-500), var(--emerald-600)); 
+          color: white; border-color: var(--emerald-600);
+        }
+        .bmcf-btn.success:hover { 
+          background: linear-gradient(135deg, var(--emerald-600), var(--emerald-700)); 
+          box-shadow: 0 8px 25px rgba(16, 185, 129, 0.4);
+        }
+        .bmcf-btn.primary { 
+          background: linear-gradient(135deg, var(--blue-500), var(--blue-600)); 
+          color: white; border-color: var(--blue-600);
+        }
+        .bmcf-btn.primary:hover { 
+          background: linear-gradient(135deg, var(--blue-600), var(--blue-700)); 
+          box-shadow: 0 8px 25px rgba(59, 130, 246, 0.4);
+        }
+        .bmcf-input { 
+          width: 100%; height: 44px; padding: 12px 16px; border-radius: 12px; 
+          border: 1px solid var(--bmcf-border); background: var(--slate-800); color: var(--bmcf-text); 
+          outline: none; font-size: 0.95em; transition: all 0.2s ease;
+        }
+        .bmcf-input:focus { 
+          border-color: var(--blue-500); 
+          box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.2), 0 4px 12px rgba(59, 130, 246, 0.15); 
+        }
+        @media (max-width: 520px) { .bmcf-btn { min-width: 100px; height: 36px; font-size: 0.85em; } }
+        
+        /* View toggle guards - prevent grid/list overlap */
+        .bmcf-view-container .bmcf-grid { display: grid; }
+        .bmcf-view-container .bmcf-list { display: none; }
+        .bmcf-view-container.list-mode .bmcf-grid { display: none !important; }
+        .bmcf-view-container.list-mode .bmcf-list { display: flex !important; }
+        
+        /* Mobile Mode will be applied dynamically via applyMobileModeToColorFilter() */
+      `;
+      document.head.appendChild(s);
+    }
+
+    // Initialize pending excluded colors (copy from applied if not exists)
+    if (!localStorage.getItem('bmcf-excluded-colors-pending')) {
+      const appliedExcluded = localStorage.getItem('bmcf-excluded-colors') || '[]';
+      localStorage.setItem('bmcf-excluded-colors-pending', appliedExcluded);
+    }
+    
+    // Create the color filter overlay
+    const colorFilterOverlay = document.createElement('div');
+    colorFilterOverlay.id = 'bm-color-filter-overlay';
+    colorFilterOverlay.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: 9001;
+      ${isMobileMode ? 'max-width: 95vw; max-height: 90vh;' : ''}
+    `;
+    colorFilterOverlay.className = 'bmcf-overlay';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'bmcf-header';
+    header.style.cssText = `cursor: move; user-select:none; flex-shrink:0; flex-direction: column;`;
+
+    // Drag bar (similar to main overlay)
+    const dragBar = document.createElement('div');
+    dragBar.className = 'bmcf-drag-bar';
+    dragBar.style.cssText = `
+      background: linear-gradient(90deg, #475569 0%, #64748b 50%, #475569 100%);
+      border-radius: 4px;
+      cursor: grab;
+      width: 100%;
+      height: 6px;
+      margin-bottom: 8px;
+      opacity: 0.8;
+      transition: opacity 0.2s ease;
+    `;
+
+    // Drag bar hover effect
+    dragBar.addEventListener('mouseenter', () => {
+      dragBar.style.opacity = '1';
+    });
+    dragBar.addEventListener('mouseleave', () => {
+      dragBar.style.opacity = '0.8';
+    });
+
+    // Container for title and close button
+    const titleContainer = document.createElement('div');
+    titleContainer.style.cssText = `
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      width: 100%;
+    `;
+
+    const title = document.createElement('h2');
+    title.textContent = 'Template Color Filter';
+    const titleFontSize = isMobileMode ? '1.2em' : '1.5em';
+    title.style.cssText = `
+      margin: 0; 
+      font-size: ${titleFontSize}; 
+      font-weight: 700;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      text-align: center;
+      flex: 1;
+      pointer-events: none;
+      letter-spacing: -0.025em;
+      background: linear-gradient(135deg, var(--slate-100), var(--slate-300));
+      -webkit-background-clip: text;
+      -webkit-text-fill-color: transparent;
+      background-clip: text;
+    `;
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '✕';
+    const buttonSize = isMobileMode ? '32px' : '36px';
+    const buttonFontSize = isMobileMode ? '14px' : '16px';
+    closeButton.style.cssText = `
+      background: linear-gradient(135deg, #ef4444, #dc2626);
+      border: 1px solid rgba(239, 68, 68, 0.3);
+      color: white;
+      width: ${buttonSize};
+      height: ${buttonSize};
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: ${buttonFontSize};
+      font-weight: 600;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    `;
+    // Add hover effects but prevent them on touch devices
+    closeButton.onmouseover = () => {
+      closeButton.style.transform = 'translateY(-1px) scale(1.05)';
+      closeButton.style.boxShadow = '0 6px 20px rgba(239, 68, 68, 0.4)';
+    };
+    closeButton.onmouseout = () => {
+      closeButton.style.transform = '';
+      closeButton.style.boxShadow = '';
+    };
+    
+    // Prevent hover effects on touch by immediately resetting styles on touchstart
+    closeButton.addEventListener('touchstart', () => {
+      closeButton.style.transform = '';
+      closeButton.style.boxShadow = '';
+    }, { passive: true });
+    
+    closeButton.onclick = () => {
+      // Discard pending changes when closing without applying
+      localStorage.removeItem('bmcf-excluded-colors-pending');
+      colorFilterOverlay.remove();
+    };
+
+    // Settings button 
+    const settingsButton = document.createElement('button');
+    settingsButton.innerHTML = icons.settingsIcon;
+    settingsButton.style.cssText = `
+      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
+      border: 1px solid var(--slate-500);
+      color: var(--slate-200);
+      width: ${buttonSize};
+      height: ${buttonSize};
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: ${buttonFontSize};
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      margin-right: 12px;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    `;
+    // Add hover effects but prevent them on touch devices
+    settingsButton.onmouseover = () => {
+      settingsButton.style.transform = 'translateY(-1px) scale(1.05)';
+      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
+      settingsButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
+    };
+    settingsButton.onmouseout = () => {
+      settingsButton.style.transform = '';
+      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      settingsButton.style.boxShadow = '';
+    };
+    
+    // Prevent hover effects on touch by immediately resetting styles on touchstart
+    settingsButton.addEventListener('touchstart', () => {
+      settingsButton.style.transform = '';
+      settingsButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      settingsButton.style.boxShadow = '';
+    }, { passive: true });
+    settingsButton.onclick = () => buildCrosshairSettingsOverlay();
+
+    // View toggle button (Grid/List)
+    const viewToggleButton = document.createElement('button');
+    viewToggleButton.innerHTML = '📋'; // List icon
+    viewToggleButton.title = 'Toggle between Grid and List view';
+    viewToggleButton.style.cssText = `
+      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
+      border: 1px solid var(--slate-500);
+      color: var(--slate-200);
+      width: ${buttonSize};
+      height: ${buttonSize};
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: ${buttonFontSize};
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      margin-right: 12px;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    `;
+    
+    // State variable for current view mode - restore from localStorage
+    const savedPreference = localStorage.getItem('bmcf-view-preference');
+    let isListView = savedPreference === 'list';
+    
+    // Add hover effects but prevent them on touch devices
+    viewToggleButton.onmouseover = () => {
+      viewToggleButton.style.transform = 'translateY(-1px) scale(1.05)';
+      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
+      viewToggleButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
+    };
+    viewToggleButton.onmouseout = () => {
+      viewToggleButton.style.transform = '';
+      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      viewToggleButton.style.boxShadow = '';
+    };
+    
+    // Prevent hover effects on touch by immediately resetting styles on touchstart
+    viewToggleButton.addEventListener('touchstart', () => {
+      viewToggleButton.style.transform = '';
+      viewToggleButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      viewToggleButton.style.boxShadow = '';
+    }, { passive: true });
+
+    // Toggle view functionality
+    const toggleView = () => {
+      isListView = !isListView;
+      
+      // Save preference to localStorage
+      localStorage.setItem('bmcf-view-preference', isListView ? 'list' : 'grid');
+      
+      // Use CSS classes to control visibility - this prevents DOM manipulation conflicts
+      if (isListView) {
+        colorViewContainer.classList.add('list-mode');
+        viewToggleButton.innerHTML = '⊞'; // Grid icon
+        viewToggleButton.title = 'Switch to Grid view';
+      } else {
+        colorViewContainer.classList.remove('list-mode');
+        viewToggleButton.innerHTML = '📋'; // List icon
+        viewToggleButton.title = 'Switch to List view';
+      }
+      
+      // Force layout recalculation
+      colorViewContainer.offsetHeight;
+      
+      // Re-apply current filter to the new view
+      if (typeof filterSelect !== 'undefined' && filterSelect.value) {
+        applyFilter(filterSelect.value);
+      }
+      
+      // Re-apply current search to the new view
+      if (typeof searchInput !== 'undefined' && searchInput.value.trim()) {
+        const searchTerm = searchInput.value.toLowerCase().trim();
+        const currentViewItems = isListView ? 
+          Array.from(colorList.querySelectorAll('[data-color-item]')) : 
+          Array.from(colorGrid.querySelectorAll('[data-color-item]'));
+        
+        currentViewItems.forEach(item => {
+          const colorName = item.getAttribute('data-color-name').toLowerCase();
+          if (colorName.includes(searchTerm)) {
+            item.style.display = 'flex';
+          } else {
+            item.style.display = 'none';
+          }
+        });
+      }
+    };
+
+    viewToggleButton.onclick = toggleView;
+
+    // Initialize view state based on saved preference
+    const initializeViewState = () => {
+      // Use CSS classes for clean view switching
+      if (isListView) {
+        colorViewContainer.classList.add('list-mode');
+        viewToggleButton.innerHTML = '⊞'; // Grid icon
+        viewToggleButton.title = 'Switch to Grid view';
+      } else {
+        colorViewContainer.classList.remove('list-mode');
+        viewToggleButton.innerHTML = '📋'; // List icon
+        viewToggleButton.title = 'Switch to List view';
+      }
+      
+      // Force layout recalculation
+      colorViewContainer.offsetHeight;
+    };
+
+    // Compact List button
+    const compactListButton = document.createElement('button');
+    compactListButton.innerHTML = '📌';
+    compactListButton.title = 'Toggle Compact Color List';
+    compactListButton.style.cssText = `
+      background: linear-gradient(135deg, var(--slate-600), var(--slate-700));
+      border: 1px solid var(--slate-500);
+      color: var(--slate-200);
+      width: ${buttonSize};
+      height: ${buttonSize};
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: ${buttonFontSize};
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      margin-right: 12px;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    `;
+    compactListButton.onmouseover = () => {
+      compactListButton.style.transform = 'translateY(-1px) scale(1.05)';
+      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-500), var(--slate-600))';
+      compactListButton.style.boxShadow = '0 6px 20px rgba(71, 85, 105, 0.3)';
+    };
+    compactListButton.onmouseout = () => {
+      compactListButton.style.transform = '';
+      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      compactListButton.style.boxShadow = '';
+    };
+    compactListButton.addEventListener('touchstart', () => {
+      compactListButton.style.transform = '';
+      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+      compactListButton.style.boxShadow = '';
+    }, { passive: true });
+
+    // Add elements to titleContainer
+    titleContainer.appendChild(title);
+    titleContainer.appendChild(viewToggleButton);
+    titleContainer.appendChild(compactListButton);
+    titleContainer.appendChild(settingsButton);
+    titleContainer.appendChild(closeButton);
+
+    // Add drag bar and titleContainer to header
+    header.appendChild(dragBar);
+    header.appendChild(titleContainer);
+
+    // Progress Summary
+    const progressSummary = document.createElement('div');
+    progressSummary.style.cssText = `
+      background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
+      border: 1px solid var(--bmcf-border);
+      border-radius: 16px;
+      padding: 20px;
+      margin-bottom: 24px;
+      color: var(--bmcf-text);
+      text-align: center;
+      position: relative;
+      overflow: hidden;
+    `;
+    
+    // Add subtle background pattern
+    progressSummary.innerHTML = `
+      <div style="
+        position: absolute; inset: 0; 
+        background: radial-gradient(circle at 20% 20%, rgba(59, 130, 246, 0.1), transparent 50%),
+                    radial-gradient(circle at 80% 80%, rgba(16, 185, 129, 0.08), transparent 50%);
+        pointer-events: none;
+      "></div>
+      <div style="position: relative; z-index: 1;">
+        <div style="
+          font-size: 1.2em; font-weight: 700; margin-bottom: 12px; 
+          color: var(--bmcf-text);
+        ">
+          <span style="margin-right: 8px;">📊</span>
+          <span style="
+            background: linear-gradient(135deg, var(--blue-400), var(--emerald-400));
+            -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text;
+          ">Template Progress: ${overallProgress}%</span>
+        </div>
+        <div style="font-size: 0.95em; color: var(--bmcf-text-muted); margin-bottom: 16px; line-height: 1.5;">
+          ${displayPainted.toLocaleString()} / ${displayRequired.toLocaleString()} pixels painted
+          ${templateManager.getIncludeWrongColorsInProgress() && totalWrong > 0 ? ` (includes ${totalWrong.toLocaleString()} wrong)` : ''}
+        </div>
+        <div style="
+          width: 100%; height: 12px; background: var(--slate-700); 
+          border-radius: 8px; overflow: hidden; position: relative;
+          box-shadow: inset 0 2px 4px rgba(0,0,0,0.3);
+        ">
+          <div style="
+            width: ${overallProgress}%; height: 100%; 
+            background: linear-gradient(90deg, var(--blue-500), var(--emerald-500)); 
+            transition: width 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+            position: relative;
+          ">
+            <div style="
+              position: absolute; inset: 0; 
+              background: linear-gradient(90deg, transparent, rgba(255,255,255,0.2), transparent);
+              animation: shimmer 2s infinite;
+            "></div>
+          </div>
+        </div>
+        <div style="
+          font-size: 0.85em; color: #fbbf24; margin-top: 12px; font-weight: 600;
+          text-shadow: 0 1px 2px rgba(0,0,0,0.5);
+        ">
+          ${totalNeedCrosshair.toLocaleString()} Pixels Remaining
+        </div>
+      </div>
+      <style>
+        @keyframes shimmer {
+          0% { transform: translateX(-100%); }
+          100% { transform: translateX(100%); }
+        }
+      </style>
+    `;
+
+    // Include Wrong Color Pixels in Progress - moved below progress bar
+    const includeWrongProgressContainer = document.createElement('div');
+    includeWrongProgressContainer.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px 16px;
+      background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
+      border-radius: 12px;
+      border: 1px solid var(--bmcf-border);
+      margin-bottom: 24px;
+      transition: all 0.2s ease;
+      cursor: pointer;
+    `;
+    includeWrongProgressContainer.onmouseover = () => {
+      includeWrongProgressContainer.style.background = 'linear-gradient(135deg, var(--slate-750), var(--slate-700))';
+      includeWrongProgressContainer.style.transform = 'translateY(-1px)';
+    };
+    includeWrongProgressContainer.onmouseout = () => {
+      includeWrongProgressContainer.style.background = 'linear-gradient(135deg, var(--slate-800), var(--slate-750))';
+      includeWrongProgressContainer.style.transform = '';
+    };
+
+    const includeWrongProgressCheckbox = document.createElement('input');
+    includeWrongProgressCheckbox.type = 'checkbox';
+    includeWrongProgressCheckbox.id = 'bm-include-wrong-progress';
+    includeWrongProgressCheckbox.checked = templateManager.getIncludeWrongColorsInProgress();
+    includeWrongProgressCheckbox.style.cssText = `
+      width: 18px;
+      height: 18px;
+      cursor: pointer;
+      accent-color: var(--blue-500);
+      border-radius: 4px;
+    `;
+
+    const includeWrongProgressLabel = document.createElement('label');
+    includeWrongProgressLabel.htmlFor = 'bm-include-wrong-progress';
+    includeWrongProgressLabel.textContent = 'Include Wrong Color Pixels in Progress';
+    includeWrongProgressLabel.style.cssText = `
+      color: var(--bmcf-text);
+      font-size: 0.95em;
+      font-weight: 500;
+      cursor: pointer;
+      user-select: none;
+      flex: 1;
+      letter-spacing: -0.01em;
+    `;
+
+    // Event listener for include wrong colors in progress
+    includeWrongProgressCheckbox.addEventListener('change', async () => {
+      const enabled = includeWrongProgressCheckbox.checked;
+      await templateManager.setIncludeWrongColorsInProgress(enabled);
+      overlayMain.handleDisplayStatus(`Include wrong colors in progress ${enabled ? 'enabled' : 'disabled'}!`);
+      
+      // Force refresh color filter overlay to update progress calculations immediately
+      buildColorFilterOverlay();
+    });
+
+    includeWrongProgressContainer.appendChild(includeWrongProgressCheckbox);
+    includeWrongProgressContainer.appendChild(includeWrongProgressLabel);
+
+    // Instructions
+    const instructions = document.createElement('p');
+    instructions.textContent = 'Click on colors to toggle their visibility in the template.';
+    instructions.style.cssText = `
+      margin: 0 0 24px 0; 
+      font-size: 0.95em; 
+      color: var(--bmcf-text-muted); 
+      text-align: center; 
+      font-weight: 500;
+      letter-spacing: -0.01em;
+      line-height: 1.4;
+    `;
+
+    // Search box
+    const searchContainer = document.createElement('div');
+    searchContainer.style.cssText = `
+      margin: 0 0 24px 0;
+      position: relative;
+    `;
+
+    const searchInput = document.createElement('input');
+    searchInput.className = 'bmcf-input';
+    searchInput.type = 'text';
+    searchInput.id = 'bm-color-search';
+    searchInput.placeholder = 'Search colors by name or RGB (e.g., "red", "255,0,0")...';
+    searchInput.autocomplete = 'off';
+    searchInput.spellcheck = false;
+    searchInput.style.cssText = `
+      width: 100%;
+      padding: 14px 50px 14px 48px;
+      border: 1px solid var(--bmcf-border);
+      border-radius: 12px;
+      background: var(--slate-800);
+      color: var(--bmcf-text);
+      font-size: 0.95em;
+      font-weight: 400;
+      outline: none;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      box-sizing: border-box;
+      font-family: inherit;
+      -webkit-user-select: text;
+      -moz-user-select: text;
+      -ms-user-select: text;
+      user-select: text;
+      pointer-events: auto;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    `;
+
+    const searchIcon = document.createElement('div');
+    searchIcon.innerHTML = '🔍';
+    searchIcon.style.cssText = `
+      position: absolute;
+      left: 16px;
+      top: 50%;
+      transform: translateY(-50%);
+      font-size: 1.2em;
+      pointer-events: none;
+      opacity: 0.6;
+    `;
+
+    const searchClearButton = document.createElement('button');
+    searchClearButton.innerHTML = '✕';
+    searchClearButton.style.cssText = `
+      position: absolute;
+      right: 16px;
+      top: 50%;
+      transform: translateY(-50%);
+      background: var(--slate-600);
+      border: 1px solid var(--slate-500);
+      border-radius: 8px;
+      color: var(--slate-300);
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      padding: 0;
+      width: 24px;
+      height: 24px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      transition: all 0.2s ease;
+    `;
+    searchClearButton.onmouseover = () => {
+      searchClearButton.style.background = 'var(--slate-500)';
+      searchClearButton.style.color = 'var(--slate-100)';
+    };
+    searchClearButton.onmouseout = () => {
+      searchClearButton.style.background = 'var(--slate-600)';
+      searchClearButton.style.color = 'var(--slate-300)';
+    };
+
+    searchContainer.appendChild(searchInput);
+    searchContainer.appendChild(searchIcon);
+    searchContainer.appendChild(searchClearButton);
+
+    // Search functionality
+    const performSearch = (searchTerm) => {
+      const term = searchTerm.toLowerCase().trim();
+      // Get items from both views but only apply to the currently visible view
+      const gridItems = colorGrid.querySelectorAll('[data-color-item]');
+      const listItems = colorList.querySelectorAll('[data-color-item]');
+      const colorItems = isListView ? listItems : gridItems;
+      let visibleCount = 0;
+
+      colorItems.forEach(item => {
+        const colorName = item.getAttribute('data-color-name').toLowerCase();
+        const colorRgb = item.getAttribute('data-color-rgb');
+        
+        // Search by name or RGB values
+        const matchesName = colorName.includes(term);
+        const matchesRgb = colorRgb.includes(term);
+        const matchesRgbFormatted = colorRgb.replace(/,/g, ' ').includes(term);
+        
+        if (term === '' || matchesName || matchesRgb || matchesRgbFormatted) {
+          item.style.display = 'flex';
+          visibleCount++;
+        } else {
+          item.style.display = 'none';
+        }
+      });
+
+      // Show/hide clear button
+      if (term) {
+        searchClearButton.style.display = 'flex';
+      } else {
+        searchClearButton.style.display = 'none';
+      }
+
+      // Update search input border color based on results
+      if (term && visibleCount === 0) {
+        searchInput.style.borderColor = '#ef4444'; // Red if no results
+        searchInput.style.boxShadow = '0 0 0 3px rgba(239, 68, 68, 0.2)';
+      } else {
+        searchInput.style.borderColor = 'var(--bmcf-border)'; // Default
+        searchInput.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+      }
+    };
+
+    // Search input event listeners
+    searchInput.addEventListener('input', (e) => {
+      performSearch(e.target.value);
+    });
+
+    searchInput.addEventListener('focus', () => {
+      searchInput.style.borderColor = 'var(--blue-500)';
+      searchInput.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.2), 0 4px 12px rgba(59, 130, 246, 0.15)';
+    });
+
+    searchInput.addEventListener('blur', () => {
+      if (!searchInput.value) {
+        searchInput.style.borderColor = 'var(--bmcf-border)';
+        searchInput.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+      }
+    });
+
+    // Prevent any interference with spacebar and other keys
+    searchInput.addEventListener('keydown', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
+    });
+
+    searchInput.addEventListener('keyup', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
+    });
+
+    searchInput.addEventListener('keypress', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
+    });
+
+    // Clear button functionality
+    searchClearButton.addEventListener('click', () => {
+      searchInput.value = '';
+      performSearch('');
+      searchInput.focus();
+    });
+
+    // Color Filter/Sort Section
+    const filterContainer = document.createElement('div');
+    filterContainer.style.cssText = `
+      margin-bottom: 20px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    `;
+
+    const filterLabel = document.createElement('label');
+    filterLabel.textContent = 'Sort by:';
+    filterLabel.style.cssText = `
+      color: white;
+      font-size: 0.9em;
+      font-weight: bold;
+      min-width: 60px;
+    `;
+
+    const filterSelect = document.createElement('select');
+    filterSelect.style.cssText = `
+      flex: 1;
+      padding: 6px 14px;
+      border: 2px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      background: rgba(0, 0, 0, 0.3);
+      color: white;
+      font-size: 0.9em;
+      outline: none;
+      cursor: pointer;
+    `;
+
+    // Filter options
+    const filterOptions = COLOR_SORTING_OPTIONS;
+
+    filterOptions.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.text;
+      optionElement.style.cssText = `
+        background: #2a2a2a;
+        color: white;
+      `;
+      filterSelect.appendChild(optionElement);
+    });
+
+    // Set default sorting method from settings
+    const defaultSorting = getDefaultColorSorting();
+    filterSelect.value = defaultSorting;
+    debugLog('Color filter initialized with default sorting:', defaultSorting);
+
+    // Store original order when color items are created
+    let originalGridOrder = [];
+    let originalListOrder = [];
+
+    filterContainer.appendChild(filterLabel);
+    filterContainer.appendChild(filterSelect);
+
+    // Enhanced mode info section
+    const enhancedSection = document.createElement('div');
+    enhancedSection.style.cssText = `
+      margin-bottom: 20px;
+    `;
+
+    const enhancedInfo = document.createElement('div');
+    enhancedInfo.textContent = 'Enhanced: Highlight the Pixels.';
+    enhancedInfo.style.cssText = `
+      background: #333;
+      color: white;
+      padding: 6px 14px;
+      border-radius: 6px;
+      font-size: 0.9em;
+      font-weight: bold;
+      text-align: center;
+      margin-bottom: 10px;
+    `;
+
+    // Main buttons container (Enable All / Disable All)
+    const mainButtonsContainer = document.createElement('div');
+    mainButtonsContainer.style.cssText = `
+      display: flex;
+      gap: 10px;
+      margin-bottom: 10px;
+    `;
+
+    const enableAllButton = document.createElement('button');
+    enableAllButton.textContent = 'Enable All';
+    enableAllButton.style.cssText = `
+      background: #4caf50;
+      border: none;
+      color: white;
+      padding: 8px 16px;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 0.9em;
+      white-space: nowrap;
+      flex: 1;
+    `;
+
+    const disableAllButton = document.createElement('button');
+    disableAllButton.textContent = 'Disable All';
+    disableAllButton.style.cssText = `
+      background: #f44336;
+      border: none;
+      color: white;
+      padding: 8px 16px;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 0.9em;
+      white-space: nowrap;
+      flex: 1;
+    `;
+
+    // Disable Enhanced button (full width below)
+    const disableAllEnhancedButton = document.createElement('button');
+    disableAllEnhancedButton.textContent = 'Disable all Enhanced';
+    disableAllEnhancedButton.style.cssText = `
+      background: #6c757d;
+      color: white;
+      border: none;
+      padding: 6px 14px;
+      border-radius: 6px;
+      cursor: pointer;
+      width: 100%;
+      font-size: 0.9em;
+    `;
+
+    mainButtonsContainer.appendChild(enableAllButton);
+    mainButtonsContainer.appendChild(disableAllButton);
+    
+    enhancedSection.appendChild(enhancedInfo);
+    enhancedSection.appendChild(mainButtonsContainer);
+    enhancedSection.appendChild(disableAllEnhancedButton);
+
+    // Enhance Wrong Colors - moved below Disable All Enhanced
+    const enhanceWrongContainer = document.createElement('div');
+    enhanceWrongContainer.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 14px;
+      background: rgba(255, 255, 255, 0.1);
+      border-radius: 6px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      margin-top: 10px;
+    `;
+
+    const enhanceWrongCheckbox = document.createElement('input');
+    enhanceWrongCheckbox.type = 'checkbox';
+    enhanceWrongCheckbox.id = 'bm-enhance-wrong-enhanced';
+    enhanceWrongCheckbox.checked = templateManager.getEnhanceWrongColors();
+    enhanceWrongCheckbox.style.cssText = `
+      width: 16px;
+      height: 16px;
+      cursor: pointer;
+    `;
+
+    const enhanceWrongLabel = document.createElement('label');
+    enhanceWrongLabel.htmlFor = 'bm-enhance-wrong-enhanced';
+    enhanceWrongLabel.textContent = 'Enhance Wrong Colors (Crosshair)';
+    enhanceWrongLabel.style.cssText = `
+      color: white;
+      font-size: 0.9em;
+      cursor: pointer;
+      user-select: none;
+      flex: 1;
+    `;
+
+    // Event listener for enhance wrong colors
+    enhanceWrongCheckbox.addEventListener('change', async () => {
+      const enabled = enhanceWrongCheckbox.checked;
+      await templateManager.setEnhanceWrongColors(enabled);
+      overlayMain.handleDisplayStatus(`Wrong colors crosshair ${enabled ? 'enabled' : 'disabled'}!`);
+      
+      invalidateTemplateCache();
+    });
+
+    enhanceWrongContainer.appendChild(enhanceWrongCheckbox);
+    enhanceWrongContainer.appendChild(enhanceWrongLabel);
+    enhancedSection.appendChild(enhanceWrongContainer);
+
+    // Template groups - toggle which templates feed the stats below
+    const templateGroupsSection = document.createElement('div');
+    templateGroupsSection.style.cssText = `
+      margin-bottom: 20px;
+      border: 1px solid var(--bmcf-border);
+      border-radius: 12px;
+      background: var(--bmcf-card);
+      overflow: hidden;
+    `;
+
+    const refreshAfterToggle = () => {
+      invalidateTemplateCache();
+      updateMiniTracker();
+      buildColorFilterOverlay();
+    };
+
+    const templateGroups = templateManager.getTemplateGroups().filter(group => group.name || group.keys.length > 0);
+    const hasNamedGroups = templateGroups.some(group => group.name);
+    const storedTemplates = templateManager.templatesJSON?.templates || {};
+
+    templateGroups.forEach((group, groupIndex) => {
+      const collapsed = group.name ? group.collapsed : colorFilterUngroupedCollapsed;
+      const enabledCount = group.keys.filter(key => templateManager.isTemplateEnabled(key)).length;
+
+      const groupHeader = document.createElement('div');
+      groupHeader.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        cursor: pointer;
+        user-select: none;
+        ${groupIndex > 0 ? 'border-top: 1px solid var(--bmcf-border);' : ''}
+      `;
+
+      const caret = document.createElement('span');
+      caret.textContent = collapsed ? '▸' : '▾';
+      caret.style.cssText = 'width: 12px; color: var(--bmcf-muted);';
+
+      const groupCheckbox = document.createElement('input');
+      groupCheckbox.type = 'checkbox';
+      groupCheckbox.checked = group.keys.length > 0 && enabledCount === group.keys.length;
+      groupCheckbox.indeterminate = enabledCount > 0 && enabledCount < group.keys.length;
+      groupCheckbox.disabled = group.keys.length === 0;
+      groupCheckbox.title = 'Enable or disable every template in this group';
+      groupCheckbox.style.cssText = 'width: 16px; height: 16px; cursor: pointer;';
+      groupCheckbox.addEventListener('click', (event) => event.stopPropagation());
+      groupCheckbox.addEventListener('change', async () => {
+        await templateManager.setTemplateGroupEnabled(group.name, groupCheckbox.checked);
+        refreshAfterToggle();
+      });
+
+      const groupLabel = document.createElement('span');
+      groupLabel.textContent = group.name || (hasNamedGroups ? 'Ungrouped' : 'Templates');
+      groupLabel.style.cssText = 'flex: 1; font-weight: 600; color: var(--bmcf-text); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+      const groupCount = document.createElement('span');
+      groupCount.textContent = `${enabledCount}/${group.keys.length}`;
+      groupCount.style.cssText = 'font-size: 0.85em; color: var(--bmcf-muted);';
+
+      groupHeader.append(caret, groupCheckbox, groupLabel, groupCount);
+      groupHeader.addEventListener('click', () => {
+        if (group.name) {
+          templateManager.setTemplateGroupCollapsed(group.name, !collapsed);
+        } else {
+          colorFilterUngroupedCollapsed = !collapsed;
+        }
+        buildColorFilterOverlay();
+      });
+      templateGroupsSection.appendChild(groupHeader);
+
+      if (collapsed) return;
+
+      group.keys.forEach(templateKey => {
+        const templateRow = document.createElement('label');
+        templateRow.style.cssText = `
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 4px 12px 4px 32px;
+          cursor: pointer;
+          font-size: 0.9em;
+          color: var(--bmcf-text-muted);
+        `;
+
+        const templateCheckbox = document.createElement('input');
+        templateCheckbox.type = 'checkbox';
+        templateCheckbox.checked = templateManager.isTemplateEnabled(templateKey);
+        templateCheckbox.style.cssText = 'width: 14px; height: 14px; cursor: pointer;';
+        templateCheckbox.addEventListener('change', () => {
+          templateManager.setTemplateEnabled(templateKey, templateCheckbox.checked);
+          refreshAfterToggle();
+        });
+
+        const templateName = document.createElement('span');
+        templateName.textContent = storedTemplates[templateKey]?.name || templateKey;
+        templateName.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+        templateRow.append(templateCheckbox, templateName);
+        templateGroupsSection.appendChild(templateRow);
+      });
+    });
+
+
+
+
+
+
+
+    // Color grid
+    const colorGrid = document.createElement('div');
+    colorGrid.className = 'bmcf-grid';
+    colorGrid.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(4, 1fr);
+      gap: 8px;
+      margin-bottom: 20px;
+      justify-content: center;
+    `;
+
+    // Color list (alternative view)
+    const colorList = document.createElement('div');
+    colorList.className = 'bmcf-list';
+    colorList.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-bottom: 20px;
+    `;
+
+    // Container to hold both grid and list
+    const colorViewContainer = document.createElement('div');
+    colorViewContainer.className = 'bmcf-view-container';
+    colorViewContainer.style.cssText = `
+      position: relative;
+      width: 100%;
     `;
+    colorViewContainer.appendChild(colorGrid);
+    colorViewContainer.appendChild(colorList);
+
+    // Get current template
+    const currentTemplate = templateManager.templatesArray[0];
+
+    // Create color items
+    colorPalette.forEach((colorInfo, index) => {
+      // Flag to prevent sync loops between grid and list
+      let isSyncing = false;
+      
+      const colorItem = document.createElement('div');
+      colorItem.className = 'bmcf-card';
+      const rgb = colorInfo.rgb;
+      const colorKey = `${rgb[0]},${rgb[1]},${rgb[2]}`;
+      const isFreeColor = colorInfo.free;
+      const isDisabled = currentTemplate.isColorDisabled(rgb);
+      const isEnhanced = currentTemplate.isColorEnhanced ? currentTemplate.isColorEnhanced(rgb) : false;
+      
+      // Add data attributes for search functionality
+      colorItem.setAttribute('data-color-item', 'true');
+      colorItem.setAttribute('data-color-name', colorInfo.name);
+      colorItem.setAttribute('data-color-rgb', rgb.join(','));
+      colorItem.setAttribute('data-color-index', index.toString());
+      
+      colorItem.style.cssText = `
+        background: rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]});
+        border: 3px solid ${isDisabled ? '#f44336' : '#4caf50'};
+        border-radius: 8px;
+        padding: 6px 6px 14px 6px;
+        text-align: center;
+        transition: all 0.2s ease;
+        position: relative;
+        width: 100%;
+        height: 120px;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: flex-start;
+        box-sizing: border-box;
+        overflow: hidden;
+      `;
 
-    // Container to hold both grid and list
-    const colorViewContainer = document.createElement('div');
-    colorViewContainer.className = 'bmcf-view-container';
-    colorViewContainer.style.cssText = `
-      position: relative;
-      width: 100%;
-    `;
-    colorViewContainer.appendChild(colorGrid);
-    colorViewContainer.appendChild(colorList);
+      // Desktop: keep content more central to avoid items glued to the top
+      if (!isMobileMode) {
+        colorItem.style.padding = '12px 8px 16px 8px';
+        colorItem.style.justifyContent = 'center';
+      }
+
+      // Color info and controls container
+      const controlsContainer = document.createElement('div');
+      controlsContainer.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 2px;
+        width: 100%;
+        flex-shrink: 0;
+      `;
+
+      // Color enable/disable click area (main area)
+      const colorClickArea = document.createElement('div');
+      colorClickArea.style.cssText = `
+        width: 100%;
+        height: 20px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        position: relative;
+        flex-shrink: 0;
+      `;
+
+      // Add overlay for disabled state
+      if (isDisabled) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+          position: absolute;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(244, 67, 54, 0.3);
+          border-radius: 5px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: white;
+          font-weight: bold;
+          font-size: 16px;
+        `;
+        overlay.textContent = '✕';
+        colorClickArea.appendChild(overlay);
+      }
+
+      // Enhanced mode checkbox
+      const enhancedContainer = document.createElement('div');
+      enhancedContainer.className = 'bmcf-enhanced';
+      enhancedContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        font-size: 9px;
+        color: white;
+        text-shadow: 1px 1px 1px rgba(0,0,0,0.8);
+        font-weight: bold;
+        flex-shrink: 0;
+      `;
+
+      const enhancedCheckbox = document.createElement('input');
+      enhancedCheckbox.type = 'checkbox';
+      enhancedCheckbox.checked = isEnhanced;
+      enhancedCheckbox.disabled = isDisabled; // Disable checkbox if color is disabled
+      enhancedCheckbox.style.cssText = `
+        width: 12px;
+        height: 12px;
+        cursor: pointer;
+      `;
+
+      const enhancedLabel = document.createElement('label');
+      enhancedLabel.textContent = 'Enhanced';
+      enhancedLabel.style.cssText = `
+        cursor: pointer;
+        user-select: none;
+      `;
+
+      enhancedContainer.appendChild(enhancedCheckbox);
+      enhancedContainer.appendChild(enhancedLabel);
+
+      // Slight top spacing on desktop to avoid sticking to top border
+      if (!isMobileMode) {
+        enhancedContainer.style.marginTop = '6px';
+      }
+
+      controlsContainer.appendChild(colorClickArea);
+      controlsContainer.appendChild(enhancedContainer);
+      colorItem.appendChild(controlsContainer);
+
+      const colorName = document.createElement('div');
+      colorName.className = 'bmcf-color-name';
+      colorName.textContent = colorInfo.name;
+      colorName.style.cssText = `
+        font-size: 0.75em;
+        text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
+        color: white;
+        font-weight: bold;
+        z-index: 1;
+        position: relative;
+        text-align: center;
+        margin-bottom: 6px;
+        flex-shrink: 0;
+        line-height: 1.1;
+      `;
+
+      const dropletIcon = document.createElement('div');
+      dropletIcon.textContent = "💧";
+      dropletIcon.style.cssText = `
+        font-size: 0.7em;
+        position: absolute;
+        bottom: 2px;
+        right: 4px;
+        z-index: 2;
+      `;
+
+      // Exclude from progress icon (top-left corner)
+      const excludeIcon = document.createElement('div');
+      excludeIcon.textContent = "👁️";
+      excludeIcon.title = "Click to exclude/include this color from progress calculation";
+      excludeIcon.style.cssText = `
+        font-size: 0.8em;
+        position: absolute;
+        top: 4px;
+        left: 4px;
+        z-index: 3;
+        cursor: pointer;
+        opacity: 0.7;
+        transition: all 0.2s ease;
+        background: rgba(0,0,0,0.3);
+        border-radius: 50%;
+        width: 20px;
+        height: 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      `;
+
+      // Check if color is excluded from progress (check both applied and pending)
+      const appliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+      const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(appliedExcluded));
+      const isExcluded = pendingExcluded.includes(colorKey);
+      
+      if (isExcluded) {
+        excludeIcon.textContent = "🚫";
+        excludeIcon.style.opacity = '1';
+        excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
+      }
+
+      excludeIcon.onmouseenter = () => {
+        excludeIcon.style.opacity = '1';
+        excludeIcon.style.transform = 'scale(1.1)';
+      };
+      
+      excludeIcon.onmouseleave = () => {
+        excludeIcon.style.opacity = isExcluded ? '1' : '0.7';
+        excludeIcon.style.transform = 'scale(1)';
+      };
+
+      excludeIcon.onclick = (e) => {
+        e.stopPropagation();
+        const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]')));
+        
+        if (pendingExcluded.includes(colorKey)) {
+          // Remove from pending excluded list
+          const newPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
+          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(newPendingExcluded));
+          excludeIcon.textContent = "👁️";
+          excludeIcon.style.background = 'rgba(0,0,0,0.3)';
+          excludeIcon.style.opacity = '0.7';
+          // Also update list icon
+          listExcludeIcon.textContent = "👁️";
+          listExcludeIcon.style.background = 'rgba(0,0,0,0.3)';
+          listExcludeIcon.style.opacity = '0.7';
+        } else {
+          // Add to pending excluded list
+          pendingExcluded.push(colorKey);
+          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(pendingExcluded));
+          excludeIcon.textContent = "🚫";
+          excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
+          excludeIcon.style.opacity = '1';
+          // Also update list icon
+          listExcludeIcon.textContent = "🚫";
+          listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
+          listExcludeIcon.style.opacity = '1';
+        }
+        
+        // Show status message (no automatic refresh)
+        if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
+        }
+      };
+
+      // Add pixel statistics display  
+      const stats = pixelStats[colorKey];
+      const pixelStatsDisplay = document.createElement('div');
+      pixelStatsDisplay.className = 'bmcf-stats';
+      
+      if (stats && stats.totalRequired > 0) {
+        // Get wrong pixels for this specific color from tile progress data - FILTERED BY ENABLED TEMPLATES
+        let wrongPixelsForColor = 0;
+        if (templateManager.tileProgress && templateManager.tileProgress.size > 0) {
+          // Same filtering logic as above
+          const enabledTemplateKeys = new Set();
+          if (templateManager.templatesArray) {
+            for (const template of templateManager.templatesArray) {
+              const templateKey = `${template.sortID} ${template.authorID}`;
+              if (templateManager.isTemplateEnabled(templateKey)) {
+                enabledTemplateKeys.add(templateKey);
+              }
+            }
+          }
+          
+          for (const [tileKey, tileStats] of templateManager.tileProgress.entries()) {
+            // Filter tiles by enabled templates only
+            let shouldIncludeTile = true;
+            
+            if (enabledTemplateKeys.size > 0) {
+              shouldIncludeTile = false;
+              const [tileX, tileY] = tileKey.split(',').map(coord => parseInt(coord));
+              
+              for (const template of templateManager.templatesArray) {
+                const templateKey = `${template.sortID} ${template.authorID}`;
+                if (!enabledTemplateKeys.has(templateKey)) continue;
+                
+                if (template.chunked) {
+                  for (const chunkKey of Object.keys(template.chunked)) {
+                    const [chunkTileX, chunkTileY] = chunkKey.split(',').map(coord => parseInt(coord));
+                    if (chunkTileX === tileX && chunkTileY === tileY) {
+                      shouldIncludeTile = true;
+                      break;
+                    }
+                  }
+                }
+                if (shouldIncludeTile) break;
+              }
+            }
+            
+            if (!shouldIncludeTile) continue;
+            
+            if (tileStats.colorBreakdown && tileStats.colorBreakdown[colorKey]) {
+              wrongPixelsForColor += tileStats.colorBreakdown[colorKey].wrong || 0;
+            }
+          }
+        }
 
-    // Get current template
-    const currentTemplate = templateManager.templatesArray[0];
+        // Apply wrong color logic to individual color progress
+        let displayPainted, displayRequired, displayPercentage, displayRemaining;
+        
+        if (templateManager.getIncludeWrongColorsInProgress()) {
+          // When wrong colors are included, stats.painted already contains the effective painted count
+          // so we don't need to add wrongPixelsForColor again (that would be double counting)
+          displayPainted = stats.painted; // stats.painted already includes wrong colors logic from calculateRemainingPixelsByColor
+          displayRequired = stats.totalRequired;
+          displayPercentage = stats.percentage || 0; // Use pre-calculated percentage
+          displayRemaining = stats.needsCrosshair;
+        } else {
+          // Standard calculation (exclude wrong colors)
+          displayPainted = stats.painted;
+          displayRequired = stats.totalRequired;
+          displayPercentage = stats.percentage || 0;
+          displayRemaining = stats.totalRequired - stats.painted;
+        }
+        
+        // Add data attributes for filtering/sorting
+        colorItem.setAttribute('data-wrong-count', wrongPixelsForColor.toString());
+        colorItem.setAttribute('data-missing-count', displayRemaining.toString());
+        colorItem.setAttribute('data-total-count', displayRequired.toString());
+        colorItem.setAttribute('data-painted-count', displayPainted.toString());
+        
+        // Always render full stats inside the Template Color overlay
+        let displayText = `${displayPainted.toLocaleString()}/${displayRequired.toLocaleString()} (${displayPercentage}%)`;
+        if (templateManager.getIncludeWrongColorsInProgress() && wrongPixelsForColor > 0) {
+          displayText += `\n+${wrongPixelsForColor.toLocaleString()} wrong`;
+        }
+        pixelStatsDisplay.innerHTML = `
+          <div style="font-size: 0.6em; color: rgba(255,255,255,0.9); text-shadow: 1px 1px 2px rgba(0,0,0,0.8); line-height: 1.1;">
+            <div style="margin-bottom: 1px;">
+              ${displayText}
+            </div>
+            <div style="color: rgba(255,255,255,0.7); font-size: 0.9em;">
+              ${displayRemaining.toLocaleString()} Left
+            </div>
+          </div>
+        `;
 
-    // Create color items
-    colorPalette.forEach((colorInfo, index) => {
-      // Flag to prevent sync loops between grid and list
-      let isSyncing = false;
+        // Fixed progress bar pinned to bottom of the card
+        const progressTrack = document.createElement('div');
+        progressTrack.style.cssText = `
+          position: absolute;
+          left: 20px;
+          right: 20px;
+          bottom: 6px;
+          height: 4px;
+          background: rgba(255,255,255,0.25);
+          border-radius: 2px;
+          overflow: hidden;
+          pointer-events: none;
+          z-index: 1;
+        `;
+        const progressFill = document.createElement('div');
+        progressFill.style.cssText = `
+          width: ${Math.min(displayPercentage, 100)}%;
+          height: 100%;
+          background: linear-gradient(90deg, #4CAF50, #8BC34A, #CDDC39);
+          transition: width 0.3s ease;
+        `;
+        progressTrack.appendChild(progressFill);
+        colorItem.appendChild(progressTrack);
+        
+        debugLog(`[Color Filter] Displaying stats for ${colorInfo.name} (${colorKey}): ${displayPainted}/${displayRequired} (${displayPercentage}%) - ${displayRemaining} need crosshair${wrongPixelsForColor > 0 ? ` - includes ${wrongPixelsForColor} wrong` : ''}`);
+      } else {
+        pixelStatsDisplay.innerHTML = `
+          <div style="font-size: 0.65em; color: rgba(255,255,255,0.6); text-shadow: 1px 1px 2px rgba(0,0,0,0.8);">
+            Not Used
+          </div>
+        `;
+        
+        debugLog(`[Color Filter] Color ${colorInfo.name} (${colorKey}) not used in template`);
+      }
       
-      const colorItem = document.createElement('div');
-      colorItem.className = 'bmcf-card';
-      const rgb = colorInfo.rgb;
-      const colorKey = `${rgb[0]},${rgb[1]},${rgb[2]}`;
-      const isFreeColor = colorInfo.free;
-      const isDisabled = currentTemplate.isColorDisabled(rgb);
-      const isEnhanced = currentTemplate.isColorEnhanced ? currentTemplate.isColorEnhanced(rgb) : false;
+      pixelStatsDisplay.style.cssText = `
+        z-index: 1;
+        position: relative;
+        padding: 4px 6px;
+        text-align: center;
+        flex-grow: 1;
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        min-height: 0;
+      `;
+
+      colorItem.appendChild(colorName);
+      colorItem.appendChild(pixelStatsDisplay);
+      if (!isFreeColor){
+        colorItem.appendChild(dropletIcon);
+      }
+      colorItem.appendChild(excludeIcon);
+
+      // Color enable/disable click handler (only on click area, not checkbox)
+      colorClickArea.onclick = (e) => {
+        e.stopPropagation(); // Prevent bubbling
+        if (isSyncing) return; // Prevent sync loops
+        
+        const wasDisabled = currentTemplate.isColorDisabled(rgb);
+        if (wasDisabled) {
+          currentTemplate.enableColor(rgb);
+          colorItem.style.border = '3px solid #4caf50';
+          const overlay = colorClickArea.querySelector('div[style*="position: absolute"]');
+          if (overlay) overlay.remove();
+          enhancedCheckbox.disabled = false;
+          
+          // Sync to list item
+          isSyncing = true;
+          listItem.style.border = '2px solid #4caf50';
+          listItem.style.opacity = '1';
+          listEnhancedCheckbox.disabled = false;
+          isSyncing = false;
+        } else {
+          currentTemplate.disableColor(rgb);
+          colorItem.style.border = '3px solid #f44336';
+          const overlay = document.createElement('div');
+          overlay.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(244, 67, 54, 0.3);
+            border-radius: 5px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: white;
+            font-weight: bold;
+            font-size: 16px;
+          `;
+          overlay.textContent = '✕';
+          colorClickArea.appendChild(overlay);
+          enhancedCheckbox.disabled = true;
+          enhancedCheckbox.checked = false;
+          
+          // Sync to list item
+          isSyncing = true;
+          listItem.style.border = '2px solid #f44336';
+          listItem.style.opacity = '0.7';
+          listEnhancedCheckbox.disabled = true;
+          listEnhancedCheckbox.checked = false;
+          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
+          isSyncing = false;
+        }
+        
+        invalidateTemplateCache();
+        
+        // Refresh template display in real-time
+        refreshTemplateDisplay().catch(error => {
+          console.error('Error refreshing template:', error);
+        });
+      };
+
+      // Enhanced checkbox handler
+      enhancedCheckbox.onchange = (e) => {
+        e.stopPropagation(); // Prevent bubbling
+        if (enhancedCheckbox.checked) {
+          currentTemplate.enableColorEnhanced(rgb);
+        } else {
+          currentTemplate.disableColorEnhanced(rgb);
+        }
+        
+        invalidateTemplateCache();
+        
+        // Refresh template display in real-time
+        refreshTemplateDisplay().catch(error => {
+          console.error('Error refreshing enhanced mode:', error);
+        });
+      };
+
+      // Label click handler
+      enhancedLabel.onclick = (e) => {
+        e.stopPropagation();
+        if (!enhancedCheckbox.disabled) {
+          enhancedCheckbox.checked = !enhancedCheckbox.checked;
+          enhancedCheckbox.onchange(e);
+        }
+      };
+
+      colorGrid.appendChild(colorItem);
+
+      // Create corresponding list item based on the log.txt example
+      const listItem = document.createElement('div');
+      listItem.className = 'bmcf-list-item';
       
       // Add data attributes for search functionality
-      colorItem.setAttribute('data-color-item', 'true');
-      colorItem.setAttribute('data-color-name', colorInfo.name);
-      colorItem.setAttribute('data-color-rgb', rgb.join(','));
-      colorItem.setAttribute('data-color-index', index.toString());
+      listItem.setAttribute('data-color-item', 'true');
+      listItem.setAttribute('data-color-name', colorInfo.name);
+      listItem.setAttribute('data-color-rgb', rgb.join(','));
+      listItem.setAttribute('data-color-index', index.toString());
       
-      colorItem.style.cssText = `
+      // Copy stats data attributes from grid item to list item
+      if (colorItem.hasAttribute('data-wrong-count')) {
+        listItem.setAttribute('data-wrong-count', colorItem.getAttribute('data-wrong-count'));
+        listItem.setAttribute('data-missing-count', colorItem.getAttribute('data-missing-count'));
+        listItem.setAttribute('data-total-count', colorItem.getAttribute('data-total-count'));
+        listItem.setAttribute('data-painted-count', colorItem.getAttribute('data-painted-count'));
+      }
+      
+      listItem.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 8px 12px;
+        background: var(--slate-800);
+        border: 2px solid ${isDisabled ? '#f44336' : '#4caf50'};
+        border-radius: 10px;
+        position: relative;
+        cursor: pointer;
+        transition: all 0.2s ease;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        min-height: 50px;
+        opacity: ${isDisabled ? '0.7' : '1'};
+      `;
+      
+      // Color swatch (small square)
+      const colorSwatch = document.createElement('div');
+      colorSwatch.style.cssText = `
+        width: 32px;
+        height: 32px;
         background: rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]});
-        border: 3px solid ${isDisabled ? '#f44336' : '#4caf50'};
-        border-radius: 8px;
-        padding: 6px 6px 14px 6px;
-        text-align: center;
-        transition: all 0.2s ease;
-        position: relative;
-        width: 100%;
-        height: 120px;
+        border-radius: 6px;
+        border: 2px solid rgba(255,255,255,0.3);
+        flex-shrink: 0;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+      `;
+
+      // Color info container (main content area)
+      const infoContainer = document.createElement('div');
+      infoContainer.style.cssText = `
+        flex: 1;
         display: flex;
         flex-direction: column;
+        gap: 4px;
+        min-width: 0;
+      `;
+      
+      // Color click area for enable/disable (covers whole item)
+      const listColorClickArea = document.createElement('div');
+      listColorClickArea.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        cursor: pointer;
+        z-index: 1;
+      `;
+
+      // Top row: Color name and main stats in the same line
+      const topRow = document.createElement('div');
+      topRow.style.cssText = `
+        display: flex;
         align-items: center;
-        justify-content: flex-start;
-        box-sizing: border-box;
+        gap: 8px;
+        font-size: 0.9em;
+        line-height: 1.2;
+      `;
+
+      // Color name
+      const listColorName = document.createElement('div');
+      listColorName.textContent = colorInfo.name;
+      listColorName.style.cssText = `
+        font-weight: 600;
+        color: var(--slate-100);
+        white-space: nowrap;
         overflow: hidden;
+        text-overflow: ellipsis;
+        max-width: 120px;
+        flex-shrink: 0;
       `;
 
-      // Desktop: keep content more central to avoid items glued to the top
-      if (!isMobileMode) {
-        colorItem.style.padding = '12px 8px 16px 8px';
-        colorItem.style.justifyContent = 'center';
+      // Stats - get correct values from data attributes
+      let mainStatsText = '';
+      let leftValue = 0;
+      
+      // Get values from data attributes (same as grid item)
+      const totalCount = parseInt(listItem.getAttribute('data-total-count') || '0');
+      const paintedCount = parseInt(listItem.getAttribute('data-painted-count') || '0');
+      const missingCount = parseInt(listItem.getAttribute('data-missing-count') || '0');
+      const wrongCount = parseInt(listItem.getAttribute('data-wrong-count') || '0');
+      
+      if (totalCount > 0) {
+        const percentage = totalCount > 0 ? Math.round(((totalCount - missingCount) / totalCount) * 100) : 0;
+        mainStatsText = `${paintedCount.toLocaleString()}/${totalCount.toLocaleString()} (${percentage}%)`;
+        // Add wrong pixels display if they exist and wrong colors are included in progress
+        if (templateManager.getIncludeWrongColorsInProgress() && wrongCount > 0) {
+          mainStatsText += ` +${wrongCount.toLocaleString()} wrong`;
+        }
+        leftValue = missingCount; // This is the correct "Left" value
+      } else {
+        mainStatsText = 'Not Used';
+        leftValue = 0;
       }
 
-      // Color info and controls container
-      const controlsContainer = document.createElement('div');
-      controlsContainer.style.cssText = `
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        gap: 2px;
-        width: 100%;
-        flex-shrink: 0;
+      // Main stats span
+      const mainStats = document.createElement('span');
+      mainStats.textContent = mainStatsText;
+      mainStats.style.cssText = `
+        color: var(--slate-300);
+        font-size: 0.8em;
+        white-space: nowrap;
       `;
 
-      // Color enable/disable click area (main area)
-      const colorClickArea = document.createElement('div');
-      colorClickArea.style.cssText = `
-        width: 100%;
-        height: 20px;
-        cursor: pointer;
+      // Bottom row: Left status with color coding
+      const bottomRow = document.createElement('div');
+      bottomRow.style.cssText = `
         display: flex;
         align-items: center;
-        justify-content: center;
-        position: relative;
-        flex-shrink: 0;
+        gap: 4px;
+        font-size: 0.75em;
+        margin-top: 2px;
       `;
 
-      // Add overlay for disabled state
-      if (isDisabled) {
-        const overlay = document.createElement('div');
-        overlay.style.cssText = `
-          position: absolute;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          background: rgba(244, 67, 54, 0.3);
-          border-radius: 5px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          color: white;
-          font-weight: bold;
-          font-size: 16px;
+      if (mainStatsText !== 'Not Used') {
+        const leftStats = document.createElement('span');
+        leftStats.textContent = `${leftValue.toLocaleString()} Left`;
+        leftStats.style.cssText = `
+          color: ${leftValue === 0 ? '#10b981' : '#f59e0b'}; // green if 0, orange if > 0
+          font-weight: 500;
         `;
-        overlay.textContent = '✕';
-        colorClickArea.appendChild(overlay);
+        bottomRow.appendChild(leftStats);
       }
 
-      // Enhanced mode checkbox
-      const enhancedContainer = document.createElement('div');
-      enhancedContainer.className = 'bmcf-enhanced';
-      enhancedContainer.style.cssText = `
+      topRow.appendChild(listColorName);
+      if (mainStatsText) {
+        topRow.appendChild(mainStats);
+      }
+      
+      infoContainer.appendChild(topRow);
+      if (mainStatsText !== 'Not Used') {
+        infoContainer.appendChild(bottomRow);
+      }
+      
+      // Controls container (right side)
+      const listControlsContainer = document.createElement('div');
+      listControlsContainer.style.cssText = `
         display: flex;
         align-items: center;
-        gap: 2px;
-        font-size: 9px;
-        color: white;
-        text-shadow: 1px 1px 1px rgba(0,0,0,0.8);
-        font-weight: bold;
-        flex-shrink: 0;
+        gap: 8px;
+        z-index: 2;
+        position: relative;
       `;
-
-      const enhancedCheckbox = document.createElement('input');
-      enhancedCheckbox.type = 'checkbox';
-      enhancedCheckbox.checked = isEnhanced;
-      enhancedCheckbox.disabled = isDisabled; // Disable checkbox if color is disabled
-      enhancedCheckbox.style.cssText = `
-        width: 12px;
-        height: 12px;
+      
+      // Enhanced mode checkbox
+      const listEnhancedCheckbox = document.createElement('input');
+      listEnhancedCheckbox.type = 'checkbox';
+      listEnhancedCheckbox.checked = isEnhanced;
+      listEnhancedCheckbox.disabled = isDisabled;
+      listEnhancedCheckbox.style.cssText = `
+        width: 16px;
+        height: 16px;
         cursor: pointer;
+        accent-color: #ffd700;
       `;
 
-      const enhancedLabel = document.createElement('label');
-      enhancedLabel.textContent = 'Enhanced';
-      enhancedLabel.style.cssText = `
+      const listEnhancedLabel = document.createElement('label');
+      listEnhancedLabel.textContent = 'Enhanced';
+      listEnhancedLabel.title = 'Enhanced mode - highlights this color on the canvas';
+      listEnhancedLabel.style.cssText = `
+        font-size: 12px;
         cursor: pointer;
+        color: ${isEnhanced ? '#ffd700' : 'rgba(255,255,255,0.6)'};
         user-select: none;
+        transition: color 0.2s ease;
+        font-weight: 500;
       `;
 
-      enhancedContainer.appendChild(enhancedCheckbox);
-      enhancedContainer.appendChild(enhancedLabel);
+      listEnhancedLabel.onclick = (e) => {
+        e.stopPropagation();
+        if (!listEnhancedCheckbox.disabled) {
+          listEnhancedCheckbox.checked = !listEnhancedCheckbox.checked;
+          listEnhancedCheckbox.onchange(e);
+        }
+      };
 
-      // Slight top spacing on desktop to avoid sticking to top border
-      if (!isMobileMode) {
-        enhancedContainer.style.marginTop = '6px';
+      listEnhancedCheckbox.onchange = (e) => {
+        e.stopPropagation();
+        const isNowEnhanced = listEnhancedCheckbox.checked;
+        
+        if (isNowEnhanced) {
+          currentTemplate.enableColorEnhanced(rgb);
+          listEnhancedLabel.style.color = '#ffd700';
+          // Also update grid checkbox
+          enhancedCheckbox.checked = true;
+        } else {
+          currentTemplate.disableColorEnhanced(rgb);
+          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
+          // Also update grid checkbox
+          enhancedCheckbox.checked = false;
+        }
+        
+        invalidateTemplateCache();
+        
+        refreshTemplateDisplay().catch(error => {
+          console.error('Error refreshing enhanced mode:', error);
+        });
+      };
+      
+      // Eyedropper icon for non-free colors
+      if (!isFreeColor) {
+        const listDropletIcon = document.createElement('div');
+        listDropletIcon.innerHTML = '💧';
+        listDropletIcon.title = 'Click to select this color in the palette';
+        listDropletIcon.style.cssText = `
+          font-size: 16px;
+          cursor: pointer;
+          opacity: 0.7;
+          user-select: none;
+          transition: opacity 0.2s ease;
+        `;
+        
+        listDropletIcon.onmouseenter = () => listDropletIcon.style.opacity = '1';
+        listDropletIcon.onmouseleave = () => listDropletIcon.style.opacity = '0.7';
+        
+        listDropletIcon.onclick = (e) => {
+          e.stopPropagation();
+          const colorButtons = document.querySelectorAll(`button[id^="color-"]`);
+          colorButtons.forEach(btn => {
+            const btnStyle = window.getComputedStyle(btn);
+            const btnBg = btnStyle.backgroundColor;
+            const targetColor = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+            if (btnBg === targetColor) {
+              btn.click();
+              if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+                overlayMain.handleDisplayStatus(`Selected color: ${colorInfo.name}`);
+              }
+            }
+          });
+        };
+        
+        listControlsContainer.appendChild(listDropletIcon);
       }
-
-      controlsContainer.appendChild(colorClickArea);
-      controlsContainer.appendChild(enhancedContainer);
-      colorItem.appendChild(controlsContainer);
-
-      const colorName = document.createElement('div');
-      colorName.className = 'bmcf-color-name';
-      colorName.textContent = colorInfo.name;
-      colorName.style.cssText = `
-        font-size: 0.75em;
-        text-shadow: 1px 1px 2px rgba(0,0,0,0.8);
-        color: white;
-        font-weight: bold;
-        z-index: 1;
-        position: relative;
-        text-align: center;
-        margin-bottom: 6px;
-        flex-shrink: 0;
-        line-height: 1.1;
-      `;
-
-      const dropletIcon = document.createElement('div');
-      dropletIcon.textContent = "💧";
-      dropletIcon.style.cssText = `
-        font-size: 0.7em;
-        position: absolute;
-        bottom: 2px;
-        right: 4px;
-        z-index: 2;
-      `;
-
-      // Exclude from progress icon (top-left corner)
-      const excludeIcon = document.createElement('div');
-      excludeIcon.textContent = "👁️";
-      excludeIcon.title = "Click to exclude/include this color from progress calculation";
-      excludeIcon.style.cssText = `
-        font-size: 0.8em;
-        position: absolute;
-        top: 4px;
-        left: 4px;
-        z-index: 3;
+      
+      // Exclude from progress icon for list view
+      const listExcludeIcon = document.createElement('div');
+      listExcludeIcon.textContent = "👁️";
+      listExcludeIcon.title = "Click to exclude/include this color from progress calculation";
+      listExcludeIcon.style.cssText = `
+        font-size: 14px;
         cursor: pointer;
         opacity: 0.7;
         transition: all 0.2s ease;
         background: rgba(0,0,0,0.3);
         border-radius: 50%;
-        width: 20px;
-        height: 20px;
+        width: 18px;
+        height: 18px;
         display: flex;
         align-items: center;
         justify-content: center;
       `;
 
-      // Check if color is excluded from progress (check both applied and pending)
-      const appliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-      const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(appliedExcluded));
-      const isExcluded = pendingExcluded.includes(colorKey);
+      // Check if color is excluded (check pending changes)
+      const listAppliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+      const listPendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(listAppliedExcluded));
+      const listIsExcluded = listPendingExcluded.includes(colorKey);
       
-      if (isExcluded) {
-        excludeIcon.textContent = "🚫";
-        excludeIcon.style.opacity = '1';
-        excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
+      if (listIsExcluded) {
+        listExcludeIcon.textContent = "🚫";
+        listExcludeIcon.style.opacity = '1';
+        listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
       }
 
-      excludeIcon.onmouseenter = () => {
-        excludeIcon.style.opacity = '1';
-        excludeIcon.style.transform = 'scale(1.1)';
+      listExcludeIcon.onmouseenter = () => {
+        listExcludeIcon.style.opacity = '1';
+        listExcludeIcon.style.transform = 'scale(1.1)';
       };
       
-      excludeIcon.onmouseleave = () => {
-        excludeIcon.style.opacity = isExcluded ? '1' : '0.7';
-        excludeIcon.style.transform = 'scale(1)';
+      listExcludeIcon.onmouseleave = () => {
+        listExcludeIcon.style.opacity = listIsExcluded ? '1' : '0.7';
+        listExcludeIcon.style.transform = 'scale(1)';
       };
 
-      excludeIcon.onclick = (e) => {
+      listExcludeIcon.onclick = (e) => {
         e.stopPropagation();
         const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]')));
         
@@ -5971,203 +8552,74 @@ function buildColorFilterOverlay() {
           // Remove from pending excluded list
           const newPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
           localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(newPendingExcluded));
-          excludeIcon.textContent = "👁️";
-          excludeIcon.style.background = 'rgba(0,0,0,0.3)';
-          excludeIcon.style.opacity = '0.7';
-          // Also update list icon
           listExcludeIcon.textContent = "👁️";
           listExcludeIcon.style.background = 'rgba(0,0,0,0.3)';
           listExcludeIcon.style.opacity = '0.7';
+          // Also update grid icon
+          excludeIcon.textContent = "👁️";
+          excludeIcon.style.background = 'rgba(0,0,0,0.3)';
+          excludeIcon.style.opacity = '0.7';
         } else {
           // Add to pending excluded list
           pendingExcluded.push(colorKey);
           localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(pendingExcluded));
-          excludeIcon.textContent = "🚫";
-          excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
-          excludeIcon.style.opacity = '1';
-          // Also update list icon
           listExcludeIcon.textContent = "🚫";
           listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
           listExcludeIcon.style.opacity = '1';
-        }
-        
-        // Show status message (no automatic refresh)
-        if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
-        }
-      };
-
-      // Add pixel statistics display  
-      const stats = pixelStats[colorKey];
-      const pixelStatsDisplay = document.createElement('div');
-      pixelStatsDisplay.className = 'bmcf-stats';
-      
-      if (stats && stats.totalRequired > 0) {
-        // Get wrong pixels for this specific color from tile progress data - FILTERED BY ENABLED TEMPLATES
-        let wrongPixelsForColor = 0;
-        if (templateManager.tileProgress && templateManager.tileProgress.size > 0) {
-          // Same filtering logic as above
-          const enabledTemplateKeys = new Set();
-          if (templateManager.templatesArray) {
-            for (const template of templateManager.templatesArray) {
-              const templateKey = `${template.sortID} ${template.authorID}`;
-              if (templateManager.isTemplateEnabled(templateKey)) {
-                enabledTemplateKeys.add(templateKey);
-              }
-            }
-          }
-          
-          for (const [tileKey, tileStats] of templateManager.tileProgress.entries()) {
-            // Filter tiles by enabled templates only
-            let shouldIncludeTile = true;
-            
-            if (enabledTemplateKeys.size > 0) {
-              shouldIncludeTile = false;
-              const [tileX, tileY] = tileKey.split(',').map(coord => parseInt(coord));
-              
-              for (const template of templateManager.templatesArray) {
-                const templateKey = `${template.sortID} ${template.authorID}`;
-                if (!enabledTemplateKeys.has(templateKey)) continue;
-                
-                if (template.chunked) {
-                  for (const chunkKey of Object.keys(template.chunked)) {
-                    const [chunkTileX, chunkTileY] = chunkKey.split(',').map(coord => parseInt(coord));
-                    if (chunkTileX === tileX && chunkTileY === tileY) {
-                      shouldIncludeTile = true;
-                      break;
-                    }
-                  }
-                }
-                if (shouldIncludeTile) break;
-              }
-            }
-            
-            if (!shouldIncludeTile) continue;
-            
-            if (tileStats.colorBreakdown && tileStats.colorBreakdown[colorKey]) {
-              wrongPixelsForColor += tileStats.colorBreakdown[colorKey].wrong || 0;
-            }
-          }
-        }
-
-        // Apply wrong color logic to individual color progress
-        let displayPainted, displayRequired, displayPercentage, displayRemaining;
-        
-        if (templateManager.getIncludeWrongColorsInProgress()) {
-          // When wrong colors are included, stats.painted already contains the effective painted count
-          // so we don't need to add wrongPixelsForColor again (that would be double counting)
-          displayPainted = stats.painted; // stats.painted already includes wrong colors logic from calculateRemainingPixelsByColor
-          displayRequired = stats.totalRequired;
-          displayPercentage = stats.percentage || 0; // Use pre-calculated percentage
-          displayRemaining = stats.needsCrosshair;
-        } else {
-          // Standard calculation (exclude wrong colors)
-          displayPainted = stats.painted;
-          displayRequired = stats.totalRequired;
-          displayPercentage = stats.percentage || 0;
-          displayRemaining = stats.totalRequired - stats.painted;
-        }
-        
-        // Add data attributes for filtering/sorting
-        colorItem.setAttribute('data-wrong-count', wrongPixelsForColor.toString());
-        colorItem.setAttribute('data-missing-count', displayRemaining.toString());
-        colorItem.setAttribute('data-total-count', displayRequired.toString());
-        colorItem.setAttribute('data-painted-count', displayPainted.toString());
-        
-        // Always render full stats inside the Template Color overlay
-        let displayText = `${displayPainted.toLocaleString()}/${displayRequired.toLocaleString()} (${displayPercentage}%)`;
-        if (templateManager.getIncludeWrongColorsInProgress() && wrongPixelsForColor > 0) {
-          displayText += `\n+${wrongPixelsForColor.toLocaleString()} wrong`;
-        }
-        pixelStatsDisplay.innerHTML = `
-          <div style="font-size: 0.6em; color: rgba(255,255,255,0.9); text-shadow: 1px 1px 2px rgba(0,0,0,0.8); line-height: 1.1;">
-            <div style="margin-bottom: 1px;">
-              ${displayText}
-            </div>
-            <div style="color: rgba(255,255,255,0.7); font-size: 0.9em;">
-              ${displayRemaining.toLocaleString()} Left
-            </div>
-          </div>
-        `;
-
-        // Fixed progress bar pinned to bottom of the card
-        const progressTrack = document.createElement('div');
-        progressTrack.style.cssText = `
-          position: absolute;
-          left: 20px;
-          right: 20px;
-          bottom: 6px;
-          height: 4px;
-          background: rgba(255,255,255,0.25);
-          border-radius: 2px;
-          overflow: hidden;
-          pointer-events: none;
-          z-index: 1;
-        `;
-        const progressFill = document.createElement('div');
-        progressFill.style.cssText = `
-          width: ${Math.min(displayPercentage, 100)}%;
-          height: 100%;
-          background: linear-gradient(90deg, #4CAF50, #8BC34A, #CDDC39);
-          transition: width 0.3s ease;
-        `;
-        progressTrack.appendChild(progressFill);
-        colorItem.appendChild(progressTrack);
-        
-        debugLog(`[Color Filter] Displaying stats for ${colorInfo.name} (${colorKey}): ${displayPainted}/${displayRequired} (${displayPercentage}%) - ${displayRemaining} need crosshair${wrongPixelsForColor > 0 ? ` - includes ${wrongPixelsForColor} wrong` : ''}`);
-      } else {
-        pixelStatsDisplay.innerHTML = `
-          <div style="font-size: 0.65em; color: rgba(255,255,255,0.6); text-shadow: 1px 1px 2px rgba(0,0,0,0.8);">
-            Not Used
-          </div>
-        `;
-        
-        debugLog(`[Color Filter] Color ${colorInfo.name} (${colorKey}) not used in template`);
-      }
-      
-      pixelStatsDisplay.style.cssText = `
-        z-index: 1;
-        position: relative;
-        padding: 4px 6px;
-        text-align: center;
-        flex-grow: 1;
-        display: flex;
-        flex-direction: column;
-        justify-content: center;
-        min-height: 0;
-      `;
-
-      colorItem.appendChild(colorName);
-      colorItem.appendChild(pixelStatsDisplay);
-      if (!isFreeColor){
-        colorItem.appendChild(dropletIcon);
-      }
-      colorItem.appendChild(excludeIcon);
+          // Also update grid icon
+          excludeIcon.textContent = "🚫";
+          excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
+          excludeIcon.style.opacity = '1';
+        }
+        
+        // Show status message (no automatic refresh)
+        if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
+        }
+      };
+      
+      listControlsContainer.appendChild(listExcludeIcon);
+      listControlsContainer.appendChild(listEnhancedCheckbox);
+      listControlsContainer.appendChild(listEnhancedLabel);
+      
+      // Assemble the list item
+      listItem.appendChild(colorSwatch);
+      listItem.appendChild(infoContainer);
+      listItem.appendChild(listControlsContainer);
+      listItem.appendChild(listColorClickArea);
 
-      // Color enable/disable click handler (only on click area, not checkbox)
-      colorClickArea.onclick = (e) => {
-        e.stopPropagation(); // Prevent bubbling
+      // List item click handler (enable/disable color)
+      listColorClickArea.onclick = (e) => {
+        e.stopPropagation();
         if (isSyncing) return; // Prevent sync loops
         
         const wasDisabled = currentTemplate.isColorDisabled(rgb);
         if (wasDisabled) {
           currentTemplate.enableColor(rgb);
-          colorItem.style.border = '3px solid #4caf50';
-          const overlay = colorClickArea.querySelector('div[style*="position: absolute"]');
-          if (overlay) overlay.remove();
-          enhancedCheckbox.disabled = false;
-          
-          // Sync to list item
-          isSyncing = true;
           listItem.style.border = '2px solid #4caf50';
           listItem.style.opacity = '1';
           listEnhancedCheckbox.disabled = false;
+          
+          // Sync to grid item
+          isSyncing = true;
+          colorItem.style.border = '3px solid #4caf50';
+          const gridOverlay = colorClickArea.querySelector('div[style*="position: absolute"]');
+          if (gridOverlay) gridOverlay.remove();
+          enhancedCheckbox.disabled = false;
           isSyncing = false;
         } else {
           currentTemplate.disableColor(rgb);
+          listItem.style.border = '2px solid #f44336';
+          listItem.style.opacity = '0.7';
+          listEnhancedCheckbox.disabled = true;
+          listEnhancedCheckbox.checked = false;
+          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
+          
+          // Sync to grid item
+          isSyncing = true;
           colorItem.style.border = '3px solid #f44336';
-          const overlay = document.createElement('div');
-          overlay.style.cssText = `
+          const gridOverlay = document.createElement('div');
+          gridOverlay.style.cssText = `
             position: absolute;
             top: 0;
             left: 0;
@@ -6182,4438 +8634,4819 @@ function buildColorFilterOverlay() {
             font-weight: bold;
             font-size: 16px;
           `;
-          overlay.textContent = '✕';
-          colorClickArea.appendChild(overlay);
+          gridOverlay.textContent = '✕';
+          colorClickArea.appendChild(gridOverlay);
           enhancedCheckbox.disabled = true;
           enhancedCheckbox.checked = false;
-          
-          // Sync to list item
-          isSyncing = true;
-          listItem.style.border = '2px solid #f44336';
-          listItem.style.opacity = '0.7';
-          listEnhancedCheckbox.disabled = true;
-          listEnhancedCheckbox.checked = false;
-          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
           isSyncing = false;
         }
         
         invalidateTemplateCache();
         
-        // Refresh template display in real-time
         refreshTemplateDisplay().catch(error => {
           console.error('Error refreshing template:', error);
         });
       };
 
-      // Enhanced checkbox handler
-      enhancedCheckbox.onchange = (e) => {
-        e.stopPropagation(); // Prevent bubbling
-        if (enhancedCheckbox.checked) {
-          currentTemplate.enableColorEnhanced(rgb);
+      colorList.appendChild(listItem);
+    });
+
+    // Initialize original orders immediately after creating all items
+    originalGridOrder = Array.from(colorGrid.querySelectorAll('[data-color-item]'));
+    originalListOrder = Array.from(colorList.querySelectorAll('[data-color-item]'));
+
+    // Filter functionality - defined after color items are created
+    const applyFilter = (filterType) => {
+      const gridItems = Array.from(colorGrid.querySelectorAll('[data-color-item]'));
+      const listItems = Array.from(colorList.querySelectorAll('[data-color-item]'));
+      const colorItems = isListView ? listItems : gridItems;
+      
+      // Original orders are already initialized after creating all items
+      
+      if (filterType === 'default') {
+        // Restore original order and show all items
+        colorItems.forEach(item => {
+          item.style.display = 'flex';
+        });
+        // Restore original DOM order
+        const container = isListView ? colorList : colorGrid;
+        const originalItems = isListView ? originalListOrder : originalGridOrder;
+        
+        originalItems.forEach(item => {
+          container.appendChild(item);
+        });
+        return;
+      }
+      
+      if (filterType === 'enhanced') {
+        // Filter to show only enhanced colors
+        colorItems.forEach(item => {
+          const enhancedCheckbox = item.querySelector('input[type="checkbox"]');
+          if (enhancedCheckbox && enhancedCheckbox.checked) {
+            item.style.display = 'flex';
+          } else {
+            item.style.display = 'none';
+          }
+        });
+        return;
+      }
+
+        if (filterType === 'available') {
+            colorItems.forEach(item => {
+                const idx = parseInt(item.getAttribute('data-color-index') || '0');
+                const isAvailable = colorPalette[idx]?.isAvailable === true;
+                if (isAvailable !== false) {
+                    item.style.display = 'flex';
+                } else {
+                    item.style.display = 'none';
+                }
+            });
+            return;
+        }
+
+      // Show all items for sorting
+      colorItems.forEach(item => {
+        item.style.display = 'flex';
+      });
+      
+      colorItems.sort((a, b) => {
+        const aWrong = parseInt(a.getAttribute('data-wrong-count') || '0');
+        const bWrong = parseInt(b.getAttribute('data-wrong-count') || '0');
+        const aMissing = parseInt(a.getAttribute('data-missing-count') || '0');
+        const bMissing = parseInt(b.getAttribute('data-missing-count') || '0');
+        const aTotal = parseInt(a.getAttribute('data-total-count') || '0');
+        const bTotal = parseInt(b.getAttribute('data-total-count') || '0');
+        const aName = a.getAttribute('data-color-name') || '';
+        const bName = b.getAttribute('data-color-name') || '';
+        const aPercentage = aTotal > 0 ? ((aTotal - aMissing) / aTotal) * 100 : 0;
+        const bPercentage = bTotal > 0 ? ((bTotal - bMissing) / bTotal) * 100 : 0;
+
+        switch (filterType) {
+          case 'premium': 
+            // Get color RGB from data attributes
+            const aRgb = a.getAttribute('data-color-rgb');
+            const bRgb = b.getAttribute('data-color-rgb');
+            
+            // Find colors in utils.colorpalette
+            const aColor = colorPalette.find(c => `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === aRgb);
+            const bColor = colorPalette.find(c => `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === bRgb);
+            
+            const aIsPremium = aColor && aColor.free === false;
+            const bIsPremium = bColor && bColor.free === false;
+            
+            // Premium colors first
+            if (aIsPremium && !bIsPremium) return -1;
+            if (!aIsPremium && bIsPremium) return 1;
+            
+            // If both are premium or both are free, sort by most pixels missing
+            return bMissing - aMissing;
+          case 'wrong-desc': return bWrong - aWrong;
+          case 'wrong-asc': return aWrong - bWrong;
+          case 'missing-desc': return bMissing - aMissing;
+          case 'missing-asc': return aMissing - bMissing;
+          case 'total-desc': return bTotal - aTotal;
+          case 'total-asc': return aTotal - bTotal;
+          case 'percentage-desc': return bPercentage - aPercentage;
+          case 'percentage-asc': return aPercentage - bPercentage;
+          case 'name-asc': return aName.localeCompare(bName);
+          case 'name-desc': return bName.localeCompare(aName);
+          default: return 0;
+        }
+      });
+
+      // Reorder DOM elements after sorting
+      const container = isListView ? colorList : colorGrid;
+      colorItems.forEach(item => {
+        container.appendChild(item);
+      });
+    };
+
+    // Add event listener for filter select
+    filterSelect.addEventListener('change', () => {
+      const selectedSort = filterSelect.value;
+      applyFilter(selectedSort);
+      // Automatically save the selected sorting option for next time
+      saveDefaultColorSorting(selectedSort);
+      debugLog('Color filter sorting saved:', selectedSort);
+    });
+
+    
+    enableAllButton.onclick = async () => {
+      colorPalette.forEach((colorInfo) => {
+        currentTemplate.enableColor(colorInfo.rgb);
+      });
+      
+      invalidateTemplateCache();
+      
+      colorFilterOverlay.remove();
+      overlayMain.handleDisplayStatus('Enabling all colors...');
+      
+      try {
+        await refreshTemplateDisplay();
+        buildColorFilterOverlay(); 
+      } catch (error) {
+        console.error('Error enabling all colors:', error);
+        overlayMain.handleDisplayError('Failed to enable all colors');
+      }
+    };
+
+    disableAllButton.onclick = async () => {
+      colorPalette.forEach((colorInfo) => {
+        currentTemplate.disableColor(colorInfo.rgb);
+      });
+      
+      invalidateTemplateCache();
+      
+      colorFilterOverlay.remove();
+      overlayMain.handleDisplayStatus('Disabling all colors...');
+      
+      try {
+        await refreshTemplateDisplay();
+        buildColorFilterOverlay(); 
+      } catch (error) {
+        console.error('Error disabling all colors:', error);
+        overlayMain.handleDisplayError('Failed to disable all colors');
+      }
+    };
+
+    // Disable all Enhanced: clears enhancedColors set and rebuilds
+    disableAllEnhancedButton.onclick = async () => {
+      // Visual feedback - button click animation
+      const originalBg = disableAllEnhancedButton.style.background;
+      const originalText = disableAllEnhancedButton.textContent;
+      
+      // Immediate click feedback
+      disableAllEnhancedButton.style.background = '#dc3545'; // Red
+      disableAllEnhancedButton.textContent = 'Disabling...';
+      disableAllEnhancedButton.style.transform = 'scale(0.95)';
+      disableAllEnhancedButton.style.transition = 'all 0.1s ease';
+      
+      try {
+        const tmpl = templateManager.templatesArray?.[0];
+        if (tmpl && tmpl.enhancedColors && tmpl.enhancedColors.size > 0) {
+          tmpl.enhancedColors.clear();
+          
+          invalidateTemplateCache();
+          
+          // Success feedback
+          disableAllEnhancedButton.style.background = '#28a745'; // Green
+          disableAllEnhancedButton.textContent = 'Disabled! ✓';
+          
+          // Trigger template refresh
+          await refreshTemplateDisplay();
+          buildColorFilterOverlay();
+          
+          // Reset button after 100ms
+          setTimeout(() => {
+            disableAllEnhancedButton.style.background = originalBg;
+            disableAllEnhancedButton.textContent = originalText;
+            disableAllEnhancedButton.style.transform = 'scale(1)';
+          }, 100);
         } else {
-          currentTemplate.disableColorEnhanced(rgb);
+          // No enhanced colors to disable
+          disableAllEnhancedButton.style.background = '#ffc107'; // Yellow
+          disableAllEnhancedButton.textContent = 'No Enhanced Colors';
+          
+          setTimeout(() => {
+            disableAllEnhancedButton.style.background = originalBg;
+            disableAllEnhancedButton.textContent = originalText;
+            disableAllEnhancedButton.style.transform = 'scale(1)';
+          }, 100);
         }
+      } catch (error) {
+        // Error feedback
+        disableAllEnhancedButton.style.background = '#dc3545'; // Red
+        disableAllEnhancedButton.textContent = 'Error! ✗';
         
-        invalidateTemplateCache();
+        setTimeout(() => {
+          disableAllEnhancedButton.style.background = originalBg;
+          disableAllEnhancedButton.textContent = originalText;
+          disableAllEnhancedButton.style.transform = 'scale(1)';
+        }, 100);
         
-        // Refresh template display in real-time
-        refreshTemplateDisplay().catch(error => {
-          console.error('Error refreshing enhanced mode:', error);
-        });
-      };
+        console.error('Error disabling all enhanced colors:', error);
+        overlayMain.handleDisplayError('Failed to disable all enhanced colors');
+      }
+    };
 
-      // Label click handler
-      enhancedLabel.onclick = (e) => {
-        e.stopPropagation();
-        if (!enhancedCheckbox.disabled) {
-          enhancedCheckbox.checked = !enhancedCheckbox.checked;
-          enhancedCheckbox.onchange(e);
-        }
-      };
+    // Create fixed footer with action buttons
+    const footerContainer = document.createElement('div');
+    footerContainer.className = 'bmcf-footer';
 
-      colorGrid.appendChild(colorItem);
+    // Refresh Statistics button
+    const refreshStatsButton = document.createElement('button');
+    refreshStatsButton.innerHTML = '🔄 Update Stats';
+    refreshStatsButton.className = 'bmcf-btn success';
 
-      // Create corresponding list item based on the log.txt example
-      const listItem = document.createElement('div');
-      listItem.className = 'bmcf-list-item';
-      
-      // Add data attributes for search functionality
-      listItem.setAttribute('data-color-item', 'true');
-      listItem.setAttribute('data-color-name', colorInfo.name);
-      listItem.setAttribute('data-color-rgb', rgb.join(','));
-      listItem.setAttribute('data-color-index', index.toString());
-      
-      // Copy stats data attributes from grid item to list item
-      if (colorItem.hasAttribute('data-wrong-count')) {
-        listItem.setAttribute('data-wrong-count', colorItem.getAttribute('data-wrong-count'));
-        listItem.setAttribute('data-missing-count', colorItem.getAttribute('data-missing-count'));
-        listItem.setAttribute('data-total-count', colorItem.getAttribute('data-total-count'));
-        listItem.setAttribute('data-painted-count', colorItem.getAttribute('data-painted-count'));
-      }
-      
-      listItem.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 12px;
-        padding: 8px 12px;
-        background: var(--slate-800);
-        border: 2px solid ${isDisabled ? '#f44336' : '#4caf50'};
-        border-radius: 10px;
-        position: relative;
-        cursor: pointer;
-        transition: all 0.2s ease;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        min-height: 50px;
-        opacity: ${isDisabled ? '0.7' : '1'};
-      `;
-      
-      // Color swatch (small square)
-      const colorSwatch = document.createElement('div');
-      colorSwatch.style.cssText = `
-        width: 32px;
-        height: 32px;
-        background: rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]});
-        border-radius: 6px;
-        border: 2px solid rgba(255,255,255,0.3);
-        flex-shrink: 0;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      `;
+    refreshStatsButton.onmouseover = () => {
+      refreshStatsButton.style.transform = 'translateY(-2px)';
+      refreshStatsButton.style.boxShadow = '0 4px 15px rgba(76, 175, 80, 0.5)';
+    };
 
-      // Color info container (main content area)
-      const infoContainer = document.createElement('div');
-      infoContainer.style.cssText = `
-        flex: 1;
-        display: flex;
-        flex-direction: column;
-        gap: 4px;
-        min-width: 0;
-      `;
-      
-      // Color click area for enable/disable (covers whole item)
-      const listColorClickArea = document.createElement('div');
-      listColorClickArea.style.cssText = `
-        position: absolute;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        cursor: pointer;
-        z-index: 1;
-      `;
+    refreshStatsButton.onmouseout = () => {
+      refreshStatsButton.style.transform = 'translateY(0)';
+      refreshStatsButton.style.boxShadow = '0 2px 8px rgba(76, 175, 80, 0.3)';
+    };
 
-      // Top row: Color name and main stats in the same line
-      const topRow = document.createElement('div');
-      topRow.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        font-size: 0.9em;
-        line-height: 1.2;
-      `;
+    // Apply button  
+    const applyButton = document.createElement('button');
+    applyButton.innerHTML = '🎯 Apply Colors';
+    applyButton.className = 'bmcf-btn primary';
 
-      // Color name
-      const listColorName = document.createElement('div');
-      listColorName.textContent = colorInfo.name;
-      listColorName.style.cssText = `
-        font-weight: 600;
-        color: var(--slate-100);
-        white-space: nowrap;
-        overflow: hidden;
-        text-overflow: ellipsis;
-        max-width: 120px;
-        flex-shrink: 0;
-      `;
+    applyButton.onmouseover = () => {
+      applyButton.style.transform = 'translateY(-2px)';
+      applyButton.style.boxShadow = '0 4px 15px rgba(33, 150, 243, 0.5)';
+    };
 
-      // Stats - get correct values from data attributes
-      let mainStatsText = '';
-      let leftValue = 0;
+    applyButton.onmouseout = () => {
+      applyButton.style.transform = 'translateY(0)';
+      applyButton.style.boxShadow = '0 2px 8px rgba(33, 150, 243, 0.3)';
+    };
+    
+    refreshStatsButton.onclick = () => {
+      debugLog('[Color Filter] Refreshing statistics...');
+      // Apply pending excluded colors changes
+      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
+      if (pendingExcluded) {
+        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
+        localStorage.removeItem('bmcf-excluded-colors-pending');
+      }
+      // Update mini tracker to reflect excluded colors
+      updateMiniTracker();
+      buildColorFilterOverlay(); // Rebuild overlay with fresh data
+    };
+    applyButton.onclick = async () => {
+      // Apply pending excluded colors changes before closing
+      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
+      if (pendingExcluded) {
+        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
+        localStorage.removeItem('bmcf-excluded-colors-pending');
+      }
       
-      // Get values from data attributes (same as grid item)
-      const totalCount = parseInt(listItem.getAttribute('data-total-count') || '0');
-      const paintedCount = parseInt(listItem.getAttribute('data-painted-count') || '0');
-      const missingCount = parseInt(listItem.getAttribute('data-missing-count') || '0');
-      const wrongCount = parseInt(listItem.getAttribute('data-wrong-count') || '0');
+      colorFilterOverlay.remove();
+      overlayMain.handleDisplayStatus('Applying color filter...');
       
-      if (totalCount > 0) {
-        const percentage = totalCount > 0 ? Math.round(((totalCount - missingCount) / totalCount) * 100) : 0;
-        mainStatsText = `${paintedCount.toLocaleString()}/${totalCount.toLocaleString()} (${percentage}%)`;
-        // Add wrong pixels display if they exist and wrong colors are included in progress
-        if (templateManager.getIncludeWrongColorsInProgress() && wrongCount > 0) {
-          mainStatsText += ` +${wrongCount.toLocaleString()} wrong`;
-        }
-        leftValue = missingCount; // This is the correct "Left" value
-      } else {
-        mainStatsText = 'Not Used';
-        leftValue = 0;
+      try {
+        // Update mini tracker to reflect excluded colors
+        updateMiniTracker();
+        await refreshTemplateDisplay();
+        updateColorMenuDisplay(false); // Don't reset filters after color filter applied
+        overlayMain.handleDisplayStatus('Color filter applied successfully!');
+      } catch (error) {
+        console.error('Error applying color filter:', error);
+        overlayMain.handleDisplayError('Failed to apply color filter');
       }
+    };
 
-      // Main stats span
-      const mainStats = document.createElement('span');
-      mainStats.textContent = mainStatsText;
-      mainStats.style.cssText = `
-        color: var(--slate-300);
-        font-size: 0.8em;
-        white-space: nowrap;
-      `;
+    // Create scrollable content container for fixed header solution
+    const contentContainer = document.createElement('div');
+    contentContainer.style.cssText = `
+      overflow-y: auto;
+      flex: 1;
+      min-height: 0;
+      padding: 20px;
+    `;
 
-      // Bottom row: Left status with color coding
-      const bottomRow = document.createElement('div');
-      bottomRow.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 4px;
-        font-size: 0.75em;
-        margin-top: 2px;
-      `;
+    // Add buttons to footer
+    footerContainer.appendChild(refreshStatsButton);
+    footerContainer.appendChild(applyButton);
+
+    // Assemble overlay with fixed header and footer
+    colorFilterOverlay.appendChild(header);
+    contentContainer.appendChild(progressSummary);
+    contentContainer.appendChild(includeWrongProgressContainer);
+    contentContainer.appendChild(instructions);
+    contentContainer.appendChild(enhancedSection);
+    contentContainer.appendChild(templateGroupsSection);
+    contentContainer.appendChild(searchContainer);
+    contentContainer.appendChild(filterContainer);
+    contentContainer.appendChild(colorViewContainer);
+
+    // Check if compact list already exists, if so skip its creation
+    let compactList = document.getElementById('bmcf-compact-list');
+    let shouldCreateCompactList = !compactList;
+
+    if (shouldCreateCompactList) {
+      // Create compact color list as separate floating window
+      compactList = document.createElement('div');
+      compactList.id = 'bmcf-compact-list';
+      compactList.style.cssText = `
+      display: none;
+      position: fixed;
+      top: 100px;
+      right: 20px;
+      width: 240px;
+      background: var(--slate-800);
+      border: 1px solid var(--bmcf-border);
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(0,0,0,0.6);
+      z-index: 999999;
+      font-family: Inter, system-ui, sans-serif;
+      flex-direction: column;
+      min-height: auto;
+      max-height: none;
+    `;
+    
+    // Set flex layout when visible
+    compactList.setAttribute('data-flex-layout', 'true');
 
-      if (mainStatsText !== 'Not Used') {
-        const leftStats = document.createElement('span');
-        leftStats.textContent = `${leftValue.toLocaleString()} Left`;
-        leftStats.style.cssText = `
-          color: ${leftValue === 0 ? '#10b981' : '#f59e0b'}; // green if 0, orange if > 0
-          font-weight: 500;
-        `;
-        bottomRow.appendChild(leftStats);
-      }
+    // Add header to compact list
+    const compactHeader = document.createElement('div');
+    compactHeader.style.cssText = `
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      background: var(--slate-700);
+      border-bottom: 1px solid var(--bmcf-border);
+      border-radius: 12px 12px 0 0;
+      transition: border-radius 0.3s ease, border-bottom 0.3s ease;
+    `;
+    
+    // Create left section with title and collapse arrow
+    const compactLeftSection = document.createElement('div');
+    compactLeftSection.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    `;
+    
+    const compactCollapseArrow = document.createElement('span');
+    compactCollapseArrow.innerHTML = '▼';
+    compactCollapseArrow.style.cssText = `
+      font-size: 10px;
+      color: var(--bmcf-text-muted);
+      transition: transform 0.2s ease;
+      user-select: none;
+      cursor: pointer;
+      padding: 2px 4px;
+      border-radius: 3px;
+    `;
+    
+    // Hover effect for arrow only
+    compactCollapseArrow.addEventListener('mouseenter', () => {
+      compactCollapseArrow.style.background = 'var(--slate-600)';
+    });
+    compactCollapseArrow.addEventListener('mouseleave', () => {
+      compactCollapseArrow.style.background = 'none';
+    });
+    
+    // Touch support for mobile
+    compactCollapseArrow.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      compactCollapseArrow.style.background = 'var(--slate-600)';
+    });
+    compactCollapseArrow.addEventListener('touchend', () => {
+      compactCollapseArrow.style.background = 'none';
+    });
+    
+    const compactTitle = document.createElement('span');
+    compactTitle.textContent = 'Color Toggle';
+    compactTitle.style.cssText = `
+      font-size: 12px;
+      font-weight: 600;
+      color: var(--bmcf-text);
+      user-select: none;
+      cursor: default;
+    `;
+    
+    compactLeftSection.appendChild(compactCollapseArrow);
+    compactLeftSection.appendChild(compactTitle);
 
-      topRow.appendChild(listColorName);
-      if (mainStatsText) {
-        topRow.appendChild(mainStats);
-      }
-      
-      infoContainer.appendChild(topRow);
-      if (mainStatsText !== 'Not Used') {
-        infoContainer.appendChild(bottomRow);
-      }
-      
-      // Controls container (right side)
-      const listControlsContainer = document.createElement('div');
-      listControlsContainer.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        z-index: 2;
-        position: relative;
-      `;
-      
-      // Enhanced mode checkbox
-      const listEnhancedCheckbox = document.createElement('input');
-      listEnhancedCheckbox.type = 'checkbox';
-      listEnhancedCheckbox.checked = isEnhanced;
-      listEnhancedCheckbox.disabled = isDisabled;
-      listEnhancedCheckbox.style.cssText = `
-        width: 16px;
-        height: 16px;
-        cursor: pointer;
-        accent-color: #ffd700;
-      `;
+    
+    const compactCloseBtn = document.createElement('button');
+    compactCloseBtn.innerHTML = '✕';
+    compactCloseBtn.title = 'Close';
+    compactCloseBtn.style.cssText = `
+      background: none;
+      border: none;
+      color: var(--bmcf-text-muted);
+      cursor: pointer;
+      font-size: 14px;
+      padding: 2px 6px;
+      border-radius: 4px;
+      transition: all 0.15s ease;
+    `;
+    compactCloseBtn.onmouseover = () => compactCloseBtn.style.background = 'var(--slate-600)';
+    compactCloseBtn.onmouseout = () => compactCloseBtn.style.background = 'none';
+    compactCloseBtn.onclick = () => {
+      compactList.style.display = 'none';
+      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+    };
+    
+    compactHeader.appendChild(compactLeftSection);
+    compactHeader.appendChild(compactCloseBtn);
+    compactList.appendChild(compactHeader);
 
-      const listEnhancedLabel = document.createElement('label');
-      listEnhancedLabel.textContent = 'Enhanced';
-      listEnhancedLabel.title = 'Enhanced mode - highlights this color on the canvas';
-      listEnhancedLabel.style.cssText = `
-        font-size: 12px;
-        cursor: pointer;
-        color: ${isEnhanced ? '#ffd700' : 'rgba(255,255,255,0.6)'};
-        user-select: none;
-        transition: color 0.2s ease;
-        font-weight: 500;
-      `;
+    // Create collapsible content container
+    const compactCollapsibleContent = document.createElement('div');
+    compactCollapsibleContent.style.cssText = `
+      display: block;
+      transition: height 0.3s ease, opacity 0.2s ease;
+      overflow: hidden;
+      border-radius: 0 0 12px 12px;
+      position: relative;
+      z-index: 1;
+    `;
+    compactList.appendChild(compactCollapsibleContent);
 
-      listEnhancedLabel.onclick = (e) => {
-        e.stopPropagation();
-        if (!listEnhancedCheckbox.disabled) {
-          listEnhancedCheckbox.checked = !listEnhancedCheckbox.checked;
-          listEnhancedCheckbox.onchange(e);
-        }
-      };
+    // Load collapse state from localStorage
+    const COMPACT_COLLAPSE_KEY = 'bmcf-compact-collapsed';
+    let isCollapsed = localStorage.getItem(COMPACT_COLLAPSE_KEY) === 'true';
 
-      listEnhancedCheckbox.onchange = (e) => {
-        e.stopPropagation();
-        const isNowEnhanced = listEnhancedCheckbox.checked;
-        
-        if (isNowEnhanced) {
-          currentTemplate.enableColorEnhanced(rgb);
-          listEnhancedLabel.style.color = '#ffd700';
-          // Also update grid checkbox
-          enhancedCheckbox.checked = true;
-        } else {
-          currentTemplate.disableColorEnhanced(rgb);
-          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
-          // Also update grid checkbox
-          enhancedCheckbox.checked = false;
-        }
-        
-        invalidateTemplateCache();
-        
-        refreshTemplateDisplay().catch(error => {
-          console.error('Error refreshing enhanced mode:', error);
-        });
-      };
-      
-      // Eyedropper icon for non-free colors
-      if (!isFreeColor) {
-        const listDropletIcon = document.createElement('div');
-        listDropletIcon.innerHTML = '💧';
-        listDropletIcon.title = 'Click to select this color in the palette';
-        listDropletIcon.style.cssText = `
-          font-size: 16px;
-          cursor: pointer;
-          opacity: 0.7;
-          user-select: none;
-          transition: opacity 0.2s ease;
-        `;
-        
-        listDropletIcon.onmouseenter = () => listDropletIcon.style.opacity = '1';
-        listDropletIcon.onmouseleave = () => listDropletIcon.style.opacity = '0.7';
-        
-        listDropletIcon.onclick = (e) => {
-          e.stopPropagation();
-          const colorButtons = document.querySelectorAll(`button[id^="color-"]`);
-          colorButtons.forEach(btn => {
-            const btnStyle = window.getComputedStyle(btn);
-            const btnBg = btnStyle.backgroundColor;
-            const targetColor = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
-            if (btnBg === targetColor) {
-              btn.click();
-              if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-                overlayMain.handleDisplayStatus(`Selected color: ${colorInfo.name}`);
-              }
-            }
-          });
-        };
-        
-        listControlsContainer.appendChild(listDropletIcon);
-      }
-      
-      // Exclude from progress icon for list view
-      const listExcludeIcon = document.createElement('div');
-      listExcludeIcon.textContent = "👁️";
-      listExcludeIcon.title = "Click to exclude/include this color from progress calculation";
-      listExcludeIcon.style.cssText = `
-        font-size: 14px;
-        cursor: pointer;
-        opacity: 0.7;
-        transition: all 0.2s ease;
-        background: rgba(0,0,0,0.3);
-        border-radius: 50%;
-        width: 18px;
-        height: 18px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      `;
+    // Apply initial collapse state
+    if (isCollapsed) {
+      compactCollapsibleContent.style.height = '0px';
+      compactCollapsibleContent.style.opacity = '0';
+      compactCollapsibleContent.style.pointerEvents = 'none';
+      compactCollapseArrow.style.transform = 'rotate(-90deg)';
+      // Fix border radius when collapsed
+      compactHeader.style.borderRadius = '12px';
+      compactHeader.style.borderBottom = 'none';
+    } else {
+      compactCollapsibleContent.style.height = 'auto';
+      compactCollapsibleContent.style.opacity = '1';
+      compactCollapsibleContent.style.pointerEvents = 'auto';
+      // Restore original border radius when expanded
+      compactHeader.style.borderRadius = '12px 12px 0 0';
+      compactHeader.style.borderBottom = '1px solid var(--bmcf-border)';
+    }
 
-      // Check if color is excluded (check pending changes)
-      const listAppliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-      const listPendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(listAppliedExcluded));
-      const listIsExcluded = listPendingExcluded.includes(colorKey);
+    // Add collapse functionality - only on arrow click (works for both click and touch)
+    const handleCollapseToggle = (e) => {
+      e.stopPropagation(); // Prevent dragging when clicking to collapse
       
-      if (listIsExcluded) {
-        listExcludeIcon.textContent = "🚫";
-        listExcludeIcon.style.opacity = '1';
-        listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
-      }
-
-      listExcludeIcon.onmouseenter = () => {
-        listExcludeIcon.style.opacity = '1';
-        listExcludeIcon.style.transform = 'scale(1.1)';
-      };
+      isCollapsed = !isCollapsed;
+      localStorage.setItem(COMPACT_COLLAPSE_KEY, isCollapsed.toString());
       
-      listExcludeIcon.onmouseleave = () => {
-        listExcludeIcon.style.opacity = listIsExcluded ? '1' : '0.7';
-        listExcludeIcon.style.transform = 'scale(1)';
-      };
-
-      listExcludeIcon.onclick = (e) => {
-        e.stopPropagation();
-        const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]')));
+      if (isCollapsed) {
+        // Get the natural height first
+        compactCollapsibleContent.style.height = 'auto';
+        const naturalHeight = compactCollapsibleContent.offsetHeight;
+        compactCollapsibleContent.style.height = naturalHeight + 'px';
         
-        if (pendingExcluded.includes(colorKey)) {
-          // Remove from pending excluded list
-          const newPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(newPendingExcluded));
-          listExcludeIcon.textContent = "👁️";
-          listExcludeIcon.style.background = 'rgba(0,0,0,0.3)';
-          listExcludeIcon.style.opacity = '0.7';
-          // Also update grid icon
-          excludeIcon.textContent = "👁️";
-          excludeIcon.style.background = 'rgba(0,0,0,0.3)';
-          excludeIcon.style.opacity = '0.7';
-        } else {
-          // Add to pending excluded list
-          pendingExcluded.push(colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(pendingExcluded));
-          listExcludeIcon.textContent = "🚫";
-          listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
-          listExcludeIcon.style.opacity = '1';
-          // Also update grid icon
-          excludeIcon.textContent = "🚫";
-          excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
-          excludeIcon.style.opacity = '1';
-        }
+        // Force a reflow to establish the starting height
+        compactCollapsibleContent.offsetHeight;
         
-        // Show status message (no automatic refresh)
-        if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
-        }
-      };
-      
-      listControlsContainer.appendChild(listExcludeIcon);
-      listControlsContainer.appendChild(listEnhancedCheckbox);
-      listControlsContainer.appendChild(listEnhancedLabel);
-      
-      // Assemble the list item
-      listItem.appendChild(colorSwatch);
-      listItem.appendChild(infoContainer);
-      listItem.appendChild(listControlsContainer);
-      listItem.appendChild(listColorClickArea);
-
-      // List item click handler (enable/disable color)
-      listColorClickArea.onclick = (e) => {
-        e.stopPropagation();
-        if (isSyncing) return; // Prevent sync loops
+        // Then animate to collapsed state
+        requestAnimationFrame(() => {
+          compactCollapsibleContent.style.height = '0px';
+          compactCollapsibleContent.style.opacity = '0';
+          compactCollapsibleContent.style.pointerEvents = 'none';
+          compactCollapseArrow.style.transform = 'rotate(-90deg)';
+          // Fix border radius when collapsing
+          compactHeader.style.borderRadius = '12px';
+          compactHeader.style.borderBottom = 'none';
+        });
+      } else {
+        // First remove pointer-events and set opacity to start expanding
+        compactCollapsibleContent.style.pointerEvents = 'auto';
+        compactCollapsibleContent.style.opacity = '1';
         
-        const wasDisabled = currentTemplate.isColorDisabled(rgb);
-        if (wasDisabled) {
-          currentTemplate.enableColor(rgb);
-          listItem.style.border = '2px solid #4caf50';
-          listItem.style.opacity = '1';
-          listEnhancedCheckbox.disabled = false;
-          
-          // Sync to grid item
-          isSyncing = true;
-          colorItem.style.border = '3px solid #4caf50';
-          const gridOverlay = colorClickArea.querySelector('div[style*="position: absolute"]');
-          if (gridOverlay) gridOverlay.remove();
-          enhancedCheckbox.disabled = false;
-          isSyncing = false;
-        } else {
-          currentTemplate.disableColor(rgb);
-          listItem.style.border = '2px solid #f44336';
-          listItem.style.opacity = '0.7';
-          listEnhancedCheckbox.disabled = true;
-          listEnhancedCheckbox.checked = false;
-          listEnhancedLabel.style.color = 'rgba(255,255,255,0.6)';
-          
-          // Sync to grid item
-          isSyncing = true;
-          colorItem.style.border = '3px solid #f44336';
-          const gridOverlay = document.createElement('div');
-          gridOverlay.style.cssText = `
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(244, 67, 54, 0.3);
-            border-radius: 5px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-weight: bold;
-            font-size: 16px;
-          `;
-          gridOverlay.textContent = '✕';
-          colorClickArea.appendChild(gridOverlay);
-          enhancedCheckbox.disabled = true;
-          enhancedCheckbox.checked = false;
-          isSyncing = false;
-        }
+        // Get the natural height by temporarily setting height to auto
+        const tempHeight = compactCollapsibleContent.style.height;
+        compactCollapsibleContent.style.height = 'auto';
+        const naturalHeight = compactCollapsibleContent.offsetHeight;
+        compactCollapsibleContent.style.height = tempHeight;
         
-        invalidateTemplateCache();
+        // Force reflow and animate to natural height
+        compactCollapsibleContent.offsetHeight;
+        compactCollapsibleContent.style.height = naturalHeight + 'px';
+        compactCollapseArrow.style.transform = 'rotate(0deg)';
+        // Restore border radius when expanding
+        compactHeader.style.borderRadius = '12px 12px 0 0';
+        compactHeader.style.borderBottom = '1px solid var(--bmcf-border)';
         
-        refreshTemplateDisplay().catch(error => {
-          console.error('Error refreshing template:', error);
-        });
-      };
+        // After transition, set to auto for dynamic resizing
+        setTimeout(() => {
+          if (!isCollapsed) {
+            compactCollapsibleContent.style.height = 'auto';
+          }
+        }, 300);
+      }
+    };
+    
+    // Add both click and touch event listeners for mobile compatibility
+    compactCollapseArrow.addEventListener('click', handleCollapseToggle);
+    compactCollapseArrow.addEventListener('touchstart', handleCollapseToggle);
 
-      colorList.appendChild(listItem);
+    // Add search bar section
+    const compactSearchContainer = document.createElement('div');
+    compactSearchContainer.style.cssText = `
+      padding: 6px 12px;
+      background: var(--slate-700);
+      border-bottom: 1px solid var(--bmcf-border);
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    `;
+    
+    const searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.placeholder = 'Search colors...';
+    searchInput.style.cssText = `
+      flex: 1;
+      padding: 4px 8px;
+      background: var(--slate-600);
+      border: 1px solid var(--slate-500);
+      border-radius: 4px;
+      color: var(--bmcf-text);
+      font-size: 11px;
+      height: 24px;
+      outline: none;
+      transition: all 0.2s ease;
+    `;
+    
+    // Search input focus/blur effects
+    searchInput.addEventListener('focus', () => {
+      searchInput.style.borderColor = 'var(--blue-400)';
+      searchInput.style.background = 'var(--slate-550)';
+    });
+    
+    searchInput.addEventListener('blur', () => {
+      searchInput.style.borderColor = 'var(--slate-500)';
+      searchInput.style.background = 'var(--slate-600)';
+    });
+    
+    // Clear search button
+    const clearSearchBtn = document.createElement('button');
+    clearSearchBtn.innerHTML = '✕';
+    clearSearchBtn.title = 'Clear search';
+    clearSearchBtn.style.cssText = `
+      background: none;
+      border: none;
+      color: var(--bmcf-text-muted);
+      cursor: pointer;
+      font-size: 10px;
+      padding: 2px;
+      border-radius: 3px;
+      width: 20px;
+      height: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: all 0.15s ease;
+      opacity: 0.7;
+    `;
+    
+    clearSearchBtn.addEventListener('mouseenter', () => {
+      clearSearchBtn.style.background = 'var(--slate-600)';
+      clearSearchBtn.style.opacity = '1';
+    });
+    
+    clearSearchBtn.addEventListener('mouseleave', () => {
+      clearSearchBtn.style.background = 'none';
+      clearSearchBtn.style.opacity = '0.7';
+    });
+    
+    clearSearchBtn.addEventListener('click', () => {
+      searchInput.value = '';
+      searchInput.dispatchEvent(new Event('input'));
+      searchInput.focus();
     });
+    
+    compactSearchContainer.appendChild(searchInput);
+    compactSearchContainer.appendChild(clearSearchBtn);
+    compactCollapsibleContent.appendChild(compactSearchContainer);
 
-    // Initialize original orders immediately after creating all items
-    originalGridOrder = Array.from(colorGrid.querySelectorAll('[data-color-item]'));
-    originalListOrder = Array.from(colorList.querySelectorAll('[data-color-item]'));
-
-    // Filter functionality - defined after color items are created
-    const applyFilter = (filterType) => {
-      const gridItems = Array.from(colorGrid.querySelectorAll('[data-color-item]'));
-      const listItems = Array.from(colorList.querySelectorAll('[data-color-item]'));
-      const colorItems = isListView ? listItems : gridItems;
-      
-      // Original orders are already initialized after creating all items
-      
-      if (filterType === 'default') {
-        // Restore original order and show all items
-        colorItems.forEach(item => {
-          item.style.display = 'flex';
-        });
-        // Restore original DOM order
-        const container = isListView ? colorList : colorGrid;
-        const originalItems = isListView ? originalListOrder : originalGridOrder;
-        
-        originalItems.forEach(item => {
-          container.appendChild(item);
-        });
-        return;
-      }
+    // Add bulk action buttons above sort
+    const compactBulkContainer = document.createElement('div');
+    compactBulkContainer.style.cssText = `
+      padding: 3px 8px;
+      background: var(--slate-700);
+      border-bottom: 1px solid var(--bmcf-border);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 4px;
+    `;
+    
+    const disableAllBtn = document.createElement('button');
+    disableAllBtn.textContent = 'Disable';
+    disableAllBtn.style.cssText = `
+      background: #dc2626;
+      color: white;
+      border: none;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-size: 10px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      font-weight: 500;
+    `;
+    disableAllBtn.addEventListener('mouseenter', () => disableAllBtn.style.background = '#b91c1c');
+    disableAllBtn.addEventListener('mouseleave', () => disableAllBtn.style.background = '#dc2626');
+    
+    const enableAllBtn = document.createElement('button');
+    enableAllBtn.textContent = 'Enable';
+    enableAllBtn.style.cssText = `
+      background: #16a34a;
+      color: white;
+      border: none;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-size: 10px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      font-weight: 500;
+    `;
+    enableAllBtn.addEventListener('mouseenter', () => enableAllBtn.style.background = '#15803d');
+    enableAllBtn.addEventListener('mouseleave', () => enableAllBtn.style.background = '#16a34a');
+    
+    // Add click handlers usando a lógica que já existe
+    disableAllBtn.addEventListener('click', () => {
+      const currentTemplate = templateManager.templatesArray?.[0];
+      if (!currentTemplate) return;
       
-      if (filterType === 'enhanced') {
-        // Filter to show only enhanced colors
-        colorItems.forEach(item => {
-          const enhancedCheckbox = item.querySelector('input[type="checkbox"]');
-          if (enhancedCheckbox && enhancedCheckbox.checked) {
-            item.style.display = 'flex';
-          } else {
-            item.style.display = 'none';
+      // Usar a mesma lógica que já existe no código para desabilitar cores
+      const items = compactContent.querySelectorAll('.bmcf-compact-item');
+      items.forEach(item => {
+        const colorRgb = item.getAttribute('data-color-rgb');
+        if (colorRgb) {
+          const [r, g, b] = colorRgb.split(',').map(Number);
+          if (!currentTemplate.isColorDisabled([r, g, b])) {
+            currentTemplate.disableColor([r, g, b]);
+            item.style.opacity = '0.5';
+            item.style.background = 'rgba(244, 67, 54, 0.1)';
           }
-        });
-        return;
-      }
-
-        if (filterType === 'available') {
-            colorItems.forEach(item => {
-                const idx = parseInt(item.getAttribute('data-color-index') || '0');
-                const isAvailable = colorPalette[idx]?.isAvailable === true;
-                if (isAvailable !== false) {
-                    item.style.display = 'flex';
-                } else {
-                    item.style.display = 'none';
-                }
-            });
-            return;
         }
-
-      // Show all items for sorting
-      colorItems.forEach(item => {
-        item.style.display = 'flex';
       });
+      invalidateTemplateCache();
+    });
+    
+    enableAllBtn.addEventListener('click', () => {
+      const currentTemplate = templateManager.templatesArray?.[0];
+      if (!currentTemplate) return;
       
-      colorItems.sort((a, b) => {
-        const aWrong = parseInt(a.getAttribute('data-wrong-count') || '0');
-        const bWrong = parseInt(b.getAttribute('data-wrong-count') || '0');
-        const aMissing = parseInt(a.getAttribute('data-missing-count') || '0');
-        const bMissing = parseInt(b.getAttribute('data-missing-count') || '0');
-        const aTotal = parseInt(a.getAttribute('data-total-count') || '0');
-        const bTotal = parseInt(b.getAttribute('data-total-count') || '0');
-        const aName = a.getAttribute('data-color-name') || '';
-        const bName = b.getAttribute('data-color-name') || '';
-        const aPercentage = aTotal > 0 ? ((aTotal - aMissing) / aTotal) * 100 : 0;
-        const bPercentage = bTotal > 0 ? ((bTotal - bMissing) / bTotal) * 100 : 0;
-
-        switch (filterType) {
-          case 'premium': 
-            // Get color RGB from data attributes
-            const aRgb = a.getAttribute('data-color-rgb');
-            const bRgb = b.getAttribute('data-color-rgb');
-            
-            // Find colors in utils.colorpalette
-            const aColor = colorPalette.find(c => `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === aRgb);
-            const bColor = colorPalette.find(c => `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === bRgb);
-            
-            const aIsPremium = aColor && aColor.free === false;
-            const bIsPremium = bColor && bColor.free === false;
-            
-            // Premium colors first
-            if (aIsPremium && !bIsPremium) return -1;
-            if (!aIsPremium && bIsPremium) return 1;
-            
-            // If both are premium or both are free, sort by most pixels missing
-            return bMissing - aMissing;
-          case 'wrong-desc': return bWrong - aWrong;
-          case 'wrong-asc': return aWrong - bWrong;
-          case 'missing-desc': return bMissing - aMissing;
-          case 'missing-asc': return aMissing - bMissing;
-          case 'total-desc': return bTotal - aTotal;
-          case 'total-asc': return aTotal - bTotal;
-          case 'percentage-desc': return bPercentage - aPercentage;
-          case 'percentage-asc': return aPercentage - bPercentage;
-          case 'name-asc': return aName.localeCompare(bName);
-          case 'name-desc': return bName.localeCompare(aName);
-          default: return 0;
+      // Usar a mesma lógica que já existe no código para habilitar cores
+      const items = compactContent.querySelectorAll('.bmcf-compact-item');
+      items.forEach(item => {
+        const colorRgb = item.getAttribute('data-color-rgb');
+        if (colorRgb) {
+          const [r, g, b] = colorRgb.split(',').map(Number);
+          if (currentTemplate.isColorDisabled([r, g, b])) {
+            currentTemplate.enableColor([r, g, b]);
+            item.style.opacity = '1';
+            item.style.background = '';
+          }
         }
       });
+      invalidateTemplateCache();
+    });
+    
+    compactBulkContainer.appendChild(disableAllBtn);
+    compactBulkContainer.appendChild(enableAllBtn);
+    compactCollapsibleContent.appendChild(compactBulkContainer);
+
+    // Add sort filter section
+    const compactSortContainer = document.createElement('div');
+    compactSortContainer.style.cssText = `
+      padding: 8px 12px;
+      background: var(--slate-700);
+      border-bottom: 1px solid var(--bmcf-border);
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    `;
+    
+    const sortLabel = document.createElement('span');
+    sortLabel.textContent = 'Sort:';
+    sortLabel.style.cssText = `
+      font-size: 11px;
+      color: var(--bmcf-text-muted);
+      min-width: 30px;
+    `;
+    
+    const compactSortSelect = document.createElement('select');
+    compactSortSelect.style.cssText = `
+      flex: 1;
+      padding: 4px 8px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 4px;
+      background: rgba(0, 0, 0, 0.3);
+      color: white;
+      font-size: 10px;
+      outline: none;
+      cursor: pointer;
+    `;
+    
+    // Sort options
+    const sortOptions = [
+      { value: 'default', text: 'Default Order' },
+      { value: 'name', text: 'By Name' },
+      { value: 'premium', text: 'Premium (Most Missing)' },
+      { value: 'most-missing', text: 'Most Pixels Missing' },
+      { value: 'less-missing', text: 'Less Pixels Missing' },
+      { value: 'remaining', text: 'By Remaining' },
+      { value: 'progress', text: 'By Progress' },
+      { value: 'most-painted', text: 'Most Painted' },
+      { value: 'less-painted', text: 'Less Painted' },
+      { value: 'enhanced', text: 'Enhanced Only' }
+    ];
+    
+    sortOptions.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.text;
+      optionElement.style.cssText = `
+        background: #2a2a2a;
+        color: white;
+      `;
+      compactSortSelect.appendChild(optionElement);
+    });
+    
+    compactSortContainer.appendChild(sortLabel);
+    compactSortContainer.appendChild(compactSortSelect);
+    compactCollapsibleContent.appendChild(compactSortContainer);
+
+    // Create scrollable content container
+    const compactContent = document.createElement('div');
+    compactContent.style.cssText = `
+      overflow-y: auto;
+      max-height: 300px;
+      min-height: 0;
+    `;
+    compactCollapsibleContent.appendChild(compactContent);
+
+    // Add drag functionality to compact list
+    let isDraggingCompact = false;
+    let compactDragStartX = 0;
+    let compactDragStartY = 0;
+    let compactInitialLeft = 0;
+    let compactInitialTop = 0;
 
-      // Reorder DOM elements after sorting
-      const container = isListView ? colorList : colorGrid;
-      colorItems.forEach(item => {
-        container.appendChild(item);
-      });
-    };
+    compactHeader.style.cursor = 'move';
+    compactHeader.addEventListener('mousedown', (e) => {
+      // Don't start dragging if clicking on close button or collapse arrow
+      if (e.target === compactCloseBtn || e.target === compactCollapseArrow) return;
+      
+      isDraggingCompact = true;
+      compactDragStartX = e.clientX;
+      compactDragStartY = e.clientY;
+      
+      // Get current position
+      const rect = compactList.getBoundingClientRect();
+      compactInitialLeft = rect.left;
+      compactInitialTop = rect.top;
+      
+      // Change cursor and prevent text selection
+      compactHeader.style.cursor = 'grabbing';
+      compactList.style.userSelect = 'none';
+      document.body.style.userSelect = 'none';
+      
+      e.preventDefault();
+    });
 
-    // Add event listener for filter select
-    filterSelect.addEventListener('change', () => {
-      const selectedSort = filterSelect.value;
-      applyFilter(selectedSort);
-      // Automatically save the selected sorting option for next time
-      saveDefaultColorSorting(selectedSort);
-      debugLog('Color filter sorting saved:', selectedSort);
+    // Mouse move handler for dragging
+    document.addEventListener('mousemove', (e) => {
+      if (!isDraggingCompact) return;
+      
+      const deltaX = e.clientX - compactDragStartX;
+      const deltaY = e.clientY - compactDragStartY;
+      
+      const newLeft = compactInitialLeft + deltaX;
+      const newTop = compactInitialTop + deltaY;
+      
+      // Keep within viewport bounds
+      const maxLeft = window.innerWidth - compactList.offsetWidth;
+      const maxTop = window.innerHeight - compactList.offsetHeight;
+      
+      compactList.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
+      compactList.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
+      compactList.style.right = 'auto'; // Remove right positioning
     });
 
-    
-    enableAllButton.onclick = async () => {
-      colorPalette.forEach((colorInfo) => {
-        currentTemplate.enableColor(colorInfo.rgb);
-      });
+    // Mouse up handler to stop dragging
+    document.addEventListener('mouseup', () => {
+      if (!isDraggingCompact) return;
       
-      invalidateTemplateCache();
+      isDraggingCompact = false;
+      compactHeader.style.cursor = 'move';
+      compactList.style.userSelect = '';
+      document.body.style.userSelect = '';
+    });
+
+    // Touch support for mobile
+    compactHeader.addEventListener('touchstart', (e) => {
+      if (e.target === compactCloseBtn) return;
       
-      colorFilterOverlay.remove();
-      overlayMain.handleDisplayStatus('Enabling all colors...');
+      const touch = e.touches[0];
+      isDraggingCompact = true;
+      compactDragStartX = touch.clientX;
+      compactDragStartY = touch.clientY;
       
-      try {
-        await refreshTemplateDisplay();
-        buildColorFilterOverlay(); 
-      } catch (error) {
-        console.error('Error enabling all colors:', error);
-        overlayMain.handleDisplayError('Failed to enable all colors');
-      }
-    };
+      const rect = compactList.getBoundingClientRect();
+      compactInitialLeft = rect.left;
+      compactInitialTop = rect.top;
+      
+      compactList.style.userSelect = 'none';
+      e.preventDefault();
+    }, { passive: false });
 
-    disableAllButton.onclick = async () => {
-      colorPalette.forEach((colorInfo) => {
-        currentTemplate.disableColor(colorInfo.rgb);
-      });
+    document.addEventListener('touchmove', (e) => {
+      if (!isDraggingCompact) return;
       
-      invalidateTemplateCache();
+      const touch = e.touches[0];
+      const deltaX = touch.clientX - compactDragStartX;
+      const deltaY = touch.clientY - compactDragStartY;
       
-      colorFilterOverlay.remove();
-      overlayMain.handleDisplayStatus('Disabling all colors...');
+      const newLeft = compactInitialLeft + deltaX;
+      const newTop = compactInitialTop + deltaY;
       
-      try {
-        await refreshTemplateDisplay();
-        buildColorFilterOverlay(); 
-      } catch (error) {
-        console.error('Error disabling all colors:', error);
-        overlayMain.handleDisplayError('Failed to disable all colors');
-      }
-    };
+      const maxLeft = window.innerWidth - compactList.offsetWidth;
+      const maxTop = window.innerHeight - compactList.offsetHeight;
+      
+      compactList.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
+      compactList.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
+      compactList.style.right = 'auto';
+    }, { passive: false });
 
-    // Disable all Enhanced: clears enhancedColors set and rebuilds
-    disableAllEnhancedButton.onclick = async () => {
-      // Visual feedback - button click animation
-      const originalBg = disableAllEnhancedButton.style.background;
-      const originalText = disableAllEnhancedButton.textContent;
+    document.addEventListener('touchend', () => {
+      if (!isDraggingCompact) return;
       
-      // Immediate click feedback
-      disableAllEnhancedButton.style.background = '#dc3545'; // Red
-      disableAllEnhancedButton.textContent = 'Disabling...';
-      disableAllEnhancedButton.style.transform = 'scale(0.95)';
-      disableAllEnhancedButton.style.transition = 'all 0.1s ease';
+      isDraggingCompact = false;
+      compactList.style.userSelect = '';
+    });
+
+    // Function to apply sort to compact list
+    const applyCompactSort = (sortType) => {
+      const sortedItems = [...allCompactItems];
       
-      try {
-        const tmpl = templateManager.templatesArray?.[0];
-        if (tmpl && tmpl.enhancedColors && tmpl.enhancedColors.size > 0) {
-          tmpl.enhancedColors.clear();
+      switch (sortType) {
+        case 'name':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const nameA = a.querySelector('.bmcf-compact-name div').textContent.toLowerCase();
+            const nameB = b.querySelector('.bmcf-compact-name div').textContent.toLowerCase();
+            return nameA.localeCompare(nameB);
+          });
+          break;
           
-          invalidateTemplateCache();
+        case 'premium':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const colorKeyA = a.getAttribute('data-color-rgb');
+            const colorKeyB = b.getAttribute('data-color-rgb');
+            
+            // Find colors in utils.colorpalette
+            const colorA = utils.colorpalette.find(c => c.name !== 'Transparent' && `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === colorKeyA);
+            const colorB = utils.colorpalette.find(c => c.name !== 'Transparent' && `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === colorKeyB);
+            
+            const isPremiumA = colorA && colorA.free === false;
+            const isPremiumB = colorB && colorB.free === false;
+            
+            // Premium colors first
+            if (isPremiumA && !isPremiumB) return -1;
+            if (!isPremiumA && isPremiumB) return 1;
+            
+            // If both are premium or both are free, sort by most pixels missing
+            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
+            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
+            const totalA = parseInt(a.getAttribute('data-total') || '0');
+            const totalB = parseInt(b.getAttribute('data-total') || '0');
+            
+            // Filter out 0/0 colors (no pixels at all)
+            if (totalA === 0 && totalB > 0) return 1;
+            if (totalB === 0 && totalA > 0) return -1;
+            if (totalA === 0 && totalB === 0) return 0;
+            
+            return remainingB - remainingA; // Descending (more missing first)
+          });
+          break;
+          
+        case 'most-missing':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
+            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
+            const totalA = parseInt(a.getAttribute('data-total') || '0');
+            const totalB = parseInt(b.getAttribute('data-total') || '0');
+            
+            // Filter out 0/0 colors (no pixels at all)
+            if (totalA === 0 && totalB > 0) return 1;
+            if (totalB === 0 && totalA > 0) return -1;
+            if (totalA === 0 && totalB === 0) return 0;
+            
+            return remainingB - remainingA; // Descending (more missing first)
+          });
+          break;
+          
+        case 'less-missing':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
+            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
+            const totalA = parseInt(a.getAttribute('data-total') || '0');
+            const totalB = parseInt(b.getAttribute('data-total') || '0');
+            
+            // Filter out 0/0 colors (no pixels at all) - put them at the end
+            if (totalA === 0 && totalB > 0) return 1;
+            if (totalB === 0 && totalA > 0) return -1;
+            if (totalA === 0 && totalB === 0) return 0;
+            
+            return remainingA - remainingB; // Ascending (less missing first)
+          });
+          break;
+          
+        case 'remaining':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
+            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
+            return remainingB - remainingA; // Descending (more remaining first)
+          });
+          break;
+          
+        case 'progress':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const progressA = parseFloat(a.getAttribute('data-progress') || '0');
+            const progressB = parseFloat(b.getAttribute('data-progress') || '0');
+            return progressB - progressA; // Descending (higher progress first)
+          });
+          break;
+          
+        case 'most-painted':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const paintedA = parseInt(a.getAttribute('data-painted') || '0');
+            const paintedB = parseInt(b.getAttribute('data-painted') || '0');
+            return paintedB - paintedA; // Descending (more painted first)
+          });
+          break;
           
-          // Success feedback
-          disableAllEnhancedButton.style.background = '#28a745'; // Green
-          disableAllEnhancedButton.textContent = 'Disabled! ✓';
+        case 'less-painted':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const paintedA = parseInt(a.getAttribute('data-painted') || '0');
+            const paintedB = parseInt(b.getAttribute('data-painted') || '0');
+            const totalA = parseInt(a.getAttribute('data-total') || '0');
+            const totalB = parseInt(b.getAttribute('data-total') || '0');
+            
+            // Filter out 0/0 colors (no pixels at all) - put them at the end
+            if (totalA === 0 && totalB > 0) return 1;
+            if (totalB === 0 && totalA > 0) return -1;
+            if (totalA === 0 && totalB === 0) return 0;
+            
+            return paintedA - paintedB; // Ascending (less painted first)
+          });
+          break;
           
-          // Trigger template refresh
-          await refreshTemplateDisplay();
-          buildColorFilterOverlay();
+        case 'enhanced':
+          // First show all items, then sort enhanced ones to top
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const enhancedA = a.querySelector('input[type="checkbox"]').checked;
+            const enhancedB = b.querySelector('input[type="checkbox"]').checked;
+            if (enhancedA && !enhancedB) return -1;
+            if (!enhancedA && enhancedB) return 1;
+            return 0;
+          });
+          // Filter to show only enhanced colors
+          sortedItems.forEach(item => {
+            const isEnhanced = item.querySelector('input[type="checkbox"]').checked;
+            item.style.display = isEnhanced ? 'flex' : 'none';
+          });
+          break;
           
-          // Reset button after 100ms
-          setTimeout(() => {
-            disableAllEnhancedButton.style.background = originalBg;
-            disableAllEnhancedButton.textContent = originalText;
-            disableAllEnhancedButton.style.transform = 'scale(1)';
-          }, 100);
-        } else {
-          // No enhanced colors to disable
-          disableAllEnhancedButton.style.background = '#ffc107'; // Yellow
-          disableAllEnhancedButton.textContent = 'No Enhanced Colors';
+        case 'available':
+          // Show all items first
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          sortedItems.sort((a, b) => {
+            const indexA = parseInt(a.getAttribute('data-original-index') || '0');
+            const indexB = parseInt(b.getAttribute('data-original-index') || '0');
+            const availableA = utils.colorpalette[indexA]?.isAvailable === true;
+            const availableB = utils.colorpalette[indexB]?.isAvailable === true;
+            if (availableA && !availableB) return -1;
+            if (!availableA && availableB) return 1;
+            return indexA - indexB;
+          });
+          // Filter to show only available colors
+          sortedItems.forEach(item => {
+            const index = parseInt(item.getAttribute('data-original-index') || '0');
+            const isAvailable = utils.colorpalette[index]?.isAvailable === true;
+            item.style.display = isAvailable ? 'flex' : 'none';
+          });
+          break;
           
-          setTimeout(() => {
-            disableAllEnhancedButton.style.background = originalBg;
-            disableAllEnhancedButton.textContent = originalText;
-            disableAllEnhancedButton.style.transform = 'scale(1)';
-          }, 100);
-        }
-      } catch (error) {
-        // Error feedback
-        disableAllEnhancedButton.style.background = '#dc3545'; // Red
-        disableAllEnhancedButton.textContent = 'Error! ✗';
-        
-        setTimeout(() => {
-          disableAllEnhancedButton.style.background = originalBg;
-          disableAllEnhancedButton.textContent = originalText;
-          disableAllEnhancedButton.style.transform = 'scale(1)';
-        }, 100);
-        
-        console.error('Error disabling all enhanced colors:', error);
-        overlayMain.handleDisplayError('Failed to disable all enhanced colors');
+        case 'default':
+        default:
+          // Show all items and use original order
+          sortedItems.forEach(item => {
+            item.style.display = 'flex';
+          });
+          // Sort by original index
+          sortedItems.sort((a, b) => {
+            const indexA = parseInt(a.getAttribute('data-original-index') || '0');
+            const indexB = parseInt(b.getAttribute('data-original-index') || '0');
+            return indexA - indexB;
+          });
+          break;
       }
+      
+      // Clear and re-append all sorted items
+      compactContent.innerHTML = '';
+      sortedItems.forEach(item => {
+        compactContent.appendChild(item);
+      });
     };
+    
+    // Add sort event listener
+    compactSortSelect.addEventListener('change', () => {
+      applyCompactSort(compactSortSelect.value);
+      // Save sort preference
+      localStorage.setItem('bmcf-compact-sort', compactSortSelect.value);
+    });
+    
+    // Load saved sort preference
+    const savedSort = localStorage.getItem('bmcf-compact-sort') || 'default';
+    compactSortSelect.value = savedSort;
 
-    // Create fixed footer with action buttons
-    const footerContainer = document.createElement('div');
-    footerContainer.className = 'bmcf-footer';
+    // Store reference to all original items for sorting
+    let allCompactItems = [];
 
-    // Refresh Statistics button
-    const refreshStatsButton = document.createElement('button');
-    refreshStatsButton.innerHTML = '🔄 Update Stats';
-    refreshStatsButton.className = 'bmcf-btn success';
+    // Build compact list items
+    utils.colorpalette.forEach((color, index) => {
+      const colorKey = `${color.rgb[0]},${color.rgb[1]},${color.rgb[2]}`;
+      if (index === 0) return; // Skip transparent
 
-    refreshStatsButton.onmouseover = () => {
-      refreshStatsButton.style.transform = 'translateY(-2px)';
-      refreshStatsButton.style.boxShadow = '0 4px 15px rgba(76, 175, 80, 0.5)';
-    };
+      const stats = pixelStats[colorKey] || {};
 
-    refreshStatsButton.onmouseout = () => {
-      refreshStatsButton.style.transform = 'translateY(0)';
-      refreshStatsButton.style.boxShadow = '0 2px 8px rgba(76, 175, 80, 0.3)';
-    };
+      // Check if color is currently disabled in template
+      const templateInstance = templateManager.templatesArray?.[0];
+      const isDisabled = templateInstance ? templateInstance.isColorDisabled(color.rgb) : false;
 
-    // Apply button  
-    const applyButton = document.createElement('button');
-    applyButton.innerHTML = '🎯 Apply Colors';
-    applyButton.className = 'bmcf-btn primary';
+      // Get progress data first
+      const painted = stats.painted || 0;
+      const remaining = stats.needsCrosshair || 0;
+      const totalPixels = painted + remaining; // Real total = painted + remaining
+      const progressPercent = totalPixels > 0 ? Math.round((painted / totalPixels) * 100) : 0;
 
-    applyButton.onmouseover = () => {
-      applyButton.style.transform = 'translateY(-2px)';
-      applyButton.style.boxShadow = '0 4px 15px rgba(33, 150, 243, 0.5)';
-    };
+      const item = document.createElement('div');
+      item.className = 'bmcf-compact-item';
+      item.setAttribute('data-color-rgb', colorKey);
+      item.setAttribute('data-original-index', index.toString());
+      item.setAttribute('data-remaining', remaining.toString());
+      item.setAttribute('data-painted', painted.toString());
+      item.setAttribute('data-total', totalPixels.toString());
+      item.setAttribute('data-progress', progressPercent.toString());
+      item.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        border-bottom: 1px solid var(--slate-700);
+        cursor: pointer;
+        transition: background-color 0.15s ease;
+        min-height: 32px;
+        ${isDisabled ? 'opacity: 0.5; background: rgba(244, 67, 54, 0.1);' : ''}
+      `;
+      item.onmouseover = () => item.style.backgroundColor = 'var(--slate-700)';
+      item.onmouseout = () => item.style.backgroundColor = '';
 
-    applyButton.onmouseout = () => {
-      applyButton.style.transform = 'translateY(0)';
-      applyButton.style.boxShadow = '0 2px 8px rgba(33, 150, 243, 0.3)';
-    };
-    
-    refreshStatsButton.onclick = () => {
-      debugLog('[Color Filter] Refreshing statistics...');
-      // Apply pending excluded colors changes
-      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
-      if (pendingExcluded) {
-        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
-        localStorage.removeItem('bmcf-excluded-colors-pending');
-      }
-      // Update mini tracker to reflect excluded colors
-      updateMiniTracker();
-      buildColorFilterOverlay(); // Rebuild overlay with fresh data
-    };
-    applyButton.onclick = async () => {
-      // Apply pending excluded colors changes before closing
-      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
-      if (pendingExcluded) {
-        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
-        localStorage.removeItem('bmcf-excluded-colors-pending');
-      }
-      
-      colorFilterOverlay.remove();
-      overlayMain.handleDisplayStatus('Applying color filter...');
-      
-      try {
-        // Update mini tracker to reflect excluded colors
-        updateMiniTracker();
-        await refreshTemplateDisplay();
-        updateColorMenuDisplay(false); // Don't reset filters after color filter applied
-        overlayMain.handleDisplayStatus('Color filter applied successfully!');
-      } catch (error) {
-        console.error('Error applying color filter:', error);
-        overlayMain.handleDisplayError('Failed to apply color filter');
-      }
-    };
+      // Color swatch
+      const swatch = document.createElement('div');
+      swatch.style.cssText = `
+        width: 14px;
+        height: 14px;
+        border-radius: 2px;
+        background: rgb(${color.rgb.join(',')});
+        border: 1px solid rgba(255,255,255,0.2);
+        flex-shrink: 0;
+      `;
 
-    // Create scrollable content container for fixed header solution
-    const contentContainer = document.createElement('div');
-    contentContainer.style.cssText = `
-      overflow-y: auto;
-      flex: 1;
-      min-height: 0;
-      padding: 20px;
-    `;
+      // Color name with progress
+      const name = document.createElement('div');
+      name.className = 'bmcf-compact-name';
+      name.style.cssText = `
+        font-size: 10px;
+        color: var(--bmcf-text);
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+      `;
+      
+      name.innerHTML = `
+        <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
+        <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+          ${painted.toLocaleString()}/${totalPixels.toLocaleString()} (${progressPercent}%) | ${remaining.toLocaleString()} left
+        </div>
+      `;
 
-    // Add buttons to footer
-    footerContainer.appendChild(refreshStatsButton);
-    footerContainer.appendChild(applyButton);
+      // Remove separate count display since it's now in the progress line
 
-    // Assemble overlay with fixed header and footer
-    colorFilterOverlay.appendChild(header);
-    contentContainer.appendChild(progressSummary);
-    contentContainer.appendChild(includeWrongProgressContainer);
-    contentContainer.appendChild(instructions);
-    contentContainer.appendChild(enhancedSection);
-    contentContainer.appendChild(searchContainer);
-    contentContainer.appendChild(filterContainer);
-    contentContainer.appendChild(colorViewContainer);
+      // Controls container
+      const controlsContainer = document.createElement('div');
+      controlsContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        flex-shrink: 0;
+      `;
 
-    // Check if compact list already exists, if so skip its creation
-    let compactList = document.getElementById('bmcf-compact-list');
-    let shouldCreateCompactList = !compactList;
+      // Enhanced mode checkbox
+      const enhancedCheckbox = document.createElement('input');
+      enhancedCheckbox.type = 'checkbox';
+      enhancedCheckbox.style.cssText = `
+        width: 12px;
+        height: 12px;
+        cursor: pointer;
+      `;
+      enhancedCheckbox.title = 'Enable enhanced mode for this color';
+      
+      // Check if color is currently enhanced
+      if (templateInstance && templateInstance.enhancedColors) {
+        const rgbKey = color.rgb.join(',');
+        enhancedCheckbox.checked = templateInstance.enhancedColors.has(rgbKey);
+      }
+      
+      enhancedCheckbox.onclick = (e) => {
+        e.stopPropagation();
+      };
+      
+      enhancedCheckbox.onchange = (e) => {
+        e.stopPropagation();
+        const currentTemplate = templateManager.templatesArray?.[0];
+        if (!currentTemplate) return;
+        
+        if (enhancedCheckbox.checked) {
+          currentTemplate.enableColorEnhanced(color.rgb);
+          overlayMain.handleDisplayStatus(`Enhanced mode enabled: ${color.name}`);
+        } else {
+          currentTemplate.disableColorEnhanced(color.rgb);
+          overlayMain.handleDisplayStatus(`Enhanced mode disabled: ${color.name}`);
+        }
+        
+        invalidateTemplateCache();
+        
+        // Sync with main overlay checkboxes
+        const gridItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"]`);
+        const listItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"].bmcf-list-item`);
+        
+        if (gridItem) {
+          const gridCheckbox = gridItem.querySelector('input[type="checkbox"]');
+          if (gridCheckbox) gridCheckbox.checked = enhancedCheckbox.checked;
+        }
+        
+        if (listItem) {
+          const listCheckbox = listItem.querySelector('input[type="checkbox"]');
+          if (listCheckbox) listCheckbox.checked = enhancedCheckbox.checked;
+        }
+        
+        
+        // Refresh template display to save changes persistently
+        refreshTemplateDisplay().catch(error => {
+          console.error('Error refreshing enhanced mode from Color Toggle:', error);
+        });
+      };
 
-    if (shouldCreateCompactList) {
-      // Create compact color list as separate floating window
-      compactList = document.createElement('div');
-      compactList.id = 'bmcf-compact-list';
-      compactList.style.cssText = `
-      display: none;
-      position: fixed;
-      top: 100px;
-      right: 20px;
-      width: 240px;
-      background: var(--slate-800);
-      border: 1px solid var(--bmcf-border);
-      border-radius: 12px;
-      box-shadow: 0 10px 30px rgba(0,0,0,0.6);
-      z-index: 999999;
-      font-family: Inter, system-ui, sans-serif;
-      flex-direction: column;
-      min-height: auto;
-      max-height: none;
-    `;
-    
-    // Set flex layout when visible
-    compactList.setAttribute('data-flex-layout', 'true');
+      // Premium indicator (droplet for premium colors only)
+      const premiumIcon = document.createElement('div');
+      if (!color.free) {
+        premiumIcon.textContent = "💧";
+        premiumIcon.title = "Premium color";
+        premiumIcon.style.cssText = `
+          width: 14px;
+          height: 14px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 10px;
+          opacity: 0.8;
+          flex-shrink: 0;
+        `;
+      } else {
+        // Empty space for free colors to maintain alignment
+        premiumIcon.style.cssText = `
+          width: 14px;
+          height: 14px;
+          flex-shrink: 0;
+        `;
+      }
+      
+      controlsContainer.appendChild(premiumIcon);
+      controlsContainer.appendChild(enhancedCheckbox);
 
-    // Add header to compact list
-    const compactHeader = document.createElement('div');
-    compactHeader.style.cssText = `
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      padding: 8px 12px;
-      background: var(--slate-700);
-      border-bottom: 1px solid var(--bmcf-border);
-      border-radius: 12px 12px 0 0;
-      transition: border-radius 0.3s ease, border-bottom 0.3s ease;
-    `;
-    
-    // Create left section with title and collapse arrow
-    const compactLeftSection = document.createElement('div');
-    compactLeftSection.style.cssText = `
-      display: flex;
-      align-items: center;
-      gap: 6px;
-    `;
-    
-    const compactCollapseArrow = document.createElement('span');
-    compactCollapseArrow.innerHTML = '▼';
-    compactCollapseArrow.style.cssText = `
-      font-size: 10px;
-      color: var(--bmcf-text-muted);
-      transition: transform 0.2s ease;
-      user-select: none;
-      cursor: pointer;
-      padding: 2px 4px;
-      border-radius: 3px;
-    `;
-    
-    // Hover effect for arrow only
-    compactCollapseArrow.addEventListener('mouseenter', () => {
-      compactCollapseArrow.style.background = 'var(--slate-600)';
-    });
-    compactCollapseArrow.addEventListener('mouseleave', () => {
-      compactCollapseArrow.style.background = 'none';
-    });
-    
-    // Touch support for mobile
-    compactCollapseArrow.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      compactCollapseArrow.style.background = 'var(--slate-600)';
-    });
-    compactCollapseArrow.addEventListener('touchend', () => {
-      compactCollapseArrow.style.background = 'none';
-    });
-    
-    const compactTitle = document.createElement('span');
-    compactTitle.textContent = 'Color Toggle';
-    compactTitle.style.cssText = `
-      font-size: 12px;
-      font-weight: 600;
-      color: var(--bmcf-text);
-      user-select: none;
-      cursor: default;
-    `;
-    
-    compactLeftSection.appendChild(compactCollapseArrow);
-    compactLeftSection.appendChild(compactTitle);
+      // Click handler - directly toggle color using template methods
+      item.onclick = (e) => {
+        e.stopPropagation();
+        
+        // Get current template
+        const currentTemplate = templateManager.templatesArray?.[0];
+        if (!currentTemplate) {
+          overlayMain.handleDisplayStatus(`No template loaded`);
+          return;
+        }
 
-    
-    const compactCloseBtn = document.createElement('button');
-    compactCloseBtn.innerHTML = '✕';
-    compactCloseBtn.title = 'Close';
-    compactCloseBtn.style.cssText = `
-      background: none;
-      border: none;
-      color: var(--bmcf-text-muted);
-      cursor: pointer;
-      font-size: 14px;
-      padding: 2px 6px;
-      border-radius: 4px;
-      transition: all 0.15s ease;
-    `;
-    compactCloseBtn.onmouseover = () => compactCloseBtn.style.background = 'var(--slate-600)';
-    compactCloseBtn.onmouseout = () => compactCloseBtn.style.background = 'none';
-    compactCloseBtn.onclick = () => {
-      compactList.style.display = 'none';
-      compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-    };
-    
-    compactHeader.appendChild(compactLeftSection);
-    compactHeader.appendChild(compactCloseBtn);
-    compactList.appendChild(compactHeader);
+        const rgb = color.rgb;
+        const wasDisabled = currentTemplate.isColorDisabled(rgb);
+        
+        // Find the corresponding grid/list items for visual sync
+        const gridItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"]`);
+        const listItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"].bmcf-list-item`);
+        
+        if (wasDisabled) {
+          // Enable the color
+          currentTemplate.enableColor(rgb);
+          
+          // Update grid item visual
+          if (gridItem) {
+            gridItem.style.border = '3px solid #4caf50';
+            const overlay = gridItem.querySelector('div[style*="position: absolute"]');
+            if (overlay) overlay.remove();
+            const enhancedCheckbox = gridItem.querySelector('input[type="checkbox"]');
+            if (enhancedCheckbox) enhancedCheckbox.disabled = false;
+          }
+          
+          // Update list item visual
+          if (listItem) {
+            listItem.style.border = '2px solid #4caf50';
+            listItem.style.opacity = '1';
+            const listEnhancedCheckbox = listItem.querySelector('input[type="checkbox"]');
+            if (listEnhancedCheckbox) listEnhancedCheckbox.disabled = false;
+          }
+          
+          // Update compact list visual
+          item.style.opacity = '1';
+          item.style.background = '';
+          
+          overlayMain.handleDisplayStatus(`Color enabled: ${color.name}`);
+        } else {
+          // Disable the color
+          currentTemplate.disableColor(rgb);
+          
+          // Update grid item visual
+          if (gridItem) {
+            gridItem.style.border = '3px solid #f44336';
+            // Add disabled overlay
+            const colorClickArea = gridItem.querySelector('[style*="cursor: pointer"]');
+            if (colorClickArea && !colorClickArea.querySelector('div[style*="position: absolute"]')) {
+              const disabledOverlay = document.createElement('div');
+              disabledOverlay.style.cssText = `
+                position: absolute; top: 0; left: 0; right: 0; bottom: 0;
+                background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center;
+                font-size: 24px; color: #f44336; pointer-events: none;
+              `;
+              disabledOverlay.textContent = '✕';
+              colorClickArea.appendChild(disabledOverlay);
+            }
+            const enhancedCheckbox = gridItem.querySelector('input[type="checkbox"]');
+            if (enhancedCheckbox) enhancedCheckbox.disabled = true;
+          }
+          
+          // Update list item visual
+          if (listItem) {
+            listItem.style.border = '2px solid #f44336';
+            listItem.style.opacity = '0.5';
+            const listEnhancedCheckbox = listItem.querySelector('input[type="checkbox"]');
+            if (listEnhancedCheckbox) listEnhancedCheckbox.disabled = true;
+          }
+          
+          // Update compact list visual
+          item.style.opacity = '0.5';
+          item.style.background = 'rgba(244, 67, 54, 0.1)';
+          
+          overlayMain.handleDisplayStatus(`Color disabled: ${color.name}`);
+        }
 
-    // Create collapsible content container
-    const compactCollapsibleContent = document.createElement('div');
-    compactCollapsibleContent.style.cssText = `
-      display: block;
-      transition: height 0.3s ease, opacity 0.2s ease;
-      overflow: hidden;
-      border-radius: 0 0 12px 12px;
-      position: relative;
-      z-index: 1;
-    `;
-    compactList.appendChild(compactCollapsibleContent);
+        invalidateTemplateCache();
 
-    // Load collapse state from localStorage
-    const COMPACT_COLLAPSE_KEY = 'bmcf-compact-collapsed';
-    let isCollapsed = localStorage.getItem(COMPACT_COLLAPSE_KEY) === 'true';
+        // Update progress display after the toggle
+        setTimeout(() => {
+          const freshStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
+          const freshPainted = freshStats[colorKey]?.painted || 0;
+          const freshRemaining = freshStats[colorKey]?.needsCrosshair || 0;
+          
+          // Update the progress line in the name element
+          const freshTotalPixels = freshPainted + freshRemaining;
+          const freshProgressPercent = freshTotalPixels > 0 ? Math.round((freshPainted / freshTotalPixels) * 100) : 0;
+          
+          name.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
+            <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+              ${freshPainted.toLocaleString()}/${freshTotalPixels.toLocaleString()} (${freshProgressPercent}%) | ${freshRemaining.toLocaleString()} left
+            </div>
+          `;
+        }, 100);
+      };
 
-    // Apply initial collapse state
-    if (isCollapsed) {
-      compactCollapsibleContent.style.height = '0px';
-      compactCollapsibleContent.style.opacity = '0';
-      compactCollapsibleContent.style.pointerEvents = 'none';
-      compactCollapseArrow.style.transform = 'rotate(-90deg)';
-      // Fix border radius when collapsed
-      compactHeader.style.borderRadius = '12px';
-      compactHeader.style.borderBottom = 'none';
-    } else {
-      compactCollapsibleContent.style.height = 'auto';
-      compactCollapsibleContent.style.opacity = '1';
-      compactCollapsibleContent.style.pointerEvents = 'auto';
-      // Restore original border radius when expanded
-      compactHeader.style.borderRadius = '12px 12px 0 0';
-      compactHeader.style.borderBottom = '1px solid var(--bmcf-border)';
-    }
+      item.appendChild(swatch);
+      item.appendChild(name);
+      item.appendChild(controlsContainer);
+      compactContent.appendChild(item);
+      allCompactItems.push(item);
+    });
 
-    // Add collapse functionality - only on arrow click (works for both click and touch)
-    const handleCollapseToggle = (e) => {
-      e.stopPropagation(); // Prevent dragging when clicking to collapse
-      
-      isCollapsed = !isCollapsed;
-      localStorage.setItem(COMPACT_COLLAPSE_KEY, isCollapsed.toString());
+    // Apply initial sort
+    applyCompactSort(savedSort);
+    
+    // Add search functionality
+    const applySearch = (searchTerm) => {
+      const items = Array.from(compactContent.children);
+      const term = searchTerm.toLowerCase().trim();
       
-      if (isCollapsed) {
-        // Get the natural height first
-        compactCollapsibleContent.style.height = 'auto';
-        const naturalHeight = compactCollapsibleContent.offsetHeight;
-        compactCollapsibleContent.style.height = naturalHeight + 'px';
-        
-        // Force a reflow to establish the starting height
-        compactCollapsibleContent.offsetHeight;
-        
-        // Then animate to collapsed state
-        requestAnimationFrame(() => {
-          compactCollapsibleContent.style.height = '0px';
-          compactCollapsibleContent.style.opacity = '0';
-          compactCollapsibleContent.style.pointerEvents = 'none';
-          compactCollapseArrow.style.transform = 'rotate(-90deg)';
-          // Fix border radius when collapsing
-          compactHeader.style.borderRadius = '12px';
-          compactHeader.style.borderBottom = 'none';
-        });
-      } else {
-        // First remove pointer-events and set opacity to start expanding
-        compactCollapsibleContent.style.pointerEvents = 'auto';
-        compactCollapsibleContent.style.opacity = '1';
-        
-        // Get the natural height by temporarily setting height to auto
-        const tempHeight = compactCollapsibleContent.style.height;
-        compactCollapsibleContent.style.height = 'auto';
-        const naturalHeight = compactCollapsibleContent.offsetHeight;
-        compactCollapsibleContent.style.height = tempHeight;
+      let visibleCount = 0;
+      items.forEach(item => {
+        // Skip the no-results message element
+        if (item.classList.contains('no-results-msg')) return;
         
-        // Force reflow and animate to natural height
-        compactCollapsibleContent.offsetHeight;
-        compactCollapsibleContent.style.height = naturalHeight + 'px';
-        compactCollapseArrow.style.transform = 'rotate(0deg)';
-        // Restore border radius when expanding
-        compactHeader.style.borderRadius = '12px 12px 0 0';
-        compactHeader.style.borderBottom = '1px solid var(--bmcf-border)';
+        const colorNameElement = item.querySelector('.bmcf-compact-name');
+        const colorName = colorNameElement?.textContent.toLowerCase() || '';
+        const isVisible = term === '' || colorName.includes(term);
         
-        // After transition, set to auto for dynamic resizing
-        setTimeout(() => {
-          if (!isCollapsed) {
-            compactCollapsibleContent.style.height = 'auto';
-          }
-        }, 300);
+        item.style.display = isVisible ? 'flex' : 'none';
+        if (isVisible) visibleCount++;
+      });
+      
+      // Show "No results" message if no colors match
+      let noResultsMsg = compactContent.querySelector('.no-results-msg');
+      if (visibleCount === 0 && term !== '') {
+        if (!noResultsMsg) {
+          noResultsMsg = document.createElement('div');
+          noResultsMsg.className = 'no-results-msg';
+          noResultsMsg.style.cssText = `
+            padding: 20px;
+            text-align: center;
+            color: var(--bmcf-text-muted);
+            font-size: 12px;
+            font-style: italic;
+          `;
+          noResultsMsg.textContent = 'No colors found';
+          compactContent.appendChild(noResultsMsg);
+        }
+        noResultsMsg.style.display = 'block';
+      } else if (noResultsMsg) {
+        noResultsMsg.style.display = 'none';
       }
     };
     
-    // Add both click and touch event listeners for mobile compatibility
-    compactCollapseArrow.addEventListener('click', handleCollapseToggle);
-    compactCollapseArrow.addEventListener('touchstart', handleCollapseToggle);
-
-    // Add search bar section
-    const compactSearchContainer = document.createElement('div');
-    compactSearchContainer.style.cssText = `
-      padding: 6px 12px;
-      background: var(--slate-700);
-      border-bottom: 1px solid var(--bmcf-border);
-      display: flex;
-      align-items: center;
-      gap: 6px;
-    `;
-    
-    const searchInput = document.createElement('input');
-    searchInput.type = 'text';
-    searchInput.placeholder = 'Search colors...';
-    searchInput.style.cssText = `
-      flex: 1;
-      padding: 4px 8px;
-      background: var(--slate-600);
-      border: 1px solid var(--slate-500);
-      border-radius: 4px;
-      color: var(--bmcf-text);
-      font-size: 11px;
-      height: 24px;
-      outline: none;
-      transition: all 0.2s ease;
-    `;
-    
-    // Search input focus/blur effects
-    searchInput.addEventListener('focus', () => {
-      searchInput.style.borderColor = 'var(--blue-400)';
-      searchInput.style.background = 'var(--slate-550)';
-    });
-    
-    searchInput.addEventListener('blur', () => {
-      searchInput.style.borderColor = 'var(--slate-500)';
-      searchInput.style.background = 'var(--slate-600)';
-    });
-    
-    // Clear search button
-    const clearSearchBtn = document.createElement('button');
-    clearSearchBtn.innerHTML = '✕';
-    clearSearchBtn.title = 'Clear search';
-    clearSearchBtn.style.cssText = `
-      background: none;
-      border: none;
-      color: var(--bmcf-text-muted);
-      cursor: pointer;
-      font-size: 10px;
-      padding: 2px;
-      border-radius: 3px;
-      width: 20px;
-      height: 20px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      transition: all 0.15s ease;
-      opacity: 0.7;
-    `;
-    
-    clearSearchBtn.addEventListener('mouseenter', () => {
-      clearSearchBtn.style.background = 'var(--slate-600)';
-      clearSearchBtn.style.opacity = '1';
+    // Add search input event listener
+    searchInput.addEventListener('input', (e) => {
+      applySearch(e.target.value);
     });
     
-    clearSearchBtn.addEventListener('mouseleave', () => {
-      clearSearchBtn.style.background = 'none';
-      clearSearchBtn.style.opacity = '0.7';
+    // Prevent any interference with spacebar and other keys
+    searchInput.addEventListener('keydown', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
     });
-    
-    clearSearchBtn.addEventListener('click', () => {
-      searchInput.value = '';
-      searchInput.dispatchEvent(new Event('input'));
-      searchInput.focus();
+
+    searchInput.addEventListener('keyup', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
     });
-    
-    compactSearchContainer.appendChild(searchInput);
-    compactSearchContainer.appendChild(clearSearchBtn);
-    compactCollapsibleContent.appendChild(compactSearchContainer);
 
-    // Add bulk action buttons above sort
-    const compactBulkContainer = document.createElement('div');
-    compactBulkContainer.style.cssText = `
-      padding: 3px 8px;
-      background: var(--slate-700);
-      border-bottom: 1px solid var(--bmcf-border);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 4px;
-    `;
-    
-    const disableAllBtn = document.createElement('button');
-    disableAllBtn.textContent = 'Disable';
-    disableAllBtn.style.cssText = `
-      background: #dc2626;
-      color: white;
-      border: none;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-size: 10px;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      font-weight: 500;
-    `;
-    disableAllBtn.addEventListener('mouseenter', () => disableAllBtn.style.background = '#b91c1c');
-    disableAllBtn.addEventListener('mouseleave', () => disableAllBtn.style.background = '#dc2626');
-    
-    const enableAllBtn = document.createElement('button');
-    enableAllBtn.textContent = 'Enable';
-    enableAllBtn.style.cssText = `
-      background: #16a34a;
-      color: white;
-      border: none;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-size: 10px;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      font-weight: 500;
-    `;
-    enableAllBtn.addEventListener('mouseenter', () => enableAllBtn.style.background = '#15803d');
-    enableAllBtn.addEventListener('mouseleave', () => enableAllBtn.style.background = '#16a34a');
+    searchInput.addEventListener('keypress', (e) => {
+      // Allow all normal typing including spacebar
+      e.stopPropagation();
+    });
     
-    // Add click handlers usando a lógica que já existe
-    disableAllBtn.addEventListener('click', () => {
-      const currentTemplate = templateManager.templatesArray?.[0];
-      if (!currentTemplate) return;
+    // Add keyboard shortcut for search (Ctrl+F)
+    compactList.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.key === 'f') {
+        e.preventDefault();
+        searchInput.focus();
+        searchInput.select();
+      }
       
-      // Usar a mesma lógica que já existe no código para desabilitar cores
-      const items = compactContent.querySelectorAll('.bmcf-compact-item');
-      items.forEach(item => {
-        const colorRgb = item.getAttribute('data-color-rgb');
-        if (colorRgb) {
-          const [r, g, b] = colorRgb.split(',').map(Number);
-          if (!currentTemplate.isColorDisabled([r, g, b])) {
-            currentTemplate.disableColor([r, g, b]);
-            item.style.opacity = '0.5';
-            item.style.background = 'rgba(244, 67, 54, 0.1)';
-          }
-        }
-      });
-      invalidateTemplateCache();
+      // Escape to clear search
+      if (e.key === 'Escape' && document.activeElement === searchInput) {
+        searchInput.value = '';
+        applySearch('');
+        searchInput.blur();
+      }
     });
-    
-    enableAllBtn.addEventListener('click', () => {
-      const currentTemplate = templateManager.templatesArray?.[0];
-      if (!currentTemplate) return;
+
+    // Add compact list to body (separate floating window)
+    document.body.appendChild(compactList);
+    } // End of shouldCreateCompactList
+
+    // Function to update compact list data
+    window.updateCompactListData = function(existingList) {
+      const compactContent = existingList.querySelector('div[style*="overflow-y: auto"]');
+      if (!compactContent) return;
       
-      // Usar a mesma lógica que já existe no código para habilitar cores
-      const items = compactContent.querySelectorAll('.bmcf-compact-item');
-      items.forEach(item => {
-        const colorRgb = item.getAttribute('data-color-rgb');
-        if (colorRgb) {
-          const [r, g, b] = colorRgb.split(',').map(Number);
-          if (currentTemplate.isColorDisabled([r, g, b])) {
-            currentTemplate.enableColor([r, g, b]);
+      // Get fresh data
+      const freshPixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
+      const templateInstance = templateManager.templatesArray?.[0];
+      
+      // Update each item
+      utils.colorpalette.forEach((color, index) => {
+        if (index === 0) return; // Skip transparent
+        
+        const colorKey = `${color.rgb[0]},${color.rgb[1]},${color.rgb[2]}`;
+        const item = compactContent.querySelector(`[data-color-rgb="${colorKey}"]`);
+        
+        if (item) {
+          const stats = freshPixelStats[colorKey] || {};
+          const painted = stats.painted || 0;
+          const remaining = stats.needsCrosshair || 0;
+          const totalPixels = painted + remaining;
+          const progressPercent = totalPixels > 0 ? Math.round((painted / totalPixels) * 100) : 0;
+          
+          // Update data attributes for sorting
+          item.setAttribute('data-remaining', remaining.toString());
+          item.setAttribute('data-painted', painted.toString());
+          item.setAttribute('data-total', totalPixels.toString());
+          item.setAttribute('data-progress', progressPercent.toString());
+          
+          // Update progress text
+          const nameDiv = item.querySelector('div[style*="flex: 1"]');
+          if (nameDiv) {
+            nameDiv.innerHTML = `
+              <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
+              <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                ${painted.toLocaleString()}/${totalPixels.toLocaleString()} (${progressPercent}%) | ${remaining.toLocaleString()} left
+              </div>
+            `;
+          }
+          
+          // Update visual state based on template
+          const isDisabled = templateInstance ? templateInstance.isColorDisabled(color.rgb) : false;
+          if (isDisabled) {
+            item.style.opacity = '0.5';
+            item.style.background = 'rgba(244, 67, 54, 0.1)';
+          } else {
             item.style.opacity = '1';
             item.style.background = '';
           }
+          
+          // Update enhanced checkbox
+          const checkbox = item.querySelector('input[type="checkbox"]');
+          if (checkbox && templateInstance && templateInstance.enhancedColors) {
+            const rgbKey = color.rgb.join(',');
+            checkbox.checked = templateInstance.enhancedColors.has(rgbKey);
+          }
         }
       });
-      invalidateTemplateCache();
-    });
-    
-    compactBulkContainer.appendChild(disableAllBtn);
-    compactBulkContainer.appendChild(enableAllBtn);
-    compactCollapsibleContent.appendChild(compactBulkContainer);
+    };
 
-    // Add sort filter section
-    const compactSortContainer = document.createElement('div');
-    compactSortContainer.style.cssText = `
-      padding: 8px 12px;
-      background: var(--slate-700);
-      border-bottom: 1px solid var(--bmcf-border);
-      display: flex;
-      align-items: center;
-      gap: 8px;
-    `;
-    
-    const sortLabel = document.createElement('span');
-    sortLabel.textContent = 'Sort:';
-    sortLabel.style.cssText = `
-      font-size: 11px;
-      color: var(--bmcf-text-muted);
-      min-width: 30px;
-    `;
-    
-    const compactSortSelect = document.createElement('select');
-    compactSortSelect.style.cssText = `
-      flex: 1;
-      padding: 4px 8px;
-      border: 1px solid rgba(255, 255, 255, 0.2);
-      border-radius: 4px;
-      background: rgba(0, 0, 0, 0.3);
-      color: white;
-      font-size: 10px;
-      outline: none;
-      cursor: pointer;
-    `;
-    
-    // Sort options
-    const sortOptions = [
-      { value: 'default', text: 'Default Order' },
-      { value: 'name', text: 'By Name' },
-      { value: 'premium', text: 'Premium (Most Missing)' },
-      { value: 'most-missing', text: 'Most Pixels Missing' },
-      { value: 'less-missing', text: 'Less Pixels Missing' },
-      { value: 'remaining', text: 'By Remaining' },
-      { value: 'progress', text: 'By Progress' },
-      { value: 'most-painted', text: 'Most Painted' },
-      { value: 'less-painted', text: 'Less Painted' },
-      { value: 'enhanced', text: 'Enhanced Only' }
-    ];
-    
-    sortOptions.forEach(option => {
-      const optionElement = document.createElement('option');
-      optionElement.value = option.value;
-      optionElement.textContent = option.text;
-      optionElement.style.cssText = `
-        background: #2a2a2a;
-        color: white;
-      `;
-      compactSortSelect.appendChild(optionElement);
-    });
+    // Add click handler to compact list button
+    compactListButton.onclick = () => {
+      // Check if there's already an existing compact list
+      const existingCompactList = document.getElementById('bmcf-compact-list');
+      
+      if (existingCompactList) {
+        // Reuse existing list
+        const isVisible = existingCompactList.style.display !== 'none';
+        if (isVisible) {
+          existingCompactList.style.display = 'none';
+          compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+        } else {
+          existingCompactList.style.display = 'flex';
+          existingCompactList.style.flexDirection = 'column';
+          compactListButton.style.background = 'linear-gradient(135deg, var(--blue-600), var(--blue-700))';
+          
+          // Update the existing list with fresh data
+          updateCompactListData(existingCompactList);
+        }
+      } else {
+        // Show the newly created list
+        const isVisible = compactList.style.display !== 'none';
+        if (isVisible) {
+          compactList.style.display = 'none';
+          compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
+        } else {
+          compactList.style.display = 'flex';
+          compactList.style.flexDirection = 'column';
+          compactListButton.style.background = 'linear-gradient(135deg, var(--blue-600), var(--blue-700))';
+        }
+      }
+    };
+
+    // Set up automatic updates for compact list
+    const originalRefreshTemplateDisplay = window.refreshTemplateDisplay;
+    if (originalRefreshTemplateDisplay && typeof originalRefreshTemplateDisplay === 'function') {
+      window.refreshTemplateDisplay = async function(...args) {
+        const result = await originalRefreshTemplateDisplay.apply(this, args);
+        
+        // Update compact list if it exists and is visible
+        const existingCompactList = document.getElementById('bmcf-compact-list');
+        if (existingCompactList && existingCompactList.style.display !== 'none') {
+          setTimeout(() => {
+            if (window.updateCompactListData) {
+              window.updateCompactListData(existingCompactList);
+            }
+          }, 200); // Small delay to ensure stats are updated
+        }
+        
+        return result;
+      };
+    }
     
-    compactSortContainer.appendChild(sortLabel);
-    compactSortContainer.appendChild(compactSortSelect);
-    compactCollapsibleContent.appendChild(compactSortContainer);
+    colorFilterOverlay.appendChild(contentContainer);
+    colorFilterOverlay.appendChild(footerContainer);
 
-    // Create scrollable content container
-    const compactContent = document.createElement('div');
-    compactContent.style.cssText = `
-      overflow-y: auto;
-      max-height: 300px;
-      min-height: 0;
-    `;
-    compactCollapsibleContent.appendChild(compactContent);
+    document.body.appendChild(colorFilterOverlay);
 
-    // Add drag functionality to compact list
-    let isDraggingCompact = false;
-    let compactDragStartX = 0;
-    let compactDragStartY = 0;
-    let compactInitialLeft = 0;
-    let compactInitialTop = 0;
+    // Initialize view state based on saved preference
+    initializeViewState();
 
-    compactHeader.style.cursor = 'move';
-    compactHeader.addEventListener('mousedown', (e) => {
-      // Don't start dragging if clicking on close button or collapse arrow
-      if (e.target === compactCloseBtn || e.target === compactCollapseArrow) return;
-      
-      isDraggingCompact = true;
-      compactDragStartX = e.clientX;
-      compactDragStartY = e.clientY;
+    // Apply initial default sorting from settings
+    setTimeout(() => {
+      const defaultSorting = getDefaultColorSorting();
+      filterSelect.value = defaultSorting;
+      applyFilter(defaultSorting);
+      debugLog('Applied default color sorting on filter open:', defaultSorting);
+    }, 50);
+
+    // Apply or remove mobile mode styles based on current setting
+    applyMobileModeToColorFilter(!!isMobileMode);
+    if (isMobileMode) {
+      debugLog('[Initial Build] Mobile mode applied immediately');
+    } else {
+      debugLog('[Initial Build] Mobile mode is OFF - ensuring desktop styles');
+    }
+
+    // Add drag functionality
+    let isDragging = false;
+    let dragStartX = 0;
+    let dragStartY = 0;
+    let initialLeft = 0;
+    let initialTop = 0;
+
+    header.addEventListener('mousedown', (e) => {
+      isDragging = true;
+      dragStartX = e.clientX;
+      dragStartY = e.clientY;
       
       // Get current position
-      const rect = compactList.getBoundingClientRect();
-      compactInitialLeft = rect.left;
-      compactInitialTop = rect.top;
+      const rect = colorFilterOverlay.getBoundingClientRect();
+      initialLeft = rect.left;
+      initialTop = rect.top;
       
-      // Change cursor and prevent text selection
-      compactHeader.style.cursor = 'grabbing';
-      compactList.style.userSelect = 'none';
-      document.body.style.userSelect = 'none';
+      // Change to absolute positioning for dragging
+      colorFilterOverlay.style.position = 'fixed';
+      colorFilterOverlay.style.transform = 'none';
+      colorFilterOverlay.style.left = initialLeft + 'px';
+      colorFilterOverlay.style.top = initialTop + 'px';
+      
+      // Change cursor and drag bar style
+      header.style.cursor = 'grabbing';
+      dragBar.style.cursor = 'grabbing';
+      dragBar.style.opacity = '1';
+      colorFilterOverlay.style.userSelect = 'none';
       
       e.preventDefault();
     });
 
-    // Mouse move handler for dragging
+    // Touch drag support (mobile)
+    header.addEventListener('touchstart', (e) => {
+      const t = e.touches && e.touches[0];
+      if (!t) return;
+      
+      // Check if the touch target is a button - if so, don't start dragging
+      const target = e.target;
+      if (target.tagName === 'BUTTON' || target.closest('button')) {
+        return; // Let the button handle the touch event
+      }
+      
+      isDragging = true;
+      dragStartX = t.clientX;
+      dragStartY = t.clientY;
+      const rect = colorFilterOverlay.getBoundingClientRect();
+      initialLeft = rect.left;
+      initialTop = rect.top;
+      colorFilterOverlay.style.position = 'fixed';
+      colorFilterOverlay.style.transform = 'none';
+      colorFilterOverlay.style.left = initialLeft + 'px';
+      colorFilterOverlay.style.top = initialTop + 'px';
+      colorFilterOverlay.style.userSelect = 'none';
+      e.preventDefault();
+    }, { passive: false });
+
     document.addEventListener('mousemove', (e) => {
-      if (!isDraggingCompact) return;
+      if (!isDragging) return;
       
-      const deltaX = e.clientX - compactDragStartX;
-      const deltaY = e.clientY - compactDragStartY;
+      const deltaX = e.clientX - dragStartX;
+      const deltaY = e.clientY - dragStartY;
       
-      const newLeft = compactInitialLeft + deltaX;
-      const newTop = compactInitialTop + deltaY;
+      const newLeft = initialLeft + deltaX;
+      const newTop = initialTop + deltaY;
       
       // Keep within viewport bounds
-      const maxLeft = window.innerWidth - compactList.offsetWidth;
-      const maxTop = window.innerHeight - compactList.offsetHeight;
+      const maxLeft = window.innerWidth - colorFilterOverlay.offsetWidth;
+      const maxTop = window.innerHeight - colorFilterOverlay.offsetHeight;
       
-      compactList.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
-      compactList.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
-      compactList.style.right = 'auto'; // Remove right positioning
-    });
-
-    // Mouse up handler to stop dragging
-    document.addEventListener('mouseup', () => {
-      if (!isDraggingCompact) return;
+      const clampedLeft = Math.max(0, Math.min(newLeft, maxLeft));
+      const clampedTop = Math.max(0, Math.min(newTop, maxTop));
       
-      isDraggingCompact = false;
-      compactHeader.style.cursor = 'move';
-      compactList.style.userSelect = '';
-      document.body.style.userSelect = '';
+      colorFilterOverlay.style.left = clampedLeft + 'px';
+      colorFilterOverlay.style.top = clampedTop + 'px';
     });
 
-    // Touch support for mobile
-    compactHeader.addEventListener('touchstart', (e) => {
-      if (e.target === compactCloseBtn) return;
-      
-      const touch = e.touches[0];
-      isDraggingCompact = true;
-      compactDragStartX = touch.clientX;
-      compactDragStartY = touch.clientY;
-      
-      const rect = compactList.getBoundingClientRect();
-      compactInitialLeft = rect.left;
-      compactInitialTop = rect.top;
-      
-      compactList.style.userSelect = 'none';
+    document.addEventListener('touchmove', (e) => {
+      if (!isDragging) return;
+      const t = e.touches && e.touches[0];
+      if (!t) return;
+      const deltaX = t.clientX - dragStartX;
+      const deltaY = t.clientY - dragStartY;
+      const newLeft = initialLeft + deltaX;
+      const newTop = initialTop + deltaY;
+      const maxLeft = window.innerWidth - colorFilterOverlay.offsetWidth;
+      const maxTop = window.innerHeight - colorFilterOverlay.offsetHeight;
+      const clampedLeft = Math.max(0, Math.min(newLeft, maxLeft));
+      const clampedTop = Math.max(0, Math.min(newTop, maxTop));
+      colorFilterOverlay.style.left = clampedLeft + 'px';
+      colorFilterOverlay.style.top = clampedTop + 'px';
       e.preventDefault();
     }, { passive: false });
 
-    document.addEventListener('touchmove', (e) => {
-      if (!isDraggingCompact) return;
-      
-      const touch = e.touches[0];
-      const deltaX = touch.clientX - compactDragStartX;
-      const deltaY = touch.clientY - compactDragStartY;
-      
-      const newLeft = compactInitialLeft + deltaX;
-      const newTop = compactInitialTop + deltaY;
-      
-      const maxLeft = window.innerWidth - compactList.offsetWidth;
-      const maxTop = window.innerHeight - compactList.offsetHeight;
-      
-      compactList.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
-      compactList.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
-      compactList.style.right = 'auto';
-    }, { passive: false });
+    document.addEventListener('mouseup', () => {
+      if (isDragging) {
+        isDragging = false;
+        // Restore cursor and drag bar style
+        header.style.cursor = 'move';
+        dragBar.style.cursor = 'grab';
+        dragBar.style.opacity = '0.8';
+        colorFilterOverlay.style.userSelect = '';
+      }
+    });
+
+    document.addEventListener('touchend', () => {
+      if (isDragging) {
+        isDragging = false;
+        colorFilterOverlay.style.userSelect = '';
+      }
+    });
+  }).catch(err => {
+    console.error('Failed to load color palette:', err);
+    overlayMain.handleDisplayError('Failed to load color palette!');
+  });
+}
+
+/** Refreshes the color filter overlay to update progress calculations
+ * @since 1.0.0
+ */
+function refreshColorFilterOverlay() {
+  // Close and reopen the color filter overlay to refresh stats
+  const existingOverlay = document.getElementById('bm-color-filter-overlay');
+  if (existingOverlay) {
+    existingOverlay.remove();
+    setTimeout(() => {
+      buildColorFilterOverlay();
+    }, 100);
+  }
+}
+
+/** Forces template redraw to apply enhanced mode changes
+ * @since 1.0.0
+ */
+function forceTemplateRedraw() {
+  // Force a complete redraw of templates
+  if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
+    templateManager.setTemplatesShouldBeDrawn(false);
+    setTimeout(() => {
+      templateManager.setTemplatesShouldBeDrawn(true);
+      // Update mini tracker after template redraw
+      updateMiniTracker();
+    }, 100); // Slightly longer delay to ensure redraw is complete
+  }
+}
 
-    document.addEventListener('touchend', () => {
-      if (!isDraggingCompact) return;
-      
-      isDraggingCompact = false;
-      compactList.style.userSelect = '';
-    });
+// ====== KEYBOARD SHORTCUT: X + CLICK FOR ENHANCED COLORS ======
 
-    // Function to apply sort to compact list
-    const applyCompactSort = (sortType) => {
-      const sortedItems = [...allCompactItems];
-      
-      switch (sortType) {
-        case 'name':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const nameA = a.querySelector('.bmcf-compact-name div').textContent.toLowerCase();
-            const nameB = b.querySelector('.bmcf-compact-name div').textContent.toLowerCase();
-            return nameA.localeCompare(nameB);
-          });
-          break;
-          
-        case 'premium':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const colorKeyA = a.getAttribute('data-color-rgb');
-            const colorKeyB = b.getAttribute('data-color-rgb');
-            
-            // Find colors in utils.colorpalette
-            const colorA = utils.colorpalette.find(c => c.name !== 'Transparent' && `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === colorKeyA);
-            const colorB = utils.colorpalette.find(c => c.name !== 'Transparent' && `${c.rgb[0]},${c.rgb[1]},${c.rgb[2]}` === colorKeyB);
-            
-            const isPremiumA = colorA && colorA.free === false;
-            const isPremiumB = colorB && colorB.free === false;
-            
-            // Premium colors first
-            if (isPremiumA && !isPremiumB) return -1;
-            if (!isPremiumA && isPremiumB) return 1;
-            
-            // If both are premium or both are free, sort by most pixels missing
-            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
-            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
-            const totalA = parseInt(a.getAttribute('data-total') || '0');
-            const totalB = parseInt(b.getAttribute('data-total') || '0');
-            
-            // Filter out 0/0 colors (no pixels at all)
-            if (totalA === 0 && totalB > 0) return 1;
-            if (totalB === 0 && totalA > 0) return -1;
-            if (totalA === 0 && totalB === 0) return 0;
-            
-            return remainingB - remainingA; // Descending (more missing first)
-          });
-          break;
-          
-        case 'most-missing':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
-            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
-            const totalA = parseInt(a.getAttribute('data-total') || '0');
-            const totalB = parseInt(b.getAttribute('data-total') || '0');
-            
-            // Filter out 0/0 colors (no pixels at all)
-            if (totalA === 0 && totalB > 0) return 1;
-            if (totalB === 0 && totalA > 0) return -1;
-            if (totalA === 0 && totalB === 0) return 0;
-            
-            return remainingB - remainingA; // Descending (more missing first)
-          });
-          break;
-          
-        case 'less-missing':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
-            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
-            const totalA = parseInt(a.getAttribute('data-total') || '0');
-            const totalB = parseInt(b.getAttribute('data-total') || '0');
-            
-            // Filter out 0/0 colors (no pixels at all) - put them at the end
-            if (totalA === 0 && totalB > 0) return 1;
-            if (totalB === 0 && totalA > 0) return -1;
-            if (totalA === 0 && totalB === 0) return 0;
-            
-            return remainingA - remainingB; // Ascending (less missing first)
-          });
-          break;
-          
-        case 'remaining':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const remainingA = parseInt(a.getAttribute('data-remaining') || '0');
-            const remainingB = parseInt(b.getAttribute('data-remaining') || '0');
-            return remainingB - remainingA; // Descending (more remaining first)
-          });
-          break;
-          
-        case 'progress':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const progressA = parseFloat(a.getAttribute('data-progress') || '0');
-            const progressB = parseFloat(b.getAttribute('data-progress') || '0');
-            return progressB - progressA; // Descending (higher progress first)
-          });
-          break;
-          
-        case 'most-painted':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const paintedA = parseInt(a.getAttribute('data-painted') || '0');
-            const paintedB = parseInt(b.getAttribute('data-painted') || '0');
-            return paintedB - paintedA; // Descending (more painted first)
-          });
-          break;
-          
-        case 'less-painted':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const paintedA = parseInt(a.getAttribute('data-painted') || '0');
-            const paintedB = parseInt(b.getAttribute('data-painted') || '0');
-            const totalA = parseInt(a.getAttribute('data-total') || '0');
-            const totalB = parseInt(b.getAttribute('data-total') || '0');
-            
-            // Filter out 0/0 colors (no pixels at all) - put them at the end
-            if (totalA === 0 && totalB > 0) return 1;
-            if (totalB === 0 && totalA > 0) return -1;
-            if (totalA === 0 && totalB === 0) return 0;
-            
-            return paintedA - paintedB; // Ascending (less painted first)
-          });
-          break;
-          
-        case 'enhanced':
-          // First show all items, then sort enhanced ones to top
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const enhancedA = a.querySelector('input[type="checkbox"]').checked;
-            const enhancedB = b.querySelector('input[type="checkbox"]').checked;
-            if (enhancedA && !enhancedB) return -1;
-            if (!enhancedA && enhancedB) return 1;
-            return 0;
-          });
-          // Filter to show only enhanced colors
-          sortedItems.forEach(item => {
-            const isEnhanced = item.querySelector('input[type="checkbox"]').checked;
-            item.style.display = isEnhanced ? 'flex' : 'none';
-          });
-          break;
-          
-        case 'available':
-          // Show all items first
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          sortedItems.sort((a, b) => {
-            const indexA = parseInt(a.getAttribute('data-original-index') || '0');
-            const indexB = parseInt(b.getAttribute('data-original-index') || '0');
-            const availableA = utils.colorpalette[indexA]?.isAvailable === true;
-            const availableB = utils.colorpalette[indexB]?.isAvailable === true;
-            if (availableA && !availableB) return -1;
-            if (!availableA && availableB) return 1;
-            return indexA - indexB;
-          });
-          // Filter to show only available colors
-          sortedItems.forEach(item => {
-            const index = parseInt(item.getAttribute('data-original-index') || '0');
-            const isAvailable = utils.colorpalette[index]?.isAvailable === true;
-            item.style.display = isAvailable ? 'flex' : 'none';
-          });
-          break;
-          
-        case 'default':
-        default:
-          // Show all items and use original order
-          sortedItems.forEach(item => {
-            item.style.display = 'flex';
-          });
-          // Sort by original index
-          sortedItems.sort((a, b) => {
-            const indexA = parseInt(a.getAttribute('data-original-index') || '0');
-            const indexB = parseInt(b.getAttribute('data-original-index') || '0');
-            return indexA - indexB;
-          });
-          break;
+/** Map of color IDs to RGB values from r/place palette */
+const COLOR_PALETTE_MAP = {
+  'color-0': [255, 255, 255, 0], // Transparent
+  'color-1': [0, 0, 0], // Black
+  'color-2': [60, 60, 60], // Dark Gray
+  'color-3': [120, 120, 120], // Gray
+  'color-4': [210, 210, 210], // Light Gray
+  'color-5': [255, 255, 255], // White
+  'color-6': [96, 0, 24], // Deep Red
+  'color-7': [237, 28, 36], // Red
+  'color-8': [255, 127, 39], // Orange
+  'color-9': [246, 170, 9], // Gold
+  'color-10': [249, 221, 59], // Yellow
+  'color-11': [255, 250, 188], // Light Yellow
+  'color-12': [14, 185, 104], // Dark Green
+  'color-13': [19, 230, 123], // Green
+  'color-14': [135, 255, 94], // Light Green
+  'color-15': [12, 129, 110], // Dark Teal
+  'color-16': [16, 174, 166], // Teal
+  'color-17': [19, 225, 190], // Light Teal
+  'color-18': [40, 80, 158], // Dark Blue
+  'color-19': [64, 147, 228], // Blue
+  'color-20': [96, 247, 242], // Cyan
+  'color-21': [107, 80, 246], // Indigo
+  'color-22': [153, 177, 251], // Light Indigo
+  'color-23': [120, 12, 153], // Dark Purple
+  'color-24': [170, 56, 185], // Purple
+  'color-25': [224, 159, 249], // Light Purple
+  'color-26': [203, 0, 122], // Dark Pink
+  'color-27': [236, 31, 128], // Pink
+  'color-28': [243, 141, 169], // Light Pink
+  'color-29': [104, 70, 52], // Dark Brown
+  'color-30': [149, 104, 42], // Brown
+  'color-31': [248, 178, 119], // Beige
+  'color-32': [170, 170, 170], // Medium Gray
+  'color-33': [165, 14, 30], // Dark Red
+  'color-34': [250, 128, 114], // Light Red
+  'color-35': [228, 92, 26], // Dark Orange
+  'color-36': [214, 181, 148], // Light Tan
+  'color-37': [156, 132, 49], // Dark Goldenrod
+  'color-38': [197, 173, 49], // Goldenrod
+  'color-39': [232, 212, 95], // Light Goldenrod
+  'color-40': [74, 107, 58], // Dark Olive
+  'color-41': [90, 148, 74], // Olive
+  'color-42': [132, 197, 115], // Light Olive
+  'color-43': [15, 121, 159], // Dark Cyan
+  'color-44': [187, 250, 242], // Light Cyan
+  'color-45': [125, 199, 255], // Light Blue
+  'color-46': [77, 49, 184], // Dark Indigo
+  'color-47': [74, 66, 132], // Dark Slate Blue
+  'color-48': [122, 113, 196], // Slate Blue
+  'color-49': [181, 174, 241], // Light Slate Blue
+  'color-50': [219, 164, 99], // Light Brown
+  'color-51': [209, 128, 81], // Dark Beige
+  'color-52': [255, 197, 165], // Light Beige
+  'color-53': [155, 82, 73], // Dark Peach
+  'color-54': [209, 128, 120], // Peach
+  'color-55': [250, 182, 164], // Light Peach
+  'color-56': [123, 99, 82], // Dark Tan
+  'color-57': [156, 132, 107], // Tan
+  'color-58': [51, 57, 65], // Dark Slate
+  'color-59': [109, 117, 141], // Slate
+  'color-60': [179, 185, 209], // Light Slate
+  'color-61': [109, 100, 63], // Dark Stone
+  'color-62': [148, 140, 107], // Stone
+  'color-63': [205, 197, 158] // Light Stone
+};
+
+/** State for X key shortcut */
+let isEKeyPressed = false;
+let eKeyModeActive = false;
+
+/** Initialize keyboard shortcut functionality 
+ * 
+ * HOW TO USE THE X+CLICK SHORTCUT:
+ * 1. Press and hold the 'X' key
+ * 2. While holding 'X', click on any color in the r/place palette
+ * 3. This will:
+ *    - Clear all currently enhanced colors
+ *    - Enable enhanced mode ONLY for the clicked color
+ *    - Refresh the template to show the changes
+ * 4. Release the 'X' key to exit enhanced selection mode
+ * 
+ * VISUAL FEEDBACK:
+ * - Cursor changes to crosshair when X-Mode is active
+ * - Status messages appear to confirm actions
+ * - Color filter overlay automatically refreshes if open
+ * 
+ * @since 1.0.0
+ */
+function initializeKeyboardShortcuts() {
+  debugLog('🎹 [Keyboard Shortcuts] Initializing X+Click shortcut for enhanced colors...');
+  
+  // Track X key press/release
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyX' && !event.repeat) {
+      isEKeyPressed = true;
+      eKeyModeActive = true;
+      
+      // Visual feedback - add cursor style to show X mode is active
+      document.body.style.cursor = 'crosshair';
+      
+      // Show notification
+      if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+        overlayMain.handleDisplayStatus('🎹 X-Mode: Click a color to enable enhanced mode for that color only');
       }
       
-      // Clear and re-append all sorted items
-      compactContent.innerHTML = '';
-      sortedItems.forEach(item => {
-        compactContent.appendChild(item);
-      });
-    };
+      debugLog('🎹 [X-Mode] Enhanced selection mode ACTIVATED');
+    }
+  });
+  
+  document.addEventListener('keyup', (event) => {
+    if (event.code === 'KeyX') {
+      isEKeyPressed = false;
+      eKeyModeActive = false;
+      
+      // Reset cursor
+      document.body.style.cursor = '';
+      
+      debugLog('🎹 [X-Mode] Enhanced selection mode DEACTIVATED');
+    }
+  });
+  
+  // Handle clicks on color palette buttons when X is pressed
+  document.addEventListener('click', handleEKeyColorClick, true);
+  
+  debugLog('[Keyboard Shortcuts] X+Click shortcut initialized successfully');
+}
+
+/** Handle X+Click on color palette */
+function handleEKeyColorClick(event) {
+  if (!eKeyModeActive) return;
+  
+  // Check if clicked element is a color button
+  const colorButton = event.target.closest('button[id^="color-"]');
+  if (!colorButton) return;
+  
+  // Prevent normal color selection
+  event.preventDefault();
+  event.stopPropagation();
+  
+  const colorId = colorButton.id;
+  const rgbColor = COLOR_PALETTE_MAP[colorId];
+  
+  if (!rgbColor) {
+    console.warn(`🎹 [X-Mode] Unknown color ID: ${colorId}`);
+    return;
+  }
+  
+  // Skip transparent color
+  if (colorId === 'color-0') {
+    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+      overlayMain.handleDisplayStatus('🎹 X-Mode: Cannot enhance transparent color');
+    }
+    return;
+  }
+  
+  debugLog(`🎹 [X-Mode] Processing color: ${colorId} -> RGB(${rgbColor.join(', ')})`);
+  
+  // Get current template
+  const currentTemplate = templateManager.templatesArray?.[0];
+  if (!currentTemplate) {
+    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayError) {
+      overlayMain.handleDisplayError('🎹 X-Mode: No template loaded');
+    }
+    return;
+  }
+  
+  try {
+    // Clear all enhanced colors first
+    currentTemplate.enhancedColors.clear();
+    debugLog('🎹 [X-Mode] Cleared all enhanced colors');
     
-    // Add sort event listener
-    compactSortSelect.addEventListener('change', () => {
-      applyCompactSort(compactSortSelect.value);
-      // Save sort preference
-      localStorage.setItem('bmcf-compact-sort', compactSortSelect.value);
+    // Enable enhanced mode for the selected color
+    currentTemplate.enableColorEnhanced(rgbColor);
+    debugLog(`🎹 [X-Mode] Enhanced mode enabled for RGB(${rgbColor.join(', ')})`);
+    
+    invalidateTemplateCache();
+    
+    // Visual feedback
+    const colorName = colorButton.getAttribute('aria-label') || colorId;
+    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
+      overlayMain.handleDisplayStatus(`✅ Enhanced mode enabled for: ${colorName}`);
+    }
+    
+    // Refresh template to apply changes
+    refreshTemplateDisplay().then(() => {
+      debugLog('🎹 [X-Mode] Template refreshed with new enhanced color');
+    }).catch(error => {
+      console.error('🎹 [X-Mode] Error refreshing template:', error);
     });
     
-    // Load saved sort preference
-    const savedSort = localStorage.getItem('bmcf-compact-sort') || 'default';
-    compactSortSelect.value = savedSort;
-
-    // Store reference to all original items for sorting
-    let allCompactItems = [];
-
-    // Build compact list items
-    utils.colorpalette.forEach((color, index) => {
-      const colorKey = `${color.rgb[0]},${color.rgb[1]},${color.rgb[2]}`;
-      if (index === 0) return; // Skip transparent
-
-      const stats = pixelStats[colorKey] || {};
-
-      // Check if color is currently disabled in template
-      const templateInstance = templateManager.templatesArray?.[0];
-      const isDisabled = templateInstance ? templateInstance.isColorDisabled(color.rgb) : false;
+    // Update color filter overlay if it's open
+    const colorFilterOverlay = document.getElementById('bm-color-filter-overlay');
+    if (colorFilterOverlay) {
+      // Close and reopen to refresh
+      colorFilterOverlay.remove();
+      setTimeout(() => {
+        buildColorFilterOverlay();
+      }, 100);
+    }
+    
+  } catch (error) {
+    console.error('🎹 [X-Mode] Error processing enhanced color:', error);
+    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayError) {
+      overlayMain.handleDisplayError('🎹 X-Mode: Failed to set enhanced color');
+    }
+  }
+}
 
-      // Get progress data first
-      const painted = stats.painted || 0;
-      const remaining = stats.needsCrosshair || 0;
-      const totalPixels = painted + remaining; // Real total = painted + remaining
-      const progressPercent = totalPixels > 0 ? Math.round((painted / totalPixels) * 100) : 0;
+// Make functions globally available
+window.refreshColorFilterOverlay = refreshColorFilterOverlay;
+window.forceTemplateRedraw = forceTemplateRedraw;
 
-      const item = document.createElement('div');
-      item.className = 'bmcf-compact-item';
-      item.setAttribute('data-color-rgb', colorKey);
-      item.setAttribute('data-original-index', index.toString());
-      item.setAttribute('data-remaining', remaining.toString());
-      item.setAttribute('data-painted', painted.toString());
-      item.setAttribute('data-total', totalPixels.toString());
-      item.setAttribute('data-progress', progressPercent.toString());
-      item.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 6px;
-        padding: 4px 8px;
-        border-bottom: 1px solid var(--slate-700);
-        cursor: pointer;
-        transition: background-color 0.15s ease;
-        min-height: 32px;
-        ${isDisabled ? 'opacity: 0.5; background: rgba(244, 67, 54, 0.1);' : ''}
-      `;
-      item.onmouseover = () => item.style.backgroundColor = 'var(--slate-700)';
-      item.onmouseout = () => item.style.backgroundColor = '';
+// Helper function to invalidate cache when templates change
+function invalidateTemplateCache() {
+  import('./tileManager.js').then(tileManager => {
+    if (tileManager.invalidateCacheForSettingsChange) {
+      tileManager.invalidateCacheForSettingsChange();
+    }
+  }).catch(() => {
+    // Ignore errors if tileManager is not available yet
+  });
+}
 
-      // Color swatch
-      const swatch = document.createElement('div');
-      swatch.style.cssText = `
-        width: 14px;
-        height: 14px;
-        border-radius: 2px;
-        background: rgb(${color.rgb.join(',')});
-        border: 1px solid rgba(255,255,255,0.2);
-        flex-shrink: 0;
-      `;
+// ====== SPACE+HOVER COLOR PICKER ======
 
-      // Color name with progress
-      const name = document.createElement('div');
-      name.className = 'bmcf-compact-name';
-      name.style.cssText = `
-        font-size: 10px;
-        color: var(--bmcf-text);
-        flex: 1;
-        min-width: 0;
-        overflow: hidden;
-      `;
-      
-      name.innerHTML = `
-        <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
-        <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-          ${painted.toLocaleString()}/${totalPixels.toLocaleString()} (${progressPercent}%) | ${remaining.toLocaleString()} left
-        </div>
-      `;
+/** State for Space+Hover color picker */
+let isSpaceHoverActive = false;
+let lastPickedColorKey = null;
+let lastPickedTileX = -1;
+let lastPickedTileY = -1;
+let lastPickedPixelX = -1;
+let lastPickedPixelY = -1;
 
-      // Remove separate count display since it's now in the progress line
+/** Cached enabled state – avoids calling GM_getValue on every event */
+let _spaceHoverEnabledCache = null;
 
-      // Controls container
-      const controlsContainer = document.createElement('div');
-      controlsContainer.style.cssText = `
-        display: flex;
-        align-items: center;
-        gap: 4px;
-        flex-shrink: 0;
-      `;
+/** Returns cached enabled state, refreshing from storage only when cache is cold */
+function isSpaceHoverEnabled() {
+  if (_spaceHoverEnabledCache === null) {
+    _spaceHoverEnabledCache = getSpaceHoverColorPickerEnabled();
+  }
+  return _spaceHoverEnabledCache;
+}
 
-      // Enhanced mode checkbox
-      const enhancedCheckbox = document.createElement('input');
-      enhancedCheckbox.type = 'checkbox';
-      enhancedCheckbox.style.cssText = `
-        width: 12px;
-        height: 12px;
-        cursor: pointer;
-      `;
-      enhancedCheckbox.title = 'Enable enhanced mode for this color';
-      
-      // Check if color is currently enhanced
-      if (templateInstance && templateInstance.enhancedColors) {
-        const rgbKey = color.rgb.join(',');
-        enhancedCheckbox.checked = templateInstance.enhancedColors.has(rgbKey);
-      }
-      
-      enhancedCheckbox.onclick = (e) => {
-        e.stopPropagation();
-      };
-      
-      enhancedCheckbox.onchange = (e) => {
-        e.stopPropagation();
-        const currentTemplate = templateManager.templatesArray?.[0];
-        if (!currentTemplate) return;
-        
-        if (enhancedCheckbox.checked) {
-          currentTemplate.enableColorEnhanced(color.rgb);
-          overlayMain.handleDisplayStatus(`Enhanced mode enabled: ${color.name}`);
-        } else {
-          currentTemplate.disableColorEnhanced(color.rgb);
-          overlayMain.handleDisplayStatus(`Enhanced mode disabled: ${color.name}`);
-        }
-        
-        invalidateTemplateCache();
-        
-        // Sync with main overlay checkboxes
-        const gridItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"]`);
-        const listItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"].bmcf-list-item`);
-        
-        if (gridItem) {
-          const gridCheckbox = gridItem.querySelector('input[type="checkbox"]');
-          if (gridCheckbox) gridCheckbox.checked = enhancedCheckbox.checked;
-        }
-        
-        if (listItem) {
-          const listCheckbox = listItem.querySelector('input[type="checkbox"]');
-          if (listCheckbox) listCheckbox.checked = enhancedCheckbox.checked;
-        }
-        
-        
-        // Refresh template display to save changes persistently
-        refreshTemplateDisplay().catch(error => {
-          console.error('Error refreshing enhanced mode from Color Toggle:', error);
-        });
-      };
+/** Invalidate the cache (call after settings change) */
+function invalidateSpaceHoverCache() {
+  _spaceHoverEnabledCache = null;
+}
 
-      // Premium indicator (droplet for premium colors only)
-      const premiumIcon = document.createElement('div');
-      if (!color.free) {
-        premiumIcon.textContent = "💧";
-        premiumIcon.title = "Premium color";
-        premiumIcon.style.cssText = `
-          width: 14px;
-          height: 14px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 10px;
-          opacity: 0.8;
-          flex-shrink: 0;
-        `;
-      } else {
-        // Empty space for free colors to maintain alignment
-        premiumIcon.style.cssText = `
-          width: 14px;
-          height: 14px;
-          flex-shrink: 0;
-        `;
-      }
-      
-      controlsContainer.appendChild(premiumIcon);
-      controlsContainer.appendChild(enhancedCheckbox);
+/** Last known mouse position for immediate pick on Space keydown */
+let _lastMouseX = 0;
+let _lastMouseY = 0;
 
-      // Click handler - directly toggle color using template methods
-      item.onclick = (e) => {
-        e.stopPropagation();
-        
-        // Get current template
-        const currentTemplate = templateManager.templatesArray?.[0];
-        if (!currentTemplate) {
-          overlayMain.handleDisplayStatus(`No template loaded`);
-          return;
-        }
+/** Reverse lookup map: RGB string -> color ID */
+const RGB_TO_COLOR_ID = {};
+Object.entries(COLOR_PALETTE_MAP).forEach(([colorId, rgb]) => {
+  if (rgb.length >= 3) {
+    const key = `${rgb[0]},${rgb[1]},${rgb[2]}`;
+    RGB_TO_COLOR_ID[key] = colorId;
+  }
+});
 
-        const rgb = color.rgb;
-        const wasDisabled = currentTemplate.isColorDisabled(rgb);
-        
-        // Find the corresponding grid/list items for visual sync
-        const gridItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"]`);
-        const listItem = colorViewContainer.querySelector(`[data-color-rgb="${colorKey}"].bmcf-list-item`);
-        
-        if (wasDisabled) {
-          // Enable the color
-          currentTemplate.enableColor(rgb);
-          
-          // Update grid item visual
-          if (gridItem) {
-            gridItem.style.border = '3px solid #4caf50';
-            const overlay = gridItem.querySelector('div[style*="position: absolute"]');
-            if (overlay) overlay.remove();
-            const enhancedCheckbox = gridItem.querySelector('input[type="checkbox"]');
-            if (enhancedCheckbox) enhancedCheckbox.disabled = false;
-          }
-          
-          // Update list item visual
-          if (listItem) {
-            listItem.style.border = '2px solid #4caf50';
-            listItem.style.opacity = '1';
-            const listEnhancedCheckbox = listItem.querySelector('input[type="checkbox"]');
-            if (listEnhancedCheckbox) listEnhancedCheckbox.disabled = false;
-          }
-          
-          // Update compact list visual
-          item.style.opacity = '1';
-          item.style.background = '';
-          
-          overlayMain.handleDisplayStatus(`Color enabled: ${color.name}`);
-        } else {
-          // Disable the color
-          currentTemplate.disableColor(rgb);
-          
-          // Update grid item visual
-          if (gridItem) {
-            gridItem.style.border = '3px solid #f44336';
-            // Add disabled overlay
-            const colorClickArea = gridItem.querySelector('[style*="cursor: pointer"]');
-            if (colorClickArea && !colorClickArea.querySelector('div[style*="position: absolute"]')) {
-              const disabledOverlay = document.createElement('div');
-              disabledOverlay.style.cssText = `
-                position: absolute; top: 0; left: 0; right: 0; bottom: 0;
-                background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center;
-                font-size: 24px; color: #f44336; pointer-events: none;
-              `;
-              disabledOverlay.textContent = '✕';
-              colorClickArea.appendChild(disabledOverlay);
-            }
-            const enhancedCheckbox = gridItem.querySelector('input[type="checkbox"]');
-            if (enhancedCheckbox) enhancedCheckbox.disabled = true;
-          }
-          
-          // Update list item visual
-          if (listItem) {
-            listItem.style.border = '2px solid #f44336';
-            listItem.style.opacity = '0.5';
-            const listEnhancedCheckbox = listItem.querySelector('input[type="checkbox"]');
-            if (listEnhancedCheckbox) listEnhancedCheckbox.disabled = true;
-          }
-          
-          // Update compact list visual
-          item.style.opacity = '0.5';
-          item.style.background = 'rgba(244, 67, 54, 0.1)';
-          
-          overlayMain.handleDisplayStatus(`Color disabled: ${color.name}`);
-        }
+/** Initialize Space+Hover color picker functionality
+ * 
+ * HOW TO USE:
+ * 1. Enable "Space+Hover Color Picker" in settings
+ * 2. Hold Space key while hovering over the canvas
+ * 3. When hovering over a template pixel, the color is automatically selected in the palette
+ * 4. Release Space to stop auto-selecting colors
+ * 
+ * @since 1.0.0
+ */
+function initializeSpaceHoverColorPicker() {
+  debugLog('🎨 [Space+Hover] Initializing color picker...');
+  
+  // Track mouse position so we can pick immediately on Space keydown
+  // Also pre-warm caches to avoid cold-start cost on first pick
+  document.addEventListener('mousemove', (event) => {
+    _lastMouseX = event.clientX;
+    _lastMouseY = event.clientY;
+    // Keep canvas rect cache warm
+    if (!_cachedMapCanvas || !_cachedMapCanvas.isConnected) {
+      _cachedMapCanvas = document.querySelector('div#map canvas.maplibregl-canvas');
+    }
+    if (_cachedMapCanvas) {
+      _cachedCanvasRect = _cachedMapCanvas.getBoundingClientRect();
+      _cachedCanvasRectTime = performance.now();
+    }
+    // Keep map reference cache warm (unsafeWindow proxy is slow on first access)
+    if (!_cachedMap) {
+      try { _cachedMap = unsafeWindow.bmmap; _cachedMapTime = performance.now(); } catch (e) { /* ignore */ }
+    }
+  }, { passive: true });
+  
+  // Track Space key state - use capture phase to run before other handlers
+  document.addEventListener('keydown', (event) => {
+    if (event.code === 'Space' && !event.repeat && isSpaceHoverEnabled()) {
+      isSpaceHoverActive = true;
+      document.body.style.cursor = 'crosshair';
+      debugLog('🎨 [Space+Hover] Color picker mode activated');
+      // Prevent default space behavior (scrolling) and stop propagation
+      event.preventDefault();
+      event.stopPropagation();
+      // Immediately pick color at current mouse position (no waiting for mousemove)
+      pickColorAtScreen(_lastMouseX, _lastMouseY);
+    }
+  }, { capture: true });
+  
+  document.addEventListener('keyup', (event) => {
+    if (event.code === 'Space') {
+      isSpaceHoverActive = false;
+      document.body.style.cursor = '';
+      lastPickedColorKey = null;
+      lastPickedTileX = -1;
+      lastPickedTileY = -1;
+      lastPickedPixelX = -1;
+      lastPickedPixelY = -1;
+    }
+  }, { capture: true });
 
-        invalidateTemplateCache();
+  // Layout shifts (page/panel scrolling, window resize) move the canvas rect.
+  // Invalidate the cached rect so screenToTilePixelSync re-measures instead of
+  // picking against a stale rect (which causes off-by-a-pixel picks).
+  const invalidateCanvasRect = () => { _cachedCanvasRect = null; };
+  window.addEventListener('scroll', invalidateCanvasRect, { passive: true, capture: true });
+  window.addEventListener('resize', invalidateCanvasRect, { passive: true });
+  
+  // Handle mousemove for color picking — CAPTURE phase so our colour switch
+  // runs BEFORE wplace's own move handler on the same event. wplace paints the
+  // pixel under the cursor on mousemove (while Space is held) using its selected
+  // colour; if we ran after it (bubble), every pixel would be painted with the
+  // PREVIOUS pixel's colour (a one-pixel lag). Running first sets the correct
+  // colour before wplace reads it.
+  document.addEventListener('mousemove', handleSpaceHoverColorPick, { capture: true });
 
-        // Update progress display after the toggle
-        setTimeout(() => {
-          const freshStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-          const freshPainted = freshStats[colorKey]?.painted || 0;
-          const freshRemaining = freshStats[colorKey]?.needsCrosshair || 0;
-          
-          // Update the progress line in the name element
-          const freshTotalPixels = freshPainted + freshRemaining;
-          const freshProgressPercent = freshTotalPixels > 0 ? Math.round((freshPainted / freshTotalPixels) * 100) : 0;
-          
-          name.innerHTML = `
-            <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
-            <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-              ${freshPainted.toLocaleString()}/${freshTotalPixels.toLocaleString()} (${freshProgressPercent}%) | ${freshRemaining.toLocaleString()} left
-            </div>
-          `;
-        }, 100);
-      };
+  // Correctness net for click-to-place: at the very start of a place gesture,
+  // re-pick the EXACT pixel under the cursor so its colour is selected even if a
+  // fast hover sample skipped that pixel. Capture phase runs before wplace's own
+  // handler; wplace commits the pixel on release, which leaves the async colour
+  // selection time to settle before it's read.
+  document.addEventListener('pointerdown', (event) => {
+    if (!isSpaceHoverActive) { return; }
+    pickColorAtScreen(event.clientX, event.clientY);
+  }, { capture: true });
 
-      item.appendChild(swatch);
-      item.appendChild(name);
-      item.appendChild(controlsContainer);
-      compactContent.appendChild(item);
-      allCompactItems.push(item);
-    });
+  debugLog('🎨 [Space+Hover] Color picker initialized successfully');
+}
 
-    // Apply initial sort
-    applyCompactSort(savedSort);
+// Pending coordinate conversion requests (used by screenToTilePixelAsync)
+const pendingCoordRequests = new Map();
+
+// Listen for coordinate conversion responses from page context (async path only)
+window.addEventListener('message', (event) => {
+  if (event.data?.source === 'blue-marble-coord-response') {
+    const requestId = event.data['requestId'];
+    const pending = pendingCoordRequests.get(requestId);
+    if (pending) {
+      pending.resolve({ coords: event.data['coords'], error: event.data['error'] });
+      pendingCoordRequests.delete(requestId);
+    }
+  }
+});
+
+/** Convert screen coordinates to tile/pixel coordinates (async via postMessage)
+ * @param {number} screenX - Screen X coordinate (clientX)
+ * @param {number} screenY - Screen Y coordinate (clientY)
+ * @returns {Promise<Object|null>} {tileX, tileY, pixelX, pixelY} or null if conversion fails
+ */
+async function screenToTilePixelAsync(screenX, screenY) {
+  try {
+    // Get map canvas element and its position
+    const canvas = document.querySelector('div#map canvas.maplibregl-canvas');
+    if (!canvas) {
+      console.log('🎨 [Space+Hover] No canvas found');
+      return null;
+    }
     
-    // Add search functionality
-    const applySearch = (searchTerm) => {
-      const items = Array.from(compactContent.children);
-      const term = searchTerm.toLowerCase().trim();
-      
-      let visibleCount = 0;
-      items.forEach(item => {
-        // Skip the no-results message element
-        if (item.classList.contains('no-results-msg')) return;
-        
-        const colorNameElement = item.querySelector('.bmcf-compact-name');
-        const colorName = colorNameElement?.textContent.toLowerCase() || '';
-        const isVisible = term === '' || colorName.includes(term);
-        
-        item.style.display = isVisible ? 'flex' : 'none';
-        if (isVisible) visibleCount++;
-      });
-      
-      // Show "No results" message if no colors match
-      let noResultsMsg = compactContent.querySelector('.no-results-msg');
-      if (visibleCount === 0 && term !== '') {
-        if (!noResultsMsg) {
-          noResultsMsg = document.createElement('div');
-          noResultsMsg.className = 'no-results-msg';
-          noResultsMsg.style.cssText = `
-            padding: 20px;
-            text-align: center;
-            color: var(--bmcf-text-muted);
-            font-size: 12px;
-            font-style: italic;
-          `;
-          noResultsMsg.textContent = 'No colors found';
-          compactContent.appendChild(noResultsMsg);
-        }
-        noResultsMsg.style.display = 'block';
-      } else if (noResultsMsg) {
-        noResultsMsg.style.display = 'none';
-      }
-    };
+    const rect = canvas.getBoundingClientRect();
     
-    // Add search input event listener
-    searchInput.addEventListener('input', (e) => {
-      applySearch(e.target.value);
-    });
+    // Convert screen coords to canvas-relative coords
+    const canvasX = screenX - rect.left;
+    const canvasY = screenY - rect.top;
     
-    // Prevent any interference with spacebar and other keys
-    searchInput.addEventListener('keydown', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
-
-    searchInput.addEventListener('keyup', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
-
-    searchInput.addEventListener('keypress', (e) => {
-      // Allow all normal typing including spacebar
-      e.stopPropagation();
-    });
+    // Generate unique request ID
+    const requestId = crypto.randomUUID();
     
-    // Add keyboard shortcut for search (Ctrl+F)
-    compactList.addEventListener('keydown', (e) => {
-      if (e.ctrlKey && e.key === 'f') {
-        e.preventDefault();
-        searchInput.focus();
-        searchInput.select();
-      }
-      
-      // Escape to clear search
-      if (e.key === 'Escape' && document.activeElement === searchInput) {
-        searchInput.value = '';
-        applySearch('');
-        searchInput.blur();
-      }
-    });
-
-    // Add compact list to body (separate floating window)
-    document.body.appendChild(compactList);
-    } // End of shouldCreateCompactList
-
-    // Function to update compact list data
-    window.updateCompactListData = function(existingList) {
-      const compactContent = existingList.querySelector('div[style*="overflow-y: auto"]');
-      if (!compactContent) return;
-      
-      // Get fresh data
-      const freshPixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-      const templateInstance = templateManager.templatesArray?.[0];
-      
-      // Update each item
-      utils.colorpalette.forEach((color, index) => {
-        if (index === 0) return; // Skip transparent
-        
-        const colorKey = `${color.rgb[0]},${color.rgb[1]},${color.rgb[2]}`;
-        const item = compactContent.querySelector(`[data-color-rgb="${colorKey}"]`);
-        
-        if (item) {
-          const stats = freshPixelStats[colorKey] || {};
-          const painted = stats.painted || 0;
-          const remaining = stats.needsCrosshair || 0;
-          const totalPixels = painted + remaining;
-          const progressPercent = totalPixels > 0 ? Math.round((painted / totalPixels) * 100) : 0;
-          
-          // Update data attributes for sorting
-          item.setAttribute('data-remaining', remaining.toString());
-          item.setAttribute('data-painted', painted.toString());
-          item.setAttribute('data-total', totalPixels.toString());
-          item.setAttribute('data-progress', progressPercent.toString());
-          
-          // Update progress text
-          const nameDiv = item.querySelector('div[style*="flex: 1"]');
-          if (nameDiv) {
-            nameDiv.innerHTML = `
-              <div style="font-weight: 600; margin-bottom: 1px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${color.name}</div>
-              <div style="font-size: 8px; color: var(--bmcf-text-muted); opacity: 0.8; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-                ${painted.toLocaleString()}/${totalPixels.toLocaleString()} (${progressPercent}%) | ${remaining.toLocaleString()} left
-              </div>
-            `;
-          }
-          
-          // Update visual state based on template
-          const isDisabled = templateInstance ? templateInstance.isColorDisabled(color.rgb) : false;
-          if (isDisabled) {
-            item.style.opacity = '0.5';
-            item.style.background = 'rgba(244, 67, 54, 0.1)';
-          } else {
-            item.style.opacity = '1';
-            item.style.background = '';
-          }
-          
-          // Update enhanced checkbox
-          const checkbox = item.querySelector('input[type="checkbox"]');
-          if (checkbox && templateInstance && templateInstance.enhancedColors) {
-            const rgbKey = color.rgb.join(',');
-            checkbox.checked = templateInstance.enhancedColors.has(rgbKey);
-          }
-        }
-      });
-    };
-
-    // Add click handler to compact list button
-    compactListButton.onclick = () => {
-      // Check if there's already an existing compact list
-      const existingCompactList = document.getElementById('bmcf-compact-list');
-      
-      if (existingCompactList) {
-        // Reuse existing list
-        const isVisible = existingCompactList.style.display !== 'none';
-        if (isVisible) {
-          existingCompactList.style.display = 'none';
-          compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-        } else {
-          existingCompactList.style.display = 'flex';
-          existingCompactList.style.flexDirection = 'column';
-          compactListButton.style.background = 'linear-gradient(135deg, var(--blue-600), var(--blue-700))';
-          
-          // Update the existing list with fresh data
-          updateCompactListData(existingCompactList);
-        }
-      } else {
-        // Show the newly created list
-        const isVisible = compactList.style.display !== 'none';
-        if (isVisible) {
-          compactList.style.display = 'none';
-          compactListButton.style.background = 'linear-gradient(135deg, var(--slate-600), var(--slate-700))';
-        } else {
-          compactList.style.display = 'flex';
-          compactList.style.flexDirection = 'column';
-          compactListButton.style.background = 'linear-gradient(135deg, var(--blue-600), var(--blue-700))';
+    // Create promise that will be resolved when we get the response
+    const promise = new Promise((resolve) => {
+      pendingCoordRequests.set(requestId, { resolve });
+      
+      // Timeout after 100ms
+      setTimeout(() => {
+        if (pendingCoordRequests.has(requestId)) {
+          pendingCoordRequests.delete(requestId);
+          resolve({ error: 'Timeout' });
         }
-      }
-    };
+      }, 100);
+    });
+    
+    // Send request to page context
+    window.postMessage({
+      source: 'blue-marble-coord-request',
+      requestId,
+      canvasX,
+      canvasY
+    }, '*');
+    
+    const result = await promise;
+    
+    if (result.error) {
+      console.log('🎨 [Space+Hover] Coord conversion error:', result.error);
+      return null;
+    }
+    
+    return result.coords;
+  } catch (error) {
+    console.log('🎨 [Space+Hover] Error converting coords:', error);
+    return null;
+  }
+}
 
-    // Set up automatic updates for compact list
-    const originalRefreshTemplateDisplay = window.refreshTemplateDisplay;
-    if (originalRefreshTemplateDisplay && typeof originalRefreshTemplateDisplay === 'function') {
-      window.refreshTemplateDisplay = async function(...args) {
-        const result = await originalRefreshTemplateDisplay.apply(this, args);
-        
-        // Update compact list if it exists and is visible
-        const existingCompactList = document.getElementById('bmcf-compact-list');
-        if (existingCompactList && existingCompactList.style.display !== 'none') {
-          setTimeout(() => {
-            if (window.updateCompactListData) {
-              window.updateCompactListData(existingCompactList);
-            }
-          }, 200); // Small delay to ensure stats are updated
-        }
-        
-        return result;
-      };
+/** Convert screen coordinates to tile/pixel coordinates synchronously
+ * Uses unsafeWindow.bmmap.transform directly — no postMessage round-trip
+ * @param {number} screenX - Screen X coordinate (clientX)
+ * @param {number} screenY - Screen Y coordinate (clientY)
+ * @returns {{tileX: number, tileY: number, pixelX: number, pixelY: number}|null}
+ */
+/** Cached canvas element reference — avoids DOM querySelector on every call */
+let _cachedMapCanvas = null;
+/** Cached canvas bounding rect — invalidated on resize/scroll */
+let _cachedCanvasRect = null;
+let _cachedCanvasRectTime = 0;
+/** Cached map reference — avoids unsafeWindow proxy overhead on every call */
+let _cachedMap = null;
+let _cachedMapTime = 0;
+
+function screenToTilePixelSync(screenX, screenY) {
+  try {
+    // Cache unsafeWindow.bmmap — the TamperMonkey proxy is slow (~10ms first access)
+    // Refresh every 5s to catch map re-init (rare)
+    const now = performance.now();
+    if (!_cachedMap || (now - _cachedMapTime) > 5000) {
+      _cachedMap = unsafeWindow.bmmap;
+      _cachedMapTime = now;
+    }
+    if (!_cachedMap || !_cachedMap.transform) {
+      _cachedMap = null;
+      return null;
+    }
+    // Cache canvas element (invalidate if detached from DOM)
+    if (!_cachedMapCanvas || !_cachedMapCanvas.isConnected) {
+      _cachedMapCanvas = document.querySelector('div#map canvas.maplibregl-canvas');
+      _cachedCanvasRect = null;
+    }
+    if (!_cachedMapCanvas) {
+      return null;
     }
     
-    colorFilterOverlay.appendChild(contentContainer);
-    colorFilterOverlay.appendChild(footerContainer);
+    // Use cached rect (pre-warmed in mousemove listener)
+    if (!_cachedCanvasRect || (now - _cachedCanvasRectTime) > 200) {
+      _cachedCanvasRect = _cachedMapCanvas.getBoundingClientRect();
+      _cachedCanvasRectTime = now;
+    }
+    const canvasX = screenX - _cachedCanvasRect.left;
+    const canvasY = screenY - _cachedCanvasRect.top;
 
-    document.body.appendChild(colorFilterOverlay);
+    const t = _cachedMap.transform;
+    const zoom = t.zoom;
+    if (zoom === undefined) {
+      return null;
+    }
 
-    // Initialize view state based on saved preference
-    initializeViewState();
+    const worldSize = 512 * Math.pow(2, zoom); // map size in screen px at this zoom
+    const mapSize = 2048000;                   // whole world in template pixels
 
-    // Apply initial default sorting from settings
-    setTimeout(() => {
-      const defaultSorting = getDefaultColorSorting();
-      filterSelect.value = defaultSorting;
-      applyFilter(defaultSorting);
-      debugLog('Applied default color sorting on filter open:', defaultSorting);
-    }, 50);
+    // Screen -> lng/lat. Prefer MapLibre's OWN unproject so our pixel grid lines
+    // up exactly with the pixel wplace paints on click — no drift between a
+    // hand-rolled inverse-Mercator and the one the map actually renders with.
+    // (Manual math kept only as a fallback if unproject is unavailable.)
+    let lng, lat;
+    try {
+      const ll = _cachedMap.unproject([canvasX, canvasY]);
+      lng = ll['lng'];
+      lat = ll['lat'];
+    } catch (e) { /* fall back to manual math below */ }
 
-    // Apply or remove mobile mode styles based on current setting
-    applyMobileModeToColorFilter(!!isMobileMode);
-    if (isMobileMode) {
-      debugLog('[Initial Build] Mobile mode applied immediately');
-    } else {
-      debugLog('[Initial Build] Mobile mode is OFF - ensuring desktop styles');
+    if (lng === undefined || lat === undefined || Number.isNaN(lng) || Number.isNaN(lat)) {
+      const center = t.center;
+      const centerLng = center && center['lng'];
+      const centerLat = center && center['lat'];
+      if (centerLng === undefined || centerLat === undefined) {
+        return null;
+      }
+      const offsetX = canvasX - _cachedCanvasRect.width / 2;
+      const offsetY = canvasY - _cachedCanvasRect.height / 2;
+      const centerLatRad = centerLat * Math.PI / 180;
+      const mercYCenter = Math.log(Math.tan(Math.PI / 4 + centerLatRad / 2));
+      const newMercY = mercYCenter - offsetY * (2 * Math.PI / worldSize);
+      lng = centerLng + offsetX * 360 / worldSize;
+      lat = (2 * Math.atan(Math.exp(newMercY)) - Math.PI / 2) * 180 / Math.PI;
     }
 
-    // Add drag functionality
-    let isDragging = false;
-    let dragStartX = 0;
-    let dragStartY = 0;
-    let initialLeft = 0;
-    let initialTop = 0;
+    // lng/lat -> wplace's template-pixel grid (same formula the site tiles with).
+    const xNorm = (lng + 180) / 360;
+    const latRad = lat * Math.PI / 180;
+    const yNorm = (Math.PI - Math.log(Math.tan(Math.PI / 4 + latRad / 2))) / (2 * Math.PI);
 
-    header.addEventListener('mousedown', (e) => {
-      isDragging = true;
-      dragStartX = e.clientX;
-      dragStartY = e.clientY;
-      
-      // Get current position
-      const rect = colorFilterOverlay.getBoundingClientRect();
-      initialLeft = rect.left;
-      initialTop = rect.top;
-      
-      // Change to absolute positioning for dragging
-      colorFilterOverlay.style.position = 'fixed';
-      colorFilterOverlay.style.transform = 'none';
-      colorFilterOverlay.style.left = initialLeft + 'px';
-      colorFilterOverlay.style.top = initialTop + 'px';
-      
-      // Change cursor and drag bar style
-      header.style.cursor = 'grabbing';
-      dragBar.style.cursor = 'grabbing';
-      dragBar.style.opacity = '1';
-      colorFilterOverlay.style.userSelect = 'none';
-      
-      e.preventDefault();
-    });
+    const continuousX = xNorm * mapSize;
+    const continuousY = yNorm * mapSize;
+    const actualX = Math.floor(continuousX);
+    const actualY = Math.floor(continuousY);
 
-    // Touch drag support (mobile)
-    header.addEventListener('touchstart', (e) => {
-      const t = e.touches && e.touches[0];
-      if (!t) return;
-      
-      // Check if the touch target is a button - if so, don't start dragging
-      const target = e.target;
-      if (target.tagName === 'BUTTON' || target.closest('button')) {
-        return; // Let the button handle the touch event
-      }
-      
-      isDragging = true;
-      dragStartX = t.clientX;
-      dragStartY = t.clientY;
-      const rect = colorFilterOverlay.getBoundingClientRect();
-      initialLeft = rect.left;
-      initialTop = rect.top;
-      colorFilterOverlay.style.position = 'fixed';
-      colorFilterOverlay.style.transform = 'none';
-      colorFilterOverlay.style.left = initialLeft + 'px';
-      colorFilterOverlay.style.top = initialTop + 'px';
-      colorFilterOverlay.style.userSelect = 'none';
-      e.preventDefault();
-    }, { passive: false });
+    // Screen pixels covered by one template pixel — lets the caller apply a
+    // zoom-independent (screen-space) boundary margin instead of a fixed
+    // pixel-fraction that collapses below mouse jitter when zoomed out.
+    const screenPxPerPixel = worldSize / mapSize;
+
+    return {
+      tileX: Math.floor(actualX / 1000),
+      tileY: Math.floor(actualY / 1000),
+      pixelX: actualX % 1000,
+      pixelY: actualY % 1000,
+      fracX: continuousX - actualX,
+      fracY: continuousY - actualY,
+      screenPxPerPixel
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/** Pick the template color at screen coords and click the palette button.
+ * Fully synchronous — runs in the same frame as the input event.
+ * @param {number} screenX
+ * @param {number} screenY
+ */
+function pickColorAtScreen(screenX, screenY, force = false) {
+  const coords = screenToTilePixelSync(screenX, screenY);
+  if (!coords) {
+    return;
+  }
+
+  // Reactive selection: the colour tracks the pixel directly under the cursor —
+  // no predictive leading. (wplace applies the palette selection asynchronously,
+  // so very fast sweeps over dithered areas can still land a pixel ~1 off; there
+  // is no reliable way around that from a userscript — see the space-hover notes.)
+  const color = templateManager.getTemplatePixelColorAt(coords.tileX, coords.tileY, coords.pixelX, coords.pixelY);
+  if (!color) {
+    return;
+  }
+
+  const rgbKey = `${color.r},${color.g},${color.b}`;
+  if (!force && rgbKey === lastPickedColorKey) {
+    return; // Same color as last pick, skip redundant DOM work (force=true at
+            // paint time re-verifies against the live DOM instead of trusting
+            // our cached last-pick, which may be stale after a manual change).
+  }
+
+  // Boundary hysteresis: when moving to a different pixel that would change the
+  // colour, only accept once the cursor is well inside the new pixel. Prevents
+  // rapid colour flip-flop when the cursor lingers or jitters on a pixel border.
+  // The user only sweeps horizontally, so the left/right (X) dead zone does the
+  // real work; the top/bottom (Y) zone is kept tiny so riding near a row's edge
+  // never blocks a horizontal colour switch.
+  const EDGE_PADDING_X = 0.15; // 15% dead zone on left/right edges
+  const EDGE_PADDING_Y = 0.05; // 5% dead zone on top/bottom edges
+  const samePixel = (coords.tileX === lastPickedTileX && coords.tileY === lastPickedTileY &&
+                     coords.pixelX === lastPickedPixelX && coords.pixelY === lastPickedPixelY);
+  if (!force && !samePixel && lastPickedColorKey !== null) {
+    const { fracX, fracY } = coords;
+    if (fracX < EDGE_PADDING_X || fracX > (1 - EDGE_PADDING_X) ||
+        fracY < EDGE_PADDING_Y || fracY > (1 - EDGE_PADDING_Y)) {
+      return; // Too close to pixel edge, skip colour switch
+    }
+  }
 
-    document.addEventListener('mousemove', (e) => {
-      if (!isDragging) return;
-      
-      const deltaX = e.clientX - dragStartX;
-      const deltaY = e.clientY - dragStartY;
-      
-      const newLeft = initialLeft + deltaX;
-      const newTop = initialTop + deltaY;
-      
-      // Keep within viewport bounds
-      const maxLeft = window.innerWidth - colorFilterOverlay.offsetWidth;
-      const maxTop = window.innerHeight - colorFilterOverlay.offsetHeight;
-      
-      const clampedLeft = Math.max(0, Math.min(newLeft, maxLeft));
-      const clampedTop = Math.max(0, Math.min(newTop, maxTop));
-      
-      colorFilterOverlay.style.left = clampedLeft + 'px';
-      colorFilterOverlay.style.top = clampedTop + 'px';
-    });
+  const colorId = RGB_TO_COLOR_ID[rgbKey];
+  if (!colorId) {
+    return;
+  }
 
-    document.addEventListener('touchmove', (e) => {
-      if (!isDragging) return;
-      const t = e.touches && e.touches[0];
-      if (!t) return;
-      const deltaX = t.clientX - dragStartX;
-      const deltaY = t.clientY - dragStartY;
-      const newLeft = initialLeft + deltaX;
-      const newTop = initialTop + deltaY;
-      const maxLeft = window.innerWidth - colorFilterOverlay.offsetWidth;
-      const maxTop = window.innerHeight - colorFilterOverlay.offsetHeight;
-      const clampedLeft = Math.max(0, Math.min(newLeft, maxLeft));
-      const clampedTop = Math.max(0, Math.min(newTop, maxTop));
-      colorFilterOverlay.style.left = clampedLeft + 'px';
-      colorFilterOverlay.style.top = clampedTop + 'px';
-      e.preventDefault();
-    }, { passive: false });
+  const colorButton = document.querySelector(`button#${CSS.escape(colorId)}`);
+  if (colorButton) {
+    // 'ring-primary' is wplace's current "selected swatch" marker. Skip the
+    // click only when this colour is already active; if that class ever changes
+    // we simply click again, which is harmless.
+    if (!colorButton.classList.contains('ring-primary')) {
+      colorButton.click();
+    }
+    lastPickedColorKey = rgbKey;
+    lastPickedTileX = coords.tileX;
+    lastPickedTileY = coords.tileY;
+    lastPickedPixelX = coords.pixelX;
+    lastPickedPixelY = coords.pixelY;
+  }
+}
 
-    document.addEventListener('mouseup', () => {
-      if (isDragging) {
-        isDragging = false;
-        // Restore cursor and drag bar style
-        header.style.cursor = 'move';
-        dragBar.style.cursor = 'grab';
-        dragBar.style.opacity = '0.8';
-        colorFilterOverlay.style.userSelect = '';
-      }
-    });
+/** Handle mousemove for Space+Hover color picking */
+function handleSpaceHoverColorPick(event) {
+  // Early exit if not in space+hover mode
+  if (!isSpaceHoverActive) {
+    return;
+  }
 
-    document.addEventListener('touchend', () => {
-      if (isDragging) {
-        isDragging = false;
-        colorFilterOverlay.style.userSelect = '';
-      }
-    });
-  }).catch(err => {
-    console.error('Failed to load color palette:', err);
-    overlayMain.handleDisplayError('Failed to load color palette!');
-  });
+  pickColorAtScreen(event.clientX, event.clientY);
 }
 
-/** Refreshes the color filter overlay to update progress calculations
- * @since 1.0.0
- */
-function refreshColorFilterOverlay() {
-  // Close and reopen the color filter overlay to refresh stats
-  const existingOverlay = document.getElementById('bm-color-filter-overlay');
-  if (existingOverlay) {
-    existingOverlay.remove();
-    setTimeout(() => {
-      buildColorFilterOverlay();
-    }, 100);
+// ====== ERROR MAP MODE (LURK INTEGRATION) ======
+
+/** Gets the error map enabled state from storage */
+function getErrorMapEnabled() {
+  try {
+    let enabled = null;
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmErrorMap', null);
+      if (saved !== null) enabled = JSON.parse(saved);
+    }
+    if (enabled === null) {
+      const saved = localStorage.getItem('bmErrorMap');
+      if (saved !== null) enabled = JSON.parse(saved);
+    }
+    return enabled !== null ? enabled : false;
+  } catch (error) {
+    console.warn('Failed to load error map setting:', error);
   }
+  return false;
 }
 
-/** Forces template redraw to apply enhanced mode changes
- * @since 1.0.0
- */
-function forceTemplateRedraw() {
-  // Force a complete redraw of templates
+/** Saves the error map enabled state to storage */
+function saveErrorMapEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(!!enabled);
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmErrorMap', enabledString);
+    }
+    localStorage.setItem('bmErrorMap', enabledString);
+    debugLog('Error map setting saved:', enabled);
+    // Invalidate cache since visual mode changed
+    import('./tileManager.js').then(tileManager => {
+      tileManager.invalidateCacheForSettingsChange();
+    });
+  } catch (error) {
+    console.error('❌ Failed to save error map setting:', error);
+  }
+}
+
+/** Toggles error map mode on/off */
+function toggleErrorMapMode() {
+  const currentState = getErrorMapEnabled();
+  const newState = !currentState;
+  saveErrorMapEnabled(newState);
+  
+  
+  // Apply to template manager
+  if (templateManager) {
+    templateManager.setErrorMapMode(newState);
+  }
+  
+  // Force template redraw to apply changes
   if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
     templateManager.setTemplatesShouldBeDrawn(false);
     setTimeout(() => {
       templateManager.setTemplatesShouldBeDrawn(true);
-      // Update mini tracker after template redraw
-      updateMiniTracker();
-    }, 100); // Slightly longer delay to ensure redraw is complete
+    }, 50);
   }
 }
 
-// ====== KEYBOARD SHORTCUT: X + CLICK FOR ENHANCED COLORS ======
-
-/** Map of color IDs to RGB values from r/place palette */
-const COLOR_PALETTE_MAP = {
-  'color-0': [255, 255, 255, 0], // Transparent
-  'color-1': [0, 0, 0], // Black
-  'color-2': [60, 60, 60], // Dark Gray
-  'color-3': [120, 120, 120], // Gray
-  'color-4': [210, 210, 210], // Light Gray
-  'color-5': [255, 255, 255], // White
-  'color-6': [96, 0, 24], // Deep Red
-  'color-7': [237, 28, 36], // Red
-  'color-8': [255, 127, 39], // Orange
-  'color-9': [246, 170, 9], // Gold
-  'color-10': [249, 221, 59], // Yellow
-  'color-11': [255, 250, 188], // Light Yellow
-  'color-12': [14, 185, 104], // Dark Green
-  'color-13': [19, 230, 123], // Green
-  'color-14': [135, 255, 94], // Light Green
-  'color-15': [12, 129, 110], // Dark Teal
-  'color-16': [16, 174, 166], // Teal
-  'color-17': [19, 225, 190], // Light Teal
-  'color-18': [40, 80, 158], // Dark Blue
-  'color-19': [64, 147, 228], // Blue
-  'color-20': [96, 247, 242], // Cyan
-  'color-21': [107, 80, 246], // Indigo
-  'color-22': [153, 177, 251], // Light Indigo
-  'color-23': [120, 12, 153], // Dark Purple
-  'color-24': [170, 56, 185], // Purple
-  'color-25': [224, 159, 249], // Light Purple
-  'color-26': [203, 0, 122], // Dark Pink
-  'color-27': [236, 31, 128], // Pink
-  'color-28': [243, 141, 169], // Light Pink
-  'color-29': [104, 70, 52], // Dark Brown
-  'color-30': [149, 104, 42], // Brown
-  'color-31': [248, 178, 119], // Beige
-  'color-32': [170, 170, 170], // Medium Gray
-  'color-33': [165, 14, 30], // Dark Red
-  'color-34': [250, 128, 114], // Light Red
-  'color-35': [228, 92, 26], // Dark Orange
-  'color-36': [214, 181, 148], // Light Tan
-  'color-37': [156, 132, 49], // Dark Goldenrod
-  'color-38': [197, 173, 49], // Goldenrod
-  'color-39': [232, 212, 95], // Light Goldenrod
-  'color-40': [74, 107, 58], // Dark Olive
-  'color-41': [90, 148, 74], // Olive
-  'color-42': [132, 197, 115], // Light Olive
-  'color-43': [15, 121, 159], // Dark Cyan
-  'color-44': [187, 250, 242], // Light Cyan
-  'color-45': [125, 199, 255], // Light Blue
-  'color-46': [77, 49, 184], // Dark Indigo
-  'color-47': [74, 66, 132], // Dark Slate Blue
-  'color-48': [122, 113, 196], // Slate Blue
-  'color-49': [181, 174, 241], // Light Slate Blue
-  'color-50': [219, 164, 99], // Light Brown
-  'color-51': [209, 128, 81], // Dark Beige
-  'color-52': [255, 197, 165], // Light Beige
-  'color-53': [155, 82, 73], // Dark Peach
-  'color-54': [209, 128, 120], // Peach
-  'color-55': [250, 182, 164], // Light Peach
-  'color-56': [123, 99, 82], // Dark Tan
-  'color-57': [156, 132, 107], // Tan
-  'color-58': [51, 57, 65], // Dark Slate
-  'color-59': [109, 117, 141], // Slate
-  'color-60': [179, 185, 209], // Light Slate
-  'color-61': [109, 100, 63], // Dark Stone
-  'color-62': [148, 140, 107], // Stone
-  'color-63': [205, 197, 158] // Light Stone
-};
-
-/** State for X key shortcut */
-let isEKeyPressed = false;
-let eKeyModeActive = false;
+/** Injects/updates numeric LEFT badges on the site's native color palette buttons
+ * @param {Object} pixelStats - Map keyed by "r,g,b" with {totalRequired, painted, needsCrosshair}
+ */
+function updatePaletteLeftBadges(pixelStats) {
+  if (!getShowLeftOnColorEnabled()) return;
+  if (!pixelStats || typeof pixelStats !== 'object') return;
+  
+  const idToRgb = COLOR_PALETTE_MAP || {};
+  
+  Object.entries(idToRgb).forEach(([colorId, rgb]) => {
+    const btn = document.querySelector(`button#${CSS.escape(colorId)}`);
+    if (!btn) return;
+    if (colorId === 'color-0') return; // Transparent
+    const key = `${rgb[0]},${rgb[1]},${rgb[2]}`;
+    const stats = pixelStats[key];
+    const left = stats && typeof stats.needsCrosshair === 'number' ? stats.needsCrosshair : 0;
+    
+    let badge = btn.querySelector('.bm-left-badge');
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = 'bm-left-badge';
+      badge.style.cssText = `
+        position: absolute;
+        bottom: 2px;
+        right: 2px;
+        background: rgba(0,0,0,0.65);
+        color: #fff;
+        font-weight: 800;
+        font-size: 10px;
+        line-height: 1;
+        padding: 2px 4px;
+        border-radius: 6px;
+        pointer-events: none;
+        user-select: none;
+        z-index: 2;
+      `;
+      if (!btn.style.position) btn.style.position = 'relative';
+      btn.appendChild(badge);
+    }
+    badge.textContent = left.toLocaleString();
+    badge.style.display = left > 0 ? 'block' : 'none';
+  });
+}
 
-/** Initialize keyboard shortcut functionality 
- * 
- * HOW TO USE THE X+CLICK SHORTCUT:
- * 1. Press and hold the 'X' key
- * 2. While holding 'X', click on any color in the r/place palette
- * 3. This will:
- *    - Clear all currently enhanced colors
- *    - Enable enhanced mode ONLY for the clicked color
- *    - Refresh the template to show the changes
- * 4. Release the 'X' key to exit enhanced selection mode
- * 
- * VISUAL FEEDBACK:
- * - Cursor changes to crosshair when X-Mode is active
- * - Status messages appear to confirm actions
- * - Color filter overlay automatically refreshes if open
- * 
+/** Refreshes the template display to show color filter changes
  * @since 1.0.0
  */
-function initializeKeyboardShortcuts() {
-  debugLog('🎹 [Keyboard Shortcuts] Initializing X+Click shortcut for enhanced colors...');
-  
-  // Track X key press/release
-  document.addEventListener('keydown', (event) => {
-    if (event.code === 'KeyX' && !event.repeat) {
-      isEKeyPressed = true;
-      eKeyModeActive = true;
+async function refreshTemplateDisplay() {
+  // This will trigger a re-render of the template
+  if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
+    // Force a complete recreation of the template with current color filter
+    try {
+      debugLog('Starting template refresh with color filter...');
       
-      // Visual feedback - add cursor style to show X mode is active
-      document.body.style.cursor = 'crosshair';
+      // Get the current template
+      const currentTemplate = templateManager.templatesArray[0];
+      debugLog('Current disabled colors:', currentTemplate.getDisabledColors());
       
-      // Show notification
-      if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-        overlayMain.handleDisplayStatus('🎹 X-Mode: Click a color to enable enhanced mode for that color only');
-      }
+      // Invalidate enhanced cache when colors change
+      currentTemplate.invalidateEnhancedCache();
       
-      debugLog('🎹 [X-Mode] Enhanced selection mode ACTIVATED');
-    }
-  });
-  
-  document.addEventListener('keyup', (event) => {
-    if (event.code === 'KeyX') {
-      isEKeyPressed = false;
-      eKeyModeActive = false;
+      // Disable templates first to clear the display
+      templateManager.setTemplatesShouldBeDrawn(false);
       
-      // Reset cursor
-      document.body.style.cursor = '';
+      // Wait a moment for the change to take effect
+      await new Promise(resolve => setTimeout(resolve, 50));
       
-      debugLog('🎹 [X-Mode] Enhanced selection mode DEACTIVATED');
-    }
-  });
-  
-  // Handle clicks on color palette buttons when X is pressed
-  document.addEventListener('click', handleEKeyColorClick, true);
-  
-  debugLog('[Keyboard Shortcuts] X+Click shortcut initialized successfully');
-}
-
-/** Handle X+Click on color palette */
-function handleEKeyColorClick(event) {
-  if (!eKeyModeActive) return;
-  
-  // Check if clicked element is a color button
-  const colorButton = event.target.closest('button[id^="color-"]');
-  if (!colorButton) return;
-  
-  // Prevent normal color selection
-  event.preventDefault();
-  event.stopPropagation();
-  
-  const colorId = colorButton.id;
-  const rgbColor = COLOR_PALETTE_MAP[colorId];
-  
-  if (!rgbColor) {
-    console.warn(`🎹 [X-Mode] Unknown color ID: ${colorId}`);
-    return;
-  }
-  
-  // Skip transparent color
-  if (colorId === 'color-0') {
-    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-      overlayMain.handleDisplayStatus('🎹 X-Mode: Cannot enhance transparent color');
+      // Force recreation of template tiles with current color filter
+      debugLog('Recreating template tiles with color filter...');
+      await templateManager.updateTemplateWithColorFilter(0);
+      
+      // Re-enable templates to show the updated version
+      templateManager.setTemplatesShouldBeDrawn(true);
+      
+      debugLog('Template refresh completed successfully');
+      
+    } catch (error) {
+      console.error('Error refreshing template display:', error);
+      overlayMain.handleDisplayError('Failed to apply color filter');
+      throw error; // Re-throw to handle in calling function
     }
-    return;
+  } else {
+    console.warn('No templates available to refresh');
   }
   
-  debugLog(`🎹 [X-Mode] Processing color: ${colorId} -> RGB(${rgbColor.join(', ')})`);
+  // Update mini tracker after template refresh
+  updateMiniTracker();
   
-  // Get current template
-  const currentTemplate = templateManager.templatesArray?.[0];
-  if (!currentTemplate) {
-    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayError) {
-      overlayMain.handleDisplayError('🎹 X-Mode: No template loaded');
-    }
-    return;
+  // Update Color Menu after template refresh (same as mini tracker)
+  if (typeof updateColorMenuDisplay === 'function') {
+    setTimeout(() => updateColorMenuDisplay(false, true), 100);
   }
-  
+}
+
+/** Gets the saved crosshair color from storage
+ * @returns {Object} The crosshair color configuration
+ * @since 1.0.0 
+ */
+function getCrosshairColor() {
   try {
-    // Clear all enhanced colors first
-    currentTemplate.enhancedColors.clear();
-    debugLog('🎹 [X-Mode] Cleared all enhanced colors');
-    
-    // Enable enhanced mode for the selected color
-    currentTemplate.enableColorEnhanced(rgbColor);
-    debugLog(`🎹 [X-Mode] Enhanced mode enabled for RGB(${rgbColor.join(', ')})`);
-    
-    invalidateTemplateCache();
+    let savedColor = null;
     
-    // Visual feedback
-    const colorName = colorButton.getAttribute('aria-label') || colorId;
-    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-      overlayMain.handleDisplayStatus(`✅ Enhanced mode enabled for: ${colorName}`);
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmCrosshairColor', null);
+      if (saved) savedColor = JSON.parse(saved);
     }
     
-    // Refresh template to apply changes
-    refreshTemplateDisplay().then(() => {
-      debugLog('🎹 [X-Mode] Template refreshed with new enhanced color');
-    }).catch(error => {
-      console.error('🎹 [X-Mode] Error refreshing template:', error);
-    });
+    // Fallback to localStorage
+    if (!savedColor) {
+      const saved = localStorage.getItem('bmCrosshairColor');
+      if (saved) savedColor = JSON.parse(saved);
+    }
     
-    // Update color filter overlay if it's open
-    const colorFilterOverlay = document.getElementById('bm-color-filter-overlay');
-    if (colorFilterOverlay) {
-      // Close and reopen to refresh
-      colorFilterOverlay.remove();
-      setTimeout(() => {
-        buildColorFilterOverlay();
-      }, 100);
+    // Auto-migrate old alpha values (180 -> 255)
+    if (savedColor && savedColor.alpha === 180) {
+      savedColor.alpha = 255;
+      saveCrosshairColor(savedColor); // Save the migrated value
+      debugLog('Auto-migrated crosshair transparency from 71% to 100%');
     }
     
+    if (savedColor) return savedColor;
   } catch (error) {
-    console.error('🎹 [X-Mode] Error processing enhanced color:', error);
-    if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayError) {
-      overlayMain.handleDisplayError('🎹 X-Mode: Failed to set enhanced color');
-    }
-  }
-}
-
-// Make functions globally available
-window.refreshColorFilterOverlay = refreshColorFilterOverlay;
-window.forceTemplateRedraw = forceTemplateRedraw;
-
-// Helper function to invalidate cache when templates change
-function invalidateTemplateCache() {
-  import('./tileManager.js').then(tileManager => {
-    if (tileManager.invalidateCacheForSettingsChange) {
-      tileManager.invalidateCacheForSettingsChange();
-    }
-  }).catch(() => {
-    // Ignore errors if tileManager is not available yet
-  });
-}
-
-// ====== SPACE+HOVER COLOR PICKER ======
-
-/** State for Space+Hover color picker */
-let isSpaceHoverActive = false;
-let lastPickedColorKey = null;
-let lastPickedTileX = -1;
-let lastPickedTileY = -1;
-let lastPickedPixelX = -1;
-let lastPickedPixelY = -1;
-
-/** Cached enabled state – avoids calling GM_getValue on every event */
-let _spaceHoverEnabledCache = null;
-
-/** Returns cached enabled state, refreshing from storage only when cache is cold */
-function isSpaceHoverEnabled() {
-  if (_spaceHoverEnabledCache === null) {
-    _spaceHoverEnabledCache = getSpaceHoverColorPickerEnabled();
+    console.warn('Failed to load crosshair color:', error);
   }
-  return _spaceHoverEnabledCache;
-}
-
-/** Invalidate the cache (call after settings change) */
-function invalidateSpaceHoverCache() {
-  _spaceHoverEnabledCache = null;
+  
+  // Default red color
+  return {
+    name: 'Red',
+    rgb: [255, 0, 0],
+    alpha: 255
+  };
 }
 
-/** Last known mouse position for immediate pick on Space keydown */
-let _lastMouseX = 0;
-let _lastMouseY = 0;
-
-/** Reverse lookup map: RGB string -> color ID */
-const RGB_TO_COLOR_ID = {};
-Object.entries(COLOR_PALETTE_MAP).forEach(([colorId, rgb]) => {
-  if (rgb.length >= 3) {
-    const key = `${rgb[0]},${rgb[1]},${rgb[2]}`;
-    RGB_TO_COLOR_ID[key] = colorId;
-  }
-});
-
-/** Initialize Space+Hover color picker functionality
- * 
- * HOW TO USE:
- * 1. Enable "Space+Hover Color Picker" in settings
- * 2. Hold Space key while hovering over the canvas
- * 3. When hovering over a template pixel, the color is automatically selected in the palette
- * 4. Release Space to stop auto-selecting colors
- * 
+/** Saves the crosshair color to storage
+ * @param {Object} colorConfig - The color configuration to save
  * @since 1.0.0
  */
-function initializeSpaceHoverColorPicker() {
-  debugLog('🎨 [Space+Hover] Initializing color picker...');
-  
-  // Track mouse position so we can pick immediately on Space keydown
-  // Also pre-warm caches to avoid cold-start cost on first pick
-  document.addEventListener('mousemove', (event) => {
-    _lastMouseX = event.clientX;
-    _lastMouseY = event.clientY;
-    // Keep canvas rect cache warm
-    if (!_cachedMapCanvas || !_cachedMapCanvas.isConnected) {
-      _cachedMapCanvas = document.querySelector('div#map canvas.maplibregl-canvas');
-    }
-    if (_cachedMapCanvas) {
-      _cachedCanvasRect = _cachedMapCanvas.getBoundingClientRect();
-      _cachedCanvasRectTime = performance.now();
+function saveCrosshairColor(colorConfig) {
+  try {
+    const colorString = JSON.stringify(colorConfig);
+    
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmCrosshairColor', colorString);
     }
-    // Keep map reference cache warm (unsafeWindow proxy is slow on first access)
-    if (!_cachedMap) {
-      try { _cachedMap = unsafeWindow.bmmap; _cachedMapTime = performance.now(); } catch (e) { /* ignore */ }
+    
+    // Also save to localStorage as backup
+    localStorage.setItem('bmCrosshairColor', colorString);
+    
+    debugLog('Crosshair color saved:', colorConfig);
+    // Invalidate cache for setting change
+    import('./tileManager.js').then(tileManager => {
+      tileManager.invalidateCacheForSettingsChange();
+    });
+  } catch (error) {
+    console.error('Failed to save crosshair color:', error);
+  }
+}
+
+/** Gets the border enabled setting from storage
+ * @returns {boolean} Whether borders are enabled
+ * @since 1.0.0 
+ */
+function getBorderEnabled() {
+  try {
+    let borderEnabled = null;
+    
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmCrosshairBorder', null);
+      if (saved !== null) borderEnabled = JSON.parse(saved);
     }
-  }, { passive: true });
-  
-  // Track Space key state - use capture phase to run before other handlers
-  document.addEventListener('keydown', (event) => {
-    if (event.code === 'Space' && !event.repeat && isSpaceHoverEnabled()) {
-      isSpaceHoverActive = true;
-      document.body.style.cursor = 'crosshair';
-      debugLog('🎨 [Space+Hover] Color picker mode activated');
-      // Prevent default space behavior (scrolling) and stop propagation
-      event.preventDefault();
-      event.stopPropagation();
-      // Immediately pick color at current mouse position (no waiting for mousemove)
-      pickColorAtScreen(_lastMouseX, _lastMouseY);
+    
+    // Fallback to localStorage
+    if (borderEnabled === null) {
+      const saved = localStorage.getItem('bmCrosshairBorder');
+      if (saved !== null) borderEnabled = JSON.parse(saved);
     }
-  }, { capture: true });
-  
-  document.addEventListener('keyup', (event) => {
-    if (event.code === 'Space') {
-      isSpaceHoverActive = false;
-      document.body.style.cursor = '';
-      lastPickedColorKey = null;
-      lastPickedTileX = -1;
-      lastPickedTileY = -1;
-      lastPickedPixelX = -1;
-      lastPickedPixelY = -1;
+    
+    if (borderEnabled !== null) {
+      debugLog('🔲 Border setting loaded:', borderEnabled);
+      return borderEnabled;
     }
-  }, { capture: true });
-
-  // Layout shifts (page/panel scrolling, window resize) move the canvas rect.
-  // Invalidate the cached rect so screenToTilePixelSync re-measures instead of
-  // picking against a stale rect (which causes off-by-a-pixel picks).
-  const invalidateCanvasRect = () => { _cachedCanvasRect = null; };
-  window.addEventListener('scroll', invalidateCanvasRect, { passive: true, capture: true });
-  window.addEventListener('resize', invalidateCanvasRect, { passive: true });
+  } catch (error) {
+    console.warn('Failed to load border setting:', error);
+  }
   
-  // Handle mousemove for color picking — CAPTURE phase so our colour switch
-  // runs BEFORE wplace's own move handler on the same event. wplace paints the
-  // pixel under the cursor on mousemove (while Space is held) using its selected
-  // colour; if we ran after it (bubble), every pixel would be painted with the
-  // PREVIOUS pixel's colour (a one-pixel lag). Running first sets the correct
-  // colour before wplace reads it.
-  document.addEventListener('mousemove', handleSpaceHoverColorPick, { capture: true });
-
-  // Correctness net for click-to-place: at the very start of a place gesture,
-  // re-pick the EXACT pixel under the cursor so its colour is selected even if a
-  // fast hover sample skipped that pixel. Capture phase runs before wplace's own
-  // handler; wplace commits the pixel on release, which leaves the async colour
-  // selection time to settle before it's read.
-  document.addEventListener('pointerdown', (event) => {
-    if (!isSpaceHoverActive) { return; }
-    pickColorAtScreen(event.clientX, event.clientY);
-  }, { capture: true });
-
-  debugLog('🎨 [Space+Hover] Color picker initialized successfully');
+  // Default to disabled
+  debugLog('🔲 Using default border setting: false');
+  return false;
 }
 
-// Pending coordinate conversion requests (used by screenToTilePixelAsync)
-const pendingCoordRequests = new Map();
-
-// Listen for coordinate conversion responses from page context (async path only)
-window.addEventListener('message', (event) => {
-  if (event.data?.source === 'blue-marble-coord-response') {
-    const requestId = event.data['requestId'];
-    const pending = pendingCoordRequests.get(requestId);
-    if (pending) {
-      pending.resolve({ coords: event.data['coords'], error: event.data['error'] });
-      pendingCoordRequests.delete(requestId);
+/** Saves the border enabled setting to storage
+ * @param {boolean} enabled - Whether borders should be enabled
+ * @since 1.0.0
+ */
+function saveBorderEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+    
+    debugLog('Saving border setting:', enabled, 'as string:', enabledString);
+    
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmCrosshairBorder', enabledString);
     }
+    
+    // Also save to localStorage as backup
+    localStorage.setItem('bmCrosshairBorder', enabledString);
+    debugLog('🔲 Saved to localStorage');
+    
+    debugLog('Border setting saved successfully:', enabled);
+  } catch (error) {
+    console.error('❌ Failed to save border setting:', error);
   }
-});
+}
 
-/** Convert screen coordinates to tile/pixel coordinates (async via postMessage)
- * @param {number} screenX - Screen X coordinate (clientX)
- * @param {number} screenY - Screen Y coordinate (clientY)
- * @returns {Promise<Object|null>} {tileX, tileY, pixelX, pixelY} or null if conversion fails
+/** Gets the enhanced size enabled setting from storage
+ * @returns {boolean} Whether enhanced size is enabled
+ * @since 1.0.0 
  */
-async function screenToTilePixelAsync(screenX, screenY) {
+function getEnhancedSizeEnabled() {
   try {
-    // Get map canvas element and its position
-    const canvas = document.querySelector('div#map canvas.maplibregl-canvas');
-    if (!canvas) {
-      console.log('🎨 [Space+Hover] No canvas found');
-      return null;
+    let enhancedSizeEnabled = null;
+    
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmCrosshairEnhancedSize', null);
+      if (saved !== null) {
+        enhancedSizeEnabled = JSON.parse(saved);
+      }
     }
     
-    const rect = canvas.getBoundingClientRect();
+    // Fallback to localStorage
+    if (enhancedSizeEnabled === null) {
+      const saved = localStorage.getItem('bmCrosshairEnhancedSize');
+      if (saved !== null) {
+        enhancedSizeEnabled = JSON.parse(saved);
+      }
+    }
     
-    // Convert screen coords to canvas-relative coords
-    const canvasX = screenX - rect.left;
-    const canvasY = screenY - rect.top;
+    if (enhancedSizeEnabled !== null) {
+      return enhancedSizeEnabled;
+    }
+  } catch (error) {
+    console.error('Failed to load enhanced size setting:', error);
+  }
+  
+  // Default to disabled
+  return false;
+}
+
+/** Saves the enhanced size enabled setting to storage
+ * @param {boolean} enabled - Whether enhanced size should be enabled
+ * @since 1.0.0 
+ */
+function saveEnhancedSizeEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
     
-    // Generate unique request ID
-    const requestId = crypto.randomUUID();
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmCrosshairEnhancedSize', enabledString);
+    }
     
-    // Create promise that will be resolved when we get the response
-    const promise = new Promise((resolve) => {
-      pendingCoordRequests.set(requestId, { resolve });
-      
-      // Timeout after 100ms
-      setTimeout(() => {
-        if (pendingCoordRequests.has(requestId)) {
-          pendingCoordRequests.delete(requestId);
-          resolve({ error: 'Timeout' });
-        }
-      }, 100);
-    });
+    // Also save to localStorage as backup
+    localStorage.setItem('bmCrosshairEnhancedSize', enabledString);
     
-    // Send request to page context
-    window.postMessage({
-      source: 'blue-marble-coord-request',
-      requestId,
-      canvasX,
-      canvasY
-    }, '*');
+    debugLog('Enhanced size setting saved successfully:', enabled);
+  } catch (error) {
+    console.error('❌ Failed to save enhanced size setting:', error);
+  }
+}
+
+/** Gets the crosshair radius setting from storage
+ * @returns {number} The crosshair radius value (12-32)
+ * @since 1.0.0 
+ */
+function getCrosshairRadius() {
+  try {
+    let radiusValue = null;
     
-    const result = await promise;
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmCrosshairRadius', null);
+      if (saved !== null) {
+        radiusValue = JSON.parse(saved);
+      }
+    }
     
-    if (result.error) {
-      console.log('🎨 [Space+Hover] Coord conversion error:', result.error);
-      return null;
+    // Fallback to localStorage
+    if (radiusValue === null) {
+      const saved = localStorage.getItem('bmCrosshairRadius');
+      if (saved !== null) {
+        radiusValue = JSON.parse(saved);
+      }
     }
     
-    return result.coords;
+    if (radiusValue !== null) {
+      // Ensure value is within valid range
+      return Math.max(12, Math.min(32, radiusValue));
+    }
   } catch (error) {
-    console.log('🎨 [Space+Hover] Error converting coords:', error);
-    return null;
+    console.error('Failed to load crosshair radius setting:', error);
   }
+  
+  return 16; // Default radius (between min 12 and max 32)
 }
 
-/** Convert screen coordinates to tile/pixel coordinates synchronously
- * Uses unsafeWindow.bmmap.transform directly — no postMessage round-trip
- * @param {number} screenX - Screen X coordinate (clientX)
- * @param {number} screenY - Screen Y coordinate (clientY)
- * @returns {{tileX: number, tileY: number, pixelX: number, pixelY: number}|null}
+/** Saves the crosshair radius setting to storage
+ * @param {number} radius - The crosshair radius value (12-32)
+ * @since 1.0.0 
  */
-/** Cached canvas element reference — avoids DOM querySelector on every call */
-let _cachedMapCanvas = null;
-/** Cached canvas bounding rect — invalidated on resize/scroll */
-let _cachedCanvasRect = null;
-let _cachedCanvasRectTime = 0;
-/** Cached map reference — avoids unsafeWindow proxy overhead on every call */
-let _cachedMap = null;
-let _cachedMapTime = 0;
-
-function screenToTilePixelSync(screenX, screenY) {
+function saveCrosshairRadius(radius) {
   try {
-    // Cache unsafeWindow.bmmap — the TamperMonkey proxy is slow (~10ms first access)
-    // Refresh every 5s to catch map re-init (rare)
-    const now = performance.now();
-    if (!_cachedMap || (now - _cachedMapTime) > 5000) {
-      _cachedMap = unsafeWindow.bmmap;
-      _cachedMapTime = now;
-    }
-    if (!_cachedMap || !_cachedMap.transform) {
-      _cachedMap = null;
-      return null;
-    }
-    // Cache canvas element (invalidate if detached from DOM)
-    if (!_cachedMapCanvas || !_cachedMapCanvas.isConnected) {
-      _cachedMapCanvas = document.querySelector('div#map canvas.maplibregl-canvas');
-      _cachedCanvasRect = null;
-    }
-    if (!_cachedMapCanvas) {
-      return null;
-    }
+    // Ensure value is within valid range
+    const clampedRadius = Math.max(12, Math.min(32, radius));
+    const radiusString = JSON.stringify(clampedRadius);
     
-    // Use cached rect (pre-warmed in mousemove listener)
-    if (!_cachedCanvasRect || (now - _cachedCanvasRectTime) > 200) {
-      _cachedCanvasRect = _cachedMapCanvas.getBoundingClientRect();
-      _cachedCanvasRectTime = now;
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmCrosshairRadius', radiusString);
     }
-    const canvasX = screenX - _cachedCanvasRect.left;
-    const canvasY = screenY - _cachedCanvasRect.top;
+    
+    // Also save to localStorage as backup
+    localStorage.setItem('bmCrosshairRadius', radiusString);
+    
+    debugLog('Crosshair radius setting saved successfully:', clampedRadius);
+  } catch (error) {
+    console.error('❌ Failed to save crosshair radius setting:', error);
+  }
+}
 
-    const t = _cachedMap.transform;
-    const zoom = t.zoom;
-    if (zoom === undefined) {
-      return null;
+/** Gets the mini tracker enabled setting from storage
+ * @returns {boolean} Whether mini tracker is enabled
+ * @since 1.0.0 
+ */
+function getMiniTrackerEnabled() {
+  try {
+    let trackerEnabled = null;
+    
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmMiniTracker', null);
+      if (saved !== null) trackerEnabled = JSON.parse(saved);
     }
-
-    const worldSize = 512 * Math.pow(2, zoom); // map size in screen px at this zoom
-    const mapSize = 2048000;                   // whole world in template pixels
-
-    // Screen -> lng/lat. Prefer MapLibre's OWN unproject so our pixel grid lines
-    // up exactly with the pixel wplace paints on click — no drift between a
-    // hand-rolled inverse-Mercator and the one the map actually renders with.
-    // (Manual math kept only as a fallback if unproject is unavailable.)
-    let lng, lat;
-    try {
-      const ll = _cachedMap.unproject([canvasX, canvasY]);
-      lng = ll['lng'];
-      lat = ll['lat'];
-    } catch (e) { /* fall back to manual math below */ }
-
-    if (lng === undefined || lat === undefined || Number.isNaN(lng) || Number.isNaN(lat)) {
-      const center = t.center;
-      const centerLng = center && center['lng'];
-      const centerLat = center && center['lat'];
-      if (centerLng === undefined || centerLat === undefined) {
-        return null;
-      }
-      const offsetX = canvasX - _cachedCanvasRect.width / 2;
-      const offsetY = canvasY - _cachedCanvasRect.height / 2;
-      const centerLatRad = centerLat * Math.PI / 180;
-      const mercYCenter = Math.log(Math.tan(Math.PI / 4 + centerLatRad / 2));
-      const newMercY = mercYCenter - offsetY * (2 * Math.PI / worldSize);
-      lng = centerLng + offsetX * 360 / worldSize;
-      lat = (2 * Math.atan(Math.exp(newMercY)) - Math.PI / 2) * 180 / Math.PI;
+    
+    // Fallback to localStorage
+    if (trackerEnabled === null) {
+      const saved = localStorage.getItem('bmMiniTracker');
+      if (saved !== null) trackerEnabled = JSON.parse(saved);
+    }
+    
+    if (trackerEnabled !== null) {
+      debugLog('Mini tracker setting loaded:', trackerEnabled);
+      return trackerEnabled;
     }
-
-    // lng/lat -> wplace's template-pixel grid (same formula the site tiles with).
-    const xNorm = (lng + 180) / 360;
-    const latRad = lat * Math.PI / 180;
-    const yNorm = (Math.PI - Math.log(Math.tan(Math.PI / 4 + latRad / 2))) / (2 * Math.PI);
-
-    const continuousX = xNorm * mapSize;
-    const continuousY = yNorm * mapSize;
-    const actualX = Math.floor(continuousX);
-    const actualY = Math.floor(continuousY);
-
-    // Screen pixels covered by one template pixel — lets the caller apply a
-    // zoom-independent (screen-space) boundary margin instead of a fixed
-    // pixel-fraction that collapses below mouse jitter when zoomed out.
-    const screenPxPerPixel = worldSize / mapSize;
-
-    return {
-      tileX: Math.floor(actualX / 1000),
-      tileY: Math.floor(actualY / 1000),
-      pixelX: actualX % 1000,
-      pixelY: actualY % 1000,
-      fracX: continuousX - actualX,
-      fracY: continuousY - actualY,
-      screenPxPerPixel
-    };
   } catch (error) {
-    return null;
+    console.warn('Failed to load mini tracker setting:', error);
   }
+  
+  // Default to disabled
+  return false;
 }
 
-/** Pick the template color at screen coords and click the palette button.
- * Fully synchronous — runs in the same frame as the input event.
- * @param {number} screenX
- * @param {number} screenY
+/** Saves the mini tracker enabled setting to storage
+ * @param {boolean} enabled - Whether mini tracker should be enabled
+ * @since 1.0.0
  */
-function pickColorAtScreen(screenX, screenY, force = false) {
-  const coords = screenToTilePixelSync(screenX, screenY);
-  if (!coords) {
-    return;
-  }
-
-  // Reactive selection: the colour tracks the pixel directly under the cursor —
-  // no predictive leading. (wplace applies the palette selection asynchronously,
-  // so very fast sweeps over dithered areas can still land a pixel ~1 off; there
-  // is no reliable way around that from a userscript — see the space-hover notes.)
-  const color = templateManager.getTemplatePixelColorAt(coords.tileX, coords.tileY, coords.pixelX, coords.pixelY);
-  if (!color) {
-    return;
-  }
-
-  const rgbKey = `${color.r},${color.g},${color.b}`;
-  if (!force && rgbKey === lastPickedColorKey) {
-    return; // Same color as last pick, skip redundant DOM work (force=true at
-            // paint time re-verifies against the live DOM instead of trusting
-            // our cached last-pick, which may be stale after a manual change).
-  }
-
-  // Boundary hysteresis: when moving to a different pixel that would change the
-  // colour, only accept once the cursor is well inside the new pixel. Prevents
-  // rapid colour flip-flop when the cursor lingers or jitters on a pixel border.
-  // The user only sweeps horizontally, so the left/right (X) dead zone does the
-  // real work; the top/bottom (Y) zone is kept tiny so riding near a row's edge
-  // never blocks a horizontal colour switch.
-  const EDGE_PADDING_X = 0.15; // 15% dead zone on left/right edges
-  const EDGE_PADDING_Y = 0.05; // 5% dead zone on top/bottom edges
-  const samePixel = (coords.tileX === lastPickedTileX && coords.tileY === lastPickedTileY &&
-                     coords.pixelX === lastPickedPixelX && coords.pixelY === lastPickedPixelY);
-  if (!force && !samePixel && lastPickedColorKey !== null) {
-    const { fracX, fracY } = coords;
-    if (fracX < EDGE_PADDING_X || fracX > (1 - EDGE_PADDING_X) ||
-        fracY < EDGE_PADDING_Y || fracY > (1 - EDGE_PADDING_Y)) {
-      return; // Too close to pixel edge, skip colour switch
+function saveMiniTrackerEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+    
+    debugLog('Saving mini tracker setting:', enabled, 'as string:', enabledString);
+    
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmMiniTracker', enabledString);
     }
+    
+    // Also save to localStorage as backup
+    localStorage.setItem('bmMiniTracker', enabledString);
+    debugLog('Saved to localStorage');
+    
+    debugLog('Mini tracker setting saved successfully:', enabled);
+  } catch (error) {
+    console.error('❌ Failed to save mini tracker setting:', error);
   }
+}
 
-  const colorId = RGB_TO_COLOR_ID[rgbKey];
-  if (!colorId) {
-    return;
+/** Gets the collapse mini template setting from storage
+ * @returns {boolean} Whether collapse mini template should be enabled
+ * @since 1.0.0
+ */
+function getCollapseMinEnabled() {
+  try {
+    let collapseEnabled = null;
+    
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmCollapseMin', null);
+      if (saved !== null) collapseEnabled = JSON.parse(saved);
+    }
+    
+    // Fallback to localStorage
+    if (collapseEnabled === null) {
+      const saved = localStorage.getItem('bmCollapseMin');
+      if (saved !== null) collapseEnabled = JSON.parse(saved);
+    }
+    
+    if (collapseEnabled !== null) {
+      debugLog('Collapse mini template setting loaded:', collapseEnabled);
+      return collapseEnabled;
+    }
+  } catch (error) {
+    console.warn('Failed to load collapse mini template setting:', error);
   }
+  
+  // Default to enabled
+  return true;
+}
 
-  const colorButton = document.querySelector(`button#${CSS.escape(colorId)}`);
-  if (colorButton) {
-    // 'ring-primary' is wplace's current "selected swatch" marker. Skip the
-    // click only when this colour is already active; if that class ever changes
-    // we simply click again, which is harmless.
-    if (!colorButton.classList.contains('ring-primary')) {
-      colorButton.click();
+/** Saves the collapse mini template setting to storage
+ * @param {boolean} enabled - Whether collapse mini template should be enabled
+ * @since 1.0.0
+ */
+function saveCollapseMinEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+    
+    debugLog('Saving collapse mini template setting:', enabled, 'as string:', enabledString);
+    
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmCollapseMin', enabledString);
     }
-    lastPickedColorKey = rgbKey;
-    lastPickedTileX = coords.tileX;
-    lastPickedTileY = coords.tileY;
-    lastPickedPixelX = coords.pixelX;
-    lastPickedPixelY = coords.pixelY;
+    
+    // Also save to localStorage as backup
+    localStorage.setItem('bmCollapseMin', enabledString);
+    debugLog('Saved to localStorage');
+    
+    debugLog('Collapse mini template setting saved successfully:', enabled);
+  } catch (error) {
+    console.error('❌ Failed to save collapse mini template setting:', error);
   }
 }
 
-/** Handle mousemove for Space+Hover color picking */
-function handleSpaceHoverColorPick(event) {
-  // Early exit if not in space+hover mode
-  if (!isSpaceHoverActive) {
-    return;
+/** Gets the mobile mode setting
+ * @returns {boolean} Mobile mode enabled state
+ * @since 1.0.0
+ */
+function getMobileMode() {
+  try {
+    debugLog('Loading mobile mode setting...');
+    const storedValue = localStorage.getItem('bmMobileMode') || 'false';
+    const mobileMode = JSON.parse(storedValue);
+    debugLog('Mobile mode setting loaded:', mobileMode);
+    return mobileMode;
+  } catch (error) {
+    console.error('❌ Failed to load mobile mode setting:', error);
+    return false;
   }
-
-  pickColorAtScreen(event.clientX, event.clientY);
 }
 
-// ====== ERROR MAP MODE (LURK INTEGRATION) ======
-
-/** Gets the error map enabled state from storage */
-function getErrorMapEnabled() {
+/** Gets the setting for showing only the numeric left value on color cards
+ * @returns {boolean} Whether numeric left badges are enabled
+ */
+function getShowLeftOnColorEnabled() {
   try {
     let enabled = null;
     if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmErrorMap', null);
+      const saved = GM_getValue('bmShowLeftOnColor', null);
       if (saved !== null) enabled = JSON.parse(saved);
     }
     if (enabled === null) {
-      const saved = localStorage.getItem('bmErrorMap');
+      const saved = localStorage.getItem('bmShowLeftOnColor');
       if (saved !== null) enabled = JSON.parse(saved);
     }
-    return enabled !== null ? enabled : false;
+    if (enabled !== null) {
+      debugLog('Show Left-on-Color setting loaded:', enabled);
+      return enabled;
+    }
   } catch (error) {
-    console.warn('Failed to load error map setting:', error);
+    console.warn('Failed to load Show Left-on-Color setting:', error);
   }
   return false;
 }
 
-/** Saves the error map enabled state to storage */
-function saveErrorMapEnabled(enabled) {
+/** Saves the setting for showing only the numeric left value on color cards
+ * @param {boolean} enabled - Whether numeric left badges should be shown
+ */
+function saveShowLeftOnColorEnabled(enabled) {
   try {
     const enabledString = JSON.stringify(!!enabled);
     if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmErrorMap', enabledString);
+      GM_setValue('bmShowLeftOnColor', enabledString);
     }
-    localStorage.setItem('bmErrorMap', enabledString);
-    debugLog('Error map setting saved:', enabled);
-    // Invalidate cache since visual mode changed
-    import('./tileManager.js').then(tileManager => {
-      tileManager.invalidateCacheForSettingsChange();
-    });
+    localStorage.setItem('bmShowLeftOnColor', enabledString);
+    debugLog('Show Left-on-Color setting saved:', enabled);
+    
+    // Restart the left badges auto-update system with the new setting
+    startLeftBadgesAutoUpdate();
   } catch (error) {
-    console.error('❌ Failed to save error map setting:', error);
+    console.error('❌ Failed to save Show Left-on-Color setting:', error);
+  }
+}
+
+/** Saves the mobile mode setting
+ * @param {boolean} enabled - Whether mobile mode is enabled
+ * @since 1.0.0
+ */
+function saveMobileMode(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+    debugLog('Saving mobile mode setting:', enabled);
+    localStorage.setItem('bmMobileMode', enabledString);
+    debugLog('Mobile mode setting saved successfully:', enabled);
+  } catch (error) {
+    console.error('❌ Failed to save mobile mode setting:', error);
+  }
+}
+
+/**
+ * Apply mobile mode styles to existing Color Filter overlay dynamically
+ * @param {boolean} enableMobile - Whether to enable mobile mode
+ * @since 1.0.0
+ */
+function applyMobileModeToColorFilter(enableMobile) {
+  const existingOverlay = document.getElementById('bm-color-filter-overlay');
+  if (!existingOverlay) {
+    debugLog('[Dynamic Mobile] No Color Filter overlay found');
+    return;
+  }
+
+  // ALWAYS remove existing mobile styles first to prevent accumulation
+  let mobileStyleElement = document.getElementById('bmcf-mobile-styles');
+  if (mobileStyleElement) {
+    mobileStyleElement.remove();
+    debugLog('[Dynamic Mobile] Removed existing mobile styles');
+  }
+  
+  if (enableMobile) {
+    // Create fresh mobile style element
+    mobileStyleElement = document.createElement('style');
+    mobileStyleElement.id = 'bmcf-mobile-styles';
+    document.head.appendChild(mobileStyleElement);
+    
+    mobileStyleElement.textContent = `
+      /* Dynamic Mobile Mode Styles - Applied Fresh */
+      .bmcf-overlay { 
+        width: min(96vw, 420px) !important; 
+        max-height: 75vh !important; 
+        border-radius: 12px !important; 
+        padding: 6px !important;
+      }
+      .bmcf-header { 
+        padding: 8px 10px 6px 10px !important; 
+      }
+      .bmcf-drag-bar { 
+        height: 4px !important; 
+        margin-bottom: 6px !important; 
+      }
+      .bmcf-title { 
+        font-size: 1.12em !important; 
+      }
+      .bmcf-close { 
+        width: 22px !important; 
+        height: 22px !important; 
+      }
+      .bmcf-search { 
+        height: 28px !important; 
+        padding: 6px 10px !important; 
+        font-size: 0.75em !important; 
+      }
+      .bmcf-select { 
+        height: 28px !important; 
+        padding: 4px 8px !important; 
+        font-size: 0.85em !important; 
+      }
+      .bmcf-grid { 
+        grid-template-columns: repeat(3, minmax(0, 1fr)) !important; 
+        gap: 4px !important; 
+        justify-content: stretch !important;
+      }
+      .bmcf-card { 
+        padding: 6px 8px 10px 8px !important; 
+        border-radius: 6px !important; 
+        width: auto !important;
+        height: 108px !important;
+        box-sizing: border-box !important;
+      }
+      /* Enhanced row and label compact spacing */
+      .bmcf-card .bmcf-enhanced { 
+        padding: 0 2px !important; 
+        margin-top: 2px !important; 
+        margin-bottom: 2px !important; 
+        gap: 2px !important; 
+      }
+      .bmcf-card .bmcf-enhanced input { 
+        width: 12px !important; 
+        height: 12px !important; 
+      }
+      .bmcf-card .bmcf-color-name { 
+        margin-bottom: 1px !important; 
+        font-size: 0.9em !important; 
+        line-height: 1.05 !important;
+      }
+      .bmcf-card .bmcf-stats { 
+        padding: 0 2px !important; 
+        font-size: 0.8em !important; 
+        line-height: 1.05 !important;
+      }
+      .bmcf-color-box { 
+        width: 18px !important; 
+        height: 18px !important; 
+        border-radius: 3px !important; 
+      }
+      .bmcf-color-name { 
+        font-size: 0.75em !important; 
+      }
+      .bmcf-stats { 
+        font-size: 0.65em !important; 
+        gap: 2px !important; 
+      }
+      .bmcf-btn { 
+        height: 28px !important; 
+        padding: 0 10px !important; 
+        min-width: 70px !important; 
+        font-size: 0.75em !important; 
+      }
+      .bmcf-footer { 
+        padding: 6px 8px !important; 
+        gap: 6px !important; 
+      }
+      .bmcf-progress-container { 
+        padding: 6px 10px !important; 
+      }
+      .bmcf-instructions { 
+        font-size: 0.7em !important; 
+        padding: 6px 10px !important; 
+      }
+      /* List view styles for mobile */
+      .bmcf-list { 
+        gap: 4px !important; 
+      }
+      .bmcf-list-item { 
+        padding: 6px 8px !important; 
+        min-height: 40px !important;
+        gap: 8px !important;
+      }
+      .bmcf-list-item .info-container { 
+        font-size: 0.8em !important; 
+      }
+      .bmcf-list-item .color-swatch { 
+        width: 24px !important; 
+        height: 24px !important; 
+      }
+    `;
+    debugLog('[Dynamic Mobile] Mobile mode styles applied FRESH to Color Filter');
+  } else {
+    debugLog('[Dynamic Mobile] Mobile mode disabled - styles removed');
   }
 }
 
-/** Toggles error map mode on/off */
-function toggleErrorMapMode() {
-  const currentState = getErrorMapEnabled();
-  const newState = !currentState;
-  saveErrorMapEnabled(newState);
+/** Updates the mini progress tracker visibility and content
+ * @since 1.0.0
+ */
+function updateMiniTracker() {
+  try {
+  const trackerEnabled = getMiniTrackerEnabled();
+  const collapseEnabled = getCollapseMinEnabled();
+  const existingTracker = document.getElementById('bm-mini-tracker');
   
+  // Check if main overlay is minimized
+  const mainOverlay = document.getElementById('bm-overlay');
+    if (!mainOverlay) {
+      console.warn('Main overlay not found, skipping mini tracker update');
+      return;
+    }
+    const isMainMinimized = mainOverlay && (mainOverlay.style.width === '60px' || mainOverlay.style.height === '76px' || mainOverlay.style.width === '72px');
   
-  // Apply to template manager
-  if (templateManager) {
-    templateManager.setErrorMapMode(newState);
+  // Hide tracker if disabled OR if collapse is enabled and main is minimized
+  if (!trackerEnabled || (collapseEnabled && isMainMinimized)) {
+    if (existingTracker) {
+      existingTracker.remove();
+      debugLog(`Mini tracker hidden - ${!trackerEnabled ? 'disabled' : 'collapsed with main overlay'}`);
+    }
+    return;
   }
   
-  // Force template redraw to apply changes
+  // Calculate progress data using the SAME method as the main progress bar
+  let totalRequired = 0;
+  let totalPainted = 0;
+  let totalNeedCrosshair = 0;
+  
   if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
-    templateManager.setTemplatesShouldBeDrawn(false);
-    setTimeout(() => {
-      templateManager.setTemplatesShouldBeDrawn(true);
-    }, 50);
+    // Use templateManager.calculateRemainingPixelsByColor() like the main progress bar does
+    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
+    
+    // Get excluded colors from localStorage (same as main progress bar)
+    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+    
+    for (const [colorKey, stats] of Object.entries(pixelStats)) {
+      // Skip excluded colors from mini tracker calculation too
+      if (excludedColors.includes(colorKey)) {
+        continue;
+      }
+      
+      totalRequired += stats.totalRequired || 0;
+      totalPainted += stats.painted || 0;
+      totalNeedCrosshair += stats.needsCrosshair || 0;
+    }
   }
-}
-
-/** Injects/updates numeric LEFT badges on the site's native color palette buttons
- * @param {Object} pixelStats - Map keyed by "r,g,b" with {totalRequired, painted, needsCrosshair}
- */
-function updatePaletteLeftBadges(pixelStats) {
-  if (!getShowLeftOnColorEnabled()) return;
-  if (!pixelStats || typeof pixelStats !== 'object') return;
   
-  const idToRgb = COLOR_PALETTE_MAP || {};
+  const progressPercentage = totalRequired > 0 ? Math.round((totalPainted / totalRequired) * 100) : 0;
+  const remaining = totalRequired - totalPainted;
   
-  Object.entries(idToRgb).forEach(([colorId, rgb]) => {
-    const btn = document.querySelector(`button#${CSS.escape(colorId)}`);
-    if (!btn) return;
-    if (colorId === 'color-0') return; // Transparent
-    const key = `${rgb[0]},${rgb[1]},${rgb[2]}`;
-    const stats = pixelStats[key];
-    const left = stats && typeof stats.needsCrosshair === 'number' ? stats.needsCrosshair : 0;
+  // Create or update tracker
+  let tracker = existingTracker;
+  if (!tracker) {
+    tracker = document.createElement('div');
+    tracker.id = 'bm-mini-tracker';
     
-    let badge = btn.querySelector('.bm-left-badge');
-    if (!badge) {
-      badge = document.createElement('div');
-      badge.className = 'bm-left-badge';
-      badge.style.cssText = `
-        position: absolute;
-        bottom: 2px;
-        right: 2px;
-        background: rgba(0,0,0,0.65);
-        color: #fff;
-        font-weight: 800;
-        font-size: 10px;
-        line-height: 1;
-        padding: 2px 4px;
-        border-radius: 6px;
-        pointer-events: none;
-        user-select: none;
-        z-index: 2;
-      `;
-      if (!btn.style.position) btn.style.position = 'relative';
-      btn.appendChild(badge);
+    // Find the buttons container to position tracker after it
+    const buttonsContainer = document.getElementById('bm-contain-buttons-template');
+    const mainOverlay = document.getElementById('bm-overlay');
+    
+    if (buttonsContainer && mainOverlay) {
+      try {
+        // Insert tracker after the buttons container but before the status textarea
+        const statusTextarea = document.getElementById(overlayMain.outputStatusId);
+        if (statusTextarea && statusTextarea.parentNode === mainOverlay) {
+          mainOverlay.insertBefore(tracker, statusTextarea);
+        } else if (buttonsContainer.parentNode && buttonsContainer.nextSibling) {
+          // Fallback: insert after buttons container
+          buttonsContainer.parentNode.insertBefore(tracker, buttonsContainer.nextSibling);
+        } else {
+          // Last resort: append to main overlay
+          mainOverlay.appendChild(tracker);
+        }
+      } catch (error) {
+        console.error('Error inserting mini tracker:', error);
+        // Try to append as fallback
+        try {
+          mainOverlay.appendChild(tracker);
+        } catch (appendError) {
+          console.error('Failed to append mini tracker:', appendError);
+        }
+      }
     }
-    badge.textContent = left.toLocaleString();
-    badge.style.display = left > 0 ? 'block' : 'none';
-  });
-}
-
-/** Refreshes the template display to show color filter changes
- * @since 1.0.0
- */
-async function refreshTemplateDisplay() {
-  // This will trigger a re-render of the template
-  if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
-    // Force a complete recreation of the template with current color filter
-    try {
-      debugLog('Starting template refresh with color filter...');
-      
-      // Get the current template
-      const currentTemplate = templateManager.templatesArray[0];
-      debugLog('Current disabled colors:', currentTemplate.getDisabledColors());
-      
-      // Invalidate enhanced cache when colors change
-      currentTemplate.invalidateEnhancedCache();
-      
-      // Disable templates first to clear the display
-      templateManager.setTemplatesShouldBeDrawn(false);
-      
-      // Wait a moment for the change to take effect
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-      // Force recreation of template tiles with current color filter
-      debugLog('Recreating template tiles with color filter...');
-      await templateManager.updateTemplateWithColorFilter(0);
-      
-      // Re-enable templates to show the updated version
-      templateManager.setTemplatesShouldBeDrawn(true);
-      
-      debugLog('Template refresh completed successfully');
-      
-    } catch (error) {
-      console.error('Error refreshing template display:', error);
-      overlayMain.handleDisplayError('Failed to apply color filter');
-      throw error; // Re-throw to handle in calling function
+  }
+  
+  // Style the tracker - COMPACT SLATE THEME (responsive to minimized state)
+  const isMainMinimizedForStyle = mainOverlay && (mainOverlay.style.width === '60px' || mainOverlay.style.height === '76px' || mainOverlay.style.width === '72px');
+  
+  tracker.style.cssText = `
+    background: linear-gradient(135deg, #1e293b, #334155);
+    border: 1px solid #475569;
+    border-radius: 12px;
+    padding: 12px 16px;
+    margin-top: 8px;
+    color: #f1f5f9;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    width: ${isMainMinimizedForStyle ? '230px' : '100%'};
+    font-size: 0.85rem;
+    display: grid;
+    grid-template-columns: 1fr;
+    grid-template-rows: auto auto auto auto;
+    grid-gap: 6px;
+    letter-spacing: -0.01em;
+    box-sizing: border-box;
+  `;
+  
+  // LAYOUT CSS GRID - HTML LIMPO
+  if (totalRequired === 0) {
+    tracker.innerHTML = `
+      <div class="tracker-title">📊 Template Progress: 0%</div>
+      <div class="tracker-pixels">0 / 0 pixels painted</div>
+      <div class="tracker-progress">
+        <div class="tracker-bar" style="width: 0%;"></div>
+      </div>
+      <div class="tracker-left">0 Pixels Left</div>
+    `;
+  } else {
+    tracker.innerHTML = `
+      <div class="tracker-title">📊 Template Progress: ${progressPercentage}%</div>
+      <div class="tracker-pixels">${totalPainted.toLocaleString()} / ${totalRequired.toLocaleString()} pixels painted</div>
+      <div class="tracker-progress">
+        <div class="tracker-bar" style="width: ${progressPercentage}%;"></div>
+      </div>
+      <div class="tracker-left">${totalNeedCrosshair.toLocaleString()} Pixels Left</div>
+    `;
+  }
+  
+  // Aplicar estilos CSS às classes - SLATE THEME COMPACT (fixed styles)
+  const style = document.createElement('style');
+  style.textContent = `
+    .tracker-title {
+      font-size: 1rem;
+      font-weight: 700;
+      grid-row: 1;
+      width: 100%;
+      text-align: left;
+      color: #f1f5f9;
+      letter-spacing: -0.02em;
+      line-height: 1.2;
+    }
+    .tracker-pixels {
+      font-size: 0.8rem;
+      color: #cbd5e1;
+      grid-row: 2;
+      width: 100%;
+      text-align: left;
+      font-weight: 500;
+      line-height: 1.2;
+    }
+    .tracker-progress {
+      height: 8px;
+      background: #475569;
+      border-radius: 6px;
+      overflow: hidden;
+      grid-row: 3;
+      width: 100%;
+      border: 1px solid #64748b;
+      min-width: 0;
+    }
+    .tracker-bar {
+      height: 100%;
+      background: linear-gradient(90deg, #3b82f6, #10b981);
+      border-radius: 4px;
+      transition: width 0.3s ease;
+      min-width: 0;
+    }
+    .tracker-left {
+      font-size: 0.8rem;
+      color: #fbbf24;
+      grid-row: 4;
+      width: 100%;
+      text-align: left;
+      font-weight: 600;
+      line-height: 1.2;
     }
-  } else {
-    console.warn('No templates available to refresh');
+  `;
+  // Remove existing styles and add updated ones to ensure state changes are reflected
+  const existingStyle = document.getElementById('tracker-styles');
+  if (existingStyle) {
+    existingStyle.remove();
   }
+  style.id = 'tracker-styles';
+  document.head.appendChild(style);
   
-  // Update mini tracker after template refresh
-  updateMiniTracker();
-  
-  // Update Color Menu after template refresh (same as mini tracker)
-  if (typeof updateColorMenuDisplay === 'function') {
-    setTimeout(() => updateColorMenuDisplay(false, true), 100);
+  debugLog(`Mini tracker updated: ${totalPainted}/${totalRequired} (${progressPercentage}%) - ${totalNeedCrosshair} need crosshair`);
+  } catch (error) {
+    console.error('❌ Error updating mini tracker:', error);
+    // Clean up any problematic tracker
+    const problemTracker = document.getElementById('bm-mini-tracker');
+    if (problemTracker) {
+      try {
+        problemTracker.remove();
+      } catch (removeError) {
+        console.error('Failed to remove problematic tracker:', removeError);
+      }
+    }
   }
 }
 
-/** Gets the saved crosshair color from storage
- * @returns {Object} The crosshair color configuration
- * @since 1.0.0 
- */
-function getCrosshairColor() {
-  try {
-    let savedColor = null;
-    
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmCrosshairColor', null);
-      if (saved) savedColor = JSON.parse(saved);
-    }
-    
-    // Fallback to localStorage
-    if (!savedColor) {
-      const saved = localStorage.getItem('bmCrosshairColor');
-      if (saved) savedColor = JSON.parse(saved);
-    }
-    
-    // Auto-migrate old alpha values (180 -> 255)
-    if (savedColor && savedColor.alpha === 180) {
-      savedColor.alpha = 255;
-      saveCrosshairColor(savedColor); // Save the migrated value
-      debugLog('Auto-migrated crosshair transparency from 71% to 100%');
-    }
-    
-    if (savedColor) return savedColor;
-  } catch (error) {
-    console.warn('Failed to load crosshair color:', error);
+// Auto-update mini tracker every 5 seconds if enabled
+let miniTrackerAutoUpdateInterval = null;
+
+function startMiniTrackerAutoUpdate() {
+  // Clear existing interval if any
+  if (miniTrackerAutoUpdateInterval) {
+    clearInterval(miniTrackerAutoUpdateInterval);
   }
   
-  // Default red color
-  return {
-    name: 'Red',
-    rgb: [255, 0, 0],
-    alpha: 255
-  };
-}
-
-/** Saves the crosshair color to storage
- * @param {Object} colorConfig - The color configuration to save
- * @since 1.0.0
- */
-function saveCrosshairColor(colorConfig) {
-  try {
-    const colorString = JSON.stringify(colorConfig);
-    
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmCrosshairColor', colorString);
-    }
-    
-    // Also save to localStorage as backup
-    localStorage.setItem('bmCrosshairColor', colorString);
+  // Only start auto-update if mini tracker is enabled
+  if (getMiniTrackerEnabled()) {
+    miniTrackerAutoUpdateInterval = setInterval(() => {
+      const isStillEnabled = getMiniTrackerEnabled();
+      if (isStillEnabled) {
+        updateMiniTracker();
+        debugLog('Mini tracker auto-updated');
+      } else {
+        // Stop auto-update if disabled
+        clearInterval(miniTrackerAutoUpdateInterval);
+        miniTrackerAutoUpdateInterval = null;
+        debugLog('Mini tracker auto-update stopped (disabled)');
+      }
+    }, 5000); // Update every 5 seconds
     
-    debugLog('Crosshair color saved:', colorConfig);
-    // Invalidate cache for setting change
-    import('./tileManager.js').then(tileManager => {
-      tileManager.invalidateCacheForSettingsChange();
-    });
-  } catch (error) {
-    console.error('Failed to save crosshair color:', error);
+    debugLog('Mini tracker auto-update started (every 5 seconds)');
   }
 }
 
-/** Gets the border enabled setting from storage
- * @returns {boolean} Whether borders are enabled
- * @since 1.0.0 
- */
-function getBorderEnabled() {
+// Auto-update left badges independently of mini tracker
+let leftBadgesAutoUpdateInterval = null;
+
+function updateLeftBadgesOnly() {
+  // Only update if the setting is enabled
+  if (!getShowLeftOnColorEnabled()) return;
+  
+  // Check if templates are available
+  if (!templateManager.templatesArray || templateManager.templatesArray.length === 0) return;
+  
   try {
-    let borderEnabled = null;
-    
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmCrosshairBorder', null);
-      if (saved !== null) borderEnabled = JSON.parse(saved);
-    }
+    // Calculate pixel statistics
+    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
     
-    // Fallback to localStorage
-    if (borderEnabled === null) {
-      const saved = localStorage.getItem('bmCrosshairBorder');
-      if (saved !== null) borderEnabled = JSON.parse(saved);
-    }
+    // Update the palette badges
+    updatePaletteLeftBadges(pixelStats);
     
-    if (borderEnabled !== null) {
-      debugLog('🔲 Border setting loaded:', borderEnabled);
-      return borderEnabled;
-    }
+    debugLog('Left badges auto-updated independently');
   } catch (error) {
-    console.warn('Failed to load border setting:', error);
+    console.warn('Failed to auto-update left badges:', error);
   }
-  
-  // Default to disabled
-  debugLog('🔲 Using default border setting: false');
-  return false;
 }
 
-/** Saves the border enabled setting to storage
- * @param {boolean} enabled - Whether borders should be enabled
- * @since 1.0.0
- */
-function saveBorderEnabled(enabled) {
-  try {
-    const enabledString = JSON.stringify(enabled);
-    
-    debugLog('Saving border setting:', enabled, 'as string:', enabledString);
-    
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmCrosshairBorder', enabledString);
-    }
-    
-    // Also save to localStorage as backup
-    localStorage.setItem('bmCrosshairBorder', enabledString);
-    debugLog('🔲 Saved to localStorage');
+function startLeftBadgesAutoUpdate() {
+  // Clear existing interval if any
+  if (leftBadgesAutoUpdateInterval) {
+    clearInterval(leftBadgesAutoUpdateInterval);
+  }
+  
+  // Only start auto-update if left badges are enabled
+  if (getShowLeftOnColorEnabled()) {
+    leftBadgesAutoUpdateInterval = setInterval(() => {
+      const isStillEnabled = getShowLeftOnColorEnabled();
+      if (isStillEnabled) {
+        updateLeftBadgesOnly();
+      } else {
+        // Stop auto-update if disabled
+        clearInterval(leftBadgesAutoUpdateInterval);
+        leftBadgesAutoUpdateInterval = null;
+        debugLog('Left badges auto-update stopped (disabled)');
+      }
+    }, 5000); // Update every 5 seconds
     
-    debugLog('Border setting saved successfully:', enabled);
-  } catch (error) {
-    console.error('❌ Failed to save border setting:', error);
+    debugLog('Left badges auto-update started (every 5 seconds)');
   }
 }
 
-/** Gets the enhanced size enabled setting from storage
- * @returns {boolean} Whether enhanced size is enabled
- * @since 1.0.0 
- */
-function getEnhancedSizeEnabled() {
-  try {
-    let enhancedSizeEnabled = null;
+// Auto-update Color Menu (main template color list) every 5 seconds if visible
+let colorMenuAutoUpdateInterval = null;
+
+function startColorMenuAutoUpdate() {
+  // Clear existing interval if any
+  if (colorMenuAutoUpdateInterval) {
+    clearInterval(colorMenuAutoUpdateInterval);
+  }
+  
+  colorMenuAutoUpdateInterval = setInterval(() => {
+    const colorMenu = document.getElementById('bm-color-menu');
+    const colorList = document.getElementById('bm-color-list');
     
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmCrosshairEnhancedSize', null);
-      if (saved !== null) {
-        enhancedSizeEnabled = JSON.parse(saved);
-      }
+    if (skipNextColorMenuUpdate) {
+      debugLog('🎨 Color Menu auto-update skipped (manual change in progress)');
+      return;
     }
     
-    // Fallback to localStorage
-    if (enhancedSizeEnabled === null) {
-      const saved = localStorage.getItem('bmCrosshairEnhancedSize');
-      if (saved !== null) {
-        enhancedSizeEnabled = JSON.parse(saved);
+    if (colorMenu && colorList && 
+        colorMenu.style.display !== 'none' && 
+        colorMenu.offsetParent !== null &&
+        templateManager?.templatesArray?.length > 0) {
+      
+      updateColorMenuNumbers();
+      debugLog('🎨 Color Menu numbers auto-updated');
+    }
+  }, 5000);
+  
+  debugLog('🎨 Color Menu auto-update started');
+}
+
+// Auto-update compact list every 5 seconds if visible
+let compactListAutoUpdateInterval = null;
+
+function startCompactListAutoUpdate() {
+  // Clear existing interval if any
+  if (compactListAutoUpdateInterval) {
+    clearInterval(compactListAutoUpdateInterval);
+  }
+  
+  // Start auto-update interval
+  compactListAutoUpdateInterval = setInterval(() => {
+    const existingCompactList = document.getElementById('bmcf-compact-list');
+    if (existingCompactList && existingCompactList.style.display !== 'none') {
+      // Only update if the list is visible
+      if (window.updateCompactListData) {
+        window.updateCompactListData(existingCompactList);
+        debugLog('📌 Compact list auto-updated');
       }
     }
-    
-    if (enhancedSizeEnabled !== null) {
-      return enhancedSizeEnabled;
-    }
-  } catch (error) {
-    console.error('Failed to load enhanced size setting:', error);
-  }
+  }, 5000); // Update every 5 seconds
   
-  // Default to disabled
-  return false;
+  debugLog('📌 Compact list auto-update started (every 5 seconds)');
 }
 
-/** Saves the enhanced size enabled setting to storage
- * @param {boolean} enabled - Whether enhanced size should be enabled
- * @since 1.0.0 
+// Start auto-update when page loads
+setTimeout(() => {
+  startMiniTrackerAutoUpdate();
+  startLeftBadgesAutoUpdate();
+  startColorMenuAutoUpdate();
+  startCompactListAutoUpdate();
+  
+  // Pin functionality removed - Color Toggle is now just a simple toggle without persistence
+}, 2000); // Start after 2 seconds to let everything initialize
+
+/** Apply header visibility based on localStorage setting
+ * @param {string} key - localStorage key (bmShowInformationHeader or bmShowTemplateHeader)
+ * @param {boolean} visible - Whether the header should be visible
+ * @since 1.0.0
  */
-function saveEnhancedSizeEnabled(enabled) {
+function applyHeaderVisibility(key, visible) {
   try {
-    const enabledString = JSON.stringify(enabled);
-    
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmCrosshairEnhancedSize', enabledString);
-    }
+    const separators = document.querySelectorAll('[id="bm-separator"]');
     
-    // Also save to localStorage as backup
-    localStorage.setItem('bmCrosshairEnhancedSize', enabledString);
+    separators.forEach((separator) => {
+      const separatorText = separator.querySelector('#bm-separator-text p');
+      if (separatorText) {
+        const text = separatorText.textContent.trim();
+        
+        if (key === 'bmShowInformationHeader' && text === 'Information') {
+          separator.style.display = visible ? '' : 'none';
+        } else if (key === 'bmShowTemplateHeader' && text === 'Template') {
+          separator.style.display = visible ? '' : 'none';
+        }
+      }
+    });
     
-    debugLog('Enhanced size setting saved successfully:', enabled);
   } catch (error) {
-    console.error('❌ Failed to save enhanced size setting:', error);
+    console.error('Failed to apply header visibility:', error);
   }
 }
 
-/** Gets the crosshair radius setting from storage
- * @returns {number} The crosshair radius value (12-32)
- * @since 1.0.0 
+
+/** Apply all stored overlay settings (fallback function for manual use)
+ * @since 1.0.0
  */
-function getCrosshairRadius() {
+function applyStoredOverlaySettings() {
   try {
-    let radiusValue = null;
+    // Read settings from localStorage
+    const showInfoHeader = JSON.parse(localStorage.getItem('bmShowInformationHeader') ?? 'true');
+    const showTemplateHeader = JSON.parse(localStorage.getItem('bmShowTemplateHeader') ?? 'true');
+    const showColorMenu = JSON.parse(localStorage.getItem('bmShowColorMenu') ?? 'false'); // Default: disabled (Beta)
     
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmCrosshairRadius', null);
-      if (saved !== null) {
-        radiusValue = JSON.parse(saved);
-      }
-    }
+    // Apply header visibility (fallback - usually handled during creation)
+    applyHeaderVisibility('bmShowInformationHeader', showInfoHeader);
+    applyHeaderVisibility('bmShowTemplateHeader', showTemplateHeader);
     
-    // Fallback to localStorage
-    if (radiusValue === null) {
-      const saved = localStorage.getItem('bmCrosshairRadius');
-      if (saved !== null) {
-        radiusValue = JSON.parse(saved);
-      }
+    // Apply color menu visibility
+    const colorMenu = document.getElementById('bm-color-menu');
+    if (colorMenu) {
+      colorMenu.style.display = showColorMenu ? '' : 'none';
     }
     
-    if (radiusValue !== null) {
-      // Ensure value is within valid range
-      return Math.max(12, Math.min(32, radiusValue));
-    }
   } catch (error) {
-    console.error('Failed to load crosshair radius setting:', error);
+    console.error('Failed to apply stored overlay settings:', error);
   }
-  
-  return 16; // Default radius (between min 12 and max 32)
 }
 
-/** Saves the crosshair radius setting to storage
- * @param {number} radius - The crosshair radius value (12-32)
- * @since 1.0.0 
+
+
+/** Helper function to make a modal draggable
+ * @param {HTMLElement} modal - The modal element to make draggable
+ * @param {HTMLElement} handle - The drag handle element
+ * @since 1.0.0
  */
-function saveCrosshairRadius(radius) {
-  try {
-    // Ensure value is within valid range
-    const clampedRadius = Math.max(12, Math.min(32, radius));
-    const radiusString = JSON.stringify(clampedRadius);
+function makeDraggable(modal, handle) {
+  let isDragging = false;
+  let dragStartX = 0;
+  let dragStartY = 0;
+  let modalStartX = 0;
+  let modalStartY = 0;
+
+  handle.style.cursor = 'move';
+  
+  handle.addEventListener('mousedown', (e) => {
+    isDragging = true;
+    dragStartX = e.clientX;
+    dragStartY = e.clientY;
     
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmCrosshairRadius', radiusString);
+    // Get current computed position
+    const rect = modal.getBoundingClientRect();
+    modalStartX = rect.left;
+    modalStartY = rect.top;
+    
+    // Remove transform centering if present
+    if (modal.style.transform.includes('translate')) {
+      modal.style.left = modalStartX + 'px';
+      modal.style.top = modalStartY + 'px';
+      modal.style.transform = 'none';
     }
     
-    // Also save to localStorage as backup
-    localStorage.setItem('bmCrosshairRadius', radiusString);
+    // Change cursor and prevent text selection
+    handle.style.cursor = 'grabbing';
+    modal.style.userSelect = 'none';
+    document.body.style.userSelect = 'none';
     
-    debugLog('Crosshair radius setting saved successfully:', clampedRadius);
-  } catch (error) {
-    console.error('❌ Failed to save crosshair radius setting:', error);
-  }
-}
+    e.preventDefault();
+  });
 
-/** Gets the mini tracker enabled setting from storage
- * @returns {boolean} Whether mini tracker is enabled
- * @since 1.0.0 
- */
-function getMiniTrackerEnabled() {
-  try {
-    let trackerEnabled = null;
-    
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmMiniTracker', null);
-      if (saved !== null) trackerEnabled = JSON.parse(saved);
-    }
+  // Mouse move handler for dragging
+  const handleMouseMove = (e) => {
+    if (!isDragging) return;
     
-    // Fallback to localStorage
-    if (trackerEnabled === null) {
-      const saved = localStorage.getItem('bmMiniTracker');
-      if (saved !== null) trackerEnabled = JSON.parse(saved);
-    }
+    const deltaX = e.clientX - dragStartX;
+    const deltaY = e.clientY - dragStartY;
     
-    if (trackerEnabled !== null) {
-      debugLog('Mini tracker setting loaded:', trackerEnabled);
-      return trackerEnabled;
-    }
-  } catch (error) {
-    console.warn('Failed to load mini tracker setting:', error);
-  }
-  
-  // Default to disabled
-  return false;
-}
-
-/** Saves the mini tracker enabled setting to storage
- * @param {boolean} enabled - Whether mini tracker should be enabled
- * @since 1.0.0
- */
-function saveMiniTrackerEnabled(enabled) {
-  try {
-    const enabledString = JSON.stringify(enabled);
+    const newLeft = modalStartX + deltaX;
+    const newTop = modalStartY + deltaY;
     
-    debugLog('Saving mini tracker setting:', enabled, 'as string:', enabledString);
+    // Keep within viewport bounds
+    const maxLeft = window.innerWidth - modal.offsetWidth;
+    const maxTop = window.innerHeight - modal.offsetHeight;
     
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmMiniTracker', enabledString);
-    }
+    modal.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
+    modal.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
+  };
+
+  // Mouse up handler to stop dragging
+  const handleMouseUp = () => {
+    if (!isDragging) return;
     
-    // Also save to localStorage as backup
-    localStorage.setItem('bmMiniTracker', enabledString);
-    debugLog('Saved to localStorage');
+    isDragging = false;
+    handle.style.cursor = 'move';
+    modal.style.userSelect = '';
+    document.body.style.userSelect = '';
     
-    debugLog('Mini tracker setting saved successfully:', enabled);
-  } catch (error) {
-    console.error('❌ Failed to save mini tracker setting:', error);
-  }
-}
+    // Update start positions for next drag
+    const rect = modal.getBoundingClientRect();
+    modalStartX = rect.left;
+    modalStartY = rect.top;
+  };
 
-/** Gets the collapse mini template setting from storage
- * @returns {boolean} Whether collapse mini template should be enabled
- * @since 1.0.0
- */
-function getCollapseMinEnabled() {
-  try {
-    let collapseEnabled = null;
+  document.addEventListener('mousemove', handleMouseMove);
+  document.addEventListener('mouseup', handleMouseUp);
+
+  // Touch support for mobile
+  handle.addEventListener('touchstart', (e) => {
+    const touch = e.touches[0];
+    isDragging = true;
+    dragStartX = touch.clientX;
+    dragStartY = touch.clientY;
     
-    // Try TamperMonkey storage first
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmCollapseMin', null);
-      if (saved !== null) collapseEnabled = JSON.parse(saved);
-    }
+    const rect = modal.getBoundingClientRect();
+    modalStartX = rect.left;
+    modalStartY = rect.top;
     
-    // Fallback to localStorage
-    if (collapseEnabled === null) {
-      const saved = localStorage.getItem('bmCollapseMin');
-      if (saved !== null) collapseEnabled = JSON.parse(saved);
+    // Remove transform centering if present
+    if (modal.style.transform.includes('translate')) {
+      modal.style.left = modalStartX + 'px';
+      modal.style.top = modalStartY + 'px';
+      modal.style.transform = 'none';
     }
     
-    if (collapseEnabled !== null) {
-      debugLog('Collapse mini template setting loaded:', collapseEnabled);
-      return collapseEnabled;
-    }
-  } catch (error) {
-    console.warn('Failed to load collapse mini template setting:', error);
-  }
-  
-  // Default to enabled
-  return true;
-}
+    modal.style.userSelect = 'none';
+    e.preventDefault();
+  }, { passive: false });
 
-/** Saves the collapse mini template setting to storage
- * @param {boolean} enabled - Whether collapse mini template should be enabled
- * @since 1.0.0
- */
-function saveCollapseMinEnabled(enabled) {
-  try {
-    const enabledString = JSON.stringify(enabled);
+  document.addEventListener('touchmove', (e) => {
+    if (!isDragging) return;
     
-    debugLog('Saving collapse mini template setting:', enabled, 'as string:', enabledString);
+    const touch = e.touches[0];
+    const deltaX = touch.clientX - dragStartX;
+    const deltaY = touch.clientY - dragStartY;
     
-    // Save to TamperMonkey storage
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmCollapseMin', enabledString);
-    }
+    const newLeft = modalStartX + deltaX;
+    const newTop = modalStartY + deltaY;
     
-    // Also save to localStorage as backup
-    localStorage.setItem('bmCollapseMin', enabledString);
-    debugLog('Saved to localStorage');
+    const maxLeft = window.innerWidth - modal.offsetWidth;
+    const maxTop = window.innerHeight - modal.offsetHeight;
     
-    debugLog('Collapse mini template setting saved successfully:', enabled);
-  } catch (error) {
-    console.error('❌ Failed to save collapse mini template setting:', error);
-  }
-}
-
-/** Gets the mobile mode setting
- * @returns {boolean} Mobile mode enabled state
- * @since 1.0.0
- */
-function getMobileMode() {
-  try {
-    debugLog('Loading mobile mode setting...');
-    const storedValue = localStorage.getItem('bmMobileMode') || 'false';
-    const mobileMode = JSON.parse(storedValue);
-    debugLog('Mobile mode setting loaded:', mobileMode);
-    return mobileMode;
-  } catch (error) {
-    console.error('❌ Failed to load mobile mode setting:', error);
-    return false;
-  }
-}
-
-/** Gets the setting for showing only the numeric left value on color cards
- * @returns {boolean} Whether numeric left badges are enabled
- */
-function getShowLeftOnColorEnabled() {
-  try {
-    let enabled = null;
-    if (typeof GM_getValue !== 'undefined') {
-      const saved = GM_getValue('bmShowLeftOnColor', null);
-      if (saved !== null) enabled = JSON.parse(saved);
-    }
-    if (enabled === null) {
-      const saved = localStorage.getItem('bmShowLeftOnColor');
-      if (saved !== null) enabled = JSON.parse(saved);
-    }
-    if (enabled !== null) {
-      debugLog('Show Left-on-Color setting loaded:', enabled);
-      return enabled;
-    }
-  } catch (error) {
-    console.warn('Failed to load Show Left-on-Color setting:', error);
-  }
-  return false;
-}
+    modal.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
+    modal.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
+  }, { passive: false });
 
-/** Saves the setting for showing only the numeric left value on color cards
- * @param {boolean} enabled - Whether numeric left badges should be shown
- */
-function saveShowLeftOnColorEnabled(enabled) {
-  try {
-    const enabledString = JSON.stringify(!!enabled);
-    if (typeof GM_setValue !== 'undefined') {
-      GM_setValue('bmShowLeftOnColor', enabledString);
-    }
-    localStorage.setItem('bmShowLeftOnColor', enabledString);
-    debugLog('Show Left-on-Color setting saved:', enabled);
+  document.addEventListener('touchend', () => {
+    if (!isDragging) return;
+    isDragging = false;
+    modal.style.userSelect = '';
     
-    // Restart the left badges auto-update system with the new setting
-    startLeftBadgesAutoUpdate();
-  } catch (error) {
-    console.error('❌ Failed to save Show Left-on-Color setting:', error);
-  }
+    // Update start positions for next drag
+    const rect = modal.getBoundingClientRect();
+    modalStartX = rect.left;
+    modalStartY = rect.top;
+  });
 }
 
-/** Saves the mobile mode setting
- * @param {boolean} enabled - Whether mobile mode is enabled
- * @since 1.0.0
- */
-function saveMobileMode(enabled) {
-  try {
-    const enabledString = JSON.stringify(enabled);
-    debugLog('Saving mobile mode setting:', enabled);
-    localStorage.setItem('bmMobileMode', enabledString);
-    debugLog('Mobile mode setting saved successfully:', enabled);
-  } catch (error) {
-    console.error('❌ Failed to save mobile mode setting:', error);
-  }
-}
 
-/**
- * Apply mobile mode styles to existing Color Filter overlay dynamically
- * @param {boolean} enableMobile - Whether to enable mobile mode
+/** Builds and displays the Art Extractor overlay
+ * @param {ApiManager} apiManager - The API manager instance
+ * @param {TemplateManager} templateManager - The template manager instance
  * @since 1.0.0
  */
-function applyMobileModeToColorFilter(enableMobile) {
-  const existingOverlay = document.getElementById('bm-color-filter-overlay');
-  if (!existingOverlay) {
-    debugLog('[Dynamic Mobile] No Color Filter overlay found');
-    return;
+function buildArtExtractorOverlay(apiManager, templateManager) {
+  // Remove existing overlay if present
+  const existingOverlay = document.getElementById('bm-art-extractor-overlay');
+  if (existingOverlay) {
+    existingOverlay.remove();
   }
 
-  // ALWAYS remove existing mobile styles first to prevent accumulation
-  let mobileStyleElement = document.getElementById('bmcf-mobile-styles');
-  if (mobileStyleElement) {
-    mobileStyleElement.remove();
-    debugLog('[Dynamic Mobile] Removed existing mobile styles');
-  }
-  
-  if (enableMobile) {
-    // Create fresh mobile style element
-    mobileStyleElement = document.createElement('style');
-    mobileStyleElement.id = 'bmcf-mobile-styles';
-    document.head.appendChild(mobileStyleElement);
-    
-    mobileStyleElement.textContent = `
-      /* Dynamic Mobile Mode Styles - Applied Fresh */
-      .bmcf-overlay { 
-        width: min(96vw, 420px) !important; 
-        max-height: 75vh !important; 
-        border-radius: 12px !important; 
-        padding: 6px !important;
-      }
-      .bmcf-header { 
-        padding: 8px 10px 6px 10px !important; 
-      }
-      .bmcf-drag-bar { 
-        height: 4px !important; 
-        margin-bottom: 6px !important; 
-      }
-      .bmcf-title { 
-        font-size: 1.12em !important; 
-      }
-      .bmcf-close { 
-        width: 22px !important; 
-        height: 22px !important; 
-      }
-      .bmcf-search { 
-        height: 28px !important; 
-        padding: 6px 10px !important; 
-        font-size: 0.75em !important; 
-      }
-      .bmcf-select { 
-        height: 28px !important; 
-        padding: 4px 8px !important; 
-        font-size: 0.85em !important; 
-      }
-      .bmcf-grid { 
-        grid-template-columns: repeat(3, minmax(0, 1fr)) !important; 
-        gap: 4px !important; 
-        justify-content: stretch !important;
+  // Detect mobile mode
+  const isMobileMode = window.innerWidth <= 768;
+
+  // Ensure Art Extractor styles are loaded
+  if (!document.getElementById('bm-art-extractor-styles')) {
+    const artExtractorStyles = document.createElement('style');
+    artExtractorStyles.id = 'bm-art-extractor-styles';
+    artExtractorStyles.textContent = `
+      :root { 
+        --slate-50: #f8fafc; --slate-100: #f1f5f9; --slate-200: #e2e8f0; --slate-300: #cbd5e1; 
+        --slate-400: #94a3b8; --slate-500: #64748b; --slate-600: #475569; --slate-700: #334155; 
+        --slate-750: #293548; --slate-800: #1e293b; --slate-900: #0f172a; --slate-950: #020617;
+        --blue-400: #60a5fa; --blue-500: #3b82f6; --blue-600: #2563eb; --blue-700: #1d4ed8;
+        --emerald-400: #34d399; --emerald-500: #10b981; --emerald-600: #059669; --emerald-700: #047857;
+        --bmcf-bg: var(--slate-900); --bmcf-card: var(--slate-800); --bmcf-border: var(--slate-700); 
+        --bmcf-muted: var(--slate-400); --bmcf-text: var(--slate-100); --bmcf-text-muted: var(--slate-300);
       }
-      .bmcf-card { 
-        padding: 6px 8px 10px 8px !important; 
-        border-radius: 6px !important; 
-        width: auto !important;
-        height: 108px !important;
-        box-sizing: border-box !important;
+      .bmae-overlay { 
+        width: min(94vw, 670px); max-height: 88vh; background: var(--bmcf-bg, #0f172a); color: var(--bmcf-text, #f1f5f9); 
+        border-radius: 20px; border: 1px solid var(--bmcf-border, #334155); 
+        box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7), 0 0 0 1px rgba(255, 255, 255, 0.05); 
+        display: flex; flex-direction: column; overflow: hidden; 
+        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+        backdrop-filter: blur(16px); position: relative;
       }
-      /* Enhanced row and label compact spacing */
-      .bmcf-card .bmcf-enhanced { 
-        padding: 0 2px !important; 
-        margin-top: 2px !important; 
-        margin-bottom: 2px !important; 
-        gap: 2px !important; 
+      .bmae-overlay::before {
+        content: ''; position: absolute; inset: 0; border-radius: 20px; 
+        background: linear-gradient(135deg, rgba(59, 130, 246, 0.1), rgba(16, 185, 129, 0.05)); 
+        pointer-events: none;
       }
-      .bmcf-card .bmcf-enhanced input { 
-        width: 12px !important; 
-        height: 12px !important; 
+      .bmae-header { 
+        display: flex; flex-direction: column; padding: 16px 20px 12px 20px; 
+        border-bottom: 1px solid var(--bmcf-border, #334155); 
+        background: linear-gradient(135deg, var(--slate-800, #1e293b), var(--slate-750, #293548)); 
+        position: relative; z-index: 1;
       }
-      .bmcf-card .bmcf-color-name { 
-        margin-bottom: 1px !important; 
-        font-size: 0.9em !important; 
-        line-height: 1.05 !important;
+      .bmae-content { padding: 20px; overflow: auto; position: relative; z-index: 1; flex: 1; }
+      .bmae-input {
+        flex: 1;
+        padding: 10px 12px;
+        background: var(--slate-800, #1e293b);
+        border: 1px solid var(--slate-700, #334155);
+        border-radius: 8px;
+        color: var(--slate-100, #f1f5f9);
+        font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+        font-size: 13px;
+        transition: all 0.2s ease;
       }
-      .bmcf-card .bmcf-stats { 
-        padding: 0 2px !important; 
-        font-size: 0.8em !important; 
-        line-height: 1.05 !important;
+      .bmae-input:focus {
+        outline: none;
+        border-color: var(--blue-500, #3b82f6);
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
       }
-      .bmcf-color-box { 
-        width: 18px !important; 
-        height: 18px !important; 
-        border-radius: 3px !important; 
+      .bmae-btn-detect {
+        background: linear-gradient(135deg, var(--blue-600, #2563eb), var(--blue-700, #1d4ed8));
+        border: 1px solid var(--blue-500, #3b82f6);
+        color: white;
+        width: 40px;
+        height: 40px;
+        border-radius: 8px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+        flex-shrink: 0;
       }
-      .bmcf-color-name { 
-        font-size: 0.75em !important; 
+      .bmae-btn-detect:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 6px 20px rgba(59, 130, 246, 0.4);
       }
-      .bmcf-stats { 
-        font-size: 0.65em !important; 
-        gap: 2px !important; 
+      .bmae-btn-extract {
+        margin-top: 20px;
+        width: 100%;
+        padding: 12px;
+        background: linear-gradient(135deg, var(--emerald-600, #059669), var(--emerald-700, #047857));
+        border: 1px solid var(--emerald-500, #10b981);
+        color: white;
+        border-radius: 10px;
+        cursor: pointer;
+        font-size: 15px;
+        font-weight: 600;
+        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+        font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
       }
-      .bmcf-btn { 
-        height: 28px !important; 
-        padding: 0 10px !important; 
-        min-width: 70px !important; 
-        font-size: 0.75em !important; 
+      .bmae-btn-extract:hover {
+        transform: translateY(-2px);
+        box-shadow: 0 6px 20px rgba(16, 185, 129, 0.4);
       }
-      .bmcf-footer { 
-        padding: 6px 8px !important; 
-        gap: 6px !important; 
+      .bmae-btn-extract:disabled {
+        background: var(--slate-700, #334155);
+        border: 1px solid var(--slate-600, #475569);
+        color: var(--slate-500, #64748b);
+        cursor: not-allowed;
+        transform: none;
+        box-shadow: none;
       }
-      .bmcf-progress-container { 
-        padding: 6px 10px !important; 
+      .bmae-btn-extract:disabled:hover {
+        transform: none;
+        box-shadow: none;
       }
-      .bmcf-instructions { 
-        font-size: 0.7em !important; 
-        padding: 6px 10px !important; 
+      .bmae-btn-template {
+        margin-top: 10px;
+        background: linear-gradient(135deg, var(--blue-600, #2563eb), var(--blue-700, #1d4ed8));
+        border: 1px solid var(--blue-500, #3b82f6);
       }
-      /* List view styles for mobile */
-      .bmcf-list { 
-        gap: 4px !important; 
+      .bmae-btn-template:hover {
+        box-shadow: 0 6px 20px rgba(59, 130, 246, 0.4);
       }
-      .bmcf-list-item { 
-        padding: 6px 8px !important; 
-        min-height: 40px !important;
-        gap: 8px !important;
+      .bmae-btn-small {
+        background: var(--slate-700, #334155);
+        border: 1px solid var(--slate-600, #475569);
+        color: var(--slate-100, #f1f5f9);
+        height: 30px;
+        min-width: 30px;
+        padding: 0 8px;
+        border-radius: 6px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 4px;
+        font-size: 12px;
+        font-weight: 600;
+        flex-shrink: 0;
+        transition: all 0.2s ease;
       }
-      .bmcf-list-item .info-container { 
-        font-size: 0.8em !important; 
+      .bmae-btn-small:hover {
+        background: var(--slate-600, #475569);
       }
-      .bmcf-list-item .color-swatch { 
-        width: 24px !important; 
-        height: 24px !important; 
+      .bmae-btn-small:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
       }
     `;
-    debugLog('[Dynamic Mobile] Mobile mode styles applied FRESH to Color Filter');
-  } else {
-    debugLog('[Dynamic Mobile] Mobile mode disabled - styles removed');
+    document.head.appendChild(artExtractorStyles);
   }
-}
 
-/** Updates the mini progress tracker visibility and content
- * @since 1.0.0
- */
-function updateMiniTracker() {
-  try {
-  const trackerEnabled = getMiniTrackerEnabled();
-  const collapseEnabled = getCollapseMinEnabled();
-  const existingTracker = document.getElementById('bm-mini-tracker');
-  
-  // Check if main overlay is minimized
-  const mainOverlay = document.getElementById('bm-overlay');
-    if (!mainOverlay) {
-      console.warn('Main overlay not found, skipping mini tracker update');
-      return;
-    }
-    const isMainMinimized = mainOverlay && (mainOverlay.style.width === '60px' || mainOverlay.style.height === '76px' || mainOverlay.style.width === '72px');
-  
-  // Hide tracker if disabled OR if collapse is enabled and main is minimized
-  if (!trackerEnabled || (collapseEnabled && isMainMinimized)) {
-    if (existingTracker) {
-      existingTracker.remove();
-      debugLog(`Mini tracker hidden - ${!trackerEnabled ? 'disabled' : 'collapsed with main overlay'}`);
-    }
-    return;
-  }
-  
-  // Calculate progress data using the SAME method as the main progress bar
-  let totalRequired = 0;
-  let totalPainted = 0;
-  let totalNeedCrosshair = 0;
-  
-  if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
-    // Use templateManager.calculateRemainingPixelsByColor() like the main progress bar does
-    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-    
-    // Get excluded colors from localStorage (same as main progress bar)
-    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-    
-    for (const [colorKey, stats] of Object.entries(pixelStats)) {
-      // Skip excluded colors from mini tracker calculation too
-      if (excludedColors.includes(colorKey)) {
-        continue;
-      }
-      
-      totalRequired += stats.totalRequired || 0;
-      totalPainted += stats.painted || 0;
-      totalNeedCrosshair += stats.needsCrosshair || 0;
-    }
-  }
-  
-  const progressPercentage = totalRequired > 0 ? Math.round((totalPainted / totalRequired) * 100) : 0;
-  const remaining = totalRequired - totalPainted;
-  
-  // Create or update tracker
-  let tracker = existingTracker;
-  if (!tracker) {
-    tracker = document.createElement('div');
-    tracker.id = 'bm-mini-tracker';
-    
-    // Find the buttons container to position tracker after it
-    const buttonsContainer = document.getElementById('bm-contain-buttons-template');
-    const mainOverlay = document.getElementById('bm-overlay');
-    
-    if (buttonsContainer && mainOverlay) {
-      try {
-        // Insert tracker after the buttons container but before the status textarea
-        const statusTextarea = document.getElementById(overlayMain.outputStatusId);
-        if (statusTextarea && statusTextarea.parentNode === mainOverlay) {
-          mainOverlay.insertBefore(tracker, statusTextarea);
-        } else if (buttonsContainer.parentNode && buttonsContainer.nextSibling) {
-          // Fallback: insert after buttons container
-          buttonsContainer.parentNode.insertBefore(tracker, buttonsContainer.nextSibling);
-        } else {
-          // Last resort: append to main overlay
-          mainOverlay.appendChild(tracker);
-        }
-      } catch (error) {
-        console.error('Error inserting mini tracker:', error);
-        // Try to append as fallback
-        try {
-          mainOverlay.appendChild(tracker);
-        } catch (appendError) {
-          console.error('Failed to append mini tracker:', appendError);
-        }
-      }
-    }
-  }
-  
-  // Style the tracker - COMPACT SLATE THEME (responsive to minimized state)
-  const isMainMinimizedForStyle = mainOverlay && (mainOverlay.style.width === '60px' || mainOverlay.style.height === '76px' || mainOverlay.style.width === '72px');
-  
-  tracker.style.cssText = `
-    background: linear-gradient(135deg, #1e293b, #334155);
-    border: 1px solid #475569;
-    border-radius: 12px;
-    padding: 12px 16px;
-    margin-top: 8px;
+  // Create overlay container (modal wrapper)
+  const artExtractorOverlay = document.createElement('div');
+  artExtractorOverlay.id = 'bm-art-extractor-overlay';
+  artExtractorOverlay.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    z-index: 9001;
+    ${isMobileMode ? 'max-width: 95vw; max-height: 90vh;' : ''}
+  `;
+  artExtractorOverlay.className = 'bmae-overlay';
+
+  // Header
+  const header = document.createElement('div');
+  header.className = 'bmae-header';
+
+  // Drag bar
+  const dragBar = document.createElement('div');
+  dragBar.className = 'bmae-drag-bar';
+  dragBar.style.cssText = `
+    background: linear-gradient(90deg, #475569 0%, #64748b 50%, #475569 100%);
+    border-radius: 4px;
+    cursor: grab;
+    width: 100%;
+    height: 6px;
+    margin-bottom: 8px;
+    opacity: 0.8;
+    transition: opacity 0.2s ease;
+  `;
+
+  // Drag bar hover effect
+  dragBar.addEventListener('mouseenter', () => {
+    dragBar.style.opacity = '1';
+  });
+  dragBar.addEventListener('mouseleave', () => {
+    dragBar.style.opacity = '0.8';
+  });
+
+  // Container for title and close button
+  const titleContainer = document.createElement('div');
+  titleContainer.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    width: 100%;
+  `;
+
+  const title = document.createElement('h2');
+  title.textContent = 'Art Extractor';
+  const titleFontSize = isMobileMode ? '1.2em' : '1.5em';
+  title.style.cssText = `
+    margin: 0; 
+    font-size: ${titleFontSize}; 
+    font-weight: 700;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    text-align: center;
+    flex: 1;
+    pointer-events: none;
+    letter-spacing: -0.025em;
     color: #f1f5f9;
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-    width: ${isMainMinimizedForStyle ? '230px' : '100%'};
-    font-size: 0.85rem;
-    display: grid;
-    grid-template-columns: 1fr;
-    grid-template-rows: auto auto auto auto;
-    grid-gap: 6px;
-    letter-spacing: -0.01em;
-    box-sizing: border-box;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
   `;
-  
-  // LAYOUT CSS GRID - HTML LIMPO
-  if (totalRequired === 0) {
-    tracker.innerHTML = `
-      <div class="tracker-title">📊 Template Progress: 0%</div>
-      <div class="tracker-pixels">0 / 0 pixels painted</div>
-      <div class="tracker-progress">
-        <div class="tracker-bar" style="width: 0%;"></div>
-      </div>
-      <div class="tracker-left">0 Pixels Left</div>
-    `;
-  } else {
-    tracker.innerHTML = `
-      <div class="tracker-title">📊 Template Progress: ${progressPercentage}%</div>
-      <div class="tracker-pixels">${totalPainted.toLocaleString()} / ${totalRequired.toLocaleString()} pixels painted</div>
-      <div class="tracker-progress">
-        <div class="tracker-bar" style="width: ${progressPercentage}%;"></div>
-      </div>
-      <div class="tracker-left">${totalNeedCrosshair.toLocaleString()} Pixels Left</div>
-    `;
-  }
-  
-  // Aplicar estilos CSS às classes - SLATE THEME COMPACT (fixed styles)
-  const style = document.createElement('style');
-  style.textContent = `
-    .tracker-title {
-      font-size: 1rem;
-      font-weight: 700;
-      grid-row: 1;
-      width: 100%;
-      text-align: left;
-      color: #f1f5f9;
-      letter-spacing: -0.02em;
-      line-height: 1.2;
-    }
-    .tracker-pixels {
-      font-size: 0.8rem;
-      color: #cbd5e1;
-      grid-row: 2;
-      width: 100%;
-      text-align: left;
-      font-weight: 500;
-      line-height: 1.2;
-    }
-    .tracker-progress {
-      height: 8px;
-      background: #475569;
-      border-radius: 6px;
-      overflow: hidden;
-      grid-row: 3;
-      width: 100%;
-      border: 1px solid #64748b;
-      min-width: 0;
-    }
-    .tracker-bar {
-      height: 100%;
-      background: linear-gradient(90deg, #3b82f6, #10b981);
-      border-radius: 4px;
-      transition: width 0.3s ease;
-      min-width: 0;
-    }
-    .tracker-left {
-      font-size: 0.8rem;
-      color: #fbbf24;
-      grid-row: 4;
-      width: 100%;
-      text-align: left;
-      font-weight: 600;
-      line-height: 1.2;
-    }
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '✕';
+  const buttonSize = isMobileMode ? '32px' : '36px';
+  const buttonFontSize = isMobileMode ? '14px' : '16px';
+  closeButton.style.cssText = `
+    background: linear-gradient(135deg, #ef4444, #dc2626);
+    border: 1px solid rgba(239, 68, 68, 0.3);
+    color: white;
+    width: ${buttonSize};
+    height: ${buttonSize};
+    border-radius: 12px;
+    cursor: pointer;
+    font-size: ${buttonFontSize};
+    font-weight: 600;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+    position: relative;
+    overflow: hidden;
   `;
-  // Remove existing styles and add updated ones to ensure state changes are reflected
-  const existingStyle = document.getElementById('tracker-styles');
-  if (existingStyle) {
-    existingStyle.remove();
-  }
-  style.id = 'tracker-styles';
-  document.head.appendChild(style);
-  
-  debugLog(`Mini tracker updated: ${totalPainted}/${totalRequired} (${progressPercentage}%) - ${totalNeedCrosshair} need crosshair`);
-  } catch (error) {
-    console.error('❌ Error updating mini tracker:', error);
-    // Clean up any problematic tracker
-    const problemTracker = document.getElementById('bm-mini-tracker');
-    if (problemTracker) {
-      try {
-        problemTracker.remove();
-      } catch (removeError) {
-        console.error('Failed to remove problematic tracker:', removeError);
-      }
+
+  // Hover effects
+  closeButton.onmouseover = () => {
+    closeButton.style.transform = 'translateY(-1px) scale(1.05)';
+    closeButton.style.boxShadow = '0 6px 20px rgba(239, 68, 68, 0.4)';
+  };
+  closeButton.onmouseout = () => {
+    closeButton.style.transform = '';
+    closeButton.style.boxShadow = '';
+  };
+
+  closeButton.addEventListener('touchstart', () => {
+    closeButton.style.transform = '';
+    closeButton.style.boxShadow = '';
+  }, { passive: true });
+
+  closeButton.onclick = async () => {
+    activeExtraction?.abort();
+    Timelapse.onTimelapseUpdate(null); // Recording carries on in the background
+    if (RegionSelector.isRegionSelectorActive()) {
+      RegionSelector.cancelRegionSelector();
     }
-  }
-}
+    ArtExtractor.clearExtractorCoordinates();
+    await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    ArtExtractor.clearPreviewTemplate();
+    artExtractorOverlay.remove();
+  };
 
-// Auto-update mini tracker every 5 seconds if enabled
-let miniTrackerAutoUpdateInterval = null;
+  // Content area
+  const content = document.createElement('div');
+  content.className = 'bmae-content';
 
-function startMiniTrackerAutoUpdate() {
-  // Clear existing interval if any
-  if (miniTrackerAutoUpdateInterval) {
-    clearInterval(miniTrackerAutoUpdateInterval);
-  }
-  
-  // Only start auto-update if mini tracker is enabled
-  if (getMiniTrackerEnabled()) {
-    miniTrackerAutoUpdateInterval = setInterval(() => {
-      const isStillEnabled = getMiniTrackerEnabled();
-      if (isStillEnabled) {
-        updateMiniTracker();
-        debugLog('Mini tracker auto-updated');
-      } else {
-        // Stop auto-update if disabled
-        clearInterval(miniTrackerAutoUpdateInterval);
-        miniTrackerAutoUpdateInterval = null;
-        debugLog('Mini tracker auto-update stopped (disabled)');
-      }
-    }, 5000); // Update every 5 seconds
-    
-    debugLog('Mini tracker auto-update started (every 5 seconds)');
-  }
-}
+  // Create coordinate input groups with 4 separate fields
+  const createCoordinateGroup = (labelText, type) => {
+    const group = document.createElement('div');
+    group.style.cssText = `
+      margin-bottom: 24px;
+    `;
 
-// Auto-update left badges independently of mini tracker
-let leftBadgesAutoUpdateInterval = null;
+    // Header row with label and detect button
+    const headerRow = document.createElement('div');
+    headerRow.style.cssText = `
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 8px;
+    `;
 
-function updateLeftBadgesOnly() {
-  // Only update if the setting is enabled
-  if (!getShowLeftOnColorEnabled()) return;
-  
-  // Check if templates are available
-  if (!templateManager.templatesArray || templateManager.templatesArray.length === 0) return;
-  
-  try {
-    // Calculate pixel statistics
-    const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-    
-    // Update the palette badges
-    updatePaletteLeftBadges(pixelStats);
-    
-    debugLog('Left badges auto-updated independently');
-  } catch (error) {
-    console.warn('Failed to auto-update left badges:', error);
-  }
-}
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.cssText = `
+      font-weight: 600;
+      font-size: 14px;
+      color: var(--slate-200);
+      letter-spacing: 0.025em;
+    `;
+
+    const detectButton = document.createElement('button');
+    detectButton.innerHTML = icons.pointerIcon + ' Detect';
+    detectButton.title = 'Detect coordinates from canvas';
+    detectButton.className = 'bmae-btn-detect';
+    detectButton.style.cssText = `
+      background: linear-gradient(135deg, var(--blue-600, #2563eb), var(--blue-700, #1d4ed8));
+      border: 1px solid var(--blue-500, #3b82f6);
+      color: white;
+      height: 32px;
+      padding: 0 12px;
+      border-radius: 8px;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+      font-size: 13px;
+      font-weight: 600;
+      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      flex-shrink: 0;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      width: auto;
+    `;
+
+    headerRow.appendChild(label);
+    headerRow.appendChild(detectButton);
 
-function startLeftBadgesAutoUpdate() {
-  // Clear existing interval if any
-  if (leftBadgesAutoUpdateInterval) {
-    clearInterval(leftBadgesAutoUpdateInterval);
-  }
-  
-  // Only start auto-update if left badges are enabled
-  if (getShowLeftOnColorEnabled()) {
-    leftBadgesAutoUpdateInterval = setInterval(() => {
-      const isStillEnabled = getShowLeftOnColorEnabled();
-      if (isStillEnabled) {
-        updateLeftBadgesOnly();
-      } else {
-        // Stop auto-update if disabled
-        clearInterval(leftBadgesAutoUpdateInterval);
-        leftBadgesAutoUpdateInterval = null;
-        debugLog('Left badges auto-update stopped (disabled)');
-      }
-    }, 5000); // Update every 5 seconds
-    
-    debugLog('Left badges auto-update started (every 5 seconds)');
-  }
-}
+    // Input grid (4 fields: Tile X, Tile Y, Pixel X, Pixel Y)
+    const inputGrid = document.createElement('div');
+    inputGrid.style.cssText = `
+      display: grid;
+      grid-template-columns: 1fr 1fr 1fr 1fr;
+      gap: 8px;
+    `;
 
-// Auto-update Color Menu (main template color list) every 5 seconds if visible
-let colorMenuAutoUpdateInterval = null;
+    // Create 4 number inputs
+    const inputs = [];
+    const placeholders = ['Tile X', 'Tile Y', 'Px X', 'Px Y'];
+    const ids = [`${type}-tx`, `${type}-ty`, `${type}-px`, `${type}-py`];
 
-function startColorMenuAutoUpdate() {
-  // Clear existing interval if any
-  if (colorMenuAutoUpdateInterval) {
-    clearInterval(colorMenuAutoUpdateInterval);
-  }
-  
-  colorMenuAutoUpdateInterval = setInterval(() => {
-    const colorMenu = document.getElementById('bm-color-menu');
-    const colorList = document.getElementById('bm-color-list');
-    
-    if (skipNextColorMenuUpdate) {
-      debugLog('🎨 Color Menu auto-update skipped (manual change in progress)');
-      return;
-    }
-    
-    if (colorMenu && colorList && 
-        colorMenu.style.display !== 'none' && 
-        colorMenu.offsetParent !== null &&
-        templateManager?.templatesArray?.length > 0) {
-      
-      updateColorMenuNumbers();
-      debugLog('🎨 Color Menu numbers auto-updated');
-    }
-  }, 5000);
-  
-  debugLog('🎨 Color Menu auto-update started');
-}
+    for (let i = 0; i < 4; i++) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.placeholder = placeholders[i];
+      input.id = `bm-ae-coord-${ids[i]}`;
+      input.min = 0;
+      input.max = (i < 2) ? 2047 : 999;
+      input.step = 1;
+      input.className = 'bmae-input';
+      input.style.cssText = `
+        width: 100%;
+        height: 40px;
+        background: var(--slate-800, #1e293b);
+        border: 1px solid var(--slate-700, #334155);
+        color: var(--slate-100, #f1f5f9);
+        padding: 0 8px;
+        font-size: 13px;
+        border-radius: 8px;
+        transition: all 0.2s ease;
+        font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+        text-align: center;
+      `;
 
-// Auto-update compact list every 5 seconds if visible
-let compactListAutoUpdateInterval = null;
+      input.addEventListener('blur', () => {
+        updateCoordinatesFromInputs(type);
+      });
 
-function startCompactListAutoUpdate() {
-  // Clear existing interval if any
-  if (compactListAutoUpdateInterval) {
-    clearInterval(compactListAutoUpdateInterval);
-  }
-  
-  // Start auto-update interval
-  compactListAutoUpdateInterval = setInterval(() => {
-    const existingCompactList = document.getElementById('bmcf-compact-list');
-    if (existingCompactList && existingCompactList.style.display !== 'none') {
-      // Only update if the list is visible
-      if (window.updateCompactListData) {
-        window.updateCompactListData(existingCompactList);
-        debugLog('📌 Compact list auto-updated');
-      }
+      // Pasting a Wplace link or "Tl X: .., Px X: .." text fills all four fields
+      input.addEventListener('paste', (e) => {
+        const parsed = parseCoordinates(e.clipboardData?.getData('text'));
+        if (!parsed) return;
+        e.preventDefault();
+        parsed.coords.forEach((value, index) => { inputs[index].value = value; });
+        updateCoordinatesFromInputs(type);
+      });
+
+      inputs.push(input);
+      inputGrid.appendChild(input);
     }
-  }, 5000); // Update every 5 seconds
-  
-  debugLog('📌 Compact list auto-update started (every 5 seconds)');
-}
 
-// Start auto-update when page loads
-setTimeout(() => {
-  startMiniTrackerAutoUpdate();
-  startLeftBadgesAutoUpdate();
-  startColorMenuAutoUpdate();
-  startCompactListAutoUpdate();
-  
-  // Pin functionality removed - Color Toggle is now just a simple toggle without persistence
-}, 2000); // Start after 2 seconds to let everything initialize
+    let currentDetectionCleanup = null;
 
-/** Apply header visibility based on localStorage setting
- * @param {string} key - localStorage key (bmShowInformationHeader or bmShowTemplateHeader)
- * @param {boolean} visible - Whether the header should be visible
- * @since 1.0.0
- */
-function applyHeaderVisibility(key, visible) {
-  try {
-    const separators = document.querySelectorAll('[id="bm-separator"]');
-    
-    separators.forEach((separator) => {
-      const separatorText = separator.querySelector('#bm-separator-text p');
-      if (separatorText) {
-        const text = separatorText.textContent.trim();
+    detectButton.addEventListener('click', () => {
+      if (currentDetectionCleanup) {
+        currentDetectionCleanup();
+      }
+
+      currentDetectionCleanup = ArtExtractor.startCoordinateDetection(type, (coords) => {
+        inputs[0].value = coords[0];
+        inputs[1].value = coords[1];
+        inputs[2].value = coords[2];
+        inputs[3].value = coords[3];
         
-        if (key === 'bmShowInformationHeader' && text === 'Information') {
-          separator.style.display = visible ? '' : 'none';
-        } else if (key === 'bmShowTemplateHeader' && text === 'Template') {
-          separator.style.display = visible ? '' : 'none';
+        if (type === 'from') {
+          ArtExtractor.setFromCoordinates(coords);
+        } else {
+          ArtExtractor.setToCoordinates(coords);
         }
-      }
+        
+        updateDimensionsDisplay();
+        currentDetectionCleanup = null;
+      }, apiManager);
     });
-    
-  } catch (error) {
-    console.error('Failed to apply header visibility:', error);
-  }
-}
 
+    group.appendChild(headerRow);
+    group.appendChild(inputGrid);
 
-/** Apply all stored overlay settings (fallback function for manual use)
- * @since 1.0.0
- */
-function applyStoredOverlaySettings() {
-  try {
-    // Read settings from localStorage
-    const showInfoHeader = JSON.parse(localStorage.getItem('bmShowInformationHeader') ?? 'true');
-    const showTemplateHeader = JSON.parse(localStorage.getItem('bmShowTemplateHeader') ?? 'true');
-    const showColorMenu = JSON.parse(localStorage.getItem('bmShowColorMenu') ?? 'false'); // Default: disabled (Beta)
-    
-    // Apply header visibility (fallback - usually handled during creation)
-    applyHeaderVisibility('bmShowInformationHeader', showInfoHeader);
-    applyHeaderVisibility('bmShowTemplateHeader', showTemplateHeader);
-    
-    // Apply color menu visibility
-    const colorMenu = document.getElementById('bm-color-menu');
-    if (colorMenu) {
-      colorMenu.style.display = showColorMenu ? '' : 'none';
+    return { group, inputs };
+  };
+
+  // Function to update coordinates from individual inputs
+  const updateCoordinatesFromInputs = async (type) => {
+    const txInput = document.getElementById(`bm-ae-coord-${type}-tx`);
+    const tyInput = document.getElementById(`bm-ae-coord-${type}-ty`);
+    const pxInput = document.getElementById(`bm-ae-coord-${type}-px`);
+    const pyInput = document.getElementById(`bm-ae-coord-${type}-py`);
+
+    const tx = parseInt(txInput.value);
+    const ty = parseInt(tyInput.value);
+    const px = parseInt(pxInput.value);
+    const py = parseInt(pyInput.value);
+
+    // Validate: pixel coordinates must be 0-999
+    if (!isNaN(tx) && !isNaN(ty) && !isNaN(px) && !isNaN(py)) {
+      // Clamp pixel values to valid range
+      const clampedPx = Math.max(0, Math.min(999, px));
+      const clampedPy = Math.max(0, Math.min(999, py));
+      
+      // Update inputs if clamped
+      if (px !== clampedPx) pxInput.value = clampedPx;
+      if (py !== clampedPy) pyInput.value = clampedPy;
+      
+      const coords = [tx, ty, clampedPx, clampedPy];
+      if (type === 'from') {
+        ArtExtractor.setFromCoordinates(coords);
+      } else {
+        ArtExtractor.setToCoordinates(coords);
+      }
+      updateDimensionsDisplay();
+      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
     }
-    
-  } catch (error) {
-    console.error('Failed to apply stored overlay settings:', error);
-  }
-}
+  };
 
+  // Saved regions library, so regions survive clearing and reloading
+  const regionsSection = document.createElement('div');
+  regionsSection.style.cssText = `
+    margin-bottom: 24px;
+    padding: 12px 16px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-700);
+    border-radius: 8px;
+  `;
 
+  const regionsHeader = document.createElement('div');
+  regionsHeader.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+  `;
 
-/** Helper function to make a modal draggable
- * @param {HTMLElement} modal - The modal element to make draggable
- * @param {HTMLElement} handle - The drag handle element
- * @since 1.0.0
- */
-function makeDraggable(modal, handle) {
-  let isDragging = false;
-  let dragStartX = 0;
-  let dragStartY = 0;
-  let modalStartX = 0;
-  let modalStartY = 0;
+  const regionsLabel = document.createElement('label');
+  regionsLabel.textContent = 'Saved Regions';
+  regionsLabel.style.cssText = `
+    font-weight: 600;
+    font-size: 14px;
+    color: var(--slate-200);
+    letter-spacing: 0.025em;
+    white-space: nowrap;
+  `;
+
+  const regionNameInput = document.createElement('input');
+  regionNameInput.type = 'text';
+  regionNameInput.placeholder = 'Region name';
+  regionNameInput.className = 'bmae-input';
+  regionNameInput.style.cssText = `
+    min-width: 0;
+    height: 30px;
+    padding: 0 10px;
+    font-size: 13px;
+  `;
+
+  const saveRegionButton = document.createElement('button');
+  saveRegionButton.textContent = 'Save';
+  saveRegionButton.title = 'Save the current From/To coordinates as a named region';
+  saveRegionButton.className = 'bmae-btn-small';
 
-  handle.style.cursor = 'move';
-  
-  handle.addEventListener('mousedown', (e) => {
-    isDragging = true;
-    dragStartX = e.clientX;
-    dragStartY = e.clientY;
-    
-    // Get current computed position
-    const rect = modal.getBoundingClientRect();
-    modalStartX = rect.left;
-    modalStartY = rect.top;
-    
-    // Remove transform centering if present
-    if (modal.style.transform.includes('translate')) {
-      modal.style.left = modalStartX + 'px';
-      modal.style.top = modalStartY + 'px';
-      modal.style.transform = 'none';
-    }
-    
-    // Change cursor and prevent text selection
-    handle.style.cursor = 'grabbing';
-    modal.style.userSelect = 'none';
-    document.body.style.userSelect = 'none';
-    
-    e.preventDefault();
-  });
+  regionsHeader.append(regionsLabel, regionNameInput, saveRegionButton);
 
-  // Mouse move handler for dragging
-  const handleMouseMove = (e) => {
-    if (!isDragging) return;
-    
-    const deltaX = e.clientX - dragStartX;
-    const deltaY = e.clientY - dragStartY;
-    
-    const newLeft = modalStartX + deltaX;
-    const newTop = modalStartY + deltaY;
-    
-    // Keep within viewport bounds
-    const maxLeft = window.innerWidth - modal.offsetWidth;
-    const maxTop = window.innerHeight - modal.offsetHeight;
-    
-    modal.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
-    modal.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
-  };
+  const regionsList = document.createElement('div');
+  regionsList.id = 'bm-ae-regions-list';
+  regionsList.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    max-height: 160px;
+    overflow-y: auto;
+  `;
 
-  // Mouse up handler to stop dragging
-  const handleMouseUp = () => {
-    if (!isDragging) return;
-    
-    isDragging = false;
-    handle.style.cursor = 'move';
-    modal.style.userSelect = '';
-    document.body.style.userSelect = '';
-    
-    // Update start positions for next drag
-    const rect = modal.getBoundingClientRect();
-    modalStartX = rect.left;
-    modalStartY = rect.top;
-  };
+  regionsSection.append(regionsHeader, regionsList);
+  content.appendChild(regionsSection);
 
-  document.addEventListener('mousemove', handleMouseMove);
-  document.addEventListener('mouseup', handleMouseUp);
+  // Drag-to-select on the map as an alternative to two "Detect" clicks
+  const selectOnMapButton = document.createElement('button');
+  selectOnMapButton.innerHTML = icons.pointerIcon + ' Select Area on Map';
+  selectOnMapButton.title = 'Drag a rectangle on the map, then resize it with the handles';
+  selectOnMapButton.className = 'bmae-btn-extract bmae-btn-template';
+  selectOnMapButton.style.cssText = `
+    margin: 0 0 24px 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 8px;
+  `;
+  selectOnMapButton.addEventListener('click', () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
 
-  // Touch support for mobile
-  handle.addEventListener('touchstart', (e) => {
-    const touch = e.touches[0];
-    isDragging = true;
-    dragStartX = touch.clientX;
-    dragStartY = touch.clientY;
-    
-    const rect = modal.getBoundingClientRect();
-    modalStartX = rect.left;
-    modalStartY = rect.top;
-    
-    // Remove transform centering if present
-    if (modal.style.transform.includes('translate')) {
-      modal.style.left = modalStartX + 'px';
-      modal.style.top = modalStartY + 'px';
-      modal.style.transform = 'none';
-    }
-    
-    modal.style.userSelect = 'none';
-    e.preventDefault();
-  }, { passive: false });
+    // Hide the overlay so the map is free to draw on
+    artExtractorOverlay.style.display = 'none';
 
-  document.addEventListener('touchmove', (e) => {
-    if (!isDragging) return;
-    
-    const touch = e.touches[0];
-    const deltaX = touch.clientX - dragStartX;
-    const deltaY = touch.clientY - dragStartY;
-    
-    const newLeft = modalStartX + deltaX;
-    const newTop = modalStartY + deltaY;
-    
-    const maxLeft = window.innerWidth - modal.offsetWidth;
-    const maxTop = window.innerHeight - modal.offsetHeight;
-    
-    modal.style.left = Math.max(0, Math.min(maxLeft, newLeft)) + 'px';
-    modal.style.top = Math.max(0, Math.min(maxTop, newTop)) + 'px';
-  }, { passive: false });
+    RegionSelector.startRegionSelector({
+      initialRegion: (coords.from && coords.to) ? coords : null,
+      onConfirm: async (result) => {
+        artExtractorOverlay.style.display = '';
+        fromGroup.inputs.forEach((input, i) => input.value = result.from[i]);
+        toGroup.inputs.forEach((input, i) => input.value = result.to[i]);
+        ArtExtractor.setFromCoordinates(result.from);
+        ArtExtractor.setToCoordinates(result.to);
+        await updateDimensionsDisplay();
+      },
+      onCancel: () => {
+        artExtractorOverlay.style.display = '';
+      }
+    });
 
-  document.addEventListener('touchend', () => {
-    if (!isDragging) return;
-    isDragging = false;
-    modal.style.userSelect = '';
-    
-    // Update start positions for next drag
-    const rect = modal.getBoundingClientRect();
-    modalStartX = rect.left;
-    modalStartY = rect.top;
+    // Map not ready - the selector did not start
+    if (!RegionSelector.isRegionSelectorActive()) {
+      artExtractorOverlay.style.display = '';
+      alert('Map not ready yet. Try again once the board has loaded.');
+    }
   });
-}
+  content.appendChild(selectOnMapButton);
 
+  const fromGroup = createCoordinateGroup('Coordinates From (Top-Left)', 'from');
+  content.appendChild(fromGroup.group);
 
-/** Builds and displays the Art Extractor overlay
- * @param {ApiManager} apiManager - The API manager instance
- * @param {TemplateManager} templateManager - The template manager instance
- * @since 1.0.0
- */
-function buildArtExtractorOverlay(apiManager, templateManager) {
-  // Remove existing overlay if present
-  const existingOverlay = document.getElementById('bm-art-extractor-overlay');
-  if (existingOverlay) {
-    existingOverlay.remove();
-  }
+  const toGroup = createCoordinateGroup('Coordinates To (Bottom-Right)', 'to');
+  content.appendChild(toGroup.group);
 
-  // Detect mobile mode
-  const isMobileMode = window.innerWidth <= 768;
+  const dimensionsContainer = document.createElement('div');
+  dimensionsContainer.style.cssText = `
+    margin-top: 16px;
+    padding: 12px 16px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-700);
+    border-radius: 8px;
+    font-size: 13px;
+    color: var(--slate-300);
+  `;
 
-  // Ensure Art Extractor styles are loaded
-  if (!document.getElementById('bm-art-extractor-styles')) {
-    const artExtractorStyles = document.createElement('style');
-    artExtractorStyles.id = 'bm-art-extractor-styles';
-    artExtractorStyles.textContent = `
-      :root { 
-        --slate-50: #f8fafc; --slate-100: #f1f5f9; --slate-200: #e2e8f0; --slate-300: #cbd5e1; 
-        --slate-400: #94a3b8; --slate-500: #64748b; --slate-600: #475569; --slate-700: #334155; 
-        --slate-750: #293548; --slate-800: #1e293b; --slate-900: #0f172a; --slate-950: #020617;
-        --blue-400: #60a5fa; --blue-500: #3b82f6; --blue-600: #2563eb; --blue-700: #1d4ed8;
-        --emerald-400: #34d399; --emerald-500: #10b981; --emerald-600: #059669; --emerald-700: #047857;
-        --bmcf-bg: var(--slate-900); --bmcf-card: var(--slate-800); --bmcf-border: var(--slate-700); 
-        --bmcf-muted: var(--slate-400); --bmcf-text: var(--slate-100); --bmcf-text-muted: var(--slate-300);
-      }
-      .bmae-overlay { 
-        width: min(94vw, 670px); max-height: 88vh; background: var(--bmcf-bg, #0f172a); color: var(--bmcf-text, #f1f5f9); 
-        border-radius: 20px; border: 1px solid var(--bmcf-border, #334155); 
-        box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7), 0 0 0 1px rgba(255, 255, 255, 0.05); 
-        display: flex; flex-direction: column; overflow: hidden; 
-        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-        backdrop-filter: blur(16px); position: relative;
-      }
-      .bmae-overlay::before {
-        content: ''; position: absolute; inset: 0; border-radius: 20px; 
-        background: linear-gradient(135deg, rgba(59, 130, 246, 0.1), rgba(16, 185, 129, 0.05)); 
-        pointer-events: none;
-      }
-      .bmae-header { 
-        display: flex; flex-direction: column; padding: 16px 20px 12px 20px; 
-        border-bottom: 1px solid var(--bmcf-border, #334155); 
-        background: linear-gradient(135deg, var(--slate-800, #1e293b), var(--slate-750, #293548)); 
-        position: relative; z-index: 1;
-      }
-      .bmae-content { padding: 20px; overflow: auto; position: relative; z-index: 1; flex: 1; }
-      .bmae-input {
-        flex: 1;
-        padding: 10px 12px;
-        background: var(--slate-800, #1e293b);
-        border: 1px solid var(--slate-700, #334155);
-        border-radius: 8px;
-        color: var(--slate-100, #f1f5f9);
-        font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
-        font-size: 13px;
-        transition: all 0.2s ease;
-      }
-      .bmae-input:focus {
-        outline: none;
-        border-color: var(--blue-500, #3b82f6);
-        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-      }
-      .bmae-btn-detect {
-        background: linear-gradient(135deg, var(--blue-600, #2563eb), var(--blue-700, #1d4ed8));
-        border: 1px solid var(--blue-500, #3b82f6);
-        color: white;
-        width: 40px;
-        height: 40px;
-        border-radius: 8px;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-        flex-shrink: 0;
-      }
-      .bmae-btn-detect:hover {
-        transform: translateY(-2px);
-        box-shadow: 0 6px 20px rgba(59, 130, 246, 0.4);
-      }
-      .bmae-btn-extract {
-        margin-top: 20px;
-        width: 100%;
-        padding: 12px;
-        background: linear-gradient(135deg, var(--emerald-600, #059669), var(--emerald-700, #047857));
-        border: 1px solid var(--emerald-500, #10b981);
-        color: white;
-        border-radius: 10px;
-        cursor: pointer;
-        font-size: 15px;
-        font-weight: 600;
-        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-        font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      }
-      .bmae-btn-extract:hover {
-        transform: translateY(-2px);
-        box-shadow: 0 6px 20px rgba(16, 185, 129, 0.4);
-      }
-      .bmae-btn-extract:disabled {
-        background: var(--slate-700, #334155);
-        border: 1px solid var(--slate-600, #475569);
-        color: var(--slate-500, #64748b);
-        cursor: not-allowed;
-        transform: none;
-        box-shadow: none;
-      }
-      .bmae-btn-extract:disabled:hover {
-        transform: none;
-        box-shadow: none;
-      }
-    `;
-    document.head.appendChild(artExtractorStyles);
-  }
+  const dimensionsText = document.createElement('div');
+  dimensionsText.id = 'bm-ae-dimensions';
+  dimensionsText.style.cssText = `
+    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+  `;
+  dimensionsText.innerHTML = `
+    <div style="margin-bottom: 4px;"><strong>Width:</strong> <span id="bm-ae-width">-</span> pixels</div>
+    <div style="margin-bottom: 4px;"><strong>Height:</strong> <span id="bm-ae-height">-</span> pixels</div>
+    <div><strong>Total:</strong> <span id="bm-ae-total">-</span> pixels</div>
+  `;
 
-  // Create overlay container (modal wrapper)
-  const artExtractorOverlay = document.createElement('div');
-  artExtractorOverlay.id = 'bm-art-extractor-overlay';
-  artExtractorOverlay.style.cssText = `
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    z-index: 9001;
-    ${isMobileMode ? 'max-width: 95vw; max-height: 90vh;' : ''}
+  dimensionsContainer.appendChild(dimensionsText);
+  content.appendChild(dimensionsContainer);
+
+  const filenameContainer = document.createElement('div');
+  filenameContainer.style.cssText = `
+    margin-top: 16px;
+    margin-bottom: 16px;
   `;
-  artExtractorOverlay.className = 'bmae-overlay';
 
-  // Header
-  const header = document.createElement('div');
-  header.className = 'bmae-header';
+  const filenameLabel = document.createElement('label');
+  filenameLabel.textContent = 'Filename / Template name (optional)';
+  filenameLabel.style.cssText = `
+    display: block;
+    margin-bottom: 6px;
+    font-weight: 500;
+    font-size: 13px;
+    color: var(--slate-300);
+  `;
 
-  // Drag bar
-  const dragBar = document.createElement('div');
-  dragBar.className = 'bmae-drag-bar';
-  dragBar.style.cssText = `
-    background: linear-gradient(90deg, #475569 0%, #64748b 50%, #475569 100%);
-    border-radius: 4px;
-    cursor: grab;
+  const filenameInput = document.createElement('input');
+  filenameInput.type = 'text';
+  filenameInput.placeholder = 'Ben 10';
+  filenameInput.className = 'bmae-input';
+  filenameInput.style.cssText = `
     width: 100%;
-    height: 6px;
-    margin-bottom: 8px;
-    opacity: 0.8;
-    transition: opacity 0.2s ease;
+    padding: 10px 12px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-600);
+    border-radius: 8px;
+    color: var(--slate-100);
+    font-size: 14px;
+    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
   `;
 
-  // Drag bar hover effect
-  dragBar.addEventListener('mouseenter', () => {
-    dragBar.style.opacity = '1';
-  });
-  dragBar.addEventListener('mouseleave', () => {
-    dragBar.style.opacity = '0.8';
-  });
-
-  // Container for title and close button
-  const titleContainer = document.createElement('div');
-  titleContainer.style.cssText = `
+  // Output format choices sit on the same row as the filename
+  const filenameRow = document.createElement('div');
+  filenameRow.style.cssText = `
     display: flex;
-    align-items: center;
-    justify-content: space-between;
-    width: 100%;
+    gap: 8px;
+    align-items: stretch;
   `;
 
-  const title = document.createElement('h2');
-  title.textContent = 'Art Extractor';
-  const titleFontSize = isMobileMode ? '1.2em' : '1.5em';
-  title.style.cssText = `
-    margin: 0; 
-    font-size: ${titleFontSize}; 
-    font-weight: 700;
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+  const formatSelect = document.createElement('select');
+  formatSelect.id = 'bm-ae-format';
+  formatSelect.title = 'Output format';
+  formatSelect.className = 'bmae-input';
+  formatSelect.style.cssText = `
+    flex: 0 0 auto;
+    padding: 0 8px;
+    font-size: 12px;
+  `;
+  formatSelect.innerHTML = Object.entries(ArtExtractor.EXPORT_FORMATS)
+    .map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('');
+
+  const scaleInput = document.createElement('input');
+  scaleInput.type = 'number';
+  scaleInput.id = 'bm-ae-scale';
+  scaleInput.title = 'Upscale factor (2-20)';
+  scaleInput.min = 2;
+  scaleInput.max = 20;
+  scaleInput.step = 1;
+  scaleInput.value = 4;
+  scaleInput.className = 'bmae-input';
+  scaleInput.style.cssText = `
+    display: none;
+    flex: 0 0 64px;
+    padding: 0 8px;
     text-align: center;
-    flex: 1;
-    pointer-events: none;
-    letter-spacing: -0.025em;
-    color: #f1f5f9;
-    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
   `;
 
-  const closeButton = document.createElement('button');
-  closeButton.textContent = '✕';
-  const buttonSize = isMobileMode ? '32px' : '36px';
-  const buttonFontSize = isMobileMode ? '14px' : '16px';
-  closeButton.style.cssText = `
-    background: linear-gradient(135deg, #ef4444, #dc2626);
-    border: 1px solid rgba(239, 68, 68, 0.3);
-    color: white;
-    width: ${buttonSize};
-    height: ${buttonSize};
-    border-radius: 12px;
-    cursor: pointer;
-    font-size: ${buttonFontSize};
-    font-weight: 600;
+  formatSelect.addEventListener('change', () => {
+    scaleInput.style.display = formatSelect.value === 'upscaled' ? 'block' : 'none';
+  });
+
+  filenameRow.append(filenameInput, formatSelect, scaleInput);
+  filenameContainer.appendChild(filenameLabel);
+  filenameContainer.appendChild(filenameRow);
+  content.appendChild(filenameContainer);
+
+  // Diff mode: compare each extraction against the stored snapshot of the same region
+  const diffModeContainer = document.createElement('div');
+  diffModeContainer.style.cssText = `
     display: flex;
     align-items: center;
-    justify-content: center;
-    transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-    position: relative;
-    overflow: hidden;
+    gap: 10px;
+    padding: 10px 14px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-700);
+    border-radius: 8px;
   `;
 
-  // Hover effects
-  closeButton.onmouseover = () => {
-    closeButton.style.transform = 'translateY(-1px) scale(1.05)';
-    closeButton.style.boxShadow = '0 6px 20px rgba(239, 68, 68, 0.4)';
-  };
-  closeButton.onmouseout = () => {
-    closeButton.style.transform = '';
-    closeButton.style.boxShadow = '';
-  };
+  const diffModeCheckbox = document.createElement('input');
+  diffModeCheckbox.type = 'checkbox';
+  diffModeCheckbox.id = 'bm-ae-diff-mode';
+  diffModeCheckbox.style.cssText = `
+    width: 18px;
+    height: 18px;
+    cursor: pointer;
+    accent-color: var(--blue-500);
+  `;
 
-  closeButton.addEventListener('touchstart', () => {
-    closeButton.style.transform = '';
-    closeButton.style.boxShadow = '';
-  }, { passive: true });
+  const diffModeLabel = document.createElement('label');
+  diffModeLabel.htmlFor = 'bm-ae-diff-mode';
+  diffModeLabel.textContent = 'Diff mode (compare with the last snapshot of this region)';
+  diffModeLabel.style.cssText = `
+    flex: 1;
+    font-size: 13px;
+    color: var(--slate-300);
+    cursor: pointer;
+    user-select: none;
+  `;
 
-  closeButton.onclick = async () => {
-    ArtExtractor.clearExtractorCoordinates();
-    await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
-    ArtExtractor.clearPreviewTemplate();
-    artExtractorOverlay.remove();
-  };
+  const snapshotInfo = document.createElement('span');
+  snapshotInfo.id = 'bm-ae-snapshot-info';
+  snapshotInfo.style.cssText = `
+    font-size: 12px;
+    color: var(--slate-400);
+    white-space: nowrap;
+  `;
 
-  // Content area
-  const content = document.createElement('div');
-  content.className = 'bmae-content';
+  diffModeContainer.appendChild(diffModeCheckbox);
+  diffModeContainer.appendChild(diffModeLabel);
+  diffModeContainer.appendChild(snapshotInfo);
+  content.appendChild(diffModeContainer);
 
-  // Create coordinate input groups with 4 separate fields
-  const createCoordinateGroup = (labelText, type) => {
-    const group = document.createElement('div');
-    group.style.cssText = `
-      margin-bottom: 24px;
-    `;
+  // Trim / background options applied to the extracted image
+  const trimContainer = document.createElement('div');
+  trimContainer.style.cssText = `
+    margin-top: 12px;
+    padding: 10px 14px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-700);
+    border-radius: 8px;
+    font-size: 13px;
+    color: var(--slate-300);
+  `;
 
-    // Header row with label and detect button
-    const headerRow = document.createElement('div');
-    headerRow.style.cssText = `
+  const createOptionRow = (labelText, select) => {
+    const row = document.createElement('div');
+    row.style.cssText = `
       display: flex;
       align-items: center;
       justify-content: space-between;
+      gap: 10px;
       margin-bottom: 8px;
     `;
-
     const label = document.createElement('label');
     label.textContent = labelText;
-    label.style.cssText = `
-      font-weight: 600;
-      font-size: 14px;
-      color: var(--slate-200);
-      letter-spacing: 0.025em;
+    select.className = 'bmae-input';
+    select.style.cssText = `
+      flex: 0 1 240px;
+      height: 32px;
+      padding: 0 8px;
+      font-size: 12px;
     `;
+    row.append(label, select);
+    return row;
+  };
 
-    const detectButton = document.createElement('button');
-    detectButton.innerHTML = icons.pointerIcon + ' Detect';
-    detectButton.title = 'Detect coordinates from canvas';
-    detectButton.className = 'bmae-btn-detect';
-    detectButton.style.cssText = `
-      background: linear-gradient(135deg, var(--blue-600, #2563eb), var(--blue-700, #1d4ed8));
-      border: 1px solid var(--blue-500, #3b82f6);
-      color: white;
-      height: 32px;
-      padding: 0 12px;
-      border-radius: 8px;
+  const paletteColors = colorpalette.filter(color => color.id > 0);
+
+  const cropSelect = document.createElement('select');
+  cropSelect.innerHTML = `
+    <option value="none">No auto-crop</option>
+    <option value="opaque">Crop to non-transparent pixels</option>
+    <option value="colors">Crop to selected colors</option>
+  `;
+
+  const keyOutSelect = document.createElement('select');
+  keyOutSelect.innerHTML = `<option value="">Keep background</option>` +
+    paletteColors.map(color => `<option value="${color.id}">Key out ${escapeHTML(color.name)}</option>`).join('');
+
+  // Swatch picker for the "Crop to selected colors" mode
+  const cropColorIds = new Set();
+  const cropColorGrid = document.createElement('div');
+  cropColorGrid.style.cssText = `
+    display: none;
+    grid-template-columns: repeat(16, 1fr);
+    gap: 3px;
+    margin-bottom: 8px;
+  `;
+  for (const color of paletteColors) {
+    const swatch = document.createElement('button');
+    swatch.title = color.name;
+    swatch.style.cssText = `
+      aspect-ratio: 1;
+      min-width: 0;
+      padding: 0;
+      border-radius: 3px;
+      border: 2px solid var(--slate-600);
+      background: rgb(${color.rgb.join(',')});
       cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 6px;
-      font-size: 13px;
-      font-weight: 600;
-      transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-      flex-shrink: 0;
-      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-      width: auto;
     `;
+    swatch.onclick = () => {
+      if (cropColorIds.has(color.id)) {
+        cropColorIds.delete(color.id);
+        swatch.style.borderColor = 'var(--slate-600)';
+      } else {
+        cropColorIds.add(color.id);
+        swatch.style.borderColor = 'var(--blue-400)';
+      }
+    };
+    cropColorGrid.appendChild(swatch);
+  }
+
+  const overlaySelect = document.createElement('select');
+  overlaySelect.innerHTML = `
+    <option value="0">Board only</option>
+    <option value="1">Enabled templates on top</option>
+    <option value="0.5">Enabled templates on top (50%)</option>
+  `;
+
+  cropSelect.addEventListener('change', () => {
+    cropColorGrid.style.display = cropSelect.value === 'colors' ? 'grid' : 'none';
+  });
+
+  const trimInfo = document.createElement('div');
+  trimInfo.id = 'bm-ae-trim-info';
+  trimInfo.style.cssText = `
+    display: none;
+    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+    font-size: 12px;
+    color: var(--emerald-400);
+  `;
+
+  trimContainer.append(
+    createOptionRow('Auto-crop', cropSelect),
+    cropColorGrid,
+    createOptionRow('Background', keyOutSelect),
+    createOptionRow('Template overlay', overlaySelect),
+    trimInfo
+  );
+  content.appendChild(trimContainer);
+
+  // Tile-fetch queue settings and the memory guard budget
+  const fetchSettings = Settings.getExtractorFetchSettings();
+  const fetchContainer = document.createElement('div');
+  fetchContainer.style.cssText = `
+    display: grid;
+    grid-template-columns: repeat(3, 1fr);
+    gap: 8px;
+    margin-top: 12px;
+    font-size: 12px;
+    color: var(--slate-400);
+  `;
+
+  const createFetchInput = (labelText, title, value, min, max) => {
+    const wrapper = document.createElement('label');
+    wrapper.title = title;
+    wrapper.style.cssText = 'display: flex; flex-direction: column; gap: 4px;';
+    wrapper.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = min;
+    input.max = max;
+    input.step = 1;
+    input.value = value;
+    input.className = 'bmae-input';
+    input.style.cssText = 'height: 32px; padding: 0 8px; text-align: center;';
+    input.addEventListener('change', () => {
+      input.value = Math.max(min, Math.min(max, parseInt(input.value, 10) || min));
+      Settings.saveExtractorFetchSettings(getFetchSettings());
+    });
+    wrapper.appendChild(input);
+    fetchContainer.appendChild(wrapper);
+    return input;
+  };
+
+  const concurrencyInput = createFetchInput('Parallel tiles', 'How many tiles are downloaded at the same time', fetchSettings.concurrency, 1, 16);
+  const retriesInput = createFetchInput('Retries per tile', 'Attempts after a failed tile download (with increasing delay)', fetchSettings.maxRetries, 0, 10);
+  const budgetInput = createFetchInput('Pixel budget (M)', 'Warn before extracting more than this many million pixels', Math.round(fetchSettings.pixelBudget / 1000000), 1, 500);
+
+  const getFetchSettings = () => ({
+    concurrency: parseInt(concurrencyInput.value, 10) || 4,
+    maxRetries: parseInt(retriesInput.value, 10) || 0,
+    pixelBudget: (parseInt(budgetInput.value, 10) || 25) * 1000000
+  });
+
+  content.appendChild(fetchContainer);
+
+  const getExtractOptions = () => {
+    if (cropSelect.value === 'colors' && cropColorIds.size === 0) {
+      throw new Error('Select at least one color to crop to');
+    }
+    const { concurrency, maxRetries } = getFetchSettings();
+    return {
+      concurrency,
+      maxRetries,
+      signal: activeExtraction?.signal ?? null,
+      crop: cropSelect.value,
+      cropColorIds: [...cropColorIds],
+      keyOutColorId: keyOutSelect.value === '' ? null : Number(keyOutSelect.value),
+      includeTemplates: Number(overlaySelect.value) > 0,
+      overlayOpacity: Number(overlaySelect.value)
+    };
+  };
+
+  // Reports where the trimmed result sits so it can still be placed as a template
+  const showTrimInfo = (result) => {
+    if (!result.trimmed) {
+      trimInfo.style.display = 'none';
+      return;
+    }
+    trimInfo.style.display = 'block';
+    trimInfo.textContent = `Trimmed to ${result.width}×${result.height} • Top-left: Tile ${result.from[0]}, ${result.from[1]} • Pixel ${result.from[2]}, ${result.from[3]}`;
+  };
+
+  const diffResults = document.createElement('div');
+  diffResults.id = 'bm-ae-diff-results';
+  diffResults.style.cssText = `
+    display: none;
+    margin-top: 16px;
+    padding: 12px 16px;
+    background: var(--slate-800);
+    border: 1px solid var(--slate-700);
+    border-radius: 8px;
+    font-size: 13px;
+    color: var(--slate-300);
+  `;
+
+  const updateSnapshotInfo = async () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
+    const info = (coords.from && coords.to)
+      ? await ArtExtractor.getSnapshotInfo(coords.from, coords.to).catch(error => {
+        console.warn('Failed to read the snapshot:', error);
+        return null;
+      })
+      : null;
+    snapshotInfo.textContent = info ? `Snapshot: ${new Date(info.createdAt).toLocaleString()}` : 'No snapshot';
+  };
+
+  // Converts to the chosen output format, then downloads
+  const downloadExtraction = async (blob, baseName, from) => {
+    const output = await ArtExtractor.exportExtraction(blob, formatSelect.value, { from, scale: scaleInput.value });
+    downloadBlob(output.blob, `${baseName}${output.suffix}.${output.extension}`);
+  };
 
-    headerRow.appendChild(label);
-    headerRow.appendChild(detectButton);
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
 
-    // Input grid (4 fields: Tile X, Tile Y, Pixel X, Pixel Y)
-    const inputGrid = document.createElement('div');
-    inputGrid.style.cssText = `
-      display: grid;
-      grid-template-columns: 1fr 1fr 1fr 1fr;
-      gap: 8px;
+  const renderDiffResults = (diff, blob, baseName, from) => {
+    diffResults.innerHTML = '';
+    diffResults.style.display = 'block';
+
+    const summary = document.createElement('div');
+    summary.style.cssText = `
+      font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
+      margin-bottom: 8px;
     `;
 
-    // Create 4 number inputs
-    const inputs = [];
-    const placeholders = ['Tile X', 'Tile Y', 'Px X', 'Px Y'];
-    const ids = [`${type}-tx`, `${type}-ty`, `${type}-px`, `${type}-py`];
+    // Without a stored snapshot the next extraction has nothing to compare against, so say so
+    const saveNote = document.createElement('div');
+    saveNote.textContent = `The snapshot could not be saved (${diff.saveError}); the next extraction will not be compared with this one.`;
+    saveNote.style.cssText = 'color: #f87171; margin-bottom: 8px;';
+
+    if (!diff.hasPrevious) {
+      summary.textContent = diff.saveError
+        ? 'No previous snapshot for this region.'
+        : 'No previous snapshot for this region. The current extraction was stored as the baseline.';
+      diffResults.appendChild(summary);
+      if (diff.saveError) diffResults.appendChild(saveNote);
+      return;
+    }
 
-    for (let i = 0; i < 4; i++) {
-      const input = document.createElement('input');
-      input.type = 'number';
-      input.placeholder = placeholders[i];
-      input.id = `bm-ae-coord-${ids[i]}`;
-      input.min = 0;
-      input.max = (i < 2) ? 2047 : 999;
-      input.step = 1;
-      input.className = 'bmae-input';
-      input.style.cssText = `
-        width: 100%;
-        height: 40px;
-        background: var(--slate-800, #1e293b);
-        border: 1px solid var(--slate-700, #334155);
-        color: var(--slate-100, #f1f5f9);
-        padding: 0 8px;
-        font-size: 13px;
-        border-radius: 8px;
-        transition: all 0.2s ease;
-        font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
-        text-align: center;
+    const percent = ((diff.changedPixels / (diff.width * diff.height)) * 100).toFixed(2);
+    summary.innerHTML = `
+      <div style="margin-bottom: 4px;"><strong>Compared with:</strong> ${new Date(diff.previousCreatedAt).toLocaleString()}</div>
+      <div><strong>Changed:</strong> ${diff.changedPixels.toLocaleString()} pixels (${percent}%)</div>
+    `;
+    diffResults.appendChild(summary);
+    if (diff.saveError) diffResults.appendChild(saveNote);
+
+    if (diff.colorChanges.length > 0) {
+      const colorList = document.createElement('div');
+      colorList.style.cssText = `
+        display: grid;
+        grid-template-columns: 16px 1fr auto auto;
+        gap: 4px 10px;
+        align-items: center;
+        max-height: 180px;
+        overflow-y: auto;
+        margin: 8px 0;
       `;
 
-      input.addEventListener('blur', () => {
-        updateCoordinatesFromInputs(type);
-      });
+      for (const header of ['', 'Color', 'Gained', 'Lost']) {
+        const cell = document.createElement('div');
+        cell.textContent = header;
+        cell.style.cssText = 'font-weight: 600; color: var(--slate-400); font-size: 12px;';
+        colorList.appendChild(cell);
+      }
 
-      inputs.push(input);
-      inputGrid.appendChild(input);
+      for (const change of diff.colorChanges) {
+        const swatch = document.createElement('div');
+        swatch.style.cssText = `
+          width: 14px;
+          height: 14px;
+          border-radius: 3px;
+          border: 1px solid var(--slate-600);
+          background: ${change.id === 0 ? 'transparent' : `rgb(${change.rgb.join(',')})`};
+        `;
+        const name = document.createElement('div');
+        name.textContent = change.name;
+        const gained = document.createElement('div');
+        gained.textContent = `+${change.gained.toLocaleString()}`;
+        gained.style.color = 'var(--emerald-400)';
+        const lost = document.createElement('div');
+        lost.textContent = `-${change.lost.toLocaleString()}`;
+        lost.style.color = '#f87171';
+        colorList.append(swatch, name, gained, lost);
+      }
+      diffResults.appendChild(colorList);
     }
 
-    let currentDetectionCleanup = null;
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = 'display: flex; gap: 8px; margin-top: 8px;';
+
+    const downloadDiffButton = document.createElement('button');
+    downloadDiffButton.textContent = 'Download Diff';
+    downloadDiffButton.className = 'bmae-btn-extract bmae-btn-template';
+    downloadDiffButton.style.cssText = 'margin-top: 0; padding: 8px; font-size: 13px;';
+    downloadDiffButton.disabled = !diff.diffBlob;
+    downloadDiffButton.onclick = () => downloadBlob(diff.diffBlob, `${baseName}-diff.png`);
+
+    const downloadImageButton = document.createElement('button');
+    downloadImageButton.textContent = 'Download Image';
+    downloadImageButton.className = 'bmae-btn-extract';
+    downloadImageButton.style.cssText = 'margin-top: 0; padding: 8px; font-size: 13px;';
+    downloadImageButton.onclick = () => downloadExtraction(blob, baseName, from).catch(error => {
+      console.error('Export error:', error);
+      alert(`Export failed: ${error.message}`);
+    });
 
-    detectButton.addEventListener('click', () => {
-      if (currentDetectionCleanup) {
-        currentDetectionCleanup();
-      }
+    buttonRow.append(downloadDiffButton, downloadImageButton);
+    diffResults.appendChild(buttonRow);
+  };
 
-      currentDetectionCleanup = ArtExtractor.startCoordinateDetection(type, (coords) => {
-        inputs[0].value = coords[0];
-        inputs[1].value = coords[1];
-        inputs[2].value = coords[2];
-        inputs[3].value = coords[3];
-        
-        if (type === 'from') {
-          ArtExtractor.setFromCoordinates(coords);
-        } else {
-          ArtExtractor.setToCoordinates(coords);
-        }
-        
-        updateDimensionsDisplay();
-        currentDetectionCleanup = null;
-      }, apiManager);
-    });
+  const extractButton = document.createElement('button');
+  extractButton.textContent = 'Extract';
+  extractButton.className = 'bmae-btn-extract';
+  extractButton.disabled = true;
 
-    group.appendChild(headerRow);
-    group.appendChild(inputGrid);
+  // Extracts the area straight into a template at the "From" coordinates
+  const templateButton = document.createElement('button');
+  templateButton.textContent = 'Extract as Template';
+  templateButton.title = 'Create a template from the extracted area at the "From" coordinates';
+  templateButton.className = 'bmae-btn-extract bmae-btn-template';
+  templateButton.disabled = true;
 
-    return { group, inputs };
+  // Only visible while an extraction runs
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.title = 'Stop the extraction. Tiles fetched so far are kept, so extracting again resumes';
+  cancelButton.className = 'bmae-btn-extract';
+  cancelButton.style.cssText = `
+    display: none;
+    margin-top: 10px;
+    background: linear-gradient(135deg, #ef4444, #dc2626);
+    border: 1px solid rgba(239, 68, 68, 0.5);
+  `;
+
+  let activeExtraction = null; // AbortController of the running extraction
+
+  cancelButton.addEventListener('click', () => {
+    activeExtraction?.abort();
+    cancelButton.disabled = true;
+    cancelButton.textContent = 'Cancelling...';
+  });
+
+  // Runs the memory guard, then swaps the buttons into their "running" state
+  const beginExtraction = (coords) => {
+    const budget = ArtExtractor.checkPixelBudget(coords.from, coords.to, getFetchSettings().pixelBudget);
+    if (!budget.withinBudget && !confirm(
+      `This extraction is ${budget.pixels.toLocaleString()} pixels (about ${budget.estimatedMB} MB of memory), ` +
+      `which is above your pixel budget of ${budgetInput.value} million.\n\nLarge extractions can freeze or crash the tab. Continue anyway?`
+    )) {
+      return false;
+    }
+
+    activeExtraction = new AbortController();
+    extractButton.disabled = true;
+    templateButton.disabled = true;
+    cancelButton.disabled = false;
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.display = 'block';
+    return true;
   };
 
-  // Function to update coordinates from individual inputs
-  const updateCoordinatesFromInputs = async (type) => {
-    const txInput = document.getElementById(`bm-ae-coord-${type}-tx`);
-    const tyInput = document.getElementById(`bm-ae-coord-${type}-ty`);
-    const pxInput = document.getElementById(`bm-ae-coord-${type}-px`);
-    const pyInput = document.getElementById(`bm-ae-coord-${type}-py`);
+  const endExtraction = () => {
+    activeExtraction = null;
+    cancelButton.style.display = 'none';
+    extractButton.textContent = 'Extract';
+    templateButton.textContent = 'Extract as Template';
+    extractButton.disabled = false;
+    templateButton.disabled = false;
+  };
 
-    const tx = parseInt(txInput.value);
-    const ty = parseInt(tyInput.value);
-    const px = parseInt(pxInput.value);
-    const py = parseInt(pyInput.value);
+  // Progress text shared by both extract buttons
+  const showProgress = (button) => (current, total) => {
+    const percent = Math.round((current / total) * 100);
+    button.textContent = `Extracting... ${percent}% (${current}/${total} tiles)`;
+  };
 
-    // Validate: pixel coordinates must be 0-999
-    if (!isNaN(tx) && !isNaN(ty) && !isNaN(px) && !isNaN(py)) {
-      // Clamp pixel values to valid range
-      const clampedPx = Math.max(0, Math.min(999, px));
-      const clampedPy = Math.max(0, Math.min(999, py));
-      
-      // Update inputs if clamped
-      if (px !== clampedPx) pxInput.value = clampedPx;
-      if (py !== clampedPy) pyInput.value = clampedPy;
+  // Cancelled runs are not errors; the next run picks up the fetched tiles
+  const reportExtractionError = (error, label) => {
+    if (error?.name === 'AbortError') {
+      const coords = ArtExtractor.getExtractorCoordinates();
+      const kept = (coords.from && coords.to) ? ArtExtractor.getResumableTileCount(coords.from, coords.to, apiManager) : 0;
+      templateManager.overlay?.handleDisplayStatus(`Extraction cancelled. ${kept} tile${kept === 1 ? '' : 's'} kept - extract again to resume.`);
+      return;
+    }
+    console.error(`${label} error:`, error);
+    alert(`Extraction failed: ${error.message}`);
+  };
+
+  const updateDimensionsDisplay = async () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
+    if (coords.from && coords.to) {
+      const dimensions = ArtExtractor.calculateDimensions(coords.from, coords.to);
+      document.getElementById('bm-ae-width').textContent = dimensions.width.toLocaleString();
+      document.getElementById('bm-ae-height').textContent = dimensions.height.toLocaleString();
+      document.getElementById('bm-ae-total').textContent = dimensions.pixels.toLocaleString();
+      extractButton.disabled = false;
+      templateButton.disabled = false;
+      updateSnapshotInfo();
+      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    } else {
+      document.getElementById('bm-ae-width').textContent = '-';
+      document.getElementById('bm-ae-height').textContent = '-';
+      document.getElementById('bm-ae-total').textContent = '-';
+      extractButton.disabled = true;
+      templateButton.disabled = true;
+      updateSnapshotInfo();
+      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    }
+  };
+
+  extractButton.addEventListener('click', async () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
+    if (!coords.from || !coords.to) {
+      alert('Please set both "From" and "To" coordinates');
+      return;
+    }
+
+    const validation = ArtExtractor.validateCoordinateRange(coords.from, coords.to);
+    if (!validation.valid) {
+      alert(`Invalid coordinates: ${validation.error}`);
+      return;
+    }
+
+    if (!beginExtraction(coords)) return;
+
+    await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    
+    extractButton.textContent = 'Extracting...';
+    
+    try {
+      const result = await ArtExtractor.extractArt(coords.from, coords.to, templateManager, apiManager, showProgress(extractButton), {
+        ...getExtractOptions(),
+        keepBoardImage: diffModeCheckbox.checked
+      });
+      const blob = result?.blob;
       
-      const coords = [tx, ty, clampedPx, clampedPy];
-      if (type === 'from') {
-        ArtExtractor.setFromCoordinates(coords);
+      if (blob) {
+        showTrimInfo(result);
+        const customName = filenameInput.value.trim();
+        const baseName = customName || `wplace-art-${result.width}x${result.height}`;
+
+        if (diffModeCheckbox.checked) {
+          // In diff mode the result is shown in the overlay instead of downloaded right away.
+          // The bare board is compared, so crop and overlay settings do not affect the diff
+          const diff = await ArtExtractor.diffWithSnapshot(coords.from, coords.to, result.boardBlob);
+          renderDiffResults(diff, blob, baseName, result.from);
+          updateSnapshotInfo();
+        } else {
+          await downloadExtraction(blob, baseName, result.from);
+        }
       } else {
-        ArtExtractor.setToCoordinates(coords);
+        throw new Error('Extraction failed to produce a result');
       }
-      updateDimensionsDisplay();
-      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    } catch (error) {
+      reportExtractionError(error, 'Extraction');
+    } finally {
+      endExtraction();
     }
-  };
+  });
 
-  const fromGroup = createCoordinateGroup('Coordinates From (Top-Left)', 'from');
-  content.appendChild(fromGroup.group);
+  templateButton.addEventListener('click', async () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
+    if (!coords.from || !coords.to) {
+      alert('Please set both "From" and "To" coordinates');
+      return;
+    }
 
-  const toGroup = createCoordinateGroup('Coordinates To (Bottom-Right)', 'to');
-  content.appendChild(toGroup.group);
+    const validation = ArtExtractor.validateCoordinateRange(coords.from, coords.to);
+    if (!validation.valid) {
+      alert(`Invalid coordinates: ${validation.error}`);
+      return;
+    }
 
-  const dimensionsContainer = document.createElement('div');
-  dimensionsContainer.style.cssText = `
+    if (!beginExtraction(coords)) return;
+
+    await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+
+    templateButton.textContent = 'Creating template...';
+
+    try {
+      const created = await ArtExtractor.extractArtAsTemplate(coords.from, coords.to, templateManager, apiManager, filenameInput.value.trim(), showProgress(templateButton), getExtractOptions());
+
+      // Same refresh as the template placer flow
+      invalidateTemplateCache();
+      setTimeout(() => {
+        updateMiniTracker();
+        updateColorMenuDisplay(false, true);
+      }, 500);
+
+      // Bring the preview rectangle back for the (unchanged) region
+      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+
+      if (created) {
+        templateManager.overlay?.handleDisplayStatus(`Template "${created.name}" created from extracted area at ${created.from.join(', ')} (${created.width}×${created.height})`);
+      }
+    } catch (error) {
+      reportExtractionError(error, 'Extract as template');
+    } finally {
+      endExtraction();
+    }
+  });
+
+  content.appendChild(extractButton);
+  content.appendChild(templateButton);
+  content.appendChild(cancelButton);
+  content.appendChild(diffResults);
+  updateSnapshotInfo();
+
+  // Timelapse: re-captures a saved region on an interval, frames live in IndexedDB
+  const timelapseSection = document.createElement('div');
+  timelapseSection.id = 'bm-ae-timelapse';
+  timelapseSection.style.cssText = `
     margin-top: 16px;
-    padding: 12px 16px;
+    padding: 12px 14px;
     background: var(--slate-800);
     border: 1px solid var(--slate-700);
     border-radius: 8px;
@@ -10621,132 +13454,351 @@ function buildArtExtractorOverlay(apiManager, templateManager) {
     color: var(--slate-300);
   `;
 
-  const dimensionsText = document.createElement('div');
-  dimensionsText.id = 'bm-ae-dimensions';
-  dimensionsText.style.cssText = `
-    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
-  `;
-  dimensionsText.innerHTML = `
-    <div style="margin-bottom: 4px;"><strong>Width:</strong> <span id="bm-ae-width">-</span> pixels</div>
-    <div style="margin-bottom: 4px;"><strong>Height:</strong> <span id="bm-ae-height">-</span> pixels</div>
-    <div><strong>Total:</strong> <span id="bm-ae-total">-</span> pixels</div>
+  const timelapseLabel = document.createElement('div');
+  timelapseLabel.textContent = 'Timelapse';
+  timelapseLabel.style.cssText = `
+    font-weight: 600;
+    font-size: 14px;
+    color: var(--slate-200);
+    letter-spacing: 0.025em;
+    margin-bottom: 8px;
   `;
 
-  dimensionsContainer.appendChild(dimensionsText);
-  content.appendChild(dimensionsContainer);
+  const timelapseRow = document.createElement('div');
+  timelapseRow.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
+  const timelapseRegionSelect = document.createElement('select');
+  timelapseRegionSelect.id = 'bm-ae-timelapse-region';
+  timelapseRegionSelect.title = 'Saved region to record';
+  timelapseRegionSelect.className = 'bmae-input';
+  timelapseRegionSelect.style.cssText = 'flex: 1; min-width: 0; height: 32px; padding: 0 8px; font-size: 12px;';
+
+  const timelapseIntervalInput = document.createElement('input');
+  timelapseIntervalInput.type = 'number';
+  timelapseIntervalInput.id = 'bm-ae-timelapse-interval';
+  timelapseIntervalInput.title = 'Minutes between captures';
+  timelapseIntervalInput.min = 1;
+  timelapseIntervalInput.step = 1;
+  timelapseIntervalInput.value = 10;
+  timelapseIntervalInput.className = 'bmae-input';
+  timelapseIntervalInput.style.cssText = 'flex: 0 0 64px; height: 32px; padding: 0 8px; text-align: center;';
+
+  const timelapseIntervalUnit = document.createElement('span');
+  timelapseIntervalUnit.textContent = 'min';
+  timelapseIntervalUnit.style.cssText = 'font-size: 12px; color: var(--slate-400);';
+
+  const timelapseToggleButton = document.createElement('button');
+  timelapseToggleButton.id = 'bm-ae-timelapse-toggle';
+  timelapseToggleButton.className = 'bmae-btn-small';
+  timelapseToggleButton.textContent = 'Start';
+
+  timelapseRow.append(timelapseRegionSelect, timelapseIntervalInput, timelapseIntervalUnit, timelapseToggleButton);
+
+  const timelapseStatus = document.createElement('div');
+  timelapseStatus.id = 'bm-ae-timelapse-status';
+  timelapseStatus.style.cssText = 'margin: 8px 0; font-size: 12px; color: var(--slate-400);';
+
+  const timelapseExportRow = document.createElement('div');
+  timelapseExportRow.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
+  const timelapseFormatSelect = document.createElement('select');
+  timelapseFormatSelect.id = 'bm-ae-timelapse-format';
+  timelapseFormatSelect.title = 'Timelapse export format';
+  timelapseFormatSelect.className = 'bmae-input';
+  timelapseFormatSelect.style.cssText = 'flex: 1; min-width: 0; height: 32px; padding: 0 8px; font-size: 12px;';
+  timelapseFormatSelect.innerHTML = Object.entries(Timelapse.TIMELAPSE_FORMATS)
+    .map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('');
+
+  const timelapseDelayInput = document.createElement('input');
+  timelapseDelayInput.type = 'number';
+  timelapseDelayInput.id = 'bm-ae-timelapse-delay';
+  timelapseDelayInput.title = 'Milliseconds per frame (GIF/APNG)';
+  timelapseDelayInput.min = 20;
+  timelapseDelayInput.step = 10;
+  timelapseDelayInput.value = 500;
+  timelapseDelayInput.className = 'bmae-input';
+  timelapseDelayInput.style.cssText = 'flex: 0 0 72px; height: 32px; padding: 0 8px; text-align: center;';
+
+  const timelapseExportButton = document.createElement('button');
+  timelapseExportButton.className = 'bmae-btn-small';
+  timelapseExportButton.textContent = 'Export';
+  timelapseExportButton.title = 'Download the recorded frames of the selected region';
+
+  const timelapseClearButton = document.createElement('button');
+  timelapseClearButton.className = 'bmae-btn-small';
+  timelapseClearButton.innerHTML = icons.deleteIcon;
+  timelapseClearButton.title = 'Delete the recorded frames of the selected region';
+
+  timelapseFormatSelect.addEventListener('change', () => {
+    timelapseDelayInput.style.display = timelapseFormatSelect.value === 'zip' ? 'none' : 'block';
+  });
+
+  timelapseExportRow.append(timelapseFormatSelect, timelapseDelayInput, timelapseExportButton, timelapseClearButton);
+  timelapseSection.append(timelapseLabel, timelapseRow, timelapseStatus, timelapseExportRow);
+  content.appendChild(timelapseSection);
+
+  const getTimelapseRegion = () => Settings.getExtractorRegions().find(r => r.id === timelapseRegionSelect.value) || null;
+
+  const renderTimelapseStatus = async () => {
+    const status = Timelapse.getTimelapseStatus();
+    const region = getTimelapseRegion();
+    const recordingThis = status.running && region && status.regionKey === ArtExtractor.getRegionKey(region.from, region.to);
+
+    timelapseToggleButton.textContent = recordingThis ? 'Stop' : 'Start';
+    timelapseRegionSelect.disabled = !!recordingThis;
+    timelapseIntervalInput.disabled = !!recordingThis;
+
+    let info = null;
+    if (region) {
+      try {
+        info = await Timelapse.getTimelapseInfo(region.from, region.to);
+      } catch (error) {
+        console.warn('Failed to read timelapse frames:', error);
+      }
+    }
+
+    const parts = [];
+    if (!region) {
+      parts.push('Save a region above to record a timelapse of it.');
+    } else {
+      parts.push(`${info?.frames ?? 0} frame${info?.frames === 1 ? '' : 's'} stored`);
+      if (info?.lastCapturedAt) parts.push(`last ${new Date(info.lastCapturedAt).toLocaleString()}`);
+    }
+    if (recordingThis) {
+      parts.push(status.capturing ? 'capturing...' : `next at ${new Date(status.nextCaptureAt).toLocaleTimeString()}`);
+      if (status.skipped > 0) parts.push(`${status.skipped} unchanged skipped`);
+      if (status.lastError) parts.push(`last capture failed: ${status.lastError}`);
+    } else if (status.running) {
+      parts.push('recording another region');
+    }
+    timelapseStatus.textContent = parts.join(' • ');
+
+    timelapseExportButton.disabled = !info?.frames;
+    timelapseClearButton.disabled = !info?.frames;
+  };
+
+  const renderTimelapseRegions = () => {
+    const regions = Settings.getExtractorRegions();
+    const status = Timelapse.getTimelapseStatus();
+    const selected = timelapseRegionSelect.value
+      || regions.find(r => status.running && ArtExtractor.getRegionKey(r.from, r.to) === status.regionKey)?.id;
+
+    timelapseRegionSelect.innerHTML = regions
+      .map(region => `<option value="${escapeHTML(region.id)}">${escapeHTML(region.name)}</option>`).join('');
+    if (regions.some(r => r.id === selected)) {
+      timelapseRegionSelect.value = selected;
+    }
+    timelapseToggleButton.disabled = regions.length === 0;
+    renderTimelapseStatus();
+  };
+
+  timelapseRegionSelect.addEventListener('change', renderTimelapseStatus);
+  Timelapse.onTimelapseUpdate(renderTimelapseStatus);
+
+  timelapseToggleButton.addEventListener('click', async () => {
+    const region = getTimelapseRegion();
+    if (!region) return;
+
+    const status = Timelapse.getTimelapseStatus();
+    if (status.running && status.regionKey === ArtExtractor.getRegionKey(region.from, region.to)) {
+      Timelapse.stopTimelapse();
+      templateManager.overlay?.handleDisplayStatus(`Timelapse of "${region.name}" stopped`);
+      return;
+    }
+
+    if (status.running && !confirm('Another region is being recorded. Stop it and record this region instead?')) {
+      return;
+    }
+
+    try {
+      const { concurrency, maxRetries } = getFetchSettings();
+      await Timelapse.startTimelapse(region.from, region.to, templateManager, apiManager, {
+        intervalMinutes: parseInt(timelapseIntervalInput.value, 10) || 10,
+        concurrency,
+        maxRetries
+      });
+      templateManager.overlay?.handleDisplayStatus(`Recording a timelapse of "${region.name}"`);
+    } catch (error) {
+      console.error('Timelapse start error:', error);
+      alert(`Could not start the timelapse: ${error.message}`);
+    }
+  });
+
+  timelapseExportButton.addEventListener('click', async () => {
+    const region = getTimelapseRegion();
+    if (!region) return;
+
+    timelapseExportButton.disabled = true;
+    timelapseExportButton.textContent = 'Exporting...';
+    try {
+      const output = await Timelapse.exportTimelapse(region.from, region.to, timelapseFormatSelect.value, {
+        frameDelay: parseInt(timelapseDelayInput.value, 10) || 500
+      });
+      const safeName = region.name.replace(/[^\w.-]+/g, '_');
+      downloadBlob(output.blob, `${safeName}-timelapse-${output.frames}f.${output.extension}`);
+    } catch (error) {
+      console.error('Timelapse export error:', error);
+      alert(`Timelapse export failed: ${error.message}`);
+    } finally {
+      timelapseExportButton.textContent = 'Export';
+      renderTimelapseStatus();
+    }
+  });
 
-  const filenameContainer = document.createElement('div');
-  filenameContainer.style.cssText = `
-    margin-top: 16px;
-    margin-bottom: 16px;
-  `;
+  timelapseClearButton.addEventListener('click', async () => {
+    const region = getTimelapseRegion();
+    if (!region || !confirm(`Delete all recorded timelapse frames of "${region.name}"?`)) return;
 
-  const filenameLabel = document.createElement('label');
-  filenameLabel.textContent = 'Filename (optional)';
-  filenameLabel.style.cssText = `
-    display: block;
-    margin-bottom: 6px;
-    font-weight: 500;
-    font-size: 13px;
-    color: var(--slate-300);
-  `;
+    try {
+      await Timelapse.clearTimelapseFrames(region.from, region.to);
+    } catch (error) {
+      console.error('Timelapse clear error:', error);
+      alert(`Could not delete the frames: ${error.message}`);
+    }
+    renderTimelapseStatus();
+  });
 
-  const filenameInput = document.createElement('input');
-  filenameInput.type = 'text';
-  filenameInput.placeholder = 'Ben 10';
-  filenameInput.className = 'bmae-input';
-  filenameInput.style.cssText = `
-    width: 100%;
-    padding: 10px 12px;
-    background: var(--slate-800);
-    border: 1px solid var(--slate-600);
-    border-radius: 8px;
-    color: var(--slate-100);
-    font-size: 14px;
-    font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;
-  `;
+  // Loads a saved region into the inputs and refreshes dimensions and preview
+  const applyRegion = async (region) => {
+    fromGroup.inputs.forEach((input, i) => input.value = region.from[i]);
+    toGroup.inputs.forEach((input, i) => input.value = region.to[i]);
+    ArtExtractor.setFromCoordinates(region.from);
+    ArtExtractor.setToCoordinates(region.to);
+
+    const regions = Settings.getExtractorRegions();
+    const stored = regions.find(r => r.id === region.id);
+    if (stored) {
+      stored.lastUsedAt = new Date().toISOString();
+      Settings.saveExtractorRegions(regions);
+    }
 
-  filenameContainer.appendChild(filenameLabel);
-  filenameContainer.appendChild(filenameInput);
-  content.appendChild(filenameContainer);
+    await updateDimensionsDisplay();
+  };
 
-  const extractButton = document.createElement('button');
-  extractButton.textContent = 'Extract';
-  extractButton.className = 'bmae-btn-extract';
-  extractButton.disabled = true;
+  const flyToRegion = (region) => {
+    const dims = ArtExtractor.calculateDimensions(region.from, region.to);
+    const centerX = region.from[0] * 1000 + region.from[2] + Math.floor(dims.width / 2);
+    const centerY = region.from[1] * 1000 + region.from[3] + Math.floor(dims.height / 2);
+    const latLng = canvasPosToLatLng([Math.floor(centerX / 1000), Math.floor(centerY / 1000), centerX % 1000, centerY % 1000]);
 
-  const updateDimensionsDisplay = async () => {
-    const coords = ArtExtractor.getExtractorCoordinates();
-    if (coords.from && coords.to) {
-      const dimensions = ArtExtractor.calculateDimensions(coords.from, coords.to);
-      document.getElementById('bm-ae-width').textContent = dimensions.width.toLocaleString();
-      document.getElementById('bm-ae-height').textContent = dimensions.height.toLocaleString();
-      document.getElementById('bm-ae-total').textContent = dimensions.pixels.toLocaleString();
-      extractButton.disabled = false;
-      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+    if (!latLng) {
+      templateManager.overlay?.handleDisplayError('❌ Unable to convert coordinates to location!');
+      return;
+    }
+
+    if (Settings.getNavigationMethod() === 'openurl') {
+      window.location.href = `https://wplace.live/?lat=${latLng.lat}&lng=${latLng.lng}&zoom=13.62`;
     } else {
-      document.getElementById('bm-ae-width').textContent = '-';
-      document.getElementById('bm-ae-height').textContent = '-';
-      document.getElementById('bm-ae-total').textContent = '-';
-      extractButton.disabled = true;
-      await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
+      flyToLatLng(latLng.lat, latLng.lng);
     }
+    templateManager.overlay?.handleDisplayStatus(`🧭 Flying to region "${region.name}"`);
   };
 
-  extractButton.addEventListener('click', async () => {
-    const coords = ArtExtractor.getExtractorCoordinates();
-    if (!coords.from || !coords.to) {
-      alert('Please set both "From" and "To" coordinates');
+  const renderRegionsList = () => {
+    regionsList.innerHTML = '';
+    const regions = Settings.getExtractorRegions();
+    renderTimelapseRegions();
+
+    if (regions.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No saved regions yet. Set coordinates and press Save.';
+      empty.style.cssText = 'font-size: 12px; color: var(--slate-400);';
+      regionsList.appendChild(empty);
       return;
     }
 
+    for (const region of regions) {
+      const dims = ArtExtractor.calculateDimensions(region.from, region.to);
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 6px 8px;
+        background: var(--slate-900);
+        border: 1px solid var(--slate-700);
+        border-radius: 6px;
+      `;
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0;';
+      const regionName = document.createElement('div');
+      regionName.textContent = region.name;
+      regionName.style.cssText = 'font-size: 13px; font-weight: 600; color: var(--slate-100); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      const regionCoords = document.createElement('div');
+      regionCoords.textContent = `${region.from.join(', ')} → ${region.to.join(', ')} (${dims.width}×${dims.height})`;
+      regionCoords.style.cssText = `font-size: 11px; color: var(--slate-400); font-family: 'JetBrains Mono', 'Consolas', 'Monaco', monospace;`;
+      info.append(regionName, regionCoords);
+
+      const showButton = document.createElement('button');
+      showButton.innerHTML = icons.pointerIcon;
+      showButton.title = 'Load region and show its preview rectangle';
+      showButton.className = 'bmae-btn-small';
+      showButton.onclick = () => applyRegion(region);
+
+      const rerunButton = document.createElement('button');
+      rerunButton.innerHTML = icons.playIcon;
+      rerunButton.title = 'Re-run extraction for this region';
+      rerunButton.className = 'bmae-btn-small';
+      rerunButton.onclick = async () => {
+        await applyRegion(region);
+        extractButton.click();
+      };
+
+      const flyButton = document.createElement('button');
+      flyButton.innerHTML = icons.pinIcon;
+      flyButton.title = 'Fly to this region';
+      flyButton.className = 'bmae-btn-small';
+      flyButton.onclick = () => flyToRegion(region);
+
+      const deleteButton = document.createElement('button');
+      deleteButton.innerHTML = icons.deleteIcon;
+      deleteButton.title = 'Delete saved region';
+      deleteButton.className = 'bmae-btn-small';
+      deleteButton.onclick = () => {
+        Settings.saveExtractorRegions(Settings.getExtractorRegions().filter(r => r.id !== region.id));
+        renderRegionsList();
+      };
+
+      row.append(info, showButton, rerunButton, flyButton, deleteButton);
+      regionsList.appendChild(row);
+    }
+  };
+
+  saveRegionButton.addEventListener('click', () => {
+    const coords = ArtExtractor.getExtractorCoordinates();
     const validation = ArtExtractor.validateCoordinateRange(coords.from, coords.to);
     if (!validation.valid) {
       alert(`Invalid coordinates: ${validation.error}`);
       return;
     }
 
-    await ArtExtractor.updatePreviewRectangle(templateManager, { invalidateCacheForTemplateUpdate });
-    
-    const dims = ArtExtractor.calculateDimensions(coords.from, coords.to);
-    extractButton.textContent = 'Extracting...';
-    extractButton.disabled = true;
-    
-    try {
-      const blob = await ArtExtractor.extractArt(coords.from, coords.to, templateManager, apiManager, (current, total) => {
-        const percent = Math.round((current / total) * 100);
-        extractButton.textContent = `Extracting... ${percent}%`;
+    const regions = Settings.getExtractorRegions();
+    const name = regionNameInput.value.trim() || `Region ${regions.length + 1}`;
+    const existing = regions.find(r => r.name === name);
+
+    if (existing) {
+      // Saving under an existing name updates that region
+      existing.from = [...coords.from];
+      existing.to = [...coords.to];
+    } else {
+      regions.push({
+        "id": `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        "name": name,
+        "from": [...coords.from],
+        "to": [...coords.to],
+        "createdAt": new Date().toISOString(),
+        "lastUsedAt": null
       });
-      
-      if (blob) {
-        const customName = filenameInput.value.trim();
-        const filename = customName 
-          ? `${customName}.png`
-          : `wplace-art-${dims.width}x${dims.height}.png`;
-        
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        extractButton.textContent = 'Extract';
-        extractButton.disabled = false;
-      } else {
-        throw new Error('Extraction failed to produce a result');
-      }
-    } catch (error) {
-      console.error('Extraction error:', error);
-      extractButton.textContent = 'Extract';
-      extractButton.disabled = false;
-      alert(`Extraction failed: ${error.message}`);
     }
+
+    Settings.saveExtractorRegions(regions);
+    regionNameInput.value = '';
+    renderRegionsList();
   });
 
-  content.appendChild(extractButton);
+  renderRegionsList();
 
   // Assemble the modal
   titleContainer.appendChild(title);
@@ -11470,28 +14522,717 @@ function setupColorMenuFilters(resetFilters) {
   setTimeout(filterAndSort, 50); // Small delay to ensure DOM is ready
 }
 
-// Initialize color menu when template is loaded
-window.addEventListener('message', (event) => {
-  if (event.data?.source === 'template-loaded' || event.data?.source === 'template-changed') {
-    clearColorMenuCache();
-    setTimeout(() => updateColorMenuDisplay(true, true), 500);
+// Initialize color menu when template is loaded
+window.addEventListener('message', (event) => {
+  if (event.data?.source === 'template-loaded' || event.data?.source === 'template-changed') {
+    clearColorMenuCache();
+    setTimeout(() => updateColorMenuDisplay(true, true), 500);
+  }
+});
+
+// Update color menu when overlay is shown and periodically
+const originalShowOverlay = window.showOverlay;
+if (originalShowOverlay) {
+  window.showOverlay = function(...args) {
+    const result = originalShowOverlay.apply(this, args);
+    setTimeout(() => updateColorMenuDisplay(false), 200); // Don't reset filters when showing overlay
+    return result;
+  };
+}
+
+window.updateColorMenuDisplay = updateColorMenuDisplay;
+window.clearColorMenuCache = clearColorMenuCache;
+window.updateColorMenuCache = updateColorMenuCache;
+
+
+/** Decodes an image file into pixel data for the template pre-processing dialogs.
+ * @param {File|Blob} file - The image
+ * @returns {Promise<ImageData>} The pixels
+ * @since 0.91.22
+ */
+async function imageFileToImageData(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/** Encodes pixel data as a PNG file, keeping the original file's base name.
+ * @param {ImageData} imageData - The pixels
+ * @param {string} fileName - Name of the original file
+ * @returns {Promise<File>} The PNG file
+ * @since 0.91.22
+ */
+async function imageDataToPNGFile(imageData, fileName) {
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new File([blob], fileName.replace(/\.[^/.]+$/, '') + '.png', { type: 'image/png' });
+}
+
+/** Lets the user scale an image down (or up) to a target template size before it is placed.
+ * Shows the resulting pixel count and a painting time estimate for a given number of painters.
+ * @param {File} file - The picked image
+ * @returns {Promise<File|null>} The file to use (resized or original), or null if cancelled
+ * @since 0.91.22
+ */
+async function showResizeDialog(file) {
+  let source;
+  try {
+    source = await imageFileToImageData(file);
+  } catch (error) {
+    console.warn('Resize step skipped, image could not be decoded:', error);
+    return file;
+  }
+
+  const cooldownMs = window.skirkChargeData?.cooldownMs || 30000; // One charge per cooldown
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'bm-resize-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      backdrop-filter: blur(8px);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10001;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const container = document.createElement('div');
+    container.style.cssText = `
+      background: #1e293b;
+      color: #f1f5f9;
+      border-radius: 20px;
+      border: 1px solid #334155;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+      max-width: 480px;
+      width: 92%;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 28px;
+      box-sizing: border-box;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Template size';
+    title.style.cssText = 'margin: 0 0 4px 0; font-size: 1.3em; font-weight: 700;';
+
+    const originalInfo = document.createElement('p');
+    originalInfo.textContent = `Original: ${source.width}×${source.height}`;
+    originalInfo.style.cssText = 'margin: 0 0 16px 0; color: #94a3b8; font-size: 0.9em;';
+
+    const inputStyle = `
+      width: 100%;
+      box-sizing: border-box;
+      padding: 8px;
+      background: #0f172a;
+      color: #f1f5f9;
+      border: 1px solid #334155;
+      border-radius: 8px;
+      font-size: 13px;
+    `;
+
+    const createField = (labelText, input) => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #94a3b8;';
+      label.append(labelText, input);
+      return label;
+    };
+
+    const createNumberInput = (value, min, max) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = min;
+      input.max = max;
+      input.step = 1;
+      input.value = value;
+      input.style.cssText = inputStyle;
+      return input;
+    };
+
+    const widthInput = createNumberInput(source.width, 1, 10000);
+    const heightInput = createNumberInput(source.height, 1, 10000);
+
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = inputStyle;
+    modeSelect.innerHTML = Object.entries(ImageResize.RESAMPLE_MODES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+    modeSelect.value = 'nearest';
+
+    const paintersInput = createNumberInput(1, 1, 10000);
+    paintersInput.title = 'How many people paint the template in parallel';
+
+    const fields = document.createElement('div');
+    fields.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 10px;';
+    fields.append(
+      createField('Width', widthInput),
+      createField('Height', heightInput),
+      createField('Resampling', modeSelect),
+      createField('Painters', paintersInput)
+    );
+
+    const lockLabel = document.createElement('label');
+    lockLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-top: 10px; font-size: 13px; color: #cbd5e1; cursor: pointer;';
+    const lockCheckbox = document.createElement('input');
+    lockCheckbox.type = 'checkbox';
+    lockCheckbox.checked = true;
+    lockLabel.append(lockCheckbox, 'Lock aspect ratio');
+
+    const preview = document.createElement('canvas');
+    preview.style.cssText = `
+      display: block;
+      width: 100%;
+      max-height: 240px;
+      object-fit: contain;
+      margin-top: 14px;
+      image-rendering: pixelated;
+      background: repeating-conic-gradient(#334155 0% 25%, #1e293b 0% 50%) 50% / 16px 16px;
+      border: 1px solid #334155;
+      border-radius: 8px;
+    `;
+
+    const estimate = document.createElement('div');
+    estimate.style.cssText = 'margin-top: 10px; font-size: 13px; color: #cbd5e1; line-height: 1.5; min-height: 20px;';
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 20px;';
+
+    const createButton = (text, background) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.cssText = `
+        flex: 1;
+        padding: 10px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+      `;
+      buttons.appendChild(button);
+      return button;
+    };
+
+    const cancelButton = createButton('Cancel', '#475569');
+    const continueButton = createButton('Continue', '#3b82f6');
+
+    const aspect = source.width / source.height;
+    const clampSize = (input) => Math.max(1, Math.min(10000, parseInt(input.value, 10) || 1));
+
+    widthInput.oninput = () => {
+      if (lockCheckbox.checked) heightInput.value = Math.max(1, Math.round(clampSize(widthInput) / aspect));
+      scheduleRender();
+    };
+    heightInput.oninput = () => {
+      if (lockCheckbox.checked) widthInput.value = Math.max(1, Math.round(clampSize(heightInput) * aspect));
+      scheduleRender();
+    };
+    modeSelect.onchange = () => scheduleRender();
+    paintersInput.oninput = () => scheduleRender();
+
+    let resized = null;
+
+    const formatDuration = (ms) => {
+      const minutes = Math.ceil(ms / 60000);
+      const days = Math.floor(minutes / 1440);
+      const hours = Math.floor((minutes % 1440) / 60);
+      return [days && `${days}d`, hours && `${hours}h`, `${minutes % 60}m`].filter(Boolean).join(' ');
+    };
+
+    const renderPreview = () => {
+      const width = clampSize(widthInput);
+      const height = clampSize(heightInput);
+      resized = (width === source.width && height === source.height)
+        ? source
+        : ImageResize.resizeImageData(source, width, height, modeSelect.value);
+
+      preview.width = width;
+      preview.height = height;
+      preview.getContext('2d').putImageData(resized, 0, 0);
+
+      // Pixels that will end up in the template (mostly opaque)
+      let pixels = 0;
+      for (let i = 3; i < resized.data.length; i += 4) {
+        if (resized.data[i] >= 128) pixels++;
+      }
+      const painters = Math.max(1, parseInt(paintersInput.value, 10) || 1);
+      estimate.innerHTML = `<b>${width}×${height}</b> • <b>${pixels.toLocaleString()}</b> pixels to paint<br>`
+        + `≈ ${formatDuration(pixels * cooldownMs / painters)} for ${painters} painter${painters === 1 ? '' : 's'} `
+        + `<span style="color: #64748b;">(1 charge every ${cooldownMs / 1000}s each)</span>`;
+    };
+
+    let renderTimer = null;
+    const scheduleRender = () => {
+      clearTimeout(renderTimer);
+      renderTimer = setTimeout(renderPreview, 120);
+    };
+
+    const close = (result) => {
+      clearTimeout(renderTimer);
+      overlay.remove();
+      resolve(result);
+    };
+
+    cancelButton.onclick = () => close(null);
+    continueButton.onclick = async () => {
+      clearTimeout(renderTimer);
+      renderPreview();
+      if (resized === source) {
+        close(file);
+        return;
+      }
+      close(await imageDataToPNGFile(resized, file.name));
+    };
+
+    container.append(title, originalInfo, fields, lockLabel, preview, estimate, buttons);
+    overlay.appendChild(container);
+    document.body.appendChild(overlay);
+    renderPreview();
+  });
+}
+
+/** Offers to convert an image onto the Wplace palette before it becomes a template.
+ * Pixels that do not exactly match a palette color would otherwise be dropped when the template is tiled.
+ * Skipped when the image already fits the palette.
+ * @param {File} file - The picked image
+ * @returns {Promise<File|null>} The file to use (converted or original), or null if cancelled
+ * @since 0.91.22
+ */
+async function showPaletteConversionDialog(file) {
+  let source;
+  try {
+    source = await imageFileToImageData(file);
+  } catch (error) {
+    console.warn('Palette check skipped, image could not be decoded:', error);
+    return file; // Let template creation report the problem
+  }
+
+  const fit = PaletteQuantizer.analyzePaletteFit(source);
+  if (fit.offPalette === 0 && fit.semiTransparent === 0) {
+    return file;
+  }
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'bm-palette-convert-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      backdrop-filter: blur(8px);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10001;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const container = document.createElement('div');
+    container.style.cssText = `
+      background: #1e293b;
+      color: #f1f5f9;
+      border-radius: 20px;
+      border: 1px solid #334155;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+      max-width: 640px;
+      width: 92%;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 28px;
+      box-sizing: border-box;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Convert to Wplace palette?';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 1.3em; font-weight: 700;';
+
+    const summary = document.createElement('p');
+    summary.textContent = `${fit.offPalette.toLocaleString()} of ${fit.opaque.toLocaleString()} visible pixels are not Wplace colors`
+      + (fit.semiTransparent ? ` and ${fit.semiTransparent.toLocaleString()} are semi-transparent` : '')
+      + '. Without conversion they are left out of the template.';
+    summary.style.cssText = 'margin: 0 0 16px 0; color: #94a3b8; font-size: 0.9em; line-height: 1.4;';
+
+    const createSelect = (options, value) => {
+      const select = document.createElement('select');
+      select.style.cssText = `
+        flex: 1;
+        padding: 8px;
+        background: #0f172a;
+        color: #f1f5f9;
+        border: 1px solid #334155;
+        border-radius: 8px;
+        font-size: 13px;
+      `;
+      select.innerHTML = Object.entries(options).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+      select.value = value;
+      return select;
+    };
+
+    const metricSelect = createSelect(PaletteQuantizer.QUANTIZE_METRICS, 'lab');
+    const ditherSelect = createSelect(PaletteQuantizer.DITHER_MODES, 'none');
+
+    const ownedLabel = document.createElement('label');
+    ownedLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 13px; color: #cbd5e1; white-space: nowrap; cursor: pointer;';
+    const ownedCheckbox = document.createElement('input');
+    ownedCheckbox.type = 'checkbox';
+    ownedCheckbox.checked = true;
+    ownedLabel.append(ownedCheckbox, 'Owned colors only');
+    ownedLabel.title = 'Leave out colors marked as locked in the color menu';
+
+    const optionsRow = document.createElement('div');
+    optionsRow.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-bottom: 16px;';
+    optionsRow.append(metricSelect, ditherSelect, ownedLabel);
+
+    // Side-by-side before/after previews
+    const previews = document.createElement('div');
+    previews.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 12px;';
+
+    const createPreview = (labelText) => {
+      const wrapper = document.createElement('div');
+      const label = document.createElement('div');
+      label.textContent = labelText;
+      label.style.cssText = 'font-size: 12px; color: #94a3b8; margin-bottom: 6px;';
+      const canvas = document.createElement('canvas');
+      canvas.width = source.width;
+      canvas.height = source.height;
+      canvas.style.cssText = `
+        width: 100%;
+        max-height: 260px;
+        object-fit: contain;
+        image-rendering: pixelated;
+        background: repeating-conic-gradient(#334155 0% 25%, #1e293b 0% 50%) 50% / 16px 16px;
+        border: 1px solid #334155;
+        border-radius: 8px;
+      `;
+      wrapper.append(label, canvas);
+      previews.appendChild(wrapper);
+      return canvas;
+    };
+
+    const beforeCanvas = createPreview('Before');
+    const afterCanvas = createPreview('After');
+    beforeCanvas.getContext('2d').putImageData(source, 0, 0);
+
+    const stats = document.createElement('div');
+    stats.style.cssText = 'margin-top: 10px; font-size: 12px; color: #94a3b8; min-height: 16px;';
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 20px;';
+
+    const createButton = (text, background) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.cssText = `
+        flex: 1;
+        padding: 10px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+      `;
+      buttons.appendChild(button);
+      return button;
+    };
+
+    const cancelButton = createButton('Cancel', '#475569');
+    const originalButton = createButton('Keep original', '#64748b');
+    const convertButton = createButton('Use converted', '#3b82f6');
+
+    let converted = null;
+
+    const renderPreview = () => {
+      try {
+        converted = PaletteQuantizer.quantizeImageData(source, {
+          metric: metricSelect.value,
+          dither: ditherSelect.value,
+          colorIds: PaletteQuantizer.getUsableColorIds(ownedCheckbox.checked)
+        });
+        afterCanvas.getContext('2d').putImageData(converted.imageData, 0, 0);
+        stats.textContent = `${converted.changedPixels.toLocaleString()} pixels changed • ${converted.colorsUsed} colors used`;
+        convertButton.disabled = false;
+      } catch (error) {
+        converted = null;
+        stats.textContent = error.message;
+        convertButton.disabled = true;
+      }
+    };
+
+    // Conversion of large images takes a moment, so let the UI update first
+    let renderTimer = null;
+    const scheduleRender = () => {
+      stats.textContent = 'Converting...';
+      clearTimeout(renderTimer);
+      renderTimer = setTimeout(renderPreview, 30);
+    };
+
+    metricSelect.onchange = scheduleRender;
+    ditherSelect.onchange = scheduleRender;
+    ownedCheckbox.onchange = scheduleRender;
+
+    const close = (result) => {
+      clearTimeout(renderTimer);
+      overlay.remove();
+      resolve(result);
+    };
+
+    cancelButton.onclick = () => close(null);
+    originalButton.onclick = () => close(file);
+    convertButton.onclick = async () => {
+      if (!converted) return;
+      close(await imageDataToPNGFile(converted.imageData, file.name));
+    };
+
+    container.append(title, summary, optionsRow, previews, stats, buttons);
+    overlay.appendChild(container);
+    document.body.appendChild(overlay);
+    scheduleRender();
+  });
+}
+
+/** Reports palette colors the template uses that the user has not unlocked.
+ * Locked pixels can be remapped to the nearest owned color, or kept and start out disabled in the template.
+ * Skipped when no locked color is used.
+ * @param {File} file - The (already palette-converted) image
+ * @returns {Promise<{file: File, disabledColors: string[]}|null>} The file and the color keys to disable, or null if cancelled
+ * @since 0.91.22
+ */
+async function showLockedColorsDialog(file) {
+  let source;
+  try {
+    source = await imageFileToImageData(file);
+  } catch (error) {
+    console.warn('Locked color check skipped, image could not be decoded:', error);
+    return { file, disabledColors: [] };
   }
-});
 
-// Update color menu when overlay is shown and periodically
-const originalShowOverlay = window.showOverlay;
-if (originalShowOverlay) {
-  window.showOverlay = function(...args) {
-    const result = originalShowOverlay.apply(this, args);
-    setTimeout(() => updateColorMenuDisplay(false), 200); // Don't reset filters when showing overlay
-    return result;
-  };
+  const lockedUsage = PaletteQuantizer.findLockedColorUsage(source);
+  if (lockedUsage.length === 0) {
+    return { file, disabledColors: [] };
+  }
+
+  const remapped = PaletteQuantizer.remapToOwnedColors(source, lockedUsage.map(color => color.id));
+  const replacementFor = new Map(remapped.replacements.map(({ from, to }) => [from, colorpalette[to]]));
+  const lockedPixels = lockedUsage.reduce((sum, color) => sum + color.pixels, 0);
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'bm-locked-colors-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      backdrop-filter: blur(8px);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10001;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const container = document.createElement('div');
+    container.style.cssText = `
+      background: #1e293b;
+      color: #f1f5f9;
+      border-radius: 20px;
+      border: 1px solid #334155;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+      max-width: 480px;
+      width: 92%;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 28px;
+      box-sizing: border-box;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Colors you don\'t own';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 1.3em; font-weight: 700;';
+
+    const summary = document.createElement('p');
+    summary.textContent = `${lockedPixels.toLocaleString()} pixels use ${lockedUsage.length} locked color${lockedUsage.length === 1 ? '' : 's'}.`;
+    summary.style.cssText = 'margin: 0 0 14px 0; color: #94a3b8; font-size: 0.9em;';
+
+    const swatch = (rgb) => `<span style="display: inline-block; width: 14px; height: 14px; border-radius: 3px; border: 1px solid rgba(255, 255, 255, 0.25); background: rgb(${rgb.join(',')}); vertical-align: middle;"></span>`;
+
+    const list = document.createElement('div');
+    list.style.cssText = 'display: flex; flex-direction: column; gap: 6px; max-height: 260px; overflow-y: auto;';
+    for (const color of lockedUsage) {
+      const replacement = replacementFor.get(color.id);
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 10px;
+        background: #0f172a;
+        border: 1px solid #334155;
+        border-radius: 8px;
+        font-size: 13px;
+      `;
+      row.innerHTML = `${swatch(color.rgb)}<span style="flex: 1;">${escapeHTML(color.name)}</span>`
+        + `<span style="color: #94a3b8;">${color.pixels.toLocaleString()} px</span>`
+        + (replacement ? `<span style="color: #64748b;">→</span>${swatch(replacement.rgb)}<span style="color: #cbd5e1;">${escapeHTML(replacement.name)}</span>` : '');
+      list.appendChild(row);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 20px;';
+
+    const createButton = (text, background, tooltip) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = tooltip;
+      button.style.cssText = `
+        flex: 1;
+        padding: 10px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+      `;
+      buttons.appendChild(button);
+      return button;
+    };
+
+    const cancelButton = createButton('Cancel', '#475569', 'Do not create the template');
+    const keepButton = createButton('Keep, disabled', '#64748b', 'Keep these pixels, but start with their colors disabled in the template');
+    const remapButton = createButton('Remap to owned', '#3b82f6', 'Replace each locked color with the nearest color you own');
+
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+
+    cancelButton.onclick = () => close(null);
+    keepButton.onclick = () => close({ file, disabledColors: lockedUsage.map(color => color.rgb.join(',')) });
+    remapButton.onclick = async () => close({ file: await imageDataToPNGFile(remapped.imageData, file.name), disabledColors: [] });
+
+    container.append(title, summary, list, buttons);
+    overlay.appendChild(container);
+    document.body.appendChild(overlay);
+  });
 }
 
-window.updateColorMenuDisplay = updateColorMenuDisplay;
-window.clearColorMenuCache = clearColorMenuCache;
-window.updateColorMenuCache = updateColorMenuCache;
+/** Asks what to do with a new template whose pixels and position are identical to an existing one.
+ * @param {{key: string, name: string, enabled: boolean, disabledColors: string[], enhancedColors: string[]}} existing - The existing template
+ * @param {string} newName - Name of the template being created
+ * @returns {Promise<string>} 'replace', 'keep', 'merge' or 'cancel'
+ * @since 0.91.22
+ */
+function showDuplicateTemplateDialog(existing, newName) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'bm-duplicate-template-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      backdrop-filter: blur(8px);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10001;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const container = document.createElement('div');
+    container.style.cssText = `
+      background: #1e293b;
+      color: #f1f5f9;
+      border-radius: 20px;
+      border: 1px solid #334155;
+      box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+      max-width: 480px;
+      width: 92%;
+      padding: 28px;
+      box-sizing: border-box;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Template already exists';
+    title.style.cssText = 'margin: 0 0 8px 0; font-size: 1.3em; font-weight: 700;';
+
+    const summary = document.createElement('p');
+    summary.innerHTML = `"${escapeHTML(newName)}" has the same pixels at the same position as <strong>${escapeHTML(existing.name)}</strong> (#${escapeHTML(existing.key.split(' ')[0])}).`;
+    summary.style.cssText = 'margin: 0 0 14px 0; color: #94a3b8; font-size: 0.9em; line-height: 1.4;';
+
+    const settings = document.createElement('div');
+    settings.style.cssText = `
+      padding: 8px 12px;
+      background: #0f172a;
+      border: 1px solid #334155;
+      border-radius: 8px;
+      font-size: 13px;
+      color: #cbd5e1;
+    `;
+    settings.textContent = `Existing settings: ${existing.enabled ? 'enabled' : 'disabled'}, `
+      + `${existing.disabledColors.length} disabled color${existing.disabledColors.length === 1 ? '' : 's'}, `
+      + `${existing.enhancedColors.length} enhanced color${existing.enhancedColors.length === 1 ? '' : 's'}`;
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; margin-top: 20px;';
+
+    const createButton = (text, background, tooltip) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = tooltip;
+      button.style.cssText = `
+        flex: 1;
+        padding: 10px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 8px;
+        font-weight: 600;
+        cursor: pointer;
+        white-space: nowrap;
+      `;
+      buttons.appendChild(button);
+      return button;
+    };
 
+    const cancelButton = createButton('Cancel', '#475569', 'Do not create the template');
+    const keepButton = createButton('Keep both', '#64748b', 'Add the new template next to the existing one');
+    const replaceButton = createButton('Replace', '#ef4444', 'Overwrite the existing template, resetting its settings');
+    const mergeButton = createButton('Merge settings', '#3b82f6', 'Overwrite the existing template but keep its enabled state and color settings');
+
+    const close = (action) => {
+      overlay.remove();
+      resolve(action);
+    };
+
+    cancelButton.onclick = () => close('cancel');
+    keepButton.onclick = () => close('keep');
+    replaceButton.onclick = () => close('replace');
+    mergeButton.onclick = () => close('merge');
+
+    container.append(title, summary, settings, buttons);
+    overlay.appendChild(container);
+    document.body.appendChild(overlay);
+  });
+}
 
 /** Opens a file picker and starts the template placer drag-to-place flow.
  * When the user confirms, the template is uploaded at the chosen coordinates.
@@ -11507,10 +15248,20 @@ function startTemplatePlacerFlow(overlayInstance, templateManager) {
   input.style.display = 'none';
   document.body.appendChild(input);
 
-  input.onchange = () => {
-    const file = input.files?.[0];
+  input.onchange = async () => {
+    const picked = input.files?.[0];
     input.remove();
-    if (!file) return;
+    if (!picked) return;
+
+    // Scale to the target size, map off-palette pixels onto Wplace colors, then deal with locked colors
+    const resized = await showResizeDialog(picked);
+    const converted = resized && await showPaletteConversionDialog(resized);
+    const prepared = converted && await showLockedColorsDialog(converted);
+    if (!prepared) {
+      overlayInstance?.handleDisplayStatus('Template upload cancelled.');
+      return;
+    }
+    const { file, disabledColors } = prepared;
 
     TemplatePlacer.startPlacer(file, {
       onConfirm: async (result) => {
@@ -11518,12 +15269,14 @@ function startTemplatePlacerFlow(overlayInstance, templateManager) {
         try {
           console.log('[TemplatePlacer] Calling createTemplate...');
           // Create the template with the chosen coordinates
-          await templateManager.createTemplate(
+          const templateKey = await templateManager.createTemplate(
             result.file,
             result.fileName,
-            [result.tileX, result.tileY, result.pixelX, result.pixelY]
+            [result.tileX, result.tileY, result.pixelX, result.pixelY],
+            { disabledColors }
           );
           console.log('[TemplatePlacer] createTemplate completed successfully');
+          if (!templateKey) return; // Cancelled at the duplicate template prompt
 
           // Invalidate cache and update UI (same as normal Create button)
           invalidateTemplateCache();
@@ -11553,10 +15306,56 @@ function startTemplatePlacerFlow(overlayInstance, templateManager) {
   input.click();
 }
 
+/**
+ * Opens the pixel editor on an existing template.
+ * The edited image is written back at the template's coordinates through createTemplate,
+ * so the previous version lands in the revision history.
+ * @param {Object} overlayInstance - The main Overlay instance
+ * @param {TemplateManager} tmManager - The template manager
+ * @param {string} templateKey - The key of the template to edit (e.g., "0 $Z")
+ * @param {string} templateName - Display name (for status messages)
+ * @since 0.91.22
+ */
+async function editTemplateFlow(overlayInstance, tmManager, templateKey, templateName) {
+  try {
+    const result = await tmManager.reconstructImageBlob(templateKey);
+    const coords = tmManager.templatesJSON?.templates?.[templateKey]?.coords?.split(', ').map(Number);
+    if (!result || coords?.length !== 4) {
+      overlayInstance?.handleDisplayError('Failed to reconstruct template image.');
+      return;
+    }
+
+    const imageData = await imageFileToImageData(result.blob);
+    overlayInstance?.handleDisplayStatus(`Editing "${templateName}"`);
+
+    PixelEditor.openPixelEditor(imageData, {
+      title: `Edit "${templateName}"`,
+      onSave: async (editedImageData) => {
+        const file = await imageDataToPNGFile(editedImageData, result.name);
+        await tmManager.createTemplate(file, templateName, coords, { replaceTemplateKey: templateKey, revisionReason: 'edit' });
+
+        invalidateTemplateCache();
+        setTimeout(() => {
+          updateMiniTracker();
+          updateColorMenuDisplay(false, true);
+        }, 500);
+
+        overlayInstance?.handleDisplayStatus(`Saved edits to "${templateName}"`);
+      },
+      onCancel: () => {
+        overlayInstance?.handleDisplayStatus('Template edit cancelled.');
+      }
+    });
+  } catch (err) {
+    console.error('[EditTemplate] Error:', err);
+    overlayInstance?.handleDisplayError(`Could not edit template: ${err.message}`);
+  }
+}
+
 /**
  * Launches the template placer to move an existing template to a new position.
  * Reconstructs the image from stored tile data, lets the user drag it to a new location,
- * then deletes the old template and creates a new one at the confirmed position.
+ * then overwrites the template at the confirmed position. The old position stays in its revision history.
  * @param {Object} overlayInstance - The main Overlay instance
  * @param {TemplateManager} tmManager - The template manager
  * @param {string} templateKey - The key of the template to move (e.g., "0 $Z")
@@ -11590,14 +15389,12 @@ async function moveTemplateFlow(overlayInstance, tmManager, templateKey, templat
         try {
           overlayInstance?.handleDisplayStatus(`Moving "${templateName}" to new position...`);
 
-          // Delete the old template
-          await tmManager.deleteTemplate(templateKey);
-
-          // Create new template at the new position
+          // Overwrite the template at the new position, keeping its settings and history
           await tmManager.createTemplate(
             confirmResult.file,
             confirmResult.fileName,
-            [confirmResult.tileX, confirmResult.tileY, confirmResult.pixelX, confirmResult.pixelY]
+            [confirmResult.tileX, confirmResult.tileY, confirmResult.pixelX, confirmResult.pixelY],
+            { replaceTemplateKey: templateKey, revisionReason: 'move' }
           );
 
           invalidateTemplateCache();
@@ -13807,6 +17604,151 @@ function buildCrosshairSettingsOverlay() {
 
   contentContainer.appendChild(cacheSection);
 
+  // Template backups section
+  const backupSection = document.createElement('div');
+  backupSection.style.cssText = `
+    background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
+    border: 1px solid var(--slate-700);
+    border-radius: ${sectionBorderRadius};
+    padding: ${sectionPadding};
+    margin-bottom: ${sectionMargin};
+    position: relative;
+    z-index: 1;
+  `;
+
+  const backupLabel = document.createElement('h3');
+  backupLabel.textContent = 'Template Backups';
+  backupLabel.style.cssText = `
+    margin: 0 0 8px 0;
+    color: var(--slate-100);
+    font-size: 1em;
+    font-weight: 700;
+    letter-spacing: -0.01em;
+  `;
+
+  const backupDescription = document.createElement('p');
+  backupDescription.textContent = 'Your templates are backed up automatically every few minutes while you edit them. Only the most recent backups are kept. Restoring replaces all templates, after backing up the current ones.';
+  backupDescription.style.cssText = `
+    margin: 0 0 12px 0;
+    color: var(--slate-400);
+    font-size: 0.85em;
+    line-height: 1.4;
+  `;
+
+  const backupList = document.createElement('div');
+  backupList.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    margin-bottom: 12px;
+  `;
+
+  const backupNowButton = document.createElement('button');
+  backupNowButton.textContent = 'Back up now';
+  backupNowButton.style.cssText = `
+    width: 100%;
+    padding: 8px 12px;
+    border: none;
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 0.9em;
+    font-weight: 600;
+    background: linear-gradient(135deg, var(--blue-500), var(--blue-600));
+    color: white;
+  `;
+
+  async function renderBackupList() {
+    backupList.innerHTML = '';
+    let backups = [];
+    try {
+      backups = await templateManager.getTemplateBackups();
+    } catch (error) {
+      console.warn('⚠️ Could not list template backups:', error);
+    }
+
+    if (backups.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No backups yet.';
+      empty.style.cssText = 'color: var(--slate-400); font-size: 0.85em;';
+      backupList.appendChild(empty);
+      return;
+    }
+
+    for (const backup of backups) {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        background: var(--slate-900);
+        border: 1px solid var(--slate-600);
+        border-radius: 6px;
+        padding: 6px 8px;
+      `;
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0; font-size: 0.8em; color: var(--slate-300); line-height: 1.3;';
+      info.innerHTML = `<div>${escapeHTML(new Date(backup.createdAt).toLocaleString())}</div>`
+        + `<div style="color: var(--slate-400);">${backup.templateCount} template${backup.templateCount === 1 ? '' : 's'} • ${(backup.size / 1024 / 1024).toFixed(2)} MB</div>`;
+
+      const restoreButton = document.createElement('button');
+      restoreButton.textContent = 'Restore';
+      restoreButton.style.cssText = `
+        padding: 6px 10px;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 0.8em;
+        font-weight: 600;
+        background: var(--slate-700);
+        color: var(--slate-100);
+      `;
+      restoreButton.onclick = () => {
+        showCustomConfirmDialog(
+          'Restore Backup?',
+          `All current templates will be replaced by the ${backup.templateCount} template${backup.templateCount === 1 ? '' : 's'} backed up on ${new Date(backup.createdAt).toLocaleString()}.\n\nThe current templates are backed up first.`,
+          async () => {
+            try {
+              const restored = await templateManager.restoreTemplateBackup(backup.id);
+              invalidateTemplateCache();
+              updateMiniTracker();
+              refreshColorMenuAfterLoad();
+              refreshTemplateDisplay().catch(error => console.warn('Warning: Failed to refresh template display:', error));
+              overlayMain.handleDisplayStatus(`Restored ${restored} template${restored === 1 ? '' : 's'} from backup`);
+            } catch (error) {
+              console.error('❌ Failed to restore template backup:', error);
+              overlayMain.handleDisplayError(`Could not restore backup: ${error.message}`);
+            }
+            renderBackupList();
+          }
+        );
+      };
+
+      row.appendChild(info);
+      row.appendChild(restoreButton);
+      backupList.appendChild(row);
+    }
+  }
+
+  backupNowButton.onclick = async () => {
+    try {
+      const added = await templateManager.backupTemplatesNow();
+      overlayMain.handleDisplayStatus(added ? 'Templates backed up' : 'Nothing changed since the last backup');
+    } catch (error) {
+      console.error('❌ Template backup failed:', error);
+      overlayMain.handleDisplayError('Template backup failed. Check console for details.');
+    }
+    renderBackupList();
+  };
+
+  renderBackupList();
+
+  backupSection.appendChild(backupLabel);
+  backupSection.appendChild(backupDescription);
+  backupSection.appendChild(backupList);
+  backupSection.appendChild(backupNowButton);
+  contentContainer.appendChild(backupSection);
+
   // Debug logging section
   const debugSection = document.createElement('div');
   debugSection.style.cssText = `
@@ -13996,7 +17938,7 @@ function createSearchWindow() {
   </div>
 </div>
 <div class="body">
-  <input type="text" id="skirk-search-input" placeholder="Search for a place...">
+  <input type="text" id="skirk-search-input" placeholder="Search for a place, coordinates or Wplace link...">
   <div id="skirk-search-results"></div>
   <div id="skirk-favorites-menu" style="display: none;">
     <div id="skirk-favorites-header">
@@ -14539,10 +18481,33 @@ function createSearchWindow() {
     });
   }
 
-  async function handleSearch() {
+  async function handleSearch(navigateToCoordinates = false) {
     const query = searchInput.value.trim();
     if (!query) return;
 
+    // Coordinates and Wplace links are not looked up; Enter or a click goes straight there
+    const parsed = parseCoordinates(query);
+    if (parsed) {
+      const latLng = canvasPosToLatLng(parsed.coords);
+      const [tileX, tileY, pixelX, pixelY] = parsed.coords;
+      if (navigateToCoordinates) {
+        navigateToLocation(latLng.lat, latLng.lng);
+        return;
+      }
+
+      const resultItem = document.createElement('div');
+      resultItem.className = 'skirk-search-result';
+      resultItem.innerHTML = `
+        <div class="skirk-result-content">
+          <div class="skirk-result-name">Go to Tile ${tileX}, ${tileY} • Pixel ${pixelX}, ${pixelY}</div>
+        </div>
+      `;
+      resultItem.addEventListener('click', () => navigateToLocation(latLng.lat, latLng.lng));
+      resultsContainer.innerHTML = '';
+      resultsContainer.appendChild(resultItem);
+      return;
+    }
+
     resultsContainer.innerHTML = '<div class="skirk-loading">Searching...</div>';
 
     try {
@@ -14556,7 +18521,7 @@ function createSearchWindow() {
 
   searchInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
-      handleSearch();
+      handleSearch(true);
     }
   });
 
@@ -14571,7 +18536,7 @@ function createSearchWindow() {
       return;
     }
     
-    searchTimeout = setTimeout(handleSearch, 500); // Debounce search
+    searchTimeout = setTimeout(() => handleSearch(), 500); // Debounce search
   });
 }
 
@@ -0,0 +1,268 @@
+/** @file Palette Quantizer - Maps arbitrary images onto the Wplace palette before they become templates.
+ * Template tiles only keep pixels that exactly match a palette color, so photos and
+ * anti-aliased art are converted here first.
+ * @since 0.91.22
+ */
+
+import { colorpalette, loadColorAvailability } from './utils.js';
+
+/** Distance metrics for picking the closest palette color.
+ * @since 0.91.22
+ */
+export const QUANTIZE_METRICS = {
+  'rgb': 'RGB distance',
+  'lab': 'CIELAB (ΔE)'
+};
+
+/** Dithering modes.
+ * @since 0.91.22
+ */
+export const DITHER_MODES = {
+  'none': 'No dithering',
+  'floyd-steinberg': 'Floyd–Steinberg',
+  'bayer': 'Ordered (Bayer 4×4)'
+};
+
+// Bayer threshold map, values 0-15
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+const BAYER_SPREAD = 48; // How far (per channel) ordered dithering may push a color
+
+/** Palette colors a template may use, honouring the owned/locked state saved by {@link loadColorAvailability}.
+ * Free colors are always usable. Colors with unknown availability count as owned.
+ * @param {boolean} [ownedOnly=false] - Leave out colors known to be locked
+ * @returns {Array<number>} Palette IDs (never Transparent)
+ * @since 0.91.22
+ */
+export function getUsableColorIds(ownedOnly = false) {
+  loadColorAvailability();
+  return colorpalette
+    .filter(color => color.id !== 0 && (!ownedOnly || color.free || color.isAvailable !== false))
+    .map(color => color.id);
+}
+
+/** Converts an sRGB color to CIELAB (D65 white point).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array<number>} [L, a, b]
+ * @since 0.91.22
+ */
+function rgbToLab(r, g, b) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const lr = linear(r);
+  const lg = linear(g);
+  const lb = linear(b);
+
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+  const f = (t) => t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + (16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [(116 * fy) - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/** Builds a nearest-color lookup for a set of palette colors. Results are memoized per RGB value.
+ * @param {Array<number>} colorIds - Palette IDs to choose from
+ * @param {string} metric - A key of {@link QUANTIZE_METRICS}
+ * @returns {Function} (r, g, b) => palette color ({ id, rgb })
+ * @since 0.91.22
+ */
+function createNearestColorFinder(colorIds, metric) {
+  const candidates = colorIds.map(id => colorpalette[id]).filter(Boolean);
+  if (candidates.length === 0) {
+    throw new Error('No palette colors available to convert to');
+  }
+
+  const useLab = metric === 'lab';
+  const targets = candidates.map(color => useLab ? rgbToLab(...color.rgb) : color.rgb);
+  const cache = new Map();
+
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    const [c1, c2, c3] = useLab ? rgbToLab(r, g, b) : [r, g, b];
+    let best = candidates[0];
+    let bestDistance = Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const d1 = c1 - targets[i][0];
+      const d2 = c2 - targets[i][1];
+      const d3 = c3 - targets[i][2];
+      const distance = d1 * d1 + d2 * d2 + d3 * d3; // Squared ΔE76 for Lab
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = candidates[i];
+      }
+    }
+
+    cache.set(key, best);
+    return best;
+  };
+}
+
+/** Counts the pixels that would be lost without conversion.
+ * @param {ImageData} imageData - The image
+ * @param {number} [alphaThreshold=128] - Pixels below this alpha count as transparent
+ * @returns {{opaque: number, offPalette: number, semiTransparent: number}}
+ * @since 0.91.22
+ */
+export function analyzePaletteFit(imageData, alphaThreshold = 128) {
+  const exact = new Set(colorpalette.filter(color => color.id !== 0).map(color => (color.rgb[0] << 16) | (color.rgb[1] << 8) | color.rgb[2]));
+  const data = imageData.data;
+  let opaque = 0;
+  let offPalette = 0;
+  let semiTransparent = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha < alphaThreshold) continue;
+    opaque++;
+    if (alpha < 255) semiTransparent++;
+    if (!exact.has((data[i] << 16) | (data[i + 1] << 8) | data[i + 2])) offPalette++;
+  }
+
+  return { opaque, offPalette, semiTransparent };
+}
+
+/** Maps every pixel of an image onto the palette.
+ * Pixels below the alpha threshold become fully transparent, all others fully opaque.
+ * @param {ImageData} imageData - The source image (not modified)
+ * @param {Object} [options={}]
+ * @param {string} [options.metric='lab'] - A key of {@link QUANTIZE_METRICS}
+ * @param {string} [options.dither='none'] - A key of {@link DITHER_MODES}
+ * @param {Array<number>} [options.colorIds] - Palette IDs to use (defaults to every color)
+ * @param {number} [options.alphaThreshold=128] - Minimum alpha for a pixel to be kept
+ * @returns {{imageData: ImageData, colorsUsed: number, changedPixels: number}} The converted image and stats
+ * @since 0.91.22
+ */
+export function quantizeImageData(imageData, { metric = 'lab', dither = 'none', colorIds = getUsableColorIds(false), alphaThreshold = 128 } = {}) {
+  const { width, height } = imageData;
+  const source = imageData.data;
+  const output = new ImageData(width, height);
+  const out = output.data;
+  const findNearest = createNearestColorFinder(colorIds, metric);
+  const used = new Set();
+  let changedPixels = 0;
+
+  // Floyd–Steinberg works on a float copy so the diffused error is not clamped too early
+  const errorBuffer = dither === 'floyd-steinberg' ? Float32Array.from(source) : null;
+
+  const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+  const diffuse = (x, y, er, eg, eb, weight) => {
+    if (x < 0 || x >= width || y >= height) return;
+    const j = (y * width + x) * 4;
+    errorBuffer[j] += er * weight;
+    errorBuffer[j + 1] += eg * weight;
+    errorBuffer[j + 2] += eb * weight;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (source[i + 3] < alphaThreshold) continue; // Output is already transparent
+
+      let r = source[i];
+      let g = source[i + 1];
+      let b = source[i + 2];
+
+      if (errorBuffer) {
+        r = errorBuffer[i];
+        g = errorBuffer[i + 1];
+        b = errorBuffer[i + 2];
+      } else if (dither === 'bayer') {
+        const offset = ((BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * BAYER_SPREAD;
+        r += offset;
+        g += offset;
+        b += offset;
+      }
+
+      const color = findNearest(clamp(r), clamp(g), clamp(b));
+      const [pr, pg, pb] = color.rgb;
+
+      out[i] = pr;
+      out[i + 1] = pg;
+      out[i + 2] = pb;
+      out[i + 3] = 255;
+      used.add(color.id);
+      if (pr !== source[i] || pg !== source[i + 1] || pb !== source[i + 2] || source[i + 3] !== 255) changedPixels++;
+
+      if (errorBuffer) {
+        const er = r - pr;
+        const eg = g - pg;
+        const eb = b - pb;
+        diffuse(x + 1, y, er, eg, eb, 7 / 16);
+        diffuse(x - 1, y + 1, er, eg, eb, 3 / 16);
+        diffuse(x, y + 1, er, eg, eb, 5 / 16);
+        diffuse(x + 1, y + 1, er, eg, eb, 1 / 16);
+      }
+    }
+  }
+
+  return { imageData: output, colorsUsed: used.size, changedPixels };
+}
+
+/** Lists the locked palette colors an image uses.
+ * Only exact palette matches are counted, so run this after conversion.
+ * @param {ImageData} imageData - The image
+ * @param {number} [alphaThreshold=128] - Pixels below this alpha are ignored
+ * @returns {Array<{id: number, name: string, rgb: Array<number>, pixels: number}>} Locked colors by pixel count, most used first
+ * @since 0.91.22
+ */
+export function findLockedColorUsage(imageData, alphaThreshold = 128) {
+  const owned = new Set(getUsableColorIds(true));
+  const locked = new Map(colorpalette
+    .filter(color => color.id !== 0 && !owned.has(color.id))
+    .map(color => [(color.rgb[0] << 16) | (color.rgb[1] << 8) | color.rgb[2], color]));
+  if (locked.size === 0) return [];
+
+  const counts = new Map();
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < alphaThreshold) continue;
+    const color = locked.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    if (color) counts.set(color, (counts.get(color) || 0) + 1);
+  }
+
+  return Array.from(counts, ([color, pixels]) => ({ id: color.id, name: color.name, rgb: [...color.rgb], pixels }))
+    .sort((a, b) => b.pixels - a.pixels);
+}
+
+/** Replaces the pixels of the given colors with the nearest owned color. Other pixels are untouched.
+ * @param {ImageData} imageData - The source image (not modified)
+ * @param {Array<number>} colorIds - Palette IDs to replace
+ * @param {string} [metric='lab'] - A key of {@link QUANTIZE_METRICS}
+ * @returns {{imageData: ImageData, replacements: Array<{from: number, to: number}>}} The remapped image and which color replaced which
+ * @since 0.91.22
+ */
+export function remapToOwnedColors(imageData, colorIds, metric = 'lab') {
+  const findNearest = createNearestColorFinder(getUsableColorIds(true), metric);
+  const targets = new Map();
+  for (const id of colorIds) {
+    const color = colorpalette[id];
+    if (color) targets.set((color.rgb[0] << 16) | (color.rgb[1] << 8) | color.rgb[2], { from: id, to: findNearest(...color.rgb) });
+  }
+
+  const output = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+  const out = output.data;
+  for (let i = 0; i < out.length; i += 4) {
+    if (out[i + 3] === 0) continue;
+    const target = targets.get((out[i] << 16) | (out[i + 1] << 8) | out[i + 2]);
+    if (target) out.set(target.to.rgb, i);
+  }
+
+  return { imageData: output, replacements: Array.from(targets.values(), ({ from, to }) => ({ from, to: to.id })) };
+}
@@ -0,0 +1,466 @@
+/** @file Pixel Editor - Small in-overlay editor for touching up template images.
+ * Only palette colors can be painted, so the result never needs converting again.
+ * @since 0.91.22
+ */
+
+import { colorpalette, escapeHTML } from './utils.js';
+
+/** Editing tools, keyed by their keyboard shortcut.
+ * @since 0.91.22
+ */
+export const EDITOR_TOOLS = {
+  'brush': { label: 'Brush', key: 'b' },
+  'eraser': { label: 'Eraser', key: 'e' },
+  'fill': { label: 'Fill', key: 'f' },
+  'eyedropper': { label: 'Eyedropper', key: 'i' }
+};
+
+const MAX_HISTORY = 200; // Undo steps kept
+
+/** Packs RGBA into the value a little-endian Uint32Array view of ImageData holds.
+ * @param {Array<number>} rgb - [r, g, b]
+ * @param {number} [alpha=255]
+ * @returns {number}
+ * @since 0.91.22
+ */
+function packColor(rgb, alpha = 255) {
+  return ((alpha << 24) | (rgb[2] << 16) | (rgb[1] << 8) | rgb[0]) >>> 0;
+}
+
+/** Opens the editor on an image.
+ * @param {ImageData} imageData - The image to edit (not modified, a copy is edited)
+ * @param {Object} [options={}]
+ * @param {string} [options.title='Edit template'] - Dialog title
+ * @param {Function} [options.onSave] - Called with the edited ImageData. May return a Promise; the editor closes once it resolves
+ * @param {Function} [options.onCancel] - Called when the editor is closed without saving
+ * @since 0.91.22
+ */
+export function openPixelEditor(imageData, { title = 'Edit template', onSave, onCancel } = {}) {
+  document.getElementById('bm-pixel-editor-overlay')?.remove();
+
+  const { width, height } = imageData;
+  const image = new ImageData(new Uint8ClampedArray(imageData.data), width, height);
+  const pixels = new Uint32Array(image.data.buffer);
+
+  const colors = colorpalette.filter(color => color.id !== 0);
+  const paletteValues = new Map(colors.map(color => [packColor(color.rgb), color]));
+
+  let tool = 'brush';
+  let currentColor = colors.find(color => color.id === 1) || colors[0];
+  let zoom = Math.max(1, Math.min(32, Math.floor(Math.min(640 / width, 420 / height))));
+
+  // Each history step is a list of [pixel index, value before, value after]
+  const undoStack = [];
+  const redoStack = [];
+  let stroke = null; // Map of pixel index -> [before, after] for the stroke in progress
+  let lastPoint = null;
+
+  // ─── Dialog ────────────────────────────────────────────────────────────────
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-pixel-editor-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    width: min(760px, 96vw);
+    max-height: 94vh;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    padding: 20px;
+    box-sizing: border-box;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; align-items: baseline; gap: 10px;';
+  header.innerHTML = `<h3 style="margin: 0; font-size: 1.2em; font-weight: 700; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHTML(title)}</h3>`
+    + `<span style="color: #94a3b8; font-size: 0.85em;">${width}×${height}</span>`;
+
+  const buttonStyle = (active = false) => `
+    padding: 6px 10px;
+    border: 1px solid ${active ? '#60a5fa' : '#475569'};
+    border-radius: 8px;
+    background: ${active ? '#1d4ed8' : '#334155'};
+    color: #f1f5f9;
+    font-size: 12px;
+    font-weight: 600;
+    cursor: pointer;
+  `;
+
+  // Toolbar: tools, undo/redo, zoom
+  const toolbar = document.createElement('div');
+  toolbar.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 6px;';
+
+  const toolButtons = {};
+  for (const [id, { label, key }] of Object.entries(EDITOR_TOOLS)) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = `${label} (${key.toUpperCase()})`;
+    button.onclick = () => setTool(id);
+    toolButtons[id] = button;
+    toolbar.appendChild(button);
+  }
+
+  const separator = () => {
+    const span = document.createElement('span');
+    span.style.cssText = 'width: 1px; align-self: stretch; background: #475569; margin: 0 4px;';
+    return span;
+  };
+
+  const undoButton = document.createElement('button');
+  undoButton.textContent = 'Undo';
+  undoButton.title = 'Undo (Ctrl+Z)';
+  undoButton.onclick = () => undo();
+
+  const redoButton = document.createElement('button');
+  redoButton.textContent = 'Redo';
+  redoButton.title = 'Redo (Ctrl+Y)';
+  redoButton.onclick = () => redo();
+
+  const zoomOutButton = document.createElement('button');
+  zoomOutButton.textContent = '−';
+  zoomOutButton.title = 'Zoom out';
+  zoomOutButton.style.cssText = buttonStyle();
+  zoomOutButton.onclick = () => setZoom(zoom / 2);
+
+  const zoomLabel = document.createElement('span');
+  zoomLabel.style.cssText = 'min-width: 40px; text-align: center; font-size: 12px; color: #cbd5e1;';
+
+  const zoomInButton = document.createElement('button');
+  zoomInButton.textContent = '+';
+  zoomInButton.title = 'Zoom in';
+  zoomInButton.style.cssText = buttonStyle();
+  zoomInButton.onclick = () => setZoom(zoom * 2);
+
+  toolbar.append(separator(), undoButton, redoButton, separator(), zoomOutButton, zoomLabel, zoomInButton);
+
+  // Canvas, on a checkerboard so transparent pixels are visible
+  const viewport = document.createElement('div');
+  viewport.style.cssText = `
+    flex: 1;
+    min-height: 200px;
+    max-height: 56vh;
+    overflow: auto;
+    background: #0f172a;
+    border: 1px solid #334155;
+    border-radius: 10px;
+    display: flex;
+  `;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.style.cssText = `
+    margin: auto;
+    image-rendering: pixelated;
+    cursor: crosshair;
+    touch-action: none;
+    background-color: #e2e8f0;
+    background-image: linear-gradient(45deg, #94a3b8 25%, transparent 25%, transparent 75%, #94a3b8 75%),
+      linear-gradient(45deg, #94a3b8 25%, transparent 25%, transparent 75%, #94a3b8 75%);
+    background-size: 16px 16px;
+    background-position: 0 0, 8px 8px;
+  `;
+  const context = canvas.getContext('2d');
+  context.putImageData(image, 0, 0);
+  viewport.appendChild(canvas);
+
+  // Palette
+  const palette = document.createElement('div');
+  palette.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
+
+  const swatches = new Map();
+  for (const color of colors) {
+    const swatch = document.createElement('button');
+    swatch.title = color.isAvailable === false && !color.free ? `${color.name} (locked)` : color.name;
+    swatch.style.cssText = `
+      width: 22px;
+      height: 22px;
+      padding: 0;
+      border-radius: 4px;
+      border: 2px solid transparent;
+      background: rgb(${color.rgb.join(',')});
+      cursor: pointer;
+      ${color.isAvailable === false && !color.free ? 'opacity: 0.45;' : ''}
+    `;
+    swatch.onclick = () => {
+      setColor(color);
+      if (tool === 'eraser' || tool === 'eyedropper') setTool('brush');
+    };
+    swatches.set(color, swatch);
+    palette.appendChild(swatch);
+  }
+
+  const status = document.createElement('div');
+  status.style.cssText = 'font-size: 12px; color: #94a3b8; min-height: 16px;';
+
+  const footer = document.createElement('div');
+  footer.style.cssText = 'display: flex; gap: 8px;';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #475569; color: white;';
+
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save';
+  saveButton.style.cssText = 'flex: 1; padding: 10px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #3b82f6, #2563eb); color: white;';
+
+  footer.append(cancelButton, saveButton);
+  container.append(header, toolbar, viewport, palette, status, footer);
+  overlay.appendChild(container);
+
+  // ─── State updates ─────────────────────────────────────────────────────────
+
+  function setTool(id) {
+    tool = id;
+    for (const [toolId, button] of Object.entries(toolButtons)) {
+      button.style.cssText = buttonStyle(toolId === tool);
+    }
+  }
+
+  function setColor(color) {
+    currentColor = color;
+    for (const [swatchColor, swatch] of swatches) {
+      swatch.style.borderColor = swatchColor === color ? '#f1f5f9' : 'transparent';
+    }
+    status.textContent = `Color: ${color.name}`;
+  }
+
+  function setZoom(value) {
+    zoom = Math.max(1, Math.min(64, value));
+    canvas.style.width = `${width * zoom}px`;
+    canvas.style.height = `${height * zoom}px`;
+    zoomLabel.textContent = `${zoom}×`;
+  }
+
+  function updateHistoryButtons() {
+    undoButton.style.cssText = buttonStyle() + (undoStack.length ? '' : 'opacity: 0.5;');
+    redoButton.style.cssText = buttonStyle() + (redoStack.length ? '' : 'opacity: 0.5;');
+  }
+
+  // ─── Editing ───────────────────────────────────────────────────────────────
+
+  /** Writes one pixel, recording it in the current stroke */
+  function setPixel(index, value) {
+    const before = pixels[index];
+    if (before === value) return;
+
+    const entry = stroke.get(index);
+    stroke.set(index, [entry ? entry[0] : before, value]);
+    pixels[index] = value;
+    context.putImageData(image, 0, 0, index % width, Math.floor(index / width), 1, 1);
+  }
+
+  function paintAt(x, y) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    setPixel(y * width + x, tool === 'eraser' ? 0 : packColor(currentColor.rgb));
+  }
+
+  /** Paints every pixel on the line between two points, so fast strokes have no gaps */
+  function paintLine(x0, y0, x1, y1) {
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+
+    while (true) {
+      paintAt(x0, y0);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x0 += sx; }
+      if (e2 <= dx) { error += dx; y0 += sy; }
+    }
+  }
+
+  /** Flood fills the 4-connected area of the clicked pixel's exact color */
+  function fillAt(x, y) {
+    const start = y * width + x;
+    const target = pixels[start];
+    const replacement = packColor(currentColor.rgb);
+    // Fully transparent pixels all count as the same color, whatever their RGB
+    const matches = target >>> 24 === 0 ? (value) => value >>> 24 === 0 : (value) => value === target;
+    if (target === replacement) return;
+
+    const stack = [start];
+    while (stack.length) {
+      const index = stack.pop();
+      if (!matches(pixels[index])) continue;
+      setPixel(index, replacement);
+
+      const px = index % width;
+      if (px > 0) stack.push(index - 1);
+      if (px < width - 1) stack.push(index + 1);
+      if (index >= width) stack.push(index - width);
+      if (index < width * (height - 1)) stack.push(index + width);
+    }
+  }
+
+  function pickAt(x, y) {
+    const value = pixels[y * width + x];
+    if (value >>> 24 === 0) {
+      setTool('eraser');
+      status.textContent = 'Picked: Transparent';
+      return;
+    }
+    const color = paletteValues.get(value);
+    if (color) {
+      setColor(color);
+      setTool('brush');
+    } else {
+      status.textContent = 'That pixel is not a palette color';
+    }
+  }
+
+  function commitStroke() {
+    if (stroke?.size) {
+      undoStack.push(Array.from(stroke, ([index, [before, after]]) => [index, before, after]));
+      if (undoStack.length > MAX_HISTORY) undoStack.shift();
+      redoStack.length = 0;
+    }
+    stroke = null;
+    lastPoint = null;
+    updateHistoryButtons();
+  }
+
+  function applyStep(step, useBefore) {
+    for (const [index, before, after] of step) {
+      pixels[index] = useBefore ? before : after;
+    }
+    context.putImageData(image, 0, 0);
+  }
+
+  function undo() {
+    const step = undoStack.pop();
+    if (!step) return;
+    applyStep(step, true);
+    redoStack.push(step);
+    updateHistoryButtons();
+  }
+
+  function redo() {
+    const step = redoStack.pop();
+    if (!step) return;
+    applyStep(step, false);
+    undoStack.push(step);
+    updateHistoryButtons();
+  }
+
+  // ─── Input ─────────────────────────────────────────────────────────────────
+
+  function eventToPixel(event) {
+    const rect = canvas.getBoundingClientRect();
+    return [
+      Math.floor((event.clientX - rect.left) / rect.width * width),
+      Math.floor((event.clientY - rect.top) / rect.height * height)
+    ];
+  }
+
+  canvas.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    const [x, y] = eventToPixel(event);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+    if (tool === 'eyedropper') {
+      pickAt(x, y);
+      return;
+    }
+
+    stroke = new Map();
+    if (tool === 'fill') {
+      fillAt(x, y);
+      commitStroke();
+      return;
+    }
+
+    canvas.setPointerCapture(event.pointerId);
+    paintAt(x, y);
+    lastPoint = [x, y];
+  });
+
+  canvas.addEventListener('pointermove', (event) => {
+    const [x, y] = eventToPixel(event);
+    if (x >= 0 && y >= 0 && x < width && y < height) {
+      const color = paletteValues.get(pixels[y * width + x]);
+      status.textContent = `${x}, ${y} • ${pixels[y * width + x] >>> 24 === 0 ? 'Transparent' : color?.name || 'Off-palette'}`;
+    }
+    if (!stroke || !lastPoint) return;
+    paintLine(lastPoint[0], lastPoint[1], x, y);
+    lastPoint = [x, y];
+  });
+
+  canvas.addEventListener('pointerup', commitStroke);
+  canvas.addEventListener('pointercancel', commitStroke);
+
+  viewport.addEventListener('wheel', (event) => {
+    if (!event.ctrlKey && !event.metaKey) return; // Plain wheel scrolls
+    event.preventDefault();
+    setZoom(event.deltaY < 0 ? zoom * 2 : zoom / 2);
+  }, { passive: false });
+
+  const onKeyDown = (event) => {
+    event.stopPropagation(); // Keep the site's shortcuts out of the editor
+    if (event.target instanceof HTMLInputElement) return;
+
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && key === 'z') {
+      event.preventDefault();
+      event.shiftKey ? redo() : undo();
+    } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+      event.preventDefault();
+      redo();
+    } else if (key === 'escape') {
+      close(false);
+    } else {
+      const match = Object.entries(EDITOR_TOOLS).find(([, { key: shortcut }]) => shortcut === key);
+      if (match) setTool(match[0]);
+    }
+  };
+  document.addEventListener('keydown', onKeyDown, true);
+
+  function close(saved) {
+    document.removeEventListener('keydown', onKeyDown, true);
+    overlay.remove();
+    if (!saved) onCancel?.();
+  }
+
+  cancelButton.onclick = () => close(false);
+  saveButton.onclick = async () => {
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+    try {
+      await onSave?.(image);
+      close(true);
+    } catch (error) {
+      console.error('[PixelEditor] Save failed:', error);
+      status.textContent = `Save failed: ${error.message}`;
+      saveButton.disabled = false;
+      saveButton.textContent = 'Save';
+    }
+  };
+
+  setTool('brush');
+  setColor(currentColor);
+  setZoom(zoom);
+  updateHistoryButtons();
+  document.body.appendChild(overlay);
+}
@@ -0,0 +1,447 @@
+/** @file Region Selector - Drag-to-select rectangle on the wplace.live map
+ * Lets users draw a rectangle directly on the map, then move/resize it with
+ * handles before confirming. Used by the Art Extractor to pick its From/To area.
+ * @since 1.1.0
+ */
+
+import {
+  getMap,
+  getMapContainer,
+  absoluteToScreen,
+  screenToAbsolute,
+  getMapScale,
+  absoluteToTilePixel
+} from './templatePlacer.js';
+
+// ─── State ───────────────────────────────────────────────────────────────────
+let selectorActive = false;
+let selectorContainer = null; // Wrapper div covering the map
+let selectorRect = null;      // The rubber-band rectangle element
+let selectorControls = null;  // The confirm/cancel bar
+
+// Selection state – inclusive absolute map pixel bounds, or null before the first drag
+let region = null;            // { x1, y1, x2, y2 }
+
+// Interaction state
+let dragMode = null;          // 'draw' | 'move' | one of the HANDLES directions
+let dragStartAbs = null;      // Absolute pixel under the cursor when the drag started
+let dragStartRegion = null;   // Copy of the region when the drag started
+
+// Callbacks
+let onConfirmCallback = null;
+let onCancelCallback = null;
+
+const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Normalises a region so x1/y1 is the top-left corner */
+function normalizeRegion(r) {
+  return {
+    x1: Math.min(r.x1, r.x2),
+    y1: Math.min(r.y1, r.y2),
+    x2: Math.max(r.x1, r.x2),
+    y2: Math.max(r.y1, r.y2)
+  };
+}
+
+/** Absolute pixel under a mouse event, floored to whole pixels */
+function eventToAbsolute(e) {
+  const abs = screenToAbsolute(e.clientX, e.clientY);
+  if (!abs) return null;
+  return { x: Math.floor(abs.absX), y: Math.floor(abs.absY) };
+}
+
+function isInsideMap(e) {
+  const mapContainer = getMapContainer();
+  return !!mapContainer && mapContainer.contains(e.target) && !selectorControls?.contains(e.target);
+}
+
+// ─── Rectangle positioning ───────────────────────────────────────────────────
+
+function updateRectPosition() {
+  if (!selectorRect || !selectorActive) return;
+
+  if (!region) {
+    selectorRect.style.display = 'none';
+    updateInfoDisplay();
+    return;
+  }
+
+  const topLeft = absoluteToScreen(region.x1, region.y1);
+  if (!topLeft) return;
+
+  const scale = getMapScale();
+
+  selectorRect.style.display = 'block';
+  selectorRect.style.left = `${topLeft.x}px`;
+  selectorRect.style.top = `${topLeft.y}px`;
+  selectorRect.style.width = `${(region.x2 - region.x1 + 1) * scale}px`;
+  selectorRect.style.height = `${(region.y2 - region.y1 + 1) * scale}px`;
+
+  updateInfoDisplay();
+}
+
+function updateInfoDisplay() {
+  const infoEl = selectorControls?.querySelector('#bm-selector-info');
+  const confirmBtn = selectorControls?.querySelector('#bm-selector-confirm');
+  if (!infoEl) return;
+
+  if (!region) {
+    infoEl.textContent = 'Drag on the map to select an area';
+    if (confirmBtn) confirmBtn.disabled = true;
+    return;
+  }
+
+  const from = absoluteToTilePixel(region.x1, region.y1);
+  const width = region.x2 - region.x1 + 1;
+  const height = region.y2 - region.y1 + 1;
+  infoEl.textContent = `Tile: ${from.tileX}, ${from.tileY}  Pixel: ${from.pixelX}, ${from.pixelY}  •  ${width} × ${height} (${(width * height).toLocaleString()} px)`;
+  if (confirmBtn) confirmBtn.disabled = false;
+}
+
+// ─── Event handlers ──────────────────────────────────────────────────────────
+
+function onMouseDown(e) {
+  if (!selectorActive || e.button !== 0 || !isInsideMap(e)) return;
+
+  const abs = eventToAbsolute(e);
+  if (!abs) return;
+
+  const handle = e.target?.dataset?.bmHandle;
+  if (handle && region) {
+    dragMode = handle;
+  } else if (region && e.target === selectorRect) {
+    dragMode = 'move';
+  } else if (!region || e.shiftKey) {
+    // Start a fresh selection (Shift re-draws over an existing one)
+    dragMode = 'draw';
+    region = { x1: abs.x, y1: abs.y, x2: abs.x, y2: abs.y };
+  } else {
+    // Clicks outside an existing selection pan the map as usual
+    return;
+  }
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  dragStartAbs = abs;
+  dragStartRegion = { ...region };
+  updateRectPosition();
+}
+
+function onMouseMove(e) {
+  if (!dragMode) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+
+  const abs = eventToAbsolute(e);
+  if (!abs) return;
+
+  const dx = abs.x - dragStartAbs.x;
+  const dy = abs.y - dragStartAbs.y;
+  const r = { ...dragStartRegion };
+
+  if (dragMode === 'draw') {
+    r.x2 = abs.x;
+    r.y2 = abs.y;
+  } else if (dragMode === 'move') {
+    r.x1 += dx;
+    r.x2 += dx;
+    r.y1 += dy;
+    r.y2 += dy;
+  } else {
+    if (dragMode.includes('n')) r.y1 += dy;
+    if (dragMode.includes('s')) r.y2 += dy;
+    if (dragMode.includes('w')) r.x1 += dx;
+    if (dragMode.includes('e')) r.x2 += dx;
+  }
+
+  region = normalizeRegion(r);
+  updateRectPosition();
+}
+
+function onMouseUp(e) {
+  if (!dragMode) return;
+  e.preventDefault();
+  e.stopPropagation();
+  dragMode = null;
+  dragStartAbs = null;
+  dragStartRegion = null;
+}
+
+/** Swallows clicks on the map so the site's pixel-select UI does not open */
+function onClick(e) {
+  if (!selectorActive || !isInsideMap(e)) return;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function onKeyDown(e) {
+  if (!selectorActive) return;
+
+  // Ignore if typing in an input
+  const tag = e.target?.tagName?.toLowerCase();
+  if (tag === 'input' || tag === 'textarea' || tag === 'select' || e.target?.isContentEditable) return;
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    cancelRegionSelector();
+  } else if (e.key === 'Enter' && region) {
+    e.preventDefault();
+    confirmSelector();
+  }
+}
+
+function onMapRender() {
+  updateRectPosition();
+}
+
+// ─── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Start the region selector.
+ * @param {Object} options
+ * @param {Function} options.onConfirm - Called with { from: [tileX, tileY, pixelX, pixelY], to: [tileX, tileY, pixelX, pixelY], width, height }
+ * @param {Function} [options.onCancel] - Called when user cancels
+ * @param {Object} [options.initialRegion] - Optional starting selection { from, to } as 4-element coordinate arrays
+ */
+export function startRegionSelector({ onConfirm, onCancel, initialRegion } = {}) {
+  if (selectorActive) {
+    cancelRegionSelector();
+  }
+
+  const map = getMap();
+  const mapContainer = getMapContainer();
+  if (!map || !mapContainer) {
+    console.error('[RegionSelector] Map not ready');
+    return;
+  }
+
+  onConfirmCallback = onConfirm || null;
+  onCancelCallback = onCancel || null;
+  region = null;
+
+  if (initialRegion?.from?.length === 4 && initialRegion?.to?.length === 4) {
+    const [ftx, fty, fpx, fpy] = initialRegion.from.map(Number);
+    const [ttx, tty, tpx, tpy] = initialRegion.to.map(Number);
+    region = normalizeRegion({
+      x1: ftx * 1000 + fpx,
+      y1: fty * 1000 + fpy,
+      x2: ttx * 1000 + tpx,
+      y2: tty * 1000 + tpy
+    });
+  }
+
+  selectorActive = true;
+
+  // Create container (absolute, covers the map)
+  selectorContainer = document.createElement('div');
+  selectorContainer.id = 'bm-region-selector';
+  selectorContainer.style.cssText = `
+    position: absolute;
+    inset: 0;
+    z-index: 10;
+    pointer-events: none;
+    overflow: hidden;
+  `;
+
+  // Create the selection rectangle
+  selectorRect = document.createElement('div');
+  selectorRect.style.cssText = `
+    position: absolute;
+    display: none;
+    pointer-events: auto;
+    cursor: move;
+    background: rgba(34, 211, 238, 0.12);
+    border: 2px dashed #22d3ee;
+    box-shadow: 0 0 0 1px rgba(0,0,0,0.5);
+    box-sizing: border-box;
+  `;
+
+  // Resize handles on corners and edges
+  for (const direction of HANDLES) {
+    const handle = document.createElement('div');
+    handle.dataset.bmHandle = direction;
+    const left = direction.includes('w') ? '0%' : direction.includes('e') ? '100%' : '50%';
+    const top = direction.includes('n') ? '0%' : direction.includes('s') ? '100%' : '50%';
+    handle.style.cssText = `
+      position: absolute;
+      left: ${left};
+      top: ${top};
+      width: 10px;
+      height: 10px;
+      transform: translate(-50%, -50%);
+      background: #22d3ee;
+      border: 1px solid #0f172a;
+      border-radius: 2px;
+      pointer-events: auto;
+      cursor: ${direction}-resize;
+    `;
+    selectorRect.appendChild(handle);
+  }
+
+  selectorContainer.appendChild(selectorRect);
+
+  // Create control bar
+  selectorControls = document.createElement('div');
+  selectorControls.id = 'bm-selector-controls';
+  selectorControls.style.cssText = `
+    position: fixed;
+    top: 12px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    background: rgba(15, 23, 42, 0.92);
+    backdrop-filter: blur(12px);
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 12px;
+    padding: 10px 20px;
+    z-index: 999999;
+    font-family: 'Inter', system-ui, sans-serif;
+    font-size: 13px;
+    color: #e2e8f0;
+    box-shadow: 0 8px 30px rgba(0,0,0,0.4);
+    pointer-events: auto;
+  `;
+
+  // Hint text
+  const hint = document.createElement('span');
+  hint.textContent = 'Drag handles to resize • Shift+drag to redraw • ';
+  hint.style.cssText = 'opacity: 0.8; white-space: nowrap;';
+
+  // Live coordinates / dimensions display
+  const info = document.createElement('span');
+  info.id = 'bm-selector-info';
+  info.style.cssText = 'font-family: "Roboto Mono", monospace; color: #38bdf8; white-space: nowrap;';
+
+  // Confirm button
+  const confirmBtn = document.createElement('button');
+  confirmBtn.id = 'bm-selector-confirm';
+  confirmBtn.textContent = '✓ Use Area';
+  confirmBtn.style.cssText = `
+    background: linear-gradient(135deg, #22c55e, #16a34a);
+    color: white;
+    border: none;
+    padding: 6px 16px;
+    border-radius: 6px;
+    cursor: pointer;
+    font-weight: 600;
+    font-size: 13px;
+    white-space: nowrap;
+  `;
+  confirmBtn.onclick = () => confirmSelector();
+
+  // Cancel button
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = '✕ Cancel';
+  cancelBtn.style.cssText = `
+    background: linear-gradient(135deg, #ef4444, #dc2626);
+    color: white;
+    border: none;
+    padding: 6px 16px;
+    border-radius: 6px;
+    cursor: pointer;
+    font-weight: 600;
+    font-size: 13px;
+    white-space: nowrap;
+  `;
+  cancelBtn.onclick = () => cancelRegionSelector();
+
+  selectorControls.appendChild(hint);
+  selectorControls.appendChild(info);
+  selectorControls.appendChild(confirmBtn);
+  selectorControls.appendChild(cancelBtn);
+
+  // Insert into map container (not document.body — so it moves with the map div)
+  mapContainer.appendChild(selectorContainer);
+  document.body.appendChild(selectorControls);
+
+  updateRectPosition();
+
+  // Bind events
+  document.addEventListener('mousedown', onMouseDown, true);
+  document.addEventListener('mousemove', onMouseMove, true);
+  document.addEventListener('mouseup', onMouseUp, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('keydown', onKeyDown, true);
+
+  // Listen to map render events to keep the rectangle in sync during pan/zoom
+  try {
+    map.on('move', onMapRender);
+    map.on('zoom', onMapRender);
+    map.on('resize', onMapRender);
+  } catch { /* map might not support .on() in all cases */ }
+}
+
+function confirmSelector() {
+  if (!selectorActive || !region) return;
+
+  const from = absoluteToTilePixel(region.x1, region.y1);
+  const to = absoluteToTilePixel(region.x2, region.y2);
+
+  const result = {
+    from: [from.tileX, from.tileY, from.pixelX, from.pixelY],
+    to: [to.tileX, to.tileY, to.pixelX, to.pixelY],
+    width: region.x2 - region.x1 + 1,
+    height: region.y2 - region.y1 + 1
+  };
+
+  // Save callback reference BEFORE cleanup (cleanup nullifies it)
+  const callback = onConfirmCallback;
+
+  cleanup();
+
+  if (typeof callback === 'function') {
+    callback(result);
+  }
+}
+
+function cancelRegionSelector() {
+  const callback = onCancelCallback;
+  cleanup();
+  if (typeof callback === 'function') {
+    callback();
+  }
+}
+
+function cleanup() {
+  selectorActive = false;
+  dragMode = null;
+  dragStartAbs = null;
+  dragStartRegion = null;
+
+  const map = getMap();
+  try {
+    map?.off('move', onMapRender);
+    map?.off('zoom', onMapRender);
+    map?.off('resize', onMapRender);
+  } catch { /* ignore */ }
+
+  document.removeEventListener('mousedown', onMouseDown, true);
+  document.removeEventListener('mousemove', onMouseMove, true);
+  document.removeEventListener('mouseup', onMouseUp, true);
+  document.removeEventListener('click', onClick, true);
+  document.removeEventListener('keydown', onKeyDown, true);
+
+  selectorContainer?.remove();
+  selectorControls?.remove();
+
+  selectorRect = null;
+  selectorContainer = null;
+  selectorControls = null;
+  region = null;
+  onConfirmCallback = null;
+  onCancelCallback = null;
+}
+
+/** Whether the region selector is currently active */
+export function isRegionSelectorActive() {
+  return selectorActive;
+}
+
+/** Programmatically cancel the region selector */
+export { cancelRegionSelector };
@@ -762,4 +762,112 @@ export function saveSpaceHoverColorPickerEnabled(enabled) {
   } catch (error) {
     console.error('Failed to save Shift+Hover color picker setting:', error);
   }
-}
\ No newline at end of file
+}
+
+/** Gets the saved Art Extractor regions from storage
+ * @returns {Array<{id: string, name: string, from: number[], to: number[], createdAt: string, lastUsedAt: string|null}>} Saved regions (default: [])
+ * @since 0.91.22
+ */
+export function getExtractorRegions() {
+  try {
+    let regions = null;
+
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmExtractorRegions', null);
+      if (saved !== null) regions = JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    if (regions === null) {
+      const saved = localStorage.getItem('bmExtractorRegions');
+      if (saved !== null) regions = JSON.parse(saved);
+    }
+
+    if (Array.isArray(regions)) {
+      debugLog('Art Extractor regions loaded:', regions.length);
+      return regions;
+    }
+  } catch (error) {
+    console.warn('Failed to load Art Extractor regions:', error);
+  }
+
+  return [];
+}
+
+/** Saves the Art Extractor regions to storage
+ * @param {Array<Object>} regions - The full list of saved regions
+ * @since 0.91.22
+ */
+export function saveExtractorRegions(regions) {
+  try {
+    const regionsString = JSON.stringify(regions);
+
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmExtractorRegions', regionsString);
+    }
+
+    localStorage.setItem('bmExtractorRegions', regionsString);
+
+    debugLog('Art Extractor regions saved:', regions.length);
+  } catch (error) {
+    console.error('Failed to save Art Extractor regions:', error);
+  }
+}
+
+/** Gets the Art Extractor tile-fetch settings from storage
+ * @returns {{concurrency: number, maxRetries: number, pixelBudget: number}} Fetch settings (default: 4 parallel tiles, 3 retries, 25M pixel budget)
+ * @since 0.91.22
+ */
+export function getExtractorFetchSettings() {
+  const defaults = { "concurrency": 4, "maxRetries": 3, "pixelBudget": 25000000 };
+
+  try {
+    let settings = null;
+
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmExtractorFetchSettings', null);
+      if (saved !== null) settings = JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    if (settings === null) {
+      const saved = localStorage.getItem('bmExtractorFetchSettings');
+      if (saved !== null) settings = JSON.parse(saved);
+    }
+
+    if (settings !== null) {
+      debugLog('Art Extractor fetch settings loaded:', settings);
+      return { ...defaults, ...settings };
+    }
+  } catch (error) {
+    console.warn('Failed to load Art Extractor fetch settings:', error);
+  }
+
+  return defaults;
+}
+
+/** Saves the Art Extractor tile-fetch settings to storage
+ * @param {{concurrency: number, maxRetries: number, pixelBudget: number}} settings - The fetch settings
+ * @since 0.91.22
+ */
+export function saveExtractorFetchSettings(settings) {
+  try {
+    const settingsString = JSON.stringify({
+      "concurrency": settings.concurrency,
+      "maxRetries": settings.maxRetries,
+      "pixelBudget": settings.pixelBudget
+    });
+
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmExtractorFetchSettings', settingsString);
+    }
+
+    localStorage.setItem('bmExtractorFetchSettings', settingsString);
+
+    debugLog('Art Extractor fetch settings saved:', settings);
+  } catch (error) {
+    console.error('Failed to save Art Extractor fetch settings:', error);
+  }
+}
@@ -1,6 +1,302 @@
 import Template from "./Template.js";
-import { base64ToUint8, uint8ToBase64, numberToEncoded, debugLog } from "./utils.js";
+import { base64ToUint8, uint8ToBase64, numberToEncoded, debugLog, describeRequestError } from "./utils.js";
 import { clearFrozenTileCache } from "./tileManager.js";
+import { composeBoardArea } from "./tileCompositor.js";
+import { absoluteToTemplateCoords } from "./templateTransforms.js";
+import {
+  isTemplateStoreSupported, loadTemplateIndex, loadTemplateTiles, tileBlobsToBase64, saveTemplateStore, clearTemplateStore,
+  saveTemplateGeneration, saveTemplateBackup, listTemplateBackups, loadTemplateBackup,
+  loadTemplateRevisions, saveTemplateRevisions
+} from "./templateStorage.js";
+import { renameSubscriptionTemplates } from "./templateSubscriptions.js";
+
+/** Marks content hashes made from decoded pixels. Stored hashes without it were made from the PNG text and are recomputed.
+ * @since 0.91.22
+ */
+const CONTENT_HASH_PREFIX = 'px1-';
+
+/** Identifies a template of a subscribed file across updates by its name and position.
+ * The keys importers give templates are indices in the file, which change whenever the publisher reorders it.
+ * @param {Object} entry - Template entry from the file
+ * @returns {string} "name @ coords"
+ * @since 0.91.22
+ */
+function subscriptionTemplateId(entry) {
+  return `${entry?.name || ''} @ ${entry?.coords || ''}`;
+}
+
+/** Template importers for formats made by other tools, tried in registration order.
+ * An importer is an object with:
+ * - `id` - Short identifier of the format
+ * - `label` - Human readable format name, shown in import summaries
+ * - `detect(input)` - Returns true if the input (parsed JSON, or the raw text when it is not JSON) is in this format
+ * - `convert(input, context)` - Resolves to `{ templates, unmapped, groups? }`, where `templates` uses the internal
+ *   Blue Marble `templates` structure ("sortID authorID" keys), `unmapped` lists what could not be carried over
+ *   and the optional `groups` is the group list (in display order) to bring in with them.
+ *   `context.createEntry(image, name, coords, { enabled })` turns an image (Blob or URL) into a template entry.
+ * @type {Array<Object>}
+ * @since 0.91.22
+ */
+const templateImporters = [];
+
+/** Adds an importer to the registry. An importer with the same `id` is replaced.
+ * @param {Object} importer - See {@link templateImporters}
+ * @since 0.91.22
+ */
+export function registerTemplateImporter(importer) {
+  if (!importer?.id || typeof importer.detect !== 'function' || typeof importer.convert !== 'function') {
+    throw new Error('A template importer needs an id, detect() and convert()');
+  }
+  const existing = templateImporters.findIndex(registered => registered.id === importer.id);
+  if (existing !== -1) {
+    templateImporters[existing] = importer;
+  } else {
+    templateImporters.push(importer);
+  }
+}
+
+/** Finds the importer that understands the input.
+ * @param {Object|Array|string} input - Parsed JSON, or raw text
+ * @returns {Object|null} The importer, or null if no format matched
+ * @since 0.91.22
+ */
+export function detectTemplateImporter(input) {
+  return templateImporters.find(importer => {
+    try {
+      return importer.detect(input);
+    } catch (_) {
+      return false;
+    }
+  }) || null;
+}
+
+/** Downloads an image for an imported template. Data URLs are decoded locally.
+ * @param {string} url - Image URL or data URL
+ * @returns {Promise<Blob>} The image
+ * @since 0.91.22
+ */
+function fetchImageBlob(url) {
+  if (url.startsWith('data:') || typeof GM_xmlhttpRequest !== 'function') {
+    return fetch(url).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.blob();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url,
+      responseType: 'blob',
+      onload: (res) => {
+        if (res.status >= 200 && res.status < 300 && res.response) {
+          resolve(res.response);
+        } else {
+          reject(new Error(`HTTP ${res.status}`));
+        }
+      },
+      onerror: (res) => reject(describeRequestError(res)),
+      ontimeout: () => reject(new Error('Timed out'))
+    });
+  });
+}
+
+/** Lists the keys of a source object that an importer did not use.
+ * @param {string} label - What the object is, e.g. `Overlay "Castle"`
+ * @param {Object} source - The object from the imported file
+ * @param {Array<string>} mappedKeys - Keys the importer carried over
+ * @param {Array<string>} unmapped - Messages are appended here
+ * @since 0.91.22
+ */
+function reportUnmappedKeys(label, source, mappedKeys, unmapped) {
+  const leftover = Object.keys(source || {}).filter(key => !mappedKeys.includes(key) && source[key] !== null && source[key] !== '');
+  if (leftover.length > 0) {
+    unmapped.push(`${label}: ignored ${leftover.map(key => `"${key}"`).join(', ')}`);
+  }
+}
+
+// Blue Marble / Skirk Marble exports are already in the internal structure
+registerTemplateImporter({
+  id: 'bluemarble',
+  label: 'Blue Marble',
+  detect: (input) => ['SkirkMarble', 'BlueMarble'].includes(input?.whoami) && typeof input?.templates === 'object',
+  convert: async (input) => ({ templates: input.templates || {}, unmapped: [], groups: input.groups })
+});
+
+// Overlay Pro (also used by Goatlas): one overlay, an array of overlays, or { overlays: [...] }
+registerTemplateImporter({
+  id: 'overlaypro',
+  label: 'Overlay Pro / Goatlas',
+  detect: (input) => {
+    const overlays = Array.isArray(input) ? input : (Array.isArray(input?.overlays) ? input.overlays : [input]);
+    return overlays.length > 0 && overlays.every(overlay => typeof overlay?.pixelUrl === 'string' && (overlay.imageBase64 || overlay.imageUrl));
+  },
+  convert: async (input, context) => {
+    const overlays = Array.isArray(input) ? input : (Array.isArray(input?.overlays) ? input.overlays : [input]);
+    const templates = {};
+    const unmapped = [];
+
+    if (!Array.isArray(input) && input?.overlays) {
+      reportUnmappedKeys('File', input, ['overlays', 'version'], unmapped);
+    }
+
+    for (const [i, overlay] of overlays.entries()) {
+      const name = overlay.name || `Overlay ${i + 1}`;
+
+      // pixelUrl looks like https://backend.wplace.live/s0/pixel/{tileX}/{tileY}?x={pixelX}&y={pixelY}
+      const match = /\/pixel\/(\d+)\/(\d+)\?x=(\d+)&y=(\d+)/.exec(overlay.pixelUrl);
+      if (!match) {
+        unmapped.push(`Overlay "${name}": skipped, could not read coordinates from "${overlay.pixelUrl}"`);
+        continue;
+      }
+      const [tileX, tileY, pixelX, pixelY] = match.slice(1).map(Number);
+      const coords = absoluteToTemplateCoords(tileX * 1000 + pixelX + (Number(overlay.offsetX) || 0), tileY * 1000 + pixelY + (Number(overlay.offsetY) || 0));
+
+      try {
+        templates[`${i} ${context.authorID}`] = await context.createEntry(overlay.imageBase64 || overlay.imageUrl, name, coords, { enabled: overlay.enabled !== false });
+      } catch (error) {
+        unmapped.push(`Overlay "${name}": skipped, image could not be loaded (${error.message})`);
+        continue;
+      }
+
+      if (overlay.opacity !== undefined && Number(overlay.opacity) !== 1) {
+        unmapped.push(`Overlay "${name}": opacity ${overlay.opacity} not supported, templates use the global opacity`);
+      }
+      reportUnmappedKeys(`Overlay "${name}"`, overlay, ['id', 'name', 'enabled', 'imageBase64', 'imageUrl', 'isLocal', 'pixelUrl', 'offsetX', 'offsetY', 'opacity'], unmapped);
+    }
+
+    return { templates, unmapped };
+  }
+});
+
+// osu!place template manager JSON: { faction, contact, templates: [{ name, sources, x, y, ... }], whitelist, blacklist }
+registerTemplateImporter({
+  id: 'osuplace',
+  label: 'osu!place',
+  detect: (input) => Array.isArray(input?.templates) && input.templates.length > 0
+    && input.templates.every(template => Array.isArray(template?.sources) && Number.isFinite(Number(template.x)) && Number.isFinite(Number(template.y))),
+  convert: async (input, context) => {
+    const templates = {};
+    const unmapped = [];
+
+    if (input.whitelist?.length || input.blacklist?.length) {
+      unmapped.push(`File: ${(input.whitelist?.length || 0) + (input.blacklist?.length || 0)} linked template list(s) in "whitelist"/"blacklist" were not followed`);
+    }
+    reportUnmappedKeys('File', input, ['templates', 'faction', 'contact', 'whitelist', 'blacklist'], unmapped);
+
+    for (const [i, template] of input.templates.entries()) {
+      const name = template.name || `${input.faction || 'osu!place'} ${i + 1}`;
+      const x = Number(template.x);
+      const y = Number(template.y);
+
+      if (x < 0 || y < 0) {
+        unmapped.push(`Template "${name}": skipped, negative position (${x}, ${y}) is outside the Wplace board`);
+        continue;
+      }
+
+      let image = null;
+      for (const source of template.sources) {
+        try {
+          image = await context.fetchImage(source);
+          break;
+        } catch (error) {
+          debugLog(`osu!place import: source ${source} failed`, error);
+        }
+      }
+      if (!image) {
+        unmapped.push(`Template "${name}": skipped, none of its ${template.sources.length} source(s) could be loaded`);
+        continue;
+      }
+
+      // Animated templates are sprite sheets; only the first frame can be imported
+      const frameWidth = Number(template.frameWidth) || 0;
+      const frameHeight = Number(template.frameHeight) || 0;
+      if (frameWidth > 0 || frameHeight > 0) {
+        const bitmap = await createImageBitmap(image);
+        if ((frameWidth && frameWidth < bitmap.width) || (frameHeight && frameHeight < bitmap.height)) {
+          const canvas = new OffscreenCanvas(frameWidth || bitmap.width, frameHeight || bitmap.height);
+          canvas.getContext('2d').drawImage(bitmap, 0, 0);
+          image = await canvas.convertToBlob({ type: 'image/png' });
+          unmapped.push(`Template "${name}": animated, only the first frame was imported`);
+        }
+        bitmap.close?.();
+      }
+
+      try {
+        templates[`${i} ${context.authorID}`] = await context.createEntry(image, name, absoluteToTemplateCoords(x, y));
+      } catch (error) {
+        unmapped.push(`Template "${name}": skipped, image could not be processed (${error.message})`);
+        continue;
+      }
+      reportUnmappedKeys(`Template "${name}"`, template, ['name', 'sources', 'x', 'y', 'frameWidth', 'frameHeight', 'frameCount', 'frameRate', 'frameSpeed', 'startTime', 'looping'], unmapped);
+    }
+
+    return { templates, unmapped };
+  }
+});
+
+// Plain text, one template per line: "<image URL> <tileX> <tileY> <pixelX> <pixelY>" (commas or spaces)
+const IMAGE_COORDS_LINE = /^(\S+?)[\s,]+(\d+)[\s,]+(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*(.*)$/;
+
+registerTemplateImporter({
+  id: 'imagecoords',
+  label: 'Image URL + coordinates',
+  detect: (input) => typeof input === 'string'
+    && input.split('\n').some(line => line.trim())
+    && input.split('\n').every(line => !line.trim() || (IMAGE_COORDS_LINE.test(line.trim()) && /^(https?:|data:image\/)/.test(line.trim()))),
+  convert: async (input, context) => {
+    const templates = {};
+    const unmapped = [];
+    const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const [i, line] of lines.entries()) {
+      const [, url, tileX, tileY, pixelX, pixelY, rest] = IMAGE_COORDS_LINE.exec(line);
+      const coords = absoluteToTemplateCoords(Number(tileX) * 1000 + Number(pixelX), Number(tileY) * 1000 + Number(pixelY));
+      const name = rest || decodeURIComponent(url.split(/[?#]/)[0].split('/').pop() || '').replace(/\.\w+$/, '') || `Template ${i + 1}`;
+
+      try {
+        templates[`${i} ${context.authorID}`] = await context.createEntry(url, name, coords);
+      } catch (error) {
+        unmapped.push(`Line ${i + 1}: skipped, image could not be loaded (${error.message})`);
+      }
+    }
+
+    return { templates, unmapped };
+  }
+});
+
+/** Cleans up template metadata from storage, the UI or an imported file.
+ * Unknown fields are dropped, tags are lowercased and de-duplicated, and source links other than http(s) are discarded.
+ * @param {Object} [metadata] - Raw metadata
+ * @returns {{notes: string, tags: Array<string>, owner: string, sourceUrl: string, deadline: string}}
+ *   `deadline` is a "YYYY-MM-DD" date or ''
+ * @since 0.91.22
+ */
+function normalizeTemplateMetadata(metadata) {
+  const text = (value, maxLength) => typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+
+  const rawTags = Array.isArray(metadata?.tags) ? metadata.tags : text(metadata?.tags, 500).split(',');
+  const tags = Array.from(new Set(rawTags
+    .map(tag => text(tag, 40).replace(/^#/, '').toLowerCase())
+    .filter(Boolean)));
+
+  let sourceUrl = text(metadata?.sourceUrl, 2000);
+  try {
+    if (sourceUrl && !/^https?:$/.test(new URL(sourceUrl).protocol)) sourceUrl = '';
+  } catch (_) {
+    sourceUrl = '';
+  }
+
+  const deadline = text(metadata?.deadline, 10);
+
+  return {
+    "notes": text(metadata?.notes, 2000),
+    "tags": tags,
+    "owner": text(metadata?.owner, 100),
+    "sourceUrl": sourceUrl,
+    "deadline": /^\d{4}-\d{2}-\d{2}$/.test(deadline) && !isNaN(Date.parse(deadline)) ? deadline : ''
+  };
+}
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -81,6 +377,13 @@ export default class TemplateManager {
     this.templatesArray = []; // All Template instnaces currently loaded (Template)
     this.templatesJSON = null; // All templates currently loaded (JSON)
     this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
+    this.duplicateTemplateHandler = null; // Asked what to do with duplicate templates, see setDuplicateTemplateHandler()
+    this.templateRevisions = null; // Earlier versions of each template, keyed by template key. See loadRevisionHistory()
+    this.maxTemplateRevisions = 10; // Revisions kept per template, oldest are dropped first
+    this.revisionPreview = null; // The revision currently previewed on the map ({ templateKey, template })
+    this.useTemplateStore = false; // Save to IndexedDB (see templateStorage.js) instead of the chunked userscript storage
+    this.templateBackupInterval = 10 * 60 * 1000; // Minimum time between automatic backups (ms)
+    this.lastTemplateBackupAt = 0; // When the last automatic backup was attempted
   }
 
   /** Retrieves the pixel art canvas.
@@ -124,7 +427,7 @@ export default class TemplateManager {
   }
 
   /** Creates the JSON object to store templates in
-   * @returns {{ whoami: string, scriptVersion: string, schemaVersion: string, templates: Object }} The JSON object
+   * @returns {{ whoami: string, scriptVersion: string, schemaVersion: string, groups: Array<Object>, templates: Object }} The JSON object
    * @since 0.65.4
    */
   async createJSON() {
@@ -136,6 +439,7 @@ export default class TemplateManager {
       "lastModified": new Date().toISOString(), // When it was last modified
       "templateCount": 0, // Number of templates
       "totalPixels": 0, // Total pixels across all templates
+      "groups": [], // Template groups in display order ({ name, collapsed })
       "templates": {} // The templates
     };
     
@@ -143,35 +447,102 @@ export default class TemplateManager {
     return json;
   }
 
-  /** Finds a duplicate template by name and pixel count
-   * @param {string} name - The display name to search for
-   * @param {number} pixelCount - The pixel count to match
-   * @returns {string|null} The template key if duplicate found, null otherwise
+  /** Hashes a template's content: the decoded pixels of its tiles plus its coordinates.
+   * Two templates with the same hash draw exactly the same pixels in the same place, even if their PNGs were
+   * encoded differently (another browser or exporter). Only the center pixel of each `drawMult` block is read,
+   * and fully transparent pixels count as the same regardless of their RGB.
+   * @param {Object<string, string>} tilesBuffers - Base64 tile PNGs keyed by tile key
+   * @param {Array<number>|string} coords - [tileX, tileY, pixelX, pixelY], or the stored "x, y, x, y" string
+   * @returns {Promise<string>} {@link CONTENT_HASH_PREFIX} followed by a hex SHA-256 digest
+   * @since 0.91.22
+   */
+  async computeContentHash(tilesBuffers, coords) {
+    const toHex = (digest) => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    const coordsKey = (Array.isArray(coords) ? coords : String(coords).split(',')).map(Number).join(',');
+
+    const tileParts = [];
+    for (const tileKey of Object.keys(tilesBuffers || {}).sort()) {
+      const bitmap = await createImageBitmap(new Blob([base64ToUint8(tilesBuffers[tileKey])], { type: 'image/png' }));
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(bitmap, 0, 0);
+      bitmap.close?.();
+      const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+      const offset = Math.floor(this.drawMult / 2);
+      const columns = Math.ceil((width - offset) / this.drawMult);
+      const rows = Math.ceil((height - offset) / this.drawMult);
+      const pixels = new Uint32Array(Math.max(0, columns * rows));
+      const source = new Uint32Array(data.buffer, data.byteOffset, width * height);
+      let index = 0;
+      for (let y = offset; y < height; y += this.drawMult) {
+        for (let x = offset; x < width; x += this.drawMult) {
+          const value = source[y * width + x];
+          pixels[index++] = data[(y * width + x) * 4 + 3] === 0 ? 0 : value;
+        }
+      }
+
+      tileParts.push(`${tileKey}:${columns}x${rows}:${toHex(await crypto.subtle.digest('SHA-256', pixels))}`);
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${coordsKey}|${tileParts.join('|')}`));
+    return CONTENT_HASH_PREFIX + toHex(digest);
+  }
+
+  /** Finds a template with exactly the same content and coordinates.
+   * Templates stored before content hashing (or with an older kind of hash) get their hash computed (and saved) on first comparison.
+   * @param {string} contentHash - Hash from {@link TemplateManager#computeContentHash}
+   * @param {Array<number>} coords - The coordinates of the new template
+   * @returns {Promise<string|null>} The template key if a duplicate was found, null otherwise
    * @since 1.0.0
    */
-  findDuplicateTemplate(name, pixelCount) {
-    if (!this.templatesJSON?.templates) return null;
-    
-    // Only check for duplicates if both name and pixelCount are valid
-    if (!name || !pixelCount || pixelCount <= 0) return null;
-    
+  async findDuplicateTemplate(contentHash, coords) {
+    if (!this.templatesJSON?.templates || !contentHash) return null;
+
+    const coordsKey = coords.map(Number).join(',');
     for (const [templateKey, templateData] of Object.entries(this.templatesJSON.templates)) {
-      if (templateData.name === name && templateData.pixelCount === pixelCount) {
-        debugLog(` Found duplicate template: ${templateKey} (${name}, ${pixelCount} pixels)`);
+      // Different coordinates can never match, skip hashing those
+      if (String(templateData.coords || '').split(',').map(Number).join(',') !== coordsKey) continue;
+
+      if (!templateData.contentHash?.startsWith(CONTENT_HASH_PREFIX)) {
+        templateData.contentHash = await this.computeContentHash(templateData.tiles, templateData.coords);
+      }
+      if (templateData.contentHash === contentHash) {
+        debugLog(` Found duplicate template: ${templateKey} (${templateData.name})`);
         return templateKey;
       }
     }
-    
+
     return null;
   }
 
+  /** Sets the function asked what to do when a new template duplicates an existing one.
+   * It is called with `({ key, name, enabled, disabledColors, enhancedColors }, newName)` and resolves to
+   * 'replace', 'keep' (keep both), 'merge' (new content, existing settings) or 'cancel'.
+   * Without a handler, both templates are kept.
+   * @param {Function|null} handler
+   * @since 0.91.22
+   */
+  setDuplicateTemplateHandler(handler) {
+    this.duplicateTemplateHandler = handler;
+  }
+
   /** Creates the template from the inputed file blob
    * @param {File} blob - The file blob to create a template from
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @param {Object} [options={}]
+   * @param {string[]} [options.disabledColors=[]] - Color keys "r,g,b" to start out disabled (e.g. locked colors kept in the image)
+   * @param {string} [options.replaceTemplateKey] - Overwrite this template (keeping its settings) instead of adding a new one.
+   *   The previous version is kept in its revision history
+   * @param {string} [options.revisionReason='edit'] - Why the replaced template changed, shown in its revision history
+   * @param {string} [options.group=''] - Group to put a new template in. A replaced template stays in its group
+   * @param {Object} [options.metadata] - Notes, tags, owner, source link and deadline for a new template.
+   *   A replaced template keeps its own
+   * @returns {Promise<string|null>} The key of the created template, or null if creation was cancelled at the duplicate prompt
    * @since 0.65.77
    */
-  async createTemplate(blob, name, coords) {
+  async createTemplate(blob, name, coords, { disabledColors = [], replaceTemplateKey = null, revisionReason = 'edit', group = '', metadata = null } = {}) {
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
@@ -180,46 +551,82 @@ export default class TemplateManager {
 
     this.overlay.handleDisplayStatus(`Creating template at ${coords.join(', ')}...`);
 
-    // Create a temporary template instance to get pixel count for duplicate detection
-    const tempTemplate = new Template({
+    // The sortID is assigned once we know whether this replaces an existing template
+    const template = new Template({
       displayName: name,
-      sortID: 0, // Temporary sortID
+      sortID: 0,
       authorID: numberToEncoded(this.userID || 0, this.encodingBase),
       file: blob,
       coords: coords
     });
-    const { templateTiles: tempTiles, templateTilesBuffers: tempBuffers } = await tempTemplate.createTemplateTiles(this.tileSize);
-    tempTemplate.chunked = tempTiles;
-    tempTemplate._tileIndex = null; // Invalidate lookup index
+    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize);
+    template.chunked = templateTiles;
+    template._tileIndex = null; // Invalidate lookup index
 
-    // Check for duplicate templates (same name and pixel count)
-    debugLog(` Creating template: "${name}" with ${tempTemplate.pixelCount} pixels`);
-    debugLog(` Existing templates:`, Object.keys(this.templatesJSON.templates));
-    
-    // TEMPORARY: Allow disabling duplicate detection for debugging
-    const ENABLE_DUPLICATE_DETECTION = true; // Set to false to disable
-    
-    const duplicateKey = ENABLE_DUPLICATE_DETECTION ? this.findDuplicateTemplate(name, tempTemplate.pixelCount) : null;
+    // Duplicates are templates with identical tiles at identical coordinates
+    debugLog(` Creating template: "${name}" with ${template.pixelCount} pixels`);
+    const contentHash = await this.computeContentHash(templateTilesBuffers, coords);
+    const isUpdate = !!(replaceTemplateKey && this.templatesJSON.templates[replaceTemplateKey]);
+    const duplicateKey = isUpdate ? replaceTemplateKey : await this.findDuplicateTemplate(contentHash, coords);
     debugLog(` Duplicate check result:`, duplicateKey ? `Found: ${duplicateKey}` : 'No duplicates found');
-    
-    let template, sortID;
-    if (duplicateKey) {
-      // Replace existing template
+
+    let action = isUpdate ? 'merge' : 'keep';
+    if (duplicateKey && !isUpdate) {
+      const existing = this.templatesJSON.templates[duplicateKey];
+      try {
+        action = this.duplicateTemplateHandler
+          ? await this.duplicateTemplateHandler({
+              key: duplicateKey,
+              name: existing.name,
+              enabled: existing.enabled !== false,
+              disabledColors: existing.disabledColors || [],
+              enhancedColors: existing.enhancedColors || []
+            }, name)
+          : 'keep';
+      } catch (error) {
+        console.warn('Duplicate template prompt failed, keeping both:', error);
+        action = 'keep';
+      }
+
+      if (action === 'cancel') {
+        this.overlay.handleDisplayStatus(`Template creation cancelled, "${existing.name}" is unchanged`);
+        return null;
+      }
+    }
+
+    let sortID;
+    let settings = { enabled: true, disabledColors, enhancedColors: [] };
+    let templateGroup = group;
+    let templateMetadata = normalizeTemplateMetadata(metadata);
+    if (duplicateKey && (action === 'replace' || action === 'merge')) {
+      // Reuse the existing template's slot
       sortID = parseInt(duplicateKey.split(' ')[0]);
-      this.overlay.handleDisplayStatus(`Duplicate detected! Replacing existing template "${name}"...`);
-      debugLog(`Replacing duplicate template: ${duplicateKey}`);
-      
+      const existing = this.templatesJSON.templates[duplicateKey];
+      templateGroup = existing.group || '';
+      templateMetadata = normalizeTemplateMetadata(existing.metadata);
+      debugLog(`${action === 'merge' ? 'Merging into' : 'Replacing'} duplicate template: ${duplicateKey}`);
+
+      this.#recordTemplateRevision(duplicateKey, isUpdate ? revisionReason : action);
+      if (this.revisionPreview?.templateKey === duplicateKey) {
+        this.stopTemplateRevisionPreview();
+      }
+
+      if (action === 'merge') {
+        settings = {
+          enabled: existing.enabled !== false,
+          disabledColors: Array.from(new Set([...(existing.disabledColors || []), ...disabledColors])),
+          enhancedColors: existing.enhancedColors || []
+        };
+      }
+
       // Remove old template from array
       const oldTemplateIndex = this.templatesArray.findIndex(t => `${t.sortID} ${t.authorID}` === duplicateKey);
       if (oldTemplateIndex !== -1) {
         this.templatesArray.splice(oldTemplateIndex, 1);
       }
-      
+
       // Remove old template from JSON
-      if (this.templatesJSON.templates[duplicateKey]) {
-        delete this.templatesJSON.templates[duplicateKey];
-        debugLog(` Removed old duplicate template from JSON: ${duplicateKey}`);
-      }
+      delete this.templatesJSON.templates[duplicateKey];
     } else {
       // Create new template with next available sortID
       // Find the highest existing sortID and increment by 1
@@ -227,33 +634,43 @@ export default class TemplateManager {
       sortID = existingSortIDs.length > 0 ? Math.max(...existingSortIDs) + 1 : 0;
     }
 
-    // Creates the final template instance
-    template = new Template({
-      displayName: name,
-      sortID: sortID,
-      authorID: numberToEncoded(this.userID || 0, this.encodingBase),
-      file: blob,
-      coords: coords
-    });
-    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize);
-    template.chunked = templateTiles;
-    template._tileIndex = null; // Invalidate lookup index
+    template.sortID = sortID;
+    if (settings.disabledColors.length > 0) {
+      template.setDisabledColors(settings.disabledColors);
+    }
+    if (settings.enhancedColors.length > 0) {
+      template.setEnhancedColors(settings.enhancedColors);
+    }
 
     // Appends a child into the templates object
     // The child's name is the number of templates already in the list (sort order) plus the encoded player ID
-    this.templatesJSON.templates[`${template.sortID} ${template.authorID}`] = {
+    const templateKey = `${template.sortID} ${template.authorID}`;
+    this.templatesJSON.templates[templateKey] = {
       "name": template.displayName, // Display name of template
       "coords": coords.join(', '), // The coords of the template
       "createdAt": new Date().toISOString(), // When this template was created
       "pixelCount": template.pixelCount,
       "validPixelCount": template.validPixelCount,
       "transparentPixelCount": template.transparentPixelCount,
-      "enabled": true,
+      "enabled": settings.enabled,
+      "group": templateGroup, // Group name, '' when ungrouped
+      "metadata": templateMetadata, // Notes, tags, owner, source link and deadline
       "disabledColors": template.getDisabledColors(),
       "enhancedColors": template.getEnhancedColors(),
+      "contentHash": contentHash, // Used for duplicate detection
       "tiles": templateTilesBuffers
     };
 
+    // The slot may get a new author ID (different account), the history follows it
+    if (duplicateKey && duplicateKey !== templateKey && this.templateRevisions?.[duplicateKey]) {
+      this.templateRevisions[templateKey] = this.templateRevisions[duplicateKey];
+      delete this.templateRevisions[duplicateKey];
+      this.#storeTemplateRevisions(templateKey, duplicateKey);
+    }
+    if (duplicateKey && duplicateKey !== templateKey) {
+      renameSubscriptionTemplates({ [duplicateKey]: templateKey });
+    }
+
     // Update JSON metadata
     this.templatesJSON.lastModified = new Date().toISOString();
     this.templatesJSON.templateCount = Object.keys(this.templatesJSON.templates).length;
@@ -270,11 +687,12 @@ export default class TemplateManager {
     // This provides immediate feedback to users about template complexity and size
     const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
     const totalTemplates = Object.keys(this.templatesJSON.templates).length;
-    const actionText = duplicateKey ? 'replaced' : 'created';
+    const actionText = isUpdate ? 'updated' : !duplicateKey ? 'created' : ({ replace: 'replaced', merge: 'updated', keep: 'created (duplicate kept)' })[action];
     this.overlay.handleDisplayStatus(`Template #${template.sortID} ${actionText} at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted} | Total templates: ${totalTemplates}`);
 
 
     await this.#storeTemplates();
+    return templateKey;
   }
 
   /** Generates a {@link Template} class instance from the JSON object template
@@ -284,7 +702,10 @@ export default class TemplateManager {
   }
 
   /** Stores the JSON object of the loaded templates into storage with fallback system.
-   * Tries TamperMonkey first, falls back to localStorage if that fails.
+   * Uses IndexedDB once the library was migrated there ({@link TemplateManager#migrateToTemplateStore}),
+   * where a save is a single transaction. Otherwise, or if that fails, the library is written as a new
+   * checksummed generation of TamperMonkey storage (localStorage if that fails), see {@link saveTemplateGeneration}.
+   * Successful saves are followed by an automatic backup when one is due.
    * @since 0.72.7
    */
   async #storeTemplates() {
@@ -292,75 +713,39 @@ export default class TemplateManager {
       console.error('❌ Cannot store templates: this.templatesJSON is null/undefined');
       return;
     }
-    
-    const data = JSON.stringify(this.templatesJSON);
-    const timestamp = Date.now();
-    
-    // Try TamperMonkey storage first
-    try {
-      if (typeof GM !== 'undefined' && GM.setValue) {
-        // Chunk if too large for TM or browser storage limitations
-        const CHUNK_SIZE = 900000; // ~0.9MB per chunk
-        if (data.length > CHUNK_SIZE) {
-          const parts = Math.ceil(data.length / CHUNK_SIZE);
-          // Clear single key
-          try { await GM.deleteValue?.('bmTemplates'); } catch (_) {}
-          await GM.setValue('bmTemplates_chunkCount', parts);
-          for (let i = 0; i < parts; i++) {
-            const slice = data.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
-            await GM.setValue(`bmTemplates_part_${i}`, slice);
-          }
-          await GM.setValue('bmTemplates_timestamp', timestamp);
-          debugLog(`Templates stored in TamperMonkey (chunked x${parts})`);
-        } else {
-          await GM.setValue('bmTemplates', data);
-          await GM.setValue('bmTemplates_timestamp', timestamp);
-          // Clear any previous chunked keys
-          try {
-            const count = await GM.getValue('bmTemplates_chunkCount', 0);
-            for (let i = 0; i < count; i++) await GM.deleteValue(`bmTemplates_part_${i}`);
-            await GM.deleteValue('bmTemplates_chunkCount');
-          } catch (_) {}
-        }
-        return;
-      } else if (typeof GM_setValue !== 'undefined') {
-        // Legacy GM_* APIs (synchronous) - use no-chunk or minimal chunk via localStorage fallback below
-        GM_setValue('bmTemplates', data);
-        GM_setValue('bmTemplates_timestamp', timestamp);
+
+    if (this.useTemplateStore) {
+      try {
+        await saveTemplateStore(this.templatesJSON);
+        this.#backupTemplatesIfDue();
         return;
+      } catch (error) {
+        // The legacy save below gets a newer timestamp, so the next startup loads it and migrates again
+        console.warn('⚠️ IndexedDB template storage failed, falling back to userscript storage:', error);
       }
-    } catch (error) {
-      console.warn('⚠️ TamperMonkey storage failed:', error);
     }
-    
-    // Fallback to localStorage
+
     try {
-      const CHUNK_SIZE = 900000; // ~0.9MB
-      if (data.length > CHUNK_SIZE) {
-        const parts = Math.ceil(data.length / CHUNK_SIZE);
-        // Clear single key
-        try { localStorage.removeItem('bmTemplates'); } catch (_) {}
-        localStorage.setItem('bmTemplates_chunkCount', String(parts));
-        for (let i = 0; i < parts; i++) {
-          const slice = data.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
-          localStorage.setItem(`bmTemplates_part_${i}`, slice);
-        }
-        localStorage.setItem('bmTemplates_timestamp', timestamp.toString());
-        debugLog(`Templates stored in localStorage (chunked x${parts})`);
-      } else {
-        localStorage.setItem('bmTemplates', data);
-        localStorage.setItem('bmTemplates_timestamp', timestamp.toString());
-        // Clear previous chunked keys
-        const count = parseInt(localStorage.getItem('bmTemplates_chunkCount') || '0');
-        for (let i = 0; i < count; i++) localStorage.removeItem(`bmTemplates_part_${i}`);
-        localStorage.removeItem('bmTemplates_chunkCount');
-      }
+      await saveTemplateGeneration(JSON.stringify(this.templatesJSON), Date.now());
+      this.#backupTemplatesIfDue();
     } catch (error) {
       console.error('❌ All storage methods failed:', error);
       alert('Erro crítico: Não foi possível salvar templates. Verifique as permissões do navegador.');
     }
   }
 
+  /** Adds an automatic backup if the last one is older than {@link TemplateManager#templateBackupInterval}.
+   * Runs in the background; a failed backup never fails the save.
+   * @since 0.91.22
+   */
+  #backupTemplatesIfDue() {
+    if (!isTemplateStoreSupported() || Date.now() - this.lastTemplateBackupAt < this.templateBackupInterval) return;
+    this.lastTemplateBackupAt = Date.now();
+
+    saveTemplateBackup(this.templatesJSON)
+      .catch(error => console.warn('⚠️ Automatic template backup failed:', error));
+  }
+
   /** Deletes a template from the JSON object.
    * Also delete's the corrosponding {@link Template} class instance
    * @param {string} templateKey - The key of the template to delete (e.g., "0 $Z")
@@ -419,6 +804,15 @@ export default class TemplateManager {
         debugLog(` Removed template ${templateKey} from JSON storage`);
       }
 
+      // 4b. Remove its revision history (and any preview of it)
+      if (this.revisionPreview?.templateKey === templateKey) {
+        this.stopTemplateRevisionPreview();
+      }
+      if (this.#getTemplateRevisionStore()[templateKey]) {
+        delete this.templateRevisions[templateKey];
+        this.#storeTemplateRevisions(templateKey);
+      }
+
       // 5. Remove from templatesArray
       const templateIndex = this.templatesArray.findIndex(template => {
         const templateKeyFromInstance = `${template.sortID} ${template.authorID}`;
@@ -516,7 +910,9 @@ export default class TemplateManager {
         if (!isEnabled) {
           debugLog(`⏸️ Skipping disabled template: ${templateKey}`);
         }
-        return isEnabled;
+        // While a revision is previewed, it is drawn instead of the current version
+        const hiddenByPreview = templateKey === this.revisionPreview?.templateKey && template !== this.revisionPreview.template;
+        return isEnabled && !hiddenByPreview;
       })
       .map(template => {
         const matchingTiles = Object.keys(template.chunked).filter(tile =>
@@ -526,24 +922,28 @@ export default class TemplateManager {
         if (matchingTiles.length === 0) {return null;} // Return null when nothing is found
 
         // Retrieves the blobs of the templates for this tile
-        const matchingTileBlobs = matchingTiles.map(tile => {
+        return matchingTiles.map(tile => {
 
           const coords = tile.split(','); // [x, y, x, y] Tile/pixel coordinates
           
           return {
+            template: template, // The Template instance, for its color settings
+            tileKey: tile,
             bitmap: template.chunked[tile],
             tileCoords: [coords[0], coords[1]],
             pixelCoords: [coords[2], coords[3]]
           }
         });
-
-        return matchingTileBlobs?.[0];
       })
-    .filter(Boolean);
+    .filter(Boolean)
+    .flat();
+
+    // Where templates overlap, the one drawn on top owns the pixel
+    const coveredPixels = this.#findCoveredTemplatePixels(templatesToDraw);
 
     debugLog(templatesToDraw);
 
-    const templateCount = templatesToDraw?.length || 0; // Number of templates to draw on this tile
+    const templateCount = new Set(templatesToDraw.map(entry => entry.template)).size; // Number of templates to draw on this tile
     debugLog(`templateCount = ${templateCount}`);
 
     if (templateCount > 0) {
@@ -623,7 +1023,8 @@ export default class TemplateManager {
       debugLog(template);
 
       // Get the corresponding template instance to check for disabled colors
-      const currentTemplate = templateArray[i]; // Use the correct template from the array
+      const currentTemplate = template.template;
+      const covered = coveredPixels[i];
       const hasDisabledColors = currentTemplate && currentTemplate.getDisabledColors().length > 0;
       
                      // Check if any colors have enhanced mode enabled OR if wrong colors should be enhanced
@@ -654,7 +1055,7 @@ export default class TemplateManager {
         debugLog(`Enhanced colors:`, Array.from(currentTemplate.enhancedColors));
       }
       
-      if (!hasEnhancedColors && !hasDisabledColors) {
+      if (!hasEnhancedColors && !hasDisabledColors && !covered) {
         // Fast path: Normal drawing without enhancement or color filtering
         debugLog(`Using fast path (no enhancements)`);
         context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
@@ -679,6 +1080,18 @@ export default class TemplateManager {
         const data = imageData.data;
         const width = tempCanvas.width;
         const height = tempCanvas.height;
+
+        // Leave out the pixels a template drawn above this one covers
+        if (covered) {
+          const pixelsWide = Math.floor(width / this.drawMult);
+          for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+              if (covered[Math.floor(y / this.drawMult) * pixelsWide + Math.floor(x / this.drawMult)]) {
+                data[(y * width + x) * 4 + 3] = 0;
+              }
+            }
+          }
+        }
         
         // Create a copy for border detection if enhanced mode is enabled
         const originalData = hasEnhancedColors ? new Uint8ClampedArray(data) : null;
@@ -1049,8 +1462,9 @@ export default class TemplateManager {
         // Prepare per-color breakdown that will be populated from template bitmap comparisons
         const colorBreakdown = {};
 
-        for (const template of templatesToDraw) {
+        for (const [index, template] of templatesToDraw.entries()) {
           // Count pixels using Storage fork logic (center pixels only)
+          const covered = coveredPixels[index]; // Counted for the template on top instead
           const tempW = template.bitmap.width;
           const tempH = template.bitmap.height;
           const tempCanvas = document.createElement('canvas');
@@ -1069,6 +1483,7 @@ export default class TemplateManager {
             for (let x = 0; x < tempW; x++) {
               // Only evaluate the center pixel of each 3x3 block
               if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
+              if (covered?.[Math.floor(y / this.drawMult) * Math.floor(tempW / this.drawMult) + Math.floor(x / this.drawMult)]) { continue; }
               
               const gx = x + offsetX;
               const gy = y + offsetY;
@@ -1178,7 +1593,8 @@ export default class TemplateManager {
           const correctMap = [];
 
           // Analyze each template (same logic as lurk)
-          for (const template of templatesToDraw) {
+          for (const [index, template] of templatesToDraw.entries()) {
+            const covered = coveredPixels[index];
             const tempW = template.bitmap.width;
             const tempH = template.bitmap.height;
             const tempCanvas = new OffscreenCanvas(tempW, tempH);
@@ -1196,6 +1612,7 @@ export default class TemplateManager {
               for (let x = 0; x < tempW; x++) {
                 // Only evaluate the center pixel of each 3x3 block (lurk logic)
                 if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
+                if (covered?.[Math.floor(y / this.drawMult) * Math.floor(tempW / this.drawMult) + Math.floor(x / this.drawMult)]) { continue; }
                 const gx = x + offsetX;
                 const gy = y + offsetY;
                 if (gx < 0 || gy < 0 || gx >= drawSize || gy >= drawSize) { continue; }
@@ -1310,7 +1727,218 @@ export default class TemplateManager {
     });
   }
 
+  /** Returns the raw pixels of one template chunk, reading them from the bitmap if they were not kept.
+   * @param {Template} template - The template
+   * @param {string} tileKey - The chunk key ("TTTT,TTTT,PPP,PPP")
+   * @returns {Uint32Array} Pixels at draw size, row-major
+   * @since 0.91.22
+   */
+  #getChunkPixels(template, tileKey) {
+    if (!template.chunked32) template.chunked32 = {};
+    if (!template.chunked32[tileKey]) {
+      const bitmap = template.chunked[tileKey];
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(bitmap, 0, 0);
+      template.chunked32[tileKey] = new Uint32Array(context.getImageData(0, 0, bitmap.width, bitmap.height).data.buffer);
+    }
+    return template.chunked32[tileKey];
+  }
+
+  /** Finds the template pixels on one tile that a template drawn above them covers.
+   * Where enabled templates overlap, the template on top (highest sort ID) owns the board pixel,
+   * so the pixels of templates below it are neither drawn nor counted there.
+   * @param {Array<Object>} tileTemplates - Template chunks on the tile in draw order (bottom first), as built in {@link TemplateManager#drawTemplateOnTile}
+   * @returns {Array<Uint8Array|null>} Per chunk, a mask with 1 for every covered template pixel (row-major, board pixels), or null if none is covered
+   * @since 0.91.22
+   */
+  #findCoveredTemplatePixels(tileTemplates) {
+    const coveredMasks = tileTemplates.map(() => null);
+    if (tileTemplates.length < 2) return coveredMasks;
+
+    const rects = tileTemplates.map(entry => ({
+      x: Number(entry.pixelCoords[0]),
+      y: Number(entry.pixelCoords[1]),
+      width: Math.floor(entry.bitmap.width / this.drawMult),
+      height: Math.floor(entry.bitmap.height / this.drawMult)
+    }));
+    const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+    const owned = new Uint8Array(this.tileSize * this.tileSize); // Tile pixels taken by a template further up
+    for (let i = tileTemplates.length - 1; i >= 0; i--) {
+      const rect = rects[i];
+      const overlapsAbove = rects.some((other, j) => j > i && intersects(rect, other));
+      const overlapsBelow = rects.some((other, j) => j < i && intersects(rect, other));
+      if (!overlapsAbove && !overlapsBelow) continue;
+
+      const pixels = this.#getChunkPixels(tileTemplates[i].template, tileTemplates[i].tileKey);
+      const stride = tileTemplates[i].bitmap.width;
+      let mask = null;
+
+      for (let y = 0; y < rect.height && rect.y + y < this.tileSize; y++) {
+        for (let x = 0; x < rect.width && rect.x + x < this.tileSize; x++) {
+          const tileIndex = (rect.y + y) * this.tileSize + rect.x + x;
+          if (owned[tileIndex]) {
+            if (!mask) mask = new Uint8Array(rect.width * rect.height);
+            mask[y * rect.width + x] = 1;
+          } else if (overlapsBelow && (pixels[(y * this.drawMult + 1) * stride + x * this.drawMult + 1] >>> 24) >= 64) {
+            owned[tileIndex] = 1; // Same alpha cut-off as the progress count
+          }
+        }
+      }
+      coveredMasks[i] = mask;
+    }
+
+    return coveredMasks;
+  }
+
+  /** Lists the chunks of a template with their absolute board position.
+   * @param {Template} template - The template
+   * @returns {Array<{tileKey: string, x: number, y: number, width: number, height: number}>} Positions and sizes in board pixels
+   * @since 0.91.22
+   */
+  #getTemplateChunkRects(template) {
+    return Object.keys(template.chunked || {}).map(tileKey => {
+      const [tileX, tileY, pixelX, pixelY] = tileKey.split(',').map(Number);
+      const bitmap = template.chunked[tileKey];
+      return {
+        tileKey,
+        x: tileX * this.tileSize + pixelX,
+        y: tileY * this.tileSize + pixelY,
+        width: Math.floor(bitmap.width / this.drawMult),
+        height: Math.floor(bitmap.height / this.drawMult)
+      };
+    });
+  }
+
+  /** Copies a template's pixels inside a board rectangle.
+   * @param {Template} template - The template
+   * @param {{x: number, y: number, width: number, height: number}} rect - Absolute board rectangle
+   * @returns {Uint32Array} One RGBA value per board pixel (0 where the template has no pixel)
+   * @since 0.91.22
+   */
+  #readTemplateRegion(template, rect) {
+    const region = new Uint32Array(rect.width * rect.height);
+    for (const chunk of this.#getTemplateChunkRects(template)) {
+      const left = Math.max(rect.x, chunk.x);
+      const top = Math.max(rect.y, chunk.y);
+      const right = Math.min(rect.x + rect.width, chunk.x + chunk.width);
+      const bottom = Math.min(rect.y + rect.height, chunk.y + chunk.height);
+      if (right <= left || bottom <= top) continue;
+
+      const pixels = this.#getChunkPixels(template, chunk.tileKey);
+      const stride = chunk.width * this.drawMult;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          region[(y - rect.y) * rect.width + (x - rect.x)] = pixels[((y - chunk.y) * this.drawMult + 1) * stride + (x - chunk.x) * this.drawMult + 1];
+        }
+      }
+    }
+    return region;
+  }
+
+  /** Finds enabled templates that want to paint the same board pixels.
+   * Templates are compared pairwise, so three templates sharing pixels give three entries.
+   * @returns {Array<{lowerKey: string, upperKey: string, pixels: number, conflicts: number, x: number, y: number, imageData: ImageData}>}
+   *   One entry per overlapping pair, in draw order. `upperKey` is drawn on top and currently owns the shared pixels.
+   *   `conflicts` counts shared pixels where the two templates want different colors. `x`/`y` is the absolute board
+   *   position of `imageData`, which marks the shared pixels: red where they conflict, gray where they agree
+   * @since 0.91.22
+   */
+  findTemplateOverlaps() {
+    const templates = (this.templatesArray || [])
+      .filter(template => template !== this.revisionPreview?.template && this.isTemplateEnabled(`${template.sortID} ${template.authorID}`))
+      .sort((a, b) => a.sortID - b.sortID);
+
+    const bounds = templates.map(template => {
+      const chunks = this.#getTemplateChunkRects(template);
+      if (chunks.length === 0) return null;
+      const left = Math.min(...chunks.map(chunk => chunk.x));
+      const top = Math.min(...chunks.map(chunk => chunk.y));
+      return {
+        x: left,
+        y: top,
+        width: Math.max(...chunks.map(chunk => chunk.x + chunk.width)) - left,
+        height: Math.max(...chunks.map(chunk => chunk.y + chunk.height)) - top
+      };
+    });
+
+    const overlaps = [];
+    for (let i = 0; i < templates.length; i++) {
+      for (let j = i + 1; j < templates.length; j++) {
+        const a = bounds[i];
+        const b = bounds[j];
+        if (!a || !b) continue;
+
+        const left = Math.max(a.x, b.x);
+        const top = Math.max(a.y, b.y);
+        const rect = { x: left, y: top, width: Math.min(a.x + a.width, b.x + b.width) - left, height: Math.min(a.y + a.height, b.y + b.height) - top };
+        if (rect.width <= 0 || rect.height <= 0) continue;
+
+        const lower = this.#readTemplateRegion(templates[i], rect);
+        const upper = this.#readTemplateRegion(templates[j], rect);
+
+        // Shared pixels and their tight bounds
+        let pixels = 0;
+        let conflicts = 0;
+        let minX = rect.width, minY = rect.height, maxX = -1, maxY = -1;
+        for (let index = 0; index < lower.length; index++) {
+          if ((lower[index] >>> 24) < 64 || (upper[index] >>> 24) < 64) continue;
+          pixels++;
+          if ((lower[index] & 0xFFFFFF) !== (upper[index] & 0xFFFFFF)) conflicts++;
+          const x = index % rect.width;
+          const y = Math.floor(index / rect.width);
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+        }
+        if (pixels === 0) continue;
+
+        const imageData = new ImageData(maxX - minX + 1, maxY - minY + 1);
+        for (let y = minY; y <= maxY; y++) {
+          for (let x = minX; x <= maxX; x++) {
+            const index = y * rect.width + x;
+            if ((lower[index] >>> 24) < 64 || (upper[index] >>> 24) < 64) continue;
+            const conflict = (lower[index] & 0xFFFFFF) !== (upper[index] & 0xFFFFFF);
+            imageData.data.set(conflict ? [239, 68, 68, 255] : [148, 163, 184, 255], ((y - minY) * imageData.width + (x - minX)) * 4);
+          }
+        }
+
+        overlaps.push({
+          lowerKey: `${templates[i].sortID} ${templates[i].authorID}`,
+          upperKey: `${templates[j].sortID} ${templates[j].authorID}`,
+          pixels,
+          conflicts,
+          x: rect.x + minX,
+          y: rect.y + minY,
+          imageData
+        });
+      }
+    }
+
+    return overlaps;
+  }
 
+  /** Lets one template win the pixels it shares with another, by drawing it right above that template.
+   * @param {string} winnerKey - Template that should own the shared pixels
+   * @param {string} loserKey - Template it overlaps
+   * @returns {Promise<Object<string, string>>} Old key to new key for templates whose key changed, see {@link TemplateManager#reorderTemplates}
+   * @since 0.91.22
+   */
+  async setOverlapWinner(winnerKey, loserKey) {
+    const templates = this.templatesJSON?.templates;
+    if (!templates?.[winnerKey] || !templates?.[loserKey]) return {};
+
+    const sortIDOf = (templateKey) => parseInt(templateKey.split(' ')[0], 10) || 0;
+    if (sortIDOf(winnerKey) > sortIDOf(loserKey)) return {}; // Already on top
+
+    const order = Object.keys(templates)
+      .filter(templateKey => templateKey !== winnerKey)
+      .sort((a, b) => sortIDOf(a) - sortIDOf(b));
+    order.splice(order.indexOf(loserKey) + 1, 0, winnerKey);
+    return this.reorderTemplates(order);
+  }
 
   /** Imports the JSON object, and appends it to any JSON object already loaded
    * @param {string} json - The JSON string to parse
@@ -1326,6 +1954,9 @@ export default class TemplateManager {
     if (validWhoami.includes(json?.whoami)) {
       debugLog('Calling #parseBlueMarble...');
       this.#parseBlueMarble(json); // ...parse the template object as Blue Marble
+    } else if (detectTemplateImporter(json)) {
+      // Files from other tools are converted and merged instead of replacing the loaded templates
+      this.importTemplates(json).catch(error => console.warn('❌ Template import failed:', error));
     } else {
       console.warn('❌ Not a valid BlueMarble JSON:', {
         whoami: json?.whoami,
@@ -1430,76 +2061,505 @@ export default class TemplateManager {
     }
   }
 
-  /** Parses the OSU! Place JSON object
+  /** Loads the template library from IndexedDB, one template record at a time.
+   * Tile bitmaps are created straight from the stored Blobs; the base64 form is only kept for exports and revisions.
+   * @param {number} [legacyTimestamp=0] - Save time of the legacy userscript storage. If it is newer, IndexedDB is stale and not used
+   * @returns {Promise<boolean>} Whether the library was loaded from IndexedDB
+   * @since 0.91.22
+   */
+  async loadFromTemplateStore(legacyTimestamp = 0) {
+    if (!isTemplateStoreSupported()) return false;
+
+    let index;
+    try {
+      index = await loadTemplateIndex();
+    } catch (error) {
+      console.warn('⚠️ Could not open the IndexedDB template store:', error);
+      return false;
+    }
+    if (!index || legacyTimestamp > index.savedAt) return false;
+
+    const templates = {};
+    const loaded = [];
+    const entries = Object.entries(index.entries).sort(([a], [b]) => parseInt(a) - parseInt(b)); // Cursor order is by string
+    for (const [templateKey, entry] of entries) {
+      let blobs = {};
+      try {
+        blobs = await loadTemplateTiles(templateKey);
+      } catch (error) {
+        console.error(`❌ Could not read the tiles of template ${templateKey}:`, error);
+      }
+
+      // Unreadable tiles still count as stored, so the next save does not replace them with nothing
+      templates[templateKey] = { ...entry, "tiles": await tileBlobsToBase64(templateKey, blobs) };
+      try {
+        loaded.push(await this.#templateFromStoredEntry(templateKey, templates[templateKey], blobs));
+      } catch (error) {
+        console.error(`❌ Could not load template ${templateKey}:`, error);
+      }
+    }
+
+    this.templatesJSON = { ...index.library, "templates": templates };
+    this.templatesArray.push(...loaded);
+    this.useTemplateStore = true;
+    debugLog(`Loaded ${loaded.length} templates from IndexedDB`);
+    return true;
+  }
+
+  /** Copies the loaded library into IndexedDB and switches future saves there.
+   * The copy is read back before this resolves true, so the caller can then drop the legacy storage keys.
+   * @returns {Promise<boolean>} Whether the library is now stored in IndexedDB
+   * @since 0.91.22
+   */
+  async migrateToTemplateStore() {
+    if (!isTemplateStoreSupported()) return false;
+
+    try {
+      if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+      await saveTemplateStore(this.templatesJSON);
+
+      const index = await loadTemplateIndex();
+      const missing = Object.keys(this.templatesJSON.templates || {}).filter(templateKey => !index?.entries[templateKey]);
+      if (missing.length > 0) {
+        throw new Error(`Templates missing after the copy: ${missing.join(', ')}`);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not move templates to IndexedDB, keeping userscript storage:', error);
+      return false;
+    }
+
+    this.useTemplateStore = true;
+    debugLog(`Migrated ${Object.keys(this.templatesJSON.templates || {}).length} templates to IndexedDB`);
+    return true;
+  }
+
+  /** Lists the automatic backups of the template library.
+   * @returns {Promise<Array<{id: number, createdAt: number, templateCount: number, size: number, checksum: string}>>} Newest first
+   * @since 0.91.22
+   */
+  async getTemplateBackups() {
+    return isTemplateStoreSupported() ? listTemplateBackups() : [];
+  }
+
+  /** Backs up the template library right away, skipping the backup interval.
+   * @returns {Promise<boolean>} Whether a backup was added (false if it matches the newest backup)
+   * @since 0.91.22
+   */
+  async backupTemplatesNow() {
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+    this.lastTemplateBackupAt = Date.now();
+    return saveTemplateBackup(this.templatesJSON);
+  }
+
+  /** Replaces every loaded template with a backup and saves it.
+   * The current library is backed up first, so the restore can itself be undone.
+   * @param {number} backupId - ID from {@link TemplateManager#getTemplateBackups}
+   * @returns {Promise<number>} How many templates were restored
+   * @throws {Error} If the backup is missing or fails its checksum; nothing is changed then
+   * @since 0.91.22
+   */
+  async restoreTemplateBackup(backupId) {
+    const json = await loadTemplateBackup(backupId);
+    if (!json?.templates || typeof json.templates !== 'object') {
+      throw new Error(`Backup ${backupId} holds no templates`);
+    }
+
+    if (this.templatesJSON) {
+      await saveTemplateBackup(this.templatesJSON);
+    }
+
+    this.revisionPreview = null;
+    this.templatesArray = [];
+    await this.#parseBlueMarble(json);
+    await this.#storeTemplates();
+    this.clearTileProgressCache();
+    clearFrozenTileCache();
+    return Object.keys(json.templates).length;
+  }
+
+  /** Deletes every template saved in IndexedDB. Used when all templates or all storage is cleared.
+   * @param {boolean} [includeHistory=false] - Also delete the automatic backups and the template revisions
+   * @returns {Promise<void>}
+   * @since 0.91.22
+   */
+  async clearStoredTemplates(includeHistory = false) {
+    if (!isTemplateStoreSupported()) return;
+    if (includeHistory) this.templateRevisions = {};
+    try {
+      await clearTemplateStore(includeHistory);
+    } catch (error) {
+      console.warn('⚠️ Could not clear the IndexedDB template store:', error);
+    }
+  }
+
+  /** Sets the `templatesShouldBeDrawn` boolean to a value.
+   * @param {boolean} value - The value to set the boolean to
+   * @since 0.73.7
+   */
+  setTemplatesShouldBeDrawn(value) {
+    this.templatesShouldBeDrawn = value;
+  }
+
+  /** Enables or disables a specific template by its key
+   * @param {string} templateKey - The template key (e.g., "0 I+`")
+   * @param {boolean} enabled - Whether to enable or disable the template
+   * @param {boolean} [persist=true] - Save right away. Pass false when changing many templates, then save once
+   * @since 1.0.0
+   */
+  setTemplateEnabled(templateKey, enabled, persist = true) {
+    if (!this.templatesJSON?.templates?.[templateKey]) {
+      console.warn(`Template not found: ${templateKey}`);
+      return false;
+    }
+
+    // Update JSON
+    this.templatesJSON.templates[templateKey].enabled = enabled;
+    
+    // Update metadata
+    this.templatesJSON.lastModified = new Date().toISOString();
+    
+    // Save to storage
+    if (persist) {
+      this.#storeTemplates();
+    }
+    
+    // CRITICAL FIX: Clear tile progress cache when template enabled state changes
+    // This prevents disabled template data from leaking into progress calculations
+    this.clearTileProgressCache();
+    
+    debugLog(`${enabled ? 'Enabled' : 'Disabled'} template: ${templateKey} - cleared tile progress cache`);
+    return true;
+  }
+
+  /** Rename a template and persist the change
+   * @param {string} templateKey
+   * @param {string} newName
+   * @since 1.0.0
+   */
+  async renameTemplate(templateKey, newName) {
+    try {
+      if (!this.templatesJSON?.templates?.[templateKey]) return false;
+      const safeName = String(newName || '').trim();
+      if (!safeName) return false;
+
+      this.templatesJSON.templates[templateKey].name = safeName;
+      this.templatesJSON.lastModified = new Date().toISOString();
+
+      // Update in-memory Template instance if present
+      const [sortIdStr, authorId] = templateKey.split(' ');
+      const sortId = parseInt(sortIdStr, 10);
+      const idx = this.templatesArray?.findIndex(t => t.sortID === sortId && t.authorID === authorId) ?? -1;
+      if (idx !== -1) {
+        this.templatesArray[idx].displayName = safeName;
+      }
+
+      await this.#storeTemplates();
+      return true;
+    } catch (e) {
+      console.error('Failed to rename template', e);
+      return false;
+    }
+  }
+
+  /** Returns a template's notes, tags, owner, source link and deadline.
+   * Templates saved before metadata existed get empty values.
+   * @param {string} templateKey - The template key
+   * @returns {{notes: string, tags: Array<string>, owner: string, sourceUrl: string, deadline: string}|null} A copy of the metadata, or null if the template does not exist
+   * @since 0.91.22
+   */
+  getTemplateMetadata(templateKey) {
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    return templateData ? normalizeTemplateMetadata(templateData.metadata) : null;
+  }
+
+  /** Replaces a template's metadata and persists it.
+   * @param {string} templateKey - The template key
+   * @param {Object} metadata - Any of notes, tags (array or comma separated), owner, sourceUrl and deadline ("YYYY-MM-DD")
+   * @returns {Promise<Object|null>} The metadata as stored, or null if the template does not exist
+   * @since 0.91.22
+   */
+  async setTemplateMetadata(templateKey, metadata) {
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    if (!templateData) return null;
+
+    templateData.metadata = normalizeTemplateMetadata(metadata);
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
+    return normalizeTemplateMetadata(templateData.metadata);
+  }
+
+  /** Lists every tag used by a template.
+   * @returns {Array<string>} Tags in alphabetical order
+   * @since 0.91.22
+   */
+  getTemplateTags() {
+    const tags = new Set();
+    for (const templateData of Object.values(this.templatesJSON?.templates || {})) {
+      normalizeTemplateMetadata(templateData.metadata).tags.forEach(tag => tags.add(tag));
+    }
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  /** Classifies a template's deadline relative to today.
+   * @param {string} templateKey - The template key
+   * @param {number} [soonDays=7] - Deadlines this many days away or closer count as 'soon'
+   * @returns {'overdue'|'soon'|'upcoming'|null} null when the template has no deadline
+   * @since 0.91.22
+   */
+  getTemplateDeadlineStatus(templateKey, soonDays = 7) {
+    const deadline = this.getTemplateMetadata(templateKey)?.deadline;
+    if (!deadline) return null;
+
+    // Deadlines are calendar days, compare them against the local date
+    const today = new Date();
+    const todayUTC = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    const daysLeft = Math.round((Date.parse(deadline) - todayUTC) / 86400000);
+    if (daysLeft < 0) return 'overdue';
+    return daysLeft <= soonDays ? 'soon' : 'upcoming';
+  }
+
+  /** Checks a template against a search query.
+   * Every word of the query has to match: `#tag` matches a tag exactly, other words match
+   * anywhere in the name, coordinates, notes, tags, owner or source link (case-insensitive).
+   * @param {string} templateKey - The template key
+   * @param {string} query - The search text
+   * @returns {boolean} True if the template matches, or the query is empty
+   * @since 0.91.22
+   */
+  templateMatchesQuery(templateKey, query) {
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    if (!templateData) return false;
+
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const metadata = normalizeTemplateMetadata(templateData.metadata);
+    const haystack = [templateData.name, templateData.coords, metadata.notes, metadata.owner, metadata.sourceUrl, ...metadata.tags]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+
+    return words.every(word => word.startsWith('#') && word.length > 1
+      ? metadata.tags.includes(word.slice(1))
+      : haystack.includes(word));
+  }
+
+  /** Lists template groups in display order, each with its templates in draw order.
+   * Groups come from `templatesJSON.groups` plus any group name a template uses that is not listed there
+   * (e.g. after an import). Ungrouped templates are listed first, under the name ''.
+   * @returns {Array<{name: string, collapsed: boolean, keys: Array<string>}>}
+   * @since 0.91.22
+   */
+  getTemplateGroups() {
+    const templates = this.templatesJSON?.templates || {};
+    const groups = [{ name: '', collapsed: false, keys: [] }];
+    for (const group of this.templatesJSON?.groups || []) {
+      groups.push({ name: group.name, collapsed: !!group.collapsed, keys: [] });
+    }
+
+    const sortedKeys = Object.keys(templates).sort((a, b) => (parseInt(a.split(' ')[0], 10) || 0) - (parseInt(b.split(' ')[0], 10) || 0));
+    for (const templateKey of sortedKeys) {
+      const groupName = templates[templateKey].group || '';
+      let group = groups.find(g => g.name === groupName);
+      if (!group) {
+        group = { name: groupName, collapsed: false, keys: [] };
+        groups.push(group);
+      }
+      group.keys.push(templateKey);
+    }
+    return groups;
+  }
+
+  /** Returns the stored group list, creating it for templates saved before groups existed.
+   * @returns {Array<Object>}
+   * @since 0.91.22
+   */
+  #getStoredGroups() {
+    if (!Array.isArray(this.templatesJSON.groups)) {
+      this.templatesJSON.groups = [];
+    }
+    return this.templatesJSON.groups;
+  }
+
+  /** Creates an empty template group.
+   * @param {string} groupName - Name of the group
+   * @returns {Promise<boolean>} False if the name is empty or already taken
+   * @since 0.91.22
+   */
+  async createTemplateGroup(groupName) {
+    const name = String(groupName || '').trim();
+    if (!name || !this.templatesJSON) return false;
+    if (this.getTemplateGroups().some(group => group.name === name)) return false;
+
+    this.#getStoredGroups().push({ "name": name, "collapsed": false });
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
+    return true;
+  }
+
+  /** Renames a template group, moving its templates along.
+   * @param {string} oldName - Current name
+   * @param {string} newName - New name
+   * @returns {Promise<boolean>} False if the new name is empty or already taken
+   * @since 0.91.22
+   */
+  async renameTemplateGroup(oldName, newName) {
+    const name = String(newName || '').trim();
+    if (!oldName || !name || !this.templatesJSON) return false;
+    if (name === oldName) return true;
+    if (this.getTemplateGroups().some(group => group.name === name)) return false;
+
+    const stored = this.#getStoredGroups().find(group => group.name === oldName);
+    if (stored) {
+      stored.name = name;
+    } else {
+      this.#getStoredGroups().push({ "name": name, "collapsed": false });
+    }
+    for (const templateData of Object.values(this.templatesJSON.templates)) {
+      if (templateData.group === oldName) templateData.group = name;
+    }
+
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
+    return true;
+  }
+
+  /** Deletes a template group. Its templates are kept and become ungrouped.
+   * @param {string} groupName - Name of the group
+   * @since 0.91.22
    */
-  #parseOSU() {
+  async deleteTemplateGroup(groupName) {
+    if (!groupName || !this.templatesJSON) return;
+
+    this.templatesJSON.groups = this.#getStoredGroups().filter(group => group.name !== groupName);
+    for (const templateData of Object.values(this.templatesJSON.templates)) {
+      if (templateData.group === groupName) templateData.group = '';
+    }
 
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
   }
 
-  /** Sets the `templatesShouldBeDrawn` boolean to a value.
-   * @param {boolean} value - The value to set the boolean to
-   * @since 0.73.7
+  /** Moves a template into a group.
+   * @param {string} templateKey - The template key
+   * @param {string} groupName - Target group, '' for ungrouped
+   * @since 0.91.22
    */
-  setTemplatesShouldBeDrawn(value) {
-    this.templatesShouldBeDrawn = value;
+  async setTemplateGroup(templateKey, groupName) {
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    if (!templateData) return;
+
+    templateData.group = groupName || '';
+    if (groupName && !this.#getStoredGroups().some(group => group.name === groupName)) {
+      this.#getStoredGroups().push({ "name": groupName, "collapsed": false });
+    }
+    await this.#storeTemplates();
   }
 
-  /** Enables or disables a specific template by its key
-   * @param {string} templateKey - The template key (e.g., "0 I+`")
-   * @param {boolean} enabled - Whether to enable or disable the template
-   * @since 1.0.0
+  /** Remembers whether a group is collapsed in the template lists.
+   * @param {string} groupName - Name of the group
+   * @param {boolean} collapsed
+   * @since 0.91.22
    */
-  setTemplateEnabled(templateKey, enabled) {
-    if (!this.templatesJSON?.templates?.[templateKey]) {
-      console.warn(`Template not found: ${templateKey}`);
-      return false;
-    }
+  setTemplateGroupCollapsed(groupName, collapsed) {
+    if (!groupName || !this.templatesJSON) return;
 
-    // Update JSON
-    this.templatesJSON.templates[templateKey].enabled = enabled;
-    
-    // Update metadata
-    this.templatesJSON.lastModified = new Date().toISOString();
-    
-    // Save to storage
+    const stored = this.#getStoredGroups().find(group => group.name === groupName);
+    if (stored) {
+      stored.collapsed = collapsed;
+    } else {
+      this.#getStoredGroups().push({ "name": groupName, "collapsed": collapsed });
+    }
     this.#storeTemplates();
-    
-    // CRITICAL FIX: Clear tile progress cache when template enabled state changes
-    // This prevents disabled template data from leaking into progress calculations
-    this.clearTileProgressCache();
-    
-    debugLog(`${enabled ? 'Enabled' : 'Disabled'} template: ${templateKey} - cleared tile progress cache`);
-    return true;
   }
 
-  /** Rename a template and persist the change
-   * @param {string} templateKey
-   * @param {string} newName
-   * @since 1.0.0
+  /** Enables or disables every template in a group.
+   * @param {string} groupName - Name of the group, '' for ungrouped templates
+   * @param {boolean} enabled
+   * @since 0.91.22
    */
-  async renameTemplate(templateKey, newName) {
-    try {
-      if (!this.templatesJSON?.templates?.[templateKey]) return false;
-      const safeName = String(newName || '').trim();
-      if (!safeName) return false;
+  async setTemplateGroupEnabled(groupName, enabled) {
+    const group = this.getTemplateGroups().find(g => g.name === groupName);
+    if (!group || group.keys.length === 0) return;
 
-      this.templatesJSON.templates[templateKey].name = safeName;
-      this.templatesJSON.lastModified = new Date().toISOString();
+    group.keys.forEach(templateKey => this.setTemplateEnabled(templateKey, enabled, false));
+    await this.#storeTemplates();
+  }
 
-      // Update in-memory Template instance if present
-      const [sortIdStr, authorId] = templateKey.split(' ');
-      const sortId = parseInt(sortIdStr, 10);
-      const idx = this.templatesArray?.findIndex(t => t.sortID === sortId && t.authorID === authorId) ?? -1;
-      if (idx !== -1) {
-        this.templatesArray[idx].displayName = safeName;
-      }
+  /** Rewrites sort IDs so templates are drawn in the given order (first = bottom, last = on top).
+   * Only the given templates are renumbered; sort IDs used by other templates are skipped.
+   * Template keys contain the sort ID, so this changes the keys of moved templates.
+   * @param {Array<string>} orderedKeys - Template keys in their new draw order
+   * @returns {Promise<Object<string, string>>} Old key to new key, for templates whose key changed
+   * @since 0.91.22
+   */
+  async reorderTemplates(orderedKeys) {
+    const templates = this.templatesJSON?.templates;
+    if (!templates) return {};
+
+    const keys = orderedKeys.filter(templateKey => templates[templateKey]);
+    const reordered = new Set(keys);
+    const reservedSortIDs = new Set(Object.keys(templates)
+      .filter(templateKey => !reordered.has(templateKey))
+      .map(templateKey => parseInt(templateKey.split(' ')[0], 10)));
+
+    // Assign new sort IDs in order
+    const renamed = {};
+    let nextSortID = 0;
+    for (const templateKey of keys) {
+      while (reservedSortIDs.has(nextSortID)) nextSortID++;
+      const authorID = templateKey.split(' ').slice(1).join(' ');
+      const newKey = `${nextSortID} ${authorID}`;
+      if (newKey !== templateKey) renamed[templateKey] = newKey;
+      nextSortID++;
+    }
+    if (Object.keys(renamed).length === 0) return renamed;
+
+    // Templates (JSON), keeping the new order in the object too
+    const instances = new Map(this.templatesArray
+      .filter(template => template !== this.revisionPreview?.template)
+      .map(template => [`${template.sortID} ${template.authorID}`, template]));
+    const newTemplates = {};
+    for (const templateKey of keys) {
+      newTemplates[renamed[templateKey] || templateKey] = templates[templateKey];
+    }
+    for (const [templateKey, templateData] of Object.entries(templates)) {
+      if (!reordered.has(templateKey)) newTemplates[templateKey] = templateData;
+    }
+    this.templatesJSON.templates = newTemplates;
 
-      await this.#storeTemplates();
-      return true;
-    } catch (e) {
-      console.error('Failed to rename template', e);
-      return false;
+    // Template instances
+    for (const [oldKey, newKey] of Object.entries(renamed)) {
+      const instance = instances.get(oldKey);
+      if (instance) instance.sortID = parseInt(newKey.split(' ')[0], 10);
+    }
+
+    // Everything else keyed by template key
+    const revisions = this.#getTemplateRevisionStore();
+    const movedRevisions = {};
+    for (const [oldKey, newKey] of Object.entries(renamed)) {
+      if (revisions[oldKey]) {
+        movedRevisions[newKey] = revisions[oldKey];
+        delete revisions[oldKey];
+      }
+    }
+    if (Object.keys(movedRevisions).length > 0) {
+      Object.assign(revisions, movedRevisions);
+      this.#storeTemplateRevisions(...Object.keys(renamed), ...Object.values(renamed));
     }
+    renameSubscriptionTemplates(renamed);
+    if (this.revisionPreview && renamed[this.revisionPreview.templateKey]) {
+      this.revisionPreview.templateKey = renamed[this.revisionPreview.templateKey];
+      this.revisionPreview.template.sortID = parseInt(this.revisionPreview.templateKey.split(' ')[0], 10);
+    }
+
+    this.currentlyDisplayedTemplates.clear();
+    this.clearTileProgressCache();
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
+
+    debugLog(`Reordered ${keys.length} templates, ${Object.keys(renamed).length} keys changed`);
+    return renamed;
   }
 
   /** Reconstructs the original image from a template's stored tile data.
@@ -1589,6 +2649,253 @@ export default class TemplateManager {
 
 
 
+  /** Returns the revision history of every template.
+   * In IndexedDB it is read by {@link TemplateManager#loadRevisionHistory}; without IndexedDB it is read from userscript storage here.
+   * @returns {Object<string, Array<Object>>} Revisions per template key, oldest first
+   * @since 0.91.22
+   */
+  #getTemplateRevisionStore() {
+    if (this.templateRevisions) return this.templateRevisions;
+
+    this.templateRevisions = {};
+    if (isTemplateStoreSupported()) return this.templateRevisions;
+    try {
+      const raw = typeof GM_getValue !== 'undefined'
+        ? GM_getValue('bmTemplateRevisions', null)
+        : localStorage.getItem('bmTemplateRevisions');
+      if (raw) {
+        this.templateRevisions = JSON.parse(raw);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load template revisions:', error);
+    }
+    return this.templateRevisions;
+  }
+
+  /** Reads the revision history from IndexedDB.
+   * Revisions recorded before it finished are kept, after the stored ones.
+   * @returns {Promise<number>} How many templates have revisions
+   * @since 0.91.22
+   */
+  async loadRevisionHistory() {
+    if (!isTemplateStoreSupported()) return Object.keys(this.#getTemplateRevisionStore()).length;
+
+    try {
+      const stored = await loadTemplateRevisions();
+      const store = this.#getTemplateRevisionStore();
+      for (const [templateKey, revisions] of Object.entries(stored)) {
+        store[templateKey] = [...revisions, ...(store[templateKey] || [])].slice(-this.maxTemplateRevisions);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load template revisions:', error);
+    }
+    return Object.keys(this.#getTemplateRevisionStore()).length;
+  }
+
+  /** Saves the revision history of the given templates.
+   * A failed save is reported in the status area, since the history would otherwise be lost without notice.
+   * @param {...string} templateKeys - Templates whose history changed (or was removed)
+   * @since 0.91.22
+   */
+  #storeTemplateRevisions(...templateKeys) {
+    const store = this.#getTemplateRevisionStore();
+    const reportFailure = (error) => {
+      console.error('❌ Failed to save template revisions:', error);
+      this.overlay?.handleDisplayError?.(`Template history could not be saved: ${error?.message || error}`);
+    };
+
+    if (isTemplateStoreSupported()) {
+      saveTemplateRevisions(Object.fromEntries(templateKeys.map(templateKey => [templateKey, store[templateKey] || null])))
+        .catch(reportFailure);
+      return;
+    }
+
+    try {
+      const data = JSON.stringify(store);
+      if (typeof GM_setValue !== 'undefined') {
+        GM_setValue('bmTemplateRevisions', data);
+        return;
+      }
+      localStorage.setItem('bmTemplateRevisions', data);
+    } catch (error) {
+      reportFailure(error);
+    }
+  }
+
+  /** Adds the current version of a template to its revision history, before it is overwritten.
+   * @param {string} templateKey - The template about to change
+   * @param {string} reason - What is about to happen to it ('replace', 'merge', 'move', 'restore', ...)
+   * @since 0.91.22
+   */
+  #recordTemplateRevision(templateKey, reason) {
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    if (!templateData?.tiles) return;
+
+    const store = this.#getTemplateRevisionStore();
+    const revisions = store[templateKey] || (store[templateKey] = []);
+    revisions.push({
+      "savedAt": new Date().toISOString(),
+      "reason": reason,
+      "name": templateData.name,
+      "coords": templateData.coords,
+      "pixelCount": templateData.pixelCount || 0,
+      "enabled": templateData.enabled !== false,
+      "disabledColors": [...(templateData.disabledColors || [])],
+      "enhancedColors": [...(templateData.enhancedColors || [])],
+      "tiles": templateData.tiles
+    });
+    if (revisions.length > this.maxTemplateRevisions) {
+      revisions.splice(0, revisions.length - this.maxTemplateRevisions);
+    }
+
+    this.#storeTemplateRevisions(templateKey);
+    debugLog(`Recorded revision of template ${templateKey} (${reason}), ${revisions.length} kept`);
+  }
+
+  /** Lists the earlier versions of a template.
+   * @param {string} templateKey - The template key (e.g., "0 $Z")
+   * @returns {Array<{index: number, savedAt: string, reason: string, name: string, coords: string, pixelCount: number, disabledColors: number, enhancedColors: number}>} Newest first.
+   *   `index` identifies the revision in {@link TemplateManager#previewTemplateRevision} and {@link TemplateManager#restoreTemplateRevision}
+   * @since 0.91.22
+   */
+  getTemplateRevisions(templateKey) {
+    const revisions = this.#getTemplateRevisionStore()[templateKey] || [];
+    return revisions.map((revision, index) => ({
+      index,
+      savedAt: revision.savedAt,
+      reason: revision.reason,
+      name: revision.name,
+      coords: revision.coords,
+      pixelCount: revision.pixelCount,
+      disabledColors: revision.disabledColors?.length || 0,
+      enhancedColors: revision.enhancedColors?.length || 0
+    })).reverse();
+  }
+
+  /** Builds a drawable {@link Template} from a stored template entry or revision.
+   * @param {string} templateKey - Key the template is drawn under ("sortID authorID")
+   * @param {Object} templateData - Stored entry with name, coords, tiles and color settings
+   * @param {Object<string, Blob>} [tileBlobs] - The tiles as PNG Blobs, used instead of decoding the base64 `tiles`
+   * @returns {Promise<Template>}
+   * @since 0.91.22
+   */
+  async #templateFromStoredEntry(templateKey, templateData, tileBlobs = null) {
+    const [sortIdStr, authorID = ''] = templateKey.split(' ');
+    const template = new Template({
+      displayName: templateData.name,
+      sortID: Number(sortIdStr) || 0,
+      authorID,
+      coords: templateData.coords?.split(', ').map(Number)
+    });
+
+    template.chunked = {};
+    template.chunked32 = {};
+    const blobs = tileBlobs || Object.fromEntries(Object.entries(templateData.tiles || {})
+      .map(([tileKey, encoded]) => [tileKey, new Blob([base64ToUint8(encoded)], { type: 'image/png' })]));
+    for (const [tileKey, blob] of Object.entries(blobs)) {
+      const bitmap = await createImageBitmap(blob);
+      template.chunked[tileKey] = bitmap;
+
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(bitmap, 0, 0);
+      template.chunked32[tileKey] = new Uint32Array(context.getImageData(0, 0, bitmap.width, bitmap.height).data.buffer);
+    }
+    template._tileIndex = null; // Invalidate lookup index
+    template.pixelCount = templateData.pixelCount || 0;
+
+    if (Array.isArray(templateData.disabledColors)) {
+      template.setDisabledColors(templateData.disabledColors);
+    }
+    if (Array.isArray(templateData.enhancedColors)) {
+      template.setEnhancedColors(templateData.enhancedColors);
+    }
+    return template;
+  }
+
+  /** Draws a revision on the map in place of the current version of its template, without changing anything.
+   * @param {string} templateKey - The template key
+   * @param {number} index - Revision index from {@link TemplateManager#getTemplateRevisions}
+   * @returns {Promise<boolean>} Whether the preview started
+   * @since 0.91.22
+   */
+  async previewTemplateRevision(templateKey, index) {
+    const revision = this.#getTemplateRevisionStore()[templateKey]?.[index];
+    if (!revision) return false;
+
+    this.stopTemplateRevisionPreview();
+
+    // Drawn under the live template's key so it takes its place in the draw order
+    const template = await this.#templateFromStoredEntry(templateKey, revision);
+    this.revisionPreview = { templateKey, index, template };
+    this.templatesArray.push(template);
+    this.clearTileProgressCache();
+    debugLog(`Previewing revision ${index} of template ${templateKey}`);
+    return true;
+  }
+
+  /** Ends the revision preview, if any, and draws the current version again.
+   * @since 0.91.22
+   */
+  stopTemplateRevisionPreview() {
+    if (!this.revisionPreview) return;
+
+    const previewIndex = this.templatesArray.indexOf(this.revisionPreview.template);
+    if (previewIndex !== -1) {
+      this.templatesArray.splice(previewIndex, 1);
+    }
+    this.revisionPreview = null;
+    this.clearTileProgressCache();
+  }
+
+  /** Makes a revision the current version of its template.
+   * The version being replaced is added to the history, so a restore can itself be undone.
+   * @param {string} templateKey - The template key
+   * @param {number} index - Revision index from {@link TemplateManager#getTemplateRevisions}
+   * @returns {Promise<boolean>} Whether the revision was restored
+   * @since 0.91.22
+   */
+  async restoreTemplateRevision(templateKey, index) {
+    const revision = this.#getTemplateRevisionStore()[templateKey]?.[index];
+    const templateData = this.templatesJSON?.templates?.[templateKey];
+    if (!revision || !templateData) return false;
+
+    try {
+      this.stopTemplateRevisionPreview();
+      const template = await this.#templateFromStoredEntry(templateKey, revision);
+
+      this.#recordTemplateRevision(templateKey, 'restore');
+
+      Object.assign(templateData, {
+        "name": revision.name,
+        "coords": revision.coords,
+        "pixelCount": revision.pixelCount,
+        "disabledColors": [...revision.disabledColors],
+        "enhancedColors": [...revision.enhancedColors],
+        "tiles": revision.tiles
+      });
+      delete templateData.contentHash; // Recomputed on the next duplicate check
+
+      const templateIndex = this.templatesArray.findIndex(t => `${t.sortID} ${t.authorID}` === templateKey);
+      if (templateIndex !== -1) {
+        this.templatesArray[templateIndex] = template;
+      } else {
+        this.templatesArray.push(template);
+      }
+
+      this.clearTileProgressCache();
+      this.templatesJSON.lastModified = new Date().toISOString();
+      this.templatesJSON.totalPixels = this.templatesArray.reduce((total, t) => total + (t.pixelCount || 0), 0);
+      await this.#storeTemplates();
+
+      debugLog(`Restored revision ${index} of template ${templateKey}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to restore template revision:', error);
+      return false;
+    }
+  }
+
   /** Clears the tile progress cache to prevent data leakage between enabled/disabled templates
    * This ensures that progress calculations only include data from currently enabled templates
    * @since 1.0.0
@@ -2871,185 +4178,256 @@ export default class TemplateManager {
   /** Build a screenshot covering the active template's pixel area by fetching raw tiles and composing them.
    * The screenshot shows the current board (not overlay) for the area from the template's top-left pixel
    * to its bottom-right pixel, snapped to tile boundaries as needed.
+   * The active template is only consulted when `sizePx` is missing; tile compositing itself lives in
+   * {@link composeBoardArea} and works without any template loaded.
    * @param {string} tileServerBase - Base URL to the tile server (ending with /tiles)
    * @param {[number, number, number, number]} templateCoords - [tileX, tileY, pixelX, pixelY]
    * @param {[number, number]} sizePx - [width, height] in template pixels to capture
+   * @param {Object} [fetchOptions={}] - Tile-fetch options passed to {@link composeBoardArea} (concurrency, maxRetries, signal, progressCallback)
    * @returns {Promise<Blob>} PNG blob of the composed screenshot
    */
-  async buildTemplateAreaScreenshot(tileServerBase, templateCoords, sizePx) {
+  async buildTemplateAreaScreenshot(tileServerBase, templateCoords, sizePx, fetchOptions = {}) {
     try {
-      // SMART DETECTION: Use currently displayed template or first enabled template
-      let active = null;
-      
-      if (this.smartDetectionEnabled && this.currentlyDisplayedTemplates.size === 1) {
-        // Use the currently displayed template for screenshot
-        const displayedTemplateKey = Array.from(this.currentlyDisplayedTemplates)[0];
-        active = this.templatesArray.find(t => `${t.sortID} ${t.authorID}` === displayedTemplateKey);
-        if (active) {
-          debugLog(`📸 [Smart Screenshot] Using actively displayed template: ${active.displayName}`);
+      let width = Number(sizePx?.[0] ?? 0);
+      let height = Number(sizePx?.[1] ?? 0);
+
+      // Size not given: fall back to the active template's size
+      if (!(width > 0 && height > 0)) {
+        const active = this.#findActiveTemplate();
+        if (!active) {
+          throw new Error('Missing template or screenshot size');
         }
+        width = Number(active.imageWidth ?? 0);
+        height = Number(active.imageHeight ?? 0);
       }
-      
-      // Fallback: Use first enabled template
-      if (!active && this.templatesArray) {
-        for (const template of this.templatesArray) {
-          const templateKey = `${template.sortID} ${template.authorID}`;
-          if (this.isTemplateEnabled(templateKey)) {
-            active = template;
-            debugLog(`📸 [Smart Screenshot] Using first enabled template: ${active.displayName}`);
-            break;
-          }
+
+      return await composeBoardArea(tileServerBase, templateCoords, [width, height], { ...fetchOptions, drawMult: this.drawMult });
+    } catch (e) {
+      // A cancelled capture (timelapse stopped, extraction cancelled) is not a failure
+      if (e?.name !== 'AbortError') {
+        console.warn('Failed to build template area screenshot', e);
+      }
+      throw e;
+    }
+  }
+
+  /** Finds the template the screenshot should describe.
+   * Uses the currently displayed template (smart detection), else the first enabled one, else the first one.
+   * @returns {Template|undefined} The active template, if any
+   * @since 1.1.0
+   */
+  #findActiveTemplate() {
+    // SMART DETECTION: Use currently displayed template or first enabled template
+    if (this.smartDetectionEnabled && this.currentlyDisplayedTemplates.size === 1) {
+      const displayedTemplateKey = Array.from(this.currentlyDisplayedTemplates)[0];
+      const active = this.templatesArray.find(t => `${t.sortID} ${t.authorID}` === displayedTemplateKey);
+      if (active) {
+        debugLog(`📸 [Smart Screenshot] Using actively displayed template: ${active.displayName}`);
+        return active;
+      }
+    }
+
+    // Fallback: Use first enabled template
+    for (const template of this.templatesArray || []) {
+      if (this.isTemplateEnabled(`${template.sortID} ${template.authorID}`)) {
+        debugLog(`📸 [Smart Screenshot] Using first enabled template: ${template.displayName}`);
+        return template;
+      }
+    }
+
+    // Final fallback: Use first template (backward compatibility)
+    return this.templatesArray?.[0];
+  }
+
+  /** Imports templates in any registered format (see {@link registerTemplateImporter}) and merges them into the loaded templates.
+   * @param {Object|Array|string} input - Parsed JSON, or text (JSON text is parsed first)
+   * @returns {Promise<{format: string, imported: number, unmapped: Array<string>}>} Format label, number of templates imported, and everything that could not be mapped
+   * @since 0.91.22
+   */
+  async importTemplates(input) {
+    const { importer, templates, unmapped, groups } = await this.#convertTemplates(input);
+
+    const imported = Object.keys(templates || {}).length;
+    if (imported > 0) {
+      await this.importFromObject({ "whoami": 'BlueMarble', "templates": templates, "groups": groups }, { merge: true });
+    }
+
+    unmapped.forEach(message => debugLog(`[${importer.label} import] ${message}`));
+    return { format: importer.label, imported, unmapped };
+  }
+
+  /** Converts input in any registered format into the internal `templates` structure, without importing it.
+   * @param {Object|Array|string} input - Parsed JSON, or text (JSON text is parsed first)
+   * @returns {Promise<{importer: Object, templates: Object, unmapped: Array<string>, groups: Array<Object>|undefined}>}
+   * @throws {Error} If no importer understands the input
+   * @since 0.91.22
+   */
+  async #convertTemplates(input) {
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input);
+      } catch (_) {
+        input = input.trim(); // Not JSON, let the text importers have a look
+      }
+    }
+
+    const importer = detectTemplateImporter(input);
+    if (!importer) {
+      throw new Error('Unrecognised template format');
+    }
+    debugLog(`Importing templates as ${importer.label}...`);
+
+    const context = {
+      authorID: numberToEncoded(this.userID || 0, this.encodingBase),
+      fetchImage: fetchImageBlob,
+      createEntry: (image, name, coords, options) => this.#createTemplateEntry(image, name, coords, options)
+    };
+    const { templates, unmapped = [], groups } = await importer.convert(input, context);
+    return { importer, templates: templates || {}, unmapped, groups };
+  }
+
+  /** Brings the templates of a subscribed file up to date.
+   * Templates already imported from it are updated in place: name, position and pixels come from the file,
+   * while enabled state, disabled/enhanced colors, group and details stay as they are locally.
+   * The replaced version is kept in the revision history. Templates new to the file are imported.
+   * Templates that left the file, or were deleted locally, are not touched or brought back.
+   * Templates in the file are told apart by name and position ({@link subscriptionTemplateId}), not by their key in the file,
+   * which for most formats is just their index. A template that moved keeps its link if its name is unique among the moved ones.
+   * @param {Object|Array|string} input - The downloaded file, in any registered format
+   * @param {Object<string, string|null>} [keyMap={}] - Template in the file -> local template key (null once deleted locally),
+   *   from the previous update
+   * @returns {Promise<{format: string, keyMap: Object<string, string>, added: number, updated: number, unchanged: number}>}
+   *   The new key map and what changed
+   * @since 0.91.22
+   */
+  async applySubscriptionUpdate(input, keyMap = {}) {
+    const { importer, templates } = await this.#convertTemplates(input);
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    // The same name at the same place twice in one file is told apart by order
+    const remoteEntries = {};
+    for (const [fileKey, entry] of Object.entries(templates)) {
+      let remoteId = subscriptionTemplateId(entry);
+      for (let n = 2; remoteId in remoteEntries; n++) remoteId = `${subscriptionTemplateId(entry)} #${n}`;
+      remoteEntries[remoteId] = { fileKey, entry };
+    }
+    const nameOf = (remoteId) => remoteId.slice(0, remoteId.lastIndexOf(' @ '));
+    const vanished = Object.keys(keyMap).filter(remoteId => !(remoteId in remoteEntries));
+
+    const nextKeyMap = {};
+    const incoming = {};
+    const incomingIds = {}; // Key in the file -> remote ID, for the templates imported below
+    let updated = 0;
+    let unchanged = 0;
+
+    for (const [remoteId, { fileKey, entry }] of Object.entries(remoteEntries)) {
+      let previousId = remoteId in keyMap ? remoteId : null;
+      if (!previousId) {
+        const moved = vanished.filter(candidate => nameOf(candidate) === nameOf(remoteId));
+        if (moved.length === 1) {
+          previousId = moved[0];
+          vanished.splice(vanished.indexOf(previousId), 1);
         }
       }
-      
-      // Final fallback: Use first template (backward compatibility)
-      if (!active) {
-        active = this.templatesArray?.[0];
-        if (active) {
-          debugLog(`📸 [Smart Screenshot] Using fallback template: ${active.displayName}`);
+
+      const localKey = previousId ? keyMap[previousId] : null;
+      const localData = localKey ? this.templatesJSON.templates[localKey] : null;
+      if (!localData) {
+        if (!previousId) { // Deleted locally stays deleted
+          incoming[fileKey] = entry;
+          incomingIds[fileKey] = remoteId;
+        } else {
+          nextKeyMap[remoteId] = null;
         }
+        continue;
       }
-      
-      if (!active || !Array.isArray(templateCoords) || templateCoords.length < 4) {
-        throw new Error('Missing template or coordinates');
-      }
-      const tx = Number(templateCoords[0]);
-      const ty = Number(templateCoords[1]);
-      const px = Number(templateCoords[2]);
-      const py = Number(templateCoords[3]);
-      const width = Number(sizePx?.[0] ?? active.imageWidth ?? 0);
-      const height = Number(sizePx?.[1] ?? active.imageHeight ?? 0);
-      if (!Number.isFinite(tx) || !Number.isFinite(ty) || width <= 0 || height <= 0) {
-        throw new Error('Invalid screenshot dimensions or coords');
-      }
-
-      // Compose in board pixel space (no drawMult scaling)
-      const tileSize = this.tileSize || 1000;
-
-      // Compute the bounding box in board pixel space
-      const startX = tx * tileSize + px;
-      const startY = ty * tileSize + py;
-      const endX = startX + width;
-      const endY = startY + height;
-
-      // Determine all tile coordinates we need to fetch
-      const tileStartX = Math.floor(startX / tileSize);
-      const tileStartY = Math.floor(startY / tileSize);
-      const tileEndX = Math.floor((endX - 1) / tileSize);
-      const tileEndY = Math.floor((endY - 1) / tileSize);
-
-      const canvasW = endX - startX;
-      const canvasH = endY - startY;
-      const canvas = new OffscreenCanvas(canvasW, canvasH);
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      ctx.imageSmoothingEnabled = false;
-      ctx.clearRect(0, 0, canvasW, canvasH);
+      nextKeyMap[remoteId] = localKey;
 
-      // Helper to fetch a tile PNG via GM (caller runs in userscript env)
-      const fetchTile = (x, y) => new Promise((resolve, reject) => {
-        try {
-          const url = `${tileServerBase}/${x}/${y}.png`;
-          // Try GM first
-          if (typeof GM_xmlhttpRequest === 'function') {
-            GM_xmlhttpRequest({
-              method: 'GET',
-              url,
-              responseType: 'blob',
-              onload: (res) => {
-                if (res.status >= 200 && res.status < 300 && res.response) {
-                  resolve(res.response);
-                } else {
-                  // Fallback via Image if GM blocked
-                  const img = new Image();
-                  img.crossOrigin = 'anonymous';
-                  img.onload = async () => {
-                    try {
-                      const c = new OffscreenCanvas(img.width, img.height);
-                      const cx = c.getContext('2d');
-                      cx.imageSmoothingEnabled = false;
-                      cx.drawImage(img, 0, 0);
-                      const b = await c.convertToBlob({ type: 'image/png' });
-                      resolve(b);
-                    } catch (e) { reject(e); }
-                  };
-                  img.onerror = () => reject(new Error('Tile fetch failed (img)'));
-                  img.src = url;
-                }
-              },
-              onerror: () => {
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                img.onload = async () => {
-                  try {
-                    const c = new OffscreenCanvas(img.width, img.height);
-                    const cx = c.getContext('2d');
-                    cx.imageSmoothingEnabled = false;
-                    cx.drawImage(img, 0, 0);
-                    const b = await c.convertToBlob({ type: 'image/png' });
-                    resolve(b);
-                  } catch (e) { reject(e); }
-                };
-                img.onerror = () => reject(new Error('Tile fetch failed (img)'));
-                img.src = url;
-              }
-            });
-          } else {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = async () => {
-              try {
-                const c = new OffscreenCanvas(img.width, img.height);
-                const cx = c.getContext('2d');
-                cx.imageSmoothingEnabled = false;
-                cx.drawImage(img, 0, 0);
-                const b = await c.convertToBlob({ type: 'image/png' });
-                resolve(b);
-              } catch (e) { reject(e); }
-            };
-            img.onerror = () => reject(new Error('Tile fetch failed (img)'));
-            img.src = url;
-          }
-        } catch (e) { reject(e); }
+      const sameTiles = JSON.stringify(localData.tiles || {}) === JSON.stringify(entry.tiles || {});
+      if (sameTiles && localData.coords === entry.coords && localData.name === entry.name) {
+        unchanged++;
+        continue;
+      }
+
+      this.#recordTemplateRevision(localKey, 'subscription');
+      Object.assign(localData, {
+        "name": entry.name || localData.name,
+        "coords": entry.coords,
+        "pixelCount": entry.pixelCount || 0,
+        "tiles": entry.tiles || {}
       });
+      delete localData.contentHash; // Recomputed on the next duplicate check
 
-      // Iterate required tiles and draw only overlapping regions
-      for (let tyIdx = tileStartY; tyIdx <= tileEndY; tyIdx++) {
-        for (let txIdx = tileStartX; txIdx <= tileEndX; txIdx++) {
-          const tileBlob = await fetchTile(txIdx, tyIdx);
-          const bitmap = await createImageBitmap(tileBlob);
-          // Compute overlap with our screenshot area in board pixels
-          const tileOriginX = txIdx * tileSize;
-          const tileOriginY = tyIdx * tileSize;
-          const srcX = Math.max(0, startX - tileOriginX);
-          const srcY = Math.max(0, startY - tileOriginY);
-          const dstX = Math.max(0, tileOriginX - startX);
-          const dstY = Math.max(0, tileOriginY - startY);
-          const drawW = Math.min(tileSize - srcX, canvasW - dstX);
-          const drawH = Math.min(tileSize - srcY, canvasH - dstY);
-          
-          if (drawW > 0 && drawH > 0) {
-            ctx.drawImage(
-              bitmap,
-              srcX, srcY, drawW, drawH,
-              dstX, dstY, drawW, drawH
-            );
-          }
-        }
+      const template = await this.#templateFromStoredEntry(localKey, localData);
+      const templateIndex = this.templatesArray.findIndex(t => `${t.sortID} ${t.authorID}` === localKey);
+      if (templateIndex !== -1) {
+        this.templatesArray[templateIndex] = template;
+      } else {
+        this.templatesArray.push(template);
       }
+      updated++;
+    }
 
-      return await canvas.convertToBlob({ type: 'image/png' });
-    } catch (e) {
-      console.warn('Failed to build template area screenshot', e);
-      throw e;
+    let added = 0;
+    if (Object.keys(incoming).length > 0) {
+      const importedKeys = await this.importFromObject({ "whoami": 'BlueMarble', "templates": incoming }, { merge: true, quiet: true });
+      for (const [fileKey, localKey] of Object.entries(importedKeys)) {
+        nextKeyMap[incomingIds[fileKey]] = localKey;
+      }
+      added = Object.keys(importedKeys).length;
+    }
+
+    if (updated > 0) {
+      this.clearTileProgressCache();
+      this.templatesJSON.lastModified = new Date().toISOString();
+      this.templatesJSON.totalPixels = this.templatesArray.reduce((total, t) => total + (t.pixelCount || 0), 0);
+      await this.#storeTemplates();
     }
+
+    debugLog(`[Subscription] ${importer.label}: ${added} added, ${updated} updated, ${unchanged} unchanged`);
+    return { format: importer.label, keyMap: nextKeyMap, added, updated, unchanged };
+  }
+
+  /** Builds a stored template entry (the values of `templatesJSON.templates`) from an image.
+   * @param {Blob|string} image - The image, or a URL / data URL to load it from
+   * @param {string} name - Display name
+   * @param {Array<number>} coords - Top left corner as [tileX, tileY, pixelX, pixelY]
+   * @param {{enabled?: boolean}} [options={}]
+   * @returns {Promise<Object>} The template entry
+   * @since 0.91.22
+   */
+  async #createTemplateEntry(image, name, coords, { enabled = true } = {}) {
+    const blob = typeof image === 'string' ? await fetchImageBlob(image) : image;
+
+    const template = new Template({
+      displayName: name,
+      sortID: 0,
+      authorID: numberToEncoded(this.userID || 0, this.encodingBase),
+      file: blob,
+      coords: coords
+    });
+    const { templateTilesBuffers } = await template.createTemplateTiles(this.tileSize);
+
+    return {
+      "name": name,
+      "coords": coords.join(', '),
+      "createdAt": new Date().toISOString(),
+      "pixelCount": template.pixelCount,
+      "enabled": enabled,
+      "disabledColors": [],
+      "enhancedColors": [],
+      "tiles": templateTilesBuffers
+    };
   }
 
   /** Merge-import a BlueMarble JSON object (keeps coords and base64; allocates non-conflicting keys)
    * @param {Object} json
-   * @param {{merge?: boolean}} options
+   * @param {{merge?: boolean, quiet?: boolean}} options - `quiet` skips the import summary in the status area
+   * @returns {Promise<Object<string, string>>} Key in `json` -> key the template was stored under
    */
-  async importFromObject(json, { merge = true } = {}) {
-    if (!json?.templates || typeof json.templates !== 'object') return;
+  async importFromObject(json, { merge = true, quiet = false } = {}) {
+    if (!json?.templates || typeof json.templates !== 'object') return {};
+    const importedKeys = {};
 
     // console.log('🔍 [Import] Starting importFromObject...');
     debugLog('Import - Current templatesArray length:', this.templatesArray?.length || 0);
@@ -3069,6 +4447,16 @@ export default class TemplateManager {
       return id;
     };
 
+    // Keep the exporter's group order for groups we do not have yet
+    if (Array.isArray(json.groups)) {
+      const storedGroups = this.#getStoredGroups();
+      for (const group of json.groups) {
+        if (group?.name && !storedGroups.some(g => g.name === group.name)) {
+          storedGroups.push({ "name": String(group.name), "collapsed": false });
+        }
+      }
+    }
+
     const incomingTemplates = json.templates;
     for (const [templateKey, templateValue] of Object.entries(incomingTemplates)) {
       let desiredSortID = parseInt((templateKey.split(' ')[0] || '0'), 10);
@@ -3080,6 +4468,7 @@ export default class TemplateManager {
 
       const authorID = (templateKey.split(' ')[1]) || '';
       const newKey = `${desiredSortID} ${authorID || ''}`.trim();
+      importedKeys[templateKey] = newKey;
 
       this.templatesJSON.templates[newKey] = {
         name: templateValue.name || `Template ${desiredSortID}`,
@@ -3087,6 +4476,8 @@ export default class TemplateManager {
         createdAt: templateValue.createdAt || new Date().toISOString(),
         pixelCount: templateValue.pixelCount || 0,
         enabled: templateValue.enabled !== false,
+        group: typeof templateValue.group === 'string' ? templateValue.group : '',
+        metadata: normalizeTemplateMetadata(templateValue.metadata),
         disabledColors: templateValue.disabledColors || [],
         enhancedColors: templateValue.enhancedColors || [],
         includeWrongColorsInProgress: templateValue.includeWrongColorsInProgress ?? this.includeWrongColorsInProgress ?? false,
@@ -3194,6 +4585,7 @@ export default class TemplateManager {
     debugLog('Import - After import - templatesJSON templates:', Object.keys(this.templatesJSON.templates));
 
     await this.#storeTemplates();
+    if (quiet) return importedKeys;
     try {
       const imported = Object.entries(json.templates || {});
       const importedCount = imported.length;
@@ -3211,6 +4603,7 @@ export default class TemplateManager {
     } catch (_) {
       this.overlay?.handleDisplayStatus?.('Templates imported!');
     }
+    return importedKeys;
   }
 
   /** Build a single-template export JSON object */
@@ -3258,6 +4651,7 @@ export default class TemplateManager {
       lastModified: new Date().toISOString(),
       templateCount: Object.keys(this.templatesJSON.templates).length,
       totalPixels: this.templatesArray.reduce((t, tt) => t + (tt.pixelCount || 0), 0),
+      groups: this.templatesJSON.groups || [],
       templates: this.templatesJSON.templates
     };
     return wrapper;
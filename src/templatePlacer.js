@@ -4,6 +4,8 @@
  * @since 1.1.0
  */
 
+import { parseCoordinates } from './utils.js';
+
 // ─── State ───────────────────────────────────────────────────────────────────
 let placerActive = false;
 let placerImage = null;       // The <img> overlay element
@@ -287,6 +289,29 @@ function onMapRender() {
   updateOverlayPosition();
 }
 
+/** Moves the image to pasted coordinates (a Wplace link, "Tl X: .." text or four numbers) and flies the map there.
+ * @param {string} text - The pasted or typed text
+ * @returns {boolean} Whether the text held coordinates
+ * @since 0.91.22
+ */
+function moveToCoordinates(text) {
+  const parsed = parseCoordinates(text);
+  if (!placerActive || !parsed) return false;
+
+  const [tileX, tileY, pixelX, pixelY] = parsed.coords;
+  anchorX = tileX * 1000 + pixelX;
+  anchorY = tileY * 1000 + pixelY;
+
+  const map = getMap();
+  const { lng, lat } = absoluteToLngLat(anchorX + placerImageWidth / 2, anchorY + placerImageHeight / 2);
+  try {
+    map?.flyTo({ 'center': [lng, lat], 'zoom': parsed.zoom ?? Math.max(map.getZoom?.() ?? 0, 14) });
+  } catch { /* the overlay still moves */ }
+
+  updateOverlayPosition();
+  return true;
+}
+
 // ─── Lifecycle ───────────────────────────────────────────────────────────────
 
 /**
@@ -454,8 +479,38 @@ function initOverlay(imageSrc) {
   cancelBtn.onmouseleave = () => { cancelBtn.style.transform = ''; cancelBtn.style.boxShadow = ''; };
   cancelBtn.onclick = () => cancelPlacer();
 
+  // Coordinates can also be pasted (from a Wplace link or the pixel info) instead of dragging
+  const coordsInput = document.createElement('input');
+  coordsInput.type = 'text';
+  coordsInput.placeholder = 'Paste coords or link';
+  coordsInput.title = 'Wplace link, "Tl X: 1, Tl Y: 2, Px X: 3, Px Y: 4" or "1 2 3 4" (top-left corner) — press Enter';
+  coordsInput.style.cssText = `
+    width: 160px;
+    padding: 5px 8px;
+    background: rgba(30, 41, 59, 0.9);
+    color: #e2e8f0;
+    border: 1px solid rgba(255,255,255,0.15);
+    border-radius: 6px;
+    font-size: 12px;
+  `;
+  const applyCoordsInput = (text) => {
+    const moved = moveToCoordinates(text);
+    coordsInput.style.borderColor = moved ? 'rgba(255,255,255,0.15)' : '#ef4444';
+    if (moved) coordsInput.value = '';
+    return moved;
+  };
+  coordsInput.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') applyCoordsInput(coordsInput.value);
+    if (e.key === 'Escape') coordsInput.blur();
+  });
+  coordsInput.addEventListener('paste', (e) => {
+    if (applyCoordsInput(e.clipboardData?.getData('text') || '')) e.preventDefault();
+  });
+
   placerControls.appendChild(info);
   placerControls.appendChild(coords);
+  placerControls.appendChild(coordsInput);
   placerControls.appendChild(confirmBtn);
   placerControls.appendChild(cancelBtn);
 
@@ -553,3 +608,6 @@ export function isPlacerActive() {
 
 /** Programmatically cancel the placer */
 export { cancelPlacer };
+
+/** Map/coordinate helpers, shared with other on-map tools (e.g. the region selector) */
+export { getMap, getMapCanvas, getMapContainer, absoluteToScreen, screenToAbsolute, getMapScale, absoluteToTilePixel };
@@ -0,0 +1,184 @@
+/** @file Template Share - Packs a template into a short text code that can be pasted in chat or put in a link.
+ * A code is `bm1` followed by the deflated template (position, name and one palette index per pixel),
+ * written with the same alphabet template author IDs use ({@link TemplateManager#encodingBase}).
+ * Links carry the code in a `#bm=` fragment, so it never reaches a server.
+ * @since 0.91.22
+ */
+
+import { colorpalette, numberToEncoded, encodedToNumber, canvasPosToLatLng } from './utils.js';
+import { imageDataToPaletteIndices, zlibDeflate, zlibInflate } from './imageCodec.js';
+
+const SHARE_CODE_PREFIX = 'bm1'; // Format version 1
+const SHARE_FRAGMENT = '#bm=';
+const GROUP_BYTES = 4; // Bytes written per group of characters
+const GROUP_CHARACTERS = 5; // 92^5 > 2^32, so 4 bytes always fit in 5 characters
+const TAIL_CHARACTERS = { 2: 1, 3: 2, 4: 3 }; // Characters of a shorter last group -> bytes it holds
+const HEADER_SIZE = 14; // Six 16-bit numbers and the name length
+const MAX_SHARE_PIXELS = 4096 * 4096; // Refuse codes that would decode into an absurdly large image
+
+/** Writes bytes with the given alphabet, 5 characters per 4 bytes.
+ * @param {Uint8Array} bytes - The bytes
+ * @param {string} encoding - Alphabet with at least 92 characters
+ * @returns {string}
+ * @since 0.91.22
+ */
+function bytesToEncoded(bytes, encoding) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += GROUP_BYTES) {
+    const group = bytes.subarray(i, i + GROUP_BYTES);
+    let number = 0;
+    for (const byte of group) number = number * 256 + byte;
+
+    const width = group.length === GROUP_BYTES ? GROUP_CHARACTERS : group.length + 1;
+    text += numberToEncoded(number, encoding).padStart(width, encoding[0]);
+  }
+  return text;
+}
+
+/** Reverses {@link bytesToEncoded}.
+ * @param {string} text - The encoded text
+ * @param {string} encoding - The alphabet the text was written with
+ * @returns {Uint8Array}
+ * @throws {Error} If the text is not valid for the alphabet
+ * @since 0.91.22
+ */
+function encodedToBytes(text, encoding) {
+  const fullGroups = Math.floor(text.length / GROUP_CHARACTERS);
+  const tail = text.length % GROUP_CHARACTERS;
+  if (tail !== 0 && !TAIL_CHARACTERS[tail]) {
+    throw new Error('The share code is incomplete');
+  }
+
+  const bytes = new Uint8Array(fullGroups * GROUP_BYTES + (TAIL_CHARACTERS[tail] || 0));
+  let offset = 0;
+  for (let i = 0; i < text.length; i += GROUP_CHARACTERS) {
+    const chunk = text.slice(i, i + GROUP_CHARACTERS);
+    const byteCount = chunk.length === GROUP_CHARACTERS ? GROUP_BYTES : TAIL_CHARACTERS[chunk.length];
+    let number = encodedToNumber(chunk, encoding);
+    if (!Number.isFinite(number) || number >= 256 ** byteCount) {
+      throw new Error('The share code contains invalid characters');
+    }
+    for (let j = byteCount - 1; j >= 0; j--) {
+      bytes[offset + j] = number % 256;
+      number = Math.floor(number / 256);
+    }
+    offset += byteCount;
+  }
+  return bytes;
+}
+
+/** Packs a template into a share code.
+ * @param {Object} template
+ * @param {ImageData} template.imageData - The template pixels (palette colors only)
+ * @param {Array<number>} template.coords - [tileX, tileY, pixelX, pixelY]
+ * @param {string} template.name - Display name
+ * @param {string} encoding - Alphabet to write the code with
+ * @returns {Promise<string>} The share code
+ * @since 0.91.22
+ */
+export async function encodeShareCode({ imageData, coords, name }, encoding) {
+  const nameBytes = new TextEncoder().encode(name || '').slice(0, 0xFFFF);
+  const indices = imageDataToPaletteIndices(imageData);
+
+  const payload = new Uint8Array(HEADER_SIZE + nameBytes.length + indices.length);
+  const view = new DataView(payload.buffer);
+  [...coords, imageData.width, imageData.height].forEach((value, i) => view.setUint16(i * 2, value));
+  view.setUint16(12, nameBytes.length);
+  payload.set(nameBytes, HEADER_SIZE);
+  payload.set(indices, HEADER_SIZE + nameBytes.length);
+
+  return SHARE_CODE_PREFIX + bytesToEncoded(await zlibDeflate(payload), encoding);
+}
+
+/** Unpacks a share code.
+ * @param {string} code - A code from {@link encodeShareCode}
+ * @param {string} encoding - The alphabet the code was written with
+ * @returns {Promise<{imageData: ImageData, coords: Array<number>, name: string, pixelCount: number}>}
+ * @throws {Error} If the code is damaged or not a share code
+ * @since 0.91.22
+ */
+export async function decodeShareCode(code, encoding) {
+  if (!code?.startsWith(SHARE_CODE_PREFIX)) {
+    throw new Error('Not a template share code');
+  }
+
+  let payload;
+  try {
+    payload = await zlibInflate(encodedToBytes(code.slice(SHARE_CODE_PREFIX.length), encoding));
+  } catch (error) {
+    throw new Error(`The share code is damaged (${error.message})`);
+  }
+  if (payload.length < HEADER_SIZE) {
+    throw new Error('The share code is damaged (too short)');
+  }
+
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const [tileX, tileY, pixelX, pixelY, width, height, nameLength] = Array.from({ length: 7 }, (_, i) => view.getUint16(i * 2));
+  if (width === 0 || height === 0 || width * height > MAX_SHARE_PIXELS || pixelX >= 1000 || pixelY >= 1000) {
+    throw new Error('The share code holds an invalid template');
+  }
+
+  const indices = payload.subarray(HEADER_SIZE + nameLength);
+  if (indices.length !== width * height) {
+    throw new Error('The share code is damaged (pixel count does not match)');
+  }
+
+  const imageData = new ImageData(width, height);
+  let pixelCount = 0;
+  for (let i = 0; i < indices.length; i++) {
+    if (indices[i] === 0) continue; // Transparent
+    const color = colorpalette[indices[i]];
+    if (!color) {
+      throw new Error('The share code uses a color that is not in the palette');
+    }
+    imageData.data.set([...color.rgb, 255], i * 4);
+    pixelCount++;
+  }
+
+  return {
+    imageData,
+    coords: [tileX, tileY, pixelX, pixelY],
+    name: new TextDecoder().decode(payload.subarray(HEADER_SIZE, HEADER_SIZE + nameLength)),
+    pixelCount
+  };
+}
+
+/** Builds a Wplace link that opens at the template and carries its share code.
+ * @param {string} code - A code from {@link encodeShareCode}
+ * @param {Array<number>} coords - [tileX, tileY, pixelX, pixelY] of the template
+ * @returns {string} The link
+ * @since 0.91.22
+ */
+export function buildShareURL(code, coords) {
+  const latLng = canvasPosToLatLng(coords);
+  const query = latLng ? `?lat=${latLng.lat}&lng=${latLng.lng}&zoom=15` : '';
+  return `https://wplace.live/${query}${SHARE_FRAGMENT}${encodeURIComponent(code)}`;
+}
+
+/** Finds a share code in pasted text or a URL.
+ * Accepts a bare code or anything containing a `#bm=` fragment.
+ * @param {string} text - Pasted text, a URL or a URL fragment
+ * @param {string} encoding - The alphabet codes are written with
+ * @returns {string|null} The share code, or null if there is none
+ * @since 0.91.22
+ */
+export function findShareCode(text, encoding) {
+  const trimmed = (text || '').trim();
+
+  // Checked first, since a bare code may itself contain "#bm="
+  if (trimmed.startsWith(SHARE_CODE_PREFIX) && trimmed.length > SHARE_CODE_PREFIX.length
+    && [...trimmed.slice(SHARE_CODE_PREFIX.length)].every(character => encoding.includes(character))) {
+    return trimmed;
+  }
+
+  const fragmentIndex = trimmed.indexOf(SHARE_FRAGMENT);
+  if (fragmentIndex >= 0) {
+    try {
+      const code = decodeURIComponent(trimmed.slice(fragmentIndex + SHARE_FRAGMENT.length).split(/[&\s]/)[0]);
+      return code.startsWith(SHARE_CODE_PREFIX) ? code : null;
+    } catch (_) {
+      return null; // Malformed percent-encoding
+    }
+  }
+  return null;
+}
@@ -0,0 +1,579 @@
+/** @file Template Storage - Keeps the template library in IndexedDB.
+ * Every template is its own record, and its tiles are stored as PNG Blobs in a companion record,
+ * so saving a change only rewrites what changed and no giant JSON string is built or parsed.
+ * In memory, templates keep the exported JSON shape (base64 tiles); the conversion happens here.
+ * The chunked `bmTemplates` userscript keys are the legacy format this replaces. They are still written
+ * when IndexedDB fails, as checksummed generations so an interrupted save never replaces the last good one.
+ * A ring of automatic backups (exported JSON), the revision history of every template and the Art Extractor's
+ * diff snapshots are kept next to the library.
+ * @since 0.91.22
+ */
+
+import { base64ToUint8, uint8ToBase64, debugLog } from './utils.js';
+import { crc32 } from './imageCodec.js';
+
+const DB_NAME = 'bmTemplateStore';
+const DB_VERSION = 4;
+const META_STORE = 'meta'; // The library fields next to `templates` (whoami, schemaVersion, ...)
+const TEMPLATE_STORE = 'templates'; // One entry per template key, without tiles
+const TILE_STORE = 'tiles'; // One { tileKey: Blob } map per template key
+const BACKUP_STORE = 'backups'; // Automatic backups, auto-increment keys so the oldest comes first
+const REVISION_STORE = 'revisions'; // Earlier versions of each template, one array per template key
+const SNAPSHOT_STORE = 'snapshots'; // Art Extractor diff snapshots, one per region key
+const LIBRARY_KEY = 'library';
+const MAX_TEMPLATE_BACKUPS = 5; // Backups kept, the oldest is dropped first
+const GENERATION_POINTER_KEY = 'bmTemplates_pointer'; // Which generation of userscript storage is current
+const GENERATION_CHUNK_SIZE = 900000; // ~0.9MB per key, same as the legacy chunks
+
+let dbPromise = null; // Shared connection to the template database
+const persistedTiles = new Map(); // Template key -> the `tiles` object last written, so unchanged tiles are skipped
+
+/** Whether IndexedDB can be used in this browser.
+ * @returns {boolean}
+ * @since 0.91.22
+ */
+export function isTemplateStoreSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/** Opens (and on first use creates) the template database.
+ * Records use out-of-line keys, so the stored values are exactly the template entries.
+ * @returns {Promise<IDBDatabase>}
+ * @since 0.91.22
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const name of [META_STORE, TEMPLATE_STORE, TILE_STORE, REVISION_STORE, SNAPSHOT_STORE]) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        }
+        if (!db.objectStoreNames.contains(BACKUP_STORE)) {
+          db.createObjectStore(BACKUP_STORE, { autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry if the database could not be opened
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/** Runs `callback` in one transaction over the given stores and resolves once it has committed.
+ * @param {Array<string>} storeNames - Stores the transaction covers
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives an object of stores by name, may return a value or a request whose result is resolved
+ * @returns {Promise<*>}
+ * @since 0.91.22
+ */
+async function withStores(storeNames, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    let result = callback(stores);
+    if (result instanceof IDBRequest) {
+      const request = result;
+      request.onsuccess = () => { result = request.result; };
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/** Reads the library record and every template entry (without tiles).
+ * @returns {Promise<{library: Object, savedAt: number, entries: Object<string, Object>}|null>}
+ *   The stored library, or null if nothing was ever saved to IndexedDB
+ * @since 0.91.22
+ */
+export async function loadTemplateIndex() {
+  const record = await withStores([META_STORE], 'readonly', stores => stores[META_STORE].get(LIBRARY_KEY));
+  if (!record) return null;
+
+  const entries = {};
+  await withStores([TEMPLATE_STORE], 'readonly', stores => {
+    const request = stores[TEMPLATE_STORE].openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      entries[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+  });
+
+  return { library: record['library'] || {}, savedAt: record['savedAt'] || 0, entries };
+}
+
+/** Reads the tile Blobs of one template.
+ * @param {string} templateKey - The template key
+ * @returns {Promise<Object<string, Blob>>} Tile key -> PNG Blob
+ * @since 0.91.22
+ */
+export async function loadTemplateTiles(templateKey) {
+  return (await withStores([TILE_STORE], 'readonly', stores => stores[TILE_STORE].get(templateKey))) || {};
+}
+
+/** Converts stored tile Blobs into the base64 strings the exported JSON uses.
+ * The converted object is remembered as already stored, so the next save does not write the tiles back.
+ * @param {string} templateKey - The template key
+ * @param {Object<string, Blob>} blobs - Tile key -> PNG Blob
+ * @returns {Promise<Object<string, string>>} Tile key -> base64 PNG
+ * @since 0.91.22
+ */
+export async function tileBlobsToBase64(templateKey, blobs) {
+  const tiles = {};
+  for (const [tileKey, blob] of Object.entries(blobs)) {
+    tiles[tileKey] = uint8ToBase64(new Uint8Array(await blob.arrayBuffer()));
+  }
+  persistedTiles.set(templateKey, tiles);
+  return tiles;
+}
+
+/** Writes the template library in a single transaction.
+ * Template entries are always rewritten (they are small). Tiles are only rewritten for templates whose
+ * `tiles` object was replaced since the last save, and records of removed templates are deleted.
+ * @param {Object} templatesJSON - The library in the exported JSON shape
+ * @param {number} [savedAt=Date.now()] - Save time, compared with the legacy storage timestamp on startup
+ * @returns {Promise<number>} How many templates had their tiles written
+ * @since 0.91.22
+ */
+export async function saveTemplateStore(templatesJSON, savedAt = Date.now()) {
+  const { templates = {}, ...library } = templatesJSON;
+  const written = new Map(); // Only marked as persisted once the transaction commits
+
+  await withStores([META_STORE, TEMPLATE_STORE, TILE_STORE], 'readwrite', stores => {
+    stores[META_STORE].put({ 'savedAt': savedAt, 'library': library }, LIBRARY_KEY);
+
+    for (const [templateKey, entry] of Object.entries(templates)) {
+      const { tiles = {}, ...record } = entry;
+      stores[TEMPLATE_STORE].put(record, templateKey);
+
+      if (persistedTiles.get(templateKey) !== tiles) {
+        const blobs = {};
+        for (const [tileKey, encoded] of Object.entries(tiles)) {
+          blobs[tileKey] = new Blob([base64ToUint8(encoded)], { type: 'image/png' });
+        }
+        stores[TILE_STORE].put(blobs, templateKey);
+        written.set(templateKey, tiles);
+      }
+    }
+
+    const request = stores[TEMPLATE_STORE].getAllKeys();
+    request.onsuccess = () => {
+      for (const templateKey of request.result) {
+        if (Object.hasOwn(templates, templateKey)) continue;
+        stores[TEMPLATE_STORE].delete(templateKey);
+        stores[TILE_STORE].delete(templateKey);
+        persistedTiles.delete(templateKey);
+      }
+    };
+  });
+
+  for (const [templateKey, tiles] of written) persistedTiles.set(templateKey, tiles);
+  debugLog(`Templates stored in IndexedDB (${Object.keys(templates).length} templates, ${written.size} with new tiles)`);
+  return written.size;
+}
+
+/** Removes every stored template. The database itself is kept.
+ * @param {boolean} [includeHistory=false] - Also remove the automatic backups, the template revisions and the Art Extractor snapshots
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function clearTemplateStore(includeHistory = false) {
+  const storeNames = [META_STORE, TEMPLATE_STORE, TILE_STORE, ...(includeHistory ? [BACKUP_STORE, REVISION_STORE, SNAPSHOT_STORE] : [])];
+  await withStores(storeNames, 'readwrite', stores => {
+    for (const store of Object.values(stores)) store.clear();
+  });
+  persistedTiles.clear();
+}
+
+/** Reads the revision history of every template.
+ * @returns {Promise<Object<string, Array<Object>>>} Revisions per template key, oldest first
+ * @since 0.91.22
+ */
+export async function loadTemplateRevisions() {
+  const revisions = {};
+  await withStores([REVISION_STORE], 'readonly', stores => {
+    const request = stores[REVISION_STORE].openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      revisions[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+  });
+  return revisions;
+}
+
+/** Writes the revision history of the given templates in one transaction. Templates without revisions are removed.
+ * @param {Object<string, Array<Object>|null>} changes - Revisions per template key; an empty list or null deletes the record
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function saveTemplateRevisions(changes) {
+  await withStores([REVISION_STORE], 'readwrite', stores => {
+    for (const [templateKey, revisions] of Object.entries(changes)) {
+      if (revisions?.length) {
+        stores[REVISION_STORE].put(revisions, templateKey);
+      } else {
+        stores[REVISION_STORE].delete(templateKey);
+      }
+    }
+  });
+}
+
+/** Reads the Art Extractor snapshot of a region.
+ * @param {string} regionKey - Region key from the Art Extractor
+ * @returns {Promise<{createdAt: string, width: number, height: number, image: Blob}|null>}
+ * @since 0.91.22
+ */
+export async function loadExtractorSnapshot(regionKey) {
+  const record = await withStores([SNAPSHOT_STORE], 'readonly', stores => stores[SNAPSHOT_STORE].get(regionKey));
+  return record ? { createdAt: record['createdAt'], width: record['width'], height: record['height'], image: record['image'] } : null;
+}
+
+/** Stores the Art Extractor snapshot of a region. Past `maxSnapshots`, the oldest snapshots are dropped.
+ * @param {string} regionKey - Region key from the Art Extractor
+ * @param {{createdAt: string, width: number, height: number, image: Blob}} snapshot - The snapshot, its image as a PNG Blob
+ * @param {number} maxSnapshots - Snapshots kept
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function saveExtractorSnapshot(regionKey, snapshot, maxSnapshots) {
+  await withStores([SNAPSHOT_STORE], 'readwrite', stores => {
+    stores[SNAPSHOT_STORE].put({
+      'createdAt': snapshot.createdAt,
+      'width': snapshot.width,
+      'height': snapshot.height,
+      'image': snapshot.image
+    }, regionKey);
+
+    // Only the dates are compared, so the images are not read
+    const dates = [];
+    const request = stores[SNAPSHOT_STORE].openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        dates.push([cursor.key, cursor.value['createdAt']]);
+        cursor.continue();
+        return;
+      }
+      dates
+        .sort((a, b) => new Date(a[1]) - new Date(b[1]))
+        .slice(0, Math.max(0, dates.length - maxSnapshots))
+        .forEach(([key]) => stores[SNAPSHOT_STORE].delete(key));
+    };
+  });
+}
+
+/** Removes the Art Extractor snapshot of a region.
+ * @param {string} regionKey - Region key from the Art Extractor
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function deleteExtractorSnapshot(regionKey) {
+  await withStores([SNAPSHOT_STORE], 'readwrite', stores => { stores[SNAPSHOT_STORE].delete(regionKey); });
+}
+
+/** Checksum of a text, used to verify saved and backed up template libraries.
+ * @param {string} text - The text (usually the JSON of a library)
+ * @returns {string} CRC-32 of the UTF-8 bytes as 8 hex digits
+ * @since 0.91.22
+ */
+export function checksumText(text) {
+  return crc32(new TextEncoder().encode(text)).toString(16).padStart(8, '0');
+}
+
+/** Adds a backup of the library, unless it matches the newest backup. Only the newest backups are kept.
+ * @param {Object} templatesJSON - The library in the exported JSON shape
+ * @param {number} [maxBackups=MAX_TEMPLATE_BACKUPS] - Size of the backup ring
+ * @returns {Promise<boolean>} Whether a backup was added
+ * @since 0.91.22
+ */
+export async function saveTemplateBackup(templatesJSON, maxBackups = MAX_TEMPLATE_BACKUPS) {
+  const data = JSON.stringify(templatesJSON);
+  const checksum = checksumText(data);
+
+  const db = await openDatabase();
+  const newest = await new Promise((resolve, reject) => {
+    const request = db.transaction(BACKUP_STORE, 'readonly').objectStore(BACKUP_STORE).openCursor(null, 'prev');
+    request.onsuccess = () => resolve(request.result?.value || null);
+    request.onerror = () => reject(request.error);
+  });
+  if (newest?.['checksum'] === checksum) return false;
+
+  await withStores([BACKUP_STORE], 'readwrite', stores => {
+    stores[BACKUP_STORE].add({
+      'createdAt': Date.now(),
+      'checksum': checksum,
+      'templateCount': Object.keys(templatesJSON?.templates || {}).length,
+      'size': data.length,
+      'data': new Blob([data], { type: 'application/json' })
+    });
+
+    const request = stores[BACKUP_STORE].getAllKeys();
+    request.onsuccess = () => {
+      const keys = request.result;
+      for (const key of keys.slice(0, Math.max(0, keys.length - maxBackups))) {
+        stores[BACKUP_STORE].delete(key);
+      }
+    };
+  });
+
+  debugLog(`Template backup saved (${checksum})`);
+  return true;
+}
+
+/** Lists the stored backups without reading their data.
+ * @returns {Promise<Array<{id: number, createdAt: number, templateCount: number, size: number, checksum: string}>>} Newest first
+ * @since 0.91.22
+ */
+export async function listTemplateBackups() {
+  const backups = [];
+  await withStores([BACKUP_STORE], 'readonly', stores => {
+    const request = stores[BACKUP_STORE].openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const { data, ...summary } = cursor.value;
+      backups.push({ id: cursor.key, ...summary });
+      cursor.continue();
+    };
+  });
+  return backups;
+}
+
+/** Reads a backup and verifies its checksum.
+ * @param {number} backupId - ID from {@link listTemplateBackups}
+ * @returns {Promise<Object>} The backed up library in the exported JSON shape
+ * @throws {Error} If the backup does not exist or its data does not match its checksum
+ * @since 0.91.22
+ */
+export async function loadTemplateBackup(backupId) {
+  const record = await withStores([BACKUP_STORE], 'readonly', stores => stores[BACKUP_STORE].get(backupId));
+  if (!record) {
+    throw new Error(`Backup ${backupId} does not exist`);
+  }
+
+  const data = await record['data'].text();
+  if (checksumText(data) !== record['checksum']) {
+    throw new Error(`Backup ${backupId} is damaged (checksum mismatch)`);
+  }
+  return JSON.parse(data);
+}
+
+/** Key/value stores the templates fall back to when IndexedDB fails, in order of preference.
+ * @since 0.91.22
+ */
+const USERSCRIPT_BACKENDS = [
+  {
+    name: 'TamperMonkey',
+    available: () => (typeof GM !== 'undefined' && !!GM.setValue) || typeof GM_setValue !== 'undefined',
+    get: async (key) => {
+      if (typeof GM !== 'undefined' && GM.getValue) return GM.getValue(key, null);
+      return typeof GM_getValue !== 'undefined' ? GM_getValue(key, null) : null;
+    },
+    set: async (key, value) => {
+      if (typeof GM !== 'undefined' && GM.setValue) return GM.setValue(key, value);
+      return GM_setValue(key, value);
+    },
+    remove: async (key) => {
+      if (typeof GM !== 'undefined' && GM.deleteValue) return GM.deleteValue(key);
+      if (typeof GM_deleteValue !== 'undefined') return GM_deleteValue(key);
+      return USERSCRIPT_BACKENDS[0].set(key, ''); // Deleting is not granted, so at least free the space
+    }
+  },
+  {
+    name: 'localStorage',
+    available: () => typeof localStorage !== 'undefined',
+    get: async (key) => localStorage.getItem(key),
+    set: async (key, value) => localStorage.setItem(key, String(value)),
+    remove: async (key) => localStorage.removeItem(key)
+  }
+];
+
+/** Storage key of one chunk of a generation.
+ * @param {number} generation - 0 or 1
+ * @param {number} part - Chunk index
+ * @returns {string}
+ * @since 0.91.22
+ */
+function generationPartKey(generation, part) {
+  return `bmTemplates_gen${generation}_part_${part}`;
+}
+
+/** Reads the generation pointer of a backend.
+ * @param {Object} backend - One of {@link USERSCRIPT_BACKENDS}
+ * @returns {Promise<{generation: number, parts: number, checksum: string, timestamp: number}|null>}
+ * @since 0.91.22
+ */
+async function readGenerationPointer(backend) {
+  try {
+    const pointer = JSON.parse(await backend.get(GENERATION_POINTER_KEY) || 'null');
+    return Number.isInteger(pointer?.['generation']) && pointer['parts'] > 0 ? pointer : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Joins the chunks of a generation.
+ * @param {Object} backend - One of {@link USERSCRIPT_BACKENDS}
+ * @param {number} generation - 0 or 1
+ * @param {number} parts - Chunk count
+ * @returns {Promise<string|null>} The data, or null if a chunk is missing
+ * @since 0.91.22
+ */
+async function readGenerationData(backend, generation, parts) {
+  let data = '';
+  for (let i = 0; i < parts; i++) {
+    const chunk = await backend.get(generationPartKey(generation, i));
+    if (!chunk) return null;
+    data += chunk;
+  }
+  return data;
+}
+
+/** Saves the library JSON to userscript storage without ever overwriting the current copy.
+ * The data goes to the generation not in use, is read back and checked against its checksum,
+ * and only then does the pointer switch to it. An interrupted save leaves the previous generation current.
+ * @param {string} data - The library JSON
+ * @param {number} timestamp - Save time
+ * @returns {Promise<string>} Name of the storage that was written
+ * @throws {Error} If no storage could be written
+ * @since 0.91.22
+ */
+export async function saveTemplateGeneration(data, timestamp) {
+  const checksum = checksumText(data);
+  const parts = Math.max(1, Math.ceil(data.length / GENERATION_CHUNK_SIZE));
+  let lastError = null;
+
+  for (const backend of USERSCRIPT_BACKENDS.filter(candidate => candidate.available())) {
+    try {
+      const current = await readGenerationPointer(backend);
+      const generation = current?.['generation'] === 0 ? 1 : 0;
+
+      for (let i = 0; i < parts; i++) {
+        await backend.set(generationPartKey(generation, i), data.slice(i * GENERATION_CHUNK_SIZE, (i + 1) * GENERATION_CHUNK_SIZE));
+      }
+      const staged = await readGenerationData(backend, generation, parts);
+      if (staged === null || checksumText(staged) !== checksum) {
+        throw new Error('Staged templates do not match their checksum');
+      }
+
+      await backend.set(GENERATION_POINTER_KEY, JSON.stringify({ 'generation': generation, 'parts': parts, 'checksum': checksum, 'timestamp': timestamp }));
+      await backend.set('bmTemplates_timestamp', timestamp);
+
+      // Nothing points at the previous generation or the unversioned keys anymore
+      for (let i = 0; i < (current?.['parts'] || 0); i++) {
+        try { await backend.remove(generationPartKey(current['generation'], i)); } catch (_) {}
+      }
+      await removeUnversionedTemplates(backend);
+
+      debugLog(`Templates stored in ${backend.name} (generation ${generation}, ${parts} chunks, ${checksum})`);
+      return backend.name;
+    } catch (error) {
+      console.warn(`⚠️ ${backend.name} storage failed:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No userscript storage available');
+}
+
+/** Removes the keys templates were saved under before generations existed.
+ * @param {Object} backend - One of {@link USERSCRIPT_BACKENDS}
+ * @since 0.91.22
+ */
+async function removeUnversionedTemplates(backend) {
+  try {
+    const chunkCount = parseInt(await backend.get('bmTemplates_chunkCount') || '0') || 0;
+    for (let i = 0; i < chunkCount; i++) await backend.remove(`bmTemplates_part_${i}`);
+    if (chunkCount > 0) await backend.remove('bmTemplates_chunkCount');
+    if (await backend.get('bmTemplates')) await backend.remove('bmTemplates');
+  } catch (_) {}
+}
+
+/** Loads the newest generation that passes its checksum from userscript storage.
+ * @returns {Promise<{json: Object, timestamp: number, source: string}|null>} The library, or null if no generation is saved
+ * @since 0.91.22
+ */
+export async function loadTemplateGeneration() {
+  let newest = null;
+
+  for (const backend of USERSCRIPT_BACKENDS.filter(candidate => candidate.available())) {
+    try {
+      const pointer = await readGenerationPointer(backend);
+      if (!pointer || (newest && newest.timestamp >= pointer['timestamp'])) continue;
+
+      const data = await readGenerationData(backend, pointer['generation'], pointer['parts']);
+      if (data === null || checksumText(data) !== pointer['checksum']) {
+        console.error(`❌ ${backend.name} templates do not match their checksum, ignoring them`);
+        continue;
+      }
+      newest = { json: JSON.parse(data), timestamp: pointer['timestamp'], source: backend.name };
+    } catch (error) {
+      console.warn(`⚠️ Could not read templates from ${backend.name}:`, error);
+    }
+  }
+
+  return newest;
+}
+
+/** Removes every generation and its pointer from userscript storage.
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function clearTemplateGenerations() {
+  for (const backend of USERSCRIPT_BACKENDS.filter(candidate => candidate.available())) {
+    try {
+      const pointer = await readGenerationPointer(backend);
+      for (let i = 0; i < (pointer?.['parts'] || 0); i++) await backend.remove(generationPartKey(pointer['generation'], i));
+      await backend.remove(GENERATION_POINTER_KEY);
+    } catch (error) {
+      console.warn(`⚠️ Could not clear ${backend.name} template generations:`, error);
+    }
+  }
+}
+
+/** Moves the template revisions out of userscript storage, where they are kept as one JSON string
+ * (`bmTemplateRevisions`) while IndexedDB is not available, into the revisions store.
+ * The legacy key is only removed once its records were read back from IndexedDB,
+ * and revisions IndexedDB already has for a template are kept as they are.
+ * @returns {Promise<number>} How many templates had their revisions moved
+ * @since 0.91.22
+ */
+export async function migrateLegacyRevisions() {
+  let moved = 0;
+
+  for (const backend of USERSCRIPT_BACKENDS.filter(candidate => candidate.available())) {
+    try {
+      const raw = await backend.get('bmTemplateRevisions');
+      if (!raw) continue;
+
+      const legacy = JSON.parse(raw) || {};
+      const stored = await loadTemplateRevisions();
+      const changes = Object.fromEntries(Object.entries(legacy)
+        .filter(([templateKey, revisions]) => Array.isArray(revisions) && revisions.length > 0 && !stored[templateKey]));
+      await saveTemplateRevisions(changes);
+
+      const copied = await loadTemplateRevisions();
+      const missing = Object.keys(changes).filter(templateKey => copied[templateKey]?.length !== changes[templateKey].length);
+      if (missing.length > 0) throw new Error(`Revisions missing after the copy: ${missing.join(', ')}`);
+      await backend.remove('bmTemplateRevisions');
+      moved += Object.keys(changes).length;
+    } catch (error) {
+      console.warn(`⚠️ Could not move ${backend.name} template revisions to IndexedDB:`, error);
+    }
+  }
+
+  if (moved > 0) {
+    debugLog(`Moved the revision history of ${moved} templates to IndexedDB`);
+  }
+  return moved;
+}
@@ -0,0 +1,307 @@
+/** @file Template Subscriptions - Keeps templates in sync with a template file published at a URL.
+ * Each subscription is checked on its own interval. A file that did not change (same ETag, or same SHA-256 of its text)
+ * is left alone; otherwise {@link TemplateManager#applySubscriptionUpdate} updates the templates imported from it.
+ * Downloads go through {@link setSubscriptionFetcher}, so a local HTTP stand-in (e.g. `http://localhost:8080/templates.json`)
+ * or a test double can be used instead of the real server.
+ * @since 0.91.22
+ */
+
+import { debugLog, describeRequestError } from './utils.js';
+
+const STORAGE_KEY = 'bmTemplateSubscriptions';
+const MIN_INTERVAL_MINUTES = 5; // Keeps alliance servers from being hammered
+const DEFAULT_INTERVAL_MINUTES = 30;
+const CHECK_EVERY_MS = 60 * 1000; // How often due subscriptions are looked for
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+let subscriptions = null; // Loaded on first use
+let timer = null; // Periodic check, see startSubscriptionUpdates()
+let activeTemplateManager = null;
+let templatesChanged = null; // Called after an update changed templates, see startSubscriptionUpdates()
+let updateListener = null; // Called whenever a subscription changes
+const checking = new Set(); // IDs of subscriptions being checked right now
+
+/** Downloads a subscribed URL with GM_xmlhttpRequest, so files on other hosts can be read.
+ * Falls back to fetch() where GM_xmlhttpRequest is not available.
+ * @param {string} url - The URL
+ * @param {Object<string, string>} headers - Request headers
+ * @returns {Promise<{status: number, text: string, etag: string|null}>}
+ * @since 0.91.22
+ */
+function defaultFetcher(url, headers) {
+  if (typeof GM_xmlhttpRequest !== 'function') {
+    return fetch(url, { headers, cache: 'no-cache' }).then(async response => ({
+      status: response.status,
+      text: response.status === 304 ? '' : await response.text(),
+      etag: response.headers.get('ETag')
+    }));
+  }
+
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url,
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      onload: (res) => resolve({
+        status: res.status,
+        text: res.responseText || '',
+        etag: /^etag:\s*(.+)$/im.exec(res.responseHeaders || '')?.[1]?.trim() || null
+      }),
+      onerror: (res) => reject(describeRequestError(res)),
+      ontimeout: () => reject(new Error('Timed out'))
+    });
+  });
+}
+
+let fetcher = defaultFetcher;
+
+/** Replaces how subscribed URLs are downloaded. Pass null to restore the default.
+ * @param {Function|null} customFetcher - `(url, headers) => Promise<{status, text, etag}>`
+ * @since 0.91.22
+ */
+export function setSubscriptionFetcher(customFetcher) {
+  fetcher = customFetcher || defaultFetcher;
+}
+
+/** Reads the subscriptions from storage.
+ * @returns {Array<Object>}
+ * @since 0.91.22
+ */
+function loadSubscriptions() {
+  if (subscriptions) return subscriptions;
+
+  subscriptions = [];
+  try {
+    let saved = null;
+    if (typeof GM_getValue !== 'undefined') {
+      saved = GM_getValue(STORAGE_KEY, null);
+    }
+    if (saved === null) {
+      saved = localStorage.getItem(STORAGE_KEY);
+    }
+    const parsed = saved ? JSON.parse(saved) : [];
+    if (Array.isArray(parsed)) subscriptions = parsed.filter(subscription => typeof subscription?.url === 'string');
+  } catch (error) {
+    console.warn('Failed to load template subscriptions:', error);
+  }
+  return subscriptions;
+}
+
+/** Writes the subscriptions to storage and tells the listener.
+ * @since 0.91.22
+ */
+function saveSubscriptions() {
+  try {
+    const data = JSON.stringify(loadSubscriptions());
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue(STORAGE_KEY, data);
+    } else if (typeof GM !== 'undefined' && GM.setValue) {
+      GM.setValue(STORAGE_KEY, data);
+    }
+    localStorage.setItem(STORAGE_KEY, data);
+  } catch (error) {
+    console.error('Failed to save template subscriptions:', error);
+  }
+  notifyListener();
+}
+
+/** Tells the listener (usually the import dialog) about a change.
+ * @since 0.91.22
+ */
+function notifyListener() {
+  try {
+    updateListener?.(getSubscriptions());
+  } catch (error) {
+    console.warn('[Subscriptions] Listener failed:', error);
+  }
+}
+
+/** Hex SHA-256 of a text.
+ * @param {string} text
+ * @returns {Promise<string>}
+ * @since 0.91.22
+ */
+async function hashText(text) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Lists the subscriptions with their status.
+ * @returns {Array<{id: string, url: string, intervalMinutes: number, lastCheckedAt: number|null, lastUpdatedAt: number|null,
+ *   lastError: string|null, templateCount: number, checking: boolean}>}
+ * @since 0.91.22
+ */
+export function getSubscriptions() {
+  return loadSubscriptions().map(subscription => ({
+    id: subscription.id,
+    url: subscription.url,
+    intervalMinutes: subscription.intervalMinutes,
+    lastCheckedAt: subscription.lastCheckedAt,
+    lastUpdatedAt: subscription.lastUpdatedAt,
+    lastError: subscription.lastError,
+    templateCount: Object.values(subscription.keyMap || {}).filter(Boolean).length,
+    checking: checking.has(subscription.id)
+  }));
+}
+
+/** Subscribes to a template file and imports it right away.
+ * @param {string} url - http(s) URL of the file, in any format the import dialog accepts
+ * @param {TemplateManager} templateManager - Receives the templates
+ * @param {number} [intervalMinutes=DEFAULT_INTERVAL_MINUTES] - Minutes between checks
+ * @returns {Promise<Object>} Result of the first check, see {@link checkSubscription}
+ * @throws {Error} If the URL is invalid or already subscribed
+ * @since 0.91.22
+ */
+export async function addSubscription(url, templateManager, intervalMinutes = DEFAULT_INTERVAL_MINUTES) {
+  const trimmed = (url || '').trim();
+  if (!/^https?:\/\/\S+$/i.test(trimmed)) {
+    throw new Error('The subscription URL has to start with http:// or https://');
+  }
+  if (loadSubscriptions().some(subscription => subscription.url === trimmed)) {
+    throw new Error('Already subscribed to this URL');
+  }
+
+  const subscription = {
+    "id": `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    "url": trimmed,
+    "intervalMinutes": Math.max(MIN_INTERVAL_MINUTES, Number(intervalMinutes) || DEFAULT_INTERVAL_MINUTES),
+    "etag": null,
+    "hash": null,
+    "keyMap": {},
+    "lastCheckedAt": null,
+    "lastUpdatedAt": null,
+    "lastError": null
+  };
+  loadSubscriptions().push(subscription);
+  saveSubscriptions();
+
+  return checkSubscription(subscription.id, templateManager);
+}
+
+/** Stops following a URL. Templates imported from it are kept.
+ * @param {string} id - Subscription ID
+ * @since 0.91.22
+ */
+export function removeSubscription(id) {
+  subscriptions = loadSubscriptions().filter(subscription => subscription.id !== id);
+  saveSubscriptions();
+}
+
+/** Downloads a subscription and applies it if the file changed.
+ * Errors are recorded on the subscription (shown as "failed") instead of being thrown.
+ * @param {string} id - Subscription ID
+ * @param {TemplateManager} templateManager - Receives the templates
+ * @param {boolean} [force=false] - Re-apply the file even if it did not change
+ * @returns {Promise<{changed: boolean, added?: number, updated?: number, unchanged?: number, error?: string}>}
+ * @since 0.91.22
+ */
+export async function checkSubscription(id, templateManager, force = false) {
+  const subscription = loadSubscriptions().find(candidate => candidate.id === id);
+  if (!subscription || checking.has(id)) return { changed: false };
+
+  checking.add(id);
+  notifyListener();
+  try {
+    const headers = subscription.etag && !force ? { 'If-None-Match': subscription.etag } : {};
+    const response = await fetcher(subscription.url, headers);
+    subscription.lastCheckedAt = Date.now();
+
+    if (response.status === 304) {
+      subscription.lastError = null;
+      return { changed: false };
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const hash = await hashText(response.text);
+    if (hash === subscription.hash && !force) {
+      subscription.etag = response.etag || subscription.etag;
+      subscription.lastError = null;
+      return { changed: false };
+    }
+
+    const result = await templateManager.applySubscriptionUpdate(response.text, subscription.keyMap || {});
+    Object.assign(subscription, {
+      "etag": response.etag || null,
+      "hash": hash,
+      "keyMap": result.keyMap,
+      "lastUpdatedAt": Date.now(),
+      "lastError": null
+    });
+    debugLog(`[Subscriptions] ${subscription.url}: ${result.added} added, ${result.updated} updated`);
+    if (result.added > 0 || result.updated > 0) templatesChanged?.();
+    return { changed: true, added: result.added, updated: result.updated, unchanged: result.unchanged };
+  } catch (error) {
+    console.warn(`[Subscriptions] Check of ${subscription.url} failed:`, error);
+    subscription.lastCheckedAt = Date.now();
+    subscription.lastError = error.message || String(error);
+    return { changed: false, error: subscription.lastError };
+  } finally {
+    checking.delete(id);
+    saveSubscriptions();
+  }
+}
+
+/** Points subscriptions at the new keys of renamed templates, so they keep updating them.
+ * Template keys contain the sort ID, so reordering templates renames them (see {@link TemplateManager#reorderTemplates}).
+ * @param {Object<string, string>} renamed - Old template key -> new template key
+ * @since 0.91.22
+ */
+export function renameSubscriptionTemplates(renamed) {
+  let changed = false;
+  for (const subscription of loadSubscriptions()) {
+    for (const [remoteId, localKey] of Object.entries(subscription.keyMap || {})) {
+      if (localKey && renamed[localKey]) {
+        subscription.keyMap[remoteId] = renamed[localKey];
+        changed = true;
+      }
+    }
+  }
+  if (changed) saveSubscriptions();
+}
+
+/** Checks every subscription whose interval has passed.
+ * @since 0.91.22
+ */
+async function checkDueSubscriptions() {
+  if (!activeTemplateManager) return;
+
+  const now = Date.now();
+  for (const subscription of [...loadSubscriptions()]) {
+    if (now - (subscription.lastCheckedAt || 0) < subscription.intervalMinutes * 60 * 1000) continue;
+    await checkSubscription(subscription.id, activeTemplateManager);
+  }
+}
+
+/** Starts checking subscriptions in the background. Due subscriptions are checked right away.
+ * @param {TemplateManager} templateManager - Receives the templates
+ * @param {Function} [onTemplatesChanged] - Called after any check (background or not) added or updated templates
+ * @since 0.91.22
+ */
+export function startSubscriptionUpdates(templateManager, onTemplatesChanged = null) {
+  stopSubscriptionUpdates();
+  activeTemplateManager = templateManager;
+  templatesChanged = onTemplatesChanged;
+  timer = setInterval(() => checkDueSubscriptions(), CHECK_EVERY_MS);
+  checkDueSubscriptions();
+}
+
+/** Stops the background checks.
+ * @since 0.91.22
+ */
+export function stopSubscriptionUpdates() {
+  clearInterval(timer);
+  timer = null;
+  activeTemplateManager = null;
+  templatesChanged = null;
+}
+
+/** Registers the function called with {@link getSubscriptions} after every change. Pass null to unregister.
+ * @param {Function|null} listener
+ * @since 0.91.22
+ */
+export function onSubscriptionsUpdate(listener) {
+  updateListener = listener;
+}
@@ -0,0 +1,235 @@
+/** @file Template Transforms - Crop, split and merge template images.
+ * Works on plain ImageData plus absolute board positions; turning the results back
+ * into templates (and their `TTTT,TTTT,PPP,PPP` tile keys) is left to {@link TemplateManager#createTemplate}.
+ * @since 0.91.22
+ */
+
+const TILE_SIZE = 1000; // Board pixels per tile
+
+/** Converts template coordinates into an absolute board position.
+ * @param {Array<number>} coords - [tileX, tileY, pixelX, pixelY]
+ * @returns {Array<number>} [x, y]
+ * @since 0.91.22
+ */
+export function templateCoordsToAbsolute(coords) {
+  return [coords[0] * TILE_SIZE + coords[2], coords[1] * TILE_SIZE + coords[3]];
+}
+
+/** Converts absolute board pixel coordinates into [tileX, tileY, pixelX, pixelY].
+ * @param {number} x - Absolute X
+ * @param {number} y - Absolute Y
+ * @returns {Array<number>} The coordinates
+ * @since 0.91.22
+ */
+export function absoluteToTemplateCoords(x, y) {
+  return [Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE), ((x % TILE_SIZE) + TILE_SIZE) % TILE_SIZE, ((y % TILE_SIZE) + TILE_SIZE) % TILE_SIZE];
+}
+
+/** Finds the smallest rectangle holding every non-transparent pixel.
+ * @param {ImageData} imageData - The image
+ * @returns {{x: number, y: number, width: number, height: number}|null} The bounds, or null if the image is empty
+ * @since 0.91.22
+ */
+export function getOpaqueBounds(imageData) {
+  const { width, height, data } = imageData;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/** Copies a rectangle out of an image. The rectangle is clamped to the image.
+ * @param {ImageData} imageData - The source image (not modified)
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @returns {{imageData: ImageData, x: number, y: number}|null} The cropped image and where it starts in the source, or null if the rectangle is outside the image
+ * @since 0.91.22
+ */
+export function cropImageData(imageData, x, y, width, height) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(imageData.width, Math.floor(x + width));
+  const bottom = Math.min(imageData.height, Math.floor(y + height));
+  if (right <= left || bottom <= top) return null;
+
+  const output = new ImageData(right - left, bottom - top);
+  for (let row = top; row < bottom; row++) {
+    const start = (row * imageData.width + left) * 4;
+    output.data.set(imageData.data.subarray(start, start + (right - left) * 4), (row - top) * output.width * 4);
+  }
+
+  return { imageData: output, x: left, y: top };
+}
+
+/** Ways to split a template.
+ * @since 0.91.22
+ */
+export const SPLIT_MODES = {
+  'grid': 'Grid (columns × rows)',
+  'tile': 'Per board tile',
+  'color': 'Per color'
+};
+
+/** Splits an image into parts. Every part is trimmed to its pixels, and empty parts are dropped.
+ * @param {ImageData} imageData - The source image (not modified)
+ * @param {string} mode - A key of {@link SPLIT_MODES}
+ * @param {Object} [options={}]
+ * @param {number} [options.columns=2] - Grid columns (grid mode)
+ * @param {number} [options.rows=2] - Grid rows (grid mode)
+ * @param {number} [options.originX=0] - Absolute board X of the image's left edge (tile mode)
+ * @param {number} [options.originY=0] - Absolute board Y of the image's top edge (tile mode)
+ * @returns {Array<{imageData: ImageData, x: number, y: number, label: string, colorKey?: string}>}
+ *   Parts with their offset inside the source image. `colorKey` ("r,g,b") is set in color mode
+ * @since 0.91.22
+ */
+export function splitImageData(imageData, mode, { columns = 2, rows = 2, originX = 0, originY = 0 } = {}) {
+  const { width, height, data } = imageData;
+  const parts = [];
+
+  const addTrimmed = (part, label, extra = {}) => {
+    const bounds = getOpaqueBounds(part.imageData);
+    if (!bounds) return;
+    const trimmed = cropImageData(part.imageData, bounds.x, bounds.y, bounds.width, bounds.height);
+    parts.push({ imageData: trimmed.imageData, x: part.x + bounds.x, y: part.y + bounds.y, label, ...extra });
+  };
+
+  if (mode === 'color') {
+    // First pass: the bounds of every color, so each layer can be allocated already trimmed
+    const pixels = new Uint32Array(data.buffer, data.byteOffset, width * height);
+    const bounds = new Map(); // RGB part of the pixel value -> {minX, minY, maxX, maxY}
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = pixels[y * width + x];
+        if (value >>> 24 === 0) continue;
+        const rgb = value & 0xFFFFFF;
+        const box = bounds.get(rgb);
+        if (!box) {
+          bounds.set(rgb, { minX: x, minY: y, maxX: x, maxY: y });
+          continue;
+        }
+        if (x < box.minX) box.minX = x;
+        if (x > box.maxX) box.maxX = x;
+        box.maxY = y; // Rows are scanned in order
+      }
+    }
+
+    for (const [rgb, box] of bounds) {
+      const layer = new ImageData(box.maxX - box.minX + 1, box.maxY - box.minY + 1);
+      const layerPixels = new Uint32Array(layer.data.buffer);
+      for (let y = box.minY; y <= box.maxY; y++) {
+        for (let x = box.minX; x <= box.maxX; x++) {
+          const value = pixels[y * width + x];
+          if (value >>> 24 !== 0 && (value & 0xFFFFFF) === rgb) layerPixels[(y - box.minY) * layer.width + (x - box.minX)] = value;
+        }
+      }
+      const colorKey = `${rgb & 0xFF},${(rgb >>> 8) & 0xFF},${(rgb >>> 16) & 0xFF}`; // Pixel values are little-endian RGBA
+      parts.push({ imageData: layer, x: box.minX, y: box.minY, label: colorKey, colorKey });
+    }
+    return parts;
+  }
+
+  // Cut lines, in source image pixels
+  let xCuts, yCuts;
+  if (mode === 'tile') {
+    const cutsFor = (origin, size) => {
+      const cuts = [0];
+      for (let edge = (Math.floor(origin / TILE_SIZE) + 1) * TILE_SIZE - origin; edge < size; edge += TILE_SIZE) cuts.push(edge);
+      cuts.push(size);
+      return cuts;
+    };
+    xCuts = cutsFor(originX, width);
+    yCuts = cutsFor(originY, height);
+  } else {
+    const evenCuts = (count, size) => Array.from({ length: count + 1 }, (_, i) => Math.round(i * size / count));
+    xCuts = evenCuts(Math.max(1, Math.min(width, columns)), width);
+    yCuts = evenCuts(Math.max(1, Math.min(height, rows)), height);
+  }
+
+  for (let row = 0; row < yCuts.length - 1; row++) {
+    for (let column = 0; column < xCuts.length - 1; column++) {
+      const part = cropImageData(imageData, xCuts[column], yCuts[row], xCuts[column + 1] - xCuts[column], yCuts[row + 1] - yCuts[row]);
+      if (!part) continue;
+
+      let label = `r${row + 1}c${column + 1}`;
+      if (mode === 'tile') {
+        const [tileX, tileY] = absoluteToTemplateCoords(originX + part.x, originY + part.y);
+        label = `tile ${tileX},${tileY}`;
+      }
+      addTrimmed(part, label);
+    }
+  }
+
+  return parts;
+}
+
+/** How overlapping pixels of different colors are resolved when merging.
+ * @since 0.91.22
+ */
+export const MERGE_RULES = {
+  'top': 'Template drawn on top wins',
+  'bottom': 'Template drawn below wins',
+  'clear': 'Leave conflicting pixels empty'
+};
+
+/** Merges several images placed on the board into one.
+ * @param {Array<{imageData: ImageData, x: number, y: number}>} parts - Images with their absolute board position, in draw order (bottom first)
+ * @param {string} [rule='top'] - A key of {@link MERGE_RULES}
+ * @returns {{imageData: ImageData, x: number, y: number, conflicts: number}} The merged image, its absolute position
+ *   and how many pixels had conflicting colors
+ * @since 0.91.22
+ */
+export function mergeImageData(parts, rule = 'top') {
+  const left = Math.min(...parts.map(part => part.x));
+  const top = Math.min(...parts.map(part => part.y));
+  const right = Math.max(...parts.map(part => part.x + part.imageData.width));
+  const bottom = Math.max(...parts.map(part => part.y + part.imageData.height));
+
+  const output = new ImageData(right - left, bottom - top);
+  const out = new Uint32Array(output.data.buffer);
+  const conflicted = new Uint8Array(out.length);
+  let conflicts = 0;
+
+  for (const part of parts) {
+    const source = new Uint32Array(part.imageData.data.buffer, part.imageData.data.byteOffset, part.imageData.width * part.imageData.height);
+    const offsetX = part.x - left;
+    const offsetY = part.y - top;
+
+    for (let y = 0; y < part.imageData.height; y++) {
+      for (let x = 0; x < part.imageData.width; x++) {
+        const value = source[y * part.imageData.width + x];
+        if (value >>> 24 === 0) continue;
+
+        const index = (y + offsetY) * output.width + (x + offsetX);
+        const existing = out[index];
+        if (existing >>> 24 === 0 && !conflicted[index]) {
+          out[index] = value;
+          continue;
+        }
+        if (existing === value) continue;
+
+        if (!conflicted[index]) {
+          conflicted[index] = 1;
+          conflicts++;
+        }
+        if (rule === 'top') {
+          out[index] = value;
+        } else if (rule === 'clear') {
+          out[index] = 0;
+        } // 'bottom' keeps the pixel already there
+      }
+    }
+  }
+
+  return { imageData: output, x: left, y: top, conflicts };
+}
@@ -0,0 +1,332 @@
+/** @file Tile Compositor - Builds images of board areas straight from the tile server.
+ * Independent of any loaded template, so the Art Extractor and the screenshot
+ * button can capture an area even when no template exists.
+ * @since 1.1.0
+ */
+
+import { debugLog } from './utils.js';
+
+const TILE_SIZE = 1000; // Board pixels per tile (tiles are square)
+const RETRY_BASE_DELAY = 500; // First retry waits this long (ms), doubling each attempt
+
+/** Loads a tile through an <img> and re-encodes it as a PNG blob.
+ * Used when GM_xmlhttpRequest is unavailable or blocked.
+ * @param {string} url - The tile URL
+ * @returns {Promise<Blob>} PNG blob of the tile
+ * @since 1.1.0
+ */
+function fetchTileViaImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = async () => {
+      try {
+        const c = new OffscreenCanvas(img.width, img.height);
+        const cx = c.getContext('2d');
+        cx.imageSmoothingEnabled = false;
+        cx.drawImage(img, 0, 0);
+        resolve(await c.convertToBlob({ type: 'image/png' }));
+      } catch (e) { reject(e); }
+    };
+    img.onerror = () => reject(new Error('Tile fetch failed (img)'));
+    img.src = url;
+  });
+}
+
+/** Fetches a single tile PNG from the tile server.
+ * Tries GM_xmlhttpRequest first, then falls back to an <img> load.
+ * @param {string} tileServerBase - Base URL to the tile server (ending with /tiles)
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Blob>} PNG blob of the tile
+ * @since 1.1.0
+ */
+export function fetchTileBlob(tileServerBase, x, y, signal = null) {
+  const url = `${tileServerBase}/${x}/${y}.png`;
+
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (typeof GM_xmlhttpRequest !== 'function') {
+    return fetchTileViaImage(url);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = GM_xmlhttpRequest({
+      method: 'GET',
+      url,
+      responseType: 'blob',
+      onload: (res) => {
+        signal?.removeEventListener('abort', onAbort);
+        if (res.status >= 200 && res.status < 300 && res.response) {
+          resolve(res.response);
+        } else {
+          fetchTileViaImage(url).then(resolve, reject);
+        }
+      },
+      onerror: () => {
+        signal?.removeEventListener('abort', onAbort);
+        fetchTileViaImage(url).then(resolve, reject);
+      }
+    });
+
+    const onAbort = () => {
+      request?.abort?.();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Creates the error thrown when an extraction is cancelled.
+ * @returns {Error} Error with name "AbortError"
+ * @since 1.1.0
+ */
+function createAbortError() {
+  const error = new Error('Extraction cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/** Waits for `ms` milliseconds, rejecting early if the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ * @since 1.1.0
+ */
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Fetches a tile, retrying failed attempts with exponential backoff.
+ * @param {string} tileServerBase - Base URL to the tile server (ending with /tiles)
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ * @param {Object} [options={}]
+ * @param {number} [options.maxRetries=3] - Retries after the first failed attempt
+ * @param {AbortSignal} [options.signal] - Cancels the fetch and any pending retry
+ * @returns {Promise<Blob>} PNG blob of the tile
+ * @since 1.1.0
+ */
+export async function fetchTileWithRetry(tileServerBase, x, y, { maxRetries = 3, signal = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchTileBlob(tileServerBase, x, y, signal);
+    } catch (error) {
+      if (error?.name === 'AbortError' || attempt >= maxRetries) {
+        throw error;
+      }
+      const wait = RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.random() * RETRY_BASE_DELAY;
+      debugLog(`[Tile Compositor] Tile ${x},${y} failed (attempt ${attempt + 1}), retrying in ${Math.round(wait)}ms`, error);
+      await delay(wait, signal);
+    }
+  }
+}
+
+/** Runs `worker` over every job with at most `concurrency` jobs in flight.
+ * Stops handing out jobs once the signal aborts or a job fails.
+ * @param {Array} jobs - The jobs to run
+ * @param {Function} worker - Async function called with each job
+ * @param {number} concurrency - Maximum jobs in flight
+ * @param {AbortSignal} [signal] - Stops the queue
+ * @returns {Promise<void>}
+ * @since 1.1.0
+ */
+async function runQueue(jobs, worker, concurrency, signal = null) {
+  let next = 0;
+  let failed = false;
+
+  const runner = async () => {
+    while (!failed && next < jobs.length) {
+      if (signal?.aborted) throw createAbortError();
+      const job = jobs[next++];
+      try {
+        await worker(job);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, jobs.length)) }, runner);
+  const results = await Promise.allSettled(runners);
+  const rejected = results.find(result => result.status === 'rejected');
+  if (rejected) throw rejected.reason;
+}
+
+/** Draws the pixels of the given templates on top of a composed area.
+ * Template tiles are stored at drawMult scale, so only the center pixel of each block is read.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context of the composed area
+ * @param {Array<Template>} templates - Templates to draw (in draw order)
+ * @param {number} startX - Absolute board X of the area's top-left pixel
+ * @param {number} startY - Absolute board Y of the area's top-left pixel
+ * @param {number} drawMult - The scale template tiles are stored at
+ * @param {number} opacity - Overlay opacity from 0 to 1
+ * @since 1.1.0
+ */
+async function drawTemplateOverlay(ctx, templates, startX, startY, drawMult, opacity) {
+  const { width, height } = ctx.canvas;
+  const area = ctx.getImageData(0, 0, width, height);
+  const out = area.data;
+
+  for (const template of templates) {
+    for (const [tileKey, bitmap] of Object.entries(template?.chunked || {})) {
+      const [tX, tY, pX, pY] = tileKey.split(',').map(Number);
+      const chunkX = tX * TILE_SIZE + pX - startX; // Chunk position relative to the area
+      const chunkY = tY * TILE_SIZE + pY - startY;
+      const chunkW = Math.floor(bitmap.width / drawMult);
+      const chunkH = Math.floor(bitmap.height / drawMult);
+
+      // Skip chunks that do not touch the area
+      if (chunkX >= width || chunkY >= height || chunkX + chunkW <= 0 || chunkY + chunkH <= 0) continue;
+
+      let pixels32 = template.chunked32?.[tileKey];
+      if (!pixels32) {
+        const c = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const cx = c.getContext('2d', { willReadFrequently: true });
+        cx.drawImage(bitmap, 0, 0);
+        pixels32 = new Uint32Array(cx.getImageData(0, 0, bitmap.width, bitmap.height).data.buffer);
+      }
+
+      for (let y = Math.max(0, -chunkY); y < chunkH && chunkY + y < height; y++) {
+        for (let x = Math.max(0, -chunkX); x < chunkW && chunkX + x < width; x++) {
+          const pixel = pixels32[(y * drawMult + 1) * bitmap.width + (x * drawMult + 1)];
+          const a = (pixel >>> 24) & 0xFF;
+          if (a === 0) continue;
+
+          const r = pixel & 0xFF;
+          const g = (pixel >>> 8) & 0xFF;
+          const b = (pixel >>> 16) & 0xFF;
+          if (r === 222 && g === 250 && b === 206) continue; // #deface marks "erased", not a color
+
+          const o = ((chunkY + y) * width + (chunkX + x)) * 4;
+          const alpha = (a / 255) * opacity;
+          out[o] = Math.round(r * alpha + out[o] * (1 - alpha));
+          out[o + 1] = Math.round(g * alpha + out[o + 1] * (1 - alpha));
+          out[o + 2] = Math.round(b * alpha + out[o + 2] * (1 - alpha));
+          out[o + 3] = Math.max(out[o + 3], Math.round(alpha * 255));
+        }
+      }
+    }
+  }
+
+  ctx.putImageData(area, 0, 0);
+}
+
+/** Builds an image of a board area by fetching the raw tiles that cover it and composing them.
+ * Does not need any template to be loaded.
+ * @param {string} tileServerBase - Base URL to the tile server (ending with /tiles)
+ * @param {[number, number, number, number]} coords - Top-left of the area as [tileX, tileY, pixelX, pixelY]
+ * @param {[number, number]} sizePx - [width, height] of the area in board pixels
+ * @param {Object} [options={}]
+ * @param {Array<Template>} [options.overlayTemplates=[]] - Templates to composite on top of the board
+ * @param {number} [options.overlayOpacity=1] - Opacity of the template overlay (0-1)
+ * @param {number} [options.drawMult=3] - The scale template tiles are stored at
+ * @param {Function} [options.progressCallback] - Called with (tilesDone, tilesTotal) after every tile
+ * @param {number} [options.concurrency=4] - Maximum tiles fetched at the same time
+ * @param {number} [options.maxRetries=3] - Retries per tile before the whole area fails
+ * @param {AbortSignal} [options.signal] - Cancels the extraction (rejects with an "AbortError")
+ * @param {Map<string, Blob>} [options.tileCache] - Tiles already fetched, keyed "x,y". Filled as tiles arrive,
+ * so passing the same map again resumes a cancelled or failed extraction without refetching
+ * @returns {Promise<Blob>} PNG blob of the composed area
+ * @since 1.1.0
+ */
+export async function composeBoardArea(tileServerBase, coords, sizePx, {
+  overlayTemplates = [],
+  overlayOpacity = 1,
+  drawMult = 3,
+  progressCallback = null,
+  concurrency = 4,
+  maxRetries = 3,
+  signal = null,
+  tileCache = null
+} = {}) {
+  if (!tileServerBase || !Array.isArray(coords) || coords.length < 4) {
+    throw new Error('Missing tile server or coordinates');
+  }
+
+  const [tx, ty, px, py] = coords.map(Number);
+  const width = Number(sizePx?.[0] ?? 0);
+  const height = Number(sizePx?.[1] ?? 0);
+  if (![tx, ty, px, py].every(Number.isFinite) || width <= 0 || height <= 0) {
+    throw new Error('Invalid area dimensions or coords');
+  }
+
+  // Bounding box in board pixel space
+  const startX = tx * TILE_SIZE + px;
+  const startY = ty * TILE_SIZE + py;
+  const endX = startX + width;
+  const endY = startY + height;
+
+  // All tiles that overlap the area
+  const tileStartX = Math.floor(startX / TILE_SIZE);
+  const tileStartY = Math.floor(startY / TILE_SIZE);
+  const tileEndX = Math.floor((endX - 1) / TILE_SIZE);
+  const tileEndY = Math.floor((endY - 1) / TILE_SIZE);
+  const tilesTotal = (tileEndX - tileStartX + 1) * (tileEndY - tileStartY + 1);
+  let tilesDone = 0;
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingEnabled = false;
+  ctx.clearRect(0, 0, width, height);
+
+  const jobs = [];
+  for (let tyIdx = tileStartY; tyIdx <= tileEndY; tyIdx++) {
+    for (let txIdx = tileStartX; txIdx <= tileEndX; txIdx++) {
+      jobs.push([txIdx, tyIdx]);
+    }
+  }
+
+  // Tiles never overlap, so they can be drawn in whatever order they arrive
+  await runQueue(jobs, async ([txIdx, tyIdx]) => {
+    const cacheKey = `${txIdx},${tyIdx}`;
+    let tileBlob = tileCache?.get(cacheKey);
+    if (!tileBlob) {
+      tileBlob = await fetchTileWithRetry(tileServerBase, txIdx, tyIdx, { maxRetries, signal });
+      tileCache?.set(cacheKey, tileBlob);
+    }
+    if (signal?.aborted) throw createAbortError();
+    const bitmap = await createImageBitmap(tileBlob);
+
+    // Overlap of this tile with the area
+    const tileOriginX = txIdx * TILE_SIZE;
+    const tileOriginY = tyIdx * TILE_SIZE;
+    const srcX = Math.max(0, startX - tileOriginX);
+    const srcY = Math.max(0, startY - tileOriginY);
+    const dstX = Math.max(0, tileOriginX - startX);
+    const dstY = Math.max(0, tileOriginY - startY);
+    const drawW = Math.min(TILE_SIZE - srcX, width - dstX);
+    const drawH = Math.min(TILE_SIZE - srcY, height - dstY);
+
+    if (drawW > 0 && drawH > 0) {
+      ctx.drawImage(bitmap, srcX, srcY, drawW, drawH, dstX, dstY, drawW, drawH);
+    }
+    bitmap.close?.();
+
+    tilesDone++;
+    if (typeof progressCallback === 'function') {
+      progressCallback(tilesDone, tilesTotal);
+    }
+  }, concurrency, signal);
+
+  if (overlayTemplates.length > 0) {
+    await drawTemplateOverlay(ctx, overlayTemplates, startX, startY, drawMult, Math.max(0, Math.min(1, overlayOpacity)));
+    debugLog(`[Tile Compositor] Drew ${overlayTemplates.length} template(s) over the area`);
+  }
+
+  return await canvas.convertToBlob({ type: 'image/png' });
+}
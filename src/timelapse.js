@@ -0,0 +1,585 @@
+/** @file Timelapse - Captures a board region on an interval and keeps the frames in IndexedDB.
+ * Frames are fetched through the template screenshot path ({@link TemplateManager#buildTemplateAreaScreenshot}),
+ * so no template needs to be loaded. Frames where nothing changed are skipped.
+ * The recording can be exported as an animated GIF, an animated PNG or a zip of numbered PNGs.
+ * @since 0.91.22
+ */
+
+import { debugLog, colorpalette } from './utils.js';
+import { getRegionKey, calculateDimensions } from './artExtractor.js';
+import {
+  blobToImageData, imageDataToPaletteIndices,
+  crc32, pngChunk, PNG_SIGNATURE, indexedPNGHeaderChunks, deflateIndexedScanlines
+} from './imageCodec.js';
+
+const DB_NAME = 'bmTimelapse';
+const DB_VERSION = 1;
+const FRAME_STORE = 'frames';
+const MIN_INTERVAL_MINUTES = 1; // Keeps the tile server from being hammered
+const GIF_MAX_SIZE = 65535; // GIF stores width and height as 16-bit values
+
+/** Export formats for a recorded timelapse.
+ * @since 0.91.22
+ */
+export const TIMELAPSE_FORMATS = {
+  'gif': { label: 'Animated GIF', extension: 'gif' },
+  'apng': { label: 'Animated PNG', extension: 'png' },
+  'zip': { label: 'Zip of numbered PNGs', extension: 'zip' }
+};
+
+let dbPromise = null; // Shared connection to the frame database
+let session = null; // The running timelapse, if any
+let updateListener = null; // Called whenever the session status changes
+
+/** Opens (and on first use creates) the frame database.
+ * Frames are stored with an auto-increment ID, so capture order is kept, and indexed by region key.
+ * @returns {Promise<IDBDatabase>}
+ * @since 0.91.22
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(FRAME_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('regionKey', 'regionKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry if the database could not be opened
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/** Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request result
+ * @since 0.91.22
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Runs `callback` against the frame store and resolves once the transaction has committed.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request, if any
+ * @since 0.91.22
+ */
+async function withFrameStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(FRAME_STORE, mode);
+    const request = callback(transaction.objectStore(FRAME_STORE));
+    let result;
+    if (request) {
+      request.onsuccess = () => { result = request.result; };
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/** Loads every frame recorded for a region, oldest first.
+ * @param {string} regionKey - Key from {@link getRegionKey}
+ * @returns {Promise<Array<Object>>} Frame records ({ id, regionKey, capturedAt, width, height, hash, blob })
+ * @since 0.91.22
+ */
+function loadFrames(regionKey) {
+  return withFrameStore('readonly', store => store.index('regionKey').getAll(regionKey));
+}
+
+/** Hashes the raw RGBA data of a frame, used to detect frames where nothing changed.
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @returns {Promise<string>} Hex SHA-256 digest
+ * @since 0.91.22
+ */
+async function hashPixels(pixels) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', pixels));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Hash of the newest stored frame for a region.
+ * @param {string} regionKey - Key from {@link getRegionKey}
+ * @returns {Promise<string|null>} The hash, or null when nothing is recorded yet
+ * @since 0.91.22
+ */
+async function getLastFrameHash(regionKey) {
+  const db = await openDatabase();
+  const cursor = await requestToPromise(
+    db.transaction(FRAME_STORE, 'readonly').objectStore(FRAME_STORE).index('regionKey').openCursor(IDBKeyRange.only(regionKey), 'prev')
+  );
+  return cursor?.value?.hash ?? null;
+}
+
+/** Tells the listener (usually the Art Extractor UI) about a status change.
+ * @since 0.91.22
+ */
+function notifyListener() {
+  try {
+    updateListener?.(getTimelapseStatus());
+  } catch (error) {
+    console.warn('[Timelapse] Status listener failed:', error);
+  }
+}
+
+/** Captures one frame for a session, stores it unless it matches the previous frame, then schedules the next capture.
+ * @param {Object} current - The session the capture belongs to
+ * @since 0.91.22
+ */
+async function captureFrame(current) {
+  current.timer = null;
+  current.capturing = true;
+  current.controller = new AbortController();
+  notifyListener();
+
+  try {
+    const dims = calculateDimensions(current.from, current.to);
+    const blob = await current.templateManager.buildTemplateAreaScreenshot(
+      current.tileServerBase, current.from, [dims.width, dims.height],
+      { ...current.fetchOptions, signal: current.controller.signal }
+    );
+
+    const imageData = await blobToImageData(blob);
+    const hash = await hashPixels(imageData.data);
+
+    if (hash === current.lastHash) {
+      current.skipped++;
+      debugLog(`[Timelapse] Nothing changed in ${current.regionKey}, frame skipped`);
+    } else {
+      await withFrameStore('readwrite', store => store.add({
+        "regionKey": current.regionKey,
+        "capturedAt": new Date().toISOString(),
+        "width": imageData.width,
+        "height": imageData.height,
+        "hash": hash,
+        "blob": blob
+      }));
+      current.lastHash = hash;
+      current.captured++;
+      debugLog(`[Timelapse] Stored frame ${current.captured} for ${current.regionKey}`);
+    }
+    current.lastError = null;
+  } catch (error) {
+    if (error?.name !== 'AbortError') {
+      console.warn('[Timelapse] Capture failed:', error);
+      current.lastError = error.message;
+    }
+  } finally {
+    current.capturing = false;
+    current.controller = null;
+
+    // A stopped session must not reschedule itself
+    if (session === current) {
+      current.nextCaptureAt = Date.now() + current.intervalMs;
+      current.timer = setTimeout(() => captureFrame(current), current.intervalMs);
+    }
+    notifyListener();
+  }
+}
+
+/** Starts recording a region. Any running timelapse is stopped first.
+ * The first frame is captured right away.
+ * @param {[number, number, number, number]} from - Top-left corner [tileX, tileY, pixelX, pixelY]
+ * @param {[number, number, number, number]} to - Bottom-right corner [tileX, tileY, pixelX, pixelY]
+ * @param {TemplateManager} templateManager - Provides the screenshot path
+ * @param {ApiManager} apiManager - Provides the tile server base
+ * @param {Object} [options={}]
+ * @param {number} [options.intervalMinutes=5] - Minutes between captures
+ * @param {number} [options.concurrency] - Tiles fetched at the same time
+ * @param {number} [options.maxRetries] - Retries per tile
+ * @returns {Promise<Object>} The status, see {@link getTimelapseStatus}
+ * @since 0.91.22
+ */
+export async function startTimelapse(from, to, templateManager, apiManager, { intervalMinutes = 5, concurrency, maxRetries } = {}) {
+  stopTimelapse();
+
+  const regionKey = getRegionKey(from, to);
+  const minutes = Math.max(MIN_INTERVAL_MINUTES, Number(intervalMinutes) || MIN_INTERVAL_MINUTES);
+
+  const current = {
+    regionKey,
+    from: [...from],
+    to: [...to],
+    templateManager,
+    tileServerBase: apiManager?.tileServerBase || 'https://backend.wplace.live/files/s0/tiles',
+    fetchOptions: { concurrency, maxRetries },
+    intervalMs: minutes * 60 * 1000,
+    lastHash: await getLastFrameHash(regionKey), // Continues an earlier recording of the same region
+    captured: 0,
+    skipped: 0,
+    capturing: false,
+    nextCaptureAt: null,
+    lastError: null,
+    timer: null,
+    controller: null
+  };
+  session = current;
+
+  debugLog(`[Timelapse] Recording ${regionKey} every ${minutes} minute(s)`);
+  captureFrame(current);
+  return getTimelapseStatus();
+}
+
+/** Stops the running timelapse, cancelling a capture that is in progress.
+ * Frames recorded so far are kept.
+ * @since 0.91.22
+ */
+export function stopTimelapse() {
+  if (!session) return;
+
+  const current = session;
+  session = null;
+  clearTimeout(current.timer);
+  current.controller?.abort();
+  debugLog(`[Timelapse] Stopped recording ${current.regionKey}`);
+  notifyListener();
+}
+
+/** Status of the running timelapse.
+ * @returns {Object} `{ running: false }`, or the session's region, interval, counters and next capture time
+ * @since 0.91.22
+ */
+export function getTimelapseStatus() {
+  if (!session) return { running: false };
+
+  return {
+    running: true,
+    regionKey: session.regionKey,
+    from: [...session.from],
+    to: [...session.to],
+    intervalMinutes: session.intervalMs / 60000,
+    captured: session.captured,
+    skipped: session.skipped,
+    capturing: session.capturing,
+    nextCaptureAt: session.nextCaptureAt,
+    lastError: session.lastError
+  };
+}
+
+/** Registers the function called with the status after every change. Pass null to unregister.
+ * @param {Function|null} listener
+ * @since 0.91.22
+ */
+export function onTimelapseUpdate(listener) {
+  updateListener = listener;
+}
+
+/** Number of stored frames for a region and when the last one was captured.
+ * @param {[number, number, number, number]} from - Top-left corner
+ * @param {[number, number, number, number]} to - Bottom-right corner
+ * @returns {Promise<{frames: number, lastCapturedAt: string|null}>}
+ * @since 0.91.22
+ */
+export async function getTimelapseInfo(from, to) {
+  const regionKey = getRegionKey(from, to);
+  const db = await openDatabase();
+  const index = db.transaction(FRAME_STORE, 'readonly').objectStore(FRAME_STORE).index('regionKey');
+  const [frames, cursor] = await Promise.all([
+    requestToPromise(index.count(regionKey)),
+    requestToPromise(index.openCursor(IDBKeyRange.only(regionKey), 'prev'))
+  ]);
+  return { frames, lastCapturedAt: cursor?.value?.capturedAt ?? null };
+}
+
+/** Deletes every stored frame of a region.
+ * @param {[number, number, number, number]} from - Top-left corner
+ * @param {[number, number, number, number]} to - Bottom-right corner
+ * @returns {Promise<void>}
+ * @since 0.91.22
+ */
+export async function clearTimelapseFrames(from, to) {
+  const regionKey = getRegionKey(from, to);
+  const keys = await withFrameStore('readonly', store => store.index('regionKey').getAllKeys(regionKey));
+  await withFrameStore('readwrite', store => {
+    keys.forEach(key => store.delete(key));
+  });
+
+  if (session?.regionKey === regionKey) {
+    session.lastHash = null; // The next capture is a new first frame
+  }
+  debugLog(`[Timelapse] Deleted ${keys.length} frame(s) of ${regionKey}`);
+}
+
+/** LZW-compresses palette indices the way GIF expects (variable code size, max 12 bits).
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (bits per palette index)
+ * @returns {Uint8Array} The compressed code stream (not yet split into sub-blocks)
+ * @since 0.91.22
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+
+    if (nextCode === 4096) {
+      // Table full, start over
+      writeCode(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      dictionary.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xFF);
+
+  return Uint8Array.from(output);
+}
+
+/** Encodes indexed frames as a looping GIF with the Wplace palette. Index 0 (Transparent) is see-through.
+ * @param {Array<Uint8Array>} frames - Palette indices of every frame
+ * @param {number} width
+ * @param {number} height
+ * @param {number} frameDelay - Milliseconds per frame
+ * @returns {Blob} The GIF
+ * @since 0.91.22
+ */
+function encodeGIF(frames, width, height, frameDelay) {
+  if (width > GIF_MAX_SIZE || height > GIF_MAX_SIZE) {
+    throw new Error(`GIF frames can be at most ${GIF_MAX_SIZE} pixels wide and tall`);
+  }
+
+  const paletteBits = Math.max(1, Math.ceil(Math.log2(colorpalette.length)));
+  const colorTable = new Uint8Array((1 << paletteBits) * 3);
+  colorpalette.forEach((color, i) => colorTable.set(color.rgb, i * 3));
+
+  const delay = Math.max(2, Math.round(frameDelay / 10)); // Centiseconds; browsers slow down anything below 2
+  const le16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+  const parts = [];
+
+  parts.push(new Uint8Array([
+    ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+    ...le16(width), ...le16(height),
+    0x80 | ((paletteBits - 1) << 4) | (paletteBits - 1), // Global colour table, its size and colour resolution
+    0, // Background colour index
+    0 // Pixel aspect ratio
+  ]));
+  parts.push(colorTable);
+
+  // NETSCAPE2.0 application extension: loop forever
+  parts.push(new Uint8Array([
+    0x21, 0xFF, 0x0B,
+    ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)),
+    0x03, 0x01, 0x00, 0x00, 0x00
+  ]));
+
+  for (const indices of frames) {
+    // Graphic control extension: restore to background after each frame so transparent areas stay transparent
+    parts.push(new Uint8Array([0x21, 0xF9, 0x04, (2 << 2) | 1, ...le16(delay), 0, 0]));
+
+    // Image descriptor covering the whole canvas, no local colour table
+    parts.push(new Uint8Array([0x2C, 0, 0, 0, 0, ...le16(width), ...le16(height), 0]));
+
+    const codeSize = Math.max(2, paletteBits);
+    const compressed = lzwEncode(indices, codeSize);
+    const blocks = new Uint8Array(1 + compressed.length + Math.ceil(compressed.length / 255) + 1);
+    blocks[0] = codeSize;
+    let offset = 1;
+    for (let i = 0; i < compressed.length; i += 255) {
+      const block = compressed.subarray(i, i + 255);
+      blocks[offset++] = block.length;
+      blocks.set(block, offset);
+      offset += block.length;
+    }
+    blocks[offset] = 0; // Block terminator
+    parts.push(blocks);
+  }
+
+  parts.push(new Uint8Array([0x3B])); // Trailer
+  return new Blob(parts, { type: 'image/gif' });
+}
+
+/** Encodes indexed frames as a looping APNG with the Wplace palette.
+ * @param {Array<Uint8Array>} frames - Palette indices of every frame
+ * @param {number} width
+ * @param {number} height
+ * @param {number} frameDelay - Milliseconds per frame
+ * @returns {Promise<Blob>} The APNG
+ * @since 0.91.22
+ */
+async function encodeAPNG(frames, width, height, frameDelay) {
+  const [ihdr, plte, trns] = indexedPNGHeaderChunks(width, height);
+
+  const animationControl = new Uint8Array(8);
+  const animationView = new DataView(animationControl.buffer);
+  animationView.setUint32(0, frames.length);
+  animationView.setUint32(4, 0); // Loop forever
+
+  const parts = [PNG_SIGNATURE, ihdr, pngChunk('acTL', animationControl), plte, trns];
+  let sequence = 0; // fcTL and fdAT chunks share one sequence counter
+
+  for (let i = 0; i < frames.length; i++) {
+    const frameControl = new Uint8Array(26);
+    const frameView = new DataView(frameControl.buffer);
+    frameView.setUint32(0, sequence++);
+    frameView.setUint32(4, width);
+    frameView.setUint32(8, height);
+    frameView.setUint32(12, 0); // X offset
+    frameView.setUint32(16, 0); // Y offset
+    frameView.setUint16(20, Math.min(65535, Math.max(1, Math.round(frameDelay))));
+    frameView.setUint16(22, 1000); // Delay is in milliseconds
+    frameControl[24] = 0; // Dispose: none (every frame covers the canvas)
+    frameControl[25] = 0; // Blend: source, so transparent pixels replace the previous frame
+    parts.push(pngChunk('fcTL', frameControl));
+
+    const data = await deflateIndexedScanlines(frames[i], width, height);
+    if (i === 0) {
+      parts.push(pngChunk('IDAT', data));
+    } else {
+      const frameData = new Uint8Array(4 + data.length);
+      new DataView(frameData.buffer).setUint32(0, sequence++);
+      frameData.set(data, 4);
+      parts.push(pngChunk('fdAT', frameData));
+    }
+  }
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/png' });
+}
+
+/** Packs files into an uncompressed zip (PNGs are already compressed).
+ * @param {Array<{name: string, data: Uint8Array, date: Date}>} files
+ * @returns {Blob} The zip
+ * @since 0.91.22
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const checksum = crc32(file.data);
+    const dosTime = (file.date.getHours() << 11) | (file.date.getMinutes() << 5) | Math.floor(file.date.getSeconds() / 2);
+    const dosDate = ((Math.max(1980, file.date.getFullYear()) - 1980) << 9) | ((file.date.getMonth() + 1) << 5) | file.date.getDate();
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034B50, true); // Local file header signature
+    localView.setUint16(4, 20, true); // Version needed
+    localView.setUint16(10, dosTime, true);
+    localView.setUint16(12, dosDate, true);
+    localView.setUint32(14, checksum, true);
+    localView.setUint32(18, file.data.length, true); // Compressed size (stored)
+    localView.setUint32(22, file.data.length, true); // Uncompressed size
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014B50, true); // Central directory signature
+    centralView.setUint16(4, 20, true); // Version made by
+    centralView.setUint16(6, 20, true); // Version needed
+    centralView.setUint16(12, dosTime, true);
+    centralView.setUint16(14, dosDate, true);
+    centralView.setUint32(16, checksum, true);
+    centralView.setUint32(20, file.data.length, true);
+    centralView.setUint32(24, file.data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true); // Offset of the local header
+    central.set(name, 46);
+
+    localParts.push(local, file.data);
+    centralParts.push(central);
+    offset += local.length + file.data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054B50, true); // End of central directory signature
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/** Exports the stored frames of a region in one of {@link TIMELAPSE_FORMATS}.
+ * @param {[number, number, number, number]} from - Top-left corner
+ * @param {[number, number, number, number]} to - Bottom-right corner
+ * @param {string} [format='gif'] - 'gif', 'apng' or 'zip'
+ * @param {Object} [options={}]
+ * @param {number} [options.frameDelay=500] - Milliseconds per frame (GIF/APNG)
+ * @returns {Promise<{blob: Blob, extension: string, frames: number}>}
+ * @since 0.91.22
+ */
+export async function exportTimelapse(from, to, format = 'gif', { frameDelay = 500 } = {}) {
+  const frames = await loadFrames(getRegionKey(from, to));
+  if (frames.length === 0) {
+    throw new Error('No timelapse frames recorded for this region');
+  }
+
+  const extension = TIMELAPSE_FORMATS[format]?.extension || 'gif';
+
+  if (format === 'zip') {
+    const digits = Math.max(4, String(frames.length).length);
+    const files = await Promise.all(frames.map(async (frame, i) => ({
+      name: `frame-${String(i + 1).padStart(digits, '0')}.png`,
+      data: new Uint8Array(await frame.blob.arrayBuffer()),
+      date: new Date(frame.capturedAt)
+    })));
+    return { blob: buildZip(files), extension, frames: frames.length };
+  }
+
+  // Every frame of a region has the same size, but skip any odd one out rather than corrupt the animation
+  const { width, height } = frames[0];
+  const indexedFrames = [];
+  for (const frame of frames) {
+    if (frame.width !== width || frame.height !== height) {
+      console.warn(`[Timelapse] Skipping frame ${frame.id}: size ${frame.width}×${frame.height} does not match ${width}×${height}`);
+      continue;
+    }
+    indexedFrames.push(imageDataToPaletteIndices(await blobToImageData(frame.blob)));
+  }
+
+  const blob = format === 'apng'
+    ? await encodeAPNG(indexedFrames, width, height, frameDelay)
+    : encodeGIF(indexedFrames, width, height, frameDelay);
+  return { blob, extension, frames: indexedFrames.length };
+}
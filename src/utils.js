@@ -122,6 +122,25 @@ export function numberToEncoded(number, encoding) {
   return result; // The final encoded string
 }
 
+/** Decodes a string made by {@link numberToEncoded} back into a number.
+ * @param {string} encoded - The encoded string
+ * @param {string} encoding - The same characters the number was encoded with
+ * @returns {number} The number, or NaN if the string holds a character outside the encoding
+ * @since 0.91.22
+ * @example
+ * const encode = '012abcABC'; // Base 9
+ * console.log(encodedToNumber('1BCaA', encode)); // 12345
+ */
+export function encodedToNumber(encoded, encoding) {
+  let number = 0;
+  for (const character of encoded) {
+    const digit = encoding.indexOf(character);
+    if (digit < 0) return NaN;
+    number = number * encoding.length + digit;
+  }
+  return number;
+}
+
 /** Converts a Uint8 array to base64 using the browser's built-in binary to ASCII function
  * @param {Uint8Array} uint8 - The Uint8Array to convert
  * @returns {Uint8Array} The base64 encoded Uint8Array
@@ -149,6 +168,20 @@ export function base64ToUint8(base64) {
   return array;
 }
 
+/** Turns a failed GM_xmlhttpRequest into an error. Hosts that are not in the script's `@connect` list
+ * have to be allowed in the userscript manager's confirmation prompt first; a refusal is explained as such.
+ * @param {Object} [response] - The response passed to `onerror`
+ * @returns {Error}
+ * @since 0.91.22
+ */
+export function describeRequestError(response) {
+  const reason = response?.['error'] || ''; // Quoted, the object comes from the userscript manager
+  if (/not permitted|refused|forbidden|blacklist|denied/i.test(reason)) {
+    return new Error('Access to this host was not allowed. Allow the domain when your userscript manager asks, then try again');
+  }
+  return new Error(reason || 'Network error');
+}
+
 /** Converts a 4 element array of coordinates into map longitude and latitude
  * @param {number[]} coordinates A 4 element array of coordinates (Tile X, Tile Y, Pixel X, Pixel Y)
  * @returns {{lng: number, lat: number} | undefined} A lngLat object or undefined if an error occurred e.g. malformed coordinates data
@@ -175,6 +208,82 @@ export function canvasPosToLatLng(coordinates) {
   };
 }
 
+/** Converts map latitude and longitude into coordinates. The inverse of {@link canvasPosToLatLng}
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number[] | undefined} A 4 element array of coordinates (Tile X, Tile Y, Pixel X, Pixel Y), or undefined if the position is outside the map
+ * @since 0.91.22
+ */
+export function latLngToCanvasPos(lat, lng) {
+  const mapSize = 2048000;
+
+  const x = (lng + 180) / 360;
+  const y = (Math.PI - Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))) / (2 * Math.PI);
+
+  // The nudge keeps positions made by canvasPosToLatLng() from rounding into the previous pixel
+  const actualX = Math.floor(x * mapSize + 1e-6);
+  const actualY = Math.floor(y * mapSize + 1e-6);
+  if (!(actualX >= 0 && actualX < mapSize && actualY >= 0 && actualY < mapSize)) { return undefined; }
+
+  return [Math.floor(actualX / 1000), Math.floor(actualY / 1000), actualX % 1000, actualY % 1000];
+}
+
+/** Reads coordinates from text the way people share them.
+ * Accepts:
+ * - Wplace links and other text with `lat=` and `lng=` (e.g. "https://wplace.live/?lat=-23.5&lng=-46.6&zoom=15")
+ * - Labelled coordinates (e.g. "(Tl X: 1, Tl Y: 2, Px X: 3, Px Y: 4)" as shown next to the pixel info, or "Tile: 1, 2 Pixel: 3, 4")
+ * - Four whole numbers in the order Tile X, Tile Y, Pixel X, Pixel Y (e.g. "1 2 3 4" or "1, 2, 3, 4")
+ * - A "latitude, longitude" pair with decimals (e.g. "-23.55, -46.63")
+ * Pixel values of 1000 or more carry over into the tile.
+ * @param {string} text - The text
+ * @returns {{coords: number[], zoom: number | null} | null} The coordinates (Tile X, Tile Y, Pixel X, Pixel Y) and the link's zoom, or null if the text holds no coordinates
+ * @since 0.91.22
+ */
+export function parseCoordinates(text) {
+  const input = String(text ?? '').trim();
+  if (!input) { return null; }
+
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+  const fromLatLng = (lat, lng, zoom = null) => {
+    const coords = latLngToCanvasPos(lat, lng);
+    return coords ? { coords, zoom: Number.isFinite(zoom) ? zoom : null } : null;
+  };
+
+  // Links carry lat/lng (and zoom) as query parameters
+  const lat = new RegExp(`[?&#\\s]lat=${number}`, 'i').exec(` ${input}`);
+  const lng = new RegExp(`[?&#\\s]lng=${number}`, 'i').exec(` ${input}`);
+  if (lat && lng) {
+    const zoom = new RegExp(`[?&#\\s]zoom=${number}`, 'i').exec(` ${input}`);
+    return fromLatLng(parseFloat(lat[1]), parseFloat(lng[1]), zoom ? parseFloat(zoom[1]) : null);
+  }
+
+  let values = null;
+  const labelled = {};
+  for (const match of input.matchAll(/\b(tl|tile|px|pixel)\s*([xy])\s*[:=]?\s*(-?\d+)/gi)) {
+    labelled[`${match[1].toLowerCase().startsWith('t') ? 't' : 'p'}${match[2].toLowerCase()}`] = Number(match[3]);
+  }
+  if (['tx', 'ty', 'px', 'py'].every(key => key in labelled)) {
+    values = [labelled.tx, labelled.ty, labelled.px, labelled.py];
+  } else {
+    const numbers = input.match(/-?\d+(?:\.\d+)?/g) || [];
+    if (numbers.length === 2 && numbers.some(value => value.includes('.'))) {
+      return fromLatLng(parseFloat(numbers[0]), parseFloat(numbers[1]));
+    }
+    // Anything besides numbers and separators (or the words "tile"/"pixel") is not a coordinate
+    if (numbers.length !== 4 || numbers.some(value => value.includes('.'))
+      || /[^\d\s,;/:()[\]\-]/.test(input.replace(/\b(tiles?|pixels?|tl|px)\b/gi, ''))) {
+      return null;
+    }
+    values = numbers.map(Number);
+  }
+
+  const actualX = values[0] * 1000 + values[2];
+  const actualY = values[1] * 1000 + values[3];
+  if (values.some(value => value < 0) || actualX >= 2048000 || actualY >= 2048000) { return null; }
+
+  return { coords: [Math.floor(actualX / 1000), Math.floor(actualY / 1000), actualX % 1000, actualY % 1000], zoom: null };
+}
+
 
 
 /** The color palette used by wplace.live